@@ -0,0 +1,89 @@
+-- =====================================================
+-- Durable background job queue
+-- =====================================================
+-- Backs src/utils/queue.js. Jobs are claimed atomically with
+-- FOR UPDATE SKIP LOCKED so several API instances can run
+-- workers against the same table without double-processing.
+
+CREATE TABLE IF NOT EXISTS job_queue (
+  id BIGSERIAL PRIMARY KEY,
+  queue TEXT NOT NULL,
+  name TEXT NOT NULL,
+  data JSONB DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'completed', 'dead_letter')),
+  priority INTEGER DEFAULT 0,
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  backoff JSONB DEFAULT '{"type": "exponential", "delay": 5000}'::jsonb,
+  run_at TIMESTAMP DEFAULT NOW(),
+  locked_by TEXT,
+  locked_at TIMESTAMP,
+  result JSONB,
+  last_error TEXT,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Indexes for job_queue
+CREATE INDEX IF NOT EXISTS idx_job_queue_claim ON job_queue(queue, status, run_at, priority DESC);
+CREATE INDEX IF NOT EXISTS idx_job_queue_status ON job_queue(status);
+CREATE INDEX IF NOT EXISTS idx_job_queue_created_at ON job_queue(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_job_queue_updated_at ON job_queue;
+CREATE TRIGGER update_job_queue_updated_at
+  BEFORE UPDATE ON job_queue
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim the next runnable job for a queue (optionally restricted to job names)
+CREATE OR REPLACE FUNCTION claim_queue_job(p_queue TEXT, p_names TEXT[], p_worker TEXT)
+RETURNS SETOF job_queue AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE job_queue
+  SET status = 'active',
+      attempts = job_queue.attempts + 1,
+      locked_by = p_worker,
+      locked_at = NOW()
+  WHERE id = (
+    SELECT id FROM job_queue
+    WHERE queue = p_queue
+      AND status = 'pending'
+      AND run_at <= NOW()
+      AND (p_names IS NULL OR name = ANY(p_names))
+    ORDER BY priority DESC, run_at ASC, id ASC
+    FOR UPDATE SKIP LOCKED
+    LIMIT 1
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Return jobs whose worker died mid-run to the pending state
+CREATE OR REPLACE FUNCTION requeue_stalled_queue_jobs(p_queue TEXT, p_stall_seconds INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  requeued INTEGER;
+BEGIN
+  UPDATE job_queue
+  SET status = CASE WHEN attempts >= max_attempts THEN 'dead_letter' ELSE 'pending' END,
+      last_error = 'Job stalled: worker lock expired',
+      locked_by = NULL,
+      locked_at = NULL,
+      finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END
+  WHERE queue = p_queue
+    AND status = 'active'
+    AND locked_at < NOW() - make_interval(secs => p_stall_seconds);
+
+  GET DIAGNOSTICS requeued = ROW_COUNT;
+  RETURN requeued;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backend uses the service_role key; no client access to the queue
+ALTER TABLE job_queue ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE job_queue IS 'Durable background jobs (resume parsing, scoring, email)';
+COMMENT ON COLUMN job_queue.status IS 'Job status: pending (waiting or delayed until run_at), active (claimed by a worker), completed, dead_letter (exhausted all attempts)';
+COMMENT ON COLUMN job_queue.backoff IS 'Retry backoff: {"type": "fixed" | "exponential", "delay": <ms>}';
@@ -0,0 +1,32 @@
+-- =====================================================
+-- Application processing lifecycle
+-- =====================================================
+-- Applications are accepted immediately in the `received` state and
+-- then move through parsing, scoring and notification on the job queue.
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS application_status TEXT DEFAULT 'received'
+  CHECK (application_status IN ('received', 'parsed', 'scored', 'notified', 'failed'));
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS status_reason TEXT;
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP DEFAULT NOW();
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS original_filename TEXT;
+
+-- Applications submitted before this migration were processed synchronously
+UPDATE resumes
+SET application_status = CASE
+  WHEN EXISTS (SELECT 1 FROM ats_scores WHERE ats_scores.resume_id = resumes.id AND ats_scores.email_sent) THEN 'notified'
+  WHEN EXISTS (SELECT 1 FROM ats_scores WHERE ats_scores.resume_id = resumes.id) THEN 'scored'
+  ELSE 'parsed'
+END
+WHERE application_status = 'received';
+
+CREATE INDEX IF NOT EXISTS idx_resumes_application_status ON resumes(application_status);
+
+COMMENT ON COLUMN resumes.application_status IS 'Processing stage: received (stored), parsed, scored, notified (emails sent), failed (see status_reason)';
+COMMENT ON COLUMN resumes.status_reason IS 'Failure reason when application_status is failed';
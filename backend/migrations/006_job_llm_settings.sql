@@ -0,0 +1,14 @@
+-- =====================================================
+-- Per-job LLM provider override
+-- =====================================================
+-- NULL means the deployment default (LLM_PROVIDER / LLM_MODEL).
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS llm_provider TEXT
+  CHECK (llm_provider IS NULL OR llm_provider IN ('gemini', 'openai', 'mock'));
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS llm_model TEXT;
+
+COMMENT ON COLUMN jobs.llm_provider IS 'LLM provider used to score applications for this job (NULL = deployment default)';
+COMMENT ON COLUMN jobs.llm_model IS 'LLM model used to score applications for this job (NULL = provider default)';
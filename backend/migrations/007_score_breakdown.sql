@@ -0,0 +1,10 @@
+-- =====================================================
+-- Per-component score breakdown
+-- =====================================================
+-- Filled by the rule-based scorer: required/preferred skills, experience and
+-- education scores with their weights. NULL for LLM-generated scores.
+
+ALTER TABLE ats_scores
+ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
+
+COMMENT ON COLUMN ats_scores.score_breakdown IS 'Rule-based scoring components ({ method, version, components }) or NULL';
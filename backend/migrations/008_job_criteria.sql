@@ -0,0 +1,17 @@
+-- =====================================================
+-- Structured job criteria
+-- =====================================================
+-- HR-defined matching criteria used by both the LLM prompt and the
+-- rule-based scorer (see src/utils/jobCriteria.js for the JSON shape).
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS criteria JSONB;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS work_mode TEXT
+  CHECK (work_mode IS NULL OR work_mode IN ('remote', 'hybrid', 'onsite'));
+
+CREATE INDEX IF NOT EXISTS idx_jobs_work_mode ON jobs(work_mode);
+
+COMMENT ON COLUMN jobs.criteria IS 'Required/nice-to-have skills, experience range, education level and knock-out questions';
+COMMENT ON COLUMN jobs.work_mode IS 'remote, hybrid or onsite';
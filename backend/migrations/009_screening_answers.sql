@@ -0,0 +1,18 @@
+-- =====================================================
+-- Knock-out screening answers
+-- =====================================================
+-- Candidates answer the job's knock-out questions when applying. Applications
+-- with a disqualifying answer are stored as `screened_out` and never scored.
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS screening_answers JSONB;
+
+ALTER TABLE resumes
+DROP CONSTRAINT IF EXISTS resumes_application_status_check;
+
+ALTER TABLE resumes
+ADD CONSTRAINT resumes_application_status_check
+  CHECK (application_status IN ('received', 'parsed', 'scored', 'notified', 'failed', 'screened_out'));
+
+COMMENT ON COLUMN resumes.screening_answers IS 'Answers to knock-out questions: [{ id, question, answer, disqualified }]';
+COMMENT ON COLUMN resumes.application_status IS 'Processing stage: received (stored), parsed, scored, notified (emails sent), failed (see status_reason), screened_out (failed a knock-out question)';
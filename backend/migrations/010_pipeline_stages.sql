@@ -0,0 +1,40 @@
+-- =====================================================
+-- Hiring pipeline stages
+-- =====================================================
+-- HR moves applications through a per-company pipeline (default:
+-- applied -> screening -> shortlisted -> interview -> offer -> hired / rejected / withdrawn).
+-- Every move is recorded in application_stage_history.
+
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS pipeline_stages JSONB;
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS pipeline_stage TEXT NOT NULL DEFAULT 'applied';
+
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS pipeline_stage_updated_at TIMESTAMP DEFAULT NOW();
+
+-- Applications screened out before this migration
+UPDATE resumes
+SET pipeline_stage = 'rejected'
+WHERE application_status = 'screened_out' AND pipeline_stage = 'applied';
+
+CREATE INDEX IF NOT EXISTS idx_resumes_pipeline_stage ON resumes(job_id, pipeline_stage);
+
+CREATE TABLE IF NOT EXISTS application_stage_history (
+  id BIGSERIAL PRIMARY KEY,
+  resume_id BIGINT NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+  job_id VARCHAR(255) NOT NULL,
+  from_stage TEXT,
+  to_stage TEXT NOT NULL,
+  changed_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_stage_history_resume_id ON application_stage_history(resume_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_application_stage_history_job_id ON application_stage_history(job_id);
+
+COMMENT ON COLUMN companies.pipeline_stages IS 'Hiring pipeline: [{ key, label, terminal }]; NULL uses the default pipeline';
+COMMENT ON COLUMN resumes.pipeline_stage IS 'Hiring stage set by HR (see companies.pipeline_stages); separate from application_status';
+COMMENT ON TABLE application_stage_history IS 'Audit trail of pipeline stage changes';
@@ -0,0 +1,11 @@
+-- =====================================================
+-- Audit log lookups
+-- =====================================================
+-- audit_logs (created in 001) is now written for every privileged action.
+-- The admin viewer filters by resource and by actor over a date range.
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_created_at ON audit_logs(user_id, created_at DESC);
+
+COMMENT ON COLUMN audit_logs.action IS 'Action name <resource>.<verb>, e.g. user.role_change, job.update, auth.login_failed';
+COMMENT ON COLUMN audit_logs.details IS 'Action context; changes: { before, after } holds only the fields that changed';
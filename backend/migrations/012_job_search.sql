@@ -0,0 +1,109 @@
+-- =====================================================
+-- Full-text job search
+-- =====================================================
+-- GET /api/ats/jobs searches title, requirements and description with Postgres
+-- full-text search (ranked: title > requirements > description), filters on
+-- location, employment type, salary, posting date and company, and paginates
+-- in the database through search_jobs().
+
+-- Weighted search document for a job (IMMUTABLE so it can back an expression index)
+CREATE OR REPLACE FUNCTION job_search_vector(p_title TEXT, p_requirements TEXT, p_description TEXT)
+RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('english'::regconfig, COALESCE(p_title, '')), 'A')
+      || setweight(to_tsvector('english'::regconfig, COALESCE(p_requirements, '')), 'B')
+      || setweight(to_tsvector('english'::regconfig, COALESCE(p_description, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_search
+ON jobs USING GIN (job_search_vector(title, requirements, description));
+
+-- Lower or upper bound of a free-text salary range ("$80,000 - $120,000", "80k-120k").
+-- Amounts below 1000 (years, counts) are ignored, matching the rule-based scorer.
+CREATE OR REPLACE FUNCTION salary_range_bound(p_text TEXT, p_upper BOOLEAN)
+RETURNS INTEGER AS $$
+  SELECT CASE WHEN p_upper THEN MAX(amount) ELSE MIN(amount) END::INTEGER
+  FROM (
+    SELECT REPLACE(m[1], ',', '')::NUMERIC * CASE WHEN m[2] <> '' THEN 1000 ELSE 1 END AS amount
+    FROM regexp_matches(COALESCE(p_text, ''), '(\d+(?:,\d{3})*(?:\.\d+)?)\s*([kK]?)', 'g') AS m
+  ) amounts
+  WHERE amount >= 1000;
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS salary_min INTEGER GENERATED ALWAYS AS (salary_range_bound(salary_range, FALSE)) STORED;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS salary_max INTEGER GENERATED ALWAYS AS (salary_range_bound(salary_range, TRUE)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_salary ON jobs(salary_min, salary_max);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_created_at ON jobs(status, created_at DESC);
+
+-- Search jobs. NULL parameters are ignored; rows carry the total match count for pagination.
+-- p_sort: relevance (falls back to newest without a query), date, closing_date
+CREATE OR REPLACE FUNCTION search_jobs(
+  p_query TEXT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL,
+  p_company_id BIGINT DEFAULT NULL,
+  p_company TEXT DEFAULT NULL,
+  p_location TEXT DEFAULT NULL,
+  p_employment_type TEXT DEFAULT NULL,
+  p_work_mode TEXT DEFAULT NULL,
+  p_salary_min INTEGER DEFAULT NULL,
+  p_salary_max INTEGER DEFAULT NULL,
+  p_posted_after TIMESTAMP DEFAULT NULL,
+  p_sort TEXT DEFAULT 'relevance',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (job JSONB, rank REAL, total_count BIGINT) AS $$
+DECLARE
+  v_query tsquery;
+BEGIN
+  IF p_query IS NOT NULL AND btrim(p_query) <> '' THEN
+    v_query := websearch_to_tsquery('english', p_query);
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    matches.job,
+    matches.match_rank,
+    COUNT(*) OVER ()
+  FROM (
+    SELECT
+      to_jsonb(j) || jsonb_build_object(
+        'companies',
+        CASE WHEN c.id IS NULL THEN NULL
+             ELSE jsonb_build_object('id', c.id, 'name', c.name, 'email', c.email) END
+      ) AS job,
+      CASE WHEN v_query IS NULL THEN 0::REAL
+           ELSE ts_rank_cd(job_search_vector(j.title, j.requirements, j.description), v_query) END AS match_rank,
+      j.id,
+      j.created_at,
+      j.closing_date
+    FROM jobs j
+    LEFT JOIN companies c ON c.id = j.company_id
+    WHERE (v_query IS NULL OR job_search_vector(j.title, j.requirements, j.description) @@ v_query)
+      AND (p_status IS NULL OR j.status = p_status)
+      AND (p_company_id IS NULL OR j.company_id = p_company_id)
+      AND (p_company IS NULL OR j.company_name ILIKE '%' || p_company || '%' OR c.name ILIKE '%' || p_company || '%')
+      AND (p_location IS NULL OR j.location ILIKE '%' || p_location || '%')
+      AND (p_employment_type IS NULL OR j.employment_type = p_employment_type)
+      AND (p_work_mode IS NULL OR j.work_mode = p_work_mode)
+      -- Salary filters match jobs whose advertised range overlaps the requested one
+      AND (p_salary_min IS NULL OR j.salary_max >= p_salary_min)
+      AND (p_salary_max IS NULL OR j.salary_min <= p_salary_max)
+      AND (p_posted_after IS NULL OR j.created_at >= p_posted_after)
+  ) matches
+  ORDER BY
+    CASE WHEN p_sort = 'relevance' THEN matches.match_rank END DESC NULLS LAST,
+    CASE WHEN p_sort = 'closing_date' THEN matches.closing_date END ASC NULLS LAST,
+    matches.created_at DESC,
+    matches.id DESC
+  LIMIT p_limit
+  OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON COLUMN jobs.salary_min IS 'Lower bound parsed from salary_range (NULL when it has no amounts)';
+COMMENT ON COLUMN jobs.salary_max IS 'Upper bound parsed from salary_range (NULL when it has no amounts)';
+COMMENT ON FUNCTION search_jobs IS 'Full-text job search with filters, sorting and pagination (GET /api/ats/jobs)';
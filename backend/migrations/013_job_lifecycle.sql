@@ -0,0 +1,196 @@
+-- =====================================================
+-- Job posting lifecycle
+-- =====================================================
+-- draft -> scheduled -> active -> closed. Scheduled jobs are published at
+-- publish_at, active jobs close when closing_date passes or after
+-- max_applications applications, and closed jobs can be reopened.
+-- Every transition is recorded in job_status_history.
+
+ALTER TABLE jobs
+DROP CONSTRAINT IF EXISTS jobs_status_check;
+
+ALTER TABLE jobs
+ADD CONSTRAINT jobs_status_check
+  CHECK (status IN ('draft', 'scheduled', 'active', 'closed'));
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS close_reason TEXT
+  CHECK (close_reason IS NULL OR close_reason IN ('manual', 'closing_date', 'max_applications'));
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS max_applications INTEGER
+  CHECK (max_applications IS NULL OR max_applications > 0);
+
+-- Jobs published before this migration
+UPDATE jobs SET published_at = created_at WHERE status IN ('active', 'closed') AND published_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_publish_at ON jobs(publish_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_jobs_active_closing_date ON jobs(closing_date) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS job_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  job_id VARCHAR(255) NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  changed_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_status_history_job_id ON job_status_history(job_id, created_at);
+
+-- Publish scheduled jobs whose publish_at has passed
+CREATE OR REPLACE FUNCTION publish_scheduled_jobs()
+RETURNS SETOF jobs AS $$
+BEGIN
+  RETURN QUERY
+  WITH published AS (
+    UPDATE jobs
+    SET status = 'active',
+        published_at = NOW(),
+        updated_at = NOW()
+    WHERE status = 'scheduled'
+      AND publish_at <= NOW()
+    RETURNING *
+  ), history AS (
+    INSERT INTO job_status_history (job_id, from_status, to_status, reason, details)
+    SELECT published.job_id, 'scheduled', 'active', 'scheduled_publish',
+           jsonb_build_object('publish_at', published.publish_at)
+    FROM published
+  )
+  SELECT * FROM published;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Close active jobs whose closing_date has passed
+CREATE OR REPLACE FUNCTION close_expired_jobs()
+RETURNS SETOF jobs AS $$
+BEGIN
+  RETURN QUERY
+  WITH closed AS (
+    UPDATE jobs
+    SET status = 'closed',
+        closed_at = NOW(),
+        close_reason = 'closing_date',
+        updated_at = NOW()
+    WHERE status = 'active'
+      AND closing_date <= NOW()
+    RETURNING *
+  ), history AS (
+    INSERT INTO job_status_history (job_id, from_status, to_status, reason, details)
+    SELECT closed.job_id, 'active', 'closed', 'closing_date',
+           jsonb_build_object('closing_date', closed.closing_date)
+    FROM closed
+  )
+  SELECT * FROM closed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Close an active job once it has received max_applications applications
+CREATE OR REPLACE FUNCTION close_job_if_full(p_job_id VARCHAR)
+RETURNS SETOF jobs AS $$
+BEGIN
+  RETURN QUERY
+  WITH closed AS (
+    UPDATE jobs
+    SET status = 'closed',
+        closed_at = NOW(),
+        close_reason = 'max_applications',
+        updated_at = NOW()
+    WHERE job_id = p_job_id
+      AND status = 'active'
+      AND max_applications IS NOT NULL
+      AND (SELECT COUNT(*) FROM resumes WHERE resumes.job_id = p_job_id) >= max_applications
+    RETURNING *
+  ), history AS (
+    INSERT INTO job_status_history (job_id, from_status, to_status, reason, details)
+    SELECT closed.job_id, 'active', 'closed', 'max_applications',
+           jsonb_build_object('max_applications', closed.max_applications)
+    FROM closed
+  )
+  SELECT * FROM closed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- search_jobs now takes a list of statuses (candidates may only see active and closed jobs)
+DROP FUNCTION IF EXISTS search_jobs(TEXT, TEXT, BIGINT, TEXT, TEXT, TEXT, TEXT, INTEGER, INTEGER, TIMESTAMP, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_jobs(
+  p_query TEXT DEFAULT NULL,
+  p_statuses TEXT[] DEFAULT NULL,
+  p_company_id BIGINT DEFAULT NULL,
+  p_company TEXT DEFAULT NULL,
+  p_location TEXT DEFAULT NULL,
+  p_employment_type TEXT DEFAULT NULL,
+  p_work_mode TEXT DEFAULT NULL,
+  p_salary_min INTEGER DEFAULT NULL,
+  p_salary_max INTEGER DEFAULT NULL,
+  p_posted_after TIMESTAMP DEFAULT NULL,
+  p_sort TEXT DEFAULT 'relevance',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (job JSONB, rank REAL, total_count BIGINT) AS $$
+DECLARE
+  v_query tsquery;
+BEGIN
+  IF p_query IS NOT NULL AND btrim(p_query) <> '' THEN
+    v_query := websearch_to_tsquery('english', p_query);
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    matches.job,
+    matches.match_rank,
+    COUNT(*) OVER ()
+  FROM (
+    SELECT
+      to_jsonb(j) || jsonb_build_object(
+        'companies',
+        CASE WHEN c.id IS NULL THEN NULL
+             ELSE jsonb_build_object('id', c.id, 'name', c.name, 'email', c.email) END
+      ) AS job,
+      CASE WHEN v_query IS NULL THEN 0::REAL
+           ELSE ts_rank_cd(job_search_vector(j.title, j.requirements, j.description), v_query) END AS match_rank,
+      j.id,
+      j.created_at,
+      j.closing_date
+    FROM jobs j
+    LEFT JOIN companies c ON c.id = j.company_id
+    WHERE (v_query IS NULL OR job_search_vector(j.title, j.requirements, j.description) @@ v_query)
+      AND (p_statuses IS NULL OR j.status = ANY(p_statuses))
+      AND (p_company_id IS NULL OR j.company_id = p_company_id)
+      AND (p_company IS NULL OR j.company_name ILIKE '%' || p_company || '%' OR c.name ILIKE '%' || p_company || '%')
+      AND (p_location IS NULL OR j.location ILIKE '%' || p_location || '%')
+      AND (p_employment_type IS NULL OR j.employment_type = p_employment_type)
+      AND (p_work_mode IS NULL OR j.work_mode = p_work_mode)
+      -- Salary filters match jobs whose advertised range overlaps the requested one
+      AND (p_salary_min IS NULL OR j.salary_max >= p_salary_min)
+      AND (p_salary_max IS NULL OR j.salary_min <= p_salary_max)
+      AND (p_posted_after IS NULL OR COALESCE(j.published_at, j.created_at) >= p_posted_after)
+  ) matches
+  ORDER BY
+    CASE WHEN p_sort = 'relevance' THEN matches.match_rank END DESC NULLS LAST,
+    CASE WHEN p_sort = 'closing_date' THEN matches.closing_date END ASC NULLS LAST,
+    matches.created_at DESC,
+    matches.id DESC
+  LIMIT p_limit
+  OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON COLUMN jobs.status IS 'Lifecycle: draft, scheduled (published at publish_at), active (accepting applications), closed';
+COMMENT ON COLUMN jobs.publish_at IS 'When a scheduled job is published automatically';
+COMMENT ON COLUMN jobs.close_reason IS 'Why the job closed: manual, closing_date or max_applications';
+COMMENT ON COLUMN jobs.max_applications IS 'Close the job automatically after this many applications (NULL = no limit)';
+COMMENT ON TABLE job_status_history IS 'Audit trail of job status transitions (manual and automatic)';
@@ -0,0 +1,79 @@
+-- =====================================================
+-- Company workspaces
+-- =====================================================
+-- A company has several HR members, each with a company role:
+--   owner          - everything, including members, invites and the pipeline
+--   recruiter      - create and manage jobs and applications
+--   hiring_manager - view jobs and move applications through the pipeline
+--   viewer         - read-only access to jobs and applications
+-- Jobs and applications are authorized by membership of the job's company
+-- instead of by the HR user who created the job.
+
+CREATE TABLE IF NOT EXISTS company_members (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users_profiles(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'recruiter', 'hiring_manager', 'viewer')),
+  invited_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  -- A user belongs to one company (mirrored in users_profiles.company_id)
+  UNIQUE (user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_members_company_id ON company_members(company_id);
+
+CREATE TABLE IF NOT EXISTS company_invites (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'recruiter', 'hiring_manager', 'viewer')),
+  -- SHA-256 of the token sent by email; the token itself is never stored
+  token_hash TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+  invited_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  accepted_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_invites_company_id ON company_invites(company_id, status);
+
+-- One open invite per address and company
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_invites_pending_email
+  ON company_invites(company_id, lower(email)) WHERE status = 'pending';
+
+-- Existing HR users become members of the company they are linked to. The company's
+-- creator (or, for companies created on HR approval, its earliest user) is the owner.
+INSERT INTO company_members (company_id, user_id, role, created_at)
+SELECT
+  p.company_id,
+  p.id,
+  CASE
+    WHEN c.created_by = p.id THEN 'owner'
+    WHEN c.created_by IS NULL AND p.id = (
+      SELECT first.id FROM users_profiles first
+      WHERE first.company_id = p.company_id
+      ORDER BY first.created_at, first.id
+      LIMIT 1
+    ) THEN 'owner'
+    ELSE 'recruiter'
+  END,
+  p.created_at
+FROM users_profiles p
+JOIN companies c ON c.id = p.company_id
+WHERE p.role IN ('hr_pending', 'hr_approved')
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Jobs created without a company belong to their creator's company
+UPDATE jobs
+SET company_id = p.company_id
+FROM users_profiles p
+WHERE jobs.company_id IS NULL
+  AND jobs.created_by = p.id
+  AND p.company_id IS NOT NULL;
+
+COMMENT ON TABLE company_members IS 'HR users of a company workspace and their company role';
+COMMENT ON TABLE company_invites IS 'Email invitations to join a company workspace';
+COMMENT ON COLUMN company_members.role IS 'owner, recruiter, hiring_manager or viewer';
@@ -0,0 +1,83 @@
+-- =====================================================
+-- Candidate profiles and resume library
+-- =====================================================
+-- Candidates keep a profile (headline, location, desired salary, work
+-- authorization, links, skills) and a library of resumes. They upload a
+-- resume once and apply to jobs by picking one from the library. Each
+-- library resume caches its parsed data, so applying with it again does
+-- not parse the same file again.
+
+CREATE TABLE IF NOT EXISTS candidate_profiles (
+  user_id UUID PRIMARY KEY REFERENCES users_profiles(id) ON DELETE CASCADE,
+  headline TEXT,
+  location TEXT,
+  desired_salary_min INTEGER CHECK (desired_salary_min >= 0),
+  desired_salary_max INTEGER CHECK (desired_salary_max >= 0),
+  work_authorization TEXT CHECK (work_authorization IN ('citizen', 'permanent_resident', 'work_visa', 'needs_sponsorship')),
+  -- [{ "label": "GitHub", "url": "https://github.com/..." }]
+  links JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- ["React", "Node.js"]
+  skills JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (desired_salary_min IS NULL OR desired_salary_max IS NULL OR desired_salary_min <= desired_salary_max)
+);
+
+CREATE TABLE IF NOT EXISTS candidate_resumes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  cloudinary_url TEXT NOT NULL,
+  original_filename TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Parsed once and reused by every application made with this resume
+  parsed_data JSONB,
+  parsed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_resumes_user_id ON candidate_resumes(user_id, created_at DESC);
+
+-- At most one default resume per candidate
+CREATE UNIQUE INDEX IF NOT EXISTS idx_candidate_resumes_one_default
+ON candidate_resumes(user_id) WHERE is_default;
+
+-- Applications remember which library resume they were made with
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS library_resume_id BIGINT REFERENCES candidate_resumes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_resumes_library_resume_id ON resumes(library_resume_id);
+
+ALTER TABLE candidate_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE candidate_resumes ENABLE ROW LEVEL SECURITY;
+
+-- Make one resume the candidate's default (clears the previous default in the same statement)
+CREATE OR REPLACE FUNCTION set_default_candidate_resume(p_user_id UUID, p_resume_id BIGINT)
+RETURNS SETOF candidate_resumes AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM candidate_resumes WHERE id = p_resume_id AND user_id = p_user_id) THEN
+    RETURN;
+  END IF;
+
+  UPDATE candidate_resumes
+  SET is_default = FALSE,
+      updated_at = NOW()
+  WHERE user_id = p_user_id
+    AND is_default
+    AND id <> p_resume_id;
+
+  RETURN QUERY
+  UPDATE candidate_resumes
+  SET is_default = TRUE,
+      updated_at = NOW()
+  WHERE id = p_resume_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE candidate_profiles IS 'Candidate profile: headline, location, desired salary, work authorization, links and skills';
+COMMENT ON TABLE candidate_resumes IS 'Resume library: files a candidate uploaded once and can apply with';
+COMMENT ON COLUMN candidate_profiles.work_authorization IS 'citizen, permanent_resident, work_visa or needs_sponsorship';
+COMMENT ON COLUMN candidate_resumes.parsed_data IS 'Cached parse result, copied to each application made with this resume';
+COMMENT ON COLUMN resumes.library_resume_id IS 'Library resume the application was made with (NULL for one-off uploads)';
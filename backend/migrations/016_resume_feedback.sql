@@ -0,0 +1,23 @@
+-- =====================================================
+-- Resume feedback checks
+-- =====================================================
+-- Candidates can check a resume against a job before applying. Each check
+-- runs the parser and the scorer, so checks are recorded here and limited
+-- per candidate over a rolling window (RESUME_CHECK_LIMIT checks every
+-- RESUME_CHECK_WINDOW_HOURS hours).
+
+CREATE TABLE IF NOT EXISTS resume_feedback_checks (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_profiles(id) ON DELETE CASCADE,
+  job_id VARCHAR(255) NOT NULL,
+  -- NULL for one-off uploads
+  library_resume_id BIGINT REFERENCES candidate_resumes(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resume_feedback_checks_user_created
+ON resume_feedback_checks(user_id, created_at DESC);
+
+ALTER TABLE resume_feedback_checks ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE resume_feedback_checks IS 'Resume checks candidates ran against jobs, used for the per-candidate rate limit';
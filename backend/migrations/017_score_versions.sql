@@ -0,0 +1,101 @@
+-- =====================================================
+-- Score versions and batch re-scoring
+-- =====================================================
+-- An application can hold several scores. Re-scoring adds a new version and
+-- marks it current; earlier versions are kept with the hash of the job text
+-- and the model they were scored with, so HR can compare before and after.
+-- A re-score run re-scores every scored application of a job in the
+-- background (when HR asks, or when the job description changes).
+
+ALTER TABLE ats_scores
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS is_current BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN IF NOT EXISTS job_text_hash TEXT,
+ADD COLUMN IF NOT EXISTS llm_provider TEXT,
+ADD COLUMN IF NOT EXISTS llm_model TEXT;
+
+-- Number existing scores and keep only the newest one per application current
+WITH ranked AS (
+  SELECT
+    id,
+    ROW_NUMBER() OVER (PARTITION BY resume_id ORDER BY created_at, id) AS version_number,
+    ROW_NUMBER() OVER (PARTITION BY resume_id ORDER BY created_at DESC, id DESC) AS recency
+  FROM ats_scores
+)
+UPDATE ats_scores
+SET version = ranked.version_number,
+    is_current = (ranked.recency = 1)
+FROM ranked
+WHERE ats_scores.id = ranked.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ats_scores_resume_version ON ats_scores(resume_id, version);
+
+-- At most one current score per application
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ats_scores_one_current
+ON ats_scores(resume_id) WHERE is_current;
+
+CREATE TABLE IF NOT EXISTS rescore_runs (
+  id BIGSERIAL PRIMARY KEY,
+  job_id VARCHAR(255) NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (reason IN ('manual', 'job_updated')),
+  triggered_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  job_text_hash TEXT NOT NULL,
+  -- superseded: a newer run for the same job started before this one finished
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'superseded')),
+  total INTEGER NOT NULL DEFAULT 0,
+  completed INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rescore_runs_job_id ON rescore_runs(job_id, created_at DESC);
+
+ALTER TABLE ats_scores
+ADD COLUMN IF NOT EXISTS rescore_run_id BIGINT REFERENCES rescore_runs(id) ON DELETE SET NULL;
+
+ALTER TABLE rescore_runs ENABLE ROW LEVEL SECURITY;
+
+-- Make a score version the application's current score (clears the previous one in the same statement)
+CREATE OR REPLACE FUNCTION set_current_ats_score(p_score_id BIGINT)
+RETURNS SETOF ats_scores AS $$
+DECLARE
+  v_resume_id BIGINT;
+BEGIN
+  SELECT resume_id INTO v_resume_id FROM ats_scores WHERE id = p_score_id;
+
+  IF v_resume_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  UPDATE ats_scores
+  SET is_current = FALSE
+  WHERE resume_id = v_resume_id
+    AND is_current
+    AND id <> p_score_id;
+
+  RETURN QUERY
+  UPDATE ats_scores
+  SET is_current = TRUE
+  WHERE id = p_score_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count one finished application of a run; the run completes with its last application
+CREATE OR REPLACE FUNCTION record_rescore_progress(p_run_id BIGINT, p_failed BOOLEAN)
+RETURNS SETOF rescore_runs AS $$
+  UPDATE rescore_runs
+  SET completed = completed + CASE WHEN p_failed THEN 0 ELSE 1 END,
+      failed = failed + CASE WHEN p_failed THEN 1 ELSE 0 END,
+      status = CASE WHEN status = 'running' AND completed + failed + 1 >= total THEN 'completed' ELSE status END,
+      finished_at = CASE WHEN status = 'running' AND completed + failed + 1 >= total THEN NOW() ELSE finished_at END
+  WHERE id = p_run_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+COMMENT ON COLUMN ats_scores.version IS 'Score version for the application, starting at 1';
+COMMENT ON COLUMN ats_scores.is_current IS 'Whether this is the score shown for the application';
+COMMENT ON COLUMN ats_scores.job_text_hash IS 'SHA-256 of the job text (description, requirements, criteria, work mode) the score was computed against';
+COMMENT ON COLUMN ats_scores.llm_provider IS 'LLM provider used (NULL for rule-based fallback scores)';
+COMMENT ON TABLE rescore_runs IS 'Background re-scoring of all scored applications of a job, with progress counts';
@@ -0,0 +1,30 @@
+-- =====================================================
+-- Score provenance
+-- =====================================================
+-- Every score version records how it was produced: the LLM provider and
+-- model (017), the prompt version, latency, token counts, and whether the
+-- rule-based fallback produced it because the LLM call failed. Fallback
+-- scores are flagged so HR can review those applications manually.
+
+ALTER TABLE ats_scores
+ADD COLUMN IF NOT EXISTS prompt_version TEXT,
+ADD COLUMN IF NOT EXISTS latency_ms INTEGER CHECK (latency_ms >= 0),
+ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER,
+ADD COLUMN IF NOT EXISTS completion_tokens INTEGER,
+ADD COLUMN IF NOT EXISTS total_tokens INTEGER,
+ADD COLUMN IF NOT EXISTS is_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS fallback_reason TEXT;
+
+-- Before this migration fallback scores were only recognizable by their breakdown and recommendation
+UPDATE ats_scores
+SET is_fallback = TRUE
+WHERE NOT is_fallback
+  AND (score_breakdown->>'method' = 'rule_based' OR recommendation LIKE '%(rule-based scoring)');
+
+CREATE INDEX IF NOT EXISTS idx_ats_scores_fallback ON ats_scores(job_id) WHERE is_fallback AND is_current;
+
+COMMENT ON COLUMN ats_scores.llm_provider IS 'LLM provider used, or attempted when is_fallback';
+COMMENT ON COLUMN ats_scores.prompt_version IS 'Scoring prompt version (NULL for fallback scores)';
+COMMENT ON COLUMN ats_scores.latency_ms IS 'Time spent scoring, including a failed LLM attempt';
+COMMENT ON COLUMN ats_scores.is_fallback IS 'Scored by the rule-based fallback because the LLM call failed';
+COMMENT ON COLUMN ats_scores.fallback_reason IS 'Why the LLM call failed (fallback scores only)';
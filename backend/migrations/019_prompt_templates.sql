@@ -0,0 +1,125 @@
+-- =====================================================
+-- Scoring prompt templates
+-- =====================================================
+-- The LLM scoring prompt is stored as versioned templates with {{variables}}
+-- (see src/utils/promptTemplate.js). Versions are never edited: a change is
+-- saved as a new version, and one version is active at a time. Rolling back
+-- activates an earlier version. A job can split its applications between
+-- several versions by weight (A/B test); each score records the template it
+-- was produced with.
+
+CREATE TABLE IF NOT EXISTS scoring_prompt_templates (
+  id BIGSERIAL PRIMARY KEY,
+  version INTEGER NOT NULL UNIQUE CHECK (version >= 1),
+  name TEXT NOT NULL,
+  body TEXT NOT NULL,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  -- Last time the version was made active (used to roll back to the previous one)
+  activated_at TIMESTAMP
+);
+
+-- At most one active template
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_prompt_templates_one_active
+ON scoring_prompt_templates(is_active) WHERE is_active;
+
+-- Version 1 is the prompt that was hard-coded before templates
+INSERT INTO scoring_prompt_templates (version, name, body, is_active, activated_at)
+VALUES (1, 'Default scoring prompt', $template$You are an expert ATS (Applicant Tracking System) scoring engine. Analyze the following resume against the job description and provide a detailed scoring analysis.
+
+**Job Description:**
+{{job_description}}
+{{structured_requirements}}
+**Resume Summary:**
+{{resume_summary}}
+
+**Task:**
+Analyze the resume and provide a JSON response with the following structure:
+{{output_schema}}
+
+**Scoring Criteria:**
+- match_score: Overall fit (0-100)
+- shortlist_probability: Likelihood of shortlisting (0.00-1.00)
+- salary_range: Estimated salary based on experience and skills
+- missing_skills: Required or nice-to-have skills missing from resume
+- strong_skills: Skills from resume that strongly match job requirements
+- Weigh required skills by their importance; a missing high-importance skill should lower match_score substantially
+- recommendation: Brief recommendation for hiring decision
+- key_highlights: Top 3-5 strengths
+- areas_of_concern: Potential weaknesses or gaps
+
+Respond ONLY with valid JSON. Do not include any explanation outside the JSON structure.$template$, TRUE, NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- A/B test: the job's applications are split between these templates by weight
+CREATE TABLE IF NOT EXISTS job_prompt_templates (
+  job_id VARCHAR(255) NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+  template_id BIGINT NOT NULL REFERENCES scoring_prompt_templates(id) ON DELETE CASCADE,
+  weight INTEGER NOT NULL CHECK (weight BETWEEN 1 AND 100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (job_id, template_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_prompt_templates_template_id ON job_prompt_templates(template_id);
+
+ALTER TABLE ats_scores
+ADD COLUMN IF NOT EXISTS prompt_template_id BIGINT REFERENCES scoring_prompt_templates(id) ON DELETE SET NULL;
+
+-- Scores made before this migration used version 1
+UPDATE ats_scores
+SET prompt_template_id = (SELECT id FROM scoring_prompt_templates WHERE version = 1)
+WHERE prompt_version = 'v1'
+  AND prompt_template_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ats_scores_prompt_template ON ats_scores(job_id, prompt_template_id) WHERE is_current;
+
+-- Value statement available to templates as {{company_values}}
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS culture_values TEXT;
+
+ALTER TABLE scoring_prompt_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_prompt_templates ENABLE ROW LEVEL SECURITY;
+
+-- Make a template version the active one (clears the previous one in the same statement)
+CREATE OR REPLACE FUNCTION activate_scoring_prompt_template(p_template_id BIGINT)
+RETURNS SETOF scoring_prompt_templates AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM scoring_prompt_templates WHERE id = p_template_id) THEN
+    RETURN;
+  END IF;
+
+  UPDATE scoring_prompt_templates
+  SET is_active = FALSE
+  WHERE is_active
+    AND id <> p_template_id;
+
+  RETURN QUERY
+  UPDATE scoring_prompt_templates
+  SET is_active = TRUE,
+      activated_at = NOW()
+  WHERE id = p_template_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replace a job's A/B assignments ([{ "template_id": 1, "weight": 50 }, ...]; empty clears them)
+CREATE OR REPLACE FUNCTION set_job_prompt_templates(p_job_id VARCHAR, p_assignments JSONB)
+RETURNS SETOF job_prompt_templates AS $$
+BEGIN
+  DELETE FROM job_prompt_templates WHERE job_id = p_job_id;
+
+  RETURN QUERY
+  INSERT INTO job_prompt_templates (job_id, template_id, weight)
+  SELECT p_job_id, (item->>'template_id')::BIGINT, (item->>'weight')::INTEGER
+  FROM jsonb_array_elements(p_assignments) AS item
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE scoring_prompt_templates IS 'Versions of the LLM scoring prompt; one is active';
+COMMENT ON TABLE job_prompt_templates IS 'Per-job A/B split of applications between prompt template versions';
+COMMENT ON COLUMN ats_scores.prompt_template_id IS 'Prompt template the score was produced with, or attempted when is_fallback';
+COMMENT ON COLUMN ats_scores.prompt_version IS 'Prompt template version as v<version> (NULL for fallback scores)';
+COMMENT ON COLUMN companies.culture_values IS 'Company values, available to scoring prompts as {{company_values}}';
@@ -0,0 +1,85 @@
+-- =====================================================
+-- LLM output validation
+-- =====================================================
+-- Scoring responses are validated against a strict schema (see
+-- src/utils/scoringResponse.js). A response that fails is sent back to the
+-- LLM once with the errors; only when the second response also fails is the
+-- rule-based fallback used. Every failed response is recorded here so admins
+-- can see how often each provider and model needs the retry.
+
+CREATE TABLE IF NOT EXISTS llm_validation_failures (
+  id BIGSERIAL PRIMARY KEY,
+  -- No foreign keys: failures are metrics and outlive the jobs and applications they came from
+  job_id VARCHAR(255),
+  resume_id BIGINT,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_template_id BIGINT,
+  -- 1 = first response, 2 = response to the corrective prompt (the score fell back)
+  attempt SMALLINT NOT NULL CHECK (attempt >= 1),
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  response_excerpt TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_validation_failures_created_at ON llm_validation_failures(created_at DESC);
+
+ALTER TABLE ats_scores
+ADD COLUMN IF NOT EXISTS llm_attempts SMALLINT CHECK (llm_attempts >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_ats_scores_created_at ON ats_scores(created_at DESC);
+
+ALTER TABLE llm_validation_failures ENABLE ROW LEVEL SECURITY;
+
+-- Per provider and model since p_since: LLM responses scored, first responses that
+-- failed validation, how many of those the retry repaired, and how many fell back
+CREATE OR REPLACE FUNCTION llm_validation_summary(p_since TIMESTAMP)
+RETURNS TABLE (
+  provider TEXT,
+  model TEXT,
+  scored BIGINT,
+  first_attempt_failures BIGINT,
+  repaired BIGINT,
+  fell_back BIGINT
+) AS $$
+  WITH scores AS (
+    SELECT COALESCE(llm_provider, '') AS provider, COALESCE(llm_model, '') AS model, COUNT(*) AS scored
+    FROM ats_scores
+    WHERE created_at >= p_since
+      AND llm_attempts > 0
+    GROUP BY 1, 2
+  ),
+  failures AS (
+    SELECT f.provider, f.model,
+      COUNT(*) FILTER (WHERE f.attempt = 1) AS first_attempt_failures,
+      COUNT(*) FILTER (WHERE f.attempt > 1) AS fell_back
+    FROM llm_validation_failures f
+    WHERE f.created_at >= p_since
+    GROUP BY 1, 2
+  )
+  SELECT
+    NULLIF(COALESCE(s.provider, f.provider), ''),
+    NULLIF(COALESCE(s.model, f.model), ''),
+    COALESCE(s.scored, 0),
+    COALESCE(f.first_attempt_failures, 0),
+    GREATEST(COALESCE(f.first_attempt_failures, 0) - COALESCE(f.fell_back, 0), 0),
+    COALESCE(f.fell_back, 0)
+  FROM scores s
+  FULL OUTER JOIN failures f ON f.provider = s.provider AND f.model = s.model
+  ORDER BY 3 DESC, 4 DESC;
+$$ LANGUAGE sql STABLE;
+
+-- The most frequent validation errors since p_since
+CREATE OR REPLACE FUNCTION llm_validation_top_errors(p_since TIMESTAMP, p_limit INTEGER)
+RETURNS TABLE (message TEXT, occurrences BIGINT) AS $$
+  SELECT e.message, COUNT(*) AS occurrences
+  FROM llm_validation_failures f
+  CROSS JOIN LATERAL jsonb_array_elements_text(f.errors) AS e(message)
+  WHERE f.created_at >= p_since
+  GROUP BY e.message
+  ORDER BY 2 DESC, 1
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE llm_validation_failures IS 'LLM scoring responses that failed schema validation';
+COMMENT ON COLUMN ats_scores.llm_attempts IS 'LLM calls made for the score (2 = a corrective retry was needed); NULL before validation was added';
@@ -0,0 +1,42 @@
+-- =====================================================
+-- Blind review
+-- =====================================================
+-- A job can hide who applied until HR advances an application to a chosen
+-- pipeline stage. Until then HR sees a redacted resume (no name, contact
+-- details, links, photo, locations or graduation dates) and no resume file,
+-- and the LLM only scores the redacted resume. Every redaction sent to the
+-- LLM and every reveal is recorded in redaction_logs.
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS blind_review BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS blind_reveal_stage TEXT;
+
+-- First time HR advanced the application to the reveal stage; stays set if it is moved back
+ALTER TABLE resumes
+ADD COLUMN IF NOT EXISTS identity_revealed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS redaction_logs (
+  id BIGSERIAL PRIMARY KEY,
+  resume_id BIGINT NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+  job_id VARCHAR(255) NOT NULL,
+  event TEXT NOT NULL CHECK (event IN ('scoring', 'identity_revealed')),
+  -- Values removed per category, e.g. { "name": 1, "email": 2 } (never the values themselves)
+  removed JSONB,
+  -- The resume summary exactly as sent to the LLM
+  redacted_text TEXT,
+  -- Categories of identifying details still found in redacted_text (empty = verified clean)
+  leaks JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Stage that revealed the candidate (identity_revealed only)
+  stage TEXT,
+  performed_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_redaction_logs_resume_id ON redaction_logs(resume_id, created_at DESC);
+
+ALTER TABLE redaction_logs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN jobs.blind_review IS 'Hide candidate identities from HR and the LLM until the reveal stage';
+COMMENT ON COLUMN jobs.blind_reveal_stage IS 'Pipeline stage key that reveals the candidate (blind review only)';
+COMMENT ON COLUMN resumes.identity_revealed_at IS 'When HR first advanced a blind application to the reveal stage';
+COMMENT ON TABLE redaction_logs IS 'Blind review: resumes redacted before scoring and candidates revealed to HR';
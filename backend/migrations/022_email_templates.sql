@@ -0,0 +1,42 @@
+-- =====================================================
+-- Email templates and company branding
+-- =====================================================
+-- Outgoing emails are rendered from named templates with Handlebars-style
+-- tags (see src/utils/emailTemplate.js). The built-in versions live in
+-- src/utils/emailTemplateDefaults.js; this table stores edits to them:
+-- a row without company_id replaces the built-in template for the whole
+-- platform, a row with company_id overrides it for that company's emails.
+-- Deleting a row restores the template it replaced.
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id BIGSERIAL PRIMARY KEY,
+  template_key TEXT NOT NULL,
+  company_id BIGINT REFERENCES companies(id) ON DELETE CASCADE,
+  subject TEXT NOT NULL,
+  html_body TEXT NOT NULL,
+  updated_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One platform version and one version per company of each template
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_platform
+ON email_templates(template_key) WHERE company_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_company
+ON email_templates(company_id, template_key) WHERE company_id IS NOT NULL;
+
+-- Branding of the emails sent on behalf of a company (NULL = platform default)
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS email_sender_name TEXT,
+ADD COLUMN IF NOT EXISTS email_logo_url TEXT,
+ADD COLUMN IF NOT EXISTS email_primary_color TEXT,
+ADD COLUMN IF NOT EXISTS email_accent_color TEXT;
+
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE email_templates IS 'Edited email templates: platform-wide (company_id NULL) or per company';
+COMMENT ON COLUMN companies.email_sender_name IS 'Sender name of emails sent on behalf of the company (default: company name)';
+COMMENT ON COLUMN companies.email_logo_url IS 'Logo shown in the header of the company''s emails (https)';
+COMMENT ON COLUMN companies.email_primary_color IS 'Email header and button color (#rrggbb)';
+COMMENT ON COLUMN companies.email_accent_color IS 'Email header gradient end color (#rrggbb)';
@@ -0,0 +1,49 @@
+-- =====================================================
+-- Email outbox
+-- =====================================================
+-- Every outgoing email is rendered and stored here before it is sent.
+-- A `send-email` job on the email queue delivers it, retrying with
+-- exponential backoff; the row records each attempt. An idempotency key
+-- makes queueing the same email twice (e.g. when a pipeline stage is
+-- retried) return the existing row instead of sending a duplicate.
+--
+-- Status: queued (waiting or between retries) -> sent, or failed (no
+-- attempts left) / bounced (the mail server permanently rejected the
+-- recipient). Admins can resend failed and bounced emails.
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  idempotency_key TEXT UNIQUE,
+  template_key TEXT,
+  company_id BIGINT REFERENCES companies(id) ON DELETE SET NULL,
+  to_email TEXT NOT NULL,
+  from_name TEXT,
+  subject TEXT NOT NULL,
+  html_body TEXT NOT NULL,
+  text_body TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed', 'bounced')),
+  -- Delivery attempts over the email's lifetime, including resends
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  provider_message_id TEXT,
+  next_attempt_at TIMESTAMP,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_to_email ON email_outbox(to_email);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created_at ON email_outbox(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_email_outbox_updated_at ON email_outbox;
+CREATE TRIGGER update_email_outbox_updated_at
+  BEFORE UPDATE ON email_outbox
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE email_outbox IS 'Every outgoing email with its delivery status and attempts';
+COMMENT ON COLUMN email_outbox.idempotency_key IS 'Identifies the event an email is for (e.g. high-score-alert:<resumeId>); duplicates are not queued';
+COMMENT ON COLUMN email_outbox.provider_message_id IS 'Message ID returned by the SMTP server';
@@ -0,0 +1,74 @@
+-- =====================================================
+-- HR notification rules
+-- =====================================================
+-- HR users choose which scored applications they hear about instead of the
+-- fixed "score >= 80, one email per application" alert. A rule covers one job
+-- or every job of the owner's company, and matches applications by minimum
+-- score and required skills. Matches are sent instantly or bundled into an
+-- hourly or daily digest, by email to the rule owner and/or to a webhook URL,
+-- and at most daily_cap candidates per rule are sent in any 24 hours.
+--
+-- Jobs no active rule applies to keep the old alert to the job's HR email.
+
+CREATE TABLE IF NOT EXISTS notification_rules (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_profiles(id) ON DELETE CASCADE,
+  company_id BIGINT REFERENCES companies(id) ON DELETE CASCADE,
+  -- NULL = every job of the company
+  job_id VARCHAR(255) REFERENCES jobs(job_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  min_score INTEGER NOT NULL DEFAULT 80 CHECK (min_score BETWEEN 0 AND 100),
+  required_skills TEXT[] NOT NULL DEFAULT '{}',
+  delivery TEXT NOT NULL DEFAULT 'instant' CHECK (delivery IN ('instant', 'hourly', 'daily')),
+  -- NULL = no cap
+  daily_cap INTEGER CHECK (daily_cap IS NULL OR daily_cap > 0),
+  email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  webhook_url TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- When the next digest is due (digest rules only)
+  next_digest_at TIMESTAMP,
+  last_digest_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (email_enabled OR webhook_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_rules_user_id ON notification_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_rules_job_id ON notification_rules(job_id) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_notification_rules_company_id ON notification_rules(company_id) WHERE is_active AND job_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_rules_next_digest ON notification_rules(next_digest_at) WHERE is_active AND delivery <> 'instant';
+
+DROP TRIGGER IF EXISTS update_notification_rules_updated_at ON notification_rules;
+CREATE TRIGGER update_notification_rules_updated_at
+  BEFORE UPDATE ON notification_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per application a rule matched. The unique key makes a retried
+-- notification stage skip applications the rule already handled.
+-- Status: pending (waiting for the digest, or an instant send in progress)
+-- -> sent, or capped (over the rule's daily cap, never sent).
+CREATE TABLE IF NOT EXISTS notification_rule_matches (
+  id BIGSERIAL PRIMARY KEY,
+  rule_id BIGINT NOT NULL REFERENCES notification_rules(id) ON DELETE CASCADE,
+  resume_id BIGINT NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+  job_id VARCHAR(255) NOT NULL,
+  match_score INTEGER NOT NULL,
+  -- What the notification shows: { name, email, resume_url, key_highlights, matched_skills }
+  -- (already redacted for blind jobs)
+  candidate JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'capped')),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (rule_id, resume_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_rule_matches_rule ON notification_rule_matches(rule_id, status, created_at DESC);
+
+ALTER TABLE notification_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_rule_matches ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE notification_rules IS 'Which scored applications an HR user is notified about, and how';
+COMMENT ON COLUMN notification_rules.required_skills IS 'Skills the resume must mention (taxonomy synonyms match)';
+COMMENT ON COLUMN notification_rules.daily_cap IS 'Most candidates sent per rule in any 24 hours; later matches are recorded as capped';
+COMMENT ON TABLE notification_rule_matches IS 'Applications matched by a notification rule and whether they were sent';
@@ -0,0 +1,75 @@
+-- =====================================================
+-- Outbound webhooks
+-- =====================================================
+-- A company registers endpoints that receive application and job events
+-- (application.created, application.scored, application.stage_changed,
+-- job.published, job.closed). Each endpoint has its own signing secret:
+-- requests carry an HMAC-SHA256 signature of the body so the receiver can
+-- check that they came from us.
+--
+-- Every event sent to an endpoint is a row in webhook_deliveries. A
+-- `deliver-webhook` job on the webhooks queue posts it, retrying with
+-- exponential backoff; the row records each attempt. The event key makes
+-- emitting the same event twice (e.g. when a pipeline stage is retried)
+-- return the existing delivery instead of sending a duplicate.
+--
+-- Status: queued (waiting or between retries) -> delivered, or failed
+-- (no attempts left).
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  events TEXT[] NOT NULL,
+  -- Needed in plain text to sign requests; only returned when created or rotated
+  secret TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (cardinality(events) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_company ON webhook_endpoints(company_id);
+
+DROP TRIGGER IF EXISTS update_webhook_endpoints_updated_at ON webhook_endpoints;
+CREATE TRIGGER update_webhook_endpoints_updated_at
+  BEFORE UPDATE ON webhook_endpoints
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint_id BIGINT NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  event_key TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  duration_ms INTEGER,
+  next_attempt_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (endpoint_id, event_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at
+  BEFORE UPDATE ON webhook_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE webhook_endpoints IS 'Company URLs that receive signed application and job events';
+COMMENT ON COLUMN webhook_endpoints.events IS 'Event types sent to the endpoint';
+COMMENT ON TABLE webhook_deliveries IS 'Every event sent to a webhook endpoint with its delivery status and attempts';
+COMMENT ON COLUMN webhook_deliveries.event_key IS 'Identifies the event (e.g. application.scored:<scoreId>); an endpoint receives each event once';
@@ -0,0 +1,45 @@
+-- =====================================================
+-- Company API keys
+-- =====================================================
+-- Server-to-server access for a company's career site or internal tools,
+-- sent in the X-API-Key header instead of a user's Bearer token. A key is
+-- limited to its scopes (jobs:read, jobs:write, applications:read) and acts
+-- for the company member who created it: it stops working when that member
+-- leaves the company or is suspended.
+--
+-- Only a SHA-256 hash of the key is stored; the key itself is shown once when
+-- it is created or rotated. Revoked keys are kept (revoked_at) so the audit
+-- log can still name them.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- Start of the key, shown to tell keys apart
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  created_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMP,
+  revoked_by UUID REFERENCES users_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (cardinality(scopes) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_company ON api_keys(company_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at
+  BEFORE UPDATE ON api_keys
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE api_keys IS 'Company API keys for server-to-server access (X-API-Key header)';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 of the key; the key itself is never stored';
+COMMENT ON COLUMN api_keys.scopes IS 'What the key may do: jobs:read, jobs:write, applications:read';
+COMMENT ON COLUMN api_keys.created_by IS 'Member the key acts for; requests are audited under this user';
@@ -0,0 +1,35 @@
+-- =====================================================
+-- Resume check reservations
+-- =====================================================
+-- A resume check is recorded before the resume is parsed and scored, so
+-- checks that fail still count towards the candidate's limit. Counting and
+-- recording happen in one transaction under a per-candidate lock: parallel
+-- requests are let through one at a time and cannot all pass the limit.
+
+-- Record a resume check unless the candidate has used up their window;
+-- returns the recorded check, or no row when the limit is reached
+CREATE OR REPLACE FUNCTION reserve_resume_feedback_check(
+  p_user_id UUID,
+  p_job_id TEXT,
+  p_library_resume_id BIGINT,
+  p_limit INTEGER,
+  p_window_hours INTEGER
+)
+RETURNS SETOF resume_feedback_checks AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('resume_feedback_checks:' || p_user_id::TEXT));
+
+  IF (
+    SELECT COUNT(*) FROM resume_feedback_checks
+    WHERE user_id = p_user_id
+      AND created_at >= NOW() - make_interval(hours => p_window_hours)
+  ) >= p_limit THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO resume_feedback_checks (user_id, job_id, library_resume_id)
+  VALUES (p_user_id, p_job_id, p_library_resume_id)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
@@ -4,6 +4,8 @@ const logger = require('./utils/logger');
 const atsRoutes = require('./routes/ats.routes');
 const authRoutes = require('./routes/auth.routes');
 const adminRoutes = require('./routes/admin.routes');
+const companyRoutes = require('./routes/company.routes');
+const candidateRoutes = require('./routes/candidate.routes');
 
 // Create Express app
 const app = express();
@@ -25,6 +27,8 @@ app.use((req, res, next) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/company', companyRoutes);
+app.use('/api/candidate', candidateRoutes);
 app.use('/api/ats', atsRoutes);
 
 // Root endpoint
@@ -48,12 +52,63 @@ app.get('/', (req, res) => {
         rejectHR: 'POST /api/admin/hr-requests/:id/reject',
         users: 'GET /api/admin/users',
         dashboard: 'GET /api/admin/dashboard',
+        promptTemplates: 'GET/POST /api/admin/prompt-templates',
+        previewPromptTemplate: 'POST /api/admin/prompt-templates/preview',
+        activatePromptTemplate: 'POST /api/admin/prompt-templates/:id/activate',
+        rollbackPromptTemplate: 'POST /api/admin/prompt-templates/rollback',
+        jobPromptTemplates: 'GET/PUT /api/admin/jobs/:jobId/prompt-templates',
+        llmMetrics: 'GET /api/admin/llm-metrics',
+        redactionReport: 'GET /api/admin/applications/:applicationId/redaction',
+        emailTemplates: 'GET /api/admin/email-templates',
+        editEmailTemplate: 'PUT/DELETE /api/admin/email-templates/:key',
+        previewEmailTemplate: 'POST /api/admin/email-templates/:key/preview',
+        testEmailTemplate: 'POST /api/admin/email-templates/:key/test',
+        emailOutbox: 'GET /api/admin/email-outbox',
+        resendEmail: 'POST /api/admin/email-outbox/:id/resend',
+        queues: 'GET /api/admin/queues',
+        queueJobs: 'GET /api/admin/queues/:queue/jobs',
+        retryQueueJob: 'POST /api/admin/queues/:queue/jobs/:jobId/retry',
+      },
+      company: {
+        workspace: 'GET /api/company',
+        invite: 'POST /api/company/invites',
+        acceptInvite: 'POST /api/company/invites/:token/accept',
+        updateMember: 'PATCH /api/company/members/:userId',
+        removeMember: 'DELETE /api/company/members/:userId',
+        branding: 'GET/PUT /api/company/branding',
+        emailTemplates: 'GET /api/company/email-templates',
+        editEmailTemplate: 'PUT/DELETE /api/company/email-templates/:key',
+        previewEmailTemplate: 'POST /api/company/email-templates/:key/preview',
+        testEmailTemplate: 'POST /api/company/email-templates/:key/test',
+        webhooks: 'GET/POST /api/company/webhooks',
+        editWebhook: 'PUT/DELETE /api/company/webhooks/:endpointId',
+        rotateWebhookSecret: 'POST /api/company/webhooks/:endpointId/rotate-secret',
+        testWebhook: 'POST /api/company/webhooks/:endpointId/test',
+        webhookDeliveries: 'GET /api/company/webhooks/:endpointId/deliveries',
+        apiKeys: 'GET/POST /api/company/api-keys',
+        editApiKey: 'PUT/DELETE /api/company/api-keys/:keyId',
+        rotateApiKey: 'POST /api/company/api-keys/:keyId/rotate',
+      },
+      candidate: {
+        profile: 'GET /api/candidate/profile',
+        updateProfile: 'PUT /api/candidate/profile',
+        resumes: 'GET /api/candidate/resumes',
+        uploadResume: 'POST /api/candidate/resumes',
+        updateResume: 'PATCH /api/candidate/resumes/:resumeId',
+        deleteResume: 'DELETE /api/candidate/resumes/:resumeId',
+        resumeCheck: 'POST /api/candidate/jobs/:jobId/resume-check',
       },
       ats: {
         health: '/api/ats/health',
         parseAndScore: 'POST /api/ats/parse-and-score',
+        applicationStatus: 'GET /api/ats/applications/:applicationId/status',
+        scoreVersions: 'GET /api/ats/applications/:applicationId/scores',
         jobScores: 'GET /api/ats/jobs/:jobId/scores',
         topCandidates: 'GET /api/ats/jobs/:jobId/top-candidates',
+        rescore: 'POST /api/ats/jobs/:jobId/rescore',
+        rescoreStatus: 'GET /api/ats/jobs/:jobId/rescore',
+        notificationRules: 'GET/POST /api/ats/notification-rules',
+        editNotificationRule: 'PUT/DELETE /api/ats/notification-rules/:ruleId',
         resume: 'GET /api/ats/resumes/:resumeId',
         deleteResume: 'DELETE /api/ats/resumes/:resumeId',
       },
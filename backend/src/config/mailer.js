@@ -34,14 +34,15 @@ transporter.verify((error, success) => {
 
 /**
  * Send email
- * @param {object} mailOptions - Email options (to, subject, text, html)
+ * @param {object} mailOptions - Email options (to, subject, text, html, fromName)
  * @returns {Promise<object>} Send result
  */
 const sendEmail = async (mailOptions) => {
   try {
+    const { fromName, ...options } = mailOptions;
     const defaultOptions = {
-      from: `"ATS Score Engine" <${process.env.SMTP_USER}>`,
-      ...mailOptions,
+      from: `"${fromName || 'ATS Score Engine'}" <${process.env.SMTP_USER}>`,
+      ...options,
     };
 
     const info = await transporter.sendMail(defaultOptions);
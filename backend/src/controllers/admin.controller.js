@@ -1,10 +1,15 @@
 const adminService = require('../services/admin.service');
+const blindReviewService = require('../services/blindReview.service');
+const { diffRecords } = require('../services/audit.service');
 const logger = require('../utils/logger');
 
 /**
  * Admin Controller - Handles admin operations
  */
 
+// HR request columns worth keeping in the audit diff
+const HR_REQUEST_AUDIT_FIELDS = ['status', 'reviewed_by', 'reviewed_at', 'rejection_reason', 'notes'];
+
 /**
  * Get pending HR requests
  * GET /api/admin/hr-requests
@@ -79,7 +84,7 @@ const approveHRRequest = async (req, res) => {
       });
     }
 
-    const result = await adminService.approveHRRequest(
+    const { previous, ...result } = await adminService.approveHRRequest(
       parseInt(id, 10),
       req.user.id,
       {
@@ -91,6 +96,13 @@ const approveHRRequest = async (req, res) => {
 
     logger.info(`HR request approved: ${id} by admin ${req.user.email}`);
 
+    res.locals.audit.details = {
+      changes: diffRecords(previous, result.request, HR_REQUEST_AUDIT_FIELDS),
+      targetUserId: previous.user_id,
+      role: { before: 'hr_pending', after: 'hr_approved' },
+      companyId: result.company?.id || null,
+    };
+
     return res.status(200).json({
       success: true,
       data: result,
@@ -142,7 +154,7 @@ const rejectHRRequest = async (req, res) => {
       });
     }
 
-    const result = await adminService.rejectHRRequest(
+    const { previous, ...result } = await adminService.rejectHRRequest(
       parseInt(id, 10),
       req.user.id,
       reason,
@@ -151,6 +163,11 @@ const rejectHRRequest = async (req, res) => {
 
     logger.info(`HR request rejected: ${id} by admin ${req.user.email}`);
 
+    res.locals.audit.details = {
+      changes: diffRecords(previous, result.request, HR_REQUEST_AUDIT_FIELDS),
+      targetUserId: previous.user_id,
+    };
+
     return res.status(200).json({
       success: true,
       data: result,
@@ -271,12 +288,17 @@ const updateUserRole = async (req, res) => {
       });
     }
 
-    const updatedUser = await adminService.updateUserRole(
+    const { user: updatedUser, previous } = await adminService.updateUserRole(
       userId,
       role,
       req.user.id
     );
 
+    res.locals.audit.details = {
+      changes: diffRecords(previous, updatedUser, ['role']),
+      targetEmail: previous.email,
+    };
+
     return res.status(200).json({
       success: true,
       data: updatedUser,
@@ -329,12 +351,18 @@ const suspendUser = async (req, res) => {
       });
     }
 
-    const result = await adminService.suspendUser(
+    const { previous, ...result } = await adminService.suspendUser(
       userId,
       req.user.id,
       reason
     );
 
+    res.locals.audit.details = {
+      changes: diffRecords(previous, result.user, ['status']),
+      targetEmail: previous.email,
+      reason,
+    };
+
     return res.status(200).json({
       success: true,
       data: result,
@@ -378,11 +406,16 @@ const reactivateUser = async (req, res) => {
       });
     }
 
-    const result = await adminService.reactivateUser(
+    const { previous, ...result } = await adminService.reactivateUser(
       userId,
       req.user.id
     );
 
+    res.locals.audit.details = {
+      changes: diffRecords(previous, result.user, ['status']),
+      targetEmail: previous.email,
+    };
+
     return res.status(200).json({
       success: true,
       data: result,
@@ -426,6 +459,108 @@ const getDashboard = async (req, res) => {
   }
 };
 
+/**
+ * Browse the audit log
+ * GET /api/admin/audit-logs
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, action, resourceType, resourceId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates',
+      });
+    }
+
+    const result = await adminService.getAuditLogs({
+      actor,
+      action,
+      resourceType,
+      resourceId,
+      from,
+      to,
+      page,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        logs: result.logs,
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit logs',
+    });
+  }
+};
+
+/**
+ * LLM scoring response validation metrics
+ * GET /api/admin/llm-metrics
+ */
+const getLLMMetrics = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const metrics = await adminService.getLLMMetrics(days);
+
+    return res.status(200).json({
+      success: true,
+      data: { days, ...metrics },
+    });
+  } catch (error) {
+    logger.error('Get LLM metrics error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch LLM metrics',
+    });
+  }
+};
+
+/**
+ * Check what blind review redacted for an application
+ * GET /api/admin/applications/:applicationId/redaction
+ */
+const getRedactionReport = async (req, res) => {
+  try {
+    const report = await blindReviewService.getRedactionReport(parseInt(req.params.applicationId, 10));
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Get redaction report error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch redaction report',
+    });
+  }
+};
+
 module.exports = {
   getPendingHRRequests,
   getAllHRRequests,
@@ -438,4 +573,7 @@ module.exports = {
   suspendUser,
   reactivateUser,
   getDashboard,
+  getAuditLogs,
+  getLLMMetrics,
+  getRedactionReport,
 };
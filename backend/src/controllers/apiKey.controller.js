@@ -0,0 +1,153 @@
+const apiKeyService = require('../services/apiKey.service');
+const { diffRecords } = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * API Key Controller - Company API keys for server-to-server access
+ * Routes sit behind requireCompanyAccess, which sets req.companyId.
+ */
+
+// Service error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Invalid API key settings', 400],
+  ['has been revoked', 409],
+  ['Only company members', 403],
+];
+
+// Key fields recorded in the audit log (never the hash)
+const AUDIT_FIELDS = ['name', 'scopes', 'key_prefix', 'created_by', 'revoked_at'];
+
+/**
+ * Respond to a failed API key operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the API key service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * List the company's API keys, revoked ones included
+ * GET /api/company/api-keys
+ */
+const getKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.companyId);
+
+    return res.status(200).json({
+      success: true,
+      data: keys,
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    return sendError(res, error, 'Failed to fetch API keys');
+  }
+};
+
+/**
+ * Create an API key that acts for the requesting member
+ * POST /api/company/api-keys
+ */
+const createKey = async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeyService.createKey(req.companyId, req.user, req.body);
+
+    res.locals.audit.resourceId = apiKey.id;
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(null, apiKey, AUDIT_FIELDS) };
+
+    return res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it is not shown again.',
+      data: { apiKey, key },
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    return sendError(res, error, 'Failed to create API key');
+  }
+};
+
+/**
+ * Rename an API key or change its scopes
+ * PUT /api/company/api-keys/:keyId
+ */
+const updateKey = async (req, res) => {
+  try {
+    const { apiKey, previous } = await apiKeyService.updateKey(req.companyId, req.params.keyId, req.body);
+
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(previous, apiKey, AUDIT_FIELDS) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key saved',
+      data: apiKey,
+    });
+  } catch (error) {
+    logger.error('Update API key error:', error);
+    return sendError(res, error, 'Failed to save API key');
+  }
+};
+
+/**
+ * Replace an API key with a new one
+ * POST /api/company/api-keys/:keyId/rotate
+ */
+const rotateKey = async (req, res) => {
+  try {
+    const { apiKey, previous, key } = await apiKeyService.rotateKey(req.companyId, req.params.keyId);
+
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(previous, apiKey, ['key_prefix']) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key rotated. The old key no longer works; copy the new one now.',
+      data: { apiKey, key },
+    });
+  } catch (error) {
+    logger.error('Rotate API key error:', error);
+    return sendError(res, error, 'Failed to rotate API key');
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/company/api-keys/:keyId
+ */
+const revokeKey = async (req, res) => {
+  try {
+    const { apiKey, previous } = await apiKeyService.revokeKey(req.companyId, req.params.keyId, req.user.id);
+
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(previous, apiKey, AUDIT_FIELDS) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey,
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    return sendError(res, error, 'Failed to revoke API key');
+  }
+};
+
+module.exports = {
+  getKeys,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey,
+};
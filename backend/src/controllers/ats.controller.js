@@ -1,9 +1,30 @@
 const { uploadFile } = require('../config/cloudinary');
-const { parseResume } = require('../services/resumeParser.service');
-const { calculateATSScore } = require('../services/atsScoring.service');
-const { sendHRNotification, sendCandidateConfirmation } = require('../services/email.service');
+const { parsingQueue, emailQueue } = require('../utils/queue');
 const atsModel = require('../models/ats.model');
 const jobsModel = require('../models/jobs.model');
+const companyModel = require('../models/company.model');
+const candidateService = require('../services/candidate.service');
+const rescoreService = require('../services/rescore.service');
+const blindReviewService = require('../services/blindReview.service');
+const webhookService = require('../services/webhook.service');
+const { isSupportedProvider, SUPPORTED_PROVIDERS } = require('../services/llm');
+const { validateJobCriteria, toPublicQuestion, evaluateScreeningAnswers, WORK_MODES } = require('../utils/jobCriteria');
+const {
+  resolvePipeline, findStage, getEntryStage, validatePipelineStages, CANDIDATE_STAGE,
+} = require('../utils/pipeline');
+const { validateBlindReviewSettings, reachesRevealStage } = require('../utils/blindReview');
+const { diffRecords } = require('../services/audit.service');
+const { COMPANY_PERMISSIONS, hasCompanyPermission, canAccessJob } = require('../utils/companyRoles');
+const { getCompanyMembership } = require('../middleware/role.middleware');
+const {
+  JOB_STATUSES,
+  PUBLIC_JOB_STATUSES,
+  TRANSITION_REASONS,
+  normalizeClosingDate,
+  isPastClosingDate,
+  resolveInitialStatus,
+  planTransition,
+} = require('../utils/jobLifecycle');
 const logger = require('../utils/logger');
 const fs = require('fs').promises;
 
@@ -11,395 +32,1350 @@ const fs = require('fs').promises;
  * ATS Controller - Job Management and Applications
  */
 
+/**
+ * Hide knock-out answers from everyone outside the job's company (admins see them too)
+ * @param {object} job - Job record
+ * @param {object|null} user - Requesting user (optional auth)
+ * @param {object|null} membership - Requesting user's company membership
+ * @returns {object} Job as returned to the requester
+ */
+const toJobResponse = (job, user, membership = null) => {
+  if (!job.criteria || canAccessJob(user, membership, job, COMPANY_PERMISSIONS.VIEW)) {
+    return job;
+  }
+
+  return {
+    ...job,
+    criteria: {
+      ...job.criteria,
+      knockout_questions: (job.criteria.knockout_questions || []).map(toPublicQuestion),
+    },
+  };
+};
+
+// Application columns kept in the audit log when an application is deleted (no resume contents)
+const APPLICATION_AUDIT_FIELDS = ['id', 'job_id', 'candidate_user_id', 'application_status', 'pipeline_stage', 'uploaded_at'];
+
+// Job columns kept in the audit log when a job changes status
+const JOB_LIFECYCLE_AUDIT_FIELDS = ['status', 'publish_at', 'published_at', 'closing_date', 'closed_at', 'close_reason'];
+
+// Longest message HR can add to the candidate's stage change email
+const MAX_CANDIDATE_MESSAGE_LENGTH = 2000;
+
+// Scoring model override fields, strings when set
+const LLM_OVERRIDE_FIELDS = ['llmProvider', 'llmModel'];
+
+/**
+ * Whether a required text field is missing, empty or only whitespace
+ * @param {*} value - Raw value from the request
+ * @returns {boolean} True when the value is not usable text
+ */
+const isBlankText = (value) => typeof value !== 'string' || !value.trim();
+
+/**
+ * Find a scoring model override field that is set to something other than a string
+ * @param {object} body - Request body
+ * @returns {string|undefined} Field name, undefined when all are valid
+ */
+const findInvalidLlmOverride = (body) => LLM_OVERRIDE_FIELDS.find(
+  (field) => body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string',
+);
+
+/**
+ * Parse an optional application limit
+ * @param {*} value - Raw value from the request
+ * @returns {number|null|undefined} Limit, null for no limit, undefined when invalid
+ */
+const parseMaxApplications = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+/**
+ * Get the hiring pipeline of the company that owns a job
+ * @param {object} job - Job record
+ * @returns {Promise<object[]>} Pipeline stages
+ */
+const getPipelineForJob = async (job) => (
+  resolvePipeline(job.company_id ? await jobsModel.getCompanyPipeline(job.company_id) : null)
+);
+
 /**
  * Create a new job posting (HR/Admin only)
  */
 const createJob = async (req, res) => {
   try {
-    const { title, description, requirements, companyId, location, salaryRange, employmentType, closingDate } = req.body;
+    const {
+      title, description, requirements, companyId, location, salaryRange, employmentType, closingDate,
+      llmProvider, llmModel, criteria, workMode, status, publishAt, maxApplications, blindReview, blindRevealStage,
+    } = req.body;
     const userId = req.user.id; // HR user creating the job
 
-    // Validation
-    if (!title || !description) {
+    // Validation
+    if (isBlankText(title) || isBlankText(description)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title and description are required',
+      });
+    }
+
+    const invalidLlmField = findInvalidLlmOverride(req.body);
+
+    if (invalidLlmField) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidLlmField} must be a string`,
+      });
+    }
+
+    if (llmProvider && !isSupportedProvider(llmProvider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid LLM provider. Supported: ${SUPPORTED_PROVIDERS.join(', ')}`,
+      });
+    }
+
+    if (workMode && !WORK_MODES.includes(workMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid work mode. Supported: ${WORK_MODES.join(', ')}`,
+      });
+    }
+
+    const { value: jobCriteria, error: criteriaError } = validateJobCriteria(criteria);
+
+    if (criteriaError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid job criteria: ${criteriaError}`,
+      });
+    }
+
+    const { value: initial, error: statusError } = resolveInitialStatus({ status, publishAt });
+
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        error: statusError,
+      });
+    }
+
+    const closingDateToUse = normalizeClosingDate(closingDate);
+
+    if (closingDateToUse === undefined || isPastClosingDate({ closing_date: closingDateToUse })) {
+      return res.status(400).json({
+        success: false,
+        error: 'closingDate must be a date in the future',
+      });
+    }
+
+    const maxApplicationsToUse = parseMaxApplications(maxApplications);
+
+    if (maxApplicationsToUse === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxApplications must be a positive whole number',
+      });
+    }
+
+    // HR post for their own company; admins may post for any company
+    const membership = await getCompanyMembership(req);
+    const companyIdToUse = req.user.role === 'admin' ? companyId || null : membership?.company_id;
+
+    if (req.user.role !== 'admin' && !hasCompanyPermission(membership?.role, COMPANY_PERMISSIONS.MANAGE_JOBS)) {
+      return res.status(403).json({
+        success: false,
+        error: membership
+          ? 'Your company role does not allow posting jobs'
+          : 'Your account is not linked to a company',
+      });
+    }
+
+    const company = companyIdToUse ? await companyModel.getCompanyById(companyIdToUse) : null;
+
+    if (companyIdToUse && !company) {
+      return res.status(400).json({
+        success: false,
+        error: 'Company not found',
+      });
+    }
+
+    const { value: blindSettings, error: blindError } = validateBlindReviewSettings(
+      { blindReview, blindRevealStage },
+      {},
+      resolvePipeline(companyIdToUse ? await jobsModel.getCompanyPipeline(companyIdToUse) : null),
+    );
+
+    if (blindError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid blind review settings: ${blindError}`,
+      });
+    }
+
+    // Generate unique jobId
+    const jobId = `JOB-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
+
+    // Get HR user's details for contact
+    const hrEmail = req.user.email;
+    const hrName = req.user.fullName || req.user.email;
+
+    // Create or update job
+    const job = await jobsModel.createOrUpdateJob({
+      jobId,
+      companyId: companyIdToUse,
+      companyName: company?.name || 'Company',
+      title,
+      description,
+      requirements,
+      location,
+      salaryRange,
+      employmentType,
+      closingDate: closingDateToUse,
+      llmProvider: llmProvider ? llmProvider.toLowerCase() : null,
+      llmModel,
+      criteria: jobCriteria,
+      workMode,
+      blindReview: blindSettings.blind_review,
+      blindRevealStage: blindSettings.blind_reveal_stage,
+      hrEmail,
+      hrName,
+      createdBy: userId,
+      status: initial.status,
+      publishAt: initial.publishAt,
+      publishedAt: initial.status === 'active' ? new Date().toISOString() : null,
+      maxApplications: maxApplicationsToUse,
+    });
+
+    await jobsModel.recordJobStatusChange({
+      jobId,
+      fromStatus: null,
+      toStatus: job.status,
+      reason: TRANSITION_REASONS.CREATED,
+      changedBy: userId,
+      details: job.publish_at ? { publish_at: job.publish_at } : null,
+    });
+
+    if (job.status === 'active') {
+      await webhookService.emitJobEvent('job.published', job, TRANSITION_REASONS.CREATED);
+    }
+
+    logger.info(`Job created: ${jobId} (${job.status}) by user ${userId}`);
+
+    res.locals.audit.resourceId = jobId;
+    res.locals.audit.details = { changes: diffRecords(null, job) };
+
+    const messages = {
+      draft: 'Job saved as draft',
+      scheduled: 'Job scheduled for publishing',
+      active: 'Job created successfully',
+    };
+
+    res.status(201).json({
+      success: true,
+      message: messages[job.status],
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Error creating job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create job',
+      message: error.message,
+    });
+  }
+};
+
+const JOB_SORTS = ['relevance', 'date', 'closing_date'];
+
+/**
+ * Parse an optional non-negative integer query parameter
+ * @param {string|undefined} value - Raw query value
+ * @returns {number|null|undefined} Parsed number, null when absent, undefined when invalid
+ */
+const parseOptionalCount = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+};
+
+/**
+ * Search jobs (public - candidates can view)
+ * Query: q, status (default active, "all" for any visible status), location, employmentType, workMode,
+ * salaryMin, salaryMax, postedWithin (days), company, companyId, sort, page, limit
+ */
+const getAllJobs = async (req, res) => {
+  try {
+    const {
+      q, status = 'active', location, employmentType, workMode, company,
+    } = req.query;
+    const query = typeof q === 'string' ? q.trim() : '';
+    const sort = req.query.sort || (query ? 'relevance' : 'date');
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const salaryMin = parseOptionalCount(req.query.salaryMin);
+    const salaryMax = parseOptionalCount(req.query.salaryMax);
+    const postedWithin = parseOptionalCount(req.query.postedWithin);
+    const companyId = parseOptionalCount(req.query.companyId);
+
+    if (status !== 'all' && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Supported: all, ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    // Drafts and scheduled jobs are only listed for admins and members of the job's company
+    const membership = req.user?.role === 'hr_approved' ? await getCompanyMembership(req) : null;
+    const isAdmin = req.user?.role === 'admin';
+    const isOwnCompany = Boolean(membership) && companyId === membership.company_id;
+    const canSeeUnpublished = isAdmin || isOwnCompany;
+
+    if (!canSeeUnpublished && status !== 'all' && !PUBLIC_JOB_STATUSES.includes(status)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Draft and scheduled jobs can only be browsed for your own company (pass your companyId)',
+      });
+    }
+
+    if (!JOB_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Supported: ${JOB_SORTS.join(', ')}`,
+      });
+    }
+
+    if (workMode && !WORK_MODES.includes(workMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid work mode. Supported: ${WORK_MODES.join(', ')}`,
+      });
+    }
+
+    if ([salaryMin, salaryMax, postedWithin, companyId].includes(undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'salaryMin, salaryMax, postedWithin and companyId must be non-negative whole numbers',
+      });
+    }
+
+    if (salaryMin !== null && salaryMax !== null && salaryMin > salaryMax) {
+      return res.status(400).json({
+        success: false,
+        error: 'salaryMin cannot be greater than salaryMax',
+      });
+    }
+
+    const result = await jobsModel.searchJobs({
+      query,
+      statuses: status !== 'all' ? [status] : (canSeeUnpublished ? null : PUBLIC_JOB_STATUSES),
+      location,
+      employmentType,
+      workMode,
+      company,
+      companyId,
+      salaryMin,
+      salaryMax,
+      postedAfter: postedWithin !== null
+        ? new Date(Date.now() - postedWithin * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      sort,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: result.jobs.map((job) => toJobResponse(job, req.user, membership)),
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get specific job by ID (public)
+ */
+const getJobById = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await jobsModel.getJobByJobId(jobId);
+    const membership = await getCompanyMembership(req);
+    const isMember = Boolean(job) && canAccessJob(req.user, membership, job, COMPANY_PERMISSIONS.VIEW);
+
+    // Drafts and scheduled jobs are hidden from everyone outside the job's company
+    if (!job || (!PUBLIC_JOB_STATUSES.includes(job.status) && !isMember)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toJobResponse(job, req.user, membership),
+    });
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      message: error.message,
+    });
+  }
+};
+
+// Updatable job fields: request field -> column
+const JOB_UPDATE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  requirements: 'requirements',
+  location: 'location',
+  salaryRange: 'salary_range',
+  employmentType: 'employment_type',
+  closingDate: 'closing_date',
+  maxApplications: 'max_applications',
+  workMode: 'work_mode',
+  llmProvider: 'llm_provider',
+  llmModel: 'llm_model',
+};
+
+// Updatable job fields that are NOT NULL and cannot be cleared
+const REQUIRED_JOB_UPDATE_FIELDS = ['title', 'description'];
+
+/**
+ * Update job posting (HR/Admin only - needs the manage_jobs company permission)
+ */
+const updateJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+
+    const blankField = REQUIRED_JOB_UPDATE_FIELDS.find(
+      (field) => req.body[field] !== undefined && isBlankText(req.body[field]),
+    );
+
+    if (blankField) {
+      return res.status(400).json({
+        success: false,
+        error: `${blankField} cannot be empty`,
+      });
+    }
+
+    const invalidLlmField = findInvalidLlmOverride(req.body);
+
+    if (invalidLlmField) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidLlmField} must be a string`,
+      });
+    }
+
+    // Map request fields (camelCase, as sent on create) to columns; an empty optional field is cleared
+    const updates = {};
+    Object.entries(JOB_UPDATE_FIELDS).forEach(([field, column]) => {
+      if (req.body[field] !== undefined) {
+        const clearable = !REQUIRED_JOB_UPDATE_FIELDS.includes(field);
+        updates[column] = clearable && req.body[field] === '' ? null : req.body[field];
+      }
+    });
+
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use PATCH /api/ats/jobs/:jobId/status to change a job\'s status',
+      });
+    }
+
+    if (updates.closing_date !== undefined) {
+      updates.closing_date = normalizeClosingDate(updates.closing_date);
+
+      if (updates.closing_date === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'closingDate must be a valid date',
+        });
+      }
+    }
+
+    if (updates.max_applications !== undefined) {
+      updates.max_applications = parseMaxApplications(updates.max_applications);
+
+      if (updates.max_applications === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxApplications must be a positive whole number',
+        });
+      }
+    }
+
+    // Scoring model override (empty value resets to the deployment default)
+    if (updates.llm_provider) {
+      if (!isSupportedProvider(updates.llm_provider)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid LLM provider. Supported: ${SUPPORTED_PROVIDERS.join(', ')}`,
+        });
+      }
+      updates.llm_provider = updates.llm_provider.toLowerCase();
+    }
+
+    if (updates.work_mode && !WORK_MODES.includes(updates.work_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid work mode. Supported: ${WORK_MODES.join(', ')}`,
+      });
+    }
+
+    if (req.body.criteria !== undefined) {
+      const { value: jobCriteria, error: criteriaError } = validateJobCriteria(req.body.criteria);
+
+      if (criteriaError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid job criteria: ${criteriaError}`,
+        });
+      }
+
+      updates.criteria = jobCriteria;
+    }
+
+    // Loaded and authorized by requireJobAccess
+    const existingJob = req.job;
+
+    const { value: blindSettings, error: blindError } = validateBlindReviewSettings(
+      { blindReview: req.body.blindReview, blindRevealStage: req.body.blindRevealStage },
+      existingJob,
+      await getPipelineForJob(existingJob),
+    );
+
+    if (blindError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid blind review settings: ${blindError}`,
+      });
+    }
+
+    Object.assign(updates, blindSettings);
+
+    let job = await jobsModel.updateJob(jobId, updates);
+
+    // A lowered application limit may already be reached
+    if (updates.max_applications) {
+      const closedJob = await jobsModel.closeJobIfFull(jobId);
+
+      if (closedJob) {
+        job = closedJob;
+        await webhookService.emitJobEvent('job.closed', job, TRANSITION_REASONS.MAX_APPLICATIONS);
+      }
+    }
+
+    logger.info(`Job updated: ${jobId} by user ${userId}`);
+
+    // Scores computed against the old description are re-run in the background
+    const rescoreRun = await rescoreService.rescoreIfJobTextChanged(existingJob, job, userId);
+
+    res.locals.audit.details = {
+      changes: diffRecords(existingJob, job),
+      ...(rescoreRun && { rescoreRunId: rescoreRun.id }),
+    };
+
+    res.status(200).json({
+      success: true,
+      message: rescoreRun
+        ? `Job updated successfully. Re-scoring ${rescoreRun.total} applications.`
+        : 'Job updated successfully',
+      data: job,
+      rescoreRun,
+    });
+  } catch (error) {
+    logger.error('Error updating job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update job',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Change a job's lifecycle status (HR/Admin only - needs the manage_jobs company permission)
+ * PATCH /api/ats/jobs/:jobId/status
+ * Body: { status, publishAt, closingDate, note }
+ * - draft/scheduled -> active: publish now
+ * - draft/scheduled -> scheduled: schedule for publishAt
+ * - scheduled -> draft: cancel the schedule
+ * - active -> closed: close
+ * - active -> active with closingDate: extend
+ * - closed -> active: reopen (needs a future closingDate if the old one has passed)
+ */
+const updateJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { status, publishAt, closingDate, note } = req.body;
+    const userId = req.user.id;
+
+    if (!JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Supported: ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    const existingJob = req.job;
+
+    const { value: transition, error: transitionError } = planTransition(existingJob, {
+      status,
+      publishAt,
+      closingDate,
+    });
+
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        error: transitionError,
+      });
+    }
+
+    const changes = diffRecords(existingJob, { ...existingJob, ...transition.updates }, JOB_LIFECYCLE_AUDIT_FIELDS);
+
+    const job = await jobsModel.transitionJobStatus(jobId, {
+      fromStatus: existingJob.status,
+      updates: transition.updates,
+      reason: transition.reason,
+      changedBy: userId,
+      details: note ? { note, changes } : { changes },
+    });
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'The job status was changed by someone else. Reload and try again.',
+      });
+    }
+
+    // Extending or rescheduling is not news to the company's webhooks
+    if (job.status !== existingJob.status && ['active', 'closed'].includes(job.status)) {
+      await webhookService.emitJobEvent(job.status === 'active' ? 'job.published' : 'job.closed', job, transition.reason);
+    }
+
+    res.locals.audit.details = { reason: transition.reason, changes };
+
+    res.status(200).json({
+      success: true,
+      message: `Job ${transition.reason === TRANSITION_REASONS.EXTEND ? 'extended' : `moved to ${job.status}`}`,
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Error changing job status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change job status',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the status history of a job (HR/Admin only - members of the job's company)
+ * GET /api/ats/jobs/:jobId/status-history
+ */
+const getJobStatusHistory = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const history = await jobsModel.getJobStatusHistory(jobId);
+
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    logger.error('Error fetching job status history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job status history',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Delete job posting (HR/Admin only - needs the manage_jobs company permission)
+ */
+const deleteJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+
+    // Loaded and authorized by requireJobAccess
+    const existingJob = req.job;
+
+    await jobsModel.deleteJob(jobId);
+
+    logger.info(`Job deleted: ${jobId} by user ${userId}`);
+
+    res.locals.audit.details = { changes: diffRecords(existingJob, null) };
+
+    res.status(200).json({
+      success: true,
+      message: 'Job deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete job',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Apply for a job (Candidate only)
+ * Checks knock-out answers, stores the uploaded resume (or reuses a library resume and its cached
+ * parse) and queues parsing, scoring and notification.
+ * Applications failing a knock-out question are stored as `screened_out` and not scored.
+ * Responds with 202 as soon as the application is recorded.
+ */
+const applyForJob = async (req, res) => {
+  let uploadedFilePath = null;
+
+  try {
+    uploadedFilePath = req.file ? req.file.path : null;
+
+    const libraryResumeId = req.body.resumeId || null;
+
+    // Either a fresh upload or a resume from the candidate's library
+    if (!req.file && !libraryResumeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a resume or choose one from your library (resumeId)',
+      });
+    }
+
+    if (req.file && libraryResumeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send either a resume file or a resumeId, not both',
+      });
+    }
+
+    const { jobId } = req.params;
+    const candidateUserId = req.user.id;
+    const candidateEmail = req.user.email;
+    const candidateName = req.user.fullName || req.user.email;
+
+    let libraryResume = null;
+    if (libraryResumeId) {
+      try {
+        libraryResume = await candidateService.getOwnLibraryResume(candidateUserId, libraryResumeId);
+      } catch (lookupError) {
+        if (!lookupError.message.includes('not found')) {
+          throw lookupError;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Resume not found in your library',
+        });
+      }
+    }
+
+    // Get job details
+    const job = await jobsModel.getJobByJobId(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    // The lifecycle worker closes expired jobs periodically; don't accept applications in between
+    if (job.status !== 'active' || isPastClosingDate(job)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This job is no longer accepting applications',
+      });
+    }
+
+    // Check if candidate already applied (failed applications may be resubmitted)
+    const existingApplication = await atsModel.getApplicationByUserAndJob(candidateUserId, jobId);
+    if (existingApplication) {
+      if (existingApplication.application_status !== 'failed') {
+        return res.status(400).json({
+          success: false,
+          error: 'You have already applied for this job',
+        });
+      }
+
+      await atsModel.deleteResume(existingApplication.id);
+    }
+
+    // Knock-out questions (multipart bodies carry the answers as a JSON string)
+    let screeningAnswers = req.body.screeningAnswers || {};
+    if (typeof screeningAnswers === 'string') {
+      try {
+        screeningAnswers = JSON.parse(screeningAnswers);
+      } catch (parseError) {
+        screeningAnswers = null;
+      }
+    }
+
+    const screening = screeningAnswers
+      ? evaluateScreeningAnswers(job.criteria?.knockout_questions, screeningAnswers)
+      : { error: 'screeningAnswers must be valid JSON' };
+
+    if (screening.error) {
+      return res.status(400).json({
+        success: false,
+        error: screening.error,
+      });
+    }
+
+    const isScreenedOut = screening.failed.length > 0;
+    const pipeline = await getPipelineForJob(job);
+
+    logger.info(`Receiving application for job ${jobId} from candidate ${candidateUserId}`);
+
+    // Step 1: Store the file (library resumes are already stored)
+    let resumeUrl = libraryResume?.cloudinary_url;
+
+    if (!libraryResume) {
+      const cloudinaryResult = await uploadFile(uploadedFilePath);
+      resumeUrl = cloudinaryResult.secure_url;
+
+      logger.info('Resume uploaded to Cloudinary:', resumeUrl);
+    }
+
+    // Step 2: Record the application in the received (or screened_out) state
+    const resume = await atsModel.createResume({
+      jobId,
+      candidateUserId,
+      cloudinaryUrl: resumeUrl,
+      originalFilename: libraryResume ? libraryResume.original_filename : req.file.originalname,
+      libraryResumeId: libraryResume?.id,
+      // A cached parse lets the pipeline skip straight to scoring
+      parsedData: libraryResume?.parsed_data,
+      applicationStatus: isScreenedOut ? 'screened_out' : 'received',
+      statusReason: isScreenedOut ? `Did not meet screening requirement: ${screening.failed[0].question}` : null,
+      screeningAnswers: screening.answers.length > 0 ? screening.answers : null,
+      pipelineStage: getEntryStage(pipeline, isScreenedOut),
+    });
+
+    logger.info(`Application ${isScreenedOut ? 'screened out' : 'received'} with ID: ${resume.id}`);
+
+    await webhookService.emitApplicationEvent('application.created', {
+      application: resume,
+      job,
+      key: resume.id,
+      candidate: { name: candidateName, email: candidateEmail },
+    });
+
+    // Step 3: Queue parsing (which queues scoring, then notification)
+    if (!isScreenedOut) {
+      try {
+        await parsingQueue.add('parse-resume', {
+          resumeId: resume.id,
+          candidateEmail,
+          candidateName,
+        });
+      } catch (queueError) {
+        await atsModel.updateApplicationStatus(resume.id, 'failed', `Could not queue processing: ${queueError.message}`);
+        throw queueError;
+      }
+    }
+
+    // Close the job once it reaches its application limit
+    try {
+      const closedJob = await jobsModel.closeJobIfFull(jobId);
+      if (closedJob) {
+        logger.info(`Job ${jobId} closed after reaching ${closedJob.max_applications} applications`);
+        await webhookService.emitJobEvent('job.closed', closedJob, TRANSITION_REASONS.MAX_APPLICATIONS);
+      }
+    } catch (closeError) {
+      logger.warn(`Failed to check application limit for job ${jobId}:`, closeError.message);
+    }
+
+    // Step 4: Clean up uploaded file
+    if (uploadedFilePath) {
+      try {
+        await fs.unlink(uploadedFilePath);
+        logger.info('Temporary file cleaned up');
+      } catch (cleanupError) {
+        logger.warn('Failed to clean up temporary file:', cleanupError);
+      }
+    }
+
+    // Step 5: Return response
+    res.status(202).json({
+      success: true,
+      message: isScreenedOut ? 'Application received' : 'Application received and queued for processing',
+      data: {
+        applicationId: resume.id,
+        resumeId: resume.id,
+        jobId: job.job_id,
+        jobTitle: job.title,
+        status: resume.application_status,
+        statusUrl: `/api/ats/applications/${resume.id}/status`,
+        resumeUrl,
+        libraryResumeId: resume.library_resume_id || null,
+        appliedAt: resume.uploaded_at,
+      },
+    });
+  } catch (error) {
+    logger.error('Error processing application:', error);
+
+    // Clean up uploaded file on error
+    if (uploadedFilePath) {
+      try {
+        await fs.unlink(uploadedFilePath);
+      } catch (cleanupError) {
+        logger.warn('Failed to clean up temporary file:', cleanupError);
+      }
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process application',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get processing status of an application
+ * HR can view applications for their company's jobs, Admin any, Candidate only own
+ */
+const getApplicationStatus = async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+
+    const application = await atsModel.getApplicationStatus(applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found',
+      });
+    }
+
+    const score = Array.isArray(application.ats_scores) ? application.ats_scores[0] : application.ats_scores;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applicationId: application.id,
+        jobId: application.job_id,
+        status: application.application_status,
+        reason: application.status_reason,
+        updatedAt: application.status_updated_at,
+        receivedAt: application.uploaded_at,
+        matchScore: score ? score.match_score : null,
+        emailSent: score ? score.email_sent : false,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching application status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch application status',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Move an application to another hiring pipeline stage
+ * HR with the manage_applications company permission can move applications for their
+ * company's jobs, Admin any, Candidate can only withdraw their own
+ */
+const updateApplicationStage = async (req, res) => {
+  try {
+    const { stage, note, notifyCandidate, candidateMessage } = req.body;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    if (!stage) {
+      return res.status(400).json({
+        success: false,
+        error: 'stage is required',
+      });
+    }
+
+    if (candidateMessage !== undefined && candidateMessage !== null
+      && (typeof candidateMessage !== 'string' || candidateMessage.length > MAX_CANDIDATE_MESSAGE_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `candidateMessage must be text of at most ${MAX_CANDIDATE_MESSAGE_LENGTH} characters`,
+      });
+    }
+
+    // Loaded and authorized by requireApplicationAccess
+    const { application, job } = req;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    if (userRole === 'candidate' && stage !== CANDIDATE_STAGE) {
+      return res.status(403).json({
+        success: false,
+        error: 'Candidates can only withdraw their application',
+      });
+    }
+
+    const pipeline = await getPipelineForJob(job);
+    const targetStage = findStage(pipeline, stage);
+
+    if (!targetStage) {
       return res.status(400).json({
         success: false,
-        error: 'Title and description are required',
+        error: `Unknown stage. Use one of: ${pipeline.map((item) => item.key).join(', ')}`,
       });
     }
 
-    // Generate unique jobId
-    const jobId = `JOB-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
+    const currentStage = findStage(pipeline, application.pipeline_stage);
 
-    // Get HR user's details for contact
-    const hrEmail = req.user.email;
-    const hrName = req.user.fullName || req.user.email;
-    const companyIdToUse = companyId || req.user.companyId;
+    if (userRole === 'candidate' && currentStage?.terminal) {
+      return res.status(400).json({
+        success: false,
+        error: 'This application is already closed',
+      });
+    }
 
-    // Create or update job
-    const job = await jobsModel.createOrUpdateJob({
-      jobId,
-      companyId: companyIdToUse,
-      companyName: req.user.companyName || 'Company',
-      title,
-      description,
-      requirements,
-      location,
-      salaryRange,
-      employmentType,
-      closingDate,
-      hrEmail,
-      hrName,
-      createdBy: userId,
-      status: 'active',
+    if (application.pipeline_stage === targetStage.key) {
+      return res.status(200).json({
+        success: true,
+        message: 'Application is already in this stage',
+        data: {
+          applicationId: application.id,
+          stage: application.pipeline_stage,
+          previousStage: application.pipeline_stage,
+          updatedAt: application.pipeline_stage_updated_at,
+        },
+      });
+    }
+
+    // Advancing a blind application to the reveal stage shows HR who it is from then on
+    const revealIdentity = Boolean(job.blind_review)
+      && !application.identity_revealed_at
+      && reachesRevealStage(pipeline, job.blind_reveal_stage, targetStage.key);
+
+    const updated = await atsModel.updatePipelineStage(application.id, {
+      jobId: job.job_id,
+      fromStage: application.pipeline_stage,
+      toStage: targetStage.key,
+      changedBy: userId,
+      note,
+      revealIdentity,
     });
 
-    logger.info(`Job created: ${jobId} by user ${userId}`);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'The application was moved by someone else. Refresh and try again.',
+      });
+    }
 
-    res.status(201).json({
+    if (revealIdentity) {
+      await blindReviewService.recordReveal({ application, job, stage: targetStage.key, userId });
+    }
+
+    await webhookService.emitApplicationEvent('application.stage_changed', {
+      application: updated,
+      job,
+      key: `${updated.id}:${updated.pipeline_stage_updated_at}`,
+      details: {
+        from_stage: application.pipeline_stage,
+        to_stage: targetStage.key,
+        to_stage_label: targetStage.label,
+        changed_by: userRole === 'candidate' ? 'candidate' : 'company',
+      },
+    });
+
+    // Email the candidate about HR moves; the move itself already succeeded if queueing fails
+    const candidateNotified = userRole !== 'candidate' && notifyCandidate !== false;
+    if (candidateNotified) {
+      try {
+        await emailQueue.add('application-stage', {
+          candidateUserId: application.candidate_user_id,
+          jobId: job.job_id,
+          stage: targetStage.key,
+          stageLabel: targetStage.label,
+          previousStageLabel: currentStage?.label || application.pipeline_stage,
+          message: candidateMessage?.trim() || null,
+          idempotencyKey: `application-stage:${updated.id}:${updated.pipeline_stage_updated_at}`,
+        });
+      } catch (queueError) {
+        logger.warn(`Could not queue stage change email for application ${application.id}: ${queueError.message}`);
+      }
+    }
+
+    res.status(200).json({
       success: true,
-      message: 'Job created successfully',
-      data: job,
+      message: revealIdentity
+        ? `Application moved to ${targetStage.label}. The candidate's details are now visible.`
+        : `Application moved to ${targetStage.label}`,
+      data: {
+        applicationId: updated.id,
+        stage: updated.pipeline_stage,
+        previousStage: application.pipeline_stage,
+        updatedAt: updated.pipeline_stage_updated_at,
+        identityRevealed: revealIdentity,
+        candidateNotified,
+      },
     });
   } catch (error) {
-    logger.error('Error creating job:', error);
+    logger.error('Error updating application stage:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create job',
+      error: 'Failed to update application stage',
       message: error.message,
     });
   }
 };
 
 /**
- * Get all jobs (public - candidates can view)
+ * Get the pipeline stage history of an application
+ * HR can view applications for their company's jobs, Admin any, Candidate only own
  */
-const getAllJobs = async (req, res) => {
+const getApplicationStageHistory = async (req, res) => {
   try {
-    const { status = 'active', companyId } = req.query;
+    // Loaded and authorized by requireApplicationAccess
+    const { application } = req;
 
-    const jobs = await jobsModel.getAllJobs({ status, companyId });
+    const history = await atsModel.getStageHistory(application.id);
 
     res.status(200).json({
       success: true,
-      data: jobs,
+      data: {
+        applicationId: application.id,
+        stage: application.pipeline_stage,
+        history,
+      },
     });
   } catch (error) {
-    logger.error('Error fetching jobs:', error);
+    logger.error('Error fetching stage history:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch jobs',
+      error: 'Failed to fetch stage history',
       message: error.message,
     });
   }
 };
 
 /**
- * Get specific job by ID (public)
+ * Get every score version of an application with how it was produced (HR/Admin only)
+ * GET /api/ats/applications/:applicationId/scores
  */
-const getJobById = async (req, res) => {
+const getApplicationScoreVersions = async (req, res) => {
   try {
-    const { jobId } = req.params;
+    // Loaded and authorized by requireApplicationAccess
+    const { application } = req;
 
-    const job = await jobsModel.getJobByJobId(jobId);
+    const scores = await atsModel.getScoreVersions(application.id);
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found',
-      });
-    }
+    // Every version carries LLM-written text, so a blind job redacts them all
+    const versions = req.job
+      ? blindReviewService.applyBlindReviewToScores(req.job, application, scores, await getPipelineForJob(req.job))
+      : scores;
 
     res.status(200).json({
       success: true,
-      data: job,
+      data: {
+        applicationId: application.id,
+        currentVersion: versions.find((version) => version.is_current)?.version ?? null,
+        versions,
+      },
     });
   } catch (error) {
-    logger.error('Error fetching job:', error);
+    logger.error('Error fetching score versions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch job',
+      error: 'Failed to fetch score versions',
       message: error.message,
     });
   }
 };
 
 /**
- * Update job posting (HR/Admin only - must be job creator or admin)
+ * Get the hiring pipeline used by a job (HR/Admin only - members of the job's company)
  */
-const updateJob = async (req, res) => {
+const getJobPipeline = async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const updates = req.body;
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    // Get existing job to check ownership
-    const existingJob = await jobsModel.getJobByJobId(jobId);
-
-    if (!existingJob) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found',
-      });
-    }
-
-    // Check if user is the creator or admin
-    if (userRole !== 'admin' && existingJob.created_by !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'You can only edit jobs you created',
-      });
-    }
-
-    const job = await jobsModel.updateJob(jobId, updates);
-
-    logger.info(`Job updated: ${jobId} by user ${userId}`);
+    const { job } = req;
 
     res.status(200).json({
       success: true,
-      message: 'Job updated successfully',
-      data: job,
+      data: {
+        jobId: job.job_id,
+        stages: await getPipelineForJob(job),
+      },
     });
   } catch (error) {
-    logger.error('Error updating job:', error);
+    logger.error('Error fetching job pipeline:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update job',
+      error: 'Failed to fetch pipeline',
       message: error.message,
     });
   }
 };
 
 /**
- * Delete job posting (Must be job creator or admin)
+ * Resolve which company's pipeline a request refers to
+ * Admins pass ?companyId (or body.companyId); HR always use their own company
+ * @param {object} req - Express request
+ * @returns {Promise<number|null>} Company ID or null
  */
-const deleteJob = async (req, res) => {
-  try {
-    const { jobId } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
+const resolvePipelineCompanyId = async (req) => {
+  if (req.user.role === 'admin') {
+    return req.query.companyId || req.body?.companyId || null;
+  }
 
-    // Get existing job to check ownership
-    const existingJob = await jobsModel.getJobByJobId(jobId);
+  const membership = await getCompanyMembership(req);
+  return membership?.company_id || null;
+};
 
-    if (!existingJob) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found',
-      });
-    }
+/**
+ * Get a company's hiring pipeline (HR/Admin only)
+ */
+const getPipeline = async (req, res) => {
+  try {
+    const companyId = await resolvePipelineCompanyId(req);
 
-    // Check if user is the creator or admin
-    if (userRole !== 'admin' && existingJob.created_by !== userId) {
-      return res.status(403).json({
+    if (!companyId) {
+      return res.status(400).json({
         success: false,
-        error: 'You can only delete jobs you created',
+        error: req.user.role === 'admin' ? 'companyId is required' : 'Your account is not linked to a company',
       });
     }
 
-    await jobsModel.deleteJob(jobId);
-
-    logger.info(`Job deleted: ${jobId} by user ${userId}`);
+    const stored = await jobsModel.getCompanyPipeline(companyId);
 
     res.status(200).json({
       success: true,
-      message: 'Job deleted successfully',
+      data: {
+        companyId,
+        isDefault: !stored,
+        stages: resolvePipeline(stored),
+      },
     });
   } catch (error) {
-    logger.error('Error deleting job:', error);
+    logger.error('Error fetching pipeline:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete job',
+      error: 'Failed to fetch pipeline',
       message: error.message,
     });
   }
 };
 
 /**
- * Apply for a job (Candidate only)
- * Candidate uploads resume, system scores it automatically
+ * Replace a company's hiring pipeline (HR/Admin only)
+ * Send `stages: null` to go back to the default pipeline
  */
-const applyForJob = async (req, res) => {
-  let uploadedFilePath = null;
-
+const updatePipeline = async (req, res) => {
   try {
-    // Validate file upload
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No resume file uploaded',
-      });
-    }
-
-    const { jobId } = req.params;
-    const candidateUserId = req.user.id;
-    const candidateEmail = req.user.email;
-    const candidateName = req.user.fullName || req.user.email;
+    const { stages } = req.body;
+    const companyId = await resolvePipelineCompanyId(req);
 
-    uploadedFilePath = req.file.path;
-
-    // Get job details
-    const job = await jobsModel.getJobByJobId(jobId);
-
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found',
-      });
-    }
-
-    if (job.status !== 'active') {
+    if (!companyId) {
       return res.status(400).json({
         success: false,
-        error: 'This job is no longer accepting applications',
+        error: req.user.role === 'admin' ? 'companyId is required' : 'Your account is not linked to a company',
       });
     }
 
-    // Check if candidate already applied
-    const existingApplication = await atsModel.getApplicationByUserAndJob(candidateUserId, jobId);
-    if (existingApplication) {
-      return res.status(400).json({
+    const membership = await getCompanyMembership(req);
+
+    if (req.user.role !== 'admin' && !hasCompanyPermission(membership?.role, COMPANY_PERMISSIONS.MANAGE_SETTINGS)) {
+      return res.status(403).json({
         success: false,
-        error: 'You have already applied for this job',
+        error: 'Only company owners can change the hiring pipeline',
       });
     }
 
-    logger.info(`Processing application for job ${jobId} from candidate ${candidateUserId}`);
-
-    // Step 1: Upload to Cloudinary
-    const cloudinaryResult = await uploadFile(uploadedFilePath);
-    const resumeUrl = cloudinaryResult.secure_url;
-
-    logger.info('Resume uploaded to Cloudinary:', resumeUrl);
-
-    // Step 2: Parse resume using the Cloudinary URL
-    const parsedData = await parseResume(resumeUrl);
-
-    logger.info('Resume parsed successfully');
-
-    // Step 3: Store resume in database
-    const resume = await atsModel.createResume({
-      jobId,
-      candidateUserId,
-      cloudinaryUrl: resumeUrl,
-      parsedData: parsedData,
-    });
-
-    logger.info(`Resume stored with ID: ${resume.id}`);
-
-    // Step 4: Calculate ATS score using LLM
-    const scoringResult = await calculateATSScore(parsedData, job.description);
-
-    logger.info('ATS score calculated:', scoringResult.match_score);
-
-    // Step 5: Store ATS score
-    const atsScore = await atsModel.createATSScore({
-      resumeId: resume.id,
-      jobId: job.job_id,
-      matchScore: scoringResult.match_score,
-      shortlistProbability: scoringResult.shortlist_probability,
-      salaryRange: scoringResult.salary_range,
-      missingSkills: scoringResult.missing_skills,
-      strongSkills: scoringResult.strong_skills,
-      recommendation: scoringResult.recommendation,
-      keyHighlights: scoringResult.key_highlights,
-      areasOfConcern: scoringResult.areas_of_concern,
-    });
-
-    logger.info(`ATS score stored with ID: ${atsScore.id}`);
+    let normalizedStages = null;
 
-    // Step 6: Send notification emails
-    let emailSent = false;
+    if (stages !== null) {
+      const { value, error } = validatePipelineStages(stages);
 
-    try {
-      // Notify HR if score is high (>= 80)
-      if (scoringResult.match_score >= 80) {
-        await sendHRNotification({
-          hrEmail: job.hr_email,
-          hrName: job.hr_name,
-          jobId: job.job_id,
-          jobTitle: job.title,
-          candidateName,
-          candidateEmail,
-          matchScore: scoringResult.match_score,
-          resumeUrl,
-          keyHighlights: scoringResult.key_highlights,
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
         });
-
-        logger.info(`HR notification sent to ${job.hr_email}`);
       }
 
-      // Send confirmation to candidate
-      await sendCandidateConfirmation({
-        candidateEmail,
-        candidateName,
-        jobId: job.job_id,
-        jobTitle: job.title,
-        companyName: job.company_name || 'the company',
-      });
+      normalizedStages = value;
+    }
 
-      emailSent = true;
-      logger.info(`Candidate confirmation sent to ${candidateEmail}`);
+    // Blind review jobs must keep a valid stage to reveal candidates at
+    const revealStages = await jobsModel.getBlindRevealStages(companyId);
+    const brokenStages = revealStages.filter((stageKey) => validateBlindReviewSettings(
+      { blindReview: true, blindRevealStage: stageKey },
+      {},
+      resolvePipeline(normalizedStages),
+    ).error);
 
-      // Update email sent status
-      await atsModel.updateEmailSentStatus(atsScore.id, true);
-    } catch (emailError) {
-      logger.error('Email notification failed:', emailError);
-      // Don't fail the whole request if email fails
+    if (brokenStages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Blind review jobs reveal candidates at ${brokenStages.join(', ')}. Keep these as non-terminal stages or change those jobs first.`,
+      });
     }
 
-    // Step 7: Clean up uploaded file
-    try {
-      await fs.unlink(uploadedFilePath);
-      logger.info('Temporary file cleaned up');
-    } catch (cleanupError) {
-      logger.warn('Failed to clean up temporary file:', cleanupError);
-    }
+    await jobsModel.updateCompanyPipeline(companyId, normalizedStages);
 
-    // Step 8: Return response
-    res.status(201).json({
+    logger.info(`Pipeline for company ${companyId} updated by ${req.user.email}`);
+
+    res.status(200).json({
       success: true,
-      message: 'Application submitted successfully',
+      message: 'Pipeline updated successfully',
       data: {
-        applicationId: atsScore.id,
-        resumeId: resume.id,
-        jobId: job.job_id,
-        jobTitle: job.title,
-        matchScore: scoringResult.matchScore,
-        shortlistProbability: scoringResult.shortlistProbability,
-        salaryRange: scoringResult.salaryRange,
-        missingSkills: scoringResult.missingSkills,
-        strongSkills: scoringResult.strongSkills,
-        recommendation: scoringResult.recommendation,
-        keyHighlights: scoringResult.keyHighlights,
-        areasOfConcern: scoringResult.areasOfConcern,
-        emailSent,
-        resumeUrl,
-        appliedAt: new Date().toISOString(),
+        companyId,
+        isDefault: !normalizedStages,
+        stages: resolvePipeline(normalizedStages),
       },
     });
   } catch (error) {
-    logger.error('Error processing application:', error);
-
-    // Clean up uploaded file on error
-    if (uploadedFilePath) {
-      try {
-        await fs.unlink(uploadedFilePath);
-      } catch (cleanupError) {
-        logger.warn('Failed to clean up temporary file:', cleanupError);
-      }
-    }
-
+    logger.error('Error updating pipeline:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process application',
+      error: 'Failed to update pipeline',
       message: error.message,
     });
   }
 };
 
 /**
- * Get all applications for a job (HR/Admin only)
+ * Get all applications for a job (HR/Admin only - members of the job's company)
+ * Candidates of a blind review job are redacted until they reach the reveal stage.
  */
 const getJobApplications = async (req, res) => {
   try {
@@ -410,7 +1386,11 @@ const getJobApplications = async (req, res) => {
     if (minScore) filters.minScore = parseInt(minScore);
     if (emailSent !== undefined) filters.emailSent = emailSent === 'true';
 
-    const applications = await atsModel.getScoresByJobId(jobId, filters);
+    const applications = blindReviewService.applyBlindReview(
+      req.job,
+      await rescoreService.withPreviousScores(jobId, await atsModel.getScoresByJobId(jobId, filters)),
+      await getPipelineForJob(req.job),
+    );
 
     res.status(200).json({
       success: true,
@@ -431,14 +1411,77 @@ const getJobApplications = async (req, res) => {
 };
 
 /**
- * Get top candidates for a job (HR/Admin only)
+ * Re-score every scored application of a job in the background
+ * (HR/Admin only - needs the manage_applications company permission)
+ * POST /api/ats/jobs/:jobId/rescore
+ */
+const rescoreJob = async (req, res) => {
+  try {
+    const run = await rescoreService.startRescore(req.job, {
+      reason: rescoreService.RESCORE_REASONS.MANUAL,
+      triggeredBy: req.user.id,
+    });
+
+    res.locals.audit.details = { rescoreRunId: run.id, applications: run.total };
+
+    res.status(202).json({
+      success: true,
+      message: `Re-scoring ${run.total} applications`,
+      data: run,
+    });
+  } catch (error) {
+    logger.error('Error starting re-score:', error);
+
+    if (error.message.includes('No scored applications')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start re-scoring',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the progress of a job's latest re-score run (HR/Admin only - members of the job's company)
+ * GET /api/ats/jobs/:jobId/rescore
+ */
+const getRescoreStatus = async (req, res) => {
+  try {
+    const run = await rescoreService.getRescoreStatus(req.params.jobId);
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    logger.error('Error fetching re-score status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch re-score status',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get top candidates for a job (HR/Admin only - members of the job's company)
  */
 const getTopCandidates = async (req, res) => {
   try {
     const { jobId } = req.params;
     const limit = parseInt(req.query.limit) || 10;
 
-    const topCandidates = await atsModel.getTopCandidates(jobId, limit);
+    const topCandidates = blindReviewService.applyBlindReview(
+      req.job,
+      await atsModel.getTopCandidates(jobId, limit),
+      await getPipelineForJob(req.job),
+    );
 
     res.status(200).json({
       success: true,
@@ -469,7 +1512,10 @@ const getMyApplications = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: applications,
+      data: applications.map((application) => ({
+        ...application,
+        job: application.job ? toJobResponse(application.job, req.user) : null,
+      })),
     });
   } catch (error) {
     logger.error('Error fetching my applications:', error);
@@ -483,13 +1529,11 @@ const getMyApplications = async (req, res) => {
 
 /**
  * Get application details
- * HR/Admin can view any, Candidate can only view own
+ * HR can view applications for their company's jobs, Admin any, Candidate only own
  */
 const getApplication = async (req, res) => {
   try {
     const { applicationId } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     const application = await atsModel.getApplicationById(applicationId);
 
@@ -500,17 +1544,14 @@ const getApplication = async (req, res) => {
       });
     }
 
-    // Check permissions: candidates can only view their own
-    if (userRole === 'candidate' && application.candidate_user_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'You can only view your own applications',
-      });
-    }
+    // Candidates always see their own application; HR sees a blind one redacted
+    const [visible] = req.user.role === 'candidate' || !req.job
+      ? [application]
+      : blindReviewService.applyBlindReview(req.job, [application], await getPipelineForJob(req.job));
 
     res.status(200).json({
       success: true,
-      data: application,
+      data: visible,
     });
   } catch (error) {
     logger.error('Error fetching application:', error);
@@ -529,10 +1570,16 @@ const deleteApplication = async (req, res) => {
   try {
     const { applicationId } = req.params;
 
+    const application = await atsModel.getResumeById(applicationId);
+
     await atsModel.deleteResume(applicationId);
 
     logger.info(`Application deleted: ${applicationId}`);
 
+    res.locals.audit.details = {
+      changes: diffRecords(application, null, APPLICATION_AUDIT_FIELDS),
+    };
+
     res.status(200).json({
       success: true,
       message: 'Application deleted successfully',
@@ -553,12 +1600,24 @@ module.exports = {
   getAllJobs,
   getJobById,
   updateJob,
+  updateJobStatus,
+  getJobStatusHistory,
   deleteJob,
   // Applications
   applyForJob,
   getJobApplications,
   getTopCandidates,
+  rescoreJob,
+  getRescoreStatus,
   getMyApplications,
   getApplication,
+  getApplicationStatus,
   deleteApplication,
+  // Hiring pipeline
+  updateApplicationStage,
+  getApplicationStageHistory,
+  getApplicationScoreVersions,
+  getJobPipeline,
+  getPipeline,
+  updatePipeline,
 };
@@ -85,10 +85,15 @@ const login = async (req, res) => {
       });
     }
 
+    // Failed attempts are audited too, so record the email before calling the service
+    res.locals.audit = { details: { email } };
+
     const result = await authService.login(email, password);
 
     logger.info(`User logged in successfully: ${email}`);
 
+    res.locals.audit = { userId: result.user.id, resourceId: result.user.id, details: { email } };
+
     return res.status(200).json({
       success: true,
       data: result,
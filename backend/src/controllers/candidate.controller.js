@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const candidateService = require('../services/candidate.service');
+const resumeFeedbackService = require('../services/resumeFeedback.service');
+const logger = require('../utils/logger');
+
+/**
+ * Candidate Controller - Candidate profile and resume library
+ */
+
+// Service errors that are the caller's fault: message fragment -> status
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Invalid profile', 400],
+  ['at most', 400],
+  ['is required', 400],
+  ['Could not read resume', 422],
+];
+
+/**
+ * Respond to a failed candidate operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the candidate service
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {object} Express response
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * Get your candidate profile
+ * GET /api/candidate/profile
+ */
+const getProfile = async (req, res) => {
+  try {
+    const profile = await candidateService.getProfile(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    logger.error('Error fetching candidate profile:', error);
+    sendError(res, error, 'Failed to fetch profile');
+  }
+};
+
+/**
+ * Save your candidate profile
+ * PUT /api/candidate/profile
+ * Body: { headline, location, desiredSalaryMin, desiredSalaryMax, workAuthorization, links, skills }
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const profile = await candidateService.updateProfile(req.user.id, req.body);
+
+    logger.info(`Candidate profile saved for user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile saved',
+      data: profile,
+    });
+  } catch (error) {
+    logger.error('Error saving candidate profile:', error);
+    sendError(res, error, 'Failed to save profile');
+  }
+};
+
+/**
+ * List your library resumes
+ * GET /api/candidate/resumes
+ */
+const getResumes = async (req, res) => {
+  try {
+    const resumes = await candidateService.getLibraryResumes(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resumes,
+        limit: candidateService.MAX_LIBRARY_RESUMES,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching library resumes:', error);
+    sendError(res, error, 'Failed to fetch resumes');
+  }
+};
+
+/**
+ * Upload a resume into your library
+ * POST /api/candidate/resumes (multipart/form-data: resume, name, isDefault)
+ */
+const uploadResume = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No resume file uploaded',
+    });
+  }
+
+  try {
+    const resume = await candidateService.addLibraryResume(req.user.id, req.file, {
+      name: req.body.name,
+      isDefault: req.body.isDefault,
+    });
+
+    logger.info(`Library resume ${resume.id} uploaded by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume added to your library',
+      data: resume,
+    });
+  } catch (error) {
+    logger.error('Error uploading library resume:', error);
+    sendError(res, error, 'Failed to upload resume');
+  } finally {
+    try {
+      await fs.unlink(req.file.path);
+    } catch (cleanupError) {
+      logger.warn('Failed to clean up temporary file:', cleanupError);
+    }
+  }
+};
+
+/**
+ * Rename a library resume or make it your default
+ * PATCH /api/candidate/resumes/:resumeId
+ * Body: { name, isDefault }
+ */
+const updateResume = async (req, res) => {
+  try {
+    const resume = await candidateService.updateLibraryResume(req.user.id, req.params.resumeId, {
+      name: req.body.name,
+      isDefault: req.body.isDefault,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume updated',
+      data: resume,
+    });
+  } catch (error) {
+    logger.error('Error updating library resume:', error);
+    sendError(res, error, 'Failed to update resume');
+  }
+};
+
+/**
+ * Delete a library resume (applications made with it are kept)
+ * DELETE /api/candidate/resumes/:resumeId
+ */
+const deleteResume = async (req, res) => {
+  try {
+    await candidateService.deleteLibraryResume(req.user.id, req.params.resumeId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume deleted',
+    });
+  } catch (error) {
+    logger.error('Error deleting library resume:', error);
+    sendError(res, error, 'Failed to delete resume');
+  }
+};
+
+/**
+ * Check a resume against a job without applying
+ * POST /api/candidate/jobs/:jobId/resume-check
+ * Body (multipart/form-data): resume file - or - resumeId (library resume)
+ */
+const checkResume = async (req, res) => {
+  try {
+    const libraryResumeId = req.body.resumeId || null;
+
+    if (!req.file && !libraryResumeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a resume or choose one from your library (resumeId)',
+      });
+    }
+
+    if (req.file && libraryResumeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send either a resume file or a resumeId, not both',
+      });
+    }
+
+    // Reserved before the resume is parsed, so parallel requests cannot exceed the limit
+    const allowance = await resumeFeedbackService.reserveCheck(req.user.id, req.params.jobId, libraryResumeId);
+
+    if (!allowance.reserved) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(allowance.resetAt).getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+
+      return res.status(429).json({
+        success: false,
+        error: `You can check your resume ${allowance.limit} times every ${resumeFeedbackService.RESUME_CHECK_WINDOW_HOURS} hours. Try again later.`,
+        code: 'RESUME_CHECK_LIMIT',
+        resetAt: allowance.resetAt,
+      });
+    }
+
+    const report = await resumeFeedbackService.checkResume(req.user.id, req.params.jobId, {
+      file: req.file,
+      libraryResumeId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...report,
+        checksRemaining: allowance.remaining,
+        checksLimit: allowance.limit,
+      },
+    });
+  } catch (error) {
+    logger.error('Error checking resume:', error);
+    sendError(res, error, 'Failed to check resume');
+  } finally {
+    if (req.file) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (cleanupError) {
+        logger.warn('Failed to clean up temporary file:', cleanupError);
+      }
+    }
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  getResumes,
+  uploadResume,
+  updateResume,
+  deleteResume,
+  checkResume,
+};
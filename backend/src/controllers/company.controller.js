@@ -0,0 +1,307 @@
+const companyService = require('../services/company.service');
+const companyModel = require('../models/company.model');
+const { diffRecords } = require('../services/audit.service');
+const { COMPANY_PERMISSIONS, hasCompanyPermission, getRolePermissions } = require('../utils/companyRoles');
+const logger = require('../utils/logger');
+
+/**
+ * Company Controller - Company workspace, members and invitations
+ */
+
+// Service errors that are the caller's fault: message fragment -> status
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['already', 409],
+  ['Only HR accounts', 403],
+  ['expired', 400],
+  ['different email', 400],
+  ['at least one owner', 400],
+  ['valid', 400],
+];
+
+/**
+ * Respond to a failed company operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the company service
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {object} Express response
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+  });
+};
+
+/**
+ * Resolve the company a request acts on and the requester's company role
+ * Admins pass ?companyId (or body.companyId) and act as owners; HR use their own company
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} { companyId, role } or null
+ */
+const resolveCompanyContext = async (req) => {
+  if (req.user.role === 'admin') {
+    const companyId = parseInt(req.query.companyId || req.body?.companyId, 10);
+    return companyId ? { companyId, role: 'owner' } : null;
+  }
+
+  const membership = await companyModel.getMembershipByUserId(req.user.id);
+  return membership ? { companyId: membership.company_id, role: membership.role } : null;
+};
+
+/**
+ * Resolve the company context and check a permission, responding when it fails
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} permission - Required company permission
+ * @returns {Promise<object|null>} Company context, or null when a response was sent
+ */
+const requireCompanyPermission = async (req, res, permission) => {
+  const context = await resolveCompanyContext(req);
+
+  if (!context) {
+    res.status(req.user.role === 'admin' ? 400 : 403).json({
+      success: false,
+      error: req.user.role === 'admin' ? 'companyId is required' : 'Your account is not linked to a company',
+    });
+    return null;
+  }
+
+  if (!hasCompanyPermission(context.role, permission)) {
+    res.status(403).json({
+      success: false,
+      error: 'Your company role does not allow this action',
+      code: 'FORBIDDEN',
+    });
+    return null;
+  }
+
+  return context;
+};
+
+/**
+ * Get the requester's company with its members (and pending invites for owners)
+ * GET /api/company
+ */
+const getCompany = async (req, res) => {
+  try {
+    const context = await requireCompanyPermission(req, res, COMPANY_PERMISSIONS.VIEW);
+
+    if (!context) {
+      return undefined;
+    }
+
+    const canManageMembers = hasCompanyPermission(context.role, COMPANY_PERMISSIONS.MANAGE_MEMBERS);
+    const workspace = await companyService.getWorkspace(context.companyId, canManageMembers);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...workspace,
+        role: context.role,
+        permissions: getRolePermissions(context.role),
+      },
+    });
+  } catch (error) {
+    logger.error('Get company error:', error);
+    return sendError(res, error, 'Failed to fetch company');
+  }
+};
+
+/**
+ * Invite a teammate by email
+ * POST /api/company/invites
+ * Body: { email, role }
+ */
+const createInvite = async (req, res) => {
+  try {
+    const context = await requireCompanyPermission(req, res, COMPANY_PERMISSIONS.MANAGE_MEMBERS);
+
+    if (!context) {
+      return undefined;
+    }
+
+    const { email, role } = req.body;
+
+    const result = await companyService.inviteMember({
+      companyId: context.companyId,
+      email,
+      role,
+      invitedBy: req.user.id,
+      inviterName: req.user.fullName || req.user.email,
+    });
+
+    res.locals.audit.resourceId = context.companyId;
+    res.locals.audit.details = { inviteId: result.invite.id, email: result.invite.email, role: result.invite.role };
+
+    return res.status(201).json({
+      success: true,
+      message: `Invite sent to ${result.invite.email}`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Create company invite error:', error);
+    return sendError(res, error, 'Failed to send invite');
+  }
+};
+
+/**
+ * Revoke a pending invite
+ * DELETE /api/company/invites/:inviteId
+ */
+const revokeInvite = async (req, res) => {
+  try {
+    const context = await requireCompanyPermission(req, res, COMPANY_PERMISSIONS.MANAGE_MEMBERS);
+
+    if (!context) {
+      return undefined;
+    }
+
+    const invite = await companyService.revokeInvite(context.companyId, parseInt(req.params.inviteId, 10));
+
+    res.locals.audit.resourceId = context.companyId;
+    res.locals.audit.details = { inviteId: invite.id, email: invite.email };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invite revoked',
+      data: invite,
+    });
+  } catch (error) {
+    logger.error('Revoke company invite error:', error);
+    return sendError(res, error, 'Failed to revoke invite');
+  }
+};
+
+/**
+ * Look up an invite before accepting it
+ * GET /api/company/invites/:token
+ */
+const getInvite = async (req, res) => {
+  try {
+    const invite = await companyService.getInviteByToken(req.params.token);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        email: invite.email,
+        role: invite.role,
+        status: invite.status,
+        expiresAt: invite.expires_at,
+        expired: new Date(invite.expires_at) <= new Date(),
+        company: invite.companies,
+      },
+    });
+  } catch (error) {
+    logger.error('Get company invite error:', error);
+    return sendError(res, error, 'Failed to fetch invite');
+  }
+};
+
+/**
+ * Accept an invite as the signed-in user
+ * POST /api/company/invites/:token/accept
+ */
+const acceptInvite = async (req, res) => {
+  try {
+    const result = await companyService.acceptInvite(req.params.token, req.user);
+
+    res.locals.audit.resourceId = result.membership.company_id;
+    res.locals.audit.details = { role: result.membership.role };
+
+    return res.status(200).json({
+      success: true,
+      message: `You joined ${result.company?.name || 'the company'}`,
+      data: {
+        companyId: result.membership.company_id,
+        companyName: result.company?.name || null,
+        companyRole: result.membership.role,
+      },
+    });
+  } catch (error) {
+    logger.error('Accept company invite error:', error);
+    return sendError(res, error, 'Failed to accept invite');
+  }
+};
+
+/**
+ * Change a member's company role
+ * PATCH /api/company/members/:userId
+ * Body: { role }
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const context = await requireCompanyPermission(req, res, COMPANY_PERMISSIONS.MANAGE_MEMBERS);
+
+    if (!context) {
+      return undefined;
+    }
+
+    const { previous, member } = await companyService.updateMemberRole(
+      context.companyId,
+      req.params.userId,
+      req.body.role
+    );
+
+    res.locals.audit.details = { companyId: context.companyId, changes: diffRecords(previous, member, ['role']) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Member role updated',
+      data: member,
+    });
+  } catch (error) {
+    logger.error('Update company member error:', error);
+    return sendError(res, error, 'Failed to update member');
+  }
+};
+
+/**
+ * Remove a member from the company (members may also remove themselves)
+ * DELETE /api/company/members/:userId
+ */
+const removeMember = async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+    const context = await requireCompanyPermission(
+      req,
+      res,
+      isSelf ? COMPANY_PERMISSIONS.VIEW : COMPANY_PERMISSIONS.MANAGE_MEMBERS
+    );
+
+    if (!context) {
+      return undefined;
+    }
+
+    const member = await companyService.removeMember(context.companyId, req.params.userId);
+
+    res.locals.audit.details = { companyId: context.companyId, role: member.role };
+
+    return res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the company' : 'Member removed',
+    });
+  } catch (error) {
+    logger.error('Remove company member error:', error);
+    return sendError(res, error, 'Failed to remove member');
+  }
+};
+
+module.exports = {
+  getCompany,
+  createInvite,
+  revokeInvite,
+  getInvite,
+  acceptInvite,
+  updateMemberRole,
+  removeMember,
+};
@@ -0,0 +1,133 @@
+const emailOutboxService = require('../services/emailOutbox.service');
+const logger = require('../utils/logger');
+
+/**
+ * Email Outbox Controller - Delivery log of outgoing emails and resending (admin)
+ */
+
+// Service error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Invalid status', 400],
+  ['can be resent', 409],
+  ['resent by someone else', 409],
+];
+
+/**
+ * Respond to a failed outbox operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the outbox service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * List outgoing emails, newest first
+ * GET /api/admin/email-outbox
+ * Query: status, recipient, templateKey, from, to, page, limit
+ */
+const getEmails = async (req, res) => {
+  try {
+    const { status, recipient, templateKey, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates',
+      });
+    }
+
+    const result = await emailOutboxService.listEmails({
+      status,
+      recipient,
+      templateKey,
+      from,
+      to,
+      page,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        emails: result.emails,
+        counts: result.counts,
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Get email outbox error:', error);
+    return sendError(res, error, 'Failed to fetch email outbox');
+  }
+};
+
+/**
+ * Get an outgoing email with its HTML and text bodies
+ * GET /api/admin/email-outbox/:id
+ */
+const getEmail = async (req, res) => {
+  try {
+    const email = await emailOutboxService.getEmail(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: email,
+    });
+  } catch (error) {
+    logger.error('Get outbox email error:', error);
+    return sendError(res, error, 'Failed to fetch email');
+  }
+};
+
+/**
+ * Queue a failed or bounced email for delivery again
+ * POST /api/admin/email-outbox/:id/resend
+ */
+const resendEmail = async (req, res) => {
+  try {
+    const { email, previousStatus } = await emailOutboxService.resendEmail(req.params.id);
+
+    res.locals.audit.details = {
+      to: email.to_email,
+      templateKey: email.template_key,
+      status: { before: previousStatus, after: email.status },
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: `Email to ${email.to_email} queued for resending`,
+      data: email,
+    });
+  } catch (error) {
+    logger.error('Resend email error:', error);
+    return sendError(res, error, 'Failed to resend email');
+  }
+};
+
+module.exports = {
+  getEmails,
+  getEmail,
+  resendEmail,
+};
@@ -0,0 +1,217 @@
+const emailTemplateService = require('../services/emailTemplate.service');
+const { diffRecords } = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Email Template Controller - Editing, previewing and test-sending email templates
+ * Admin routes edit the platform templates; company routes (behind requireCompanyAccess,
+ * which sets req.companyId) edit the company's overrides and branding.
+ */
+
+// Service error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['No edited version', 404],
+  ['Invalid email template', 400],
+  ['Invalid branding', 400],
+  ['cannot be changed by a company', 403],
+  ['no email address', 400],
+];
+
+// Branding fields recorded in the audit log
+const BRANDING_AUDIT_FIELDS = ['senderName', 'logoUrl', 'primaryColor', 'accentColor'];
+
+/**
+ * Respond to a failed email template operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the email template service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * The company a request edits templates for (null = the platform)
+ * @param {object} req - Express request
+ * @returns {number|null} Company ID
+ */
+const getScope = (req) => req.companyId || null;
+
+/**
+ * List the templates with the version in use
+ * GET /api/admin/email-templates, GET /api/company/email-templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await emailTemplateService.listTemplates(getScope(req));
+
+    return res.status(200).json({
+      success: true,
+      data: templates,
+    });
+  } catch (error) {
+    logger.error('Get email templates error:', error);
+    return sendError(res, error, 'Failed to fetch email templates');
+  }
+};
+
+/**
+ * Save an edited template
+ * PUT /api/admin/email-templates/:key, PUT /api/company/email-templates/:key
+ * Body: { subject, html }
+ */
+const saveTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const companyId = getScope(req);
+    const { template, previous } = await emailTemplateService.saveTemplate(key, req.body, {
+      companyId,
+      userId: req.user.id,
+    });
+
+    res.locals.audit.details = {
+      companyId,
+      source: { before: previous.source, after: template.source },
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email template saved',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Save email template error:', error);
+    return sendError(res, error, 'Failed to save email template');
+  }
+};
+
+/**
+ * Remove the edited version of a template
+ * DELETE /api/admin/email-templates/:key, DELETE /api/company/email-templates/:key
+ */
+const resetTemplate = async (req, res) => {
+  try {
+    const companyId = getScope(req);
+    const template = await emailTemplateService.resetTemplate(req.params.key, companyId);
+
+    res.locals.audit.details = { companyId, source: template.source };
+
+    return res.status(200).json({
+      success: true,
+      message: template.source === 'default' ? 'Email template reset to the built-in version' : 'Email template reset to the platform version',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Reset email template error:', error);
+    return sendError(res, error, 'Failed to reset email template');
+  }
+};
+
+/**
+ * Render a template with sample data
+ * POST /api/admin/email-templates/:key/preview, POST /api/company/email-templates/:key/preview
+ * Body: { subject?, html?, variables? }
+ */
+const previewTemplate = async (req, res) => {
+  try {
+    const preview = await emailTemplateService.previewTemplate(req.params.key, req.body, getScope(req));
+
+    return res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    logger.error('Preview email template error:', error);
+    return sendError(res, error, 'Failed to preview email template');
+  }
+};
+
+/**
+ * Queue a preview of a template to the requester's own email address
+ * POST /api/admin/email-templates/:key/test, POST /api/company/email-templates/:key/test
+ * Body: { subject?, html?, variables? }
+ */
+const sendTestEmail = async (req, res) => {
+  try {
+    const result = await emailTemplateService.sendTestEmail(req.params.key, req.body, {
+      companyId: getScope(req),
+      to: req.user.email,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Test email queued for ${result.to}`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Send test email error:', error);
+    return sendError(res, error, 'Failed to send test email');
+  }
+};
+
+/**
+ * Get the company's email branding
+ * GET /api/company/branding
+ */
+const getBranding = async (req, res) => {
+  try {
+    const branding = await emailTemplateService.getBranding(req.companyId);
+
+    return res.status(200).json({
+      success: true,
+      data: branding,
+    });
+  } catch (error) {
+    logger.error('Get branding error:', error);
+    return sendError(res, error, 'Failed to fetch branding');
+  }
+};
+
+/**
+ * Update the company's email branding
+ * PUT /api/company/branding
+ * Body: { senderName?, logoUrl?, primaryColor?, accentColor? } - null resets a field
+ */
+const updateBranding = async (req, res) => {
+  try {
+    const { branding, previous } = await emailTemplateService.updateBranding(req.companyId, req.body);
+
+    res.locals.audit.resourceId = req.companyId;
+    res.locals.audit.details = {
+      changes: diffRecords(previous, branding, BRANDING_AUDIT_FIELDS),
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email branding saved',
+      data: branding,
+    });
+  } catch (error) {
+    logger.error('Update branding error:', error);
+    return sendError(res, error, 'Failed to save branding');
+  }
+};
+
+module.exports = {
+  getTemplates,
+  saveTemplate,
+  resetTemplate,
+  previewTemplate,
+  sendTestEmail,
+  getBranding,
+  updateBranding,
+};
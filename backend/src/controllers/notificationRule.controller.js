@@ -0,0 +1,135 @@
+const notificationRuleService = require('../services/notificationRule.service');
+const { diffRecords } = require('../services/audit.service');
+const { getCompanyMembership } = require('../middleware/role.middleware');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Rule Controller - HR users manage which applications they are notified about
+ */
+
+// Service error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Invalid notification rule', 400],
+  ['need a company', 400],
+  ['do not have access', 403],
+];
+
+// Rule fields recorded in the audit log
+const AUDIT_FIELDS = ['name', 'job_id', 'min_score', 'required_skills', 'delivery', 'daily_cap', 'email_enabled', 'webhook_url', 'is_active'];
+
+/**
+ * Respond to a failed notification rule operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the notification rule service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * List your notification rules with their matches in the last 24 hours
+ * GET /api/ats/notification-rules
+ */
+const getRules = async (req, res) => {
+  try {
+    const rules = await notificationRuleService.listRules(req.user);
+
+    return res.status(200).json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    logger.error('Get notification rules error:', error);
+    return sendError(res, error, 'Failed to fetch notification rules');
+  }
+};
+
+/**
+ * Create a notification rule
+ * POST /api/ats/notification-rules
+ */
+const createRule = async (req, res) => {
+  try {
+    const rule = await notificationRuleService.createRule(req.user, await getCompanyMembership(req), req.body);
+
+    res.locals.audit.resourceId = rule.id;
+    res.locals.audit.details = diffRecords(null, rule, AUDIT_FIELDS);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Notification rule created',
+      data: rule,
+    });
+  } catch (error) {
+    logger.error('Create notification rule error:', error);
+    return sendError(res, error, 'Failed to create notification rule');
+  }
+};
+
+/**
+ * Update a notification rule
+ * PUT /api/ats/notification-rules/:ruleId
+ */
+const updateRule = async (req, res) => {
+  try {
+    const { rule, previous } = await notificationRuleService.updateRule(
+      req.user,
+      await getCompanyMembership(req),
+      req.params.ruleId,
+      req.body
+    );
+
+    res.locals.audit.details = diffRecords(previous, rule, AUDIT_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification rule saved',
+      data: rule,
+    });
+  } catch (error) {
+    logger.error('Update notification rule error:', error);
+    return sendError(res, error, 'Failed to save notification rule');
+  }
+};
+
+/**
+ * Delete a notification rule
+ * DELETE /api/ats/notification-rules/:ruleId
+ */
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await notificationRuleService.deleteRule(req.user, req.params.ruleId);
+
+    res.locals.audit.details = diffRecords(rule, null, AUDIT_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification rule deleted',
+    });
+  } catch (error) {
+    logger.error('Delete notification rule error:', error);
+    return sendError(res, error, 'Failed to delete notification rule');
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
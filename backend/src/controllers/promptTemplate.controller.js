@@ -0,0 +1,227 @@
+const promptTemplateService = require('../services/promptTemplate.service');
+const { TEMPLATE_VARIABLES, REQUIRED_TEMPLATE_VARIABLES } = require('../utils/promptTemplate');
+const logger = require('../utils/logger');
+
+/**
+ * Prompt Template Controller - Admin management of LLM scoring prompts
+ */
+
+// Service error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Invalid prompt template', 400],
+  ['No earlier version', 409],
+  ['saved at the same time', 409],
+];
+
+/**
+ * Respond to a failed prompt template operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the prompt template service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * List prompt template versions with the variables templates can use
+ * GET /api/admin/prompt-templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await promptTemplateService.listTemplates();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        templates,
+        activeVersion: templates.find((template) => template.is_active)?.version ?? null,
+        variables: TEMPLATE_VARIABLES,
+        requiredVariables: REQUIRED_TEMPLATE_VARIABLES,
+      },
+    });
+  } catch (error) {
+    logger.error('Get prompt templates error:', error);
+    return sendError(res, error, 'Failed to fetch prompt templates');
+  }
+};
+
+/**
+ * Get one prompt template version
+ * GET /api/admin/prompt-templates/:id
+ */
+const getTemplate = async (req, res) => {
+  try {
+    const template = await promptTemplateService.getTemplate(parseInt(req.params.id, 10));
+
+    return res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Get prompt template error:', error);
+    return sendError(res, error, 'Failed to fetch prompt template');
+  }
+};
+
+/**
+ * Save a prompt template as the next version
+ * POST /api/admin/prompt-templates
+ * Body: { name, body, notes?, activate? }
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const template = await promptTemplateService.createTemplate(req.body, req.user.id);
+
+    res.locals.audit.resourceId = template.id;
+    res.locals.audit.details = {
+      version: template.version,
+      name: template.name,
+      activated: template.is_active,
+    };
+
+    return res.status(201).json({
+      success: true,
+      message: `Prompt template version ${template.version} saved`,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Create prompt template error:', error);
+    return sendError(res, error, 'Failed to save prompt template');
+  }
+};
+
+/**
+ * Make a prompt template version the active one
+ * POST /api/admin/prompt-templates/:id/activate
+ */
+const activateTemplate = async (req, res) => {
+  try {
+    const { template, previous } = await promptTemplateService.activateTemplate(parseInt(req.params.id, 10));
+
+    res.locals.audit.details = {
+      version: { before: previous?.version ?? null, after: template.version },
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: `Prompt template version ${template.version} is now active`,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Activate prompt template error:', error);
+    return sendError(res, error, 'Failed to activate prompt template');
+  }
+};
+
+/**
+ * Re-activate the version that was active before the current one
+ * POST /api/admin/prompt-templates/rollback
+ */
+const rollbackTemplate = async (req, res) => {
+  try {
+    const { template, previous } = await promptTemplateService.rollbackTemplate();
+
+    res.locals.audit.resourceId = template.id;
+    res.locals.audit.details = {
+      rollback: true,
+      version: { before: previous?.version ?? null, after: template.version },
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: `Rolled back to prompt template version ${template.version}`,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Roll back prompt template error:', error);
+    return sendError(res, error, 'Failed to roll back prompt template');
+  }
+};
+
+/**
+ * Render a prompt template against a sample or real resume and job
+ * POST /api/admin/prompt-templates/preview
+ * Body: { templateId? | body?, jobId?, applicationId?, score? }
+ */
+const previewTemplate = async (req, res) => {
+  try {
+    const preview = await promptTemplateService.previewTemplate(req.body);
+
+    return res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    logger.error('Preview prompt template error:', error);
+    return sendError(res, error, 'Failed to preview prompt template');
+  }
+};
+
+/**
+ * Get a job's A/B split between prompt template versions
+ * GET /api/admin/jobs/:jobId/prompt-templates
+ */
+const getJobTemplates = async (req, res) => {
+  try {
+    const split = await promptTemplateService.getJobTemplates(req.params.jobId);
+
+    return res.status(200).json({
+      success: true,
+      data: split,
+    });
+  } catch (error) {
+    logger.error('Get job prompt templates error:', error);
+    return sendError(res, error, 'Failed to fetch job prompt templates');
+  }
+};
+
+/**
+ * Replace a job's A/B split between prompt template versions
+ * PUT /api/admin/jobs/:jobId/prompt-templates
+ * Body: { templates: [{ templateId, weight }] } - an empty array returns the job to the active version
+ */
+const setJobTemplates = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { previous, current } = await promptTemplateService.setJobTemplates(jobId, req.body.templates);
+
+    res.locals.audit.details = {
+      changes: { before: { templates: previous }, after: { templates: current } },
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: current.length > 0 ? 'Prompt template split saved' : 'Job now uses the active prompt template',
+      data: await promptTemplateService.getJobTemplates(jobId),
+    });
+  } catch (error) {
+    logger.error('Set job prompt templates error:', error);
+    return sendError(res, error, 'Failed to save job prompt templates');
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  activateTemplate,
+  rollbackTemplate,
+  previewTemplate,
+  getJobTemplates,
+  setJobTemplates,
+};
@@ -0,0 +1,130 @@
+const { QUEUES, getQueue } = require('../utils/queue');
+const { QUEUE_STATUSES } = require('../models/queue.model');
+const logger = require('../utils/logger');
+
+/**
+ * Queue Controller - Inspect background job queues and requeue dead-lettered jobs (admin)
+ */
+
+// Queue error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Only dead-lettered jobs', 409],
+];
+
+/**
+ * Respond to a failed queue operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the queue
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * Load the queue named in the route
+ * @param {object} req - Express request
+ * @returns {Queue} Queue
+ */
+const getRouteQueue = (req) => {
+  const queue = getQueue(req.params.queue);
+
+  if (!queue) {
+    throw new Error(`Queue not found. Queues: ${QUEUES.map((item) => item.name).join(', ')}`);
+  }
+
+  return queue;
+};
+
+/**
+ * Job counts per status for every queue
+ * GET /api/admin/queues
+ */
+const getQueues = async (req, res) => {
+  try {
+    const queues = await Promise.all(QUEUES.map(async (queue) => ({
+      name: queue.name,
+      counts: await queue.getJobCounts(),
+    })));
+
+    return res.status(200).json({
+      success: true,
+      data: queues,
+    });
+  } catch (error) {
+    logger.error('Get queues error:', error);
+    return sendError(res, error, 'Failed to fetch queues');
+  }
+};
+
+/**
+ * List a queue's jobs, newest first
+ * GET /api/admin/queues/:queue/jobs
+ * Query: status, name, limit
+ */
+const getQueueJobs = async (req, res) => {
+  try {
+    const queue = getRouteQueue(req);
+    const { status, name } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (status && !QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${QUEUE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const jobs = await queue.getJobs({ status, name, limit });
+
+    return res.status(200).json({
+      success: true,
+      data: jobs,
+    });
+  } catch (error) {
+    logger.error('Get queue jobs error:', error);
+    return sendError(res, error, 'Failed to fetch queue jobs');
+  }
+};
+
+/**
+ * Requeue a dead-lettered job with a fresh set of attempts
+ * POST /api/admin/queues/:queue/jobs/:jobId/retry
+ */
+const retryQueueJob = async (req, res) => {
+  try {
+    const queue = getRouteQueue(req);
+    const job = await queue.retry(req.params.jobId);
+
+    res.locals.audit.details = { queue: queue.name, name: job.name, lastError: job.last_error };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Job requeued',
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Retry queue job error:', error);
+    return sendError(res, error, 'Failed to requeue job');
+  }
+};
+
+module.exports = {
+  getQueues,
+  getQueueJobs,
+  retryQueueJob,
+};
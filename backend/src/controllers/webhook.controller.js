@@ -0,0 +1,205 @@
+const webhookService = require('../services/webhook.service');
+const { diffRecords } = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Controller - Company webhook endpoints, test events and the delivery log
+ * Routes sit behind requireCompanyAccess, which sets req.companyId.
+ */
+
+// Service error fragments that are the client's fault
+const CLIENT_ERRORS = [
+  ['not found', 404],
+  ['Invalid webhook endpoint', 400],
+  ['Invalid status', 400],
+];
+
+// Endpoint fields recorded in the audit log (never the secret)
+const AUDIT_FIELDS = ['url', 'description', 'events', 'is_active', 'secret_hint'];
+
+/**
+ * Respond to a failed webhook operation
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the webhook service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  const match = CLIENT_ERRORS.find(([fragment]) => error.message.includes(fragment));
+
+  if (match) {
+    return res.status(match[1]).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * List the company's webhook endpoints with their deliveries in the last 24 hours
+ * GET /api/company/webhooks
+ */
+const getEndpoints = async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.companyId);
+
+    return res.status(200).json({
+      success: true,
+      data: endpoints,
+    });
+  } catch (error) {
+    logger.error('Get webhook endpoints error:', error);
+    return sendError(res, error, 'Failed to fetch webhook endpoints');
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ * POST /api/company/webhooks
+ */
+const createEndpoint = async (req, res) => {
+  try {
+    const { endpoint, secret } = await webhookService.createEndpoint(req.companyId, req.user.id, req.body);
+
+    res.locals.audit.resourceId = endpoint.id;
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(null, endpoint, AUDIT_FIELDS) };
+
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint added. Copy the signing secret now; it is not shown again.',
+      data: { endpoint, secret },
+    });
+  } catch (error) {
+    logger.error('Create webhook endpoint error:', error);
+    return sendError(res, error, 'Failed to add webhook endpoint');
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * PUT /api/company/webhooks/:endpointId
+ */
+const updateEndpoint = async (req, res) => {
+  try {
+    const { endpoint, previous } = await webhookService.updateEndpoint(req.companyId, req.params.endpointId, req.body);
+
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(previous, endpoint, AUDIT_FIELDS) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint saved',
+      data: endpoint,
+    });
+  } catch (error) {
+    logger.error('Update webhook endpoint error:', error);
+    return sendError(res, error, 'Failed to save webhook endpoint');
+  }
+};
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * DELETE /api/company/webhooks/:endpointId
+ */
+const deleteEndpoint = async (req, res) => {
+  try {
+    const endpoint = await webhookService.deleteEndpoint(req.companyId, req.params.endpointId);
+
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(endpoint, null, AUDIT_FIELDS) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint deleted',
+    });
+  } catch (error) {
+    logger.error('Delete webhook endpoint error:', error);
+    return sendError(res, error, 'Failed to delete webhook endpoint');
+  }
+};
+
+/**
+ * Replace an endpoint's signing secret
+ * POST /api/company/webhooks/:endpointId/rotate-secret
+ */
+const rotateSecret = async (req, res) => {
+  try {
+    const { endpoint, previous, secret } = await webhookService.rotateSecret(req.companyId, req.params.endpointId);
+
+    res.locals.audit.details = { companyId: req.companyId, changes: diffRecords(previous, endpoint, ['secret_hint']) };
+
+    return res.status(200).json({
+      success: true,
+      message: 'Signing secret rotated. Copy the new secret now; it is not shown again.',
+      data: { endpoint, secret },
+    });
+  } catch (error) {
+    logger.error('Rotate webhook secret error:', error);
+    return sendError(res, error, 'Failed to rotate signing secret');
+  }
+};
+
+/**
+ * Send a test event to an endpoint
+ * POST /api/company/webhooks/:endpointId/test
+ */
+const sendTestEvent = async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTestEvent(req.companyId, req.params.endpointId, req.user);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Test event queued. Its result appears in the delivery log.',
+      data: delivery,
+    });
+  } catch (error) {
+    logger.error('Send webhook test event error:', error);
+    return sendError(res, error, 'Failed to send test event');
+  }
+};
+
+/**
+ * List an endpoint's deliveries, newest first
+ * GET /api/company/webhooks/:endpointId/deliveries?status=&page=&limit=
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { deliveries, total } = await webhookService.listDeliveries(req.companyId, req.params.endpointId, {
+      status: req.query.status || null,
+      page,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Get webhook deliveries error:', error);
+    return sendError(res, error, 'Failed to fetch webhook deliveries');
+  }
+};
+
+module.exports = {
+  getEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  sendTestEvent,
+  getDeliveries,
+};
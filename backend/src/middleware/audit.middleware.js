@@ -0,0 +1,55 @@
+const { recordAudit } = require('../services/audit.service');
+
+/**
+ * Audit Middleware
+ * Records privileged actions in audit_logs once the response has been sent
+ */
+
+/**
+ * Audit a route
+ * Successful responses (status < 400) are recorded as `action`. Handlers add context through
+ * `res.locals.audit`: `{ resourceId, details, userId }` (`userId` for routes without req.user, e.g. login).
+ * Requests made with an API key are recorded under the member the key acts for, with `apiKeyId` in the details.
+ * @param {string} action - Audit action (see AUDIT_ACTIONS)
+ * @param {string} resourceType - Resource type (user, job, application, ...)
+ * @param {object} options - { resourceIdParam, failureAction }
+ *   - resourceIdParam: route param holding the resource ID
+ *   - failureAction: also record failed responses (4xx/5xx) under this action
+ * @returns {Function} Express middleware function
+ */
+const auditAction = (action, resourceType, options = {}) => {
+  return (req, res, next) => {
+    res.locals.audit = {};
+
+    res.on('finish', () => {
+      const succeeded = res.statusCode < 400;
+
+      if (!succeeded && !options.failureAction) {
+        return;
+      }
+
+      const context = res.locals.audit || {};
+      let details = succeeded ? context.details : { ...context.details, statusCode: res.statusCode };
+
+      if (req.apiKey) {
+        details = { ...details, apiKeyId: req.apiKey.id };
+      }
+
+      recordAudit({
+        userId: req.user?.id || context.userId || null,
+        action: succeeded ? action : options.failureAction,
+        resourceType,
+        resourceId: context.resourceId ?? (options.resourceIdParam ? req.params[options.resourceIdParam] : null),
+        details: details && Object.keys(details).length > 0 ? details : null,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditAction,
+};
@@ -1,5 +1,6 @@
 const supabase = require('../config/supabase');
 const userModel = require('../models/user.model');
+const apiKeyService = require('../services/apiKey.service');
 const logger = require('../utils/logger');
 
 /**
@@ -17,6 +18,15 @@ const authenticate = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      // Routes that take API keys use authenticateOrApiKey
+      if (req.headers['x-api-key']) {
+        return res.status(403).json({
+          success: false,
+          error: 'This endpoint does not accept API keys',
+          code: 'API_KEY_NOT_ALLOWED',
+        });
+      }
+
       return res.status(401).json({
         success: false,
         error: 'No authentication token provided',
@@ -139,6 +149,78 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate with a company API key (X-API-Key header) or a user token
+ * Requests with an X-API-Key header need a key with `scope`; they act as the company member
+ * who created the key (req.user, req.companyMembership) and set req.apiKey. Requests without
+ * one are handed to `userAuth`.
+ * @param {string} scope - Required key scope (see API_KEY_SCOPES)
+ * @param {Function} userAuth - Middleware for requests without an API key (default: authenticate)
+ * @returns {Function} Express middleware function
+ */
+const authenticateOrApiKey = (scope, userAuth = authenticate) => {
+  return async (req, res, next) => {
+    const rawKey = req.headers['x-api-key'];
+
+    if (!rawKey) {
+      return userAuth(req, res, next);
+    }
+
+    try {
+      const result = await apiKeyService.authenticateKey(rawKey, req.ip);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or revoked API key',
+          code: 'INVALID_API_KEY',
+        });
+      }
+
+      const { apiKey, profile, membership } = result;
+
+      if (!profile) {
+        return res.status(401).json({
+          success: false,
+          error: 'The member who created this API key can no longer act for the company; create a new key',
+          code: 'API_KEY_OWNER_INACTIVE',
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        logger.warn(`API key ${apiKey.id} lacks scope '${scope}'`);
+        return res.status(403).json({
+          success: false,
+          error: `This API key does not have the ${scope} scope`,
+          code: 'INSUFFICIENT_SCOPE',
+          required: scope,
+        });
+      }
+
+      req.user = {
+        id: profile.id,
+        email: profile.email,
+        role: profile.role,
+      };
+      req.companyMembership = membership;
+      req.apiKey = {
+        id: apiKey.id,
+        companyId: apiKey.company_id,
+        scopes: apiKey.scopes,
+      };
+
+      logger.info(`API key authenticated: ${apiKey.key_prefix} (company ${apiKey.company_id}, acting as ${profile.email})`);
+      next();
+    } catch (error) {
+      logger.error('API key authentication error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal authentication error',
+      });
+    }
+  };
+};
+
 /**
  * Refresh token validation
  * For endpoints that require a fresh token
@@ -170,5 +252,6 @@ const requireFreshToken = (maxAgeSeconds = 3600) => {
 module.exports = {
   authenticate,
   optionalAuthenticate,
+  authenticateOrApiKey,
   requireFreshToken,
 };
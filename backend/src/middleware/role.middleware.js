@@ -1,4 +1,8 @@
 const logger = require('../utils/logger');
+const jobsModel = require('../models/jobs.model');
+const atsModel = require('../models/ats.model');
+const companyModel = require('../models/company.model');
+const { canAccessJob, hasCompanyPermission } = require('../utils/companyRoles');
 
 /**
  * Role-Based Access Control Middleware
@@ -124,6 +128,200 @@ const requireActiveStatus = (req, res, next) => {
   next();
 };
 
+/**
+ * Get the requester's company membership (looked up once per request)
+ * Only HR accounts belong to a company; everyone else gets null.
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} Membership ({ company_id, role }) or null
+ */
+const getCompanyMembership = async (req) => {
+  if (!req.user || !['hr_pending', 'hr_approved'].includes(req.user.role)) {
+    return null;
+  }
+
+  if (req.companyMembership === undefined) {
+    req.companyMembership = await companyModel.getMembershipByUserId(req.user.id);
+  }
+
+  return req.companyMembership;
+};
+
+/**
+ * Check if user holds a permission in the company the request acts on
+ * Sets req.companyId. HR act on their own company; admins pass ?companyId (or body.companyId).
+ * @param {string} permission - One of COMPANY_PERMISSIONS
+ * @returns {Function} Express middleware function
+ */
+const requireCompanyAccess = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+
+    try {
+      if (req.user.role === 'admin') {
+        const companyId = parseInt(req.query.companyId || req.body?.companyId, 10);
+
+        if (!companyId) {
+          return res.status(400).json({
+            success: false,
+            error: 'companyId is required',
+          });
+        }
+
+        req.companyId = companyId;
+        return next();
+      }
+
+      const membership = await getCompanyMembership(req);
+
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          error: 'Your account is not linked to a company',
+          code: 'NO_COMPANY',
+        });
+      }
+
+      if (!hasCompanyPermission(membership.role, permission)) {
+        logger.warn(`Company access denied: User ${req.user.email} lacks '${permission}'`);
+        return res.status(403).json({
+          success: false,
+          error: 'Your company role does not allow this action',
+          code: 'FORBIDDEN',
+          required: permission,
+        });
+      }
+
+      req.companyId = membership.company_id;
+      next();
+    } catch (error) {
+      logger.error('Company access check failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check company access',
+        message: error.message,
+      });
+    }
+  };
+};
+
+/**
+ * Check if user can act on the job in the route
+ * Loads the job into req.job. Admins pass; HR need the company permission on the job's
+ * company; jobs that belong to no company are only accessible to their creator.
+ * @param {string} permission - One of COMPANY_PERMISSIONS
+ * @param {string} jobIdParam - Name of the route parameter containing the job ID
+ * @returns {Function} Express middleware function
+ */
+const requireJobAccess = (permission, jobIdParam = 'jobId') => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+
+    try {
+      const job = await jobsModel.getJobByJobId(req.params[jobIdParam]);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found',
+          code: 'JOB_NOT_FOUND',
+        });
+      }
+
+      if (!canAccessJob(req.user, await getCompanyMembership(req), job, permission)) {
+        logger.warn(`Job access denied: User ${req.user.email} lacks '${permission}' on job ${job.job_id}`);
+        return res.status(403).json({
+          success: false,
+          error: 'This job belongs to another company or your company role does not allow this action',
+          code: 'JOB_ACCESS_DENIED',
+          required: permission,
+        });
+      }
+
+      req.job = job;
+      next();
+    } catch (error) {
+      logger.error('Job access check failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check job access',
+        message: error.message,
+      });
+    }
+  };
+};
+
+/**
+ * Check if user can act on the application in the route
+ * Loads the application into req.application and its job into req.job. Candidates may only
+ * access their own applications; HR need the company permission on the application's job.
+ * @param {string} permission - One of COMPANY_PERMISSIONS (ignored for candidates)
+ * @param {string} applicationIdParam - Name of the route parameter containing the application ID
+ * @returns {Function} Express middleware function
+ */
+const requireApplicationAccess = (permission, applicationIdParam = 'applicationId') => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+
+    try {
+      const application = await atsModel.getResumeById(req.params[applicationIdParam]);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          error: 'Application not found',
+          code: 'APPLICATION_NOT_FOUND',
+        });
+      }
+
+      const job = await jobsModel.getJobByJobId(application.job_id);
+      const allowed = req.user.role === 'candidate'
+        ? application.candidate_user_id === req.user.id
+        : Boolean(job) && canAccessJob(req.user, await getCompanyMembership(req), job, permission);
+
+      if (!allowed) {
+        logger.warn(`Application access denied: User ${req.user.email} on application ${application.id}`);
+        return res.status(403).json({
+          success: false,
+          error: req.user.role === 'candidate'
+            ? 'You can only access your own applications'
+            : 'This application belongs to another company or your company role does not allow this action',
+          code: 'APPLICATION_ACCESS_DENIED',
+          required: req.user.role === 'candidate' ? undefined : permission,
+        });
+      }
+
+      req.application = application;
+      req.job = job;
+      next();
+    } catch (error) {
+      logger.error('Application access check failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check application access',
+        message: error.message,
+      });
+    }
+  };
+};
+
 /**
  * Rate limiting by role
  * Different rate limits for different roles
@@ -162,6 +360,10 @@ module.exports = {
   requireCandidate,
   requireOwnership,
   requireActiveStatus,
+  getCompanyMembership,
+  requireCompanyAccess,
+  requireJobAccess,
+  requireApplicationAccess,
   getRateLimitForRole,
   addRateLimitHeaders,
 };
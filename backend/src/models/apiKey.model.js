@@ -0,0 +1,146 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * API Key Model - Database operations for company API keys
+ */
+
+/**
+ * Create an API key
+ * @param {object} keyData - Key columns (key_hash, never the key itself)
+ * @returns {Promise<object>} Created key
+ */
+const createKey = async (keyData) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert([keyData])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating API key:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to create API key:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get an API key by ID
+ * @param {number} keyId - Key ID
+ * @returns {Promise<object|null>} Key or null
+ */
+const getKeyById = async (keyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('id', keyId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching API key:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch API key:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get an API key by the hash of the key
+ * @param {string} keyHash - SHA-256 of the key
+ * @returns {Promise<object|null>} Key or null
+ */
+const getKeyByHash = async (keyHash) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Database error fetching API key by hash:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch API key by hash:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a company's API keys, newest first
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array>} Keys (revoked ones included)
+ */
+const getKeysByCompany = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching API keys:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch API keys:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update an API key
+ * @param {number} keyId - Key ID
+ * @param {object} updates - Columns to update
+ * @returns {Promise<object|null>} Updated key
+ */
+const updateKey = async (keyId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update(updates)
+      .eq('id', keyId)
+      .select();
+
+    if (error) {
+      logger.error('Database error updating API key:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update API key:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createKey,
+  getKeyById,
+  getKeyByHash,
+  getKeysByCompany,
+  updateKey,
+};
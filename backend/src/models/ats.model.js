@@ -19,7 +19,13 @@ const createResume = async (resumeData) => {
           job_id: resumeData.jobId,
           candidate_user_id: resumeData.candidateUserId,
           cloudinary_url: resumeData.cloudinaryUrl,
-          parsed_data: resumeData.parsedData,
+          parsed_data: resumeData.parsedData || null,
+          original_filename: resumeData.originalFilename || null,
+          library_resume_id: resumeData.libraryResumeId || null,
+          application_status: resumeData.applicationStatus || 'received',
+          status_reason: resumeData.statusReason || null,
+          screening_answers: resumeData.screeningAnswers || null,
+          pipeline_stage: resumeData.pipelineStage || 'applied',
         },
       ])
       .select()
@@ -91,6 +97,197 @@ const getResumesByJobId = async (jobId) => {
   }
 };
 
+/**
+ * Store parsed resume data
+ * @param {string} resumeId - Resume ID
+ * @param {object} parsedData - Normalized parser output
+ * @returns {Promise<object>} Updated resume record
+ */
+const updateParsedData = async (resumeId, parsedData) => {
+  try {
+    const { data, error } = await supabase
+      .from('resumes')
+      .update({ parsed_data: parsedData })
+      .eq('id', resumeId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error updating parsed data:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to update parsed data:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Move an application to a new processing stage
+ * @param {string} resumeId - Resume (application) ID
+ * @param {string} status - received | parsed | scored | notified | failed
+ * @param {string|null} reason - Failure reason (only for failed)
+ * @returns {Promise<object>} Updated resume record
+ */
+const updateApplicationStatus = async (resumeId, status, reason = null) => {
+  try {
+    const { data, error } = await supabase
+      .from('resumes')
+      .update({
+        application_status: status,
+        status_reason: reason,
+        status_updated_at: new Date().toISOString(),
+      })
+      .eq('id', resumeId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error updating application status:', error);
+      throw error;
+    }
+
+    logger.info(`Application ${resumeId} status -> ${status}`);
+    return data;
+  } catch (error) {
+    logger.error('Failed to update application status:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Move an application to another hiring pipeline stage and record it in the history
+ * The update only applies while the application is still in `fromStage`, so two HR users
+ * dragging the same card cannot silently overwrite each other.
+ * @param {string} resumeId - Resume (application) ID
+ * @param {object} change - { jobId, fromStage, toStage, changedBy, note, revealIdentity }
+ *   revealIdentity: also mark a blind application as revealed to HR
+ * @returns {Promise<object|null>} Updated resume record, or null if the stage changed meanwhile
+ */
+const updatePipelineStage = async (resumeId, change) => {
+  try {
+    const { data, error } = await supabase
+      .from('resumes')
+      .update({
+        pipeline_stage: change.toStage,
+        pipeline_stage_updated_at: new Date().toISOString(),
+        ...(change.revealIdentity && { identity_revealed_at: new Date().toISOString() }),
+      })
+      .eq('id', resumeId)
+      .eq('pipeline_stage', change.fromStage)
+      .select();
+
+    if (error) {
+      logger.error('Database error updating pipeline stage:', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    const { error: historyError } = await supabase
+      .from('application_stage_history')
+      .insert([
+        {
+          resume_id: resumeId,
+          job_id: change.jobId,
+          from_stage: change.fromStage,
+          to_stage: change.toStage,
+          changed_by: change.changedBy || null,
+          note: change.note || null,
+        },
+      ]);
+
+    if (historyError) {
+      logger.error('Database error recording stage history:', historyError);
+      throw historyError;
+    }
+
+    logger.info(`Application ${resumeId} stage ${change.fromStage} -> ${change.toStage}`);
+    return data[0];
+  } catch (error) {
+    logger.error('Failed to update pipeline stage:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the pipeline stage history of an application
+ * @param {string} resumeId - Resume (application) ID
+ * @returns {Promise<array>} Stage changes, oldest first
+ */
+const getStageHistory = async (resumeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('application_stage_history')
+      .select(`
+        *,
+        users_profiles (
+          full_name,
+          email
+        )
+      `)
+      .eq('resume_id', resumeId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching stage history:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch stage history:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get processing status of an application
+ * @param {string} resumeId - Resume (application) ID
+ * @returns {Promise<object|null>} Resume with its score summary, or null
+ */
+const getApplicationStatus = async (resumeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('resumes')
+      .select(`
+        id,
+        job_id,
+        candidate_user_id,
+        application_status,
+        status_reason,
+        status_updated_at,
+        uploaded_at,
+        ats_scores (
+          id,
+          match_score,
+          email_sent,
+          created_at
+        )
+      `)
+      .eq('id', resumeId)
+      .eq('ats_scores.is_current', true)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching application status:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch application status:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
 /**
  * Create ATS score record
  * @param {object} scoreData - ATS score information
@@ -112,7 +309,23 @@ const createATSScore = async (scoreData) => {
           recommendation: scoreData.recommendation,
           key_highlights: scoreData.keyHighlights,
           areas_of_concern: scoreData.areasOfConcern,
+          score_breakdown: scoreData.scoreBreakdown || null,
           email_sent: scoreData.emailSent || false,
+          version: scoreData.version || 1,
+          is_current: scoreData.isCurrent !== false,
+          job_text_hash: scoreData.jobTextHash || null,
+          llm_provider: scoreData.llmProvider || null,
+          llm_model: scoreData.llmModel || null,
+          prompt_template_id: scoreData.promptTemplateId || null,
+          prompt_version: scoreData.promptVersion || null,
+          latency_ms: scoreData.latencyMs ?? null,
+          prompt_tokens: scoreData.promptTokens ?? null,
+          completion_tokens: scoreData.completionTokens ?? null,
+          total_tokens: scoreData.totalTokens ?? null,
+          llm_attempts: scoreData.llmAttempts ?? null,
+          is_fallback: Boolean(scoreData.isFallback),
+          fallback_reason: scoreData.fallbackReason || null,
+          rescore_run_id: scoreData.rescoreRunId || null,
         },
       ])
       .select()
@@ -159,6 +372,106 @@ const getATSScoreById = async (scoreId) => {
   }
 };
 
+/**
+ * Get the current ATS score for a resume
+ * @param {string} resumeId - Resume ID
+ * @returns {Promise<object|null>} Score record or null
+ */
+const getATSScoreByResumeId = async (resumeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('ats_scores')
+      .select('*')
+      .eq('resume_id', resumeId)
+      .eq('is_current', true)
+      .limit(1);
+
+    if (error) {
+      logger.error('Database error fetching ATS score by resume:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    logger.error('Failed to fetch ATS score by resume:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Make a score version the application's current score
+ * @param {number} scoreId - Score ID
+ * @returns {Promise<object|null>} Updated score or null if it does not exist
+ */
+const setCurrentATSScore = async (scoreId) => {
+  try {
+    const { data, error } = await supabase.rpc('set_current_ats_score', {
+      p_score_id: scoreId,
+    });
+
+    if (error) {
+      logger.error('Database error setting current ATS score:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to set current ATS score:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get every score version of an application
+ * @param {number} resumeId - Resume (application) ID
+ * @returns {Promise<array>} Score records, newest version first
+ */
+const getScoreVersions = async (resumeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('ats_scores')
+      .select('*')
+      .eq('resume_id', resumeId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching score versions:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch score versions:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the superseded score versions of a job's applications
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<array>} Score records, newest version first
+ */
+const getPreviousScoresByJobId = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('ats_scores')
+      .select('id, resume_id, version, match_score, job_text_hash, llm_provider, llm_model, is_fallback, created_at')
+      .eq('job_id', jobId)
+      .eq('is_current', false)
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching previous ATS scores:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch previous ATS scores:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
 /**
  * Get ATS scores by job ID
  * @param {string} jobId - Job identifier
@@ -174,10 +487,14 @@ const getATSScoresByJobId = async (jobId, filters = {}) => {
         resumes (
           cloudinary_url,
           parsed_data,
-          uploaded_at
+          uploaded_at,
+          pipeline_stage,
+          pipeline_stage_updated_at,
+          identity_revealed_at
         )
       `)
-      .eq('job_id', jobId);
+      .eq('job_id', jobId)
+      .eq('is_current', true);
 
     // Apply filters
     if (filters.minScore) {
@@ -247,10 +564,13 @@ const getTopCandidates = async (jobId, limit = 10) => {
         resumes (
           cloudinary_url,
           parsed_data,
-          uploaded_at
+          uploaded_at,
+          pipeline_stage,
+          identity_revealed_at
         )
       `)
       .eq('job_id', jobId)
+      .eq('is_current', true)
       .order('match_score', { ascending: false })
       .limit(limit);
 
@@ -324,39 +644,42 @@ const getApplicationByUserAndJob = async (userId, jobId) => {
 
 /**
  * Get all applications by candidate user ID
+ * Includes applications that are still being processed (no score yet)
  * @param {string} userId - Candidate user ID
  * @returns {Promise<array>} Array of applications with scores
  */
 const getApplicationsByUserId = async (userId) => {
   try {
-    // First, get all ats_scores with resumes for this user
-    const { data: scoresData, error: scoresError } = await supabase
-      .from('ats_scores')
+    const { data: resumesData, error: resumesError } = await supabase
+      .from('resumes')
       .select(`
-        *,
-        resumes!inner (
-          id,
-          job_id,
-          cloudinary_url,
-          parsed_data,
-          uploaded_at,
-          candidate_user_id
-        )
+        id,
+        job_id,
+        cloudinary_url,
+        parsed_data,
+        uploaded_at,
+        candidate_user_id,
+        application_status,
+        status_reason,
+        status_updated_at,
+        pipeline_stage,
+        ats_scores (*)
       `)
-      .eq('resumes.candidate_user_id', userId)
-      .order('created_at', { ascending: false });
+      .eq('candidate_user_id', userId)
+      .eq('ats_scores.is_current', true)
+      .order('uploaded_at', { ascending: false });
 
-    if (scoresError) {
-      logger.error('Database error fetching user applications:', scoresError);
-      throw scoresError;
+    if (resumesError) {
+      logger.error('Database error fetching user applications:', resumesError);
+      throw resumesError;
     }
 
-    if (!scoresData || scoresData.length === 0) {
+    if (!resumesData || resumesData.length === 0) {
       return [];
     }
 
     // Extract unique job IDs
-    const jobIds = [...new Set(scoresData.map(score => score.resumes.job_id))];
+    const jobIds = [...new Set(resumesData.map((resume) => resume.job_id))];
 
     // Fetch job details for all job IDs
     const { data: jobsData, error: jobsError } = await supabase
@@ -377,11 +700,23 @@ const getApplicationsByUserId = async (userId) => {
       });
     }
 
-    // Merge job details into scores data
-    const mergedData = scoresData.map(score => ({
-      ...score,
-      job: jobsMap[score.resumes.job_id] || null,
-    }));
+    // Flatten into the score shape, keeping unscored applications
+    const mergedData = resumesData.map(({ ats_scores: scores, ...resume }) => {
+      const score = Array.isArray(scores) ? scores[0] : scores;
+
+      return {
+        ...(score || {}),
+        resume_id: resume.id,
+        job_id: resume.job_id,
+        application_status: resume.application_status,
+        status_reason: resume.status_reason,
+        status_updated_at: resume.status_updated_at,
+        pipeline_stage: resume.pipeline_stage,
+        created_at: score?.created_at || resume.uploaded_at,
+        resumes: resume,
+        job: jobsMap[resume.job_id] || null,
+      };
+    });
 
     return mergedData;
   } catch (error) {
@@ -392,7 +727,7 @@ const getApplicationsByUserId = async (userId) => {
 
 /**
  * Get application by ID (with joined data)
- * @param {number} applicationId - Application/Score ID
+ * @param {number} applicationId - Application (resume) ID; its current score is returned
  * @returns {Promise<object|null>} Application details or null
  */
 const getApplicationById = async (applicationId) => {
@@ -407,7 +742,9 @@ const getApplicationById = async (applicationId) => {
           candidate_user_id,
           cloudinary_url,
           parsed_data,
-          uploaded_at
+          uploaded_at,
+          pipeline_stage,
+          identity_revealed_at
         ),
         jobs (
           job_id,
@@ -419,7 +756,8 @@ const getApplicationById = async (applicationId) => {
           status
         )
       `)
-      .eq('id', applicationId)
+      .eq('resume_id', applicationId)
+      .eq('is_current', true)
       .single();
 
     if (error) {
@@ -437,12 +775,185 @@ const getApplicationById = async (applicationId) => {
   }
 };
 
+/**
+ * Get the current scores of a job's applications (what a re-score run replaces)
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<array>} { id, resume_id, version } records
+ */
+const getCurrentScoreVersions = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('ats_scores')
+      .select('id, resume_id, version')
+      .eq('job_id', jobId)
+      .eq('is_current', true);
+
+    if (error) {
+      logger.error('Database error fetching current score versions:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch current score versions:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Start a re-score run
+ * @param {object} runData - { jobId, reason, triggeredBy, jobTextHash, total }
+ * @returns {Promise<object>} Created run
+ */
+const createRescoreRun = async (runData) => {
+  try {
+    const { data, error } = await supabase
+      .from('rescore_runs')
+      .insert([
+        {
+          job_id: runData.jobId,
+          reason: runData.reason,
+          triggered_by: runData.triggeredBy || null,
+          job_text_hash: runData.jobTextHash,
+          total: runData.total,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating re-score run:', error);
+      throw error;
+    }
+
+    logger.info(`Re-score run created: ${data.id}`);
+    return data;
+  } catch (error) {
+    logger.error('Failed to create re-score run:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a re-score run
+ * @param {number} runId - Run ID
+ * @returns {Promise<object|null>} Run record or null
+ */
+const getRescoreRunById = async (runId) => {
+  try {
+    const { data, error } = await supabase
+      .from('rescore_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching re-score run:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch re-score run:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the most recent re-score run of a job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<object|null>} Run record or null
+ */
+const getLatestRescoreRun = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('rescore_runs')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.error('Database error fetching latest re-score run:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    logger.error('Failed to fetch latest re-score run:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Stop a job's unfinished re-score runs (a newer run replaces them)
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<array>} Superseded runs
+ */
+const supersedeRescoreRuns = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('rescore_runs')
+      .update({ status: 'superseded', finished_at: new Date().toISOString() })
+      .eq('job_id', jobId)
+      .eq('status', 'running')
+      .select();
+
+    if (error) {
+      logger.error('Database error superseding re-score runs:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to supersede re-score runs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Count one finished application of a re-score run
+ * @param {number} runId - Run ID
+ * @param {boolean} failed - Whether the application could not be re-scored
+ * @returns {Promise<object|null>} Updated run
+ */
+const recordRescoreProgress = async (runId, failed = false) => {
+  try {
+    const { data, error } = await supabase.rpc('record_rescore_progress', {
+      p_run_id: runId,
+      p_failed: failed,
+    });
+
+    if (error) {
+      logger.error('Database error recording re-score progress:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to record re-score progress:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
 module.exports = {
   createResume,
   getResumeById,
   getResumesByJobId,
+  updateParsedData,
+  updateApplicationStatus,
+  updatePipelineStage,
+  getStageHistory,
+  getApplicationStatus,
   createATSScore,
   getATSScoreById,
+  getATSScoreByResumeId,
+  setCurrentATSScore,
+  getScoreVersions,
+  getPreviousScoresByJobId,
   getScoresByJobId: getATSScoresByJobId,
   updateEmailSentStatus,
   getTopCandidates,
@@ -451,4 +962,11 @@ module.exports = {
   getApplicationByUserAndJob,
   getApplicationsByUserId,
   getApplicationById,
+  // Score versions and re-scoring
+  getCurrentScoreVersions,
+  createRescoreRun,
+  getRescoreRunById,
+  getLatestRescoreRun,
+  supersedeRescoreRuns,
+  recordRescoreProgress,
 };
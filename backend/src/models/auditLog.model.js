@@ -0,0 +1,115 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Log Model - Database operations for the audit_logs table
+ */
+
+/**
+ * Insert an audit log entry
+ * @param {object} entry - { userId, action, resourceType, resourceId, details, ipAddress, userAgent }
+ * @returns {Promise<object>} Created audit log record
+ */
+const createAuditLog = async (entry) => {
+  try {
+    const { data, error } = await supabase
+      .from('audit_logs')
+      .insert([
+        {
+          user_id: entry.userId || null,
+          action: entry.action,
+          resource_type: entry.resourceType || null,
+          resource_id: entry.resourceId !== undefined && entry.resourceId !== null ? String(entry.resourceId) : null,
+          details: entry.details || null,
+          ip_address: entry.ipAddress || null,
+          user_agent: entry.userAgent || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating audit log:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to create audit log:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get audit log entries, newest first
+ * @param {object} filters - { userId, action, resourceType, resourceId, from, to, page, limit }
+ * @returns {Promise<object>} { logs, total }
+ */
+const getAuditLogs = async (filters = {}) => {
+  try {
+    const page = filters.page || 1;
+    const limit = filters.limit || 50;
+
+    let query = supabase
+      .from('audit_logs')
+      .select(`
+        *,
+        actor:users_profiles (
+          email,
+          full_name,
+          role
+        )
+      `, { count: 'exact' });
+
+    if (filters.userId) {
+      query = query.eq('user_id', filters.userId);
+    }
+
+    if (filters.action) {
+      // "user" matches every user.* action
+      query = filters.action.includes('.')
+        ? query.eq('action', filters.action)
+        : query.like('action', `${filters.action}.%`);
+    }
+
+    if (filters.resourceType) {
+      query = query.eq('resource_type', filters.resourceType);
+    }
+
+    if (filters.resourceId) {
+      query = query.eq('resource_id', String(filters.resourceId));
+    }
+
+    if (filters.from) {
+      query = query.gte('created_at', filters.from);
+    }
+
+    if (filters.to) {
+      query = query.lte('created_at', filters.to);
+    }
+
+    query = query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      logger.error('Database error fetching audit logs:', error);
+      throw error;
+    }
+
+    return {
+      logs: data || [],
+      total: count || 0,
+    };
+  } catch (error) {
+    logger.error('Failed to fetch audit logs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createAuditLog,
+  getAuditLogs,
+};
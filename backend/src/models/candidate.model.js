@@ -0,0 +1,325 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Candidate Model - Database operations for candidate profiles and the resume library
+ */
+
+/**
+ * Get a candidate's profile
+ * @param {string} userId - Candidate user UUID
+ * @returns {Promise<object|null>} Profile record or null
+ */
+const getProfile = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_profiles')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching candidate profile:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch candidate profile:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Create or replace a candidate's profile
+ * @param {string} userId - Candidate user UUID
+ * @param {object} profile - Validated profile columns
+ * @returns {Promise<object>} Saved profile
+ */
+const upsertProfile = async (userId, profile) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_profiles')
+      .upsert({
+        ...profile,
+        user_id: userId,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error saving candidate profile:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to save candidate profile:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a candidate's library resumes
+ * @param {string} userId - Candidate user UUID
+ * @returns {Promise<array>} Resumes, default first, then newest first
+ */
+const getLibraryResumes = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_resumes')
+      .select('*')
+      .eq('user_id', userId)
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching library resumes:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch library resumes:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a library resume by ID
+ * @param {number} resumeId - Library resume ID
+ * @returns {Promise<object|null>} Resume record or null
+ */
+const getLibraryResumeById = async (resumeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_resumes')
+      .select('*')
+      .eq('id', resumeId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching library resume:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch library resume:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Add a resume to a candidate's library
+ * @param {object} resumeData - { userId, name, cloudinaryUrl, originalFilename, isDefault }
+ * @returns {Promise<object>} Created resume
+ */
+const createLibraryResume = async (resumeData) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_resumes')
+      .insert([
+        {
+          user_id: resumeData.userId,
+          name: resumeData.name,
+          cloudinary_url: resumeData.cloudinaryUrl,
+          original_filename: resumeData.originalFilename || null,
+          is_default: Boolean(resumeData.isDefault),
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating library resume:', error);
+      throw error;
+    }
+
+    logger.info(`Library resume created: ${data.id}`);
+    return data;
+  } catch (error) {
+    logger.error('Failed to create library resume:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Rename a library resume
+ * @param {number} resumeId - Library resume ID
+ * @param {string} name - New name
+ * @returns {Promise<object>} Updated resume
+ */
+const renameLibraryResume = async (resumeId, name) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_resumes')
+      .update({ name, updated_at: new Date().toISOString() })
+      .eq('id', resumeId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error renaming library resume:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to rename library resume:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Make a library resume the candidate's default
+ * @param {string} userId - Candidate user UUID
+ * @param {number} resumeId - Library resume ID
+ * @returns {Promise<object|null>} Updated resume or null if it is not the candidate's
+ */
+const setDefaultLibraryResume = async (userId, resumeId) => {
+  try {
+    const { data, error } = await supabase.rpc('set_default_candidate_resume', {
+      p_user_id: userId,
+      p_resume_id: resumeId,
+    });
+
+    if (error) {
+      logger.error('Database error setting default resume:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to set default resume:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Store the parsed data of a library resume
+ * @param {number} resumeId - Library resume ID
+ * @param {object} parsedData - Parser output
+ * @returns {Promise<object>} Updated resume
+ */
+const updateLibraryParsedData = async (resumeId, parsedData) => {
+  try {
+    const { data, error } = await supabase
+      .from('candidate_resumes')
+      .update({ parsed_data: parsedData, parsed_at: new Date().toISOString() })
+      .eq('id', resumeId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error updating library resume parse:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to update library resume parse:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a library resume (applications made with it keep their own copy of the file URL)
+ * @param {number} resumeId - Library resume ID
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteLibraryResume = async (resumeId) => {
+  try {
+    const { error } = await supabase
+      .from('candidate_resumes')
+      .delete()
+      .eq('id', resumeId);
+
+    if (error) {
+      logger.error('Database error deleting library resume:', error);
+      throw error;
+    }
+
+    logger.info(`Library resume deleted: ${resumeId}`);
+    return true;
+  } catch (error) {
+    logger.error('Failed to delete library resume:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a candidate's resume checks since a point in time
+ * @param {string} userId - Candidate user UUID
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<array>} Checks, oldest first
+ */
+const getFeedbackChecksSince = async (userId, since) => {
+  try {
+    const { data, error } = await supabase
+      .from('resume_feedback_checks')
+      .select('id, job_id, created_at')
+      .eq('user_id', userId)
+      .gte('created_at', since)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching resume checks:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch resume checks:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Record a resume check if the candidate is still within their limit
+ * Counted and recorded atomically, so parallel checks cannot exceed the limit.
+ * @param {object} checkData - { userId, jobId, libraryResumeId, limit, windowHours }
+ * @returns {Promise<object|null>} Recorded check, or null when the limit is reached
+ */
+const reserveFeedbackCheck = async (checkData) => {
+  try {
+    const { data, error } = await supabase.rpc('reserve_resume_feedback_check', {
+      p_user_id: checkData.userId,
+      p_job_id: checkData.jobId,
+      p_library_resume_id: checkData.libraryResumeId || null,
+      p_limit: checkData.limit,
+      p_window_hours: checkData.windowHours,
+    });
+
+    if (error) {
+      logger.error('Database error reserving resume check:', error);
+      throw error;
+    }
+
+    return Array.isArray(data) ? data[0] || null : data || null;
+  } catch (error) {
+    logger.error('Failed to reserve resume check:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getProfile,
+  upsertProfile,
+  getLibraryResumes,
+  getLibraryResumeById,
+  createLibraryResume,
+  renameLibraryResume,
+  setDefaultLibraryResume,
+  updateLibraryParsedData,
+  deleteLibraryResume,
+  getFeedbackChecksSince,
+  reserveFeedbackCheck,
+};
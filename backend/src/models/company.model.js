@@ -0,0 +1,381 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Company Model - Database operations for company workspaces, members and invites
+ */
+
+const MEMBER_SELECT = `
+  *,
+  users_profiles!company_members_user_id_fkey (
+    id,
+    email,
+    full_name,
+    role,
+    status
+  )
+`;
+
+/**
+ * Get a company by ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<object|null>} Company record or null
+ */
+const getCompanyById = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('companies')
+      .select('id, name, email, status, culture_values, email_sender_name, email_logo_url, email_primary_color, email_accent_color, created_by, created_at')
+      .eq('id', companyId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching company:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch company:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update a company's email branding
+ * @param {number} companyId - Company ID
+ * @param {object} updates - email_sender_name, email_logo_url, email_primary_color, email_accent_color
+ * @returns {Promise<object|null>} Updated company or null if not found
+ */
+const updateCompanyBranding = async (companyId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('companies')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', companyId)
+      .select('id, name, email_sender_name, email_logo_url, email_primary_color, email_accent_color');
+
+    if (error) {
+      logger.error('Database error updating company branding:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update company branding:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the company membership of a user
+ * @param {string} userId - User UUID
+ * @returns {Promise<object|null>} Membership ({ company_id, role, ... }) or null
+ */
+const getMembershipByUserId = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_members')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching company membership:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch company membership:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the members of a company with their profiles
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array>} Members, oldest first
+ */
+const getCompanyMembers = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_members')
+      .select(MEMBER_SELECT)
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching company members:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch company members:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Add a user to a company
+ * @param {object} memberData - { companyId, userId, role, invitedBy }
+ * @returns {Promise<object>} Created membership
+ */
+const addCompanyMember = async (memberData) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_members')
+      .insert([
+        {
+          company_id: memberData.companyId,
+          user_id: memberData.userId,
+          role: memberData.role,
+          invited_by: memberData.invitedBy || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error adding company member:', error);
+      throw error;
+    }
+
+    logger.info(`User ${data.user_id} joined company ${data.company_id} as ${data.role}`);
+    return data;
+  } catch (error) {
+    logger.error('Failed to add company member:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Change a member's company role
+ * @param {number} companyId - Company ID
+ * @param {string} userId - Member user UUID
+ * @param {string} role - New company role
+ * @returns {Promise<object|null>} Updated membership or null if not a member
+ */
+const updateCompanyMemberRole = async (companyId, userId, role) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_members')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('company_id', companyId)
+      .eq('user_id', userId)
+      .select(MEMBER_SELECT);
+
+    if (error) {
+      logger.error('Database error updating company member:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update company member:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Remove a member from a company
+ * @param {number} companyId - Company ID
+ * @param {string} userId - Member user UUID
+ * @returns {Promise<boolean>} True if a membership was removed
+ */
+const removeCompanyMember = async (companyId, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_members')
+      .delete()
+      .eq('company_id', companyId)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) {
+      logger.error('Database error removing company member:', error);
+      throw error;
+    }
+
+    return Boolean(data && data.length > 0);
+  } catch (error) {
+    logger.error('Failed to remove company member:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Count the owners of a company
+ * @param {number} companyId - Company ID
+ * @returns {Promise<number>} Number of owners
+ */
+const countCompanyOwners = async (companyId) => {
+  try {
+    const { count, error } = await supabase
+      .from('company_members')
+      .select('id', { count: 'exact', head: true })
+      .eq('company_id', companyId)
+      .eq('role', 'owner');
+
+    if (error) {
+      logger.error('Database error counting company owners:', error);
+      throw error;
+    }
+
+    return count || 0;
+  } catch (error) {
+    logger.error('Failed to count company owners:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Create an invitation to join a company
+ * @param {object} inviteData - { companyId, email, role, tokenHash, invitedBy, expiresAt }
+ * @returns {Promise<object>} Created invite
+ */
+const createCompanyInvite = async (inviteData) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_invites')
+      .insert([
+        {
+          company_id: inviteData.companyId,
+          email: inviteData.email,
+          role: inviteData.role,
+          token_hash: inviteData.tokenHash,
+          invited_by: inviteData.invitedBy,
+          expires_at: inviteData.expiresAt,
+        },
+      ])
+      .select('id, company_id, email, role, status, invited_by, expires_at, created_at')
+      .single();
+
+    if (error) {
+      logger.error('Database error creating company invite:', error);
+      throw error;
+    }
+
+    logger.info(`Company invite created: ${data.id} for company ${data.company_id}`);
+    return data;
+  } catch (error) {
+    logger.error('Failed to create company invite:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the pending invites of a company
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array>} Pending invites, newest first
+ */
+const getPendingInvites = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_invites')
+      .select('id, company_id, email, role, status, invited_by, expires_at, created_at')
+      .eq('company_id', companyId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching company invites:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch company invites:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get an invite by the hash of its token
+ * @param {string} tokenHash - SHA-256 of the invite token
+ * @returns {Promise<object|null>} Invite with its company, or null
+ */
+const getInviteByTokenHash = async (tokenHash) => {
+  try {
+    const { data, error } = await supabase
+      .from('company_invites')
+      .select(`
+        id, company_id, email, role, status, invited_by, expires_at, accepted_at, created_at,
+        companies ( id, name )
+      `)
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching company invite:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch company invite:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Close a pending invite (accept or revoke)
+ * @param {number} inviteId - Invite ID
+ * @param {object} updates - { status, acceptedBy }
+ * @param {number} companyId - Optional company the invite must belong to
+ * @returns {Promise<object|null>} Updated invite, or null if it was not pending
+ */
+const closeInvite = async (inviteId, updates, companyId = null) => {
+  try {
+    let query = supabase
+      .from('company_invites')
+      .update({
+        status: updates.status,
+        accepted_by: updates.acceptedBy || null,
+        accepted_at: updates.status === 'accepted' ? new Date().toISOString() : null,
+      })
+      .eq('id', inviteId)
+      .eq('status', 'pending');
+
+    if (companyId) {
+      query = query.eq('company_id', companyId);
+    }
+
+    const { data, error } = await query.select('id, company_id, email, role, status, expires_at, accepted_at');
+
+    if (error) {
+      logger.error('Database error updating company invite:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update company invite:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getCompanyById,
+  updateCompanyBranding,
+  getMembershipByUserId,
+  getCompanyMembers,
+  addCompanyMember,
+  updateCompanyMemberRole,
+  removeCompanyMember,
+  countCompanyOwners,
+  createCompanyInvite,
+  getPendingInvites,
+  getInviteByTokenHash,
+  closeInvite,
+};
@@ -0,0 +1,230 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Email Outbox Model - Database operations for outgoing emails
+ */
+
+// Columns returned by list queries (the bodies are only loaded for a single email)
+const LIST_COLUMNS = 'id, idempotency_key, template_key, company_id, to_email, from_name, subject, status, attempts, last_error, provider_message_id, next_attempt_at, sent_at, created_at, updated_at';
+
+const EMAIL_STATUSES = ['queued', 'sent', 'failed', 'bounced'];
+
+/**
+ * Get an outbox email by its idempotency key
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {Promise<object|null>} Email row
+ */
+const getEmailByIdempotencyKey = async (idempotencyKey) => {
+  try {
+    const { data, error } = await supabase
+      .from('email_outbox')
+      .select('*')
+      .eq('idempotency_key', idempotencyKey)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Database error fetching outbox email by key:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch outbox email by key:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Store an email in the outbox
+ * An email whose idempotency key is already stored is not inserted again.
+ * @param {object} emailData - { idempotencyKey, templateKey, companyId, to, fromName, subject, html, text }
+ * @returns {Promise<object>} { email, duplicate } - duplicate is true when the key already existed
+ */
+const insertEmail = async (emailData) => {
+  try {
+    const { data, error } = await supabase
+      .from('email_outbox')
+      .insert([{
+        idempotency_key: emailData.idempotencyKey || null,
+        template_key: emailData.templateKey || null,
+        company_id: emailData.companyId || null,
+        to_email: emailData.to,
+        from_name: emailData.fromName || null,
+        subject: emailData.subject,
+        html_body: emailData.html,
+        text_body: emailData.text || null,
+        status: 'queued',
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // unique_violation on idempotency_key: the email was already queued
+      if (error.code === '23505' && emailData.idempotencyKey) {
+        return { email: await getEmailByIdempotencyKey(emailData.idempotencyKey), duplicate: true };
+      }
+      logger.error('Database error storing outbox email:', error);
+      throw error;
+    }
+
+    return { email: data, duplicate: false };
+  } catch (error) {
+    logger.error('Failed to store outbox email:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get an outbox email with its bodies
+ * @param {number} id - Outbox email ID
+ * @returns {Promise<object|null>} Email row
+ */
+const getEmailById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('email_outbox')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Database error fetching outbox email:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch outbox email:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update an outbox email
+ * @param {number} id - Outbox email ID
+ * @param {object} updates - Columns to update
+ * @param {array} fromStatuses - Only update while the email has one of these statuses (default: any)
+ * @returns {Promise<object|null>} Updated row, or null if it did not match
+ */
+const updateEmail = async (id, updates, fromStatuses = null) => {
+  try {
+    let query = supabase
+      .from('email_outbox')
+      .update(updates)
+      .eq('id', id);
+
+    if (fromStatuses) {
+      query = query.in('status', fromStatuses);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      logger.error('Database error updating outbox email:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update outbox email:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * List outbox emails, newest first
+ * @param {object} filters - { status, recipient, templateKey, from, to, page, limit }
+ * @returns {Promise<object>} { emails, total }
+ */
+const getEmails = async (filters = {}) => {
+  try {
+    const page = filters.page || 1;
+    const limit = filters.limit || 50;
+
+    let query = supabase
+      .from('email_outbox')
+      .select(LIST_COLUMNS, { count: 'exact' });
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    if (filters.recipient) {
+      query = query.ilike('to_email', `%${filters.recipient}%`);
+    }
+
+    if (filters.templateKey) {
+      query = query.eq('template_key', filters.templateKey);
+    }
+
+    if (filters.from) {
+      query = query.gte('created_at', filters.from);
+    }
+
+    if (filters.to) {
+      query = query.lte('created_at', filters.to);
+    }
+
+    query = query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      logger.error('Database error fetching outbox emails:', error);
+      throw error;
+    }
+
+    return {
+      emails: data || [],
+      total: count || 0,
+    };
+  } catch (error) {
+    logger.error('Failed to fetch outbox emails:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Count outbox emails per status
+ * @returns {Promise<object>} { queued, sent, failed, bounced }
+ */
+const getStatusCounts = async () => {
+  try {
+    const counts = await Promise.all(EMAIL_STATUSES.map(async (status) => {
+      const { count, error } = await supabase
+        .from('email_outbox')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) {
+        throw error;
+      }
+
+      return [status, count || 0];
+    }));
+
+    return Object.fromEntries(counts);
+  } catch (error) {
+    logger.error('Failed to count outbox emails:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  EMAIL_STATUSES,
+  insertEmail,
+  getEmailById,
+  getEmailByIdempotencyKey,
+  updateEmail,
+  getEmails,
+  getStatusCounts,
+};
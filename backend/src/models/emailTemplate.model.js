@@ -0,0 +1,118 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Email Template Model - Database operations for edited email templates
+ * Rows without a company_id are platform-wide edits; rows with one are company overrides.
+ */
+
+/**
+ * Get the edited templates that apply to a company
+ * @param {number|null} companyId - Company ID (null = platform edits only)
+ * @param {string|null} templateKey - Only this template (default: all)
+ * @returns {Promise<array>} Template rows, platform rows and the company's rows
+ */
+const getTemplates = async (companyId, templateKey = null) => {
+  try {
+    let query = supabase
+      .from('email_templates')
+      .select('*');
+
+    query = companyId
+      ? query.or(`company_id.is.null,company_id.eq.${companyId}`)
+      : query.is('company_id', null);
+
+    if (templateKey) {
+      query = query.eq('template_key', templateKey);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Database error fetching email templates:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch email templates:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Save a platform edit or company override of a template
+ * @param {object} templateData - { templateKey, companyId, subject, htmlBody, updatedBy }
+ * @returns {Promise<object>} Saved template row
+ */
+const saveTemplate = async (templateData) => {
+  try {
+    const [existing] = (await getTemplates(templateData.companyId, templateData.templateKey))
+      .filter((row) => (row.company_id || null) === (templateData.companyId || null));
+
+    const columns = {
+      subject: templateData.subject,
+      html_body: templateData.htmlBody,
+      updated_by: templateData.updatedBy || null,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { data, error } = existing
+      ? await supabase
+        .from('email_templates')
+        .update(columns)
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('email_templates')
+        .insert([{ template_key: templateData.templateKey, company_id: templateData.companyId || null, ...columns }])
+        .select()
+        .single();
+
+    if (error) {
+      logger.error('Database error saving email template:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to save email template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a platform edit or company override, restoring the template it replaced
+ * @param {string} templateKey - Template key
+ * @param {number|null} companyId - Company ID (null = the platform edit)
+ * @returns {Promise<boolean>} True if a row was deleted
+ */
+const deleteTemplate = async (templateKey, companyId) => {
+  try {
+    let query = supabase
+      .from('email_templates')
+      .delete()
+      .eq('template_key', templateKey);
+
+    query = companyId ? query.eq('company_id', companyId) : query.is('company_id', null);
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      logger.error('Database error deleting email template:', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (error) {
+    logger.error('Failed to delete email template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+};
@@ -26,9 +26,18 @@ const upsertJob = async (jobData) => {
           salary_range: jobData.salaryRange || null,
           employment_type: jobData.employmentType || null,
           closing_date: jobData.closingDate || null,
+          llm_provider: jobData.llmProvider || null,
+          llm_model: jobData.llmModel || null,
+          criteria: jobData.criteria || null,
+          work_mode: jobData.workMode || null,
+          blind_review: Boolean(jobData.blindReview),
+          blind_reveal_stage: jobData.blindRevealStage || null,
           hr_email: jobData.hrEmail,
           hr_name: jobData.hrName || null,
           status: jobData.status || 'active',
+          publish_at: jobData.publishAt || null,
+          published_at: jobData.publishedAt || null,
+          max_applications: jobData.maxApplications || null,
           created_by: jobData.createdBy || null,
           updated_at: new Date().toISOString(),
         },
@@ -161,6 +170,7 @@ const createCompany = async (companyData) => {
         {
           name: companyData.name,
           email: companyData.email || null,
+          created_by: companyData.createdBy || null,
         },
       ])
       .select()
@@ -179,6 +189,90 @@ const createCompany = async (companyData) => {
   }
 };
 
+/**
+ * Get a company's stored pipeline stages
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array|null>} Stages, or null when the company uses the default pipeline
+ */
+const getCompanyPipeline = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('companies')
+      .select('pipeline_stages')
+      .eq('id', companyId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching company pipeline:', error);
+      throw error;
+    }
+
+    return data.pipeline_stages || null;
+  } catch (error) {
+    logger.error('Failed to fetch company pipeline:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the reveal stages used by a company's blind review jobs
+ * @param {number} companyId - Company ID
+ * @returns {Promise<string[]>} Distinct stage keys
+ */
+const getBlindRevealStages = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('blind_reveal_stage')
+      .eq('company_id', companyId)
+      .eq('blind_review', true);
+
+    if (error) {
+      logger.error('Database error fetching blind review stages:', error);
+      throw error;
+    }
+
+    return [...new Set((data || []).map((job) => job.blind_reveal_stage).filter(Boolean))];
+  } catch (error) {
+    logger.error('Failed to fetch blind review stages:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Replace a company's pipeline stages
+ * @param {number} companyId - Company ID
+ * @param {array|null} stages - Stages, or null to go back to the default pipeline
+ * @returns {Promise<object>} Updated company record
+ */
+const updateCompanyPipeline = async (companyId, stages) => {
+  try {
+    const { data, error } = await supabase
+      .from('companies')
+      .update({
+        pipeline_stages: stages,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', companyId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error updating company pipeline:', error);
+      throw error;
+    }
+
+    logger.info(`Pipeline updated for company ${companyId}`);
+    return data;
+  } catch (error) {
+    logger.error('Failed to update company pipeline:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
 /**
  * Get all jobs with optional filters
  * @param {object} filters - Filter options (status, companyId)
@@ -220,6 +314,50 @@ const getAllJobs = async (filters = {}) => {
   }
 };
 
+/**
+ * Full-text search over jobs with filters, sorting and pagination (search_jobs RPC)
+ * @param {object} filters - { query, statuses, companyId, company, location, employmentType, workMode,
+ *   salaryMin, salaryMax, postedAfter, sort, page, limit }
+ * @returns {Promise<object>} { jobs, total }
+ */
+const searchJobs = async (filters = {}) => {
+  try {
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+
+    const { data, error } = await supabase.rpc('search_jobs', {
+      p_query: filters.query || null,
+      p_statuses: filters.statuses || null,
+      p_company_id: filters.companyId || null,
+      p_company: filters.company || null,
+      p_location: filters.location || null,
+      p_employment_type: filters.employmentType || null,
+      p_work_mode: filters.workMode || null,
+      p_salary_min: filters.salaryMin ?? null,
+      p_salary_max: filters.salaryMax ?? null,
+      p_posted_after: filters.postedAfter || null,
+      p_sort: filters.sort || 'relevance',
+      p_limit: limit,
+      p_offset: (page - 1) * limit,
+    });
+
+    if (error) {
+      logger.error('Database error searching jobs:', error);
+      throw error;
+    }
+
+    const rows = data || [];
+
+    return {
+      jobs: rows.map((row) => ({ ...row.job, search_rank: row.rank })),
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0,
+    };
+  } catch (error) {
+    logger.error('Failed to search jobs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
 /**
  * Create or update a job (alias for upsertJob with additional fields)
  * @param {object} jobData - Job information
@@ -267,6 +405,164 @@ const updateJob = async (jobId, updates) => {
   }
 };
 
+/**
+ * Change a job's status if it is still in the expected status, and record the transition
+ * @param {string} jobId - Job identifier
+ * @param {object} change - { fromStatus, updates (must include status), reason, changedBy, details }
+ * @returns {Promise<object|null>} Updated job, or null if its status changed concurrently
+ */
+const transitionJobStatus = async (jobId, change) => {
+  try {
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({
+        ...change.updates,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('job_id', jobId)
+      .eq('status', change.fromStatus)
+      .select();
+
+    if (error) {
+      logger.error('Database error changing job status:', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    await insertJobStatusHistory({
+      jobId,
+      fromStatus: change.fromStatus,
+      toStatus: change.updates.status,
+      reason: change.reason,
+      changedBy: change.changedBy,
+      details: change.details,
+    });
+
+    logger.info(`Job ${jobId} status ${change.fromStatus} -> ${change.updates.status} (${change.reason})`);
+    return data[0];
+  } catch (error) {
+    logger.error('Failed to change job status:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Insert a job_status_history row (errors are returned to the caller unwrapped)
+ * @param {object} entry - { jobId, fromStatus, toStatus, reason, changedBy, details }
+ * @returns {Promise<void>}
+ */
+const insertJobStatusHistory = async (entry) => {
+  const { error } = await supabase
+    .from('job_status_history')
+    .insert([
+      {
+        job_id: entry.jobId,
+        from_status: entry.fromStatus || null,
+        to_status: entry.toStatus,
+        reason: entry.reason,
+        changed_by: entry.changedBy || null,
+        details: entry.details || null,
+      },
+    ]);
+
+  if (error) {
+    logger.error('Database error recording job status history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a job status change made outside transitionJobStatus (e.g. job creation)
+ * @param {object} entry - { jobId, fromStatus, toStatus, reason, changedBy, details }
+ * @returns {Promise<void>}
+ */
+const recordJobStatusChange = async (entry) => {
+  try {
+    await insertJobStatusHistory(entry);
+  } catch (error) {
+    logger.error('Failed to record job status history:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the status history of a job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<array>} Transitions, oldest first
+ */
+const getJobStatusHistory = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('job_status_history')
+      .select(`
+        *,
+        users_profiles (
+          full_name,
+          email
+        )
+      `)
+      .eq('job_id', jobId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching job status history:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch job status history:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Run a lifecycle function that changes job statuses in bulk
+ * @param {string} fn - Database function (publish_scheduled_jobs, close_expired_jobs, close_job_if_full)
+ * @param {object} params - Function arguments
+ * @returns {Promise<array>} Jobs whose status changed
+ */
+const runLifecycleFunction = async (fn, params = {}) => {
+  try {
+    const { data, error } = await supabase.rpc(fn, params);
+
+    if (error) {
+      logger.error(`Database error running ${fn}:`, error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error(`Failed to run ${fn}:`, error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Publish scheduled jobs whose publish time has passed
+ * @returns {Promise<array>} Published jobs
+ */
+const publishScheduledJobs = () => runLifecycleFunction('publish_scheduled_jobs');
+
+/**
+ * Close active jobs whose closing date has passed
+ * @returns {Promise<array>} Closed jobs
+ */
+const closeExpiredJobs = () => runLifecycleFunction('close_expired_jobs');
+
+/**
+ * Close a job if it has reached its application limit
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<object|null>} Closed job, or null if it stays open
+ */
+const closeJobIfFull = async (jobId) => {
+  const closed = await runLifecycleFunction('close_job_if_full', { p_job_id: jobId });
+  return closed[0] || null;
+};
+
 /**
  * Delete job
  * @param {string} jobId - Job identifier
@@ -297,10 +593,20 @@ module.exports = {
   createOrUpdateJob,
   getJobByJobId,
   getAllJobs,
+  searchJobs,
   getHREmailForJob,
   getJobsByCompany,
   updateJob,
   updateJobStatus,
+  transitionJobStatus,
+  recordJobStatusChange,
+  getJobStatusHistory,
+  publishScheduledJobs,
+  closeExpiredJobs,
+  closeJobIfFull,
   deleteJob,
   createCompany,
+  getCompanyPipeline,
+  getBlindRevealStages,
+  updateCompanyPipeline,
 };
@@ -0,0 +1,122 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * LLM Metrics Model - Database operations for LLM scoring response validation failures
+ */
+
+/**
+ * Record a scoring response that failed validation
+ * @param {object} failure - { jobId, resumeId, provider, model, promptTemplateId, attempt, errors, responseExcerpt }
+ * @returns {Promise<object>} Created failure record
+ */
+const createValidationFailure = async (failure) => {
+  try {
+    const { data, error } = await supabase
+      .from('llm_validation_failures')
+      .insert([
+        {
+          job_id: failure.jobId || null,
+          resume_id: failure.resumeId || null,
+          provider: failure.provider,
+          model: failure.model,
+          prompt_template_id: failure.promptTemplateId || null,
+          attempt: failure.attempt,
+          errors: failure.errors,
+          response_excerpt: failure.responseExcerpt || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error recording LLM validation failure:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to record LLM validation failure:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get validation counts per provider and model
+ * @param {string} since - ISO timestamp the window starts at
+ * @returns {Promise<array>} [{ provider, model, scored, first_attempt_failures, repaired, fell_back }]
+ */
+const getValidationSummary = async (since) => {
+  try {
+    const { data, error } = await supabase.rpc('llm_validation_summary', {
+      p_since: since,
+    });
+
+    if (error) {
+      logger.error('Database error fetching LLM validation summary:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch LLM validation summary:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the most frequent validation errors
+ * @param {string} since - ISO timestamp the window starts at
+ * @param {number} limit - Number of errors to return
+ * @returns {Promise<array>} [{ message, occurrences }]
+ */
+const getTopValidationErrors = async (since, limit) => {
+  try {
+    const { data, error } = await supabase.rpc('llm_validation_top_errors', {
+      p_since: since,
+      p_limit: limit,
+    });
+
+    if (error) {
+      logger.error('Database error fetching LLM validation errors:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch LLM validation errors:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the most recent failed responses
+ * @param {number} limit - Number of failures to return
+ * @returns {Promise<array>} Failure records, newest first
+ */
+const getRecentValidationFailures = async (limit) => {
+  try {
+    const { data, error } = await supabase
+      .from('llm_validation_failures')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Database error fetching LLM validation failures:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch LLM validation failures:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createValidationFailure,
+  getValidationSummary,
+  getTopValidationErrors,
+  getRecentValidationFailures,
+};
@@ -0,0 +1,358 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Rule Model - Database operations for HR notification rules and their matches
+ */
+
+/**
+ * Create a notification rule
+ * @param {object} ruleData - Rule columns
+ * @returns {Promise<object>} Created rule
+ */
+const createRule = async (ruleData) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_rules')
+      .insert([ruleData])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating notification rule:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to create notification rule:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a notification rule by ID
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<object|null>} Rule or null
+ */
+const getRuleById = async (ruleId) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching notification rule:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch notification rule:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a user's notification rules, oldest first
+ * @param {string} userId - User UUID
+ * @returns {Promise<array>} Rules
+ */
+const getRulesByUserId = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_rules')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching notification rules:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch notification rules:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the active rules that apply to a job: rules for the job and rules for all jobs of its company
+ * @param {object} job - Job record ({ job_id, company_id })
+ * @returns {Promise<array>} Active rules
+ */
+const getActiveRulesForJob = async (job) => {
+  try {
+    let query = supabase
+      .from('notification_rules')
+      .select('*')
+      .eq('is_active', true);
+
+    query = job.company_id
+      ? query.or(`job_id.eq.${job.job_id},and(job_id.is.null,company_id.eq.${job.company_id})`)
+      : query.eq('job_id', job.job_id);
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Database error fetching notification rules for job:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch notification rules for job:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update a notification rule
+ * @param {number} ruleId - Rule ID
+ * @param {object} updates - Columns to update
+ * @param {string|null} expectedNextDigestAt - Only update while next_digest_at still has this value (default: any)
+ * @returns {Promise<object|null>} Updated rule, or null if it did not match
+ */
+const updateRule = async (ruleId, updates, expectedNextDigestAt = null) => {
+  try {
+    let query = supabase
+      .from('notification_rules')
+      .update(updates)
+      .eq('id', ruleId);
+
+    if (expectedNextDigestAt) {
+      query = query.eq('next_digest_at', expectedNextDigestAt);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      logger.error('Database error updating notification rule:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update notification rule:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a notification rule and its matches
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<boolean>} True when deleted
+ */
+const deleteRule = async (ruleId) => {
+  try {
+    const { error } = await supabase
+      .from('notification_rules')
+      .delete()
+      .eq('id', ruleId);
+
+    if (error) {
+      logger.error('Database error deleting notification rule:', error);
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to delete notification rule:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the active rules whose digest is due
+ * @param {string} now - ISO timestamp
+ * @returns {Promise<array>} Rules
+ */
+const getDueDigestRules = async (now) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_rules')
+      .select('*')
+      .eq('is_active', true)
+      .lte('next_digest_at', now)
+      .order('next_digest_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching due digests:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch due digests:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Record that a rule matched an application
+ * A rule matches each application once; a second insert returns the existing match.
+ * @param {object} matchData - { rule_id, resume_id, job_id, match_score, candidate, status }
+ * @returns {Promise<object>} { match, duplicate }
+ */
+const insertMatch = async (matchData) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_rule_matches')
+      .insert([matchData])
+      .select()
+      .single();
+
+    if (error) {
+      // unique_violation on (rule_id, resume_id): the rule already handled the application
+      if (error.code === '23505') {
+        const { data: existing, error: fetchError } = await supabase
+          .from('notification_rule_matches')
+          .select('*')
+          .eq('rule_id', matchData.rule_id)
+          .eq('resume_id', matchData.resume_id)
+          .single();
+
+        if (fetchError) {
+          throw fetchError;
+        }
+
+        return { match: existing, duplicate: true };
+      }
+      logger.error('Database error recording notification match:', error);
+      throw error;
+    }
+
+    return { match: data, duplicate: false };
+  } catch (error) {
+    logger.error('Failed to record notification match:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Mark matches as sent
+ * @param {array} matchIds - Match IDs
+ * @returns {Promise<void>}
+ */
+const markMatchesSent = async (matchIds) => {
+  try {
+    const { error } = await supabase
+      .from('notification_rule_matches')
+      .update({ status: 'sent', sent_at: new Date().toISOString() })
+      .in('id', matchIds);
+
+    if (error) {
+      logger.error('Database error updating notification matches:', error);
+      throw error;
+    }
+  } catch (error) {
+    logger.error('Failed to update notification matches:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a rule's matches waiting for its digest, best first
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<array>} Pending matches
+ */
+const getPendingMatches = async (ruleId) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_rule_matches')
+      .select('*')
+      .eq('rule_id', ruleId)
+      .eq('status', 'pending')
+      .order('match_score', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching pending notification matches:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch pending notification matches:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Count a rule's matches that were sent or will be sent since a time (counts toward the daily cap)
+ * @param {number} ruleId - Rule ID
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<number>} Match count
+ */
+const countUncappedMatchesSince = async (ruleId, since) => {
+  try {
+    const { count, error } = await supabase
+      .from('notification_rule_matches')
+      .select('id', { count: 'exact', head: true })
+      .eq('rule_id', ruleId)
+      .in('status', ['pending', 'sent'])
+      .gte('created_at', since);
+
+    if (error) {
+      logger.error('Database error counting notification matches:', error);
+      throw error;
+    }
+
+    return count || 0;
+  } catch (error) {
+    logger.error('Failed to count notification matches:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the statuses of rules' matches since a time
+ * @param {array} ruleIds - Rule IDs
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<array>} [{ rule_id, status }]
+ */
+const getMatchStatusesSince = async (ruleIds, since) => {
+  try {
+    if (ruleIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('notification_rule_matches')
+      .select('rule_id, status')
+      .in('rule_id', ruleIds)
+      .gte('created_at', since);
+
+    if (error) {
+      logger.error('Database error fetching notification match statuses:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch notification match statuses:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createRule,
+  getRuleById,
+  getRulesByUserId,
+  getActiveRulesForJob,
+  updateRule,
+  deleteRule,
+  getDueDigestRules,
+  insertMatch,
+  markMatchesSent,
+  getPendingMatches,
+  countUncappedMatchesSince,
+  getMatchStatusesSince,
+};
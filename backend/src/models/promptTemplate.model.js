@@ -0,0 +1,305 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Prompt Template Model - Database operations for scoring prompt templates
+ * and their per-job A/B assignments
+ */
+
+/**
+ * Get all template versions, newest first
+ * @returns {Promise<array>} Template records
+ */
+const getTemplates = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .select('*')
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching prompt templates:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch prompt templates:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a template version by ID
+ * @param {number} templateId - Template ID
+ * @returns {Promise<object|null>} Template record or null
+ */
+const getTemplateById = async (templateId) => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .select('*')
+      .eq('id', templateId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching prompt template:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch prompt template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get several template versions by ID
+ * @param {number[]} templateIds - Template IDs
+ * @returns {Promise<array>} Template records (missing IDs are left out)
+ */
+const getTemplatesByIds = async (templateIds) => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .select('*')
+      .in('id', templateIds);
+
+    if (error) {
+      logger.error('Database error fetching prompt templates:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch prompt templates:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the active template version
+ * @returns {Promise<object|null>} Template record or null when none is active
+ */
+const getActiveTemplate = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .select('*')
+      .eq('is_active', true)
+      .limit(1);
+
+    if (error) {
+      logger.error('Database error fetching active prompt template:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    logger.error('Failed to fetch active prompt template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the version that was active before the current one
+ * @returns {Promise<object|null>} Template record or null when no other version was ever active
+ */
+const getPreviouslyActiveTemplate = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .select('*')
+      .eq('is_active', false)
+      .not('activated_at', 'is', null)
+      .order('activated_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.error('Database error fetching previous prompt template:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    logger.error('Failed to fetch previous prompt template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the highest template version number
+ * @returns {Promise<number>} Latest version, 0 when there are no templates
+ */
+const getLatestVersion = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.error('Database error fetching latest prompt template version:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0].version : 0;
+  } catch (error) {
+    logger.error('Failed to fetch latest prompt template version:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Create a template version (inactive)
+ * @param {object} templateData - { version, name, body, notes, createdBy }
+ * @returns {Promise<object>} Created template
+ */
+const createTemplate = async (templateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_prompt_templates')
+      .insert([
+        {
+          version: templateData.version,
+          name: templateData.name,
+          body: templateData.body,
+          notes: templateData.notes || null,
+          created_by: templateData.createdBy || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating prompt template:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to create prompt template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Make a template version the active one (and deactivate the previous one)
+ * @param {number} templateId - Template ID
+ * @returns {Promise<object|null>} Activated template, or null when it does not exist
+ */
+const activateTemplate = async (templateId) => {
+  try {
+    const { data, error } = await supabase.rpc('activate_scoring_prompt_template', {
+      p_template_id: templateId,
+    });
+
+    if (error) {
+      logger.error('Database error activating prompt template:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to activate prompt template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a job's A/B template assignments
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<array>} Assignments with the template's id, version and name
+ */
+const getJobAssignments = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('job_prompt_templates')
+      .select(`
+        template_id,
+        weight,
+        template:scoring_prompt_templates (id, version, name, body)
+      `)
+      .eq('job_id', jobId)
+      .order('template_id', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching job prompt templates:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch job prompt templates:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Replace a job's A/B template assignments
+ * @param {string} jobId - Job identifier
+ * @param {array} assignments - [{ template_id, weight }] - empty clears them
+ * @returns {Promise<array>} Stored assignments
+ */
+const setJobAssignments = async (jobId, assignments) => {
+  try {
+    const { data, error } = await supabase.rpc('set_job_prompt_templates', {
+      p_job_id: jobId,
+      p_assignments: assignments,
+    });
+
+    if (error) {
+      logger.error('Database error setting job prompt templates:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to set job prompt templates:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the current scores of a job with the template each was produced with
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<array>} { prompt_template_id, match_score, is_fallback }
+ */
+const getCurrentScoresByTemplate = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('ats_scores')
+      .select('prompt_template_id, match_score, is_fallback')
+      .eq('job_id', jobId)
+      .eq('is_current', true);
+
+    if (error) {
+      logger.error('Database error fetching scores by prompt template:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch scores by prompt template:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  getTemplatesByIds,
+  getActiveTemplate,
+  getPreviouslyActiveTemplate,
+  getLatestVersion,
+  createTemplate,
+  activateTemplate,
+  getJobAssignments,
+  setJobAssignments,
+  getCurrentScoresByTemplate,
+};
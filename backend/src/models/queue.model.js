@@ -0,0 +1,328 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Queue Model - Database operations for the background job queue
+ */
+
+const QUEUE_STATUSES = ['pending', 'active', 'completed', 'dead_letter'];
+
+/**
+ * Insert a job into the queue
+ * @param {object} jobData - Job information
+ * @returns {Promise<object>} Created job record
+ */
+const insertJob = async (jobData) => {
+  try {
+    const { data, error } = await supabase
+      .from('job_queue')
+      .insert([
+        {
+          queue: jobData.queue,
+          name: jobData.name,
+          data: jobData.data || {},
+          priority: jobData.priority || 0,
+          max_attempts: jobData.maxAttempts,
+          backoff: jobData.backoff,
+          run_at: jobData.runAt,
+          status: 'pending',
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error inserting queue job:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to insert queue job:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Atomically claim the next runnable job for a queue
+ * @param {string} queue - Queue name
+ * @param {string[]|null} names - Job names this worker can handle (null for any)
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Promise<object|null>} Claimed job or null if none is ready
+ */
+const claimNextJob = async (queue, names, workerId) => {
+  try {
+    const { data, error } = await supabase.rpc('claim_queue_job', {
+      p_queue: queue,
+      p_names: names,
+      p_worker: workerId,
+    });
+
+    if (error) {
+      logger.error('Database error claiming queue job:', error);
+      throw error;
+    }
+
+    return Array.isArray(data) ? data[0] || null : data || null;
+  } catch (error) {
+    logger.error('Failed to claim queue job:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update a queue job
+ * @param {number} id - Queue job ID
+ * @param {object} updates - Column updates
+ * @returns {Promise<object>} Updated job record
+ */
+const updateJob = async (id, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('job_queue')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error updating queue job:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to update queue job:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Mark a job as completed
+ * @param {number} id - Queue job ID
+ * @param {object} result - Processor return value
+ * @returns {Promise<object>} Updated job record
+ */
+const completeJob = async (id, result) => {
+  return updateJob(id, {
+    status: 'completed',
+    result: result === undefined ? null : result,
+    locked_by: null,
+    locked_at: null,
+    finished_at: new Date().toISOString(),
+  });
+};
+
+/**
+ * Schedule a failed job for another attempt
+ * @param {number} id - Queue job ID
+ * @param {string} errorMessage - Failure reason
+ * @param {Date} runAt - When the job becomes runnable again
+ * @returns {Promise<object>} Updated job record
+ */
+const retryJobLater = async (id, errorMessage, runAt) => {
+  return updateJob(id, {
+    status: 'pending',
+    last_error: errorMessage,
+    run_at: runAt.toISOString(),
+    locked_by: null,
+    locked_at: null,
+  });
+};
+
+/**
+ * Move a job to the dead-letter state after its final attempt
+ * @param {number} id - Queue job ID
+ * @param {string} errorMessage - Failure reason
+ * @returns {Promise<object>} Updated job record
+ */
+const deadLetterJob = async (id, errorMessage) => {
+  return updateJob(id, {
+    status: 'dead_letter',
+    last_error: errorMessage,
+    locked_by: null,
+    locked_at: null,
+    finished_at: new Date().toISOString(),
+  });
+};
+
+/**
+ * Return a dead-lettered job to the queue with a fresh set of attempts, no error and no lock
+ * @param {number} id - Queue job ID
+ * @returns {Promise<object>} Updated job record
+ */
+const requeueDeadLetterJob = async (id) => {
+  return updateJob(id, {
+    status: 'pending',
+    attempts: 0,
+    run_at: new Date().toISOString(),
+    finished_at: null,
+    last_error: null,
+    locked_by: null,
+    locked_at: null,
+  });
+};
+
+/**
+ * Get job by ID
+ * @param {number} id - Queue job ID
+ * @returns {Promise<object|null>} Job record or null
+ */
+const getJobById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('job_queue')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching queue job:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch queue job:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get jobs in a queue with optional filters
+ * @param {string} queue - Queue name
+ * @param {object} filters - Filter options (status, name, limit)
+ * @returns {Promise<array>} Array of job records
+ */
+const getJobs = async (queue, filters = {}) => {
+  try {
+    let query = supabase
+      .from('job_queue')
+      .select('*')
+      .eq('queue', queue)
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 100);
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    if (filters.name) {
+      query = query.eq('name', filters.name);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Database error fetching queue jobs:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch queue jobs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Count jobs per status for a queue
+ * Counted in the database (one head request per status), not from fetched rows
+ * @param {string} queue - Queue name
+ * @returns {Promise<object>} Counts keyed by status
+ */
+const getJobCounts = async (queue) => {
+  try {
+    const results = await Promise.all(QUEUE_STATUSES.map((status) => supabase
+      .from('job_queue')
+      .select('*', { count: 'exact', head: true })
+      .eq('queue', queue)
+      .eq('status', status)));
+
+    const failed = results.find((result) => result.error);
+
+    if (failed) {
+      logger.error('Database error counting queue jobs:', failed.error);
+      throw failed.error;
+    }
+
+    return QUEUE_STATUSES.reduce((counts, status, index) => ({
+      ...counts,
+      [status]: results[index].count || 0,
+    }), {});
+  } catch (error) {
+    logger.error('Failed to count queue jobs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Renew the lock of a job a worker is still running, so it is not treated as stalled
+ * @param {number} id - Queue job ID
+ * @param {string} workerId - Worker holding the lock
+ * @returns {Promise<boolean>} False when the worker no longer holds the lock
+ */
+const renewJobLock = async (id, workerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('job_queue')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'active')
+      .eq('locked_by', workerId)
+      .select('id');
+
+    if (error) {
+      logger.error('Database error renewing queue job lock:', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (error) {
+    logger.error('Failed to renew queue job lock:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Return stalled active jobs (worker crashed mid-run) to the queue
+ * @param {string} queue - Queue name
+ * @param {number} stallSeconds - Lock age after which a job is considered stalled
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+const requeueStalledJobs = async (queue, stallSeconds) => {
+  try {
+    const { data, error } = await supabase.rpc('requeue_stalled_queue_jobs', {
+      p_queue: queue,
+      p_stall_seconds: stallSeconds,
+    });
+
+    if (error) {
+      logger.error('Database error requeuing stalled jobs:', error);
+      throw error;
+    }
+
+    return data || 0;
+  } catch (error) {
+    logger.error('Failed to requeue stalled jobs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  QUEUE_STATUSES,
+  insertJob,
+  claimNextJob,
+  completeJob,
+  retryJobLater,
+  deadLetterJob,
+  requeueDeadLetterJob,
+  getJobById,
+  getJobs,
+  getJobCounts,
+  renewJobLock,
+  requeueStalledJobs,
+};
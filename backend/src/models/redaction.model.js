@@ -0,0 +1,72 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Redaction Model - Database operations for the blind review redaction log
+ */
+
+/**
+ * Record a redaction or a reveal
+ * @param {object} entry - { resumeId, jobId, event, removed, redactedText, leaks, stage, performedBy }
+ * @returns {Promise<object>} Created log record
+ */
+const createRedactionLog = async (entry) => {
+  try {
+    const { data, error } = await supabase
+      .from('redaction_logs')
+      .insert([
+        {
+          resume_id: entry.resumeId,
+          job_id: entry.jobId,
+          event: entry.event,
+          removed: entry.removed || null,
+          redacted_text: entry.redactedText || null,
+          leaks: entry.leaks || [],
+          stage: entry.stage || null,
+          performed_by: entry.performedBy || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error recording redaction:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to record redaction:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the redaction log of an application
+ * @param {number} resumeId - Resume (application) ID
+ * @returns {Promise<array>} Log records, newest first
+ */
+const getRedactionLogs = async (resumeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('redaction_logs')
+      .select('*')
+      .eq('resume_id', resumeId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Database error fetching redaction logs:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch redaction logs:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  createRedactionLog,
+  getRedactionLogs,
+};
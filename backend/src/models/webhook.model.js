@@ -0,0 +1,370 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Model - Database operations for company webhook endpoints and their deliveries
+ */
+
+const DELIVERY_STATUSES = ['queued', 'delivered', 'failed'];
+
+/**
+ * Create a webhook endpoint
+ * @param {object} endpointData - Endpoint columns
+ * @returns {Promise<object>} Created endpoint
+ */
+const createEndpoint = async (endpointData) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert([endpointData])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Database error creating webhook endpoint:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to create webhook endpoint:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a webhook endpoint by ID
+ * @param {number} endpointId - Endpoint ID
+ * @returns {Promise<object|null>} Endpoint or null
+ */
+const getEndpointById = async (endpointId) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', endpointId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Database error fetching webhook endpoint:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch webhook endpoint:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a company's webhook endpoints, oldest first
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array>} Endpoints
+ */
+const getEndpointsByCompany = async (companyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error fetching webhook endpoints:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch webhook endpoints:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a company's active endpoints subscribed to an event
+ * @param {number} companyId - Company ID
+ * @param {string} eventType - Event type
+ * @returns {Promise<array>} Endpoints
+ */
+const getActiveEndpointsForEvent = async (companyId, eventType) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('company_id', companyId)
+      .eq('is_active', true)
+      .contains('events', [eventType]);
+
+    if (error) {
+      logger.error('Database error fetching webhook endpoints for event:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch webhook endpoints for event:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * @param {number} endpointId - Endpoint ID
+ * @param {object} updates - Columns to update
+ * @returns {Promise<object|null>} Updated endpoint
+ */
+const updateEndpoint = async (endpointId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update(updates)
+      .eq('id', endpointId)
+      .select();
+
+    if (error) {
+      logger.error('Database error updating webhook endpoint:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update webhook endpoint:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * @param {number} endpointId - Endpoint ID
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteEndpoint = async (endpointId) => {
+  try {
+    const { error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', endpointId);
+
+    if (error) {
+      logger.error('Database error deleting webhook endpoint:', error);
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to delete webhook endpoint:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get an endpoint's delivery of an event
+ * @param {number} endpointId - Endpoint ID
+ * @param {string} eventKey - Event key
+ * @returns {Promise<object|null>} Delivery or null
+ */
+const getDeliveryByKey = async (endpointId, eventKey) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('endpoint_id', endpointId)
+      .eq('event_key', eventKey)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Database error fetching webhook delivery by key:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch webhook delivery by key:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Store a delivery of an event to an endpoint
+ * An event the endpoint already has a delivery for is not inserted again.
+ * @param {object} deliveryData - { endpointId, eventType, eventKey, payload }
+ * @returns {Promise<object>} { delivery, duplicate } - duplicate is true when the event key already existed
+ */
+const insertDelivery = async (deliveryData) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .insert([{
+        endpoint_id: deliveryData.endpointId,
+        event_type: deliveryData.eventType,
+        event_key: deliveryData.eventKey,
+        payload: deliveryData.payload,
+        status: 'queued',
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // unique_violation on (endpoint_id, event_key): the event was already queued
+      if (error.code === '23505') {
+        return { delivery: await getDeliveryByKey(deliveryData.endpointId, deliveryData.eventKey), duplicate: true };
+      }
+      logger.error('Database error storing webhook delivery:', error);
+      throw error;
+    }
+
+    return { delivery: data, duplicate: false };
+  } catch (error) {
+    logger.error('Failed to store webhook delivery:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get a webhook delivery by ID
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object|null>} Delivery or null
+ */
+const getDeliveryById = async (deliveryId) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Database error fetching webhook delivery:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Failed to fetch webhook delivery:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update a webhook delivery
+ * @param {number} deliveryId - Delivery ID
+ * @param {object} updates - Columns to update
+ * @returns {Promise<object|null>} Updated delivery
+ */
+const updateDelivery = async (deliveryId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update(updates)
+      .eq('id', deliveryId)
+      .select();
+
+    if (error) {
+      logger.error('Database error updating webhook delivery:', error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    logger.error('Failed to update webhook delivery:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * List an endpoint's deliveries, newest first
+ * @param {number} endpointId - Endpoint ID
+ * @param {object} filters - { status, page, limit }
+ * @returns {Promise<object>} { deliveries, total }
+ */
+const getDeliveries = async (endpointId, filters = {}) => {
+  try {
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*', { count: 'exact' })
+      .eq('endpoint_id', endpointId);
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    query = query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      logger.error('Database error fetching webhook deliveries:', error);
+      throw error;
+    }
+
+    return {
+      deliveries: data || [],
+      total: count || 0,
+    };
+  } catch (error) {
+    logger.error('Failed to fetch webhook deliveries:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Get the status of every delivery to some endpoints since a time
+ * @param {number[]} endpointIds - Endpoint IDs
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<array>} Rows of { endpoint_id, status }
+ */
+const getDeliveryStatusesSince = async (endpointIds, since) => {
+  if (endpointIds.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('endpoint_id, status')
+      .in('endpoint_id', endpointIds)
+      .gte('created_at', since);
+
+    if (error) {
+      logger.error('Database error fetching webhook delivery statuses:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error('Failed to fetch webhook delivery statuses:', error.message);
+    throw new Error(`Database operation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+  createEndpoint,
+  getEndpointById,
+  getEndpointsByCompany,
+  getActiveEndpointsForEvent,
+  updateEndpoint,
+  deleteEndpoint,
+  insertDelivery,
+  getDeliveryById,
+  getDeliveryByKey,
+  updateDelivery,
+  getDeliveries,
+  getDeliveryStatusesSince,
+};
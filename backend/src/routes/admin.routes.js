@@ -1,7 +1,13 @@
 const express = require('express');
 const adminController = require('../controllers/admin.controller');
+const promptTemplateController = require('../controllers/promptTemplate.controller');
+const emailTemplateController = require('../controllers/emailTemplate.controller');
+const emailOutboxController = require('../controllers/emailOutbox.controller');
+const queueController = require('../controllers/queue.controller');
 const { authenticate } = require('../middleware/auth.middleware');
 const { requireAdmin } = require('../middleware/role.middleware');
+const { auditAction } = require('../middleware/audit.middleware');
+const { AUDIT_ACTIONS } = require('../services/audit.service');
 
 const router = express.Router();
 
@@ -48,7 +54,7 @@ router.get('/hr-requests/stats', adminController.getHRRequestStatistics);
  *   createCompany?: boolean (default: true)
  * }
  */
-router.post('/hr-requests/:id/approve', adminController.approveHRRequest);
+router.post('/hr-requests/:id/approve', auditAction(AUDIT_ACTIONS.HR_REQUEST_APPROVE, 'hr_request', { resourceIdParam: 'id' }), adminController.approveHRRequest);
 
 /**
  * POST /api/admin/hr-requests/:id/reject
@@ -60,7 +66,7 @@ router.post('/hr-requests/:id/approve', adminController.approveHRRequest);
  *   notes?: string
  * }
  */
-router.post('/hr-requests/:id/reject', adminController.rejectHRRequest);
+router.post('/hr-requests/:id/reject', auditAction(AUDIT_ACTIONS.HR_REQUEST_REJECT, 'hr_request', { resourceIdParam: 'id' }), adminController.rejectHRRequest);
 
 /**
  * USER MANAGEMENT
@@ -88,7 +94,7 @@ router.get('/users/stats', adminController.getUserStatistics);
  *   role: 'candidate' | 'hr_pending' | 'hr_approved' | 'admin'
  * }
  */
-router.put('/users/:userId/role', adminController.updateUserRole);
+router.put('/users/:userId/role', auditAction(AUDIT_ACTIONS.USER_ROLE_CHANGE, 'user', { resourceIdParam: 'userId' }), adminController.updateUserRole);
 
 /**
  * POST /api/admin/users/:userId/suspend
@@ -99,13 +105,13 @@ router.put('/users/:userId/role', adminController.updateUserRole);
  *   reason: string (required)
  * }
  */
-router.post('/users/:userId/suspend', adminController.suspendUser);
+router.post('/users/:userId/suspend', auditAction(AUDIT_ACTIONS.USER_SUSPEND, 'user', { resourceIdParam: 'userId' }), adminController.suspendUser);
 
 /**
  * POST /api/admin/users/:userId/reactivate
  * Reactivate suspended user account
  */
-router.post('/users/:userId/reactivate', adminController.reactivateUser);
+router.post('/users/:userId/reactivate', auditAction(AUDIT_ACTIONS.USER_REACTIVATE, 'user', { resourceIdParam: 'userId' }), adminController.reactivateUser);
 
 /**
  * DASHBOARD
@@ -117,4 +123,208 @@ router.post('/users/:userId/reactivate', adminController.reactivateUser);
  */
 router.get('/dashboard', adminController.getDashboard);
 
+/**
+ * AUDIT LOG
+ */
+
+/**
+ * GET /api/admin/audit-logs
+ * Browse recorded privileged actions, newest first
+ * Query params: ?actor=<user id or email>&action=user.suspend|user&resourceType=job&resourceId=...
+ *               &from=<ISO date>&to=<ISO date>&page=1&limit=50
+ */
+router.get('/audit-logs', adminController.getAuditLogs);
+
+/**
+ * GET /api/admin/llm-metrics
+ * How often LLM scoring responses failed validation, per provider and model:
+ * first-response failures, how many the corrective retry repaired and how many fell back
+ * Query params: ?days=7 (1-90)
+ */
+router.get('/llm-metrics', adminController.getLLMMetrics);
+
+/**
+ * GET /api/admin/applications/:applicationId/redaction
+ * Verify blind review for an application: the redaction log (each resume sent to the LLM,
+ * re-checked for identifying details, and each reveal to HR) and the redaction the next
+ * score would use. Identifying values themselves are never returned.
+ */
+router.get('/applications/:applicationId/redaction', adminController.getRedactionReport);
+
+/**
+ * SCORING PROMPT TEMPLATES
+ */
+
+/**
+ * GET /api/admin/prompt-templates
+ * List template versions (newest first), the active version and the template variables
+ */
+router.get('/prompt-templates', promptTemplateController.getTemplates);
+
+/**
+ * POST /api/admin/prompt-templates
+ * Save a template as the next version
+ *
+ * Body:
+ * {
+ *   name: string (required),
+ *   body: string (required, must include {{job_description}}, {{resume_summary}} and {{output_schema}}),
+ *   notes?: string,
+ *   activate?: boolean (default: false)
+ * }
+ */
+router.post('/prompt-templates', auditAction(AUDIT_ACTIONS.PROMPT_TEMPLATE_CREATE, 'prompt_template'), promptTemplateController.createTemplate);
+
+/**
+ * POST /api/admin/prompt-templates/preview
+ * Render a template against a sample resume and job without saving it
+ *
+ * Body:
+ * {
+ *   templateId?: number, body?: string (unsaved text; neither = active version),
+ *   jobId?: string, applicationId?: number (real data instead of the sample),
+ *   score?: boolean (also send the prompt to the LLM)
+ * }
+ */
+router.post('/prompt-templates/preview', promptTemplateController.previewTemplate);
+
+/**
+ * POST /api/admin/prompt-templates/rollback
+ * Re-activate the version that was active before the current one
+ */
+router.post('/prompt-templates/rollback', auditAction(AUDIT_ACTIONS.PROMPT_TEMPLATE_ACTIVATE, 'prompt_template'), promptTemplateController.rollbackTemplate);
+
+/**
+ * GET /api/admin/prompt-templates/:id
+ * Get one template version
+ */
+router.get('/prompt-templates/:id', promptTemplateController.getTemplate);
+
+/**
+ * POST /api/admin/prompt-templates/:id/activate
+ * Make a template version the active one (also used to roll back to any earlier version)
+ */
+router.post('/prompt-templates/:id/activate', auditAction(AUDIT_ACTIONS.PROMPT_TEMPLATE_ACTIVATE, 'prompt_template', { resourceIdParam: 'id' }), promptTemplateController.activateTemplate);
+
+/**
+ * GET /api/admin/jobs/:jobId/prompt-templates
+ * Get a job's A/B split between template versions, with scores per template
+ */
+router.get('/jobs/:jobId/prompt-templates', promptTemplateController.getJobTemplates);
+
+/**
+ * PUT /api/admin/jobs/:jobId/prompt-templates
+ * Split a job's applications between template versions by weight
+ *
+ * Body:
+ * {
+ *   templates: [{ templateId: number, weight: 1-100 }] (empty array = use the active version)
+ * }
+ */
+router.put('/jobs/:jobId/prompt-templates', auditAction(AUDIT_ACTIONS.JOB_PROMPT_TEMPLATES_UPDATE, 'job', { resourceIdParam: 'jobId' }), promptTemplateController.setJobTemplates);
+
+/**
+ * EMAIL TEMPLATES
+ * Platform versions of the email templates; companies can override them (see /api/company/email-templates)
+ */
+
+/**
+ * GET /api/admin/email-templates
+ * List the templates with their variables and the version in use (source: platform or default)
+ */
+router.get('/email-templates', emailTemplateController.getTemplates);
+
+/**
+ * PUT /api/admin/email-templates/:key
+ * Replace the built-in version of a template for the whole platform
+ *
+ * Body:
+ * {
+ *   subject: string (required, single line),
+ *   html: string (required, Handlebars-style tags with the template's variables)
+ * }
+ */
+router.put('/email-templates/:key', auditAction(AUDIT_ACTIONS.EMAIL_TEMPLATE_UPDATE, 'email_template', { resourceIdParam: 'key' }), emailTemplateController.saveTemplate);
+
+/**
+ * DELETE /api/admin/email-templates/:key
+ * Go back to the built-in version of a template
+ */
+router.delete('/email-templates/:key', auditAction(AUDIT_ACTIONS.EMAIL_TEMPLATE_RESET, 'email_template', { resourceIdParam: 'key' }), emailTemplateController.resetTemplate);
+
+/**
+ * POST /api/admin/email-templates/:key/preview
+ * Render a template with sample data: subject, HTML and the generated plain text
+ *
+ * Body:
+ * {
+ *   subject?: string, html?: string (unsaved text; neither = the version in use),
+ *   variables?: object (override sample values)
+ * }
+ */
+router.post('/email-templates/:key/preview', emailTemplateController.previewTemplate);
+
+/**
+ * POST /api/admin/email-templates/:key/test
+ * Send the preview to your own email address (same body as preview)
+ */
+router.post('/email-templates/:key/test', emailTemplateController.sendTestEmail);
+
+/**
+ * EMAIL OUTBOX
+ * Every outgoing email with its delivery status
+ */
+
+/**
+ * GET /api/admin/email-outbox
+ * List outgoing emails, newest first, with counts per status
+ *
+ * Query params:
+ * - status: queued | sent | failed | bounced
+ * - recipient: part of the recipient address
+ * - templateKey: email template, e.g. high_score_alert
+ * - from, to: ISO dates (created between)
+ * - page, limit: pagination (default 1, 50; max limit 200)
+ */
+router.get('/email-outbox', emailOutboxController.getEmails);
+
+/**
+ * GET /api/admin/email-outbox/:id
+ * Get an outgoing email with its HTML and plain-text bodies
+ */
+router.get('/email-outbox/:id', emailOutboxController.getEmail);
+
+/**
+ * POST /api/admin/email-outbox/:id/resend
+ * Queue a failed or bounced email for delivery again
+ */
+router.post('/email-outbox/:id/resend', auditAction(AUDIT_ACTIONS.EMAIL_RESEND, 'email', { resourceIdParam: 'id' }), emailOutboxController.resendEmail);
+
+/**
+ * BACKGROUND JOB QUEUES
+ */
+
+/**
+ * GET /api/admin/queues
+ * Job counts per status (pending, active, completed, dead_letter) for every queue
+ */
+router.get('/queues', queueController.getQueues);
+
+/**
+ * GET /api/admin/queues/:queue/jobs
+ * List a queue's jobs, newest first
+ *
+ * Query params:
+ * - status: pending | active | completed | dead_letter
+ * - name: job name, e.g. score-application
+ * - limit: default 50, max 200
+ */
+router.get('/queues/:queue/jobs', queueController.getQueueJobs);
+
+/**
+ * POST /api/admin/queues/:queue/jobs/:jobId/retry
+ * Requeue a dead-lettered job with a fresh set of attempts
+ */
+router.post('/queues/:queue/jobs/:jobId/retry', auditAction(AUDIT_ACTIONS.QUEUE_JOB_RETRY, 'queue_job', { resourceIdParam: 'jobId' }), queueController.retryQueueJob);
+
 module.exports = router;
@@ -1,48 +1,22 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const atsController = require('../controllers/ats.controller');
-const { authenticate } = require('../middleware/auth.middleware');
-const { requireApprovedHR, requireRole } = require('../middleware/role.middleware');
+const notificationRuleController = require('../controllers/notificationRule.controller');
+const { authenticate, optionalAuthenticate, authenticateOrApiKey } = require('../middleware/auth.middleware');
+const { requireRole, requireJobAccess, requireApplicationAccess } = require('../middleware/role.middleware');
+const { auditAction } = require('../middleware/audit.middleware');
+const { uploadResume } = require('../middleware/upload.middleware');
+const { AUDIT_ACTIONS } = require('../services/audit.service');
+const { COMPANY_PERMISSIONS } = require('../utils/companyRoles');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  // Accept only specific file types
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'), false);
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-});
-
 // Routes
+// Job and application routes load their resource through requireJobAccess/requireApplicationAccess,
+// which answer 404 (JOB_NOT_FOUND, APPLICATION_NOT_FOUND) or 403 (JOB_ACCESS_DENIED,
+// APPLICATION_ACCESS_DENIED) before the controller runs
+// Routes using authenticateOrApiKey(scope) also accept a company API key (X-API-Key header) with
+// that scope; the key acts as the member who created it, so the same company checks apply
 
 /**
  * JOB MANAGEMENT ROUTES (HR/Admin only)
@@ -50,36 +24,57 @@ const upload = multer({
 
 /**
  * POST /api/ats/jobs
- * Create a new job posting
- * Requires HR (approved) or Admin role
+ * Create a new job posting for your company
+ * Requires HR (approved) or Admin role (company role with manage_jobs: owner or recruiter)
+ * API key scope: jobs:write
  */
-router.post('/jobs', authenticate, requireRole('hr_approved', 'admin'), atsController.createJob);
+router.post('/jobs', authenticateOrApiKey(API_KEY_SCOPES.JOBS_WRITE), requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.JOB_CREATE, 'job'), atsController.createJob);
 
 /**
  * GET /api/ats/jobs
- * Get all jobs (public for candidates to view)
+ * Search jobs with filters, sorting and pagination (public for candidates to view)
+ * API key scope: jobs:read
  */
-router.get('/jobs', atsController.getAllJobs);
+router.get('/jobs', authenticateOrApiKey(API_KEY_SCOPES.JOBS_READ, optionalAuthenticate), atsController.getAllJobs);
 
 /**
  * GET /api/ats/jobs/:jobId
  * Get specific job details (public)
+ * API key scope: jobs:read
  */
-router.get('/jobs/:jobId', atsController.getJobById);
+router.get('/jobs/:jobId', authenticateOrApiKey(API_KEY_SCOPES.JOBS_READ, optionalAuthenticate), atsController.getJobById);
 
 /**
  * PUT /api/ats/jobs/:jobId
  * Update job posting
- * Requires HR (approved) or Admin role
+ * Requires HR (approved) or Admin role (company role with manage_jobs: owner or recruiter)
+ * API key scope: jobs:write
  */
-router.put('/jobs/:jobId', authenticate, requireRole('hr_approved', 'admin'), atsController.updateJob);
+router.put('/jobs/:jobId', authenticateOrApiKey(API_KEY_SCOPES.JOBS_WRITE), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.MANAGE_JOBS), auditAction(AUDIT_ACTIONS.JOB_UPDATE, 'job', { resourceIdParam: 'jobId' }), atsController.updateJob);
+
+/**
+ * PATCH /api/ats/jobs/:jobId/status
+ * Publish, schedule, close, reopen or extend a job
+ * Requires HR (approved) or Admin role (company role with manage_jobs: owner or recruiter)
+ * API key scope: jobs:write
+ */
+router.patch('/jobs/:jobId/status', authenticateOrApiKey(API_KEY_SCOPES.JOBS_WRITE), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.MANAGE_JOBS), auditAction(AUDIT_ACTIONS.JOB_STATUS_CHANGE, 'job', { resourceIdParam: 'jobId' }), atsController.updateJobStatus);
+
+/**
+ * GET /api/ats/jobs/:jobId/status-history
+ * Get the status transitions of a job
+ * Requires HR (approved) or Admin role (any member of the job's company)
+ * API key scope: jobs:read
+ */
+router.get('/jobs/:jobId/status-history', authenticateOrApiKey(API_KEY_SCOPES.JOBS_READ), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.VIEW), atsController.getJobStatusHistory);
 
 /**
  * DELETE /api/ats/jobs/:jobId
  * Delete job posting
- * Requires HR (approved) or Admin role (must be job creator)
+ * Requires HR (approved) or Admin role (company role with manage_jobs: owner or recruiter)
+ * API key scope: jobs:write
  */
-router.delete('/jobs/:jobId', authenticate, requireRole('hr_approved', 'admin'), atsController.deleteJob);
+router.delete('/jobs/:jobId', authenticateOrApiKey(API_KEY_SCOPES.JOBS_WRITE), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.MANAGE_JOBS), auditAction(AUDIT_ACTIONS.JOB_DELETE, 'job', { resourceIdParam: 'jobId' }), atsController.deleteJob);
 
 /**
  * APPLICATION ROUTES (Candidates)
@@ -87,34 +82,54 @@ router.delete('/jobs/:jobId', authenticate, requireRole('hr_approved', 'admin'),
 
 /**
  * POST /api/ats/jobs/:jobId/apply
- * Apply for a job by uploading resume
+ * Apply for a job by uploading a resume or picking one from your resume library
  * Requires authentication (candidate role)
+ * Responds 202 once stored; parsing, scoring and notification run in the background
  * 
  * Body (multipart/form-data):
- * - resume: file (PDF, DOC, DOCX, TXT)
+ * - resume: file (PDF, DOC, DOCX, TXT) - or -
+ * - resumeId: number - Library resume ID (its cached parse is reused)
+ * - screeningAnswers: JSON string (optional)
  */
-router.post('/jobs/:jobId/apply', authenticate, requireRole('candidate'), upload.single('resume'), atsController.applyForJob);
+router.post('/jobs/:jobId/apply', authenticate, requireRole('candidate'), uploadResume, atsController.applyForJob);
 
 /**
  * GET /api/ats/jobs/:jobId/applications
  * Get all applications/scores for a specific job
- * Requires HR (approved) or Admin role
+ * Requires HR (approved) or Admin role (any member of the job's company)
  * 
  * Query params:
  * - minScore: number (optional) - Filter by minimum match score
  * - emailSent: boolean (optional) - Filter by email sent status
+ * API key scope: applications:read
  */
-router.get('/jobs/:jobId/applications', authenticate, requireRole('hr_approved', 'admin'), atsController.getJobApplications);
+router.get('/jobs/:jobId/applications', authenticateOrApiKey(API_KEY_SCOPES.APPLICATIONS_READ), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.VIEW), atsController.getJobApplications);
 
 /**
  * GET /api/ats/jobs/:jobId/top-candidates
  * Get top candidates for a specific job
- * Requires HR (approved) or Admin role
+ * Requires HR (approved) or Admin role (any member of the job's company)
  * 
  * Query params:
  * - limit: number (optional, default: 10) - Number of top candidates
+ * API key scope: applications:read
  */
-router.get('/jobs/:jobId/top-candidates', authenticate, requireRole('hr_approved', 'admin'), atsController.getTopCandidates);
+router.get('/jobs/:jobId/top-candidates', authenticateOrApiKey(API_KEY_SCOPES.APPLICATIONS_READ), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.VIEW), atsController.getTopCandidates);
+
+/**
+ * POST /api/ats/jobs/:jobId/rescore
+ * Re-score every scored application of the job in the background (previous scores are kept as versions)
+ * Requires HR (approved) or Admin role (company role with manage_applications: owner, recruiter or hiring manager)
+ * Responds 202 with the run; poll GET /api/ats/jobs/:jobId/rescore for progress
+ */
+router.post('/jobs/:jobId/rescore', authenticate, requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.MANAGE_APPLICATIONS), auditAction(AUDIT_ACTIONS.JOB_RESCORE, 'job', { resourceIdParam: 'jobId' }), atsController.rescoreJob);
+
+/**
+ * GET /api/ats/jobs/:jobId/rescore
+ * Progress of the job's latest re-score run (null when it was never re-scored)
+ * Requires HR (approved) or Admin role (any member of the job's company)
+ */
+router.get('/jobs/:jobId/rescore', authenticate, requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.VIEW), atsController.getRescoreStatus);
 
 /**
  * GET /api/ats/my-applications
@@ -126,16 +141,119 @@ router.get('/my-applications', authenticate, requireRole('candidate'), atsContro
 /**
  * GET /api/ats/applications/:applicationId
  * Get application details by ID
- * Requires authentication (HR/Admin to view any, Candidate to view own)
+ * Requires authentication (HR for their company's jobs, Admin any, Candidate own)
+ * API key scope: applications:read
+ */
+router.get('/applications/:applicationId', authenticateOrApiKey(API_KEY_SCOPES.APPLICATIONS_READ), requireApplicationAccess(COMPANY_PERMISSIONS.VIEW), atsController.getApplication);
+
+/**
+ * GET /api/ats/applications/:applicationId/status
+ * Get processing stage of an application (received, parsed, scored, notified, failed)
+ * Requires authentication (HR for their company's jobs, Admin any, Candidate own)
+ * API key scope: applications:read
  */
-router.get('/applications/:applicationId', authenticate, atsController.getApplication);
+router.get('/applications/:applicationId/status', authenticateOrApiKey(API_KEY_SCOPES.APPLICATIONS_READ), requireApplicationAccess(COMPANY_PERMISSIONS.VIEW), atsController.getApplicationStatus);
 
 /**
  * DELETE /api/ats/applications/:applicationId
  * Delete an application and its associated scores
  * Requires Admin role only
  */
-router.delete('/applications/:applicationId', authenticate, requireRole('admin'), atsController.deleteApplication);
+router.delete('/applications/:applicationId', authenticate, requireRole('admin'), auditAction(AUDIT_ACTIONS.APPLICATION_DELETE, 'application', { resourceIdParam: 'applicationId' }), atsController.deleteApplication);
+
+/**
+ * PATCH /api/ats/applications/:applicationId/stage
+ * Move an application (resume ID) to another hiring pipeline stage
+ * HR (company role with manage_applications: owner, recruiter, hiring_manager) and Admin can
+ * move to any stage; Candidates can only withdraw their own
+ *
+ * Body:
+ * - stage: string - Target stage key
+ * - note: string (optional) - Stored in the stage history
+ * - notifyCandidate: boolean (optional, default true) - Email the candidate (HR and Admin moves only)
+ * - candidateMessage: string (optional) - Added to the candidate's email
+ */
+router.patch('/applications/:applicationId/stage', authenticate, requireRole('candidate', 'hr_approved', 'admin'), requireApplicationAccess(COMPANY_PERMISSIONS.MANAGE_APPLICATIONS), atsController.updateApplicationStage);
+
+/**
+ * GET /api/ats/applications/:applicationId/stage-history
+ * Get the pipeline stage changes of an application
+ * Requires authentication (HR for their company's jobs, Admin any, Candidate own)
+ * API key scope: applications:read
+ */
+router.get('/applications/:applicationId/stage-history', authenticateOrApiKey(API_KEY_SCOPES.APPLICATIONS_READ), requireRole('candidate', 'hr_approved', 'admin'), requireApplicationAccess(COMPANY_PERMISSIONS.VIEW), atsController.getApplicationStageHistory);
+
+/**
+ * GET /api/ats/applications/:applicationId/scores
+ * Get every score version of an application, newest first, with its provenance
+ * (provider, model, prompt version, latency, tokens, fallback) and which one is current
+ * Requires HR (approved) or Admin role (any member of the job's company)
+ * API key scope: applications:read
+ */
+router.get('/applications/:applicationId/scores', authenticateOrApiKey(API_KEY_SCOPES.APPLICATIONS_READ), requireRole('hr_approved', 'admin'), requireApplicationAccess(COMPANY_PERMISSIONS.VIEW), atsController.getApplicationScoreVersions);
+
+/**
+ * GET /api/ats/jobs/:jobId/pipeline
+ * Get the hiring pipeline stages used by a job
+ * Requires HR (approved) or Admin role
+ * API key scope: jobs:read
+ */
+router.get('/jobs/:jobId/pipeline', authenticateOrApiKey(API_KEY_SCOPES.JOBS_READ), requireRole('hr_approved', 'admin'), requireJobAccess(COMPANY_PERMISSIONS.VIEW), atsController.getJobPipeline);
+
+/**
+ * GET /api/ats/pipeline
+ * Get the company's hiring pipeline (HR: own company, Admin: ?companyId=)
+ */
+router.get('/pipeline', authenticate, requireRole('hr_approved', 'admin'), atsController.getPipeline);
+
+/**
+ * PUT /api/ats/pipeline
+ * Replace the company's hiring pipeline (HR company owners: own company, Admin: body.companyId)
+ *
+ * Body:
+ * - stages: [{ key, label, terminal }] | null - null restores the default pipeline
+ */
+router.put('/pipeline', authenticate, requireRole('hr_approved', 'admin'), atsController.updatePipeline);
+
+/**
+ * NOTIFICATION RULE ROUTES (HR/Admin)
+ * Each user manages their own rules
+ */
+
+/**
+ * GET /api/ats/notification-rules
+ * List your notification rules with their matches in the last 24 hours (last_24h: { sent, pending, capped })
+ */
+router.get('/notification-rules', authenticate, requireRole('hr_approved', 'admin'), notificationRuleController.getRules);
+
+/**
+ * POST /api/ats/notification-rules
+ * Create a notification rule
+ *
+ * Body:
+ * - name: string
+ * - job_id: string | null - null covers every job of your company
+ * - min_score: number (0-100, default 80)
+ * - required_skills: string[] - the resume must mention all of them
+ * - delivery: 'instant' | 'hourly' | 'daily'
+ * - daily_cap: number | null - most candidates sent in any 24 hours
+ * - email_enabled: boolean - email you (default true)
+ * - webhook_url: string | null - POST the candidates as JSON
+ * - is_active: boolean
+ */
+router.post('/notification-rules', authenticate, requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.NOTIFICATION_RULE_CREATE, 'notification_rule'), notificationRuleController.createRule);
+
+/**
+ * PUT /api/ats/notification-rules/:ruleId
+ * Update one of your notification rules (same body as create; omitted fields are kept)
+ */
+router.put('/notification-rules/:ruleId', authenticate, requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.NOTIFICATION_RULE_UPDATE, 'notification_rule', { resourceIdParam: 'ruleId' }), notificationRuleController.updateRule);
+
+/**
+ * DELETE /api/ats/notification-rules/:ruleId
+ * Delete one of your notification rules
+ */
+router.delete('/notification-rules/:ruleId', authenticate, requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.NOTIFICATION_RULE_DELETE, 'notification_rule', { resourceIdParam: 'ruleId' }), notificationRuleController.deleteRule);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -1,6 +1,8 @@
 const express = require('express');
 const authController = require('../controllers/auth.controller');
 const { authenticate } = require('../middleware/auth.middleware');
+const { auditAction } = require('../middleware/audit.middleware');
+const { AUDIT_ACTIONS } = require('../services/audit.service');
 
 const router = express.Router();
 
@@ -34,7 +36,7 @@ router.post('/register', authController.register);
  *   password: string
  * }
  */
-router.post('/login', authController.login);
+router.post('/login', auditAction(AUDIT_ACTIONS.LOGIN, 'user', { failureAction: AUDIT_ACTIONS.LOGIN_FAILED }), authController.login);
 
 /**
  * GET /api/auth/me
@@ -0,0 +1,80 @@
+const express = require('express');
+const candidateController = require('../controllers/candidate.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireCandidate } = require('../middleware/role.middleware');
+const { uploadResume } = require('../middleware/upload.middleware');
+
+const router = express.Router();
+
+/**
+ * Candidate Routes
+ * Candidates manage their own profile and resume library, and check resumes against jobs
+ */
+
+router.use(authenticate, requireCandidate);
+
+/**
+ * GET /api/candidate/profile
+ * Get your profile (empty fields until saved)
+ */
+router.get('/profile', candidateController.getProfile);
+
+/**
+ * PUT /api/candidate/profile
+ * Save your profile
+ *
+ * Body:
+ * - headline, location: string
+ * - desiredSalaryMin, desiredSalaryMax: number (yearly)
+ * - workAuthorization: citizen | permanent_resident | work_visa | needs_sponsorship
+ * - links: [{ label, url }]
+ * - skills: [string]
+ */
+router.put('/profile', candidateController.updateProfile);
+
+/**
+ * GET /api/candidate/resumes
+ * List your library resumes (default first)
+ */
+router.get('/resumes', candidateController.getResumes);
+
+/**
+ * POST /api/candidate/resumes
+ * Upload a resume into your library; it is parsed once in the background
+ *
+ * Body (multipart/form-data):
+ * - resume: file (PDF, DOC, DOCX, TXT)
+ * - name: string (optional, defaults to the file name)
+ * - isDefault: boolean (optional, the first resume is always the default)
+ */
+router.post('/resumes', uploadResume, candidateController.uploadResume);
+
+/**
+ * PATCH /api/candidate/resumes/:resumeId
+ * Rename a resume or make it your default
+ *
+ * Body:
+ * - name: string (optional)
+ * - isDefault: true (optional)
+ */
+router.patch('/resumes/:resumeId', candidateController.updateResume);
+
+/**
+ * DELETE /api/candidate/resumes/:resumeId
+ * Delete a library resume (applications made with it are kept)
+ */
+router.delete('/resumes/:resumeId', candidateController.deleteResume);
+
+/**
+ * POST /api/candidate/jobs/:jobId/resume-check
+ * Check a resume against an open job without applying: missing keywords, formatting
+ * problems, section completeness and suggested bullet rewrites
+ * Limited to RESUME_CHECK_LIMIT checks per RESUME_CHECK_WINDOW_HOURS (429 RESUME_CHECK_LIMIT)
+ *
+ * Body (multipart/form-data):
+ * - resume: file (PDF, DOC, DOCX, TXT) - or -
+ * - resumeId: number - Library resume ID
+ */
+router.post('/jobs/:jobId/resume-check', uploadResume, candidateController.checkResume);
+
+module.exports = router;
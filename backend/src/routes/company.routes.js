@@ -0,0 +1,229 @@
+const express = require('express');
+const companyController = require('../controllers/company.controller');
+const emailTemplateController = require('../controllers/emailTemplate.controller');
+const webhookController = require('../controllers/webhook.controller');
+const apiKeyController = require('../controllers/apiKey.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireRole, requireCompanyAccess } = require('../middleware/role.middleware');
+const { auditAction } = require('../middleware/audit.middleware');
+const { AUDIT_ACTIONS } = require('../services/audit.service');
+const { COMPANY_PERMISSIONS } = require('../utils/companyRoles');
+
+const router = express.Router();
+
+/**
+ * Company Workspace Routes
+ * HR members act on their own company according to their company role
+ * (owner, recruiter, hiring_manager, viewer); admins pass ?companyId=
+ */
+
+router.use(authenticate);
+
+/**
+ * GET /api/company
+ * Get the company, its members, your company role and permissions
+ * (pending invites are included for members who can manage the team)
+ */
+router.get('/', requireRole('hr_approved', 'admin'), companyController.getCompany);
+
+/**
+ * POST /api/company/invites
+ * Invite a teammate by email (owners only)
+ *
+ * Body:
+ * - email: string
+ * - role: owner | recruiter | hiring_manager | viewer
+ */
+router.post('/invites', requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.COMPANY_INVITE_CREATE, 'company'), companyController.createInvite);
+
+/**
+ * DELETE /api/company/invites/:inviteId
+ * Revoke a pending invite (owners only)
+ */
+router.delete('/invites/:inviteId', requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.COMPANY_INVITE_REVOKE, 'company'), companyController.revokeInvite);
+
+/**
+ * GET /api/company/invites/:token
+ * Look up an invite from the emailed link
+ */
+router.get('/invites/:token', companyController.getInvite);
+
+/**
+ * POST /api/company/invites/:token/accept
+ * Join the company; the invite must be addressed to your email.
+ * HR accounts still pending approval are approved by joining.
+ */
+router.post('/invites/:token/accept', requireRole('hr_pending', 'hr_approved'), auditAction(AUDIT_ACTIONS.COMPANY_INVITE_ACCEPT, 'company'), companyController.acceptInvite);
+
+/**
+ * PATCH /api/company/members/:userId
+ * Change a member's company role (owners only; a company keeps at least one owner)
+ *
+ * Body:
+ * - role: owner | recruiter | hiring_manager | viewer
+ */
+router.patch('/members/:userId', requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.COMPANY_MEMBER_ROLE_CHANGE, 'user', { resourceIdParam: 'userId' }), companyController.updateMemberRole);
+
+/**
+ * DELETE /api/company/members/:userId
+ * Remove a member (owners), or leave the company (your own user ID)
+ */
+router.delete('/members/:userId', requireRole('hr_approved', 'admin'), auditAction(AUDIT_ACTIONS.COMPANY_MEMBER_REMOVE, 'user', { resourceIdParam: 'userId' }), companyController.removeMember);
+
+/**
+ * EMAIL BRANDING AND TEMPLATES
+ * Require the manage_settings company permission (owners)
+ */
+const manageSettings = [requireRole('hr_approved', 'admin'), requireCompanyAccess(COMPANY_PERMISSIONS.MANAGE_SETTINGS)];
+
+/**
+ * GET /api/company/branding
+ * Get the company's email branding (unset fields use the platform default)
+ */
+router.get('/branding', manageSettings, emailTemplateController.getBranding);
+
+/**
+ * PUT /api/company/branding
+ * Update the company's email branding
+ *
+ * Body (all optional, null resets a field):
+ * - senderName: string - Sender name of the company's emails (default: company name)
+ * - logoUrl: string - https URL of the logo shown in the email header
+ * - primaryColor, accentColor: string - Hex colors such as #1d4ed8
+ */
+router.put('/branding', manageSettings, auditAction(AUDIT_ACTIONS.COMPANY_BRANDING_UPDATE, 'company'), emailTemplateController.updateBranding);
+
+/**
+ * GET /api/company/email-templates
+ * List the templates the company can override with the version in use (source: company, platform or default)
+ */
+router.get('/email-templates', manageSettings, emailTemplateController.getTemplates);
+
+/**
+ * PUT /api/company/email-templates/:key
+ * Override a template for the company's emails
+ *
+ * Body:
+ * - subject: string
+ * - html: string
+ */
+router.put('/email-templates/:key', manageSettings, auditAction(AUDIT_ACTIONS.EMAIL_TEMPLATE_UPDATE, 'email_template', { resourceIdParam: 'key' }), emailTemplateController.saveTemplate);
+
+/**
+ * DELETE /api/company/email-templates/:key
+ * Remove the company's override of a template
+ */
+router.delete('/email-templates/:key', manageSettings, auditAction(AUDIT_ACTIONS.EMAIL_TEMPLATE_RESET, 'email_template', { resourceIdParam: 'key' }), emailTemplateController.resetTemplate);
+
+/**
+ * POST /api/company/email-templates/:key/preview
+ * Render a template with sample data and the company's branding
+ *
+ * Body:
+ * - subject, html: string (optional, unsaved text)
+ * - variables: object (optional, override sample values)
+ */
+router.post('/email-templates/:key/preview', manageSettings, emailTemplateController.previewTemplate);
+
+/**
+ * POST /api/company/email-templates/:key/test
+ * Send the preview to your own email address (same body as preview)
+ */
+router.post('/email-templates/:key/test', manageSettings, emailTemplateController.sendTestEmail);
+
+/**
+ * WEBHOOKS
+ * Endpoints that receive signed application and job events (manage_settings permission)
+ * Events: application.created, application.scored, application.stage_changed, job.published, job.closed
+ */
+
+/**
+ * GET /api/company/webhooks
+ * List the company's endpoints with their deliveries in the last 24 hours
+ */
+router.get('/webhooks', manageSettings, webhookController.getEndpoints);
+
+/**
+ * POST /api/company/webhooks
+ * Add an endpoint; the response carries its signing secret, which is not shown again
+ *
+ * Body:
+ * - url: string (required, http:// or https://)
+ * - description: string (optional)
+ * - events: string[] (required, at least one event)
+ * - is_active: boolean (default true)
+ */
+router.post('/webhooks', manageSettings, auditAction(AUDIT_ACTIONS.WEBHOOK_CREATE, 'webhook'), webhookController.createEndpoint);
+
+/**
+ * PUT /api/company/webhooks/:endpointId
+ * Update an endpoint (same body as POST, omitted fields are kept)
+ */
+router.put('/webhooks/:endpointId', manageSettings, auditAction(AUDIT_ACTIONS.WEBHOOK_UPDATE, 'webhook', { resourceIdParam: 'endpointId' }), webhookController.updateEndpoint);
+
+/**
+ * DELETE /api/company/webhooks/:endpointId
+ * Delete an endpoint and its delivery log
+ */
+router.delete('/webhooks/:endpointId', manageSettings, auditAction(AUDIT_ACTIONS.WEBHOOK_DELETE, 'webhook', { resourceIdParam: 'endpointId' }), webhookController.deleteEndpoint);
+
+/**
+ * POST /api/company/webhooks/:endpointId/rotate-secret
+ * Replace the signing secret; the response carries the new secret
+ */
+router.post('/webhooks/:endpointId/rotate-secret', manageSettings, auditAction(AUDIT_ACTIONS.WEBHOOK_ROTATE_SECRET, 'webhook', { resourceIdParam: 'endpointId' }), webhookController.rotateSecret);
+
+/**
+ * POST /api/company/webhooks/:endpointId/test
+ * Send a webhook.test event to the endpoint (one attempt, whatever it subscribes to)
+ */
+router.post('/webhooks/:endpointId/test', manageSettings, webhookController.sendTestEvent);
+
+/**
+ * GET /api/company/webhooks/:endpointId/deliveries
+ * The endpoint's delivery log, newest first
+ * Query params: ?status=queued|delivered|failed&page=1&limit=20
+ */
+router.get('/webhooks/:endpointId/deliveries', manageSettings, webhookController.getDeliveries);
+
+/**
+ * API KEYS
+ * Keys for server-to-server access in the X-API-Key header (manage_settings permission)
+ * Scopes: jobs:read, jobs:write, applications:read. A key acts for the member who created it.
+ */
+
+/**
+ * GET /api/company/api-keys
+ * List the company's keys (revoked ones included) with last use and the member each acts for
+ */
+router.get('/api-keys', manageSettings, apiKeyController.getKeys);
+
+/**
+ * POST /api/company/api-keys
+ * Create a key acting for you (company members only); the response carries the key, which is not shown again
+ *
+ * Body:
+ * - name: string (required)
+ * - scopes: string[] (required, at least one scope)
+ */
+router.post('/api-keys', manageSettings, auditAction(AUDIT_ACTIONS.API_KEY_CREATE, 'api_key'), apiKeyController.createKey);
+
+/**
+ * PUT /api/company/api-keys/:keyId
+ * Rename a key or change its scopes (same body as POST, omitted fields are kept)
+ */
+router.put('/api-keys/:keyId', manageSettings, auditAction(AUDIT_ACTIONS.API_KEY_UPDATE, 'api_key', { resourceIdParam: 'keyId' }), apiKeyController.updateKey);
+
+/**
+ * POST /api/company/api-keys/:keyId/rotate
+ * Replace a key; the old key stops working and the response carries the new one
+ */
+router.post('/api-keys/:keyId/rotate', manageSettings, auditAction(AUDIT_ACTIONS.API_KEY_ROTATE, 'api_key', { resourceIdParam: 'keyId' }), apiKeyController.rotateKey);
+
+/**
+ * DELETE /api/company/api-keys/:keyId
+ * Revoke a key (it stays listed as revoked)
+ */
+router.delete('/api-keys/:keyId', manageSettings, auditAction(AUDIT_ACTIONS.API_KEY_REVOKE, 'api_key', { resourceIdParam: 'keyId' }), apiKeyController.revokeKey);
+
+module.exports = router;
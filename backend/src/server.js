@@ -4,6 +4,7 @@ require('dotenv').config();
 try {
   const app = require('./app');
   const logger = require('./utils/logger');
+  const { startWorkers, stopWorkers } = require('./workers');
   const fs = require('fs');
   const path = require('path');
 
@@ -14,11 +15,13 @@ const requiredEnvVars = [
   'CLOUDINARY_CLOUD_NAME',
   'CLOUDINARY_API_KEY',
   'CLOUDINARY_API_SECRET',
-  'PARSER_API_KEY',
-  'PARSER_ENDPOINT',
-  'GEMINI_API_KEY',
 ];
 
+// Only the Gemini provider needs an API key; OpenAI-compatible servers may run locally
+if ((process.env.LLM_PROVIDER || 'gemini').toLowerCase() === 'gemini' && !process.env.LLM_API_KEY) {
+  requiredEnvVars.push('GEMINI_API_KEY');
+}
+
 const missingEnvVars = requiredEnvVars.filter((varName) => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -27,6 +30,11 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// The external parser is optional; the built-in extractor is used without it
+if (process.env.RESUME_PARSER_MODE === 'remote' && (!process.env.PARSER_API_KEY || !process.env.PARSER_ENDPOINT)) {
+  logger.warn('RESUME_PARSER_MODE=remote but PARSER_API_KEY/PARSER_ENDPOINT are not set; falling back to local parsing');
+}
+
 // Create necessary directories
 const uploadsDir = path.join(__dirname, '..', 'uploads');
 const logsDir = path.join(__dirname, '..', 'logs');
@@ -59,13 +67,17 @@ const server = app.listen(PORT, HOST, () => {
   logger.info(`  DELETE /api/ats/resumes/:resumeId`);
   logger.info(`  GET    /api/ats/health`);
   logger.info('='.repeat(60));
+
+  // Start background queue workers
+  startWorkers();
 });
 
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
   
-  server.close(() => {
+  server.close(async () => {
+    await stopWorkers();
     logger.info('Server closed. Exiting process.');
     process.exit(0);
   });
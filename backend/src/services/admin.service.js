@@ -1,12 +1,18 @@
 const userModel = require('../models/user.model');
 const hrRequestModel = require('../models/hrRequest.model');
-const jobsModel = require('../models/jobs.model');
+const companyModel = require('../models/company.model');
+const auditLogModel = require('../models/auditLog.model');
+const llmMetricsModel = require('../models/llmMetrics.model');
+const companyService = require('./company.service');
+const { emailQueue } = require('../utils/queue');
 const logger = require('../utils/logger');
 
 /**
  * Admin Service - Handles admin operations and HR approval workflow
  */
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Transform HR request data for frontend
  * @param {object} request - Raw HR request from database
@@ -63,6 +69,32 @@ const getAllHRRequests = async (filters = {}) => {
   }
 };
 
+/**
+ * Queue the email telling an HR applicant about the decision
+ * The decision is already saved, so a queueing failure is only logged.
+ * @param {object} request - HR request with its user
+ * @param {boolean} approved - Whether the request was approved
+ * @param {string|null} reason - Rejection reason
+ */
+const queueHRRequestDecision = async (request, approved, reason = null) => {
+  if (!request.user?.email) {
+    return;
+  }
+
+  try {
+    await emailQueue.add('hr-request-decision', {
+      email: request.user.email,
+      name: request.user.full_name,
+      companyName: request.company_name,
+      approved,
+      reason,
+      idempotencyKey: `hr-request-decision:${request.id}`,
+    });
+  } catch (error) {
+    logger.warn(`Could not queue HR request decision email for request ${request.id}: ${error.message}`);
+  }
+};
+
 /**
  * Approve HR request
  * @param {number} requestId - HR request ID
@@ -94,18 +126,16 @@ const approveHRRequest = async (requestId, adminId, approvalData = {}) => {
     await userModel.updateUserRole(request.user_id, 'hr_approved');
     logger.info(`User role updated to hr_approved: ${request.user_id}`);
 
-    // Optionally create company if provided
+    // Optionally create a company workspace owned by the user (skipped when they
+    // already joined a company through an invite)
     let company = null;
-    if (approvalData.createCompany !== false) {
+    const membership = await companyModel.getMembershipByUserId(request.user_id);
+    if (approvalData.createCompany !== false && !membership) {
       try {
-        company = await jobsModel.createCompany({
+        company = await companyService.createCompanyWorkspace({
           name: approvalData.companyName || request.company_name,
           email: request.user?.email || null,
-        });
-
-        // Link user to company
-        await userModel.updateUserProfile(request.user_id, {
-          companyId: company.id,
+          ownerId: request.user_id,
         });
 
         logger.info(`Company created and linked: ${company.name} (ID: ${company.id})`);
@@ -115,10 +145,13 @@ const approveHRRequest = async (requestId, adminId, approvalData = {}) => {
       }
     }
 
+    await queueHRRequestDecision(request, true);
+
     logger.info(`HR request approved: ${requestId} by admin ${adminId}`);
 
     return {
       request: updatedRequest,
+      previous: request,
       userRoleUpdated: true,
       company,
       message: 'HR request approved successfully. User can now create jobs.',
@@ -162,10 +195,13 @@ const rejectHRRequest = async (requestId, adminId, reason, notes = null) => {
       notes
     );
 
+    await queueHRRequestDecision(request, false, reason);
+
     logger.info(`HR request rejected: ${requestId} by admin ${adminId}`);
 
     return {
       request: updatedRequest,
+      previous: request,
       message: 'HR request rejected',
     };
   } catch (error) {
@@ -223,7 +259,7 @@ const getUserStatistics = async () => {
  * @param {string} userId - User ID
  * @param {string} newRole - New role
  * @param {string} adminId - Admin user ID
- * @returns {Promise<object>} Updated user
+ * @returns {Promise<object>} { user, previous } - updated and previous profile
  */
 const updateUserRole = async (userId, newRole, adminId) => {
   try {
@@ -236,7 +272,10 @@ const updateUserRole = async (userId, newRole, adminId) => {
     const updatedUser = await userModel.updateUserRole(userId, newRole);
     logger.info(`User role updated by admin: ${userId} -> ${newRole} (by ${adminId})`);
 
-    return updatedUser;
+    return {
+      user: updatedUser,
+      previous: user,
+    };
   } catch (error) {
     logger.error('Error updating user role:', error);
     throw error;
@@ -248,7 +287,7 @@ const updateUserRole = async (userId, newRole, adminId) => {
  * @param {string} userId - User ID
  * @param {string} adminId - Admin user ID
  * @param {string} reason - Suspension reason
- * @returns {Promise<object>} Updated user
+ * @returns {Promise<object>} { user, previous, message }
  */
 const suspendUser = async (userId, adminId, reason) => {
   try {
@@ -270,6 +309,7 @@ const suspendUser = async (userId, adminId, reason) => {
 
     return {
       user: updatedUser,
+      previous: user,
       message: 'User account suspended',
     };
   } catch (error) {
@@ -282,7 +322,7 @@ const suspendUser = async (userId, adminId, reason) => {
  * Reactivate suspended user
  * @param {string} userId - User ID
  * @param {string} adminId - Admin user ID
- * @returns {Promise<object>} Updated user
+ * @returns {Promise<object>} { user, previous, message }
  */
 const reactivateUser = async (userId, adminId) => {
   try {
@@ -300,6 +340,7 @@ const reactivateUser = async (userId, adminId) => {
 
     return {
       user: updatedUser,
+      previous: user,
       message: 'User account reactivated',
     };
   } catch (error) {
@@ -330,6 +371,71 @@ const getDashboardStatistics = async () => {
   }
 };
 
+/**
+ * Get audit log entries
+ * @param {object} filters - { actor (user ID or email), action, resourceType, resourceId, from, to, page, limit }
+ * @returns {Promise<object>} { logs, total }
+ */
+const getAuditLogs = async (filters = {}) => {
+  try {
+    const { actor, ...rest } = filters;
+    let userId = actor || null;
+
+    if (actor && !actor.includes('@') && !UUID_PATTERN.test(actor)) {
+      return { logs: [], total: 0 };
+    }
+
+    if (actor && actor.includes('@')) {
+      const profile = await userModel.getUserProfileByEmail(actor.trim().toLowerCase());
+
+      if (!profile) {
+        return { logs: [], total: 0 };
+      }
+
+      userId = profile.id;
+    }
+
+    return await auditLogModel.getAuditLogs({ ...rest, userId });
+  } catch (error) {
+    logger.error('Error fetching audit logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get LLM scoring response validation metrics
+ * @param {number} days - Window size in days
+ * @returns {Promise<object>} { since, models, topErrors, recentFailures }
+ */
+const getLLMMetrics = async (days) => {
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const [summary, topErrors, recentFailures] = await Promise.all([
+      llmMetricsModel.getValidationSummary(since),
+      llmMetricsModel.getTopValidationErrors(since, 10),
+      llmMetricsModel.getRecentValidationFailures(10),
+    ]);
+
+    return {
+      since,
+      models: summary.map((row) => ({
+        provider: row.provider,
+        model: row.model,
+        scored: Number(row.scored),
+        firstAttemptFailures: Number(row.first_attempt_failures),
+        repaired: Number(row.repaired),
+        fellBack: Number(row.fell_back),
+      })),
+      topErrors: topErrors.map((row) => ({ message: row.message, occurrences: Number(row.occurrences) })),
+      recentFailures,
+    };
+  } catch (error) {
+    logger.error('Error fetching LLM metrics:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   getPendingHRRequests,
   getAllHRRequests,
@@ -342,4 +448,6 @@ module.exports = {
   suspendUser,
   reactivateUser,
   getDashboardStatistics,
+  getAuditLogs,
+  getLLMMetrics,
 };
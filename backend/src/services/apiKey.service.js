@@ -0,0 +1,264 @@
+const apiKeyModel = require('../models/apiKey.model');
+const companyModel = require('../models/company.model');
+const userModel = require('../models/user.model');
+const {
+  validateApiKey,
+  hashApiKey,
+  generateApiKey,
+  isApiKeyFormat,
+} = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+
+/**
+ * API Key Service - Company API keys and authenticating requests made with them
+ *
+ * A key acts for the company member who created it, limited to its scopes: what the
+ * key may do is what that member's company role allows within those scopes. The key
+ * stops working once the member leaves the company, loses HR approval or is suspended.
+ */
+
+const MAX_ACTIVE_KEYS_PER_COMPANY = 20;
+
+// last_used_at is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether a member can still act through their API keys
+ * @param {object|null} profile - Member's user profile
+ * @param {object|null} membership - Member's company membership
+ * @param {number} companyId - Company the key belongs to
+ * @returns {boolean} True when the member is an approved, active HR user of the company
+ */
+const canActForCompany = (profile, membership, companyId) => (
+  Boolean(profile && membership)
+  && profile.role === 'hr_approved'
+  && (!profile.status || profile.status === 'active')
+  && String(membership.company_id) === String(companyId)
+);
+
+/**
+ * Hide an API key's hash
+ * @param {object} apiKey - Key row
+ * @returns {object} Key as returned to HR
+ */
+const toKeyResponse = (apiKey) => {
+  const { key_hash: keyHash, ...rest } = apiKey;
+  return rest;
+};
+
+/**
+ * Load an API key of the company
+ * @param {number} companyId - Company ID
+ * @param {number} keyId - Key ID
+ * @returns {Promise<object>} Key row
+ */
+const getCompanyKey = async (companyId, keyId) => {
+  const apiKey = await apiKeyModel.getKeyById(keyId);
+
+  if (!apiKey || String(apiKey.company_id) !== String(companyId)) {
+    throw new Error('API key not found');
+  }
+
+  return apiKey;
+};
+
+/**
+ * Load an API key of the company that can still be changed
+ * @param {number} companyId - Company ID
+ * @param {number} keyId - Key ID
+ * @returns {Promise<object>} Key row
+ */
+const getActiveCompanyKey = async (companyId, keyId) => {
+  const apiKey = await getCompanyKey(companyId, keyId);
+
+  if (apiKey.revoked_at) {
+    throw new Error('API key has been revoked');
+  }
+
+  return apiKey;
+};
+
+/**
+ * List a company's API keys with the member each one acts for
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array>} Keys with created_by_email, created_by_name and owner_active
+ */
+const listKeys = async (companyId) => {
+  const [keys, members] = await Promise.all([
+    apiKeyModel.getKeysByCompany(companyId),
+    companyModel.getCompanyMembers(companyId),
+  ]);
+
+  return keys.map((apiKey) => {
+    const member = members.find((item) => item.user_id === apiKey.created_by);
+    const profile = member?.users_profiles || null;
+
+    return {
+      ...toKeyResponse(apiKey),
+      created_by_email: profile?.email || null,
+      created_by_name: profile?.full_name || null,
+      owner_active: canActForCompany(profile, member, companyId),
+    };
+  });
+};
+
+/**
+ * Create an API key that acts for the creating member
+ * @param {number} companyId - Company ID
+ * @param {object} user - Creating user (req.user)
+ * @param {object} input - { name, scopes }
+ * @returns {Promise<object>} { apiKey, key } - the key is only returned here and on rotation
+ */
+const createKey = async (companyId, user, input) => {
+  if (user.role === 'admin') {
+    throw new Error('Only company members can create API keys, since a key acts for the member who creates it');
+  }
+
+  const { value, error } = validateApiKey(input);
+
+  if (error) {
+    throw new Error(`Invalid API key settings: ${error}`);
+  }
+
+  const existing = await apiKeyModel.getKeysByCompany(companyId);
+
+  if (existing.filter((apiKey) => !apiKey.revoked_at).length >= MAX_ACTIVE_KEYS_PER_COMPANY) {
+    throw new Error(`Invalid API key settings: a company can have at most ${MAX_ACTIVE_KEYS_PER_COMPANY} active keys`);
+  }
+
+  const { key, prefix, hash } = generateApiKey();
+  const apiKey = await apiKeyModel.createKey({
+    ...value,
+    company_id: companyId,
+    key_prefix: prefix,
+    key_hash: hash,
+    created_by: user.id,
+  });
+
+  logger.info(`API key ${apiKey.id} (${prefix}) created for company ${companyId} by ${user.email}`);
+
+  return { apiKey: toKeyResponse(apiKey), key };
+};
+
+/**
+ * Rename an API key or change its scopes
+ * @param {number} companyId - Company ID
+ * @param {number} keyId - Key ID
+ * @param {object} input - Fields to change
+ * @returns {Promise<object>} { apiKey, previous }
+ */
+const updateKey = async (companyId, keyId, input) => {
+  const existing = await getActiveCompanyKey(companyId, keyId);
+  const { value, error } = validateApiKey(input, existing);
+
+  if (error) {
+    throw new Error(`Invalid API key settings: ${error}`);
+  }
+
+  const apiKey = await apiKeyModel.updateKey(existing.id, value);
+
+  return { apiKey: toKeyResponse(apiKey), previous: toKeyResponse(existing) };
+};
+
+/**
+ * Replace an API key; the old key stops working straight away
+ * @param {number} companyId - Company ID
+ * @param {number} keyId - Key ID
+ * @returns {Promise<object>} { apiKey, previous, key }
+ */
+const rotateKey = async (companyId, keyId) => {
+  const existing = await getActiveCompanyKey(companyId, keyId);
+  const { key, prefix, hash } = generateApiKey();
+  const apiKey = await apiKeyModel.updateKey(existing.id, {
+    key_prefix: prefix,
+    key_hash: hash,
+    last_used_at: null,
+    last_used_ip: null,
+  });
+
+  logger.info(`API key ${apiKey.id} rotated (${existing.key_prefix} -> ${prefix})`);
+
+  return { apiKey: toKeyResponse(apiKey), previous: toKeyResponse(existing), key };
+};
+
+/**
+ * Revoke an API key; it is kept so the audit log can still name it
+ * @param {number} companyId - Company ID
+ * @param {number} keyId - Key ID
+ * @param {string} userId - Revoking user
+ * @returns {Promise<object>} { apiKey, previous }
+ */
+const revokeKey = async (companyId, keyId, userId) => {
+  const existing = await getActiveCompanyKey(companyId, keyId);
+  const apiKey = await apiKeyModel.updateKey(existing.id, {
+    revoked_at: new Date().toISOString(),
+    revoked_by: userId,
+  });
+
+  logger.info(`API key ${apiKey.id} (${apiKey.key_prefix}) revoked`);
+
+  return { apiKey: toKeyResponse(apiKey), previous: toKeyResponse(existing) };
+};
+
+/**
+ * Record that a key was used, at most once per LAST_USED_RESOLUTION_MS
+ * Never throws: a failed write must not fail the request.
+ * @param {object} apiKey - Key row
+ * @param {string|null} ipAddress - Requester's IP
+ */
+const touchLastUsed = async (apiKey, ipAddress) => {
+  const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+
+  if (Date.now() - lastUsed < LAST_USED_RESOLUTION_MS && apiKey.last_used_ip === ipAddress) {
+    return;
+  }
+
+  try {
+    await apiKeyModel.updateKey(apiKey.id, {
+      last_used_at: new Date().toISOString(),
+      last_used_ip: ipAddress || null,
+    });
+  } catch (error) {
+    logger.error(`Failed to record use of API key ${apiKey.id}:`, error.message);
+  }
+};
+
+/**
+ * Resolve the key sent in an X-API-Key header
+ * @param {string} rawKey - Header value
+ * @param {string|null} ipAddress - Requester's IP (recorded as last_used_ip)
+ * @returns {Promise<object|null>} { apiKey, profile, membership } or null when the key is unknown or revoked;
+ *   profile and membership are null when the member the key acts for can no longer act for the company
+ */
+const authenticateKey = async (rawKey, ipAddress = null) => {
+  if (!isApiKeyFormat(rawKey)) {
+    return null;
+  }
+
+  const apiKey = await apiKeyModel.getKeyByHash(hashApiKey(rawKey));
+
+  if (!apiKey || apiKey.revoked_at) {
+    return null;
+  }
+
+  const profile = apiKey.created_by ? await userModel.getUserProfileById(apiKey.created_by) : null;
+  const membership = profile ? await companyModel.getMembershipByUserId(profile.id) : null;
+
+  if (!canActForCompany(profile, membership, apiKey.company_id)) {
+    logger.warn(`API key ${apiKey.id} used but its member can no longer act for company ${apiKey.company_id}`);
+    return { apiKey, profile: null, membership: null };
+  }
+
+  await touchLastUsed(apiKey, ipAddress);
+
+  return { apiKey, profile, membership };
+};
+
+module.exports = {
+  listKeys,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey,
+  authenticateKey,
+};
@@ -1,46 +1,102 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
+const { getLLMProvider } = require('./llm');
+const { calculateRuleBasedScore } = require('./ruleScoring.service');
+const llmMetricsModel = require('../models/llmMetrics.model');
+const { DEFAULT_TEMPLATE, buildTemplateVariables, renderTemplate } = require('../utils/promptTemplate');
+const { SCORING_RESPONSE_SCHEMA, parseScoringResponse, excerptResponse } = require('../utils/scoringResponse');
 const logger = require('../utils/logger');
 
+// A response that fails validation is sent back once with the errors before falling back
+const MAX_LLM_ATTEMPTS = 2;
+
 /**
  * Calculate ATS score using LLM API
+ * Every result carries `provenance`: provider, model, prompt template and version, latency,
+ * token counts, LLM attempts, whether the rule-based fallback produced it and the hash of the
+ * job text it was scored against.
  * @param {object} parsedResume - Parsed resume data
- * @param {string} jobDescription - Job description text
+ * @param {object} job - Job record ({ title, description, requirements, criteria, work_mode, salary_range })
+ * @param {object} llmOptions - { provider, model } overriding the deployment defaults
+ * @param {object} promptOptions - { template, companyValues } - defaults to the built-in template
+ * @param {object} context - { resumeId, recordFailures } - recordFailures: false keeps previews out of the metrics
  * @returns {Promise<object>} ATS scoring result
  */
-const calculateATSScore = async (parsedResume, jobDescription) => {
-  try {
-    const apiKey = process.env.GEMINI_API_KEY || process.env.LLM_API_KEY;
+const calculateATSScore = async (parsedResume, job, llmOptions = {}, promptOptions = {}, context = {}) => {
+  const { template = DEFAULT_TEMPLATE, companyValues = null } = promptOptions;
+  const startedAt = Date.now();
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let provider = null;
+  let attempts = 0;
+
+  const provenance = (extra) => ({
+    provider: provider?.name || llmOptions.provider || null,
+    model: provider?.model || llmOptions.model || null,
+    prompt_template_id: template.id,
+    prompt_version: template.version ? `v${template.version}` : null,
+    latency_ms: Date.now() - startedAt,
+    prompt_tokens: attempts > 0 ? usage.promptTokens : null,
+    completion_tokens: attempts > 0 ? usage.completionTokens : null,
+    total_tokens: attempts > 0 ? usage.totalTokens : null,
+    llm_attempts: attempts,
+    is_fallback: false,
+    fallback_reason: null,
+    job_text_hash: hashJobText(job),
+    ...extra,
+  });
 
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY must be configured in environment variables');
-    }
-
-    logger.info('Calculating ATS score using Gemini AI');
+  try {
+    provider = getLLMProvider(llmOptions);
 
-    // Initialize Gemini AI
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    logger.info(`Calculating ATS score using ${provider.name} (${provider.model})`);
 
     // Prepare the prompt for the LLM
-    const prompt = buildScoringPrompt(parsedResume, jobDescription);
-
-    // Generate content using Gemini
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    logger.info('Gemini AI response received');
-
-    // Extract and parse the LLM response
-    const parsedResult = parseGeminiResponse(text);
-    logger.info('ATS score calculated successfully', { matchScore: parsedResult.match_score });
+    const scoringPrompt = buildScoringPrompt(parsedResume, job, template, companyValues);
+    let rejected = null;
+
+    while (attempts < MAX_LLM_ATTEMPTS) {
+      const prompt = rejected
+        ? buildCorrectivePrompt(scoringPrompt, rejected.text, rejected.errors)
+        : scoringPrompt;
+
+      // Generate the JSON completion - providers with structured output are held to the schema
+      const response = await provider.generateJSON(prompt, { schema: SCORING_RESPONSE_SCHEMA });
+      attempts += 1;
+      addUsage(usage, response.usage);
+
+      logger.info('LLM response received', { provider: provider.name, model: provider.model, attempt: attempts, usage: response.usage });
+
+      // The same validation whichever template was used
+      const { value, errors } = parseScoringResponse(response.text);
+
+      if (errors.length === 0) {
+        logger.info('ATS score calculated successfully', { matchScore: value.match_score, attempts });
+        return { ...value, provenance: provenance() };
+      }
+
+      logger.warn(`LLM response failed validation (attempt ${attempts}): ${errors.join('; ')}`);
+
+      if (context.recordFailures !== false) {
+        await recordValidationFailure({
+          jobId: job.job_id,
+          resumeId: context.resumeId,
+          provider: provider.name,
+          model: provider.model,
+          promptTemplateId: template.id,
+          attempt: attempts,
+          errors,
+          responseExcerpt: excerptResponse(response.text),
+        });
+      }
+
+      rejected = { text: response.text, errors };
+    }
 
-    return parsedResult;
+    throw new Error(`Invalid LLM response: ${rejected.errors.join('; ')}`);
   } catch (error) {
     logger.error('ATS scoring failed:', error.message);
 
     if (error.response) {
-      logger.error('Gemini API error response:', {
+      logger.error('LLM API error response:', {
         status: error.response?.status,
         message: error.message,
       });
@@ -48,162 +104,118 @@ const calculateATSScore = async (parsedResume, jobDescription) => {
 
     // Return fallback scores if LLM fails
     logger.warn('Using fallback ATS scores due to LLM failure');
-    return generateFallbackScore(parsedResume, jobDescription);
+    return {
+      ...generateFallbackScore(parsedResume, job),
+      // The LLM and template that were attempted; the prompt was never answered usably
+      provenance: provenance({ prompt_version: null, is_fallback: true, fallback_reason: error.message }),
+    };
   }
 };
 
 /**
- * Build prompt for LLM scoring
- * @param {object} parsedResume - Parsed resume data
- * @param {string} jobDescription - Job description
- * @returns {string} Formatted prompt
+ * Add one LLM call's token usage to a running total
+ * @param {object} total - { promptTokens, completionTokens, totalTokens }
+ * @param {object} usage - Usage reported by the provider (fields may be null)
  */
-const buildScoringPrompt = (parsedResume, jobDescription) => {
-  const resumeSummary = {
-    name: parsedResume.personalInfo?.name || 'Unknown',
-    experience: parsedResume.totalExperience || 'Not specified',
-    skills: parsedResume.skills?.all || [],
-    education: parsedResume.education || [],
-    workHistory: parsedResume.experience?.map((exp) => ({
-      title: exp.title,
-      company: exp.company,
-      duration: exp.duration,
-    })) || [],
-  };
-
-  return `You are an expert ATS (Applicant Tracking System) scoring engine. Analyze the following resume against the job description and provide a detailed scoring analysis.
-
-**Job Description:**
-${jobDescription}
-
-**Resume Summary:**
-Name: ${resumeSummary.name}
-Total Experience: ${resumeSummary.experience}
-Skills: ${resumeSummary.skills.join(', ')}
-Education: ${JSON.stringify(resumeSummary.education)}
-Work History: ${JSON.stringify(resumeSummary.workHistory)}
-
-**Task:**
-Analyze the resume and provide a JSON response with the following structure:
-{
-  "match_score": <integer 0-100>,
-  "shortlist_probability": <decimal 0.00-1.00>,
-  "salary_range": {
-    "min": <integer>,
-    "max": <integer>
-  },
-  "missing_skills": [<array of strings>],
-  "strong_skills": [<array of strings>],
-  "recommendation": "<string: detailed recommendation>",
-  "key_highlights": [<array of strings>],
-  "areas_of_concern": [<array of strings>]
-}
-
-**Scoring Criteria:**
-- match_score: Overall fit (0-100)
-- shortlist_probability: Likelihood of shortlisting (0.00-1.00)
-- salary_range: Estimated salary based on experience and skills
-- missing_skills: Skills mentioned in job description but missing from resume
-- strong_skills: Skills from resume that strongly match job requirements
-- recommendation: Brief recommendation for hiring decision
-- key_highlights: Top 3-5 strengths
-- areas_of_concern: Potential weaknesses or gaps
-
-Respond ONLY with valid JSON. Do not include any explanation outside the JSON structure.`;
+const addUsage = (total, usage) => {
+  total.promptTokens += usage?.promptTokens || 0;
+  total.completionTokens += usage?.completionTokens || 0;
+  total.totalTokens += usage?.totalTokens || 0;
 };
 
 /**
- * Parse Gemini response and extract scoring data
- * @param {string} responseText - Gemini text response
- * @returns {object} Parsed scoring result
+ * Record a response that failed validation
+ * Never throws: losing a metric must not change how the application is scored.
+ * @param {object} failure - Failure details for llmMetricsModel.createValidationFailure
  */
-const parseGeminiResponse = (responseText) => {
+const recordValidationFailure = async (failure) => {
   try {
-    if (!responseText) {
-      throw new Error('No text content in Gemini response');
-    }
+    await llmMetricsModel.createValidationFailure(failure);
+  } catch (error) {
+    logger.error('Failed to record LLM validation failure:', error.message);
+  }
+};
+
+/**
+ * Build the prompt for a second attempt after a response failed validation
+ * @param {string} prompt - Original scoring prompt
+ * @param {string} responseText - The rejected response
+ * @param {string[]} errors - Validation errors
+ * @returns {string} Corrective prompt
+ */
+const buildCorrectivePrompt = (prompt, responseText, errors) => `${prompt}
 
-    logger.info('Parsing Gemini response...');
+Your previous response could not be used:
+${errors.map((error) => `- ${error}`).join('\n')}
 
-    // Remove markdown code blocks if present
-    let cleanText = responseText.trim();
-    cleanText = cleanText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+Previous response:
+${excerptResponse(responseText) || '(empty)'}
 
-    // Extract JSON from response (in case there's extra text)
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No valid JSON found in Gemini response');
-    }
+Respond again with ONLY a JSON object matching the structure above: every field present, match_score an integer from 0 to 100, shortlist_probability a number from 0 to 1, salary_range min and max whole numbers with min not above max, and no other text.`;
 
-    const parsed = JSON.parse(jsonMatch[0]);
+/**
+ * Build prompt for LLM scoring
+ * @param {object} parsedResume - Parsed resume data
+ * @param {object} job - Job record
+ * @param {object} template - Prompt template ({ body }) - defaults to the built-in template
+ * @param {string|null} companyValues - The hiring company's values
+ * @returns {string} Formatted prompt
+ */
+const buildScoringPrompt = (parsedResume, job, template = DEFAULT_TEMPLATE, companyValues = null) => (
+  renderTemplate(template.body, buildTemplateVariables(parsedResume, job, companyValues))
+);
 
-    // Validate and normalize the response
-    return {
-      match_score: parseInt(parsed.match_score, 10) || 0,
-      shortlist_probability: parseFloat(parsed.shortlist_probability) || 0,
-      salary_range: {
-        min: parseInt(parsed.salary_range?.min, 10) || 0,
-        max: parseInt(parsed.salary_range?.max, 10) || 0,
-      },
-      missing_skills: Array.isArray(parsed.missing_skills) ? parsed.missing_skills : [],
-      strong_skills: Array.isArray(parsed.strong_skills) ? parsed.strong_skills : [],
-      recommendation: parsed.recommendation || '',
-      key_highlights: Array.isArray(parsed.key_highlights) ? parsed.key_highlights : [],
-      areas_of_concern: Array.isArray(parsed.areas_of_concern) ? parsed.areas_of_concern : [],
-    };
-  } catch (error) {
-    logger.error('Failed to parse Gemini response:', error.message);
-    logger.error('Response text:', responseText?.substring(0, 500));
-    throw new Error('Invalid Gemini response format');
+/**
+ * Parse and validate an LLM scoring response
+ * @param {string} responseText - LLM text response
+ * @returns {object} Scoring result
+ * @throws {Error} When the response does not match SCORING_RESPONSE_SCHEMA
+ */
+const parseLLMResponse = (responseText) => {
+  const { value, errors } = parseScoringResponse(responseText);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM response: ${errors.join('; ')}`);
   }
+
+  return value;
+};
+
+/**
+ * Hash the job text a score is computed against
+ * Knock-out questions are left out: they screen applications but do not change scores.
+ * @param {object} job - Job record
+ * @returns {string} SHA-256 hex digest
+ */
+const hashJobText = (job) => {
+  const criteria = { ...(job.criteria || {}) };
+  delete criteria.knockout_questions;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      description: job.description || '',
+      requirements: job.requirements || '',
+      criteria,
+      work_mode: job.work_mode || null,
+    }))
+    .digest('hex');
 };
 
 /**
  * Generate fallback score when LLM is unavailable
  * @param {object} parsedResume - Parsed resume data
- * @param {string} jobDescription - Job description
- * @returns {object} Fallback scoring result
+ * @param {object} job - Job record
+ * @returns {object} Rule-based scoring result with a per-component breakdown
  */
-const generateFallbackScore = (parsedResume, jobDescription) => {
-  // Simple keyword matching as fallback
-  const resumeText = JSON.stringify(parsedResume).toLowerCase();
-  const jobText = jobDescription.toLowerCase();
-  
-  // Extract key skills from job description
-  const commonSkills = [
-    'javascript', 'python', 'java', 'react', 'node.js', 'sql', 'aws',
-    'docker', 'kubernetes', 'git', 'agile', 'rest api', 'mongodb',
-  ];
-
-  const foundSkills = commonSkills.filter((skill) => 
-    resumeText.includes(skill) && jobText.includes(skill)
-  );
-
-  const missingSkills = commonSkills.filter((skill) => 
-    jobText.includes(skill) && !resumeText.includes(skill)
-  );
-
-  // Calculate basic match score
-  const matchScore = Math.min(100, Math.round((foundSkills.length / Math.max(commonSkills.filter((s) => jobText.includes(s)).length, 1)) * 100));
-
-  return {
-    match_score: matchScore,
-    shortlist_probability: matchScore / 100,
-    salary_range: {
-      min: 60000,
-      max: 100000,
-    },
-    missing_skills: missingSkills.slice(0, 5),
-    strong_skills: foundSkills.slice(0, 5),
-    recommendation: 'Fallback scoring used - manual review recommended',
-    key_highlights: ['Automated scoring unavailable'],
-    areas_of_concern: ['LLM scoring service unavailable'],
-  };
+const generateFallbackScore = (parsedResume, job) => {
+  return calculateRuleBasedScore(parsedResume, job);
 };
 
 module.exports = {
   calculateATSScore,
+  hashJobText,
   buildScoringPrompt,
-  parseGeminiResponse,
+  parseLLMResponse,
   generateFallbackScore,
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+const auditLogModel = require('../models/auditLog.model');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Service - Records privileged actions in audit_logs
+ *
+ * Actions are named `<resource>.<verb>` so the log can be filtered by resource
+ * ("user") or by a single action ("user.role_change").
+ */
+
+const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  USER_ROLE_CHANGE: 'user.role_change',
+  USER_SUSPEND: 'user.suspend',
+  USER_REACTIVATE: 'user.reactivate',
+  HR_REQUEST_APPROVE: 'hr_request.approve',
+  HR_REQUEST_REJECT: 'hr_request.reject',
+  JOB_CREATE: 'job.create',
+  JOB_UPDATE: 'job.update',
+  JOB_DELETE: 'job.delete',
+  JOB_STATUS_CHANGE: 'job.status_change',
+  JOB_RESCORE: 'job.rescore',
+  APPLICATION_DELETE: 'application.delete',
+  COMPANY_INVITE_CREATE: 'company.invite_create',
+  COMPANY_INVITE_REVOKE: 'company.invite_revoke',
+  COMPANY_INVITE_ACCEPT: 'company.invite_accept',
+  COMPANY_MEMBER_ROLE_CHANGE: 'company.member_role_change',
+  COMPANY_MEMBER_REMOVE: 'company.member_remove',
+  PROMPT_TEMPLATE_CREATE: 'prompt_template.create',
+  PROMPT_TEMPLATE_ACTIVATE: 'prompt_template.activate',
+  JOB_PROMPT_TEMPLATES_UPDATE: 'job.prompt_templates_update',
+  EMAIL_TEMPLATE_UPDATE: 'email_template.update',
+  EMAIL_TEMPLATE_RESET: 'email_template.reset',
+  COMPANY_BRANDING_UPDATE: 'company.branding_update',
+  EMAIL_RESEND: 'email.resend',
+  QUEUE_JOB_RETRY: 'queue_job.retry',
+  NOTIFICATION_RULE_CREATE: 'notification_rule.create',
+  NOTIFICATION_RULE_UPDATE: 'notification_rule.update',
+  NOTIFICATION_RULE_DELETE: 'notification_rule.delete',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_UPDATE: 'webhook.update',
+  WEBHOOK_DELETE: 'webhook.delete',
+  WEBHOOK_ROTATE_SECRET: 'webhook.rotate_secret',
+  API_KEY_CREATE: 'api_key.create',
+  API_KEY_UPDATE: 'api_key.update',
+  API_KEY_ROTATE: 'api_key.rotate',
+  API_KEY_REVOKE: 'api_key.revoke',
+};
+
+// Bookkeeping columns that change on every write and say nothing about the action
+const IGNORED_DIFF_FIELDS = ['updated_at', 'status_updated_at'];
+
+/**
+ * Compare two records and keep only the fields that changed
+ * @param {object|null} before - Record before the change (null when created)
+ * @param {object|null} after - Record after the change (null when deleted)
+ * @param {string[]|null} fields - Only compare these fields (default: all)
+ * @returns {object} { before, after } limited to changed fields
+ */
+const diffRecords = (before, after, fields = null) => {
+  const diff = { before: {}, after: {} };
+  const keys = fields || new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (IGNORED_DIFF_FIELDS.includes(key)) {
+      return;
+    }
+
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      if (before) diff.before[key] = oldValue ?? null;
+      if (after) diff.after[key] = newValue ?? null;
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Record an audit log entry
+ * Never throws: a failed audit write is logged but does not fail the action itself.
+ * @param {object} entry - { userId, action, resourceType, resourceId, details, ipAddress, userAgent }
+ * @returns {Promise<object|null>} Created entry or null
+ */
+const recordAudit = async (entry) => {
+  try {
+    return await auditLogModel.createAuditLog(entry);
+  } catch (error) {
+    logger.error(`Failed to record audit entry ${entry.action}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffRecords,
+  recordAudit,
+};
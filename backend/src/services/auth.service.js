@@ -1,6 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const userModel = require('../models/user.model');
 const hrRequestModel = require('../models/hrRequest.model');
+const companyModel = require('../models/company.model');
 const logger = require('../utils/logger');
 
 // Create Supabase client for auth operations
@@ -11,6 +12,25 @@ const supabaseAnonKey = process.env.SUPABASE_ANON_KEY; // For client-side operat
  * Auth Service - Handles user authentication and registration
  */
 
+/**
+ * Get the company workspace an HR user belongs to
+ * Members get their company's name and role; users still waiting for approval
+ * get the company name from their HR request.
+ * @param {object} profile - User profile
+ * @param {array} hrRequests - The user's HR requests (newest first)
+ * @returns {Promise<object>} { companyId, companyName, companyRole }
+ */
+const getCompanyDetails = async (profile, hrRequests = []) => {
+  const membership = await companyModel.getMembershipByUserId(profile.id);
+  const company = membership ? await companyModel.getCompanyById(membership.company_id) : null;
+
+  return {
+    companyId: membership?.company_id || profile.company_id,
+    companyName: company?.name || hrRequests[0]?.company_name || null,
+    companyRole: membership?.role || null,
+  };
+};
+
 /**
  * Register a new user
  * @param {object} userData - User registration data
@@ -167,13 +187,11 @@ const login = async (email, password) => {
       throw new Error(`Account is ${profile.status}. Please contact support.`);
     }
 
-    // Get company name if HR user
-    let companyName = null;
+    // Get company workspace if HR user
+    let company = { companyId: profile.company_id, companyName: null, companyRole: null };
     if (profile.role === 'hr_pending' || profile.role === 'hr_approved') {
       const hrRequests = await hrRequestModel.getHRRequestsByUserId(authData.user.id);
-      if (hrRequests && hrRequests.length > 0) {
-        companyName = hrRequests[0].company_name;
-      }
+      company = await getCompanyDetails(profile, hrRequests || []);
     }
 
     return {
@@ -183,8 +201,7 @@ const login = async (email, password) => {
         role: profile.role,
         fullName: profile.full_name,
         phone: profile.phone,
-        companyName: companyName,
-        companyId: profile.company_id,
+        ...company,
         status: profile.status,
       },
       token: authData.session?.access_token,
@@ -223,14 +240,12 @@ const getCurrentUser = async (userId, email = null, role = 'candidate') => {
       logger.info(`Auto-created profile for user: ${email}`);
     }
 
-    // Get company name if HR user
-    let companyName = null;
+    // Get company workspace if HR user
+    let company = { companyId: profile.company_id, companyName: null, companyRole: null };
     let hrRequests = [];
     if (profile.role === 'hr_pending' || profile.role === 'hr_approved') {
       hrRequests = await hrRequestModel.getHRRequestsByUserId(userId);
-      if (hrRequests && hrRequests.length > 0) {
-        companyName = hrRequests[0].company_name;
-      }
+      company = await getCompanyDetails(profile, hrRequests || []);
     }
 
     return {
@@ -239,8 +254,7 @@ const getCurrentUser = async (userId, email = null, role = 'candidate') => {
       role: profile.role,
       fullName: profile.full_name,
       phone: profile.phone,
-      companyName: companyName,
-      companyId: profile.company_id,
+      ...company,
       status: profile.status,
       createdAt: profile.created_at,
       hrRequests,
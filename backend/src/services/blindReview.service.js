@@ -0,0 +1,185 @@
+const atsModel = require('../models/ats.model');
+const jobsModel = require('../models/jobs.model');
+const redactionModel = require('../models/redaction.model');
+const { formatResumeSummary } = require('../utils/promptTemplate');
+const { resolvePipeline } = require('../utils/pipeline');
+const { isIdentityRevealed } = require('../utils/blindReview');
+const {
+  collectIdentifiers,
+  redactText,
+  redactResume,
+  findLeaks,
+  anonymousLabel,
+} = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+/**
+ * Blind Review Service - Redacts candidates of blind jobs from the LLM and from HR
+ *
+ * The LLM scores the redacted resume; what was sent is logged with the categories
+ * removed and a leak check of the text, so an admin can verify nothing identifying
+ * went out. HR sees the same redaction until the application reaches the job's
+ * reveal stage (see src/utils/blindReview.js).
+ */
+
+/**
+ * Get the resume to score an application with
+ * @param {object} resume - Application record with parsed_data
+ * @param {object} job - Job record
+ * @param {object} options - { record } - false skips the redaction log (previews)
+ * @returns {Promise<object>} Parsed resume, redacted when the job is blind
+ */
+const prepareResumeForScoring = async (resume, job, options = {}) => {
+  if (!job.blind_review) {
+    return resume.parsed_data;
+  }
+
+  const { resume: redacted, removed } = redactResume(resume.parsed_data);
+
+  if (options.record !== false) {
+    const redactedText = formatResumeSummary(redacted);
+    const leaks = findLeaks(redactedText, collectIdentifiers(resume.parsed_data));
+
+    if (leaks.length > 0) {
+      logger.warn(`Redacted resume for application ${resume.id} still contains: ${leaks.join(', ')}`);
+    }
+
+    await redactionModel.createRedactionLog({
+      resumeId: resume.id,
+      jobId: job.job_id,
+      event: 'scoring',
+      removed,
+      redactedText,
+      leaks,
+    });
+  }
+
+  return redacted;
+};
+
+/**
+ * Redact an application as HR sees it
+ * LLM-written text is redacted too: scores made before the job went blind may name the candidate.
+ * @param {object} application - ATS score row with its `resumes` record
+ * @returns {object} Application with a redacted resume, no resume file and `identity_hidden: true`
+ */
+const redactApplication = (application) => {
+  const parsedResume = application.resumes?.parsed_data || {};
+  const identifiers = collectIdentifiers(parsedResume);
+  const text = (value) => redactText(value, identifiers);
+
+  return {
+    ...application,
+    recommendation: text(application.recommendation),
+    key_highlights: (application.key_highlights || []).map(text),
+    areas_of_concern: (application.areas_of_concern || []).map(text),
+    resumes: application.resumes && {
+      ...application.resumes,
+      cloudinary_url: null,
+      parsed_data: redactResume(parsedResume, { name: anonymousLabel(application.resume_id) }).resume,
+    },
+    identity_hidden: true,
+  };
+};
+
+/**
+ * Apply a job's blind review to the applications HR is about to see
+ * @param {object} job - Job record
+ * @param {array} applications - ATS score rows with `resumes` (pipeline_stage, identity_revealed_at)
+ * @param {object[]} stages - The job's pipeline stages
+ * @returns {array} Applications, redacted where the candidate is not revealed yet
+ */
+const applyBlindReview = (job, applications, stages) => applications.map((application) => (
+  isIdentityRevealed(job, application.resumes || {}, stages)
+    ? { ...application, identity_hidden: false }
+    : redactApplication(application)
+));
+
+/**
+ * Apply a job's blind review to every score version of one application
+ * @param {object} job - Job record
+ * @param {object} resume - The application's resume record (pipeline_stage, identity_revealed_at, parsed_data)
+ * @param {array} scores - The application's ATS score rows
+ * @param {object[]} stages - The job's pipeline stages
+ * @returns {array} Score rows, with LLM-written text redacted while the candidate is not revealed yet
+ */
+const applyBlindReviewToScores = (job, resume, scores, stages) => (
+  applyBlindReview(job, scores.map((score) => ({ ...score, resumes: resume })), stages)
+    .map(({ resumes, ...score }) => score)
+);
+
+/**
+ * Log that HR advanced a blind application far enough to see who it is
+ * @param {object} change - { application, job, stage, userId }
+ * @returns {Promise<object>} Log record
+ */
+const recordReveal = async ({ application, job, stage, userId }) => {
+  logger.info(`Blind application ${application.id} revealed at stage ${stage} by ${userId}`);
+
+  return redactionModel.createRedactionLog({
+    resumeId: application.id,
+    jobId: job.job_id,
+    event: 'identity_revealed',
+    stage,
+    performedBy: userId,
+  });
+};
+
+/**
+ * Check an application's redactions (admin)
+ * Every logged LLM input is checked again against the candidate's current details, and the
+ * redaction the next score would use is rebuilt. Identifying values are never returned.
+ * @param {number} applicationId - Application (resume) ID
+ * @returns {Promise<object>} Redaction report
+ */
+const getRedactionReport = async (applicationId) => {
+  const resume = await atsModel.getResumeById(applicationId);
+
+  if (!resume) {
+    throw new Error('Application not found');
+  }
+
+  const job = await jobsModel.getJobByJobId(resume.job_id);
+
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  const stages = resolvePipeline(job.company_id ? await jobsModel.getCompanyPipeline(job.company_id) : null);
+  const logs = await redactionModel.getRedactionLogs(resume.id);
+  const identifiers = collectIdentifiers(resume.parsed_data || {});
+  const { resume: redacted, removed } = redactResume(resume.parsed_data || {});
+  const redactedText = formatResumeSummary(redacted);
+
+  const entries = logs.map((log) => ({
+    ...log,
+    recheckedLeaks: log.event === 'scoring' ? findLeaks(log.redacted_text, identifiers) : [],
+  }));
+
+  return {
+    applicationId: resume.id,
+    jobId: job.job_id,
+    blindReview: Boolean(job.blind_review),
+    revealStage: job.blind_reveal_stage,
+    pipelineStage: resume.pipeline_stage,
+    identityRevealed: job.blind_review ? isIdentityRevealed(job, resume, stages) : null,
+    identityRevealedAt: resume.identity_revealed_at,
+    // Which kinds of identifying details the resume has, not the values
+    identifiersFound: Object.fromEntries(Object.entries(identifiers).map(([key, values]) => [key, values.length])),
+    current: {
+      removed,
+      redactedText,
+      leaks: findLeaks(redactedText, identifiers),
+    },
+    logs: entries,
+    verified: entries.every((entry) => entry.recheckedLeaks.length === 0 && (entry.leaks || []).length === 0),
+  };
+};
+
+module.exports = {
+  prepareResumeForScoring,
+  applyBlindReview,
+  applyBlindReviewToScores,
+  recordReveal,
+  getRedactionReport,
+};
@@ -0,0 +1,224 @@
+const path = require('path');
+const { uploadFile } = require('../config/cloudinary');
+const candidateModel = require('../models/candidate.model');
+const { parsingQueue } = require('../utils/queue');
+const { parseResume } = require('./resumeParser.service');
+const { validateCandidateProfile } = require('../utils/candidateProfile');
+const logger = require('../utils/logger');
+
+/**
+ * Candidate Service - Candidate profiles and the resume library
+ */
+
+const MAX_LIBRARY_RESUMES = parseInt(process.env.MAX_LIBRARY_RESUMES, 10) || 10;
+const MAX_RESUME_NAME_LENGTH = 100;
+
+// Returned for candidates who have not saved a profile yet
+const EMPTY_PROFILE = {
+  headline: null,
+  location: null,
+  desired_salary_min: null,
+  desired_salary_max: null,
+  work_authorization: null,
+  links: [],
+  skills: [],
+};
+
+/**
+ * Validate a resume name
+ * @param {any} name - Raw name
+ * @returns {string} Trimmed name
+ */
+const normalizeResumeName = (name) => {
+  const trimmed = String(name || '').trim();
+
+  if (!trimmed) {
+    throw new Error('Resume name is required');
+  }
+  if (trimmed.length > MAX_RESUME_NAME_LENGTH) {
+    throw new Error(`Resume name must be at most ${MAX_RESUME_NAME_LENGTH} characters`);
+  }
+
+  return trimmed;
+};
+
+/**
+ * Get a candidate's profile (empty fields until they save one)
+ * @param {string} userId - Candidate user UUID
+ * @returns {Promise<object>} Profile
+ */
+const getProfile = async (userId) => {
+  const profile = await candidateModel.getProfile(userId);
+  return profile || { ...EMPTY_PROFILE, user_id: userId };
+};
+
+/**
+ * Save a candidate's profile
+ * @param {string} userId - Candidate user UUID
+ * @param {object} input - Profile from the request body (camelCase)
+ * @returns {Promise<object>} Saved profile
+ */
+const updateProfile = async (userId, input) => {
+  const { value, error } = validateCandidateProfile(input);
+
+  if (error) {
+    throw new Error(`Invalid profile: ${error}`);
+  }
+
+  return candidateModel.upsertProfile(userId, value);
+};
+
+/**
+ * Get a candidate's library resumes
+ * @param {string} userId - Candidate user UUID
+ * @returns {Promise<array>} Resumes, default first
+ */
+const getLibraryResumes = async (userId) => candidateModel.getLibraryResumes(userId);
+
+/**
+ * Get one of the candidate's own library resumes
+ * @param {string} userId - Candidate user UUID
+ * @param {number} resumeId - Library resume ID
+ * @returns {Promise<object>} Resume record
+ */
+const getOwnLibraryResume = async (userId, resumeId) => {
+  const resume = await candidateModel.getLibraryResumeById(resumeId);
+
+  if (!resume || resume.user_id !== userId) {
+    throw new Error('Resume not found');
+  }
+
+  return resume;
+};
+
+/**
+ * Get the parsed data of a library resume, parsing and caching it on first use
+ * @param {object} libraryResume - Library resume record
+ * @returns {Promise<object>} Parsed resume data
+ */
+const getLibraryResumeParse = async (libraryResume) => {
+  if (libraryResume.parsed_data) {
+    return libraryResume.parsed_data;
+  }
+
+  const parsedData = await parseResume(libraryResume.cloudinary_url, { fileName: libraryResume.original_filename });
+  await candidateModel.updateLibraryParsedData(libraryResume.id, parsedData);
+  logger.info(`Library resume ${libraryResume.id} parsed`);
+
+  return parsedData;
+};
+
+/**
+ * Upload a resume into the candidate's library and queue its parsing
+ * The first resume becomes the default.
+ * @param {string} userId - Candidate user UUID
+ * @param {object} file - Uploaded file ({ path, originalname })
+ * @param {object} options - { name, isDefault }
+ * @returns {Promise<object>} Created resume
+ */
+const addLibraryResume = async (userId, file, options = {}) => {
+  try {
+    const existing = await candidateModel.getLibraryResumes(userId);
+
+    if (existing.length >= MAX_LIBRARY_RESUMES) {
+      throw new Error(`You can keep at most ${MAX_LIBRARY_RESUMES} resumes. Delete one to upload another.`);
+    }
+
+    const name = normalizeResumeName(
+      options.name || path.basename(file.originalname, path.extname(file.originalname)),
+    );
+    const makeDefault = existing.length === 0 || options.isDefault === true || options.isDefault === 'true';
+
+    const uploaded = await uploadFile(file.path);
+
+    let resume = await candidateModel.createLibraryResume({
+      userId,
+      name,
+      cloudinaryUrl: uploaded.secure_url,
+      originalFilename: file.originalname,
+      isDefault: existing.length === 0,
+    });
+
+    if (makeDefault && !resume.is_default) {
+      resume = (await candidateModel.setDefaultLibraryResume(userId, resume.id)) || resume;
+    }
+
+    // Parse ahead of time so applying with this resume does not wait for it
+    try {
+      await parsingQueue.add('parse-library-resume', { libraryResumeId: resume.id });
+    } catch (queueError) {
+      logger.warn(`Could not queue parsing for library resume ${resume.id}:`, queueError.message);
+    }
+
+    return resume;
+  } catch (error) {
+    logger.error('Error adding library resume:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a library resume or make it the default
+ * @param {string} userId - Candidate user UUID
+ * @param {number} resumeId - Library resume ID
+ * @param {object} updates - { name, isDefault }
+ * @returns {Promise<object>} Updated resume
+ */
+const updateLibraryResume = async (userId, resumeId, updates) => {
+  try {
+    let resume = await getOwnLibraryResume(userId, resumeId);
+
+    if (updates.name !== undefined) {
+      resume = await candidateModel.renameLibraryResume(resume.id, normalizeResumeName(updates.name));
+    }
+
+    if (updates.isDefault === true && !resume.is_default) {
+      resume = (await candidateModel.setDefaultLibraryResume(userId, resume.id)) || resume;
+    }
+
+    return resume;
+  } catch (error) {
+    logger.error('Error updating library resume:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a library resume
+ * Applications already made with it are kept. Deleting the default makes the newest remaining
+ * resume the default.
+ * @param {string} userId - Candidate user UUID
+ * @param {number} resumeId - Library resume ID
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteLibraryResume = async (userId, resumeId) => {
+  try {
+    const resume = await getOwnLibraryResume(userId, resumeId);
+
+    await candidateModel.deleteLibraryResume(resume.id);
+
+    if (resume.is_default) {
+      const [newest] = await candidateModel.getLibraryResumes(userId);
+      if (newest) {
+        await candidateModel.setDefaultLibraryResume(userId, newest.id);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Error deleting library resume:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_LIBRARY_RESUMES,
+  getProfile,
+  updateProfile,
+  getLibraryResumes,
+  getOwnLibraryResume,
+  getLibraryResumeParse,
+  addLibraryResume,
+  updateLibraryResume,
+  deleteLibraryResume,
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const companyModel = require('../models/company.model');
+const jobsModel = require('../models/jobs.model');
+const userModel = require('../models/user.model');
+const { emailQueue } = require('../utils/queue');
+const { COMPANY_ROLES } = require('../utils/companyRoles');
+const logger = require('../utils/logger');
+
+/**
+ * Company Service - Company workspaces, members and invitations
+ */
+
+const INVITE_TTL_DAYS = parseInt(process.env.COMPANY_INVITE_TTL_DAYS, 10) || 7;
+
+// Account roles that can join a company workspace
+const INVITABLE_ACCOUNT_ROLES = ['hr_pending', 'hr_approved'];
+
+/**
+ * Hash an invite token (only the hash is stored)
+ * @param {string} token - Invite token from the email link
+ * @returns {string} SHA-256 hex digest
+ */
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a company and make a user its owner
+ * @param {object} companyData - { name, email, ownerId }
+ * @returns {Promise<object>} Created company
+ */
+const createCompanyWorkspace = async (companyData) => {
+  try {
+    const company = await jobsModel.createCompany({
+      name: companyData.name,
+      email: companyData.email,
+      createdBy: companyData.ownerId,
+    });
+
+    await companyModel.addCompanyMember({
+      companyId: company.id,
+      userId: companyData.ownerId,
+      role: 'owner',
+    });
+
+    await userModel.updateUserProfile(companyData.ownerId, { companyId: company.id });
+
+    return company;
+  } catch (error) {
+    logger.error('Error creating company workspace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a company with its members and pending invites
+ * @param {number} companyId - Company ID
+ * @param {boolean} includeInvites - Whether to include pending invites
+ * @returns {Promise<object>} { company, members, invites }
+ */
+const getWorkspace = async (companyId, includeInvites = false) => {
+  try {
+    const company = await companyModel.getCompanyById(companyId);
+
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const members = await companyModel.getCompanyMembers(companyId);
+    const invites = includeInvites ? await companyModel.getPendingInvites(companyId) : [];
+
+    return { company, members, invites };
+  } catch (error) {
+    logger.error('Error fetching company workspace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Invite someone to a company by email
+ * A new invite replaces any open invite for the same address.
+ * @param {object} inviteData - { companyId, email, role, invitedBy, inviterName }
+ * @returns {Promise<object>} { invite, inviteUrl }
+ */
+const inviteMember = async (inviteData) => {
+  try {
+    const email = String(inviteData.email || '').trim().toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('A valid email address is required');
+    }
+
+    if (!COMPANY_ROLES.includes(inviteData.role)) {
+      throw new Error(`Invalid company role. Supported: ${COMPANY_ROLES.join(', ')}`);
+    }
+
+    const company = await companyModel.getCompanyById(inviteData.companyId);
+
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const existingUser = await userModel.getUserProfileByEmail(email);
+    const existingMembership = existingUser
+      ? await companyModel.getMembershipByUserId(existingUser.id)
+      : null;
+
+    if (existingMembership) {
+      throw new Error(existingMembership.company_id === company.id
+        ? 'This user is already a member of your company'
+        : 'This user already belongs to another company');
+    }
+
+    const pendingInvites = await companyModel.getPendingInvites(company.id);
+    await Promise.all(pendingInvites
+      .filter((invite) => invite.email.toLowerCase() === email)
+      .map((invite) => companyModel.closeInvite(invite.id, { status: 'revoked' })));
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await companyModel.createCompanyInvite({
+      companyId: company.id,
+      email,
+      role: inviteData.role,
+      tokenHash: hashInviteToken(token),
+      invitedBy: inviteData.invitedBy,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL || ''}/invites/${token}`;
+
+    await emailQueue.add('company-invite', {
+      email,
+      companyId: company.id,
+      companyName: company.name,
+      role: invite.role,
+      inviterName: inviteData.inviterName,
+      inviteUrl,
+      expiresAt: invite.expires_at,
+      idempotencyKey: `company-invite:${invite.id}`,
+    });
+
+    logger.info(`Invite ${invite.id} sent to ${email} for company ${company.id}`);
+
+    return { invite, inviteUrl };
+  } catch (error) {
+    logger.error('Error inviting company member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Look up an invite from its token
+ * @param {string} token - Invite token
+ * @returns {Promise<object>} Invite with its company
+ */
+const getInviteByToken = async (token) => {
+  const invite = await companyModel.getInviteByTokenHash(hashInviteToken(token));
+
+  if (!invite || invite.status === 'revoked') {
+    throw new Error('Invite not found');
+  }
+
+  return invite;
+};
+
+/**
+ * Accept an invite as the signed-in user
+ * The invite must be pending, unexpired and addressed to the user's email.
+ * Joining does not change the account role: pending HR accounts still need admin approval.
+ * @param {string} token - Invite token
+ * @param {object} user - Signed-in user ({ id, email, role })
+ * @returns {Promise<object>} { membership, company }
+ */
+const acceptInvite = async (token, user) => {
+  try {
+    const invite = await getInviteByToken(token);
+
+    if (invite.status === 'accepted') {
+      throw new Error('This invite has already been accepted');
+    }
+
+    if (new Date(invite.expires_at) <= new Date()) {
+      throw new Error('This invite has expired');
+    }
+
+    if (invite.email.toLowerCase() !== String(user.email).toLowerCase()) {
+      throw new Error('This invite was sent to a different email address');
+    }
+
+    if (!INVITABLE_ACCOUNT_ROLES.includes(user.role)) {
+      throw new Error('Only HR accounts can join a company');
+    }
+
+    if (await companyModel.getMembershipByUserId(user.id)) {
+      throw new Error('You already belong to a company');
+    }
+
+    const accepted = await companyModel.closeInvite(invite.id, { status: 'accepted', acceptedBy: user.id });
+
+    if (!accepted) {
+      throw new Error('This invite has already been accepted');
+    }
+
+    const membership = await companyModel.addCompanyMember({
+      companyId: invite.company_id,
+      userId: user.id,
+      role: invite.role,
+      invitedBy: invite.invited_by,
+    });
+
+    await userModel.updateUserProfile(user.id, { companyId: invite.company_id });
+
+    logger.info(`Invite ${invite.id} accepted by ${user.email}`);
+
+    return { membership, company: invite.companies };
+  } catch (error) {
+    logger.error('Error accepting company invite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a pending invite
+ * @param {number} companyId - Company ID
+ * @param {number} inviteId - Invite ID
+ * @returns {Promise<object>} Revoked invite
+ */
+const revokeInvite = async (companyId, inviteId) => {
+  const invite = await companyModel.closeInvite(inviteId, { status: 'revoked' }, companyId);
+
+  if (!invite) {
+    throw new Error('Invite not found');
+  }
+
+  return invite;
+};
+
+/**
+ * Make sure a change keeps at least one owner in the company
+ * @param {object} member - Membership being changed or removed
+ * @returns {Promise<void>}
+ */
+const assertNotLastOwner = async (member) => {
+  if (member.role === 'owner' && (await companyModel.countCompanyOwners(member.company_id)) <= 1) {
+    throw new Error('A company needs at least one owner');
+  }
+};
+
+/**
+ * Change a member's company role
+ * @param {number} companyId - Company ID
+ * @param {string} userId - Member user UUID
+ * @param {string} role - New company role
+ * @returns {Promise<object>} { previous, member }
+ */
+const updateMemberRole = async (companyId, userId, role) => {
+  try {
+    if (!COMPANY_ROLES.includes(role)) {
+      throw new Error(`Invalid company role. Supported: ${COMPANY_ROLES.join(', ')}`);
+    }
+
+    const previous = await companyModel.getMembershipByUserId(userId);
+
+    if (!previous || previous.company_id !== companyId) {
+      throw new Error('Member not found');
+    }
+
+    if (role !== 'owner') {
+      await assertNotLastOwner(previous);
+    }
+
+    const member = await companyModel.updateCompanyMemberRole(companyId, userId, role);
+
+    return { previous, member };
+  } catch (error) {
+    logger.error('Error updating company member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a member from a company (their jobs stay with the company)
+ * @param {number} companyId - Company ID
+ * @param {string} userId - Member user UUID
+ * @returns {Promise<object>} Removed membership
+ */
+const removeMember = async (companyId, userId) => {
+  try {
+    const member = await companyModel.getMembershipByUserId(userId);
+
+    if (!member || member.company_id !== companyId) {
+      throw new Error('Member not found');
+    }
+
+    await assertNotLastOwner(member);
+    await companyModel.removeCompanyMember(companyId, userId);
+    await userModel.updateUserProfile(userId, { companyId: null });
+
+    logger.info(`User ${userId} removed from company ${companyId}`);
+    return member;
+  } catch (error) {
+    logger.error('Error removing company member:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createCompanyWorkspace,
+  getWorkspace,
+  inviteMember,
+  getInviteByToken,
+  acceptInvite,
+  revokeInvite,
+  updateMemberRole,
+  removeMember,
+};
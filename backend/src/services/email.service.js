@@ -1,10 +1,41 @@
-const { sendEmail } = require('../config/mailer');
+const { renderEmail } = require('./emailTemplate.service');
+const { queueEmail } = require('./emailOutbox.service');
 const logger = require('../utils/logger');
 
 /**
- * Send notification email to HR for high-scoring candidates
- * @param {object} data - Complete notification data
- * @returns {Promise<object>} Email send result
+ * Email Service - Renders notification emails and puts them in the outbox
+ * Delivery, retries and the delivery log are handled by the outbox (emailOutbox.service.js).
+ */
+
+/**
+ * Render a template and queue it in the outbox
+ * @param {string} key - Email template key
+ * @param {string} to - Recipient
+ * @param {object} variables - Template variables
+ * @param {object} options - { companyId (branding and overrides), idempotencyKey (skip if already queued) }
+ * @returns {Promise<object>} { queued, duplicate, outboxId, status }
+ */
+const queueTemplatedEmail = async (key, to, variables, options = {}) => {
+  const email = await renderEmail(key, variables, { companyId: options.companyId });
+
+  return queueEmail({
+    to,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    fromName: email.fromName,
+    templateKey: key,
+    companyId: options.companyId || null,
+    idempotencyKey: options.idempotencyKey || null,
+  });
+};
+
+/**
+ * Queue the high-score alert to HR
+ * For blind jobs (`data.blind`) the candidate is only named by label, with no contact details or resume link.
+ * @param {object} data - Complete notification data (companyId selects the branding, idempotencyKey prevents duplicates,
+ *   ruleName names the notification rule that matched)
+ * @returns {Promise<object>} Outbox result
  */
 const sendHRNotification = async (data) => {
   try {
@@ -15,188 +46,192 @@ const sendHRNotification = async (data) => {
       return { sent: false, reason: 'HR email not provided' };
     }
 
-    logger.info(`Sending HR notification to: ${hrEmail} for candidate: ${data.candidateName}`);
-
-    const mailOptions = {
-      to: hrEmail,
-      subject: `⭐ High-Scoring Candidate Alert: ${data.candidateName} (Score: ${data.matchScore})`,
-      html: buildHREmailHTML(data),
-      text: buildHREmailText(data),
-    };
-
-    const result = await sendEmail(mailOptions);
-
-    logger.info(`HR notification sent successfully to ${hrEmail}`);
-    return { sent: true, messageId: result.messageId };
+    logger.info(`Queueing HR notification to: ${hrEmail} for candidate: ${data.candidateName}`);
+
+    const result = await queueTemplatedEmail('high_score_alert', hrEmail, {
+      hr_name: data.hrName || '',
+      hr_email: hrEmail,
+      candidate_name: data.candidateName,
+      candidate_email: data.candidateEmail || '',
+      resume_url: data.resumeUrl || '',
+      blind: Boolean(data.blind),
+      job_id: data.jobId,
+      job_title: data.jobTitle,
+      match_score: data.matchScore,
+      key_highlights: data.keyHighlights || [],
+      rule_name: data.ruleName || '',
+    }, { companyId: data.companyId, idempotencyKey: data.idempotencyKey });
+
+    return result;
   } catch (error) {
-    logger.error('Failed to send HR notification:', error.message);
+    logger.error('Failed to queue HR notification:', error.message);
     throw new Error(`Email notification failed: ${error.message}`);
   }
 };
 
 /**
- * Build HTML content for HR notification email
- * @param {object} data - All notification data
- * @returns {string} HTML email content
+ * Queue the application confirmation to the candidate
+ * @param {object} candidateData - Candidate information (companyId selects the branding, idempotencyKey prevents duplicates)
+ * @returns {Promise<object>} Outbox result
  */
-const buildHREmailHTML = (data) => {
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
-    .content { background: #f9f9f9; padding: 20px; border: 1px solid #ddd; border-radius: 0 0 8px 8px; }
-    .score-badge { display: inline-block; background: #10b981; color: white; padding: 10px 20px; border-radius: 20px; font-size: 24px; font-weight: bold; }
-    .section { margin: 20px 0; padding: 15px; background: white; border-radius: 6px; border-left: 4px solid #667eea; }
-    .section-title { font-size: 18px; font-weight: bold; color: #667eea; margin-bottom: 10px; }
-    .skill-tag { display: inline-block; background: #e0e7ff; color: #4338ca; padding: 5px 12px; margin: 4px; border-radius: 4px; font-size: 14px; }
-    .info-row { margin: 8px 0; }
-    .label { font-weight: bold; color: #555; }
-    .footer { margin-top: 20px; padding: 15px; text-align: center; color: #666; font-size: 12px; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1 style="margin: 0;">⭐ High-Scoring Candidate Alert</h1>
-      <p style="margin: 10px 0 0 0;">A candidate has scored above your threshold!</p>
-    </div>
+const sendCandidateConfirmation = async (candidateData) => {
+  try {
+    const email = candidateData.candidateEmail || candidateData.email;
+    const name = candidateData.candidateName || candidateData.name;
     
-    <div class="content">
-      <div style="text-align: center; margin: 20px 0;">
-        <div class="score-badge">Match Score: ${data.matchScore}/100</div>
-      </div>
-
-      <div class="section">
-        <div class="section-title">📋 Candidate Information</div>
-        <div class="info-row"><span class="label">Name:</span> ${data.candidateName}</div>
-        <div class="info-row"><span class="label">Email:</span> ${data.candidateEmail || 'Not provided'}</div>
-        <div class="info-row"><span class="label">Job:</span> ${data.jobTitle} (${data.jobId})</div>
-        <div class="info-row"><span class="label">Resume:</span> <a href="${data.resumeUrl}" style="color: #667eea;">View Resume</a></div>
-      </div>
-
-      ${data.keyHighlights && data.keyHighlights.length > 0 ? `
-      <div class="section">
-        <div class="section-title">🌟 Key Highlights</div>
-        <ul style="margin: 10px 0; padding-left: 20px;">
-          ${data.keyHighlights.map((highlight) => `<li style="margin: 5px 0;">${highlight}</li>`).join('')}
-        </ul>
-      </div>
-      ` : ''}
-
-      <div class="section">
-        <div class="section-title">📞 Next Steps</div>
-        <p>Review the candidate's resume and consider scheduling an interview.</p>
-        <p style="margin-top: 10px;">
-          <a href="mailto:${data.candidateEmail}" style="display: inline-block; background: #667eea; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Contact Candidate</a>
-        </p>
-      </div>
-    </div>
-
-    <div class="footer">
-      <p>This notification was sent to: <strong>${data.hrEmail}</strong></p>
-      <p>This is an automated notification from the ATS Score Engine.</p>
-      <p>Please review the candidate's full resume before making hiring decisions.</p>
-    </div>
-  </div>
-</body>
-</html>
-  `;
+    if (!email) {
+      logger.warn('Candidate email not provided, skipping confirmation');
+      return { sent: false, reason: 'No candidate email' };
+    }
+
+    logger.info(`Queueing confirmation email to candidate: ${email}`);
+
+    const variables = {
+      candidate_name: name,
+      job_title: candidateData.jobTitle,
+    };
+    // Without a company the template falls back to the platform name
+    if (candidateData.companyName) {
+      variables.company_name = candidateData.companyName;
+    }
+
+    return await queueTemplatedEmail('application_received', email, variables, {
+      companyId: candidateData.companyId,
+      idempotencyKey: candidateData.idempotencyKey,
+    });
+  } catch (error) {
+    logger.error('Failed to queue candidate confirmation:', error.message);
+    // Don't throw error - confirmation emails are not critical
+    return { sent: false, error: error.message };
+  }
 };
 
 /**
- * Build text content for HR notification email
- * @param {object} data - All notification data
- * @returns {string} Plain text email content
+ * Queue the digest of new candidates matching a notification rule
+ * @param {object} data - { hrEmail, hrName, companyId, ruleName, period, scope, candidateCount, candidates, moreCount, idempotencyKey }
+ * @returns {Promise<object>} Outbox result
  */
-const buildHREmailText = (data) => {
-  return `
-HIGH-SCORING CANDIDATE ALERT
-============================
-
-Match Score: ${data.matchScore}/100
-
-CANDIDATE INFORMATION
----------------------
-Name: ${data.candidateName}
-Email: ${data.candidateEmail || 'Not provided'}
-Job: ${data.jobTitle} (${data.jobId})
-Resume URL: ${data.resumeUrl}
-
-${data.keyHighlights && data.keyHighlights.length > 0 ? `
-KEY HIGHLIGHTS
---------------
-${data.keyHighlights.map((h, i) => `${i + 1}. ${h}`).join('\n')}
-` : ''}
-
-NEXT STEPS
-----------
-Review the candidate's resume and consider scheduling an interview.
-Contact: ${data.candidateEmail}
-
----
-This is an automated notification from the ATS Score Engine.
-Please review the candidate's full resume before making hiring decisions.
-  `;
+const sendCandidateDigest = async (data) => {
+  try {
+    logger.info(`Queueing ${data.period} candidate digest to: ${data.hrEmail} (${data.candidateCount} candidates)`);
+
+    return await queueTemplatedEmail('candidate_digest', data.hrEmail, {
+      hr_name: data.hrName || '',
+      rule_name: data.ruleName,
+      period: data.period,
+      scope: data.scope,
+      candidate_count: data.candidateCount,
+      candidates: data.candidates,
+      more_count: data.moreCount || 0,
+      dashboard_url: `${process.env.FRONTEND_URL || ''}/hr`,
+    }, { companyId: data.companyId, idempotencyKey: data.idempotencyKey });
+  } catch (error) {
+    logger.error('Failed to queue candidate digest:', error.message);
+    throw new Error(`Email notification failed: ${error.message}`);
+  }
+};
+
+// Pipeline stages with their own candidate email; other stages use stage_changed
+const STAGE_TEMPLATES = {
+  rejected: 'rejection',
+  interview: 'interview_invite',
 };
 
 /**
- * Send confirmation email to candidate
- * @param {object} candidateData - Candidate information
- * @returns {Promise<object>} Email send result
+ * Queue the email telling a candidate their application moved to another pipeline stage
+ * @param {object} data - { candidateEmail, candidateName, jobTitle, companyId, stage, stageLabel, previousStageLabel, message, hrName, hrEmail, idempotencyKey }
+ * @returns {Promise<object>} Outbox result
  */
-const sendCandidateConfirmation = async (candidateData) => {
+const sendApplicationStageEmail = async (data) => {
   try {
-    const email = candidateData.candidateEmail || candidateData.email;
-    const name = candidateData.candidateName || candidateData.name;
-    
-    if (!email) {
-      logger.warn('Candidate email not provided, skipping confirmation');
+    if (!data.candidateEmail) {
+      logger.warn('Candidate email not provided, skipping stage change email');
       return { sent: false, reason: 'No candidate email' };
     }
 
-    logger.info(`Sending confirmation email to candidate: ${email}`);
+    const key = STAGE_TEMPLATES[data.stage] || 'stage_changed';
 
-    const mailOptions = {
-      to: email,
-      subject: 'Application Received - Thank You!',
-      html: `
-        <h2>Thank You for Your Application!</h2>
-        <p>Dear ${name},</p>
-        <p>We have received your application for <strong>${candidateData.jobTitle}</strong> at <strong>${candidateData.companyName}</strong>.</p>
-        <p>Your resume has been successfully processed and will be reviewed by our hiring team.</p>
-        <p>We will contact you if your qualifications match our requirements.</p>
-        <br>
-        <p>Best regards,<br>The Hiring Team</p>
-      `,
-      text: `
-Dear ${name},
+    logger.info(`Queueing ${key} email to candidate: ${data.candidateEmail}`);
 
-We have received your application for ${candidateData.jobTitle} at ${candidateData.companyName}.
+    return await queueTemplatedEmail(key, data.candidateEmail, {
+      candidate_name: data.candidateName,
+      job_title: data.jobTitle,
+      stage: data.stageLabel,
+      previous_stage: data.previousStageLabel || '',
+      message: data.message || '',
+      hr_name: data.hrName || '',
+      hr_email: data.hrEmail || '',
+    }, { companyId: data.companyId, idempotencyKey: data.idempotencyKey });
+  } catch (error) {
+    logger.error('Failed to queue stage change email:', error.message);
+    throw new Error(`Email notification failed: ${error.message}`);
+  }
+};
 
-Your resume has been successfully processed and will be reviewed by our hiring team.
+/**
+ * Queue the email telling an HR applicant whether their account was approved
+ * @param {object} data - { email, name, companyName, approved, reason, idempotencyKey }
+ * @returns {Promise<object>} Outbox result
+ */
+const sendHRRequestDecision = async (data) => {
+  try {
+    const key = data.approved ? 'hr_approved' : 'hr_rejected';
 
-We will contact you if your qualifications match our requirements.
+    logger.info(`Queueing ${key} email to: ${data.email}`);
 
-Best regards,
-The Hiring Team
-      `,
-    };
+    return await queueTemplatedEmail(key, data.email, {
+      name: data.name || data.email,
+      company_name: data.companyName,
+      login_url: `${process.env.FRONTEND_URL || ''}/login`,
+      reason: data.reason || '',
+    }, { idempotencyKey: data.idempotencyKey });
+  } catch (error) {
+    logger.error('Failed to queue HR request decision:', error.message);
+    throw new Error(`Email notification failed: ${error.message}`);
+  }
+};
 
-    const result = await sendEmail(mailOptions);
-    logger.info(`Confirmation email sent to candidate: ${candidateData.email}`);
-    return { sent: true, messageId: result.messageId };
+// Company role names as shown in invitations
+const COMPANY_ROLE_LABELS = {
+  owner: 'Owner',
+  recruiter: 'Recruiter',
+  hiring_manager: 'Hiring Manager',
+  viewer: 'Viewer',
+};
+
+/**
+ * Queue an invitation to join a company workspace
+ * @param {object} data - { email, companyId, companyName, role, inviterName, inviteUrl, expiresAt, idempotencyKey }
+ * @returns {Promise<object>} Outbox result
+ */
+const sendCompanyInvite = async (data) => {
+  try {
+    const roleLabel = COMPANY_ROLE_LABELS[data.role] || data.role;
+    const inviter = data.inviterName || 'A teammate';
+    const expires = new Date(data.expiresAt).toDateString();
+
+    logger.info(`Queueing company invite to: ${data.email} for ${data.companyName}`);
+
+    const result = await queueTemplatedEmail('company_invite', data.email, {
+      company_name: data.companyName,
+      inviter_name: inviter,
+      role: roleLabel,
+      invite_url: data.inviteUrl,
+      expires_on: expires,
+    }, { companyId: data.companyId, idempotencyKey: data.idempotencyKey });
+
+    return result;
   } catch (error) {
-    logger.error('Failed to send candidate confirmation:', error.message);
-    // Don't throw error - confirmation emails are not critical
-    return { sent: false, error: error.message };
+    logger.error('Failed to queue company invite:', error.message);
+    throw new Error(`Email notification failed: ${error.message}`);
   }
 };
 
 module.exports = {
   sendHRNotification,
+  sendCandidateDigest,
   sendCandidateConfirmation,
+  sendApplicationStageEmail,
+  sendHRRequestDecision,
+  sendCompanyInvite,
 };
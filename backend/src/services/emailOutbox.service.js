@@ -0,0 +1,211 @@
+const emailOutboxModel = require('../models/emailOutbox.model');
+const { sendEmail } = require('../config/mailer');
+const { emailQueue, computeBackoffDelay } = require('../utils/queue');
+const logger = require('../utils/logger');
+
+/**
+ * Email Outbox Service - Queueing, delivering and resending outgoing emails
+ *
+ * Emails are stored in `email_outbox` and delivered by `send-email` jobs on the
+ * email queue, which retry with exponential backoff. A recipient the mail server
+ * permanently rejects is marked bounced and not retried.
+ */
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const EMAIL_RETRY_DELAY_MS = parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 30000;
+
+const SEND_JOB_OPTIONS = {
+  attempts: EMAIL_MAX_ATTEMPTS,
+  backoff: { type: 'exponential', delay: EMAIL_RETRY_DELAY_MS },
+};
+
+// Statuses an admin can resend from
+const RESENDABLE_STATUSES = ['failed', 'bounced'];
+
+/**
+ * Whether an SMTP error means the recipient will never accept the email
+ * @param {Error} error - Error from the mailer
+ * @returns {boolean} True for permanent recipient rejections (5xx)
+ */
+const isBounce = (error) => error.code === 'EENVELOPE' && error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Store an email in the outbox and queue its delivery
+ * @param {object} email - { to, subject, html, text, fromName, templateKey, companyId, idempotencyKey }
+ * @returns {Promise<object>} { queued, duplicate, outboxId, status }
+ */
+const queueEmail = async (email) => {
+  if (!email.to) {
+    throw new Error('Email recipient is required');
+  }
+
+  const { email: stored, duplicate } = await emailOutboxModel.insertEmail(email);
+
+  if (duplicate) {
+    logger.info(`Email ${email.idempotencyKey} already in the outbox (${stored.id}, ${stored.status}), not queued again`);
+    return { queued: false, duplicate: true, outboxId: stored.id, status: stored.status };
+  }
+
+  try {
+    await emailQueue.add('send-email', { outboxId: stored.id }, SEND_JOB_OPTIONS);
+  } catch (error) {
+    // Marked failed so admins see it and can resend it
+    await emailOutboxModel.updateEmail(stored.id, { status: 'failed', last_error: `Could not queue delivery: ${error.message}` });
+    throw error;
+  }
+
+  logger.info(`Email ${stored.id} queued for ${email.to}${email.templateKey ? ` (${email.templateKey})` : ''}`);
+
+  return { queued: true, duplicate: false, outboxId: stored.id, status: stored.status };
+};
+
+/**
+ * Deliver an outbox email (one attempt of a send-email job)
+ * Throws on temporary failures so the queue retries with backoff.
+ * @param {number} outboxId - Outbox email ID
+ * @param {object} attempt - { attemptsMade, maxAttempts } of the queue job
+ * @returns {Promise<object>} { outboxId, status, messageId }
+ */
+const deliverEmail = async (outboxId, attempt) => {
+  const email = await emailOutboxModel.getEmailById(outboxId);
+
+  if (!email) {
+    logger.warn(`Outbox email ${outboxId} no longer exists, skipping`);
+    return { outboxId, status: 'missing' };
+  }
+
+  // A retried job whose email was already delivered (or given up on) does nothing
+  if (email.status !== 'queued') {
+    return { outboxId, status: email.status };
+  }
+
+  const attempts = email.attempts + 1;
+
+  try {
+    const info = await sendEmail({
+      to: email.to_email,
+      subject: email.subject,
+      html: email.html_body,
+      text: email.text_body || undefined,
+      fromName: email.from_name || undefined,
+    });
+
+    if ((info.rejected || []).length > 0 && (info.accepted || []).length === 0) {
+      await emailOutboxModel.updateEmail(outboxId, {
+        status: 'bounced',
+        attempts,
+        last_error: `Recipient rejected: ${info.rejected.join(', ')}`,
+        next_attempt_at: null,
+      });
+      logger.warn(`Outbox email ${outboxId} bounced: ${email.to_email} was rejected`);
+      return { outboxId, status: 'bounced' };
+    }
+
+    await emailOutboxModel.updateEmail(outboxId, {
+      status: 'sent',
+      attempts,
+      last_error: null,
+      provider_message_id: info.messageId || null,
+      next_attempt_at: null,
+      sent_at: new Date().toISOString(),
+    });
+
+    return { outboxId, status: 'sent', messageId: info.messageId };
+  } catch (error) {
+    if (isBounce(error)) {
+      await emailOutboxModel.updateEmail(outboxId, {
+        status: 'bounced',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: null,
+      });
+      logger.warn(`Outbox email ${outboxId} bounced: ${error.message}`);
+      return { outboxId, status: 'bounced' };
+    }
+
+    const finalAttempt = attempt.attemptsMade >= attempt.maxAttempts;
+    const retryAt = finalAttempt
+      ? null
+      : new Date(Date.now() + computeBackoffDelay(SEND_JOB_OPTIONS.backoff, attempt.attemptsMade)).toISOString();
+
+    await emailOutboxModel.updateEmail(outboxId, {
+      status: finalAttempt ? 'failed' : 'queued',
+      attempts,
+      last_error: error.message,
+      next_attempt_at: retryAt,
+    });
+
+    logger.warn(`Outbox email ${outboxId} attempt ${attempts} failed${finalAttempt ? ', giving up' : ''}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List outbox emails with counts per status
+ * @param {object} filters - { status, recipient, templateKey, from, to, page, limit }
+ * @returns {Promise<object>} { emails, total, counts }
+ */
+const listEmails = async (filters = {}) => {
+  if (filters.status && !emailOutboxModel.EMAIL_STATUSES.includes(filters.status)) {
+    throw new Error(`Invalid status. Must be one of: ${emailOutboxModel.EMAIL_STATUSES.join(', ')}`);
+  }
+
+  const [result, counts] = await Promise.all([
+    emailOutboxModel.getEmails(filters),
+    emailOutboxModel.getStatusCounts(),
+  ]);
+
+  return { ...result, counts };
+};
+
+/**
+ * Get an outbox email with its bodies
+ * @param {number} outboxId - Outbox email ID
+ * @returns {Promise<object>} Email row
+ */
+const getEmail = async (outboxId) => {
+  const email = await emailOutboxModel.getEmailById(outboxId);
+
+  if (!email) {
+    throw new Error('Email not found');
+  }
+
+  return email;
+};
+
+/**
+ * Queue a failed or bounced email for delivery again
+ * @param {number} outboxId - Outbox email ID
+ * @returns {Promise<object>} { email, previousStatus }
+ */
+const resendEmail = async (outboxId) => {
+  const email = await getEmail(outboxId);
+
+  if (!RESENDABLE_STATUSES.includes(email.status)) {
+    throw new Error(`Only failed or bounced emails can be resent (email is ${email.status})`);
+  }
+
+  // Guarded so two admins resending at once queue a single delivery
+  const updated = await emailOutboxModel.updateEmail(outboxId, {
+    status: 'queued',
+    next_attempt_at: new Date().toISOString(),
+  }, RESENDABLE_STATUSES);
+
+  if (!updated) {
+    throw new Error('The email was resent by someone else. Refresh and try again.');
+  }
+
+  await emailQueue.add('send-email', { outboxId }, SEND_JOB_OPTIONS);
+
+  logger.info(`Outbox email ${outboxId} queued for resending (was ${email.status})`);
+
+  return { email: updated, previousStatus: email.status };
+};
+
+module.exports = {
+  queueEmail,
+  deliverEmail,
+  listEmails,
+  getEmail,
+  resendEmail,
+};
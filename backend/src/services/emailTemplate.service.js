@@ -0,0 +1,327 @@
+const emailTemplateModel = require('../models/emailTemplate.model');
+const companyModel = require('../models/company.model');
+const { queueEmail } = require('./emailOutbox.service');
+const { EMAIL_TEMPLATES, EMAIL_TEMPLATE_KEYS } = require('../utils/emailTemplateDefaults');
+const {
+  renderEmailTemplate,
+  validateEmailTemplate,
+  validateBranding,
+  resolveBranding,
+  renderLayout,
+  htmlToText,
+} = require('../utils/emailTemplate');
+const logger = require('../utils/logger');
+
+/**
+ * Email Template Service - Rendering, editing and previewing email templates
+ *
+ * A template resolves to the company's override, else the platform edit, else the
+ * built-in version. Emails are wrapped in the company's branded layout and sent under
+ * its sender name; the plain-text part is generated from the HTML.
+ */
+
+/**
+ * Get a template definition, rejecting unknown keys and company edits of platform emails
+ * @param {string} key - Template key
+ * @param {number|null} companyId - Company ID when acting for a company
+ * @returns {object} Definition from EMAIL_TEMPLATES
+ */
+const getDefinition = (key, companyId = null) => {
+  const definition = Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, key) ? EMAIL_TEMPLATES[key] : null;
+
+  if (!definition) {
+    throw new Error('Email template not found');
+  }
+  if (companyId && !definition.companyOverride) {
+    throw new Error('This email template is sent by the platform and cannot be changed by a company');
+  }
+
+  return definition;
+};
+
+/**
+ * Pick the version of a template that applies
+ * @param {string} key - Template key
+ * @param {array} rows - Edited template rows for the company and the platform
+ * @param {number|null} companyId - Company ID (null = platform)
+ * @returns {object} { key, subject, html, source, updatedAt } - source is company, platform or default
+ */
+const pickVersion = (key, rows, companyId) => {
+  const matching = rows.filter((row) => row.template_key === key);
+  const companyRow = companyId ? matching.find((row) => row.company_id === companyId) : null;
+  const platformRow = matching.find((row) => !row.company_id);
+  const row = companyRow || platformRow;
+
+  if (!row) {
+    return {
+      key,
+      subject: EMAIL_TEMPLATES[key].subject,
+      html: EMAIL_TEMPLATES[key].html,
+      source: 'default',
+      updatedAt: null,
+    };
+  }
+
+  return {
+    key,
+    subject: row.subject,
+    html: row.html_body,
+    source: companyRow ? 'company' : 'platform',
+    updatedAt: row.updated_at,
+  };
+};
+
+/**
+ * Get the version of a template that applies to a company
+ * Falls back to the built-in version when edited templates cannot be loaded.
+ * @param {string} key - Template key
+ * @param {number|null} companyId - Company ID (null = platform)
+ * @returns {Promise<object>} { key, subject, html, source, updatedAt }
+ */
+const resolveTemplate = async (key, companyId = null) => {
+  const definition = getDefinition(key);
+  const scope = definition.companyOverride ? companyId : null;
+
+  try {
+    return pickVersion(key, await emailTemplateModel.getTemplates(scope, key), scope);
+  } catch (error) {
+    logger.warn(`Could not load email template ${key}, using the built-in version: ${error.message}`);
+    return pickVersion(key, [], null);
+  }
+};
+
+/**
+ * Load the branding of the company an email is sent for
+ * @param {number|null} companyId - Company ID
+ * @returns {Promise<object>} Branding from resolveBranding
+ */
+const loadBranding = async (companyId) => {
+  if (!companyId) {
+    return resolveBranding(null);
+  }
+
+  try {
+    return resolveBranding(await companyModel.getCompanyById(companyId));
+  } catch (error) {
+    logger.warn(`Could not load branding of company ${companyId}, using the default: ${error.message}`);
+    return resolveBranding(null);
+  }
+};
+
+/**
+ * Render an email from a template
+ * @param {string} key - Template key
+ * @param {object} variables - Template variables
+ * @param {object} options - { companyId, template } - template renders an unsaved { subject, html } instead
+ * @returns {Promise<object>} { subject, html, text, fromName, source }
+ */
+const renderEmail = async (key, variables, options = {}) => {
+  const definition = getDefinition(key);
+  const companyId = definition.companyOverride ? options.companyId || null : null;
+  const template = options.template || await resolveTemplate(key, companyId);
+  const branding = await loadBranding(companyId);
+  const values = { company_name: branding.companyName, ...variables };
+
+  const content = renderEmailTemplate(template.html, values);
+
+  return {
+    subject: renderEmailTemplate(template.subject, values, { escape: false }).replace(/\s+/g, ' ').trim(),
+    html: renderLayout(content, branding),
+    text: `${htmlToText(content)}\n\n---\nThis email was sent by ${branding.companyName}.`,
+    fromName: branding.senderName,
+    source: template.source || 'draft',
+  };
+};
+
+/**
+ * List the templates with the version that applies to a company or the platform
+ * @param {number|null} companyId - Company ID (null = platform edits)
+ * @returns {Promise<array>} Templates with their definition and current version
+ */
+const listTemplates = async (companyId = null) => {
+  const rows = await emailTemplateModel.getTemplates(companyId);
+
+  return EMAIL_TEMPLATE_KEYS
+    .filter((key) => !companyId || EMAIL_TEMPLATES[key].companyOverride)
+    .map((key) => {
+      const definition = EMAIL_TEMPLATES[key];
+
+      return {
+        ...pickVersion(key, rows, companyId),
+        name: definition.name,
+        description: definition.description,
+        variables: definition.variables,
+        companyOverride: definition.companyOverride,
+      };
+    });
+};
+
+/**
+ * Save an edited template for the platform or a company
+ * @param {string} key - Template key
+ * @param {object} input - { subject, html }
+ * @param {object} context - { companyId, userId }
+ * @returns {Promise<object>} { template, previous } - the version now used and the one before
+ */
+const saveTemplate = async (key, input, context) => {
+  const definition = getDefinition(key, context.companyId);
+  const { value, error } = validateEmailTemplate(input, Object.keys(definition.variables));
+
+  if (error) {
+    throw new Error(`Invalid email template: ${error}`);
+  }
+
+  const previous = await resolveTemplate(key, context.companyId);
+
+  await emailTemplateModel.saveTemplate({
+    templateKey: key,
+    companyId: context.companyId,
+    subject: value.subject,
+    htmlBody: value.html_body,
+    updatedBy: context.userId,
+  });
+
+  logger.info(`Email template ${key} saved for ${context.companyId ? `company ${context.companyId}` : 'the platform'}`);
+
+  return {
+    template: await resolveTemplate(key, context.companyId),
+    previous,
+  };
+};
+
+/**
+ * Remove the platform edit or company override of a template
+ * @param {string} key - Template key
+ * @param {number|null} companyId - Company ID (null = platform)
+ * @returns {Promise<object>} The version used from now on
+ */
+const resetTemplate = async (key, companyId = null) => {
+  getDefinition(key, companyId);
+
+  const deleted = await emailTemplateModel.deleteTemplate(key, companyId);
+
+  if (!deleted) {
+    throw new Error(`No edited version of ${key} was found`);
+  }
+
+  logger.info(`Email template ${key} reset for ${companyId ? `company ${companyId}` : 'the platform'}`);
+
+  return resolveTemplate(key, companyId);
+};
+
+/**
+ * Render a template with sample data
+ * @param {string} key - Template key
+ * @param {object} input - { subject?, html? (unsaved text; both or neither), variables? (override sample values) }
+ * @param {number|null} companyId - Company ID (null = platform)
+ * @returns {Promise<object>} { subject, html, text, fromName, source }
+ */
+const previewTemplate = async (key, input = {}, companyId = null) => {
+  const definition = getDefinition(key);
+  let template = null;
+
+  if (input.subject !== undefined || input.html !== undefined) {
+    const { value, error } = validateEmailTemplate(input, Object.keys(definition.variables));
+
+    if (error) {
+      throw new Error(`Invalid email template: ${error}`);
+    }
+    template = { subject: value.subject, html: value.html_body, source: 'draft' };
+  }
+
+  // Only known variables can be overridden
+  const overrides = Object.fromEntries(Object.entries(input.variables || {})
+    .filter(([name]) => Object.prototype.hasOwnProperty.call(definition.variables, name)));
+
+  return renderEmail(key, { ...definition.sample, ...overrides }, { companyId, template });
+};
+
+/**
+ * Queue a preview of a template to the requester (through the outbox like every email)
+ * @param {string} key - Template key
+ * @param {object} input - As for previewTemplate
+ * @param {object} context - { companyId, to }
+ * @returns {Promise<object>} { to, subject, outboxId }
+ */
+const sendTestEmail = async (key, input, context) => {
+  if (!context.to) {
+    throw new Error('Your account has no email address to send the test to');
+  }
+
+  const email = await previewTemplate(key, input, context.companyId);
+  const subject = `[Test] ${email.subject}`;
+
+  const result = await queueEmail({
+    to: context.to,
+    subject,
+    html: email.html,
+    text: email.text,
+    fromName: email.fromName,
+    templateKey: key,
+    companyId: context.companyId,
+  });
+
+  logger.info(`Test email ${key} queued for ${context.to}`);
+
+  return { to: context.to, subject, outboxId: result.outboxId };
+};
+
+/**
+ * Get a company's email branding
+ * @param {number} companyId - Company ID
+ * @returns {Promise<object>} { senderName, logoUrl, primaryColor, accentColor, effective }
+ */
+const getBranding = async (companyId) => {
+  const company = await companyModel.getCompanyById(companyId);
+
+  if (!company) {
+    throw new Error('Company not found');
+  }
+
+  return {
+    senderName: company.email_sender_name || null,
+    logoUrl: company.email_logo_url || null,
+    primaryColor: company.email_primary_color || null,
+    accentColor: company.email_accent_color || null,
+    // What emails use, with the defaults filled in
+    effective: resolveBranding(company),
+  };
+};
+
+/**
+ * Update a company's email branding
+ * @param {number} companyId - Company ID
+ * @param {object} input - { senderName?, logoUrl?, primaryColor?, accentColor? } - null resets a field
+ * @returns {Promise<object>} { branding, previous }
+ */
+const updateBranding = async (companyId, input) => {
+  const { value, error } = validateBranding(input);
+
+  if (error) {
+    throw new Error(`Invalid branding: ${error}`);
+  }
+
+  const previous = await getBranding(companyId);
+
+  if (Object.keys(value).length > 0) {
+    await companyModel.updateCompanyBranding(companyId, value);
+    logger.info(`Email branding updated for company ${companyId}`);
+  }
+
+  return {
+    branding: await getBranding(companyId),
+    previous,
+  };
+};
+
+module.exports = {
+  resolveTemplate,
+  renderEmail,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  previewTemplate,
+  sendTestEmail,
+  getBranding,
+  updateBranding,
+};
@@ -0,0 +1,105 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
+
+/**
+ * Gemini provider - Google Generative AI
+ */
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Convert a JSON Schema to Gemini's response schema (which has no additionalProperties)
+ * @param {object} schema - JSON Schema
+ * @returns {object} Gemini response schema
+ */
+const toGeminiSchema = (schema) => {
+  const { properties, items, ...converted } = schema;
+  delete converted.additionalProperties;
+
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (items) {
+    converted.items = toGeminiSchema(items);
+  }
+
+  return converted;
+};
+
+/**
+ * Create a Gemini provider
+ * @param {object} config - { model, apiKey, timeoutMs }
+ * @returns {object} LLM provider
+ */
+const createGeminiProvider = (config = {}) => {
+  const apiKey = config.apiKey || process.env.GEMINI_API_KEY || process.env.LLM_API_KEY;
+  const modelName = config.model || DEFAULT_MODEL;
+
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY must be configured in environment variables');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    /**
+     * Generate a JSON completion
+     * @param {string} prompt - Prompt text
+     * @param {object} options - { schema } - JSON Schema for structured output
+     * @returns {Promise<object>} { text, usage }
+     */
+    async generateJSON(prompt, options = {}) {
+      const generationConfig = { responseMimeType: 'application/json' };
+
+      if (options.schema) {
+        generationConfig.responseSchema = toGeminiSchema(options.schema);
+      }
+
+      const model = genAI.getGenerativeModel(
+        {
+          model: modelName,
+          generationConfig,
+        },
+        { timeout: config.timeoutMs }
+      );
+
+      const result = await model.generateContent(prompt);
+      const response = await result.response;
+      const usage = response.usageMetadata || {};
+
+      return {
+        text: response.text(),
+        usage: {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+        },
+      };
+    },
+
+    /**
+     * List models that support content generation
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels() {
+      const response = await axios.get(
+        `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`,
+        { timeout: config.timeoutMs }
+      );
+
+      return (response.data?.models || [])
+        .filter((model) => model.supportedGenerationMethods?.includes('generateContent'))
+        .map((model) => model.name.split('/').pop()); // models/gemini-pro -> gemini-pro
+    },
+  };
+};
+
+module.exports = {
+  createGeminiProvider,
+  DEFAULT_MODEL,
+};
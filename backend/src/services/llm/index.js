@@ -0,0 +1,75 @@
+const { createGeminiProvider } = require('./gemini.provider');
+const { createOpenAIProvider } = require('./openai.provider');
+const { createMockProvider } = require('./mock.provider');
+const logger = require('../../utils/logger');
+
+/**
+ * LLM provider registry
+ *
+ * Every provider exposes the same interface:
+ *   name                      - provider key
+ *   model                     - model the provider was created for
+ *   generateJSON(prompt, opts) - resolves to { text, usage: { promptTokens, completionTokens, totalTokens } };
+ *                               opts.schema is a JSON Schema the response must follow, passed to the
+ *                               provider's structured-output mode where it has one
+ *   listModels()              - resolves to an array of model names
+ *
+ * The deployment default comes from LLM_PROVIDER / LLM_MODEL / LLM_TIMEOUT_MS and can be
+ * overridden per call (e.g. per job via jobs.llm_provider / jobs.llm_model).
+ */
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Resolve the provider name, defaulting to Gemini
+ * @param {string} name - Requested provider name
+ * @returns {string} Provider key
+ */
+const resolveProviderName = (name) => {
+  return (name || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+};
+
+/**
+ * Check whether a provider name is supported
+ * @param {string} name - Provider name
+ * @returns {boolean} True if supported
+ */
+const isSupportedProvider = (name) => {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(PROVIDERS, name.toLowerCase());
+};
+
+/**
+ * Create an LLM provider
+ * @param {object} overrides - { provider, model, timeoutMs } overriding the deployment defaults
+ * @returns {object} LLM provider
+ */
+const getLLMProvider = (overrides = {}) => {
+  const providerName = resolveProviderName(overrides.provider);
+  const createProvider = PROVIDERS[providerName];
+
+  if (!createProvider) {
+    throw new Error(`Unsupported LLM provider: ${providerName}. Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // LLM_MODEL belongs to the deployment provider and is not carried over to another one
+  const usesDeploymentProvider = providerName === resolveProviderName();
+  const model = overrides.model || (usesDeploymentProvider ? process.env.LLM_MODEL : undefined);
+  const timeoutMs = overrides.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+  const provider = createProvider({ ...overrides, model, timeoutMs });
+  logger.info(`Using LLM provider: ${provider.name} (${provider.model})`);
+
+  return provider;
+};
+
+module.exports = {
+  getLLMProvider,
+  isSupportedProvider,
+  SUPPORTED_PROVIDERS: Object.keys(PROVIDERS),
+};
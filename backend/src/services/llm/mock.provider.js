@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+/**
+ * Mock provider - deterministic offline responses for tests and local development
+ *
+ * The same prompt always produces the same score. Set LLM_MOCK_RESPONSE to a JSON
+ * string to return a fixed response instead.
+ */
+
+const DEFAULT_MODEL = 'mock-ats-v1';
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Build a deterministic scoring response from the prompt
+ * @param {string} prompt - Prompt text
+ * @returns {object} Scoring response
+ */
+const buildMockResponse = (prompt) => {
+  const digest = crypto.createHash('sha256').update(prompt).digest();
+  const matchScore = 40 + (digest[0] % 56); // 40-95
+
+  return {
+    match_score: matchScore,
+    shortlist_probability: Number((matchScore / 100).toFixed(2)),
+    salary_range: {
+      min: 50000 + (digest[1] % 20) * 1000,
+      max: 90000 + (digest[2] % 40) * 1000,
+    },
+    missing_skills: [],
+    strong_skills: [],
+    recommendation: 'Mock scoring result - not produced by a language model',
+    key_highlights: ['Generated by the mock LLM provider'],
+    areas_of_concern: [],
+  };
+};
+
+/**
+ * Create a mock provider
+ * @param {object} config - { model, response }
+ * @returns {object} LLM provider
+ */
+const createMockProvider = (config = {}) => {
+  const modelName = config.model || DEFAULT_MODEL;
+  const fixedResponse = config.response || process.env.LLM_MOCK_RESPONSE || null;
+
+  return {
+    name: 'mock',
+    model: modelName,
+
+    /**
+     * Generate a JSON completion (the schema option is ignored: responses are built to match it)
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<object>} { text, usage }
+     */
+    async generateJSON(prompt) {
+      const text = fixedResponse
+        ? (typeof fixedResponse === 'string' ? fixedResponse : JSON.stringify(fixedResponse))
+        : JSON.stringify(buildMockResponse(prompt));
+
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(text);
+
+      return {
+        text,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens,
+        },
+      };
+    },
+
+    /**
+     * List available models
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels() {
+      return [modelName];
+    },
+  };
+};
+
+module.exports = {
+  createMockProvider,
+  DEFAULT_MODEL,
+};
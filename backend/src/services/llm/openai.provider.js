@@ -0,0 +1,78 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-compatible provider - any server implementing /chat/completions
+ * (OpenAI, llama.cpp server, Ollama, vLLM, LM Studio, ...)
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {object} config - { model, apiKey, baseUrl, timeoutMs }
+ * @returns {object} LLM provider
+ */
+const createOpenAIProvider = (config = {}) => {
+  const baseUrl = (config.baseUrl || process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.LLM_API_KEY;
+  const modelName = config.model || DEFAULT_MODEL;
+
+  // Local servers usually run without authentication
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    model: modelName,
+
+    /**
+     * Generate a JSON completion
+     * Uses json_schema structured output when a schema is given, unless LLM_JSON_SCHEMA=false
+     * (for servers that only support JSON mode).
+     * @param {string} prompt - Prompt text
+     * @param {object} options - { schema } - JSON Schema for structured output
+     * @returns {Promise<object>} { text, usage }
+     */
+    async generateJSON(prompt, options = {}) {
+      const responseFormat = options.schema && process.env.LLM_JSON_SCHEMA !== 'false'
+        ? { type: 'json_schema', json_schema: { name: 'response', strict: true, schema: options.schema } }
+        : { type: 'json_object' };
+
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0,
+          response_format: responseFormat,
+        },
+        { headers, timeout: config.timeoutMs }
+      );
+
+      const usage = response.data?.usage || {};
+
+      return {
+        text: response.data?.choices?.[0]?.message?.content || '',
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+    },
+
+    /**
+     * List models exposed by the server
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels() {
+      const response = await axios.get(`${baseUrl}/models`, { headers, timeout: config.timeoutMs });
+      return (response.data?.data || []).map((model) => model.id);
+    },
+  };
+};
+
+module.exports = {
+  createOpenAIProvider,
+  DEFAULT_MODEL,
+};
@@ -0,0 +1,528 @@
+const axios = require('axios');
+const notificationRuleModel = require('../models/notificationRule.model');
+const jobsModel = require('../models/jobs.model');
+const userModel = require('../models/user.model');
+const companyModel = require('../models/company.model');
+const { sendHRNotification, sendCandidateDigest } = require('./email.service');
+const { toSkillRef, buildResumeSkillMatcher } = require('./ruleScoring.service');
+const { emailQueue } = require('../utils/queue');
+const { COMPANY_PERMISSIONS, canAccessJob } = require('../utils/companyRoles');
+const { DIGEST_INTERVALS_MS, DEFAULT_MIN_SCORE, validateNotificationRule } = require('../utils/notificationRules');
+const { anonymousLabel, collectIdentifiers, redactText } = require('../utils/redaction');
+const { checkOutboundHost, getOutboundRequestOptions } = require('../utils/outboundUrl');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Rule Service - HR notification rules, alerts and digests
+ *
+ * When an application is scored, every active rule of its job (or of all jobs of its
+ * company) whose minimum score and required skills match records a match. Instant rules
+ * send it right away; hourly and daily rules leave it pending for the digest sweep
+ * (workers/notification.worker.js). Jobs no active rule applies to keep the default alert
+ * to the job's HR email at a score of 80 or more.
+ */
+
+// Window of the per-rule daily cap
+const CAP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Candidates listed in a digest email (webhooks receive all of them)
+const DIGEST_MAX_CANDIDATES = 10;
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+const WEBHOOK_JOB_OPTIONS = {
+  attempts: 5,
+  backoff: { type: 'exponential', delay: 30000 },
+};
+
+/**
+ * Get a rule of the requesting user
+ * @param {object} user - Requesting user
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<object>} Rule
+ */
+const getOwnRule = async (user, ruleId) => {
+  const rule = await notificationRuleModel.getRuleById(ruleId);
+
+  // Other users' rules are reported as missing
+  if (!rule || rule.user_id !== user.id) {
+    throw new Error('Notification rule not found');
+  }
+
+  return rule;
+};
+
+/**
+ * Work out which company a rule belongs to
+ * @param {object} user - Requesting user
+ * @param {object|null} membership - The user's company membership
+ * @param {string|null} jobId - Job the rule is limited to (null = all company jobs)
+ * @returns {Promise<object>} { job_id, company_id }
+ */
+const resolveRuleScope = async (user, membership, jobId) => {
+  if (!jobId) {
+    if (!membership) {
+      throw new Error('Rules for all jobs need a company. Pick a job instead.');
+    }
+
+    return { job_id: null, company_id: membership.company_id };
+  }
+
+  const job = await jobsModel.getJobByJobId(jobId);
+
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  if (!canAccessJob(user, membership, job, COMPANY_PERMISSIONS.VIEW)) {
+    throw new Error('You do not have access to this job');
+  }
+
+  return { job_id: job.job_id, company_id: job.company_id || null };
+};
+
+/**
+ * When a digest rule's next digest is due
+ * @param {string} delivery - instant, hourly or daily
+ * @param {Date} from - Start of the period
+ * @returns {string|null} ISO timestamp, null for instant rules
+ */
+const nextDigestAt = (delivery, from = new Date()) => (
+  DIGEST_INTERVALS_MS[delivery] ? new Date(from.getTime() + DIGEST_INTERVALS_MS[delivery]).toISOString() : null
+);
+
+/**
+ * List the user's rules with what they matched in the last 24 hours
+ * @param {object} user - Requesting user
+ * @returns {Promise<array>} Rules with last_24h: { sent, pending, capped }
+ */
+const listRules = async (user) => {
+  const rules = await notificationRuleModel.getRulesByUserId(user.id);
+  const since = new Date(Date.now() - CAP_WINDOW_MS).toISOString();
+  const statuses = await notificationRuleModel.getMatchStatusesSince(rules.map((rule) => rule.id), since);
+
+  return rules.map((rule) => {
+    const last24h = { sent: 0, pending: 0, capped: 0 };
+
+    statuses
+      .filter((match) => match.rule_id === rule.id)
+      .forEach((match) => {
+        last24h[match.status] += 1;
+      });
+
+    return { ...rule, last_24h: last24h };
+  });
+};
+
+/**
+ * Create a notification rule
+ * @param {object} user - Requesting user
+ * @param {object|null} membership - The user's company membership
+ * @param {object} input - Rule fields (see utils/notificationRules.js)
+ * @returns {Promise<object>} Created rule
+ */
+const createRule = async (user, membership, input) => {
+  const { value, error } = validateNotificationRule(input);
+  const hostError = !error && value.webhook_url ? await checkOutboundHost(value.webhook_url, 'webhook_url') : null;
+
+  if (error || hostError) {
+    throw new Error(`Invalid notification rule: ${error || hostError}`);
+  }
+
+  const scope = await resolveRuleScope(user, membership, value.job_id);
+
+  const rule = await notificationRuleModel.createRule({
+    ...value,
+    ...scope,
+    user_id: user.id,
+    next_digest_at: nextDigestAt(value.delivery),
+  });
+
+  logger.info(`Notification rule ${rule.id} created by ${user.email} (${rule.delivery}, score >= ${rule.min_score})`);
+
+  return rule;
+};
+
+/**
+ * Update a notification rule (omitted fields are kept)
+ * @param {object} user - Requesting user
+ * @param {object|null} membership - The user's company membership
+ * @param {number} ruleId - Rule ID
+ * @param {object} input - Rule fields to change
+ * @returns {Promise<object>} { rule, previous }
+ */
+const updateRule = async (user, membership, ruleId, input) => {
+  const existing = await getOwnRule(user, ruleId);
+  const { value, error } = validateNotificationRule(input, existing);
+  const hostError = !error && value.webhook_url && value.webhook_url !== existing.webhook_url
+    ? await checkOutboundHost(value.webhook_url, 'webhook_url')
+    : null;
+
+  if (error || hostError) {
+    throw new Error(`Invalid notification rule: ${error || hostError}`);
+  }
+
+  const updates = { ...value };
+
+  if (value.job_id !== existing.job_id) {
+    Object.assign(updates, await resolveRuleScope(user, membership, value.job_id));
+  }
+
+  if (value.delivery !== existing.delivery) {
+    // Switching to instant sends what is still pending as one last digest
+    updates.next_digest_at = value.delivery === 'instant'
+      ? (existing.next_digest_at ? new Date().toISOString() : null)
+      : nextDigestAt(value.delivery);
+  }
+
+  const rule = await notificationRuleModel.updateRule(existing.id, updates);
+
+  if (!rule) {
+    throw new Error('Notification rule not found');
+  }
+
+  return { rule, previous: existing };
+};
+
+/**
+ * Delete a notification rule
+ * @param {object} user - Requesting user
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<object>} Deleted rule
+ */
+const deleteRule = async (user, ruleId) => {
+  const rule = await getOwnRule(user, ruleId);
+
+  await notificationRuleModel.deleteRule(rule.id);
+
+  return rule;
+};
+
+/**
+ * Describe the candidate as notifications show them
+ * New applications of a blind job are never revealed yet.
+ * @param {object} resume - Application record
+ * @param {object} atsScore - Current score
+ * @param {object} jobPosting - Job record
+ * @param {object} candidate - { candidateName, candidateEmail } from the application
+ * @returns {object} { application_id, name, email, resume_url, key_highlights, blind }
+ */
+const buildCandidateSummary = (resume, atsScore, jobPosting, candidate) => {
+  const identifiers = jobPosting.blind_review ? collectIdentifiers(resume.parsed_data || {}) : null;
+
+  return {
+    application_id: resume.id,
+    name: identifiers ? anonymousLabel(resume.id) : candidate.candidateName,
+    email: identifiers ? null : candidate.candidateEmail || null,
+    resume_url: identifiers ? null : resume.cloudinary_url,
+    key_highlights: identifiers
+      ? (atsScore.key_highlights || []).map((highlight) => redactText(highlight, identifiers))
+      : atsScore.key_highlights || [],
+    blind: Boolean(identifiers),
+  };
+};
+
+/**
+ * Queue a POST of notification candidates to a rule's webhook
+ * @param {object} rule - Rule with webhook_url
+ * @param {object} payload - JSON body
+ * @returns {Promise<object>} Queued job
+ */
+const queueWebhook = (rule, payload) => emailQueue.add('notification-webhook', {
+  ruleId: rule.id,
+  url: rule.webhook_url,
+  payload,
+}, WEBHOOK_JOB_OPTIONS);
+
+/**
+ * Shape a match for webhook payloads
+ * @param {object} match - Rule match
+ * @param {object} job - { job_id, title }
+ * @returns {object} Candidate entry
+ */
+const toWebhookCandidate = (match, job) => ({
+  ...match.candidate,
+  job_id: match.job_id,
+  job_title: job?.title || null,
+  match_score: match.match_score,
+  matched_at: match.created_at,
+});
+
+/**
+ * Send one matched application to an instant rule's channels
+ * @param {object} rule - Instant rule
+ * @param {object} owner - Rule owner's profile
+ * @param {object} jobPosting - Job record
+ * @param {object} match - Rule match
+ * @returns {Promise<void>}
+ */
+const sendInstantAlert = async (rule, owner, jobPosting, match) => {
+  const { candidate } = match;
+
+  if (rule.email_enabled) {
+    await sendHRNotification({
+      hrEmail: owner.email,
+      hrName: owner.full_name,
+      companyId: jobPosting.company_id,
+      idempotencyKey: `high-score-alert:${rule.id}:${match.resume_id}`,
+      ruleName: rule.name,
+      jobId: jobPosting.job_id,
+      jobTitle: jobPosting.title,
+      blind: candidate.blind,
+      candidateName: candidate.name,
+      candidateEmail: candidate.email,
+      matchScore: match.match_score,
+      resumeUrl: candidate.resume_url,
+      keyHighlights: candidate.key_highlights,
+    });
+  }
+
+  if (rule.webhook_url) {
+    await queueWebhook(rule, {
+      event: 'candidate.matched',
+      rule: { id: rule.id, name: rule.name },
+      candidates: [toWebhookCandidate(match, jobPosting)],
+    });
+  }
+};
+
+/**
+ * Whether a rule's owner may still see the job (they may have left the company)
+ * @param {object|null} owner - Owner's profile
+ * @param {object} jobPosting - Job record
+ * @returns {Promise<boolean>} True when allowed
+ */
+const ownerCanSeeJob = async (owner, jobPosting) => {
+  if (!owner || !['hr_approved', 'admin'].includes(owner.role)) {
+    return false;
+  }
+
+  const membership = owner.role === 'admin' ? null : await companyModel.getMembershipByUserId(owner.id);
+
+  return canAccessJob(owner, membership, jobPosting, COMPANY_PERMISSIONS.VIEW);
+};
+
+/**
+ * Notify HR about a scored application according to their notification rules
+ * Safe to call again for the same application: each rule handles an application once,
+ * and alert emails carry idempotency keys.
+ * @param {object} application - { resume, atsScore, jobPosting, candidateName, candidateEmail }
+ * @returns {Promise<object>} { rules, sent, pending, capped, defaultAlert }
+ */
+const dispatchApplicationAlerts = async ({ resume, atsScore, jobPosting, candidateName, candidateEmail }) => {
+  const rules = await notificationRuleModel.getActiveRulesForJob(jobPosting);
+  const candidate = buildCandidateSummary(resume, atsScore, jobPosting, { candidateName, candidateEmail });
+  const result = { rules: rules.length, sent: 0, pending: 0, capped: 0, defaultAlert: false };
+
+  if (rules.length === 0) {
+    if (atsScore.match_score >= DEFAULT_MIN_SCORE) {
+      await sendHRNotification({
+        hrEmail: jobPosting.hr_email,
+        hrName: jobPosting.hr_name,
+        companyId: jobPosting.company_id,
+        idempotencyKey: `high-score-alert:${resume.id}`,
+        jobId: jobPosting.job_id,
+        jobTitle: jobPosting.title,
+        blind: candidate.blind,
+        candidateName: candidate.name,
+        candidateEmail: candidate.email,
+        matchScore: atsScore.match_score,
+        resumeUrl: candidate.resume_url,
+        keyHighlights: candidate.key_highlights,
+      });
+
+      result.defaultAlert = true;
+      logger.info(`HR notification queued for ${jobPosting.hr_email}`);
+    }
+
+    return result;
+  }
+
+  const hasSkill = buildResumeSkillMatcher(resume.parsed_data || {});
+  const capSince = new Date(Date.now() - CAP_WINDOW_MS).toISOString();
+
+  for (const rule of rules) {
+    if (atsScore.match_score < rule.min_score) {
+      continue;
+    }
+
+    const skills = (rule.required_skills || []).map((name) => toSkillRef(name));
+
+    if (!skills.every(hasSkill)) {
+      continue;
+    }
+
+    const owner = await userModel.getUserProfileById(rule.user_id);
+
+    if (!(await ownerCanSeeJob(owner, jobPosting))) {
+      logger.warn(`Notification rule ${rule.id} skipped: its owner can no longer see job ${jobPosting.job_id}`);
+      continue;
+    }
+
+    const capped = Boolean(rule.daily_cap)
+      && (await notificationRuleModel.countUncappedMatchesSince(rule.id, capSince)) >= rule.daily_cap;
+
+    const { match, duplicate } = await notificationRuleModel.insertMatch({
+      rule_id: rule.id,
+      resume_id: resume.id,
+      job_id: jobPosting.job_id,
+      match_score: atsScore.match_score,
+      candidate: { ...candidate, matched_skills: skills.map((skill) => skill.label) },
+      status: capped ? 'capped' : 'pending',
+    });
+
+    if (match.status === 'capped') {
+      result.capped += duplicate ? 0 : 1;
+      continue;
+    }
+
+    if (rule.delivery !== 'instant') {
+      result.pending += duplicate ? 0 : 1;
+      continue;
+    }
+
+    // A pending instant match is an earlier attempt that did not finish
+    if (match.status === 'pending') {
+      await sendInstantAlert(rule, owner, jobPosting, match);
+      await notificationRuleModel.markMatchesSent([match.id]);
+      result.sent += 1;
+    }
+  }
+
+  logger.info(`Notification rules for application ${resume.id}: ${result.sent} sent, ${result.pending} for digests, ${result.capped} capped`);
+
+  return result;
+};
+
+/**
+ * Send a digest rule's pending matches as one email and/or webhook call
+ * The rule's due time is claimed first, so only one worker sends each digest.
+ * @param {object} rule - Rule whose digest is due
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True when a digest was sent
+ */
+const sendDigest = async (rule, now) => {
+  const dueAt = rule.next_digest_at;
+  const claimed = await notificationRuleModel.updateRule(rule.id, {
+    next_digest_at: nextDigestAt(rule.delivery, now),
+    last_digest_at: now.toISOString(),
+  }, dueAt);
+
+  if (!claimed) {
+    return false;
+  }
+
+  const matches = await notificationRuleModel.getPendingMatches(rule.id);
+
+  if (matches.length === 0) {
+    return false;
+  }
+
+  const owner = await userModel.getUserProfileById(rule.user_id);
+
+  if (!owner) {
+    return false;
+  }
+
+  const jobs = new Map();
+  for (const jobId of new Set(matches.map((match) => match.job_id))) {
+    jobs.set(jobId, await jobsModel.getJobByJobId(jobId));
+  }
+
+  const ruleJob = rule.job_id ? jobs.get(rule.job_id) : null;
+  const period = rule.delivery === 'instant' ? 'final' : rule.delivery;
+
+  if (rule.email_enabled) {
+    const candidates = matches.slice(0, DIGEST_MAX_CANDIDATES).map((match) => ({
+      name: match.candidate?.name || anonymousLabel(match.resume_id),
+      job_title: jobs.get(match.job_id)?.title || match.job_id,
+      match_score: match.match_score,
+      url: `${process.env.FRONTEND_URL || ''}/hr/jobs/${match.job_id}/applications`,
+    }));
+
+    await sendCandidateDigest({
+      hrEmail: owner.email,
+      hrName: owner.full_name,
+      companyId: rule.company_id,
+      ruleName: rule.name,
+      period,
+      scope: ruleJob ? ruleJob.title : 'all company jobs',
+      candidateCount: matches.length,
+      candidates,
+      moreCount: matches.length - candidates.length,
+      idempotencyKey: `candidate-digest:${rule.id}:${dueAt}`,
+    });
+  }
+
+  if (rule.webhook_url) {
+    await queueWebhook(rule, {
+      event: 'candidate.digest',
+      rule: { id: rule.id, name: rule.name },
+      period,
+      candidates: matches.map((match) => toWebhookCandidate(match, jobs.get(match.job_id))),
+    });
+  }
+
+  await notificationRuleModel.markMatchesSent(matches.map((match) => match.id));
+
+  logger.info(`Candidate digest for rule ${rule.id} sent to ${owner.email} (${matches.length} candidates)`);
+
+  return true;
+};
+
+/**
+ * Send every digest that is due
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Digests sent
+ */
+const sendDueDigests = async (now = new Date()) => {
+  const rules = await notificationRuleModel.getDueDigestRules(now.toISOString());
+  let sent = 0;
+
+  for (const rule of rules) {
+    try {
+      if (await sendDigest(rule, now)) {
+        sent += 1;
+      }
+    } catch (error) {
+      // Matches stay pending and go out with the rule's next digest
+      logger.error(`Candidate digest for rule ${rule.id} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * POST notification candidates to a rule's webhook (one attempt of a notification-webhook job)
+ * Throws on network errors and non-2xx responses so the queue retries with backoff, and when
+ * the URL or the addresses its host resolves to are not public.
+ * @param {object} data - { ruleId, url, payload }
+ * @returns {Promise<object>} { ruleId, status }
+ */
+const deliverWebhook = async ({ ruleId, url, payload }) => {
+  const rule = await notificationRuleModel.getRuleById(ruleId);
+
+  // Deleted, disabled or pointed elsewhere since the call was queued
+  if (!rule || !rule.is_active || rule.webhook_url !== url) {
+    return { ruleId, status: 'skipped' };
+  }
+
+  const response = await axios.post(url, { ...payload, sent_at: new Date().toISOString() }, {
+    ...getOutboundRequestOptions(url),
+    timeout: WEBHOOK_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  return { ruleId, status: response.status };
+};
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  dispatchApplicationAlerts,
+  sendDueDigests,
+  deliverWebhook,
+};
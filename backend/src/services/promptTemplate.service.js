@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const promptTemplateModel = require('../models/promptTemplate.model');
+const jobsModel = require('../models/jobs.model');
+const atsModel = require('../models/ats.model');
+const companyModel = require('../models/company.model');
+const { calculateATSScore, buildScoringPrompt } = require('./atsScoring.service');
+const { prepareResumeForScoring } = require('./blindReview.service');
+const {
+  DEFAULT_TEMPLATE,
+  buildTemplateVariables,
+  checkTemplateBody,
+  validatePromptTemplate,
+  validateJobPromptTemplates,
+} = require('../utils/promptTemplate');
+const logger = require('../utils/logger');
+
+/**
+ * Prompt Template Service - Versioned LLM scoring prompts, preview and per-job A/B tests
+ *
+ * Versions are immutable: saving a change creates the next version. The active
+ * version scores every job that has no A/B split; a job with a split sends each
+ * application to one of its templates by weight. The pick is derived from the
+ * application ID, so re-scoring an application uses the same variant.
+ */
+
+// Used by the preview when no job or application is given
+const SAMPLE_JOB = {
+  job_id: 'SAMPLE',
+  title: 'Senior Backend Engineer',
+  description: 'Build and operate the APIs behind our hiring platform. You will design services, own their reliability and mentor other engineers.',
+  requirements: '5+ years of backend development. Strong Node.js and PostgreSQL. Experience with queues and cloud deployments.',
+  criteria: {
+    required_skills: [
+      { name: 'Node.js', weight: 5 },
+      { name: 'PostgreSQL', weight: 4 },
+      { name: 'REST APIs', weight: 3 },
+    ],
+    nice_to_have_skills: ['Redis', 'Docker'],
+    min_years_experience: 5,
+    max_years_experience: null,
+    education_level: 'bachelor',
+  },
+  work_mode: 'hybrid',
+  salary_range: null,
+};
+
+const SAMPLE_RESUME = {
+  personalInfo: { name: 'Sample Candidate', email: 'candidate@example.com' },
+  summary: 'Backend engineer focused on APIs and data-heavy services.',
+  totalExperience: 6,
+  skills: { all: ['Node.js', 'Express', 'PostgreSQL', 'Docker', 'AWS', 'REST APIs'] },
+  education: [{ degree: 'Bachelor of Science in Computer Science', institution: 'State University', year: '2017' }],
+  experience: [
+    { title: 'Senior Software Engineer', company: 'Acme Corp', duration: '2021 - Present' },
+    { title: 'Software Engineer', company: 'Globex', duration: '2018 - 2021' },
+  ],
+};
+
+const SAMPLE_COMPANY_VALUES = 'Ownership, clear written communication, and shipping small changes often.';
+
+/**
+ * Get all template versions, newest first
+ * @returns {Promise<array>} Templates
+ */
+const listTemplates = async () => promptTemplateModel.getTemplates();
+
+/**
+ * Get one template version
+ * @param {number} templateId - Template ID
+ * @returns {Promise<object>} Template
+ */
+const getTemplate = async (templateId) => {
+  const template = await promptTemplateModel.getTemplateById(templateId);
+
+  if (!template) {
+    throw new Error('Prompt template not found');
+  }
+
+  return template;
+};
+
+/**
+ * Save a template as the next version
+ * @param {object} input - { name, body, notes, activate }
+ * @param {string} userId - Admin user UUID
+ * @returns {Promise<object>} Created template (active when `activate` was set)
+ */
+const createTemplate = async (input, userId) => {
+  const { value, error } = validatePromptTemplate(input);
+
+  if (error) {
+    throw new Error(`Invalid prompt template: ${error}`);
+  }
+
+  const latestVersion = await promptTemplateModel.getLatestVersion();
+  let template;
+
+  try {
+    template = await promptTemplateModel.createTemplate({
+      ...value,
+      version: latestVersion + 1,
+      createdBy: userId,
+    });
+  } catch (createError) {
+    // Two admins saving at once: the unique version lets only one of them through
+    if (createError.message.includes('duplicate key')) {
+      throw new Error('Another version was saved at the same time, please try again');
+    }
+    throw createError;
+  }
+
+  logger.info(`Prompt template version ${template.version} created by ${userId}`);
+
+  if (input.activate === true) {
+    return promptTemplateModel.activateTemplate(template.id);
+  }
+
+  return template;
+};
+
+/**
+ * Make a template version the active one
+ * @param {number} templateId - Template ID
+ * @returns {Promise<object>} { template, previous } - previous is null when nothing was active
+ */
+const activateTemplate = async (templateId) => {
+  await getTemplate(templateId);
+  const previous = await promptTemplateModel.getActiveTemplate();
+  const template = await promptTemplateModel.activateTemplate(templateId);
+
+  logger.info(`Prompt template version ${template.version} activated`);
+
+  return { template, previous };
+};
+
+/**
+ * Re-activate the version that was active before the current one
+ * @returns {Promise<object>} { template, previous }
+ */
+const rollbackTemplate = async () => {
+  const target = await promptTemplateModel.getPreviouslyActiveTemplate();
+
+  if (!target) {
+    throw new Error('No earlier version to roll back to');
+  }
+
+  return activateTemplate(target.id);
+};
+
+/**
+ * Get a company's values for the {{company_values}} variable
+ * @param {number|null} companyId - Company ID
+ * @returns {Promise<string|null>} Values, or null when not set
+ */
+const getCompanyValues = async (companyId) => {
+  if (!companyId) {
+    return null;
+  }
+
+  const company = await companyModel.getCompanyById(companyId);
+  return company?.culture_values || null;
+};
+
+/**
+ * Pick one of a job's A/B templates for an application
+ * @param {array} assignments - Job assignments with their template
+ * @param {number} resumeId - Application (resume) ID
+ * @returns {object} Assignment
+ */
+const pickAssignment = (assignments, resumeId) => {
+  const totalWeight = assignments.reduce((sum, assignment) => sum + assignment.weight, 0);
+  const digest = crypto.createHash('sha256').update(String(resumeId)).digest();
+  let bucket = digest.readUInt32BE(0) % totalWeight;
+
+  return assignments.find((assignment) => {
+    bucket -= assignment.weight;
+    return bucket < 0;
+  });
+};
+
+/**
+ * Get the prompt template and company values to score an application with
+ * Falls back to the built-in template when templates cannot be loaded, so scoring never stops on it.
+ * @param {object} job - Job record
+ * @param {number} resumeId - Application (resume) ID
+ * @returns {Promise<object>} { template, companyValues } for calculateATSScore
+ */
+const getScoringPromptOptions = async (job, resumeId) => {
+  let template = DEFAULT_TEMPLATE;
+  let companyValues = null;
+
+  try {
+    const assignments = await promptTemplateModel.getJobAssignments(job.job_id);
+
+    template = assignments.length > 0
+      ? pickAssignment(assignments, resumeId).template
+      : (await promptTemplateModel.getActiveTemplate()) || DEFAULT_TEMPLATE;
+  } catch (error) {
+    logger.warn(`Could not load prompt template for job ${job.job_id}, using the built-in template:`, error.message);
+  }
+
+  try {
+    companyValues = await getCompanyValues(job.company_id);
+  } catch (error) {
+    logger.warn(`Could not load company values for job ${job.job_id}:`, error.message);
+  }
+
+  return { template, companyValues };
+};
+
+/**
+ * Render a template against a sample (or real) resume and job, optionally scoring it
+ * @param {object} input - { templateId, body, jobId, applicationId, score }
+ *   body: unsaved template text (takes precedence over templateId); neither = active version
+ *   jobId / applicationId: use a real job / application instead of the sample
+ *   score: also send the prompt to the job's LLM and return the result
+ * @returns {Promise<object>} { template, job, variables, prompt, result }
+ */
+const previewTemplate = async (input = {}) => {
+  let template;
+
+  if (input.body !== undefined) {
+    const bodyError = checkTemplateBody(input.body);
+    if (bodyError) {
+      throw new Error(`Invalid prompt template: ${bodyError}`);
+    }
+    template = { id: null, version: null, name: 'Unsaved template', body: input.body };
+  } else if (input.templateId) {
+    template = await getTemplate(input.templateId);
+  } else {
+    template = (await promptTemplateModel.getActiveTemplate()) || DEFAULT_TEMPLATE;
+  }
+
+  let job = SAMPLE_JOB;
+  let parsedResume = SAMPLE_RESUME;
+  let companyValues = SAMPLE_COMPANY_VALUES;
+
+  if (input.applicationId) {
+    const application = await atsModel.getResumeById(input.applicationId);
+    if (!application || !application.parsed_data) {
+      throw new Error('Application not found or not parsed yet');
+    }
+    job = await jobsModel.getJobByJobId(application.job_id);
+    // Previews show what the LLM would see: redacted for blind jobs (not logged)
+    parsedResume = job ? await prepareResumeForScoring(application, job, { record: false }) : null;
+  } else if (input.jobId) {
+    job = await jobsModel.getJobByJobId(input.jobId);
+  }
+
+  if (!job) {
+    throw new Error('Job not found');
+  }
+  if (job !== SAMPLE_JOB) {
+    companyValues = await getCompanyValues(job.company_id);
+  }
+
+  const result = input.score === true
+    ? await calculateATSScore(
+      parsedResume,
+      job,
+      { provider: job.llm_provider, model: job.llm_model },
+      { template, companyValues },
+      { recordFailures: false }
+    )
+    : null;
+
+  return {
+    template: { id: template.id, version: template.version, name: template.name },
+    job: { jobId: job.job_id, title: job.title },
+    variables: buildTemplateVariables(parsedResume, job, companyValues),
+    prompt: buildScoringPrompt(parsedResume, job, template, companyValues),
+    result,
+  };
+};
+
+/**
+ * Load a job or fail
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} Job record
+ */
+const getJobOrThrow = async (jobId) => {
+  const job = await jobsModel.getJobByJobId(jobId);
+
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  return job;
+};
+
+/**
+ * Get a job's A/B split with how each template has scored so far
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} { jobId, templates, otherScores } - otherScores counts current scores made
+ *   with a template outside the split (e.g. before it was set up)
+ */
+const getJobTemplates = async (jobId) => {
+  await getJobOrThrow(jobId);
+
+  const [assignments, scores] = await Promise.all([
+    promptTemplateModel.getJobAssignments(jobId),
+    promptTemplateModel.getCurrentScoresByTemplate(jobId),
+  ]);
+  const totalWeight = assignments.reduce((sum, assignment) => sum + assignment.weight, 0);
+
+  const templates = assignments.map((assignment) => {
+    const templateScores = scores.filter((score) => score.prompt_template_id === assignment.template_id);
+    const total = templateScores.reduce((sum, score) => sum + score.match_score, 0);
+
+    return {
+      templateId: assignment.template_id,
+      version: assignment.template?.version ?? null,
+      name: assignment.template?.name ?? null,
+      weight: assignment.weight,
+      share: Math.round((assignment.weight / totalWeight) * 100),
+      scored: templateScores.length,
+      averageScore: templateScores.length > 0 ? Math.round(total / templateScores.length) : null,
+      fallbackCount: templateScores.filter((score) => score.is_fallback).length,
+    };
+  });
+
+  const assignedIds = assignments.map((assignment) => assignment.template_id);
+
+  return {
+    jobId,
+    templates,
+    otherScores: scores.filter((score) => !assignedIds.includes(score.prompt_template_id)).length,
+  };
+};
+
+/**
+ * Replace a job's A/B split
+ * @param {string} jobId - Job ID
+ * @param {array} input - [{ templateId, weight }] - an empty array returns the job to the active version
+ * @returns {Promise<object>} { previous, current } - assignments as { template_id, weight }
+ */
+const setJobTemplates = async (jobId, input) => {
+  const { value, error } = validateJobPromptTemplates(input);
+
+  if (error) {
+    throw new Error(`Invalid prompt template split: ${error}`);
+  }
+
+  await getJobOrThrow(jobId);
+
+  if (value.length > 0) {
+    const templates = await promptTemplateModel.getTemplatesByIds(value.map((assignment) => assignment.template_id));
+    if (templates.length !== value.length) {
+      throw new Error('Prompt template not found');
+    }
+  }
+
+  const previous = await promptTemplateModel.getJobAssignments(jobId);
+  const current = await promptTemplateModel.setJobAssignments(jobId, value);
+
+  logger.info(`Prompt template split for job ${jobId} set to ${value.length} template(s)`);
+
+  return {
+    previous: previous.map(({ template_id: templateId, weight }) => ({ template_id: templateId, weight })),
+    current: current.map(({ template_id: templateId, weight }) => ({ template_id: templateId, weight })),
+  };
+};
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  activateTemplate,
+  rollbackTemplate,
+  getScoringPromptOptions,
+  previewTemplate,
+  getJobTemplates,
+  setJobTemplates,
+};
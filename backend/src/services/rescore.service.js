@@ -0,0 +1,123 @@
+const atsModel = require('../models/ats.model');
+const { scoringQueue } = require('../utils/queue');
+const { hashJobText } = require('./atsScoring.service');
+const logger = require('../utils/logger');
+
+/**
+ * Rescore Service - Re-scores every scored application of a job in the background
+ *
+ * A run adds a new score version per application and makes it current; the
+ * previous versions stay in ats_scores for the before/after comparison.
+ * Applications still being processed are not part of a run: the pipeline
+ * scores them against the job as it is when their turn comes.
+ */
+
+const RESCORE_REASONS = {
+  MANUAL: 'manual',
+  JOB_UPDATED: 'job_updated',
+};
+
+/**
+ * Start re-scoring a job's scored applications
+ * Unfinished runs of the same job are superseded; their remaining applications are skipped.
+ * @param {object} job - Job record (as it is now)
+ * @param {object} options - { reason, triggeredBy }
+ * @returns {Promise<object>} Created run
+ */
+const startRescore = async (job, { reason, triggeredBy = null }) => {
+  const currentScores = await atsModel.getCurrentScoreVersions(job.job_id);
+
+  if (currentScores.length === 0) {
+    throw new Error('No scored applications to re-score');
+  }
+
+  await atsModel.supersedeRescoreRuns(job.job_id);
+
+  const run = await atsModel.createRescoreRun({
+    jobId: job.job_id,
+    reason,
+    triggeredBy,
+    jobTextHash: hashJobText(job),
+    total: currentScores.length,
+  });
+
+  for (const score of currentScores) {
+    await scoringQueue.add('rescore-application', { runId: run.id, resumeId: score.resume_id });
+  }
+
+  logger.info(`Re-score run ${run.id} started for job ${job.job_id}: ${currentScores.length} applications (${reason})`);
+
+  return run;
+};
+
+/**
+ * Start a re-score after a job edit, when the edit changed the job text
+ * Failures are logged; the edit itself has already been saved.
+ * @param {object} before - Job record before the edit
+ * @param {object} after - Job record after the edit
+ * @param {string} userId - Editing user UUID
+ * @returns {Promise<object|null>} Created run, or null when nothing was started
+ */
+const rescoreIfJobTextChanged = async (before, after, userId) => {
+  if (process.env.RESCORE_ON_JOB_UPDATE === 'false' || hashJobText(before) === hashJobText(after)) {
+    return null;
+  }
+
+  try {
+    return await startRescore(after, { reason: RESCORE_REASONS.JOB_UPDATED, triggeredBy: userId });
+  } catch (error) {
+    if (!error.message.includes('No scored applications')) {
+      logger.warn(`Could not start re-scoring for job ${after.job_id}:`, error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Get the latest re-score run of a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Run with a `percent` done, or null when the job was never re-scored
+ */
+const getRescoreStatus = async (jobId) => {
+  const run = await atsModel.getLatestRescoreRun(jobId);
+
+  if (!run) {
+    return null;
+  }
+
+  return {
+    ...run,
+    percent: run.total > 0 ? Math.round(((run.completed + run.failed) / run.total) * 100) : 100,
+  };
+};
+
+/**
+ * Add each application's previous score version (for before/after comparison)
+ * @param {string} jobId - Job ID
+ * @param {array} applications - Current score records of the job
+ * @returns {Promise<array>} Applications with `previous_score` (null when never re-scored)
+ */
+const withPreviousScores = async (jobId, applications) => {
+  const previousScores = await atsModel.getPreviousScoresByJobId(jobId);
+  const latestByResume = {};
+
+  // Newest version first, so the first one seen per application is the one just replaced
+  previousScores.forEach((score) => {
+    if (!latestByResume[score.resume_id]) {
+      latestByResume[score.resume_id] = score;
+    }
+  });
+
+  return applications.map((application) => ({
+    ...application,
+    previous_score: latestByResume[application.resume_id] || null,
+  }));
+};
+
+module.exports = {
+  RESCORE_REASONS,
+  startRescore,
+  rescoreIfJobTextChanged,
+  getRescoreStatus,
+  withPreviousScores,
+};
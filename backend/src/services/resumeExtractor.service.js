@@ -0,0 +1,464 @@
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const logger = require('../utils/logger');
+
+/**
+ * Resume Extractor Service - Built-in text extraction and section detection
+ * Produces the raw parser shape consumed by normalizeParserResponse, so local
+ * and remote parsing are interchangeable.
+ */
+
+const SECTION_HEADINGS = {
+  contact: ['contact', 'contact information', 'contact details', 'personal details', 'personal information'],
+  summary: ['summary', 'professional summary', 'profile', 'professional profile', 'objective', 'career objective', 'about me', 'about'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'academic background', 'academics', 'qualifications', 'educational qualifications'],
+  skills: ['skills', 'technical skills', 'core competencies', 'competencies', 'key skills', 'technologies', 'tech stack', 'skills & tools'],
+  certifications: ['certifications', 'certificates', 'licenses', 'licenses & certifications', 'licenses and certifications'],
+  languages: ['languages', 'spoken languages'],
+  projects: ['projects', 'personal projects', 'key projects'],
+};
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_REGEX = /(\+?\d[\d\s().-]{7,}\d)/;
+const LINKEDIN_REGEX = /(https?:\/\/)?(www\.)?linkedin\.com\/[^\s,|]+/i;
+const URL_REGEX = /(https?:\/\/|www\.)[^\s,|]+/i;
+const YEAR_REGEX = /\b(19|20)\d{2}\b/;
+const DATE_TOKEN = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})';
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to)\\s*(${DATE_TOKEN}|present|current|now|today)`, 'i');
+const BULLET_REGEX = /^[•●▪◦\-*–]\s*/;
+const DEGREE_REGEX = /\b(bachelor|master|doctor|ph\.?d|mba|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?a\.?|m\.?\s?a\.?|b\.?\s?tech|m\.?\s?tech|b\.?\s?e\.?|m\.?\s?e\.?|associate|diploma|high school|secondary school)\b/i;
+const INSTITUTION_REGEX = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+/**
+ * Work out the file type from a MIME type or file name
+ * @param {string} mimeTypeOrName - MIME type, file name or URL
+ * @returns {string|null} pdf | docx | doc | txt | null
+ */
+const detectFileType = (mimeTypeOrName = '') => {
+  const value = mimeTypeOrName.toLowerCase();
+
+  if (value.includes('pdf')) return 'pdf';
+  if (value.includes('wordprocessingml') || value.endsWith('.docx')) return 'docx';
+  if (value.includes('msword') || value.endsWith('.doc')) return 'doc';
+  if (value.startsWith('text/') || value.endsWith('.txt')) return 'txt';
+
+  const extension = path.extname(value.split('?')[0]).replace('.', '');
+  return ['pdf', 'docx', 'doc', 'txt'].includes(extension) ? extension : null;
+};
+
+/**
+ * Extract plain text from a resume file
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - pdf | docx | doc | txt
+ * @returns {Promise<string>} Extracted text
+ */
+const extractText = async (buffer, fileType) => {
+  switch (fileType) {
+    case 'pdf': {
+      const result = await pdfParse(buffer);
+      return result.text || '';
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      return result.value || '';
+    }
+    case 'doc': {
+      const document = await new WordExtractor().extract(buffer);
+      return document.getBody() || '';
+    }
+    case 'txt':
+      return buffer.toString('utf8');
+    default:
+      throw new Error(`Unsupported resume file type: ${fileType || 'unknown'}`);
+  }
+};
+
+/**
+ * Match a line against the known section headings
+ * @param {string} line - Resume line
+ * @returns {string|null} Section key or null
+ */
+const detectHeading = (line) => {
+  const normalized = line.toLowerCase().replace(/[:\-–—_|]+$/g, '').replace(/\s+/g, ' ').trim();
+
+  if (!normalized || normalized.split(' ').length > 4) {
+    return null;
+  }
+
+  const match = Object.entries(SECTION_HEADINGS).find(([, headings]) => headings.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Split resume lines into sections keyed by heading
+ * @param {string[]} lines - Non-empty trimmed lines
+ * @returns {object} { header: string[], contact: string[], summary: string[], ... }
+ */
+const splitSections = (lines) => {
+  const sections = { header: [] };
+  let current = 'header';
+
+  lines.forEach((line) => {
+    const heading = detectHeading(line);
+
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+      return;
+    }
+
+    sections[current].push(line);
+  });
+
+  return sections;
+};
+
+/**
+ * Parse a date token ("Jan 2020", "03/2019", "2018", "Present") into a Date
+ * @param {string} token - Date text
+ * @param {boolean} isEnd - Whether the token closes a range (year-only ends map to December)
+ * @returns {Date|null} Parsed date
+ */
+const parseDateToken = (token, isEnd = false) => {
+  const value = token.toLowerCase().trim();
+
+  if (['present', 'current', 'now', 'today'].includes(value)) {
+    return new Date();
+  }
+
+  const monthYear = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (monthYear && MONTHS[monthYear[1].substring(0, 3)] !== undefined) {
+    return new Date(parseInt(monthYear[2], 10), MONTHS[monthYear[1].substring(0, 3)], 1);
+  }
+
+  const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric) {
+    return new Date(parseInt(numeric[2], 10), parseInt(numeric[1], 10) - 1, 1);
+  }
+
+  const year = value.match(/^(\d{4})$/);
+  if (year) {
+    return new Date(parseInt(year[1], 10), isEnd ? 11 : 0, 1);
+  }
+
+  return null;
+};
+
+/**
+ * Whole months between two dates (inclusive of the start month)
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} Months
+ */
+const monthsBetween = (start, end) => {
+  return Math.max((end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth()) + 1, 0);
+};
+
+/**
+ * Strip a leading bullet character
+ * @param {string} line - Resume line
+ * @returns {string} Line without bullet
+ */
+const stripBullet = (line) => line.replace(BULLET_REGEX, '').trim();
+
+/**
+ * Split "Title at Company", "Title | Company" or "Title, Company"
+ * @param {string} text - Header text
+ * @returns {object} { title, company }
+ */
+const splitTitleAndCompany = (text) => {
+  const separators = [/\s+at\s+/i, /\s*\|\s*/, /\s+[-–—]\s+/, /\s*,\s*/, /\s*@\s*/];
+
+  for (const separator of separators) {
+    const parts = text.split(separator).map((part) => part.trim()).filter(Boolean);
+    if (parts.length >= 2) {
+      return { title: parts[0], company: parts.slice(1).join(', ') };
+    }
+  }
+
+  return { title: text.trim(), company: '' };
+};
+
+/**
+ * Parse the experience section into entries
+ * @param {string[]} lines - Section lines
+ * @returns {array} Experience entries in raw parser shape
+ */
+const parseExperience = (lines = []) => {
+  const entries = [];
+  let current = null;
+  let pendingHeader = [];
+
+  lines.forEach((line) => {
+    const rangeMatch = line.match(DATE_RANGE_REGEX);
+    const isBullet = BULLET_REGEX.test(line);
+
+    if (rangeMatch) {
+      const headerText = [...pendingHeader, line.replace(rangeMatch[0], '')]
+        .map((part) => part.replace(/[()|,\s]+$/g, '').trim())
+        .filter(Boolean)
+        .join(' | ');
+      const { title, company } = splitTitleAndCompany(headerText);
+      const start = parseDateToken(rangeMatch[1]);
+      const end = parseDateToken(rangeMatch[2], true);
+      const months = start && end ? monthsBetween(start, end) : 0;
+
+      current = {
+        title,
+        company,
+        start_date: rangeMatch[1],
+        end_date: rangeMatch[2],
+        description: '',
+        duration: months ? `${months} months` : '',
+        months,
+        startDate: start,
+        endDate: end,
+      };
+      entries.push(current);
+      pendingHeader = [];
+      return;
+    }
+
+    if (isBullet || (current && pendingHeader.length === 0 && line.length > 60)) {
+      if (current) {
+        current.description = [current.description, stripBullet(line)].filter(Boolean).join('\n');
+      }
+      return;
+    }
+
+    pendingHeader.push(line);
+    if (pendingHeader.length > 2) {
+      // Treat runs of plain lines as description text of the current role
+      const overflow = pendingHeader.shift();
+      if (current) {
+        current.description = [current.description, overflow].filter(Boolean).join('\n');
+      }
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Total experience in whole years, merging overlapping roles
+ * @param {array} entries - Parsed experience entries
+ * @returns {number} Years of experience
+ */
+const totalExperienceYears = (entries) => {
+  const ranges = entries
+    .filter((entry) => entry.startDate && entry.endDate)
+    .map((entry) => [entry.startDate.getTime(), entry.endDate.getTime()])
+    .sort((a, b) => a[0] - b[0]);
+
+  let totalMonths = 0;
+  let [currentStart, currentEnd] = ranges[0] || [null, null];
+
+  ranges.slice(1).forEach(([start, end]) => {
+    if (start <= currentEnd) {
+      currentEnd = Math.max(currentEnd, end);
+    } else {
+      totalMonths += monthsBetween(new Date(currentStart), new Date(currentEnd));
+      [currentStart, currentEnd] = [start, end];
+    }
+  });
+
+  if (currentStart !== null) {
+    totalMonths += monthsBetween(new Date(currentStart), new Date(currentEnd));
+  }
+
+  return Math.floor(totalMonths / 12);
+};
+
+/**
+ * Parse the education section into entries
+ * @param {string[]} lines - Section lines
+ * @returns {array} Education entries in raw parser shape
+ */
+const parseEducation = (lines = []) => {
+  const entries = [];
+  let current = null;
+
+  lines.forEach((rawLine) => {
+    const line = stripBullet(rawLine);
+    const hasDegree = DEGREE_REGEX.test(line);
+    const hasInstitution = INSTITUTION_REGEX.test(line);
+
+    if (!current || (hasDegree && current.degree) || (hasInstitution && current.institution && !hasDegree)) {
+      if (!hasDegree && !hasInstitution && current) {
+        return;
+      }
+      current = { degree: '', institution: '', graduation_date: '', gpa: '' };
+      entries.push(current);
+    }
+
+    const yearMatches = line.match(new RegExp(YEAR_REGEX.source, 'g'));
+    if (yearMatches) {
+      current.graduation_date = yearMatches[yearMatches.length - 1];
+    }
+
+    const gpaMatch = line.match(/\b(?:gpa|cgpa)[:\s]*([\d.]+(?:\s*\/\s*[\d.]+)?)/i);
+    if (gpaMatch) {
+      current.gpa = gpaMatch[1];
+    }
+
+    const cleaned = line.replace(DATE_RANGE_REGEX, '').replace(YEAR_REGEX, '').replace(/[()|,\s-]+$/g, '').trim();
+
+    if (hasDegree && !current.degree) {
+      const parts = cleaned.split(/\s*[|,–—]\s*|\s+-\s+/);
+      current.degree = parts[0];
+      const institutionPart = parts.slice(1).find((part) => INSTITUTION_REGEX.test(part));
+      if (institutionPart && !current.institution) {
+        current.institution = institutionPart;
+      }
+    } else if (hasInstitution && !current.institution) {
+      current.institution = cleaned;
+    }
+  });
+
+  return entries.filter((entry) => entry.degree || entry.institution);
+};
+
+/**
+ * Split a list section ("JavaScript, React | Node.js") into items
+ * @param {string[]} lines - Section lines
+ * @returns {string[]} Unique items
+ */
+const parseList = (lines = []) => {
+  const items = lines
+    .map((line) => stripBullet(line))
+    // Drop category labels such as "Languages: ..."
+    .map((line) => (line.includes(':') ? line.substring(line.indexOf(':') + 1) : line))
+    .flatMap((line) => line.split(/\s*[,;|•·]\s*|\s{2,}/))
+    .map((item) => item.trim().replace(/\.$/, ''))
+    .filter((item) => item && item.length <= 40);
+
+  return [...new Set(items)];
+};
+
+/**
+ * Detect contact details in the header/contact lines
+ * @param {string[]} lines - Header and contact lines
+ * @param {string} fullText - Entire resume text (fallback for email/phone)
+ * @returns {object} { name, email, phone, location, linkedin, portfolio }
+ */
+const parseContact = (lines, fullText) => {
+  const contactText = lines.join('\n');
+  const email = (contactText.match(EMAIL_REGEX) || fullText.match(EMAIL_REGEX) || [''])[0];
+  const phoneMatch = contactText.match(PHONE_REGEX) || fullText.match(PHONE_REGEX);
+  const linkedin = (contactText.match(LINKEDIN_REGEX) || fullText.match(LINKEDIN_REGEX) || [''])[0];
+  const portfolio = lines
+    .flatMap((line) => line.split(/\s*[|•·]\s*/))
+    .map((part) => (part.match(URL_REGEX) || [''])[0])
+    .find((url) => url && !LINKEDIN_REGEX.test(url)) || '';
+
+  const name = lines.find((line) => {
+    const words = line.split(/\s+/);
+    return words.length >= 2
+      && words.length <= 4
+      && !EMAIL_REGEX.test(line)
+      && !URL_REGEX.test(line)
+      && !/\d/.test(line)
+      && /^[A-Za-z][A-Za-z .'-]+$/.test(line);
+  }) || '';
+
+  const location = lines
+    .flatMap((line) => line.split(/\s*[|•·]\s*/))
+    .find((part) => part !== name
+      && !EMAIL_REGEX.test(part)
+      && !URL_REGEX.test(part)
+      && /^[A-Za-z .'-]+,\s*[A-Za-z .'-]+$/.test(part)) || '';
+
+  return {
+    name,
+    email,
+    phone: phoneMatch ? phoneMatch[1].trim() : '',
+    location,
+    linkedin,
+    portfolio,
+  };
+};
+
+/**
+ * Turn resume text into the raw parser shape
+ * @param {string} text - Plain resume text
+ * @returns {object} Raw parsed data (pass to normalizeParserResponse)
+ */
+const parseResumeText = (text) => {
+  const lines = (text || '')
+    .replace(/\r/g, '')
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const sections = splitSections(lines);
+  const warnings = [];
+
+  ['experience', 'education', 'skills'].forEach((section) => {
+    if (!sections[section] || sections[section].length === 0) {
+      warnings.push(`No ${section} section detected`);
+    }
+  });
+
+  if (lines.length < 5) {
+    warnings.push('Very little text could be extracted; the file may be scanned or image-based');
+  }
+
+  const contact = parseContact([...sections.header, ...(sections.contact || [])], lines.join('\n'));
+  const experienceEntries = parseExperience(sections.experience);
+  const totalYears = totalExperienceYears(experienceEntries);
+
+  if (sections.experience && sections.experience.length > 0 && experienceEntries.length === 0) {
+    warnings.push('Experience section found but no date ranges could be read');
+  }
+
+  if (!contact.email) {
+    warnings.push('No email address detected');
+  }
+
+  return {
+    ...contact,
+    summary: (sections.summary || []).join(' '),
+    experience: experienceEntries.map(({ months, startDate, endDate, ...entry }) => entry),
+    education: parseEducation(sections.education),
+    skills: parseList(sections.skills),
+    certifications: (sections.certifications || []).map(stripBullet),
+    languages: parseList(sections.languages),
+    projects: (sections.projects || []).map(stripBullet),
+    total_experience: totalYears > 0 ? `${totalYears} years` : '',
+    source: 'local',
+    warnings,
+  };
+};
+
+/**
+ * Extract and section a resume file
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileTypeHint - MIME type, file name or URL used to detect the format
+ * @returns {Promise<object>} Raw parsed data (pass to normalizeParserResponse)
+ */
+const extractResume = async (buffer, fileTypeHint) => {
+  const fileType = detectFileType(fileTypeHint);
+  const text = await extractText(buffer, fileType);
+
+  if (!text.trim()) {
+    throw new Error('No text could be extracted from the resume');
+  }
+
+  logger.info(`Extracted ${text.length} characters from ${fileType} resume`);
+
+  return parseResumeText(text);
+};
+
+module.exports = {
+  extractResume,
+  extractText,
+  parseResumeText,
+  detectFileType,
+};
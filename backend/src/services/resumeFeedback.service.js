@@ -0,0 +1,297 @@
+const fs = require('fs').promises;
+const jobsModel = require('../models/jobs.model');
+const candidateModel = require('../models/candidate.model');
+const candidateService = require('./candidate.service');
+const { parseResumeBuffer, extractSkills } = require('./resumeParser.service');
+const { calculateRuleBasedScore } = require('./ruleScoring.service');
+const { isPastClosingDate } = require('../utils/jobLifecycle');
+const logger = require('../utils/logger');
+
+/**
+ * Resume Feedback Service - "Check my resume against this job" for candidates
+ *
+ * Runs the parser and the rule-based scorer without creating an application.
+ * The report is built from candidate-safe fields only: the scorer's shortlist
+ * probability, recommendation, salary range and concerns stay HR-only.
+ */
+
+const RESUME_CHECK_LIMIT = parseInt(process.env.RESUME_CHECK_LIMIT, 10) || 5;
+const RESUME_CHECK_WINDOW_HOURS = parseInt(process.env.RESUME_CHECK_WINDOW_HOURS, 10) || 24;
+
+const MAX_BULLET_SUGGESTIONS = 8;
+const MIN_BULLET_LENGTH = 15;
+const MAX_BULLET_LENGTH = 200;
+
+// Openings that describe a duty instead of an achievement
+const WEAK_OPENING_REGEX = /^(responsible for|in charge of|duties included|tasked with|worked on|involved in|participated in|helped( to)?|assisted( with| in)?)\s+/i;
+const METRIC_REGEX = /\d/;
+const IRREGULAR_PAST_TENSE = {
+  building: 'built',
+  leading: 'led',
+  writing: 'wrote',
+  running: 'ran',
+  making: 'made',
+  teaching: 'taught',
+  selling: 'sold',
+  driving: 'drove',
+  setting: 'set',
+};
+
+const SECTIONS = [
+  {
+    key: 'contact',
+    label: 'Contact details',
+    isPresent: (resume) => Boolean(resume.personalInfo?.email || resume.personalInfo?.phone),
+    tip: 'Put your email address and phone number at the top of the resume.',
+  },
+  {
+    key: 'summary',
+    label: 'Summary',
+    isPresent: (resume) => Boolean(String(resume.summary || '').trim()),
+    tip: 'Add a two or three line summary under a "Summary" heading.',
+  },
+  {
+    key: 'experience',
+    label: 'Experience',
+    isPresent: (resume) => (resume.experience || []).length > 0,
+    tip: 'List your roles under an "Experience" heading with a date range for each (e.g. Jan 2021 - Present).',
+  },
+  {
+    key: 'education',
+    label: 'Education',
+    isPresent: (resume) => (resume.education || []).length > 0,
+    tip: 'Add an "Education" section with your degree and institution.',
+  },
+  {
+    key: 'skills',
+    label: 'Skills',
+    isPresent: (resume) => extractSkills(resume).length > 0,
+    tip: 'Add a "Skills" section listing your tools and technologies, separated by commas.',
+  },
+];
+
+/**
+ * How many resume checks a candidate has left in the current window
+ * @param {string} userId - Candidate user UUID
+ * @returns {Promise<object>} { limit, remaining, resetAt } - resetAt is set once the limit is reached
+ */
+const getCheckAllowance = async (userId) => {
+  const windowMs = RESUME_CHECK_WINDOW_HOURS * 60 * 60 * 1000;
+  const since = new Date(Date.now() - windowMs).toISOString();
+  const checks = await candidateModel.getFeedbackChecksSince(userId, since);
+  const remaining = Math.max(0, RESUME_CHECK_LIMIT - checks.length);
+
+  // A slot frees up when the oldest check that still counts leaves the window
+  const resetAt = remaining === 0
+    ? new Date(new Date(checks[checks.length - RESUME_CHECK_LIMIT].created_at).getTime() + windowMs).toISOString()
+    : null;
+
+  return { limit: RESUME_CHECK_LIMIT, remaining, resetAt };
+};
+
+/**
+ * Take one of the candidate's resume checks before any work is done
+ * The check counts whether or not it then succeeds.
+ * @param {string} userId - Candidate user UUID
+ * @param {string} jobId - Job ID
+ * @param {number|null} libraryResumeId - Library resume being checked (null for uploads)
+ * @returns {Promise<object>} { reserved, limit, remaining, resetAt } - allowance after the reservation
+ */
+const reserveCheck = async (userId, jobId, libraryResumeId) => {
+  const check = await candidateModel.reserveFeedbackCheck({
+    userId,
+    jobId,
+    libraryResumeId,
+    limit: RESUME_CHECK_LIMIT,
+    windowHours: RESUME_CHECK_WINDOW_HOURS,
+  });
+
+  return { reserved: Boolean(check), ...(await getCheckAllowance(userId)) };
+};
+
+/**
+ * Parse the resume to check: a fresh upload or one from the candidate's library
+ * @param {string} userId - Candidate user UUID
+ * @param {object} source - { file, libraryResumeId }
+ * @returns {Promise<object>} Normalized resume data
+ */
+const parseResumeForCheck = async (userId, { file, libraryResumeId }) => {
+  if (libraryResumeId) {
+    const libraryResume = await candidateService.getOwnLibraryResume(userId, libraryResumeId);
+    return candidateService.getLibraryResumeParse(libraryResume);
+  }
+
+  try {
+    const buffer = await fs.readFile(file.path);
+    return await parseResumeBuffer(buffer, file.mimetype || file.originalname);
+  } catch (error) {
+    throw new Error(`Could not read resume: ${error.message}`);
+  }
+};
+
+/**
+ * Problems the parser ran into while reading the resume
+ * @param {object} parsedResume - Normalized resume data
+ * @returns {string[]} Issues
+ */
+const getFormattingIssues = (parsedResume) => {
+  const issues = [...(parsedResume.rawData?.warnings || [])];
+  const undated = (parsedResume.experience || []).filter((exp) => !exp.startDate).length;
+
+  if (undated > 0) {
+    issues.push(`${undated} experience ${undated === 1 ? 'entry has' : 'entries have'} no readable dates`);
+  }
+
+  return issues;
+};
+
+/**
+ * Which standard resume sections were found
+ * @param {object} parsedResume - Normalized resume data
+ * @returns {object[]} { key, label, present, tip }
+ */
+const getSectionCompleteness = (parsedResume) => SECTIONS.map((section) => {
+  const present = section.isPresent(parsedResume);
+  return {
+    key: section.key,
+    label: section.label,
+    present,
+    tip: present ? null : section.tip,
+  };
+});
+
+/**
+ * Turn a leading "-ing" verb into the past tense ("managing" -> "managed")
+ * @param {string} word - Verb ending in -ing
+ * @returns {string|null} Past tense or null when the word is not a gerund
+ */
+const toPastTense = (word) => {
+  const lower = word.toLowerCase();
+
+  if (IRREGULAR_PAST_TENSE[lower]) {
+    return IRREGULAR_PAST_TENSE[lower];
+  }
+  if (!lower.endsWith('ing') || lower.length < 6) {
+    return null;
+  }
+
+  const stem = lower.slice(0, -3);
+  return /[^aeiou]y$/.test(stem) ? `${stem.slice(0, -1)}ied` : `${stem}ed`;
+};
+
+/**
+ * Suggest a rewrite for one experience bullet
+ * @param {string} bullet - Bullet text
+ * @returns {object|null} { original, rewrite, issues } or null when the bullet reads well
+ */
+const reviewBullet = (bullet) => {
+  const issues = [];
+  let rewrite = bullet.replace(/\.$/, '');
+
+  const weakOpening = rewrite.match(WEAK_OPENING_REGEX);
+  if (weakOpening) {
+    issues.push(`Starts with "${weakOpening[0].trim()}", which describes a duty rather than what you achieved`);
+
+    const rest = rewrite.slice(weakOpening[0].length);
+    const [firstWord, ...remainder] = rest.split(' ');
+    const pastTense = toPastTense(firstWord);
+
+    rewrite = pastTense
+      ? [pastTense.charAt(0).toUpperCase() + pastTense.slice(1), ...remainder].join(' ')
+      : `[Built/Led/Improved] ${rest}`;
+  }
+
+  if (!METRIC_REGEX.test(bullet)) {
+    issues.push('No measurable result, such as a percentage, amount or count');
+    rewrite = `${rewrite}, [resulting in a measurable outcome, e.g. "cutting load time by 30%"]`;
+  }
+
+  if (bullet.length > MAX_BULLET_LENGTH) {
+    issues.push(`Longer than ${MAX_BULLET_LENGTH} characters; split it or keep it to one or two lines`);
+  }
+
+  return issues.length > 0 ? { original: bullet, rewrite, issues } : null;
+};
+
+/**
+ * Suggested rewrites for the experience bullets that need them most
+ * @param {object} parsedResume - Normalized resume data
+ * @returns {object[]} { role, original, rewrite, issues }
+ */
+const suggestBulletRewrites = (parsedResume) => {
+  const suggestions = [];
+
+  (parsedResume.experience || []).forEach((exp) => {
+    const role = [exp.title, exp.company].filter(Boolean).join(' at ') || null;
+
+    String(exp.description || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line.length >= MIN_BULLET_LENGTH)
+      .forEach((line) => {
+        const review = reviewBullet(line);
+        if (review) {
+          suggestions.push({ role, ...review });
+        }
+      });
+  });
+
+  // Weak openings first: they have a concrete rewrite
+  return suggestions
+    .sort((a, b) => Number(WEAK_OPENING_REGEX.test(b.original)) - Number(WEAK_OPENING_REGEX.test(a.original)))
+    .slice(0, MAX_BULLET_SUGGESTIONS);
+};
+
+/**
+ * Check a resume against a job without applying
+ * The caller reserves the check first (reserveCheck).
+ * @param {string} userId - Candidate user UUID
+ * @param {string} jobId - Job ID
+ * @param {object} source - { file, libraryResumeId } - exactly one is set
+ * @returns {Promise<object>} Candidate-safe feedback report
+ */
+const checkResume = async (userId, jobId, source) => {
+  const job = await jobsModel.getJobByJobId(jobId);
+
+  if (!job || job.status !== 'active' || isPastClosingDate(job)) {
+    throw new Error('Job not found or no longer accepting applications');
+  }
+
+  const parsedResume = await parseResumeForCheck(userId, source);
+
+  // Deterministic scoring keeps repeated checks consistent and spends no LLM calls
+  const score = calculateRuleBasedScore(parsedResume, job);
+  const { required_skills: requiredSkills, preferred_skills: preferredSkills } = score.score_breakdown.components;
+  const totalKeywords = score.missing_skills.length + score.strong_skills.length;
+  const sections = getSectionCompleteness(parsedResume);
+
+  logger.info(`Resume check for job ${jobId} by candidate ${userId}`);
+
+  return {
+    jobId: job.job_id,
+    jobTitle: job.title,
+    keywordCoverage: {
+      matched: score.strong_skills.length,
+      total: totalKeywords,
+      percent: totalKeywords > 0 ? Math.round((score.strong_skills.length / totalKeywords) * 100) : null,
+    },
+    matchedKeywords: score.strong_skills,
+    missingKeywords: {
+      required: requiredSkills?.missing || [],
+      niceToHave: preferredSkills?.missing || [],
+    },
+    formattingIssues: getFormattingIssues(parsedResume),
+    sections,
+    sectionCompleteness: Math.round((sections.filter((section) => section.present).length / sections.length) * 100),
+    bulletSuggestions: suggestBulletRewrites(parsedResume),
+    checkedAt: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  RESUME_CHECK_LIMIT,
+  RESUME_CHECK_WINDOW_HOURS,
+  getCheckAllowance,
+  reserveCheck,
+  checkResume,
+};
@@ -1,12 +1,56 @@
 const axios = require('axios');
+const { extractResume } = require('./resumeExtractor.service');
 const logger = require('../utils/logger');
 
+/**
+ * Resolve parsing order from configuration
+ * RESUME_PARSER_MODE picks the primary parser (local | remote). It defaults to
+ * remote when PARSER_ENDPOINT/PARSER_API_KEY are set, local otherwise.
+ * RESUME_PARSER_FALLBACK=false disables falling back to the other parser.
+ * @returns {string[]} Parsers to try, in order
+ */
+const getParserOrder = () => {
+  const remoteConfigured = Boolean(process.env.PARSER_API_KEY && process.env.PARSER_ENDPOINT);
+  const mode = (process.env.RESUME_PARSER_MODE || (remoteConfigured ? 'remote' : 'local')).toLowerCase();
+  const fallbackEnabled = process.env.RESUME_PARSER_FALLBACK !== 'false';
+
+  const order = mode === 'remote' ? ['remote', 'local'] : ['local', 'remote'];
+  return fallbackEnabled ? order : order.slice(0, 1);
+};
+
+/**
+ * Parse resume with the configured parser, falling back to the other one on failure
+ * @param {string} resumeUrl - URL of the resume to parse
+ * @param {object} options - { fileName, mimeType } hints for local extraction
+ * @returns {Promise<object>} Parsed resume data
+ */
+const parseResume = async (resumeUrl, options = {}) => {
+  const parsers = {
+    remote: () => parseResumeRemote(resumeUrl),
+    local: () => parseResumeLocal(resumeUrl, options),
+  };
+
+  const order = getParserOrder();
+  let lastError = null;
+
+  for (const parserName of order) {
+    try {
+      return await parsers[parserName]();
+    } catch (error) {
+      lastError = error;
+      logger.warn(`${parserName} resume parser failed: ${error.message}`);
+    }
+  }
+
+  throw lastError;
+};
+
 /**
  * Parse resume using external Resume Parser API
  * @param {string} resumeUrl - URL of the resume to parse
  * @returns {Promise<object>} Parsed resume data
  */
-const parseResume = async (resumeUrl) => {
+const parseResumeRemote = async (resumeUrl) => {
   try {
     const apiKey = process.env.PARSER_API_KEY;
     const endpoint = process.env.PARSER_ENDPOINT;
@@ -52,6 +96,40 @@ const parseResume = async (resumeUrl) => {
   }
 };
 
+/**
+ * Parse resume with the built-in extractor
+ * @param {string} resumeUrl - URL of the stored resume
+ * @param {object} options - { fileName, mimeType } hints for format detection
+ * @returns {Promise<object>} Parsed resume data
+ */
+const parseResumeLocal = async (resumeUrl, options = {}) => {
+  try {
+    logger.info(`Parsing resume locally from URL: ${resumeUrl}`);
+
+    const response = await axios.get(resumeUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000, // 30 second timeout
+    });
+
+    return await parseResumeBuffer(Buffer.from(response.data), options.mimeType || options.fileName || resumeUrl);
+  } catch (error) {
+    logger.error('Local resume parsing failed:', error.message);
+    throw new Error(`Local resume parsing failed: ${error.message}`);
+  }
+};
+
+/**
+ * Parse an in-memory resume file with the built-in extractor
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileTypeHint - MIME type, file name or URL
+ * @returns {Promise<object>} Parsed resume data
+ */
+const parseResumeBuffer = async (buffer, fileTypeHint) => {
+  const rawData = await extractResume(buffer, fileTypeHint);
+  logger.info('Resume parsed locally');
+  return normalizeParserResponse(rawData);
+};
+
 /**
  * Normalize parser response to standard format
  * Different parser APIs may return different structures
@@ -124,7 +202,7 @@ const extractSkills = (parsedResume) => {
  */
 const calculateExperience = (parsedResume) => {
   if (parsedResume.totalExperience) {
-    const match = parsedResume.totalExperience.match(/(\d+)/);
+    const match = String(parsedResume.totalExperience).match(/(\d+)/);
     if (match) {
       return parseInt(match[1], 10);
     }
@@ -148,6 +226,9 @@ const calculateExperience = (parsedResume) => {
 
 module.exports = {
   parseResume,
+  parseResumeRemote,
+  parseResumeLocal,
+  parseResumeBuffer,
   normalizeParserResponse,
   extractSkills,
   calculateExperience,
@@ -0,0 +1,409 @@
+const { findSkills, normalizeSkill, getSkillLabel } = require('../utils/skillsTaxonomy');
+const { calculateExperience } = require('./resumeParser.service');
+
+/**
+ * Rule-based ATS scoring
+ *
+ * Offline, deterministic scoring used when the LLM is unavailable. The same resume and
+ * job always produce the same result. The score is a weighted average of four components;
+ * components the job does not specify (e.g. no education requirement) are left out and
+ * their weight is shared by the others.
+ *
+ * Structured job criteria (`jobs.criteria`) take precedence; the free-text description
+ * and requirements are only mined for what the criteria leave unset.
+ */
+
+const SCORING_VERSION = 1;
+
+const COMPONENT_WEIGHTS = {
+  required_skills: 50,
+  preferred_skills: 15,
+  experience: 20,
+  education: 15,
+};
+
+// Lines containing these markers list nice-to-have skills
+const PREFERRED_MARKERS = /\b(nice[\s-]to[\s-]have|preferred|preferably|bonus|a plus|is a plus|desirable|optional|good to have|familiarity with|exposure to)\b/i;
+
+// Lines containing these markers list required skills, even in the description
+const REQUIRED_MARKERS = /\b(must|required|requires?|mandatory|essential)\b/i;
+
+// Section headings that switch between required and nice-to-have lists
+const PREFERRED_HEADING = /^\s*(nice[\s-]to[\s-]haves?|preferred( qualifications| skills)?|bonus( points)?|good to have|desirable)\s*:?\s*$/i;
+const REQUIRED_HEADING = /^\s*(requirements|required( qualifications| skills)?|must[\s-]haves?|qualifications|what you('ll)? need|minimum qualifications)\s*:?\s*$/i;
+
+const EDUCATION_LEVELS = [
+  { level: 1, key: 'high_school', label: 'High School', pattern: /\b(high school|secondary school|ged)\b/i },
+  { level: 2, key: 'associate', label: 'Associate Degree', pattern: /\b(associate'?s?( degree)?|diploma)\b/i },
+  { level: 3, key: 'bachelor', label: "Bachelor's Degree", pattern: /\b(bachelor'?s?|b\.?\s?s\.?c?|b\.?\s?a|b\.?\s?tech|b\.?\s?e|undergraduate degree)\b/i },
+  { level: 4, key: 'master', label: "Master's Degree", pattern: /\b(master'?s?|m\.?\s?s\.?c?|m\.?\s?a|m\.?\s?tech|mba|m\.?\s?eng)\b/i },
+  { level: 5, key: 'doctorate', label: 'Doctorate', pattern: /\b(ph\.?\s?d|doctorate|doctoral)\b/i },
+];
+
+/**
+ * Build a skill reference; skills outside the taxonomy are matched by name
+ * @param {string} name - Skill name or synonym
+ * @param {number} weight - Relative importance
+ * @returns {object} { key, label, weight }
+ */
+const toSkillRef = (name, weight = 1) => {
+  const key = normalizeSkill(name);
+
+  return key
+    ? { key, label: getSkillLabel(key), weight }
+    : { key: `custom:${name.toLowerCase()}`, label: name, weight };
+};
+
+/**
+ * Split job text into required and nice-to-have skills
+ * @param {object} job - { description, requirements, criteria }
+ * @returns {object} { required: object[], preferred: object[] } skill references
+ */
+const extractJobSkills = (job) => {
+  const criteria = job.criteria || {};
+
+  if ((criteria.required_skills || []).length > 0 || (criteria.nice_to_have_skills || []).length > 0) {
+    const required = (criteria.required_skills || []).map((skill) => toSkillRef(skill.name, skill.weight));
+    const requiredKeys = new Set(required.map((skill) => skill.key));
+
+    return {
+      required,
+      preferred: (criteria.nice_to_have_skills || [])
+        .map((name) => toSkillRef(name))
+        .filter((skill) => !requiredKeys.has(skill.key)),
+    };
+  }
+
+  const required = new Set();
+  const preferred = new Set();
+  const requirementsText = job.requirements || '';
+
+  // Requirements are authoritative; when they are set, the description only adds skills as
+  // nice-to-have unless a required section or explicit wording ("must", "required") says otherwise
+  [requirementsText, job.description || ''].forEach((text, index) => {
+    const preferredByDefault = index === 1 && requirementsText.trim().length > 0;
+    let section = null;
+
+    text.split(/\r?\n|(?<=[.;])\s+/).forEach((line) => {
+      if (PREFERRED_HEADING.test(line)) {
+        section = 'preferred';
+        return;
+      }
+      if (REQUIRED_HEADING.test(line)) {
+        section = 'required';
+        return;
+      }
+
+      let isPreferred = preferredByDefault;
+      if (section === 'preferred' || PREFERRED_MARKERS.test(line)) {
+        isPreferred = true;
+      } else if (section === 'required' || REQUIRED_MARKERS.test(line)) {
+        isPreferred = false;
+      }
+
+      findSkills(line).forEach((skill) => {
+        (isPreferred ? preferred : required).add(skill);
+      });
+    });
+  });
+
+  required.forEach((skill) => preferred.delete(skill));
+
+  const toRefs = (keys) => [...keys].sort().map((key) => ({ key, label: getSkillLabel(key), weight: 1 }));
+
+  return {
+    required: toRefs(required),
+    preferred: toRefs(preferred),
+  };
+};
+
+/**
+ * Flatten the resume into searchable text
+ * @param {object} parsedResume - Normalized resume data
+ * @returns {string} Resume text
+ */
+const buildResumeText = (parsedResume) => {
+  const toText = (value) => {
+    if (!value) return '';
+    if (Array.isArray(value)) return value.map(toText).join('\n');
+    if (typeof value === 'object') return Object.values(value).map(toText).join('\n');
+    return String(value);
+  };
+
+  return [
+    toText(parsedResume.skills),
+    toText(parsedResume.summary),
+    toText(parsedResume.certifications),
+    toText((parsedResume.experience || []).map((exp) => [exp.title, exp.description])),
+  ].join('\n');
+};
+
+/**
+ * Build a matcher for the skills a resume mentions
+ * @param {object} parsedResume - Normalized resume data
+ * @returns {function} (skillRef) => boolean
+ */
+const buildResumeSkillMatcher = (parsedResume) => {
+  const text = buildResumeText(parsedResume);
+  const taxonomySkills = new Set(findSkills(text));
+  const lowerText = text.toLowerCase();
+
+  return (skill) => {
+    if (!skill.key.startsWith('custom:')) {
+      return taxonomySkills.has(skill.key);
+    }
+
+    const name = skill.label.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![a-z0-9])${name}(?![a-z0-9])`).test(lowerText);
+  };
+};
+
+/**
+ * Minimum years of experience required by the job
+ * @param {object} job - { description, requirements, criteria }
+ * @returns {number|null} Years or null when not specified
+ */
+const extractRequiredYears = (job) => {
+  const minYears = job.criteria?.min_years_experience;
+
+  if (minYears !== null && minYears !== undefined) {
+    return minYears;
+  }
+
+  const text = `${job.requirements || ''}\n${job.description || ''}`;
+  const match = text.match(/(\d{1,2})\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?)\b(?:[^.\n]{0,40}?\bexperience\b)?/i);
+
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Lowest education level the job asks for
+ * @param {object} job - { description, requirements, criteria }
+ * @returns {object|null} Education level or null when not specified
+ */
+const extractRequiredEducation = (job) => {
+  if (job.criteria?.education_level) {
+    return EDUCATION_LEVELS.find(({ key }) => key === job.criteria.education_level) || null;
+  }
+
+  const text = `${job.requirements || ''}\n${job.description || ''}`;
+  const degreeLines = text.split(/\r?\n|(?<=[.;])\s+/).filter((line) => /\b(degree|diploma|bachelor|master|ph\.?\s?d|doctorate|graduate)\b/i.test(line));
+
+  const levels = EDUCATION_LEVELS.filter(({ pattern }) => degreeLines.some((line) => pattern.test(line)));
+  return levels.length > 0 ? levels[0] : null;
+};
+
+/**
+ * Highest education level on the resume
+ * @param {object} parsedResume - Normalized resume data
+ * @returns {object|null} Education level or null when unknown
+ */
+const getCandidateEducation = (parsedResume) => {
+  const degrees = (parsedResume.education || []).map((edu) => `${edu.degree || ''} ${edu.institution || ''}`);
+  const levels = EDUCATION_LEVELS.filter(({ pattern }) => degrees.some((degree) => pattern.test(degree)));
+  return levels.length > 0 ? levels[levels.length - 1] : null;
+};
+
+/**
+ * Parse a salary range such as "$80,000 - $120,000" or "80k-120k"
+ * @param {string} salaryText - Job salary range
+ * @returns {object} { min, max } (0 when unknown)
+ */
+const parseSalaryRange = (salaryText) => {
+  const amounts = [...String(salaryText || '').matchAll(/(\d+(?:[.,]\d+)*)\s*(k)?/gi)]
+    .map(([, amount, thousands]) => {
+      const value = parseFloat(amount.replace(/,/g, ''));
+      return thousands ? value * 1000 : value;
+    })
+    .filter((value) => value >= 1000);
+
+  if (amounts.length === 0) {
+    return { min: 0, max: 0 };
+  }
+
+  return {
+    min: Math.round(Math.min(...amounts)),
+    max: Math.round(Math.max(...amounts)),
+  };
+};
+
+/**
+ * Score weighted skill coverage
+ * @param {object[]} jobSkills - Skill references the job asks for
+ * @param {function} hasSkill - Resume skill matcher
+ * @returns {object|null} Component result or null when the job lists none
+ */
+const scoreSkills = (jobSkills, hasSkill) => {
+  if (jobSkills.length === 0) {
+    return null;
+  }
+
+  const matched = jobSkills.filter(hasSkill);
+  const missing = jobSkills.filter((skill) => !hasSkill(skill));
+  const totalWeight = jobSkills.reduce((sum, skill) => sum + skill.weight, 0);
+  const matchedWeight = matched.reduce((sum, skill) => sum + skill.weight, 0);
+
+  return {
+    score: matchedWeight / totalWeight,
+    matched: matched.map((skill) => skill.label),
+    missing: missing.map((skill) => skill.label),
+  };
+};
+
+/**
+ * Score experience against the required years
+ * Candidates above the maximum keep full credit; the excess is reported as a concern.
+ * @param {number|null} requiredYears - Minimum years required by the job
+ * @param {number|null} maxYears - Maximum years wanted by the job
+ * @param {number} candidateYears - Candidate's years of experience
+ * @returns {object|null} Component result or null when the job does not specify
+ */
+const scoreExperience = (requiredYears, maxYears, candidateYears) => {
+  if (!requiredYears && !maxYears) {
+    return null;
+  }
+
+  return {
+    score: requiredYears ? Math.min(candidateYears / requiredYears, 1) : 1,
+    required_years: requiredYears || 0,
+    max_years: maxYears || null,
+    candidate_years: candidateYears,
+  };
+};
+
+/**
+ * Score education level; one level below the requirement earns half credit
+ * @param {object|null} requiredLevel - Level required by the job
+ * @param {object|null} candidateLevel - Candidate's highest level
+ * @returns {object|null} Component result or null when the job does not specify
+ */
+const scoreEducation = (requiredLevel, candidateLevel) => {
+  if (!requiredLevel) {
+    return null;
+  }
+
+  const gap = requiredLevel.level - (candidateLevel?.level || 0);
+
+  return {
+    score: gap <= 0 ? 1 : gap === 1 ? 0.5 : 0,
+    required_level: requiredLevel.label,
+    candidate_level: candidateLevel?.label || null,
+  };
+};
+
+/**
+ * Recommendation text for a score
+ * @param {number} matchScore - Overall score (0-100)
+ * @returns {string} Recommendation
+ */
+const buildRecommendation = (matchScore) => {
+  if (matchScore >= 80) return 'Strong match - recommend moving to interview';
+  if (matchScore >= 60) return 'Good match - recommend HR review';
+  if (matchScore >= 40) return 'Partial match - review skill gaps before proceeding';
+  return 'Weak match - candidate does not meet most requirements';
+};
+
+/**
+ * Score a resume against a job with deterministic rules
+ * @param {object} parsedResume - Normalized resume data
+ * @param {object} job - Job record ({ description, requirements, criteria, salary_range })
+ * @returns {object} ATS scoring result, including `score_breakdown`
+ */
+const calculateRuleBasedScore = (parsedResume, job) => {
+  const jobSkills = extractJobSkills(job);
+  const hasSkill = buildResumeSkillMatcher(parsedResume);
+  const candidateYears = calculateExperience(parsedResume);
+  const candidateEducation = getCandidateEducation(parsedResume);
+
+  const components = {
+    required_skills: scoreSkills(jobSkills.required, hasSkill),
+    preferred_skills: scoreSkills(jobSkills.preferred, hasSkill),
+    experience: scoreExperience(extractRequiredYears(job), job.criteria?.max_years_experience, candidateYears),
+    education: scoreEducation(extractRequiredEducation(job), candidateEducation),
+  };
+
+  // Only components the job specifies take part in the weighted average
+  const applicable = Object.keys(components).filter((name) => components[name]);
+  const totalWeight = applicable.reduce((sum, name) => sum + COMPONENT_WEIGHTS[name], 0);
+
+  const breakdown = {};
+  Object.entries(components).forEach(([name, result]) => {
+    breakdown[name] = result
+      ? {
+        ...result,
+        score: Math.round(result.score * 100),
+        weight: Math.round((COMPONENT_WEIGHTS[name] / totalWeight) * 100),
+      }
+      : null;
+  });
+
+  const matchScore = totalWeight > 0
+    ? Math.round(applicable.reduce((sum, name) => sum + components[name].score * COMPONENT_WEIGHTS[name], 0) / totalWeight * 100)
+    : 0;
+
+  const keyHighlights = [];
+  const areasOfConcern = [];
+
+  if (components.required_skills) {
+    const { matched, missing } = components.required_skills;
+    keyHighlights.push(`Matches ${matched.length} of ${jobSkills.required.length} required skills`);
+    if (missing.length > 0) {
+      areasOfConcern.push(`Missing required skills: ${missing.join(', ')}`);
+    }
+  }
+
+  if (components.preferred_skills?.matched.length > 0) {
+    keyHighlights.push(`Nice-to-have skills: ${components.preferred_skills.matched.join(', ')}`);
+  }
+
+  if (components.experience) {
+    const { required_years: minYears, max_years: maxYears } = components.experience;
+    const expected = maxYears ? `${minYears}-${maxYears} years wanted` : `${minYears}+ required`;
+    const line = `${candidateYears} years of experience (${expected})`;
+    const withinRange = components.experience.score >= 1 && (!maxYears || candidateYears <= maxYears);
+    (withinRange ? keyHighlights : areasOfConcern).push(line);
+  }
+
+  if (components.education) {
+    const line = `Education: ${candidateEducation?.label || 'not listed'} (${components.education.required_level} required)`;
+    (components.education.score >= 1 ? keyHighlights : areasOfConcern).push(line);
+  }
+
+  if (totalWeight === 0) {
+    areasOfConcern.push('Job posting lists no recognizable skills, experience or education requirements');
+  }
+
+  const missingSkills = [
+    ...(components.required_skills?.missing || []),
+    ...(components.preferred_skills?.missing || []),
+  ];
+  const strongSkills = [
+    ...(components.required_skills?.matched || []),
+    ...(components.preferred_skills?.matched || []),
+  ];
+
+  return {
+    match_score: matchScore,
+    shortlist_probability: Number((matchScore / 100).toFixed(2)),
+    salary_range: parseSalaryRange(job.salary_range),
+    missing_skills: missingSkills,
+    strong_skills: strongSkills,
+    recommendation: `${buildRecommendation(matchScore)} (rule-based scoring)`,
+    key_highlights: keyHighlights,
+    areas_of_concern: areasOfConcern,
+    score_breakdown: {
+      method: 'rule_based',
+      version: SCORING_VERSION,
+      components: breakdown,
+    },
+  };
+};
+
+module.exports = {
+  calculateRuleBasedScore,
+  extractJobSkills,
+  toSkillRef,
+  buildResumeSkillMatcher,
+  parseSalaryRange,
+  COMPONENT_WEIGHTS,
+};
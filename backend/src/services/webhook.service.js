@@ -0,0 +1,482 @@
+const axios = require('axios');
+const webhookModel = require('../models/webhook.model');
+const jobsModel = require('../models/jobs.model');
+const userModel = require('../models/user.model');
+const { webhookQueue, computeBackoffDelay } = require('../utils/queue');
+const {
+  TEST_EVENT,
+  validateWebhookEndpoint,
+  generateSecret,
+  signPayload,
+} = require('../utils/webhooks');
+const { resolvePipeline } = require('../utils/pipeline');
+const { isIdentityRevealed } = require('../utils/blindReview');
+const { anonymousLabel } = require('../utils/redaction');
+const { checkOutboundHost, getOutboundRequestOptions } = require('../utils/outboundUrl');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Service - Company webhook endpoints, emitting events and delivering them
+ *
+ * Emitting an event stores one delivery per subscribed endpoint and queues a
+ * `deliver-webhook` job on the webhooks queue, which retries with exponential backoff.
+ * Emitting never throws: the action that caused the event has already succeeded.
+ */
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 30000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+const DELIVER_JOB_OPTIONS = {
+  attempts: WEBHOOK_MAX_ATTEMPTS,
+  backoff: { type: 'exponential', delay: WEBHOOK_RETRY_DELAY_MS },
+};
+
+// Test events report their result straight away instead of retrying
+const TEST_JOB_OPTIONS = { attempts: 1 };
+
+const MAX_ENDPOINTS_PER_COMPANY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hide an endpoint's secret, keeping its last characters to tell secrets apart
+ * @param {object} endpoint - Endpoint row
+ * @returns {object} Endpoint as returned to HR
+ */
+const toEndpointResponse = (endpoint) => {
+  const { secret, ...rest } = endpoint;
+  return { ...rest, secret_hint: `…${secret.slice(-4)}` };
+};
+
+/**
+ * Load an endpoint of the company
+ * @param {number} companyId - Company ID
+ * @param {number} endpointId - Endpoint ID
+ * @returns {Promise<object>} Endpoint row
+ */
+const getCompanyEndpoint = async (companyId, endpointId) => {
+  const endpoint = await webhookModel.getEndpointById(endpointId);
+
+  if (!endpoint || String(endpoint.company_id) !== String(companyId)) {
+    throw new Error('Webhook endpoint not found');
+  }
+
+  return endpoint;
+};
+
+/**
+ * List a company's endpoints with their deliveries in the last 24 hours
+ * @param {number} companyId - Company ID
+ * @returns {Promise<array>} Endpoints with last_24h { delivered, queued, failed }
+ */
+const listEndpoints = async (companyId) => {
+  const endpoints = await webhookModel.getEndpointsByCompany(companyId);
+  const since = new Date(Date.now() - DAY_MS).toISOString();
+  const statuses = await webhookModel.getDeliveryStatusesSince(endpoints.map((endpoint) => endpoint.id), since);
+
+  return endpoints.map((endpoint) => {
+    const last24h = { delivered: 0, queued: 0, failed: 0 };
+
+    statuses
+      .filter((row) => row.endpoint_id === endpoint.id)
+      .forEach((row) => { last24h[row.status] += 1; });
+
+    return { ...toEndpointResponse(endpoint), last_24h: last24h };
+  });
+};
+
+/**
+ * Register a webhook endpoint
+ * @param {number} companyId - Company ID
+ * @param {string} userId - Creating user
+ * @param {object} input - { url, description, events, is_active }
+ * @returns {Promise<object>} { endpoint, secret } - the secret is only returned here and on rotation
+ */
+const createEndpoint = async (companyId, userId, input) => {
+  const { value, error } = validateWebhookEndpoint(input);
+  const hostError = error ? null : await checkOutboundHost(value.url);
+
+  if (error || hostError) {
+    throw new Error(`Invalid webhook endpoint: ${error || hostError}`);
+  }
+
+  const existing = await webhookModel.getEndpointsByCompany(companyId);
+
+  if (existing.length >= MAX_ENDPOINTS_PER_COMPANY) {
+    throw new Error(`Invalid webhook endpoint: a company can have at most ${MAX_ENDPOINTS_PER_COMPANY} endpoints`);
+  }
+
+  const secret = generateSecret();
+  const endpoint = await webhookModel.createEndpoint({
+    ...value,
+    company_id: companyId,
+    secret,
+    created_by: userId,
+  });
+
+  logger.info(`Webhook endpoint ${endpoint.id} created for company ${companyId}`);
+
+  return { endpoint: toEndpointResponse(endpoint), secret };
+};
+
+/**
+ * Update a webhook endpoint
+ * @param {number} companyId - Company ID
+ * @param {number} endpointId - Endpoint ID
+ * @param {object} input - Fields to change
+ * @returns {Promise<object>} { endpoint, previous }
+ */
+const updateEndpoint = async (companyId, endpointId, input) => {
+  const existing = await getCompanyEndpoint(companyId, endpointId);
+  const { value, error } = validateWebhookEndpoint(input, existing);
+  const hostError = error || value.url === existing.url ? null : await checkOutboundHost(value.url);
+
+  if (error || hostError) {
+    throw new Error(`Invalid webhook endpoint: ${error || hostError}`);
+  }
+
+  const endpoint = await webhookModel.updateEndpoint(existing.id, value);
+
+  return { endpoint: toEndpointResponse(endpoint), previous: toEndpointResponse(existing) };
+};
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * @param {number} companyId - Company ID
+ * @param {number} endpointId - Endpoint ID
+ * @returns {Promise<object>} Deleted endpoint
+ */
+const deleteEndpoint = async (companyId, endpointId) => {
+  const endpoint = await getCompanyEndpoint(companyId, endpointId);
+
+  await webhookModel.deleteEndpoint(endpoint.id);
+  logger.info(`Webhook endpoint ${endpoint.id} deleted from company ${companyId}`);
+
+  return toEndpointResponse(endpoint);
+};
+
+/**
+ * Replace an endpoint's signing secret; requests are signed with the new one from now on
+ * @param {number} companyId - Company ID
+ * @param {number} endpointId - Endpoint ID
+ * @returns {Promise<object>} { endpoint, previous, secret }
+ */
+const rotateSecret = async (companyId, endpointId) => {
+  const existing = await getCompanyEndpoint(companyId, endpointId);
+  const secret = generateSecret();
+  const endpoint = await webhookModel.updateEndpoint(existing.id, { secret });
+
+  logger.info(`Webhook endpoint ${endpoint.id} secret rotated`);
+
+  return { endpoint: toEndpointResponse(endpoint), previous: toEndpointResponse(existing), secret };
+};
+
+/**
+ * Store a delivery of an event to an endpoint and queue it
+ * @param {object} endpoint - Endpoint row
+ * @param {object} event - { type, key, payload }
+ * @param {object} jobOptions - Queue job options
+ * @returns {Promise<object>} { delivery, duplicate }
+ */
+const queueDelivery = async (endpoint, event, jobOptions = DELIVER_JOB_OPTIONS) => {
+  const { delivery, duplicate } = await webhookModel.insertDelivery({
+    endpointId: endpoint.id,
+    eventType: event.type,
+    eventKey: event.key,
+    payload: event.payload,
+  });
+
+  if (duplicate) {
+    return { delivery, duplicate };
+  }
+
+  try {
+    await webhookQueue.add('deliver-webhook', { deliveryId: delivery.id }, jobOptions);
+  } catch (error) {
+    // Marked failed so it shows up in the delivery log
+    await webhookModel.updateDelivery(delivery.id, { status: 'failed', last_error: `Could not queue delivery: ${error.message}` });
+    throw error;
+  }
+
+  return { delivery, duplicate };
+};
+
+/**
+ * Send a test event to an endpoint, whatever it subscribes to and even while disabled
+ * @param {number} companyId - Company ID
+ * @param {number} endpointId - Endpoint ID
+ * @param {object} user - Requesting user
+ * @returns {Promise<object>} Queued delivery
+ */
+const sendTestEvent = async (companyId, endpointId, user) => {
+  const endpoint = await getCompanyEndpoint(companyId, endpointId);
+  const now = new Date().toISOString();
+
+  const { delivery } = await queueDelivery(endpoint, {
+    type: TEST_EVENT,
+    key: `${TEST_EVENT}:${now}`,
+    payload: {
+      type: TEST_EVENT,
+      created_at: now,
+      data: {
+        message: 'Test event sent from the webhook settings',
+        endpoint_id: endpoint.id,
+        requested_by: user.email,
+      },
+    },
+  }, TEST_JOB_OPTIONS);
+
+  return delivery;
+};
+
+/**
+ * List an endpoint's deliveries, newest first
+ * @param {number} companyId - Company ID
+ * @param {number} endpointId - Endpoint ID
+ * @param {object} filters - { status, page, limit }
+ * @returns {Promise<object>} { deliveries, total }
+ */
+const listDeliveries = async (companyId, endpointId, filters = {}) => {
+  if (filters.status && !webhookModel.DELIVERY_STATUSES.includes(filters.status)) {
+    throw new Error(`Invalid status. Must be one of: ${webhookModel.DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  const endpoint = await getCompanyEndpoint(companyId, endpointId);
+  return webhookModel.getDeliveries(endpoint.id, filters);
+};
+
+/**
+ * Send an event to every active endpoint of a company subscribed to it
+ * The data is only built when some endpoint wants the event. Never throws.
+ * @param {number|null} companyId - Company the event belongs to (jobs without one have no endpoints)
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {string} key - Identifies the event; an endpoint receives each key once
+ * @param {function} buildData - async () => event data
+ * @returns {Promise<number>} Deliveries queued
+ */
+const emitEvent = async (companyId, type, key, buildData) => {
+  if (!companyId) {
+    return 0;
+  }
+
+  try {
+    const endpoints = await webhookModel.getActiveEndpointsForEvent(companyId, type);
+
+    if (endpoints.length === 0) {
+      return 0;
+    }
+
+    const payload = { type, created_at: new Date().toISOString(), data: await buildData() };
+    let queued = 0;
+
+    for (const endpoint of endpoints) {
+      const { duplicate } = await queueDelivery(endpoint, { type, key, payload });
+      if (!duplicate) queued += 1;
+    }
+
+    logger.info(`Webhook event ${key} queued for ${queued} endpoint(s) of company ${companyId}`);
+    return queued;
+  } catch (error) {
+    logger.warn(`Could not emit webhook event ${key} for company ${companyId}: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Job fields sent with job events
+ * @param {object} job - Job record
+ * @returns {object} Job payload
+ */
+const toJobPayload = (job) => ({
+  job_id: job.job_id,
+  title: job.title,
+  status: job.status,
+  company_name: job.company_name,
+  location: job.location,
+  employment_type: job.employment_type,
+  work_mode: job.work_mode,
+  published_at: job.published_at,
+  closing_date: job.closing_date,
+  closed_at: job.closed_at,
+  close_reason: job.close_reason,
+  url: `${process.env.FRONTEND_URL || ''}/jobs/${job.job_id}`,
+});
+
+/**
+ * Emit job.published or job.closed
+ * @param {string} type - 'job.published' or 'job.closed'
+ * @param {object} job - Job record after the change
+ * @param {string} reason - What caused the change (a TRANSITION_REASONS value)
+ * @returns {Promise<number>} Deliveries queued
+ */
+const emitJobEvent = (type, job, reason) => emitEvent(
+  job.company_id,
+  type,
+  `${type}:${job.job_id}:${job.updated_at}`,
+  async () => ({ job: toJobPayload(job), reason })
+);
+
+/**
+ * Who an application event is about, hidden while the job's blind review hides it from HR
+ * @param {object} application - Application (resume) record
+ * @param {object} job - Job record
+ * @param {object|null} candidate - { name, email } when the caller has it
+ * @returns {Promise<object>} { name, email, identity_hidden }
+ */
+const getCandidatePayload = async (application, job, candidate) => {
+  if (job.blind_review) {
+    const stages = resolvePipeline(job.company_id ? await jobsModel.getCompanyPipeline(job.company_id) : null);
+
+    if (!isIdentityRevealed(job, application, stages)) {
+      return { name: anonymousLabel(application.id), email: null, identity_hidden: true };
+    }
+  }
+
+  if (!candidate) {
+    const profile = await userModel.getUserProfileById(application.candidate_user_id);
+    candidate = { name: profile?.full_name || null, email: profile?.email || null };
+  }
+
+  return { name: candidate.name, email: candidate.email, identity_hidden: false };
+};
+
+/**
+ * Emit an application event
+ * @param {string} type - 'application.created', 'application.scored' or 'application.stage_changed'
+ * @param {object} event - { application, job, key, candidate?, details? }
+ * @returns {Promise<number>} Deliveries queued
+ */
+const emitApplicationEvent = (type, { application, job, key, candidate = null, details = {} }) => emitEvent(
+  job.company_id,
+  type,
+  `${type}:${key}`,
+  async () => ({
+    application: {
+      id: application.id,
+      job_id: application.job_id,
+      status: application.application_status,
+      pipeline_stage: application.pipeline_stage,
+      applied_at: application.uploaded_at,
+    },
+    job: { job_id: job.job_id, title: job.title },
+    candidate: await getCandidatePayload(application, job, candidate),
+    ...details,
+  })
+);
+
+/**
+ * POST a delivery to its endpoint, signed with the endpoint's secret
+ * Only the status code is kept: the response body is never read or stored.
+ * @param {object} endpoint - Endpoint row
+ * @param {object} delivery - Delivery row
+ * @returns {Promise<object>} { status, durationMs }
+ */
+const postDelivery = async (endpoint, delivery) => {
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const startedAt = Date.now();
+
+  const response = await axios.post(endpoint.url, body, {
+    ...getOutboundRequestOptions(endpoint.url),
+    timeout: WEBHOOK_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Signature': signPayload(endpoint.secret, body, Math.floor(Date.now() / 1000)),
+    },
+    // Any status is recorded; only 2xx counts as delivered
+    validateStatus: () => true,
+    responseType: 'stream',
+  });
+
+  response.data.destroy();
+
+  return {
+    status: response.status,
+    durationMs: Date.now() - startedAt,
+  };
+};
+
+/**
+ * Deliver a webhook (one attempt of a deliver-webhook job)
+ * Throws on network errors and non-2xx responses so the queue retries with backoff.
+ * @param {number} deliveryId - Delivery ID
+ * @param {object} attempt - { attemptsMade, maxAttempts } of the queue job
+ * @returns {Promise<object>} { deliveryId, status }
+ */
+const deliverWebhook = async (deliveryId, attempt) => {
+  const delivery = await webhookModel.getDeliveryById(deliveryId);
+
+  // Deleted with its endpoint, or already delivered by an earlier attempt
+  if (!delivery || delivery.status !== 'queued') {
+    return { deliveryId, status: delivery?.status || 'missing' };
+  }
+
+  const endpoint = await webhookModel.getEndpointById(delivery.endpoint_id);
+  const attempts = delivery.attempts + 1;
+
+  if (!endpoint.is_active && delivery.event_type !== TEST_EVENT) {
+    await webhookModel.updateDelivery(deliveryId, {
+      status: 'failed',
+      last_error: 'The endpoint was disabled before the event was sent',
+      next_attempt_at: null,
+    });
+    return { deliveryId, status: 'failed' };
+  }
+
+  let result = null;
+  let failure;
+
+  try {
+    result = await postDelivery(endpoint, delivery);
+    failure = result.status >= 200 && result.status < 300 ? null : `Endpoint responded with HTTP ${result.status}`;
+  } catch (error) {
+    failure = error.code === 'ECONNABORTED' ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+  }
+
+  const response = {
+    attempts,
+    response_status: result?.status || null,
+    duration_ms: result?.durationMs ?? null,
+  };
+
+  if (!failure) {
+    await webhookModel.updateDelivery(deliveryId, {
+      ...response,
+      status: 'delivered',
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: new Date().toISOString(),
+    });
+    return { deliveryId, status: 'delivered' };
+  }
+
+  const finalAttempt = attempt.attemptsMade >= attempt.maxAttempts;
+  const retryAt = finalAttempt
+    ? null
+    : new Date(Date.now() + computeBackoffDelay(DELIVER_JOB_OPTIONS.backoff, attempt.attemptsMade)).toISOString();
+
+  await webhookModel.updateDelivery(deliveryId, {
+    ...response,
+    status: finalAttempt ? 'failed' : 'queued',
+    last_error: failure,
+    next_attempt_at: retryAt,
+  });
+
+  logger.warn(`Webhook delivery ${deliveryId} attempt ${attempts} failed${finalAttempt ? ', giving up' : ''}: ${failure}`);
+  throw new Error(failure);
+};
+
+module.exports = {
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  sendTestEvent,
+  listDeliveries,
+  emitEvent,
+  emitJobEvent,
+  emitApplicationEvent,
+  deliverWebhook,
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+/**
+ * Company API keys - server-to-server access sent in the X-API-Key header
+ *
+ * Stored in `api_keys`:
+ * {
+ *   name: string,                     // what the key is used for
+ *   scopes: [string],                 // subset of API_KEY_SCOPES
+ *   key_prefix: string,               // start of the key, e.g. "ak_3f9c2a1b"
+ *   key_hash: string                  // SHA-256 of the key
+ * }
+ *
+ * A key looks like `ak_<8 hex>_<48 hex>`. Routes opt in with authenticateOrApiKey(scope).
+ */
+
+const API_KEY_SCOPES = {
+  JOBS_READ: 'jobs:read', // list and read the company's jobs, including drafts
+  JOBS_WRITE: 'jobs:write', // create, edit, publish, close and delete jobs
+  APPLICATIONS_READ: 'applications:read', // read applications, scores and stage history
+};
+
+const KEY_PREFIX = 'ak_';
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate and normalize an API key from a request body
+ * For updates, pass the stored key: omitted fields keep their stored value.
+ * @param {object} input - Raw key settings
+ * @param {object|null} existing - Stored key being updated
+ * @returns {object} { value, error } - normalized key columns or a validation message
+ */
+const validateApiKey = (input, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Request body must be an object' };
+  }
+
+  const pick = (field) => (input[field] !== undefined ? input[field] : (existing ? existing[field] : undefined));
+  const name = typeof pick('name') === 'string' ? pick('name').trim() : '';
+
+  if (!name) {
+    return { value: null, error: 'name is required' };
+  }
+
+  if (name.length > MAX_NAME_LENGTH) {
+    return { value: null, error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const scopes = pick('scopes');
+  const supported = Object.values(API_KEY_SCOPES);
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { value: null, error: 'scopes must list at least one scope' };
+  }
+
+  const unknown = scopes.filter((scope) => !supported.includes(scope));
+
+  if (unknown.length > 0) {
+    return { value: null, error: `Unknown scopes: ${unknown.join(', ')}. Supported: ${supported.join(', ')}` };
+  }
+
+  return {
+    value: {
+      name,
+      scopes: supported.filter((scope) => scopes.includes(scope)),
+    },
+    error: null,
+  };
+};
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new API key
+ * @returns {object} { key, prefix, hash } - the key is only ever returned to the caller
+ */
+const generateApiKey = () => {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  return { key, prefix, hash: hashApiKey(key) };
+};
+
+/**
+ * Whether a header value looks like one of our API keys
+ * @param {any} value - Raw X-API-Key header
+ * @returns {boolean} True when it has the key format
+ */
+const isApiKeyFormat = (value) => typeof value === 'string' && /^ak_[0-9a-f]{8}_[0-9a-f]{48}$/.test(value);
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateApiKey,
+  hashApiKey,
+  generateApiKey,
+  isApiKeyFormat,
+};
@@ -0,0 +1,91 @@
+/**
+ * Blind review settings
+ *
+ * A job with `blind_review` hides who applied until HR advances an application to the
+ * job's reveal stage (`blind_reveal_stage`, a pipeline stage key). Until then HR sees a
+ * redacted resume under "Candidate #<id>" and no resume file, and the LLM only ever
+ * scores the redacted resume. Once revealed an application stays revealed, even if it is
+ * moved back.
+ */
+
+// Used when blind review is turned on without choosing a stage
+const DEFAULT_REVEAL_STAGE = 'interview';
+
+/**
+ * Validate blind review settings from a request body against the job's pipeline
+ * @param {object} input - { blindReview, blindRevealStage } - undefined fields are left unchanged
+ * @param {object} current - { blind_review, blind_reveal_stage } the job has now (empty for a new job)
+ * @param {object[]} stages - The job's pipeline stages
+ * @returns {object} { value, error } - value holds the columns to store ({} when nothing changes)
+ */
+const validateBlindReviewSettings = (input, current, stages) => {
+  const { blindReview, blindRevealStage } = input;
+
+  if (blindReview === undefined && blindRevealStage === undefined) {
+    return { value: {}, error: null };
+  }
+
+  if (blindReview !== undefined && typeof blindReview !== 'boolean') {
+    return { value: null, error: 'blindReview must be true or false' };
+  }
+
+  const enabled = blindReview ?? Boolean(current.blind_review);
+  const requested = blindRevealStage === undefined ? current.blind_reveal_stage : blindRevealStage;
+
+  if (!enabled) {
+    return { value: { blind_review: false, blind_reveal_stage: requested || null }, error: null };
+  }
+
+  const stageKey = requested || (stages.some((stage) => stage.key === DEFAULT_REVEAL_STAGE) ? DEFAULT_REVEAL_STAGE : null);
+
+  if (!stageKey) {
+    return { value: null, error: 'blindRevealStage is required because the pipeline has no interview stage' };
+  }
+
+  const index = stages.findIndex((stage) => stage.key === stageKey);
+
+  if (index === -1) {
+    return { value: null, error: `Unknown blindRevealStage. Use one of: ${stages.map((stage) => stage.key).join(', ')}` };
+  }
+
+  if (index === 0 || stages[index].terminal) {
+    return { value: null, error: 'blindRevealStage must be a later, non-terminal stage of the pipeline' };
+  }
+
+  return { value: { blind_review: true, blind_reveal_stage: stageKey }, error: null };
+};
+
+/**
+ * Whether a stage is at or past the reveal stage
+ * Terminal stages never reveal: rejecting a blind application keeps it blind.
+ * @param {object[]} stages - Pipeline stages
+ * @param {string} revealStage - Reveal stage key
+ * @param {string} stageKey - Stage to check
+ * @returns {boolean} Whether the stage reveals the candidate
+ */
+const reachesRevealStage = (stages, revealStage, stageKey) => {
+  const revealIndex = stages.findIndex((stage) => stage.key === revealStage);
+  const index = stages.findIndex((stage) => stage.key === stageKey);
+
+  return revealIndex !== -1 && index >= revealIndex && !stages[index].terminal;
+};
+
+/**
+ * Whether HR may see who is behind an application
+ * @param {object} job - Job record
+ * @param {object} application - Application with pipeline_stage and identity_revealed_at
+ * @param {object[]} stages - The job's pipeline stages
+ * @returns {boolean} True when the job is not blind or the application was revealed
+ */
+const isIdentityRevealed = (job, application, stages) => (
+  !job.blind_review
+  || Boolean(application.identity_revealed_at)
+  || reachesRevealStage(stages, job.blind_reveal_stage, application.pipeline_stage)
+);
+
+module.exports = {
+  DEFAULT_REVEAL_STAGE,
+  validateBlindReviewSettings,
+  reachesRevealStage,
+  isIdentityRevealed,
+};
@@ -0,0 +1,181 @@
+/**
+ * Candidate profile - what a candidate tells employers about themselves
+ *
+ * Stored in `candidate_profiles`:
+ * {
+ *   headline: string | null,              // "Senior frontend engineer"
+ *   location: string | null,
+ *   desired_salary_min: number | null,    // yearly, whole currency units
+ *   desired_salary_max: number | null,
+ *   work_authorization: 'citizen' | 'permanent_resident' | 'work_visa' | 'needs_sponsorship' | null,
+ *   links: [{ label, url }],
+ *   skills: [string]
+ * }
+ *
+ * Requests use camelCase (desiredSalaryMin, workAuthorization, ...), like job creation.
+ */
+
+const WORK_AUTHORIZATIONS = {
+  citizen: 'Citizen',
+  permanent_resident: 'Permanent resident',
+  work_visa: 'Work visa',
+  needs_sponsorship: 'Needs sponsorship',
+};
+
+const MAX_HEADLINE_LENGTH = 150;
+const MAX_LOCATION_LENGTH = 100;
+const MAX_LINKS = 10;
+const MAX_SKILLS = 50;
+
+/**
+ * Check whether an optional value was left empty
+ * @param {any} value - Raw value
+ * @returns {boolean} True for undefined, null or ''
+ */
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse optional text with a length limit
+ * @param {any} value - Raw value
+ * @param {string} field - Field name for error messages
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} Trimmed text or null
+ */
+const parseText = (value, field, maxLength) => {
+  const text = isBlank(value) ? '' : String(value).trim();
+
+  if (text.length > maxLength) {
+    throw new Error(`${field} must be at most ${maxLength} characters`);
+  }
+
+  return text || null;
+};
+
+/**
+ * Parse an optional yearly salary
+ * @param {any} value - Raw value
+ * @param {string} field - Field name for error messages
+ * @returns {number|null} Salary or null
+ */
+const parseSalary = (value, field) => {
+  if (isBlank(value)) {
+    return null;
+  }
+
+  const salary = Number(value);
+
+  if (!Number.isInteger(salary) || salary < 0) {
+    throw new Error(`${field} must be a non-negative whole number`);
+  }
+
+  return salary;
+};
+
+/**
+ * Normalize profile links, dropping empty rows
+ * @param {array} links - Raw links ({ label, url })
+ * @returns {object[]} Links
+ */
+const normalizeLinks = (links) => {
+  if (!Array.isArray(links)) {
+    throw new Error('links must be an array');
+  }
+
+  const normalized = links
+    .filter((link) => link && String(link.url || '').trim())
+    .map((link) => {
+      const url = String(link.url).trim();
+      let parsed;
+
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw new Error(`Invalid link: ${url}`);
+      }
+
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Links must start with http:// or https:// (${url})`);
+      }
+
+      return { label: parseText(link.label, 'Link label', 50) || parsed.hostname, url };
+    });
+
+  if (normalized.length > MAX_LINKS) {
+    throw new Error(`At most ${MAX_LINKS} links are allowed`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Normalize skill names, dropping blanks and duplicates
+ * @param {array} skills - Raw skill names
+ * @returns {string[]} Skills
+ */
+const normalizeSkills = (skills) => {
+  if (!Array.isArray(skills)) {
+    throw new Error('skills must be an array');
+  }
+
+  const seen = new Set();
+  const normalized = skills
+    .map((skill) => String(skill || '').trim())
+    .filter((skill) => {
+      const key = skill.toLowerCase();
+      if (!skill || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  if (normalized.length > MAX_SKILLS) {
+    throw new Error(`At most ${MAX_SKILLS} skills are allowed`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate and normalize a candidate profile
+ * @param {object} input - Raw profile from the request body
+ * @returns {object} { value, error } - profile columns, or an error message
+ */
+const validateCandidateProfile = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Profile must be an object' };
+  }
+
+  try {
+    const desiredSalaryMin = parseSalary(input.desiredSalaryMin, 'desiredSalaryMin');
+    const desiredSalaryMax = parseSalary(input.desiredSalaryMax, 'desiredSalaryMax');
+
+    if (desiredSalaryMin !== null && desiredSalaryMax !== null && desiredSalaryMin > desiredSalaryMax) {
+      throw new Error('desiredSalaryMin cannot be greater than desiredSalaryMax');
+    }
+
+    const workAuthorization = input.workAuthorization || null;
+
+    if (workAuthorization && !WORK_AUTHORIZATIONS[workAuthorization]) {
+      throw new Error(`workAuthorization must be one of: ${Object.keys(WORK_AUTHORIZATIONS).join(', ')}`);
+    }
+
+    return {
+      value: {
+        headline: parseText(input.headline, 'headline', MAX_HEADLINE_LENGTH),
+        location: parseText(input.location, 'location', MAX_LOCATION_LENGTH),
+        desired_salary_min: desiredSalaryMin,
+        desired_salary_max: desiredSalaryMax,
+        work_authorization: workAuthorization,
+        links: normalizeLinks(input.links || []),
+        skills: normalizeSkills(input.skills || []),
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+};
+
+module.exports = {
+  WORK_AUTHORIZATIONS,
+  validateCandidateProfile,
+};
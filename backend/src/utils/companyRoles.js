@@ -0,0 +1,80 @@
+/**
+ * Company workspace roles
+ *
+ * Every HR user belongs to one company (company_members) with one of these roles.
+ * Access to a company's jobs and applications is granted per permission, so
+ * controllers ask "may this member manage jobs?" rather than checking role names.
+ */
+
+const COMPANY_ROLES = ['owner', 'recruiter', 'hiring_manager', 'viewer'];
+
+const COMPANY_PERMISSIONS = {
+  VIEW: 'view', // jobs, applications, pipeline, members
+  MANAGE_JOBS: 'manage_jobs', // create, edit, publish, close and delete jobs
+  MANAGE_APPLICATIONS: 'manage_applications', // move applications through the pipeline
+  MANAGE_SETTINGS: 'manage_settings', // company pipeline, email branding and templates
+  MANAGE_MEMBERS: 'manage_members', // invites, member roles, removing members
+};
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(COMPANY_PERMISSIONS),
+  recruiter: [
+    COMPANY_PERMISSIONS.VIEW,
+    COMPANY_PERMISSIONS.MANAGE_JOBS,
+    COMPANY_PERMISSIONS.MANAGE_APPLICATIONS,
+  ],
+  hiring_manager: [COMPANY_PERMISSIONS.VIEW, COMPANY_PERMISSIONS.MANAGE_APPLICATIONS],
+  viewer: [COMPANY_PERMISSIONS.VIEW],
+};
+
+/**
+ * Whether a company role grants a permission
+ * @param {string} role - Company role
+ * @param {string} permission - One of COMPANY_PERMISSIONS
+ * @returns {boolean} True when allowed
+ */
+const hasCompanyPermission = (role, permission) => (
+  Boolean(ROLE_PERMISSIONS[role]?.includes(permission))
+);
+
+/**
+ * Permissions granted by a company role
+ * @param {string} role - Company role
+ * @returns {string[]} Permissions
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a user may act on a job with a company permission
+ * Admins may do anything; jobs that belong to no company are only accessible to their creator.
+ * @param {object|null} user - Requesting user
+ * @param {object|null} membership - The user's company membership ({ company_id, role })
+ * @param {object} job - Job record
+ * @param {string} permission - One of COMPANY_PERMISSIONS
+ * @returns {boolean} True when allowed
+ */
+const canAccessJob = (user, membership, job, permission) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  if (!job.company_id) {
+    return job.created_by === user.id;
+  }
+
+  return Boolean(membership)
+    && String(membership.company_id) === String(job.company_id)
+    && hasCompanyPermission(membership.role, permission);
+};
+
+module.exports = {
+  COMPANY_ROLES,
+  COMPANY_PERMISSIONS,
+  hasCompanyPermission,
+  getRolePermissions,
+  canAccessJob,
+};
@@ -0,0 +1,420 @@
+/**
+ * Email templates
+ *
+ * A template is a subject line and an HTML body with Handlebars-style tags:
+ *   {{name}}                      - Variable, HTML-escaped ({{{name}}} inserts it unescaped)
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{#unless name}}...{{/unless}}
+ *   {{#each list}}...{{this}}...{{/each}}
+ * Empty strings, empty lists, false and null are falsy. The body is wrapped in the
+ * company's branded layout (logo, colors, footer) and the plain-text version is generated
+ * from the rendered HTML, so templates only hold the message itself.
+ * Built-in templates and their variables are in src/utils/emailTemplateDefaults.js.
+ */
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 50000;
+const MAX_SENDER_NAME_LENGTH = 100;
+
+const DEFAULT_BRANDING = {
+  senderName: 'ATS Score Engine',
+  logoUrl: null,
+  primaryColor: '#667eea',
+  accentColor: '#764ba2',
+};
+
+const TAG_REGEX = /\{\{(\{?)\s*([^{}]*?)\s*\}?\}\}/g;
+const PATH_REGEX = /^(?:this|[a-z_][a-z0-9_]*)(?:\.[a-z_][a-z0-9_]*)*$/i;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+const COLOR_REGEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to insert
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * @param {string} source - Template text
+ * @returns {object} { nodes, error }
+ */
+const parseTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let position = 0;
+
+  for (const match of source.matchAll(TAG_REGEX)) {
+    const [tag, triple, content] = match;
+
+    if (match.index > position) {
+      current.push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = match.index + tag.length;
+
+    const block = stack[stack.length - 1];
+
+    if (content.startsWith('#')) {
+      const [helper, path, ...rest] = content.slice(1).trim().split(/\s+/);
+
+      if (!BLOCK_HELPERS.includes(helper)) {
+        return { nodes: null, error: `Unknown block {{#${helper}}}. Use #if, #unless or #each` };
+      }
+      if (!path || rest.length > 0 || !PATH_REGEX.test(path)) {
+        return { nodes: null, error: `{{#${helper}}} needs exactly one variable` };
+      }
+
+      const node = { type: 'block', helper, path, children: [], inverse: null };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (content.startsWith('/')) {
+      const helper = content.slice(1).trim();
+
+      if (stack.length === 1 || block.helper !== helper) {
+        return { nodes: null, error: `Unexpected {{/${helper}}}` };
+      }
+
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.inverse || parent.children;
+    } else if (content === 'else') {
+      if (stack.length === 1 || block.inverse) {
+        return { nodes: null, error: 'Unexpected {{else}}' };
+      }
+
+      block.inverse = [];
+      current = block.inverse;
+    } else if (PATH_REGEX.test(content)) {
+      current.push({ type: 'variable', path: content, raw: Boolean(triple) });
+    } else {
+      return { nodes: null, error: `Invalid tag ${tag}` };
+    }
+  }
+
+  if (stack.length > 1) {
+    return { nodes: null, error: `{{#${stack[stack.length - 1].helper}}} is not closed` };
+  }
+
+  if (position < source.length) {
+    current.push({ type: 'text', value: source.slice(position) });
+  }
+
+  return { nodes: root.children, error: null };
+};
+
+/**
+ * Look up a variable path in the current scopes (innermost first)
+ * @param {string} path - e.g. "job_title", "this" or "this.name"
+ * @param {array} scopes - Variable scopes, outermost first
+ * @returns {*} Value, or undefined
+ */
+const lookup = (path, scopes) => {
+  const [first, ...rest] = path.split('.');
+  let value;
+
+  if (first === 'this') {
+    value = scopes[scopes.length - 1];
+  } else {
+    const scope = [...scopes].reverse().find((item) => (
+      item && typeof item === 'object' && Object.prototype.hasOwnProperty.call(item, first)
+    ));
+    value = scope ? scope[first] : undefined;
+  }
+
+  return rest.reduce((result, key) => (result == null ? undefined : result[key]), value);
+};
+
+/**
+ * Whether a value counts as true in {{#if}}
+ * @param {*} value - Variable value
+ * @returns {boolean} Truthiness
+ */
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Render parsed nodes
+ * @param {array} nodes - From parseTemplate
+ * @param {array} scopes - Variable scopes, outermost first
+ * @param {boolean} escape - HTML-escape variables
+ * @returns {string} Rendered text
+ */
+const renderNodes = (nodes, scopes, escape) => nodes.map((node) => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  const value = lookup(node.path, scopes);
+
+  if (node.type === 'variable') {
+    if (value == null) {
+      return '';
+    }
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    return escape && !node.raw ? escapeHTML(text) : text;
+  }
+
+  if (node.helper === 'each') {
+    return isTruthy(value)
+      ? value.map((item) => renderNodes(node.children, [...scopes, item], escape)).join('')
+      : renderNodes(node.inverse || [], scopes, escape);
+  }
+
+  const show = node.helper === 'if' ? isTruthy(value) : !isTruthy(value);
+  return renderNodes(show ? node.children : node.inverse || [], scopes, escape);
+}).join('');
+
+/**
+ * Render a template
+ * @param {string} source - Template text
+ * @param {object} variables - Variable name -> value
+ * @param {object} options - { escape } - false for plain text such as the subject
+ * @returns {string} Rendered text
+ */
+const renderEmailTemplate = (source, variables, options = {}) => {
+  const { nodes, error } = parseTemplate(source);
+
+  if (error) {
+    throw new Error(`Invalid email template: ${error}`);
+  }
+
+  return renderNodes(nodes, [variables], options.escape !== false);
+};
+
+/**
+ * Collect the top-level variables a template uses ({{this}} inside #each is skipped)
+ * @param {array} nodes - From parseTemplate
+ * @param {Set} used - Collected names
+ * @returns {Set} Variable names
+ */
+const collectVariables = (nodes, used = new Set()) => {
+  nodes.forEach((node) => {
+    if (node.type === 'text') {
+      return;
+    }
+    if (node.path !== 'this' && !node.path.startsWith('this.')) {
+      used.add(node.path.split('.')[0]);
+    }
+    if (node.type === 'block') {
+      collectVariables(node.children, used);
+      collectVariables(node.inverse || [], used);
+    }
+  });
+
+  return used;
+};
+
+/**
+ * Validate an edited template
+ * @param {object} input - { subject, html } from the request body
+ * @param {string[]} variables - Variables the template may use
+ * @returns {object} { value, error } - { subject, html_body }, or an error message
+ */
+const validateEmailTemplate = (input, variables) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Template must be an object' };
+  }
+
+  const subject = typeof input.subject === 'string' ? input.subject.trim() : '';
+  const html = typeof input.html === 'string' ? input.html : '';
+
+  if (!subject) {
+    return { value: null, error: 'subject is required' };
+  }
+  if (subject.length > MAX_SUBJECT_LENGTH || /[\r\n]/.test(subject)) {
+    return { value: null, error: `subject must be a single line of at most ${MAX_SUBJECT_LENGTH} characters` };
+  }
+  if (!html.trim()) {
+    return { value: null, error: 'html is required' };
+  }
+  if (html.length > MAX_BODY_LENGTH) {
+    return { value: null, error: `html must be at most ${MAX_BODY_LENGTH} characters` };
+  }
+
+  const used = new Set();
+
+  for (const [field, source] of [['subject', subject], ['html', html]]) {
+    const { nodes, error } = parseTemplate(source);
+
+    if (error) {
+      return { value: null, error: `${field}: ${error}` };
+    }
+    collectVariables(nodes, used);
+  }
+
+  const unknown = [...used].filter((name) => !variables.includes(name));
+
+  if (unknown.length > 0) {
+    return { value: null, error: `Unknown template variables: ${unknown.map((name) => `{{${name}}}`).join(', ')}` };
+  }
+
+  return { value: { subject, html_body: html }, error: null };
+};
+
+/**
+ * Validate company email branding
+ * @param {object} input - { senderName, logoUrl, primaryColor, accentColor } - undefined fields are left unchanged, null resets one
+ * @returns {object} { value, error } - company columns to update, or an error message
+ */
+const validateBranding = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Branding must be an object' };
+  }
+
+  const value = {};
+  const text = (field) => (typeof input[field] === 'string' ? input[field].trim() : input[field]);
+
+  if (input.senderName !== undefined) {
+    const senderName = text('senderName');
+
+    if (senderName !== null && typeof senderName !== 'string') {
+      return { value: null, error: 'senderName must be a string' };
+    }
+    if (senderName && (senderName.length > MAX_SENDER_NAME_LENGTH || /["<>\r\n]/.test(senderName))) {
+      return { value: null, error: `senderName must be at most ${MAX_SENDER_NAME_LENGTH} characters without quotes or angle brackets` };
+    }
+    value.email_sender_name = senderName || null;
+  }
+
+  if (input.logoUrl !== undefined) {
+    const logoUrl = text('logoUrl');
+
+    if (logoUrl) {
+      let url = null;
+      try {
+        url = new URL(logoUrl);
+      } catch (error) {
+        url = null;
+      }
+
+      if (!url || url.protocol !== 'https:') {
+        return { value: null, error: 'logoUrl must be an https URL' };
+      }
+    }
+    value.email_logo_url = logoUrl || null;
+  }
+
+  for (const [field, column] of [['primaryColor', 'email_primary_color'], ['accentColor', 'email_accent_color']]) {
+    if (input[field] === undefined) {
+      continue;
+    }
+
+    const color = text(field);
+
+    if (color && !COLOR_REGEX.test(color)) {
+      return { value: null, error: `${field} must be a hex color such as #1d4ed8` };
+    }
+    value[column] = color || null;
+  }
+
+  return { value, error: null };
+};
+
+/**
+ * Resolve a company's branding, falling back to the platform defaults
+ * @param {object|null} company - Company record (null for platform emails)
+ * @returns {object} { companyName, senderName, logoUrl, primaryColor, accentColor }
+ */
+const resolveBranding = (company) => ({
+  companyName: company?.name || DEFAULT_BRANDING.senderName,
+  senderName: company?.email_sender_name || company?.name || DEFAULT_BRANDING.senderName,
+  logoUrl: company?.email_logo_url || DEFAULT_BRANDING.logoUrl,
+  primaryColor: company?.email_primary_color || DEFAULT_BRANDING.primaryColor,
+  accentColor: company?.email_accent_color || DEFAULT_BRANDING.accentColor,
+});
+
+/**
+ * Wrap a rendered body in the branded email layout
+ * @param {string} content - Rendered template HTML
+ * @param {object} branding - From resolveBranding
+ * @returns {string} Complete HTML document
+ */
+const renderLayout = (content, branding) => {
+  const companyName = escapeHTML(branding.companyName);
+  const header = branding.logoUrl
+    ? `<img src="${escapeHTML(branding.logoUrl)}" alt="${companyName}" style="max-height: 48px; max-width: 240px;">`
+    : `<span style="font-size: 20px; font-weight: bold;">${companyName}</span>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, ${branding.primaryColor} 0%, ${branding.accentColor} 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 20px; border: 1px solid #ddd; border-radius: 0 0 8px 8px; }
+    .section { margin: 20px 0; padding: 15px; background: white; border-radius: 6px; border-left: 4px solid ${branding.primaryColor}; }
+    .button { display: inline-block; background: ${branding.primaryColor}; color: white !important; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
+    .footer { margin-top: 20px; padding: 15px; text-align: center; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">${header}</div>
+    <div class="content">
+${content}
+    </div>
+    <div class="footer">
+      <p>This email was sent by ${companyName}.</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+};
+
+const TEXT_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+};
+
+/**
+ * Build the plain-text version of a rendered HTML body
+ * Links keep their address, list items become "- " lines and block elements become paragraphs.
+ * @param {string} html - Rendered template HTML (without the layout)
+ * @returns {string} Plain text
+ */
+const htmlToText = (html) => html
+  .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href=["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (link, href, text) => {
+    const label = text.replace(/<[^>]+>/g, '').trim();
+    const target = href.replace(/^mailto:/i, '');
+    return label && label !== target ? `${label}: ${target}` : target;
+  })
+  .replace(/<br\s*\/?>\s*/gi, '\n')
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(?:nbsp|amp|lt|gt|quot|#39);/g, (entity) => TEXT_ENTITIES[entity])
+  .split('\n')
+  .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+module.exports = {
+  DEFAULT_BRANDING,
+  escapeHTML,
+  parseTemplate,
+  renderEmailTemplate,
+  validateEmailTemplate,
+  validateBranding,
+  resolveBranding,
+  renderLayout,
+  htmlToText,
+};
@@ -0,0 +1,293 @@
+/**
+ * Built-in email templates
+ *
+ * Each template is used as-is until an admin edits it for the platform or a company
+ * overrides it (see `email_templates`). `companyOverride: false` marks platform emails
+ * (HR account decisions) that are not sent on behalf of a company. `sample` fills the
+ * variables for previews and test sends.
+ */
+
+const EMAIL_TEMPLATES = {
+  application_received: {
+    name: 'Application received',
+    description: 'Sent to the candidate once their application has been processed',
+    companyOverride: true,
+    variables: {
+      candidate_name: 'Candidate name',
+      job_title: 'Job title',
+      company_name: 'Hiring company',
+    },
+    sample: {
+      candidate_name: 'Alex Morgan',
+      job_title: 'Senior Backend Engineer',
+      company_name: 'Acme Corp',
+    },
+    subject: 'Application received - {{job_title}}',
+    html: `<h2>Thank you for your application!</h2>
+<p>Dear {{candidate_name}},</p>
+<p>We have received your application for <strong>{{job_title}}</strong> at <strong>{{company_name}}</strong>.</p>
+<p>Your resume has been processed and will be reviewed by our hiring team. We will contact you if your qualifications match our requirements.</p>
+<p>Best regards,<br>The {{company_name}} Hiring Team</p>`,
+  },
+
+  high_score_alert: {
+    name: 'High-score alert',
+    description: 'Sent instantly when an application matches an HR user\'s notification rule (jobs without rules: to the job\'s HR contact at a score of 80 or more)',
+    companyOverride: true,
+    variables: {
+      hr_name: 'HR contact name',
+      hr_email: 'HR contact email',
+      candidate_name: 'Candidate name ("Candidate #<id>" while blind review hides them)',
+      candidate_email: 'Candidate email (empty while blind)',
+      resume_url: 'Resume file link (empty while blind)',
+      blind: 'True while blind review hides the candidate',
+      job_id: 'Job ID',
+      job_title: 'Job title',
+      match_score: 'Match score (0-100)',
+      key_highlights: 'List of the candidate\'s key strengths',
+      rule_name: 'Notification rule that matched (empty for the default alert)',
+      company_name: 'Hiring company',
+    },
+    sample: {
+      hr_name: 'Jane Smith',
+      hr_email: 'jane@acme.example',
+      candidate_name: 'Alex Morgan',
+      candidate_email: 'alex@example.com',
+      resume_url: 'https://example.com/resume.pdf',
+      blind: false,
+      job_id: 'BACKEND-2026-001',
+      job_title: 'Senior Backend Engineer',
+      match_score: 87,
+      key_highlights: ['8 years of Node.js', 'Led a PostgreSQL migration', 'AWS certified'],
+      rule_name: 'Senior backend, 85+',
+      company_name: 'Acme Corp',
+    },
+    subject: 'High-Scoring Candidate Alert: {{candidate_name}} (Score: {{match_score}})',
+    html: `<h2>High-Scoring Candidate Alert</h2>
+<p>{{#if rule_name}}A candidate matches your notification rule <strong>{{rule_name}}</strong>!{{else}}A candidate has scored above your threshold!{{/if}}</p>
+<p style="text-align: center; font-size: 24px; font-weight: bold;">Match Score: {{match_score}}/100</p>
+<div class="section">
+  <h3>Candidate Information</h3>
+  <p><strong>Name:</strong> {{candidate_name}}<br>
+  <strong>Job:</strong> {{job_title}} ({{job_id}})</p>
+  {{#if blind}}
+  <p>This job uses blind review: contact details and the resume are shown once you advance the candidate to the reveal stage.</p>
+  {{else}}
+  <p><strong>Email:</strong> {{#if candidate_email}}{{candidate_email}}{{else}}Not provided{{/if}}<br>
+  <strong>Resume:</strong> <a href="{{resume_url}}">View Resume</a></p>
+  {{/if}}
+</div>
+{{#if key_highlights}}
+<div class="section">
+  <h3>Key Highlights</h3>
+  <ul>
+    {{#each key_highlights}}<li>{{this}}</li>{{/each}}
+  </ul>
+</div>
+{{/if}}
+<div class="section">
+  <h3>Next Steps</h3>
+  <p>Review the candidate's resume and consider scheduling an interview.</p>
+  {{#unless blind}}{{#if candidate_email}}<p><a class="button" href="mailto:{{candidate_email}}">Contact Candidate</a></p>{{/if}}{{/unless}}
+</div>
+<p style="font-size: 12px; color: #666;">This notification was sent to {{hr_email}}. Please review the candidate's full resume before making hiring decisions.</p>`,
+  },
+
+  candidate_digest: {
+    name: 'Candidate digest',
+    description: 'Hourly or daily summary of the top new candidates matching an HR user\'s notification rule',
+    companyOverride: true,
+    variables: {
+      hr_name: 'Rule owner name',
+      rule_name: 'Notification rule name',
+      period: '"hourly" or "daily"',
+      scope: 'Job title, or "all company jobs"',
+      candidate_count: 'Number of new matching candidates',
+      candidates: 'Top candidates, best first: {{this.name}}, {{this.job_title}}, {{this.match_score}}, {{this.url}}',
+      more_count: 'Matching candidates not listed (0 when all are listed)',
+      dashboard_url: 'Link to the HR dashboard',
+      company_name: 'Hiring company',
+    },
+    sample: {
+      hr_name: 'Jane Smith',
+      rule_name: 'Senior backend, 85+',
+      period: 'daily',
+      scope: 'Senior Backend Engineer',
+      candidate_count: 12,
+      candidates: [
+        { name: 'Alex Morgan', job_title: 'Senior Backend Engineer', match_score: 92, url: 'https://ats.example.com/hr/jobs/BACKEND-2026-001/applications' },
+        { name: 'Candidate #418', job_title: 'Senior Backend Engineer', match_score: 88, url: 'https://ats.example.com/hr/jobs/BACKEND-2026-001/applications' },
+      ],
+      more_count: 2,
+      dashboard_url: 'https://ats.example.com/hr',
+      company_name: 'Acme Corp',
+    },
+    subject: '{{candidate_count}} new candidates for {{rule_name}}',
+    html: `<h2>Your {{period}} candidate digest</h2>
+<p>Hi {{hr_name}},</p>
+<p>{{candidate_count}} new candidates for <strong>{{scope}}</strong> match your notification rule <strong>{{rule_name}}</strong>.</p>
+<div class="section">
+  <h3>Top candidates</h3>
+  <ul>
+    {{#each candidates}}<li><a href="{{this.url}}">{{this.name}}</a> - {{this.job_title}} (Score: {{this.match_score}}/100)</li>{{/each}}
+  </ul>
+  {{#if more_count}}<p>And {{more_count}} more.</p>{{/if}}
+</div>
+<p><a class="button" href="{{dashboard_url}}">Open dashboard</a></p>`,
+  },
+
+  stage_changed: {
+    name: 'Application stage changed',
+    description: 'Sent to the candidate when HR moves their application to another stage',
+    companyOverride: true,
+    variables: {
+      candidate_name: 'Candidate name',
+      job_title: 'Job title',
+      company_name: 'Hiring company',
+      stage: 'New stage',
+      previous_stage: 'Previous stage',
+      message: 'Message from the hiring team (may be empty)',
+    },
+    sample: {
+      candidate_name: 'Alex Morgan',
+      job_title: 'Senior Backend Engineer',
+      company_name: 'Acme Corp',
+      stage: 'Shortlisted',
+      previous_stage: 'Screening',
+      message: '',
+    },
+    subject: 'Update on your application for {{job_title}}',
+    html: `<p>Dear {{candidate_name}},</p>
+<p>Your application for <strong>{{job_title}}</strong> at <strong>{{company_name}}</strong> has moved to <strong>{{stage}}</strong>.</p>
+{{#if message}}<div class="section"><p>{{message}}</p></div>{{/if}}
+<p>We will be in touch about the next steps.</p>
+<p>Best regards,<br>The {{company_name}} Hiring Team</p>`,
+  },
+
+  rejection: {
+    name: 'Rejection',
+    description: 'Sent to the candidate when HR moves their application to the rejected stage',
+    companyOverride: true,
+    variables: {
+      candidate_name: 'Candidate name',
+      job_title: 'Job title',
+      company_name: 'Hiring company',
+      message: 'Message from the hiring team (may be empty)',
+    },
+    sample: {
+      candidate_name: 'Alex Morgan',
+      job_title: 'Senior Backend Engineer',
+      company_name: 'Acme Corp',
+      message: '',
+    },
+    subject: 'Your application for {{job_title}}',
+    html: `<p>Dear {{candidate_name}},</p>
+<p>Thank you for your interest in the <strong>{{job_title}}</strong> position at <strong>{{company_name}}</strong> and for the time you put into your application.</p>
+<p>After careful consideration we have decided not to move forward with your application.</p>
+{{#if message}}<div class="section"><p>{{message}}</p></div>{{/if}}
+<p>We wish you every success in your search.</p>
+<p>Best regards,<br>The {{company_name}} Hiring Team</p>`,
+  },
+
+  interview_invite: {
+    name: 'Interview invitation',
+    description: 'Sent to the candidate when HR moves their application to the interview stage',
+    companyOverride: true,
+    variables: {
+      candidate_name: 'Candidate name',
+      job_title: 'Job title',
+      company_name: 'Hiring company',
+      hr_name: 'HR contact name',
+      hr_email: 'HR contact email',
+      message: 'Message from the hiring team, e.g. scheduling details (may be empty)',
+    },
+    sample: {
+      candidate_name: 'Alex Morgan',
+      job_title: 'Senior Backend Engineer',
+      company_name: 'Acme Corp',
+      hr_name: 'Jane Smith',
+      hr_email: 'jane@acme.example',
+      message: 'Please share a few times that work for you next week.',
+    },
+    subject: 'Interview invitation - {{job_title}} at {{company_name}}',
+    html: `<p>Dear {{candidate_name}},</p>
+<p>We enjoyed reviewing your application for <strong>{{job_title}}</strong> and would like to invite you to an interview.</p>
+{{#if message}}<div class="section"><p>{{message}}</p></div>{{/if}}
+<p>Reply to {{#if hr_name}}{{hr_name}} at {{/if}}<a href="mailto:{{hr_email}}">{{hr_email}}</a> to arrange a time.</p>
+<p>Best regards,<br>The {{company_name}} Hiring Team</p>`,
+  },
+
+  company_invite: {
+    name: 'Team invitation',
+    description: 'Sent when a company owner invites a teammate',
+    companyOverride: true,
+    variables: {
+      company_name: 'Company',
+      inviter_name: 'Who sent the invite',
+      role: 'Company role offered',
+      invite_url: 'Link to accept the invite',
+      expires_on: 'Date the invite expires',
+    },
+    sample: {
+      company_name: 'Acme Corp',
+      inviter_name: 'Jane Smith',
+      role: 'Recruiter',
+      invite_url: 'https://ats.example.com/invites/sample-token',
+      expires_on: 'Mon Mar 02 2026',
+    },
+    subject: 'You\'re invited to join {{company_name}} on the ATS',
+    html: `<h2>Join {{company_name}}</h2>
+<p>{{inviter_name}} has invited you to join <strong>{{company_name}}</strong> as a <strong>{{role}}</strong>.</p>
+<p>Sign in (or create an HR account) with this email address, then accept the invite:</p>
+<p><a class="button" href="{{invite_url}}">Accept Invite</a></p>
+<p>This invite expires on {{expires_on}}.</p>`,
+  },
+
+  hr_approved: {
+    name: 'HR account approved',
+    description: 'Sent to an HR applicant when an admin approves their account',
+    companyOverride: false,
+    variables: {
+      name: 'Applicant name',
+      company_name: 'Company from the request',
+      login_url: 'Sign-in link',
+    },
+    sample: {
+      name: 'Jane Smith',
+      company_name: 'Acme Corp',
+      login_url: 'https://ats.example.com/login',
+    },
+    subject: 'Your HR account has been approved',
+    html: `<p>Hi {{name}},</p>
+<p>Your request for an HR account for <strong>{{company_name}}</strong> has been approved. You can now post jobs and review applications.</p>
+<p><a class="button" href="{{login_url}}">Sign in</a></p>`,
+  },
+
+  hr_rejected: {
+    name: 'HR account rejected',
+    description: 'Sent to an HR applicant when an admin rejects their account request',
+    companyOverride: false,
+    variables: {
+      name: 'Applicant name',
+      company_name: 'Company from the request',
+      reason: 'Rejection reason',
+    },
+    sample: {
+      name: 'Jane Smith',
+      company_name: 'Acme Corp',
+      reason: 'We could not verify the company domain.',
+    },
+    subject: 'Your HR account request',
+    html: `<p>Hi {{name}},</p>
+<p>Your request for an HR account for <strong>{{company_name}}</strong> was not approved.</p>
+<div class="section"><p><strong>Reason:</strong> {{reason}}</p></div>
+<p>You can reply to this email if you believe this is a mistake.</p>`,
+  },
+};
+
+const EMAIL_TEMPLATE_KEYS = Object.keys(EMAIL_TEMPLATES);
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  EMAIL_TEMPLATE_KEYS,
+};
@@ -0,0 +1,314 @@
+/**
+ * Structured job criteria - what HR defines as a "match"
+ *
+ * Stored in `jobs.criteria` (JSONB):
+ * {
+ *   required_skills: [{ name, weight }],     // weight 1-5, higher = more important
+ *   nice_to_have_skills: [string],
+ *   min_years_experience: number | null,
+ *   max_years_experience: number | null,
+ *   education_level: 'high_school' | 'associate' | 'bachelor' | 'master' | 'doctorate' | null,
+ *   knockout_questions: [
+ *     { id, question, type: 'yes_no', disqualifying_answer: 'yes' | 'no' },
+ *     { id, question, type: 'numeric', disqualify_below: number | null, disqualify_above: number | null },
+ *     { id, question, type: 'single_choice', options: [string], disqualifying_options: [string] }
+ *   ]
+ * }
+ *
+ * The work mode lives in its own column (`jobs.work_mode`) so jobs can be filtered by it.
+ */
+
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+
+const EDUCATION_LEVELS = {
+  high_school: 'High School',
+  associate: 'Associate Degree',
+  bachelor: "Bachelor's Degree",
+  master: "Master's Degree",
+  doctorate: 'Doctorate',
+};
+
+const QUESTION_TYPES = ['yes_no', 'numeric', 'single_choice'];
+
+const MIN_SKILL_WEIGHT = 1;
+const MAX_SKILL_WEIGHT = 5;
+
+/**
+ * Check whether an optional value was left empty
+ * @param {any} value - Raw value
+ * @returns {boolean} True for undefined, null or ''
+ */
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse an optional non-negative number of years
+ * @param {any} value - Raw value
+ * @param {string} field - Field name for error messages
+ * @returns {number|null} Years or null
+ */
+const parseYears = (value, field) => {
+  if (isBlank(value)) {
+    return null;
+  }
+
+  const years = Number(value);
+
+  if (!Number.isFinite(years) || years < 0 || years > 60) {
+    throw new Error(`${field} must be a number between 0 and 60`);
+  }
+
+  return years;
+};
+
+/**
+ * Normalize a list of names (skills, options), dropping blanks and duplicates
+ * @param {array} names - Raw names
+ * @returns {string[]} Names
+ */
+const normalizeNames = (names) => {
+  const seen = new Set();
+
+  return names
+    .map((name) => String(name || '').trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Validate and normalize a knock-out question (untyped questions are yes/no)
+ * @param {object} question - Raw question with an assigned id
+ * @returns {object} Normalized question
+ */
+const normalizeKnockoutQuestion = (question) => {
+  const type = question.type || 'yes_no';
+  const base = { id: question.id, question: String(question.question).trim(), type };
+
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new Error(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  if (type === 'yes_no') {
+    const disqualifyingAnswer = question.disqualifying_answer || 'no';
+
+    if (!['yes', 'no'].includes(disqualifyingAnswer)) {
+      throw new Error('disqualifying_answer must be "yes" or "no"');
+    }
+
+    return { ...base, disqualifying_answer: disqualifyingAnswer };
+  }
+
+  if (type === 'numeric') {
+    const below = isBlank(question.disqualify_below) ? null : Number(question.disqualify_below);
+    const above = isBlank(question.disqualify_above) ? null : Number(question.disqualify_above);
+
+    if ((below !== null && !Number.isFinite(below)) || (above !== null && !Number.isFinite(above))) {
+      throw new Error('disqualify_below and disqualify_above must be numbers');
+    }
+    if (below === null && above === null) {
+      throw new Error(`Numeric question "${base.question}" needs disqualify_below or disqualify_above`);
+    }
+    if (below !== null && above !== null && below > above) {
+      throw new Error('disqualify_below cannot be greater than disqualify_above');
+    }
+
+    return { ...base, disqualify_below: below, disqualify_above: above };
+  }
+
+  const options = normalizeNames(Array.isArray(question.options) ? question.options : []);
+  const disqualifyingOptions = normalizeNames(Array.isArray(question.disqualifying_options) ? question.disqualifying_options : []);
+
+  if (options.length < 2) {
+    throw new Error(`Single choice question "${base.question}" needs at least two options`);
+  }
+  if (disqualifyingOptions.length === 0 || disqualifyingOptions.some((option) => !options.includes(option))) {
+    throw new Error(`Single choice question "${base.question}" needs disqualifying options taken from its options`);
+  }
+
+  return { ...base, options, disqualifying_options: disqualifyingOptions };
+};
+
+/**
+ * Validate and normalize job criteria from a request body
+ * @param {object} input - Raw criteria
+ * @returns {object} { value, error } - normalized criteria or a validation message
+ */
+const validateJobCriteria = (input) => {
+  if (input === undefined || input === null) {
+    return { value: null, error: null };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'criteria must be an object' };
+  }
+
+  try {
+    const requiredSkillsInput = input.required_skills || [];
+    const niceToHaveInput = input.nice_to_have_skills || [];
+    const questionsInput = input.knockout_questions || [];
+
+    if (!Array.isArray(requiredSkillsInput) || !Array.isArray(niceToHaveInput) || !Array.isArray(questionsInput)) {
+      throw new Error('required_skills, nice_to_have_skills and knockout_questions must be arrays');
+    }
+
+    // Required skills accept plain names or { name, weight }
+    const weights = new Map();
+    requiredSkillsInput.forEach((skill) => {
+      const name = typeof skill === 'object' && skill !== null ? skill.name : skill;
+      const weight = typeof skill === 'object' && skill !== null && skill.weight !== undefined ? Number(skill.weight) : MIN_SKILL_WEIGHT;
+
+      if (!Number.isInteger(weight) || weight < MIN_SKILL_WEIGHT || weight > MAX_SKILL_WEIGHT) {
+        throw new Error(`Skill weight must be a whole number from ${MIN_SKILL_WEIGHT} to ${MAX_SKILL_WEIGHT}`);
+      }
+
+      weights.set(String(name || '').trim().toLowerCase(), weight);
+    });
+
+    const requiredSkills = normalizeNames(requiredSkillsInput.map((skill) => (
+      typeof skill === 'object' && skill !== null ? skill.name : skill
+    ))).map((name) => ({ name, weight: weights.get(name.toLowerCase()) }));
+
+    const requiredNames = new Set(requiredSkills.map((skill) => skill.name.toLowerCase()));
+    const niceToHaveSkills = normalizeNames(niceToHaveInput)
+      .filter((name) => !requiredNames.has(name.toLowerCase()));
+
+    const minYears = parseYears(input.min_years_experience, 'min_years_experience');
+    const maxYears = parseYears(input.max_years_experience, 'max_years_experience');
+
+    if (minYears !== null && maxYears !== null && minYears > maxYears) {
+      throw new Error('min_years_experience cannot be greater than max_years_experience');
+    }
+
+    const educationLevel = input.education_level || null;
+
+    if (educationLevel && !EDUCATION_LEVELS[educationLevel]) {
+      throw new Error(`education_level must be one of: ${Object.keys(EDUCATION_LEVELS).join(', ')}`);
+    }
+
+    const questionIds = new Set();
+    const knockoutQuestions = questionsInput
+      .filter((question) => question && String(question.question || '').trim())
+      .map((question, index) => {
+        let id = String(question.id || `q${index + 1}`);
+        while (questionIds.has(id)) {
+          id = `${id}_${index + 1}`;
+        }
+        questionIds.add(id);
+
+        return normalizeKnockoutQuestion({ ...question, id });
+      });
+
+    return {
+      value: {
+        required_skills: requiredSkills,
+        nice_to_have_skills: niceToHaveSkills,
+        min_years_experience: minYears,
+        max_years_experience: maxYears,
+        education_level: educationLevel,
+        knockout_questions: knockoutQuestions,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+};
+
+/**
+ * Strip disqualifying answers so questions can be shown to candidates
+ * @param {object} question - Knock-out question
+ * @returns {object} { id, question, type, options? }
+ */
+const toPublicQuestion = (question) => {
+  const type = question.type || 'yes_no';
+  const publicQuestion = { id: question.id, question: question.question, type };
+
+  if (type === 'single_choice') {
+    publicQuestion.options = question.options;
+  }
+
+  return publicQuestion;
+};
+
+/**
+ * Check a candidate's screening answers against the job's knock-out questions
+ * @param {object[]} questions - Knock-out questions
+ * @param {object} answers - Answers keyed by question id
+ * @returns {object} { answers, failed, error } - recorded answers, failed questions, or a validation message
+ */
+const evaluateScreeningAnswers = (questions, answers) => {
+  const recorded = [];
+  const failed = [];
+
+  for (const question of questions || []) {
+    const type = question.type || 'yes_no';
+    let answer = answers?.[question.id];
+
+    if (isBlank(answer)) {
+      return { answers: [], failed: [], error: `Please answer: ${question.question}` };
+    }
+
+    let disqualified = false;
+
+    if (type === 'yes_no') {
+      answer = answer === true ? 'yes' : answer === false ? 'no' : String(answer).toLowerCase();
+      if (!['yes', 'no'].includes(answer)) {
+        return { answers: [], failed: [], error: `Answer yes or no to: ${question.question}` };
+      }
+      disqualified = answer === question.disqualifying_answer;
+    } else if (type === 'numeric') {
+      answer = Number(answer);
+      if (!Number.isFinite(answer)) {
+        return { answers: [], failed: [], error: `Enter a number for: ${question.question}` };
+      }
+      disqualified = (!isBlank(question.disqualify_below) && answer < question.disqualify_below)
+        || (!isBlank(question.disqualify_above) && answer > question.disqualify_above);
+    } else {
+      answer = String(answer);
+      if (!question.options.includes(answer)) {
+        return { answers: [], failed: [], error: `Choose one of the options for: ${question.question}` };
+      }
+      disqualified = question.disqualifying_options.includes(answer);
+    }
+
+    recorded.push({ id: question.id, question: question.question, answer, disqualified });
+
+    if (disqualified) {
+      failed.push(question);
+    }
+  }
+
+  return { answers: recorded, failed, error: null };
+};
+
+/**
+ * Check whether a job has any structured criteria set
+ * @param {object|null} criteria - Job criteria
+ * @returns {boolean} True if at least one scoring criterion is set
+ */
+const hasScoringCriteria = (criteria) => {
+  if (!criteria) {
+    return false;
+  }
+
+  return (criteria.required_skills || []).length > 0
+    || (criteria.nice_to_have_skills || []).length > 0
+    || !isBlank(criteria.min_years_experience)
+    || !isBlank(criteria.max_years_experience)
+    || Boolean(criteria.education_level);
+};
+
+module.exports = {
+  validateJobCriteria,
+  hasScoringCriteria,
+  toPublicQuestion,
+  evaluateScreeningAnswers,
+  QUESTION_TYPES,
+  WORK_MODES,
+  EDUCATION_LEVELS,
+  MIN_SKILL_WEIGHT,
+  MAX_SKILL_WEIGHT,
+};
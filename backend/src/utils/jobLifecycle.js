@@ -0,0 +1,185 @@
+/**
+ * Job posting lifecycle
+ *
+ * draft -> scheduled -> active -> closed
+ *
+ * - draft: saved but not visible to candidates
+ * - scheduled: published automatically at `publish_at`
+ * - active: visible and accepting applications
+ * - closed: by HR, when `closing_date` passes, or after `max_applications`
+ *
+ * Transitions are made by HR (PATCH /api/ats/jobs/:jobId/status) or by the lifecycle
+ * worker, and every one is recorded in `job_status_history`.
+ */
+
+const JOB_STATUSES = ['draft', 'scheduled', 'active', 'closed'];
+
+// Statuses candidates (and anonymous visitors) can see
+const PUBLIC_JOB_STATUSES = ['active', 'closed'];
+
+// Reasons recorded in job_status_history
+const TRANSITION_REASONS = {
+  CREATED: 'created',
+  PUBLISH: 'publish',
+  SCHEDULE: 'schedule',
+  UNSCHEDULE: 'unschedule',
+  CLOSE: 'close',
+  REOPEN: 'reopen',
+  EXTEND: 'extend',
+  SCHEDULED_PUBLISH: 'scheduled_publish',
+  CLOSING_DATE: 'closing_date',
+  MAX_APPLICATIONS: 'max_applications',
+};
+
+// Manual transitions: current status -> target status -> reason
+const MANUAL_TRANSITIONS = {
+  draft: { active: TRANSITION_REASONS.PUBLISH, scheduled: TRANSITION_REASONS.SCHEDULE },
+  scheduled: {
+    active: TRANSITION_REASONS.PUBLISH,
+    scheduled: TRANSITION_REASONS.SCHEDULE,
+    draft: TRANSITION_REASONS.UNSCHEDULE,
+  },
+  active: { closed: TRANSITION_REASONS.CLOSE, active: TRANSITION_REASONS.EXTEND },
+  closed: { active: TRANSITION_REASONS.REOPEN },
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a closing date; a date without a time closes at the end of that day (UTC)
+ * @param {string|null|undefined} value - Date or date-time
+ * @returns {string|null|undefined} ISO timestamp, null when empty, undefined when invalid
+ */
+const normalizeClosingDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value);
+  const date = new Date(DATE_ONLY_PATTERN.test(text) ? `${text}T23:59:59.999Z` : text);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Parse a date-time that must lie in the future
+ * @param {string} value - Date-time
+ * @param {Date} now - Current time
+ * @returns {string|null} ISO timestamp, or null when invalid or not in the future
+ */
+const parseFutureDate = (value, now) => {
+  const date = new Date(value);
+  return !Number.isNaN(date.getTime()) && date > now ? date.toISOString() : null;
+};
+
+/**
+ * Whether a job's closing date has passed
+ * @param {object} job - Job record
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the job should no longer accept applications
+ */
+const isPastClosingDate = (job, now = new Date()) => (
+  Boolean(job.closing_date) && new Date(job.closing_date) <= now
+);
+
+/**
+ * Get the status a new job starts in
+ * @param {object} input - { status, publishAt } from the request
+ * @param {Date} now - Current time
+ * @returns {object} { value: { status, publishAt }, error }
+ */
+const resolveInitialStatus = (input, now = new Date()) => {
+  const status = input.status || 'active';
+
+  if (!['draft', 'active'].includes(status)) {
+    return { error: 'New jobs can only be saved as draft or active (use publishAt to schedule)' };
+  }
+
+  if (!input.publishAt) {
+    return { value: { status, publishAt: null } };
+  }
+
+  const publishAt = parseFutureDate(input.publishAt, now);
+
+  if (!publishAt) {
+    return { error: 'publishAt must be a date-time in the future' };
+  }
+
+  // A draft keeps its planned publish time until HR schedules it
+  return { value: { status: status === 'draft' ? 'draft' : 'scheduled', publishAt } };
+};
+
+/**
+ * Plan a manual status change
+ * @param {object} job - Current job record
+ * @param {object} input - { status, publishAt, closingDate } from the request
+ * @param {Date} now - Current time
+ * @returns {object} { value: { reason, updates }, error }
+ */
+const planTransition = (job, input, now = new Date()) => {
+  const reason = MANUAL_TRANSITIONS[job.status]?.[input.status];
+
+  if (!reason) {
+    return { error: `Cannot change a ${job.status} job to ${input.status}` };
+  }
+
+  const updates = { status: input.status };
+
+  if (input.closingDate !== undefined) {
+    const closingDate = normalizeClosingDate(input.closingDate);
+
+    if (closingDate === undefined || (closingDate && new Date(closingDate) <= now)) {
+      return { error: 'closingDate must be a date in the future' };
+    }
+
+    updates.closing_date = closingDate;
+  }
+
+  const closingDate = updates.closing_date !== undefined ? updates.closing_date : job.closing_date;
+
+  switch (reason) {
+    case TRANSITION_REASONS.SCHEDULE: {
+      const publishAt = parseFutureDate(input.publishAt || job.publish_at, now);
+
+      if (!publishAt) {
+        return { error: 'publishAt must be a date-time in the future' };
+      }
+
+      updates.publish_at = publishAt;
+      break;
+    }
+    case TRANSITION_REASONS.UNSCHEDULE:
+      updates.publish_at = null;
+      break;
+    case TRANSITION_REASONS.CLOSE:
+      updates.closed_at = now.toISOString();
+      updates.close_reason = 'manual';
+      break;
+    case TRANSITION_REASONS.EXTEND:
+      if (updates.closing_date === undefined) {
+        return { error: 'closingDate is required to extend an active job' };
+      }
+      break;
+    default:
+      // publish / reopen
+      if (isPastClosingDate({ closing_date: closingDate }, now)) {
+        return { error: 'The closing date has passed; provide a new closingDate' };
+      }
+
+      updates.publish_at = null;
+      updates.published_at = job.published_at || now.toISOString();
+      updates.closed_at = null;
+      updates.close_reason = null;
+  }
+
+  return { value: { reason, updates } };
+};
+
+module.exports = {
+  JOB_STATUSES,
+  PUBLIC_JOB_STATUSES,
+  TRANSITION_REASONS,
+  normalizeClosingDate,
+  isPastClosingDate,
+  resolveInitialStatus,
+  planTransition,
+};
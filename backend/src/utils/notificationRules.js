@@ -0,0 +1,162 @@
+const { parseOutboundUrl } = require('./outboundUrl');
+
+/**
+ * HR notification rules - which scored applications an HR user hears about, and how
+ *
+ * Stored in `notification_rules`:
+ * {
+ *   name: string,
+ *   job_id: string | null,            // null = every job of the owner's company
+ *   min_score: number,                // 0-100
+ *   required_skills: [string],        // the resume must mention all of them
+ *   delivery: 'instant' | 'hourly' | 'daily',
+ *   daily_cap: number | null,         // most candidates sent in any 24 hours
+ *   email_enabled: boolean,           // email the rule owner
+ *   webhook_url: string | null,       // POST the candidates as JSON
+ *   is_active: boolean
+ * }
+ */
+
+const DELIVERY_MODES = ['instant', 'hourly', 'daily'];
+
+// How often a digest rule sends its digest
+const DIGEST_INTERVALS_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_REQUIRED_SKILLS = 20;
+const MAX_DAILY_CAP = 1000;
+
+// Used for jobs no active rule applies to (the alert before rules existed)
+const DEFAULT_MIN_SCORE = 80;
+
+/**
+ * Check whether an optional value was left empty
+ * @param {any} value - Raw value
+ * @returns {boolean} True for undefined, null or ''
+ */
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Normalize a list of skill names, dropping blanks and duplicates
+ * @param {array} names - Raw names
+ * @returns {string[]} Names
+ */
+const normalizeSkillNames = (names) => {
+  const seen = new Set();
+
+  return names
+    .map((name) => String(name || '').trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Validate and normalize a webhook URL
+ * Its host is resolved and checked separately (checkOutboundHost), which needs DNS.
+ * @param {any} value - Raw URL
+ * @returns {string|null} URL or null
+ */
+const parseWebhookUrl = (value) => {
+  if (isBlank(value)) {
+    return null;
+  }
+
+  return parseOutboundUrl(value, 'webhook_url');
+};
+
+/**
+ * Validate and normalize a notification rule from a request body
+ * For updates, pass the stored rule: omitted fields keep their stored value.
+ * @param {object} input - Raw rule
+ * @param {object|null} existing - Stored rule being updated
+ * @returns {object} { value, error } - normalized rule columns or a validation message
+ */
+const validateNotificationRule = (input, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Request body must be an object' };
+  }
+
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : (existing ? existing[field] : fallback));
+
+  try {
+    const name = String(pick('name', '') || '').trim();
+
+    if (!name) {
+      throw new Error('name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const minScore = Number(pick('min_score', DEFAULT_MIN_SCORE));
+
+    if (!Number.isInteger(minScore) || minScore < 0 || minScore > 100) {
+      throw new Error('min_score must be a whole number from 0 to 100');
+    }
+
+    const skillsInput = pick('required_skills', []) || [];
+
+    if (!Array.isArray(skillsInput)) {
+      throw new Error('required_skills must be an array');
+    }
+
+    const requiredSkills = normalizeSkillNames(skillsInput);
+
+    if (requiredSkills.length > MAX_REQUIRED_SKILLS) {
+      throw new Error(`A rule can require at most ${MAX_REQUIRED_SKILLS} skills`);
+    }
+
+    const delivery = pick('delivery', 'instant');
+
+    if (!DELIVERY_MODES.includes(delivery)) {
+      throw new Error(`delivery must be one of: ${DELIVERY_MODES.join(', ')}`);
+    }
+
+    const capInput = pick('daily_cap', null);
+    const dailyCap = isBlank(capInput) ? null : Number(capInput);
+
+    if (dailyCap !== null && (!Number.isInteger(dailyCap) || dailyCap < 1 || dailyCap > MAX_DAILY_CAP)) {
+      throw new Error(`daily_cap must be a whole number from 1 to ${MAX_DAILY_CAP}, or empty for no cap`);
+    }
+
+    const emailEnabled = pick('email_enabled', true) !== false;
+    const webhookUrl = parseWebhookUrl(pick('webhook_url', null));
+
+    if (!emailEnabled && !webhookUrl) {
+      throw new Error('Enable email or set a webhook_url so the rule has a channel');
+    }
+
+    const jobId = pick('job_id', null);
+
+    return {
+      value: {
+        name,
+        job_id: isBlank(jobId) ? null : String(jobId),
+        min_score: minScore,
+        required_skills: requiredSkills,
+        delivery,
+        daily_cap: dailyCap,
+        email_enabled: emailEnabled,
+        webhook_url: webhookUrl,
+        is_active: pick('is_active', true) !== false,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+};
+
+module.exports = {
+  DELIVERY_MODES,
+  DIGEST_INTERVALS_MS,
+  DEFAULT_MIN_SCORE,
+  validateNotificationRule,
+};
@@ -0,0 +1,169 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Outbound URLs - URLs the server calls on a user's behalf (notification and company webhooks)
+ *
+ * Only public http(s) hosts may be called. Loopback, private (RFC 1918), link-local (cloud
+ * metadata at 169.254.169.254), CGNAT, unique-local, multicast and other reserved addresses are
+ * rejected when the URL is saved, and again at send time on the addresses the request actually
+ * connects to, so a hostname re-pointed after saving (DNS rebinding) cannot reach them either.
+ */
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], // "this network"
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.88.99.0', 24, 'ipv4'], // 6to4 relay
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved, broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 (embeds an IPv4 address)
+  ['100::', 64, 'ipv6'], // discard
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['2002::', 16, 'ipv6'], // 6to4 (embeds an IPv4 address)
+  ['fc00::', 7, 'ipv6'], // unique-local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'], // multicast
+];
+
+// IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+/**
+ * Whether an IP address is one outbound calls must not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+
+  if (!family) {
+    return true;
+  }
+
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Get a URL's host without IPv6 brackets or a trailing dot
+ * @param {URL} url - Parsed URL
+ * @returns {string} Host name or IP address
+ */
+const getHost = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+
+/**
+ * Validate and normalize an outbound URL without resolving its host
+ * @param {any} value - Raw URL
+ * @param {string} field - Field name used in error messages
+ * @returns {string} URL
+ */
+const parseOutboundUrl = (value, field = 'url') => {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    throw new Error(`${field} must be a valid URL`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${field} must start with http:// or https://`);
+  }
+
+  if (url.username || url.password) {
+    throw new Error(`${field} must not contain credentials`);
+  }
+
+  const host = getHost(url);
+
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    throw new Error(`${field} must point to a public host, not a private or reserved address`);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Resolve an outbound URL's host and check every address it resolves to (when the URL is saved)
+ * @param {string} value - URL accepted by parseOutboundUrl
+ * @param {string} field - Field name used in error messages
+ * @returns {Promise<string|null>} Validation message, or null when the host is public
+ */
+const checkOutboundHost = async (value, field = 'url') => {
+  try {
+    const host = getHost(new URL(parseOutboundUrl(value, field)));
+
+    if (net.isIP(host)) {
+      return null;
+    }
+
+    const addresses = await dns.promises.lookup(host, { all: true });
+
+    return addresses.some(({ address }) => isBlockedAddress(address))
+      ? `${field} must point to a public host, not a private or reserved address`
+      : null;
+  } catch (error) {
+    return error.code ? `${field} host could not be resolved` : error.message;
+  }
+};
+
+/**
+ * dns.lookup for outbound sockets: fails when the host resolves to a blocked address
+ * Runs as the socket connects, so the address checked is the address used.
+ * @param {string} hostname - Host being connected to
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const outboundLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private or reserved address`));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const outboundAgents = {
+  httpAgent: new http.Agent({ lookup: outboundLookup }),
+  httpsAgent: new https.Agent({ lookup: outboundLookup }),
+};
+
+/**
+ * axios options for calling an outbound URL at send time
+ * Checks the URL again (it may have been saved before these checks existed), connects only to
+ * public addresses and does not follow redirects, which could lead anywhere.
+ * @param {string} url - URL about to be called
+ * @returns {object} { httpAgent, httpsAgent, maxRedirects }
+ */
+const getOutboundRequestOptions = (url) => {
+  parseOutboundUrl(url);
+
+  return { ...outboundAgents, maxRedirects: 0 };
+};
+
+module.exports = {
+  isBlockedAddress,
+  parseOutboundUrl,
+  checkOutboundHost,
+  getOutboundRequestOptions,
+};
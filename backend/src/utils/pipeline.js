@@ -0,0 +1,114 @@
+/**
+ * Hiring pipeline - the stages HR moves an application through after it is processed
+ *
+ * Stored per company in `companies.pipeline_stages` (JSONB, NULL = default pipeline):
+ * [{ key, label, terminal }]
+ *
+ * The first stage is where new applications start. Terminal stages (hired, rejected,
+ * withdrawn) end the process; applications can still be moved out of them to correct mistakes.
+ * This is separate from `application_status`, which tracks background processing.
+ */
+
+const DEFAULT_PIPELINE_STAGES = [
+  { key: 'applied', label: 'Applied', terminal: false },
+  { key: 'screening', label: 'Screening', terminal: false },
+  { key: 'shortlisted', label: 'Shortlisted', terminal: false },
+  { key: 'interview', label: 'Interview', terminal: false },
+  { key: 'offer', label: 'Offer', terminal: false },
+  { key: 'hired', label: 'Hired', terminal: true },
+  { key: 'rejected', label: 'Rejected', terminal: true },
+  { key: 'withdrawn', label: 'Withdrawn', terminal: true },
+];
+
+// Candidates may only take their own application out of the process
+const CANDIDATE_STAGE = 'withdrawn';
+
+// Applications screened out by knock-out questions land here when the pipeline has it
+const REJECTED_STAGE = 'rejected';
+
+const MAX_STAGES = 20;
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Get a company's pipeline, falling back to the default
+ * @param {array|null} stages - Stored pipeline stages
+ * @returns {object[]} Pipeline stages
+ */
+const resolvePipeline = (stages) => (
+  Array.isArray(stages) && stages.length > 0 ? stages : DEFAULT_PIPELINE_STAGES
+);
+
+/**
+ * Find a stage in a pipeline
+ * @param {object[]} stages - Pipeline stages
+ * @param {string} key - Stage key
+ * @returns {object|null} Stage or null
+ */
+const findStage = (stages, key) => stages.find((stage) => stage.key === key) || null;
+
+/**
+ * Get the stage a new application starts in
+ * @param {object[]} stages - Pipeline stages
+ * @param {boolean} screenedOut - Whether the application failed a knock-out question
+ * @returns {string} Stage key
+ */
+const getEntryStage = (stages, screenedOut = false) => {
+  if (screenedOut && findStage(stages, REJECTED_STAGE)) {
+    return REJECTED_STAGE;
+  }
+
+  return stages[0].key;
+};
+
+/**
+ * Validate and normalize a company pipeline from a request body
+ * @param {array} input - Raw stages ({ key, label, terminal } or plain labels)
+ * @returns {object} { value, error } - normalized stages or a validation message
+ */
+const validatePipelineStages = (input) => {
+  if (!Array.isArray(input)) {
+    return { value: null, error: 'stages must be an array' };
+  }
+
+  if (input.length < 2 || input.length > MAX_STAGES) {
+    return { value: null, error: `A pipeline needs between 2 and ${MAX_STAGES} stages` };
+  }
+
+  const keys = new Set();
+  const stages = [];
+
+  for (const raw of input) {
+    const stage = typeof raw === 'string' ? { label: raw } : raw || {};
+    const label = String(stage.label || '').trim();
+    const key = String(stage.key || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+    if (!label) {
+      return { value: null, error: 'Every stage needs a label' };
+    }
+    if (!STAGE_KEY_PATTERN.test(key)) {
+      return { value: null, error: `Invalid stage key "${key}": use lowercase letters, digits and underscores` };
+    }
+    if (keys.has(key)) {
+      return { value: null, error: `Duplicate stage "${key}"` };
+    }
+
+    keys.add(key);
+    stages.push({ key, label, terminal: Boolean(stage.terminal) });
+  }
+
+  if (stages[0].terminal) {
+    return { value: null, error: 'The first stage cannot be terminal' };
+  }
+
+  return { value: stages, error: null };
+};
+
+module.exports = {
+  resolvePipeline,
+  findStage,
+  getEntryStage,
+  validatePipelineStages,
+  DEFAULT_PIPELINE_STAGES,
+  CANDIDATE_STAGE,
+  REJECTED_STAGE,
+};
@@ -0,0 +1,288 @@
+/**
+ * Scoring prompt templates
+ *
+ * A template is plain text with {{variable}} placeholders, stored as versions in
+ * `scoring_prompt_templates`. Every template must include {{output_schema}}: the JSON
+ * structure the LLM has to answer with. It is filled in by the code, not by the
+ * template, so the response can always be parsed and validated the same way.
+ *
+ * Variables:
+ *   {{job_title}}               - Job title
+ *   {{job_description}}         - Description and free-text requirements
+ *   {{structured_requirements}} - HR-defined criteria (skills with importance, experience,
+ *                                 education, work mode); empty when none are set
+ *   {{company_values}}          - The hiring company's values (`companies.culture_values`)
+ *   {{resume_summary}}          - Name, experience, skills, education and work history
+ *   {{output_schema}}           - Required JSON response structure (mandatory)
+ */
+
+const { hasScoringCriteria, EDUCATION_LEVELS } = require('./jobCriteria');
+
+const TEMPLATE_VARIABLES = [
+  'job_title',
+  'job_description',
+  'structured_requirements',
+  'company_values',
+  'resume_summary',
+  'output_schema',
+];
+
+const REQUIRED_TEMPLATE_VARIABLES = ['job_description', 'resume_summary', 'output_schema'];
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+// Variants one job can be split between
+const MAX_JOB_TEMPLATES = 4;
+
+const VARIABLE_REGEX = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+const OUTPUT_SCHEMA = `{
+  "match_score": <integer 0-100>,
+  "shortlist_probability": <decimal 0.00-1.00>,
+  "salary_range": {
+    "min": <integer>,
+    "max": <integer>
+  },
+  "missing_skills": [<array of strings>],
+  "strong_skills": [<array of strings>],
+  "recommendation": "<string: detailed recommendation>",
+  "key_highlights": [<array of strings>],
+  "areas_of_concern": [<array of strings>]
+}`;
+
+// Version 1: the prompt used before templates were stored (seeded by migration 019)
+const DEFAULT_TEMPLATE = {
+  id: null,
+  version: 1,
+  name: 'Default scoring prompt',
+  body: `You are an expert ATS (Applicant Tracking System) scoring engine. Analyze the following resume against the job description and provide a detailed scoring analysis.
+
+**Job Description:**
+{{job_description}}
+{{structured_requirements}}
+**Resume Summary:**
+{{resume_summary}}
+
+**Task:**
+Analyze the resume and provide a JSON response with the following structure:
+{{output_schema}}
+
+**Scoring Criteria:**
+- match_score: Overall fit (0-100)
+- shortlist_probability: Likelihood of shortlisting (0.00-1.00)
+- salary_range: Estimated salary based on experience and skills
+- missing_skills: Required or nice-to-have skills missing from resume
+- strong_skills: Skills from resume that strongly match job requirements
+- Weigh required skills by their importance; a missing high-importance skill should lower match_score substantially
+- recommendation: Brief recommendation for hiring decision
+- key_highlights: Top 3-5 strengths
+- areas_of_concern: Potential weaknesses or gaps
+
+Respond ONLY with valid JSON. Do not include any explanation outside the JSON structure.`,
+};
+
+/**
+ * Format HR-defined job criteria for the scoring prompt
+ * @param {object|null} criteria - Structured job criteria
+ * @param {string|null} workMode - remote | hybrid | onsite
+ * @returns {string} Prompt section, or an empty string when nothing is set
+ */
+const formatCriteriaForPrompt = (criteria, workMode) => {
+  if (!hasScoringCriteria(criteria) && !workMode) {
+    return '';
+  }
+
+  const lines = [];
+  const { required_skills: requiredSkills = [], nice_to_have_skills: niceToHave = [] } = criteria || {};
+
+  if (requiredSkills.length > 0) {
+    lines.push(`- Required skills (importance 1-5): ${requiredSkills.map((skill) => `${skill.name} (${skill.weight})`).join(', ')}`);
+  }
+  if (niceToHave.length > 0) {
+    lines.push(`- Nice-to-have skills: ${niceToHave.join(', ')}`);
+  }
+
+  const minYears = criteria?.min_years_experience ?? null;
+  const maxYears = criteria?.max_years_experience ?? null;
+  if (minYears !== null || maxYears !== null) {
+    const range = maxYears !== null ? `${minYears || 0}-${maxYears} years` : `${minYears}+ years`;
+    lines.push(`- Experience: ${range}`);
+  }
+
+  if (criteria?.education_level) {
+    lines.push(`- Minimum education: ${EDUCATION_LEVELS[criteria.education_level]}`);
+  }
+  if (workMode) {
+    lines.push(`- Work mode: ${workMode}`);
+  }
+
+  return `
+**Hiring Criteria (set by HR - these define a match and take precedence over the description):**
+${lines.join('\n')}
+`;
+};
+
+/**
+ * Summarize a parsed resume for the scoring prompt
+ * @param {object} parsedResume - Parsed resume data
+ * @returns {string} Resume summary lines
+ */
+const formatResumeSummary = (parsedResume) => {
+  const workHistory = parsedResume.experience?.map((exp) => ({
+    title: exp.title,
+    company: exp.company,
+    duration: exp.duration,
+  })) || [];
+
+  return [
+    `Name: ${parsedResume.personalInfo?.name || 'Unknown'}`,
+    `Total Experience: ${parsedResume.totalExperience || 'Not specified'}`,
+    `Skills: ${(parsedResume.skills?.all || []).join(', ')}`,
+    `Education: ${JSON.stringify(parsedResume.education || [])}`,
+    `Work History: ${JSON.stringify(workHistory)}`,
+  ].join('\n');
+};
+
+/**
+ * Build the values for a template's variables
+ * @param {object} parsedResume - Parsed resume data
+ * @param {object} job - Job record ({ title, description, requirements, criteria, work_mode })
+ * @param {string|null} companyValues - The hiring company's values
+ * @returns {object} Variable name -> text
+ */
+const buildTemplateVariables = (parsedResume, job, companyValues = null) => ({
+  job_title: job.title || '',
+  job_description: [job.description, job.requirements && `Requirements:\n${job.requirements}`]
+    .filter(Boolean)
+    .join('\n\n'),
+  structured_requirements: formatCriteriaForPrompt(job.criteria, job.work_mode),
+  company_values: companyValues || 'Not specified',
+  resume_summary: formatResumeSummary(parsedResume),
+  output_schema: OUTPUT_SCHEMA,
+});
+
+/**
+ * Check a template body's variables
+ * @param {string} body - Template text
+ * @returns {string|null} Error message or null when valid
+ */
+const checkTemplateBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'body is required';
+  }
+  if (body.length > MAX_TEMPLATE_LENGTH) {
+    return `body must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  const used = new Set([...body.matchAll(VARIABLE_REGEX)].map((match) => match[1]));
+  const unknown = [...used].filter((name) => !TEMPLATE_VARIABLES.includes(name));
+
+  if (unknown.length > 0) {
+    return `Unknown template variables: ${unknown.map((name) => `{{${name}}}`).join(', ')}`;
+  }
+
+  const missing = REQUIRED_TEMPLATE_VARIABLES.filter((name) => !used.has(name));
+
+  if (missing.length > 0) {
+    return `Template must include ${missing.map((name) => `{{${name}}}`).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate and normalize a new template version
+ * @param {object} input - Raw template from the request body ({ name, body, notes })
+ * @returns {object} { value, error } - template columns, or an error message
+ */
+const validatePromptTemplate = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Template must be an object' };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const notes = typeof input.notes === 'string' ? input.notes.trim() : '';
+
+  if (!name) {
+    return { value: null, error: 'name is required' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { value: null, error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return { value: null, error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+  }
+
+  const bodyError = checkTemplateBody(input.body);
+
+  if (bodyError) {
+    return { value: null, error: bodyError };
+  }
+
+  return {
+    value: { name, body: input.body, notes: notes || null },
+    error: null,
+  };
+};
+
+/**
+ * Validate a job's A/B split between template versions
+ * @param {array} input - [{ templateId, weight }] - an empty array clears the split
+ * @returns {object} { value, error } - [{ template_id, weight }], or an error message
+ */
+const validateJobPromptTemplates = (input) => {
+  if (!Array.isArray(input)) {
+    return { value: null, error: 'templates must be an array' };
+  }
+  if (input.length > MAX_JOB_TEMPLATES) {
+    return { value: null, error: `At most ${MAX_JOB_TEMPLATES} templates can be assigned to a job` };
+  }
+
+  const value = [];
+
+  for (const item of input) {
+    const templateId = parseInt(item?.templateId, 10);
+    const weight = Number(item?.weight);
+
+    if (!templateId || templateId < 1) {
+      return { value: null, error: 'Each template needs a templateId' };
+    }
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+      return { value: null, error: 'weight must be a whole number from 1 to 100' };
+    }
+    if (value.some((assignment) => assignment.template_id === templateId)) {
+      return { value: null, error: `Template ${templateId} is assigned more than once` };
+    }
+
+    value.push({ template_id: templateId, weight });
+  }
+
+  return { value, error: null };
+};
+
+/**
+ * Fill in a template's variables
+ * @param {string} body - Template text
+ * @param {object} variables - Variable name -> text
+ * @returns {string} Prompt
+ */
+const renderTemplate = (body, variables) => body.replace(VARIABLE_REGEX, (placeholder, name) => (
+  Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder
+));
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  REQUIRED_TEMPLATE_VARIABLES,
+  MAX_TEMPLATE_LENGTH,
+  MAX_JOB_TEMPLATES,
+  DEFAULT_TEMPLATE,
+  formatCriteriaForPrompt,
+  formatResumeSummary,
+  buildTemplateVariables,
+  checkTemplateBody,
+  validatePromptTemplate,
+  validateJobPromptTemplates,
+  renderTemplate,
+};
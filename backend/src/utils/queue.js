@@ -0,0 +1,405 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const queueModel = require('../models/queue.model');
+const logger = require('./logger');
+
+/**
+ * Durable job queue backed by the `job_queue` table
+ *
+ * Jobs survive restarts, are claimed atomically (see migrations/004_job_queue.sql)
+ * and are retried with backoff. Workers renew the lock of running jobs; a job whose
+ * lock is older than the stall timeout belonged to a crashed worker and is requeued.
+ * A job that exhausts its attempts is moved to the `dead_letter` state where it can be
+ * inspected and requeued (GET /api/admin/queues).
+ *
+ * The API mirrors Bull: `add(name, data, options)`, `process(name, [concurrency], fn)`
+ * and `getJob(id)`. Queues emit `completed` (job, result), `failed` (job, error) after
+ * every failed attempt and `dead_letter` (job, error) once no attempts remain.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 2000;
+const DEFAULT_STALL_TIMEOUT_SECONDS = parseInt(process.env.QUEUE_STALL_TIMEOUT_SECONDS, 10) || 300;
+
+const DEFAULT_JOB_OPTIONS = {
+  attempts: 3,
+  backoff: { type: 'exponential', delay: 5000 },
+  priority: 0,
+};
+
+/**
+ * Compute the delay before the next attempt
+ * @param {object} backoff - Backoff settings ({ type, delay })
+ * @param {number} attemptsMade - Attempts already made (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+const computeBackoffDelay = (backoff, attemptsMade) => {
+  const baseDelay = backoff?.delay || DEFAULT_JOB_OPTIONS.backoff.delay;
+
+  if (backoff?.type === 'fixed') {
+    return baseDelay;
+  }
+
+  return baseDelay * Math.pow(2, Math.max(attemptsMade - 1, 0));
+};
+
+class Queue extends EventEmitter {
+  constructor(name = 'default', options = {}) {
+    super();
+    this.name = name;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    this.stallTimeout = options.stallTimeout || DEFAULT_STALL_TIMEOUT_SECONDS;
+    this.defaultJobOptions = { ...DEFAULT_JOB_OPTIONS, ...options.defaultJobOptions };
+    this.workerId = `${os.hostname()}-${process.pid}-${name}`;
+    this.handlers = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.closing = false;
+    this.lastStallCheck = 0;
+    logger.info(`Queue initialized: ${name}`);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} jobName - Name of the job
+   * @param {object} data - Job data (must be JSON-serializable)
+   * @param {object} options - Job options (delay, attempts, backoff, priority)
+   * @returns {Promise<object>} Stored job record
+   */
+  async add(jobName, data = {}, options = {}) {
+    const jobOptions = { ...this.defaultJobOptions, ...options };
+    const runAt = new Date(Date.now() + (jobOptions.delay || 0));
+
+    const job = await queueModel.insertJob({
+      queue: this.name,
+      name: jobName,
+      data,
+      priority: jobOptions.priority,
+      maxAttempts: jobOptions.attempts,
+      backoff: jobOptions.backoff,
+      runAt: runAt.toISOString(),
+    });
+
+    logger.info(`Job added to queue [${this.name}]: ${jobName}`, { jobId: job.id });
+
+    if (jobOptions.delay) {
+      logger.info(`Job delayed by ${jobOptions.delay}ms: ${job.id}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Register a processor for a job name and start pulling jobs
+   * @param {string} jobName - Name of job to process
+   * @param {number|function} concurrency - Max parallel jobs, or the processor
+   * @param {function} processor - async (job) => result
+   */
+  process(jobName, concurrency, processor) {
+    if (typeof concurrency === 'function') {
+      processor = concurrency;
+      concurrency = 1;
+    }
+
+    this.handlers.set(jobName, {
+      processor,
+      concurrency: Math.max(parseInt(concurrency, 10) || 1, 1),
+      active: 0,
+    });
+
+    logger.info(`Processor registered for job [${this.name}]: ${jobName} (concurrency ${concurrency})`);
+
+    this.start();
+
+    return {
+      jobName,
+      processor: processor.name || 'anonymous',
+    };
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.closing || this.timer || process.env.QUEUE_WORKERS_ENABLED === 'false') {
+      return;
+    }
+
+    this.scheduleTick(0);
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delay - Milliseconds until the next poll
+   */
+  scheduleTick(delay) {
+    if (this.closing) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Claim and start as many jobs as there is free capacity for
+   */
+  async tick() {
+    if (this.polling || this.closing) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      await this.checkStalledJobs();
+
+      let names = this.getAvailableJobNames();
+
+      while (names.length > 0 && !this.closing) {
+        const job = await queueModel.claimNextJob(this.name, names, this.workerId);
+
+        if (!job) {
+          break;
+        }
+
+        this.runJob(job);
+        names = this.getAvailableJobNames();
+      }
+    } catch (error) {
+      logger.error(`Queue poll failed [${this.name}]:`, error.message);
+    } finally {
+      this.polling = false;
+      this.scheduleTick(this.pollInterval);
+    }
+  }
+
+  /**
+   * Job names whose processors have free concurrency slots
+   * @returns {string[]} Job names
+   */
+  getAvailableJobNames() {
+    return [...this.handlers.entries()]
+      .filter(([, handler]) => handler.active < handler.concurrency)
+      .map(([jobName]) => jobName);
+  }
+
+  /**
+   * Periodically return jobs abandoned by crashed workers to the queue
+   */
+  async checkStalledJobs() {
+    const now = Date.now();
+
+    if (now - this.lastStallCheck < this.stallTimeout * 1000) {
+      return;
+    }
+
+    this.lastStallCheck = now;
+    const requeued = await queueModel.requeueStalledJobs(this.name, this.stallTimeout);
+
+    if (requeued > 0) {
+      logger.warn(`Requeued ${requeued} stalled job(s) in queue [${this.name}]`);
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @param {object} row - Claimed job record
+   */
+  async runJob(row) {
+    const handler = this.handlers.get(row.name);
+    handler.active += 1;
+
+    const job = {
+      id: row.id,
+      name: row.name,
+      data: row.data || {},
+      attemptsMade: row.attempts,
+      maxAttempts: row.max_attempts,
+      queue: this.name,
+    };
+
+    const heartbeat = this.startHeartbeat(row);
+
+    try {
+      logger.info(`Processing job [${this.name}]: ${row.name}`, { jobId: row.id, attempt: row.attempts });
+      const result = await handler.processor(job);
+      await queueModel.completeJob(row.id, result);
+      logger.info(`Job completed [${this.name}]: ${row.name}`, { jobId: row.id });
+      this.safeEmit('completed', job, result);
+    } catch (error) {
+      await this.handleFailure(row, error);
+      this.safeEmit('failed', job, error);
+
+      if (job.attemptsMade >= job.maxAttempts) {
+        this.safeEmit('dead_letter', job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      handler.active -= 1;
+      this.scheduleTick(0);
+    }
+  }
+
+  /**
+   * Renew a running job's lock every third of the stall timeout
+   * Only jobs whose worker stopped renewing (crashed) are requeued as stalled, however long they run.
+   * @param {object} row - Claimed job record
+   * @returns {object} Interval to clear once the job finishes
+   */
+  startHeartbeat(row) {
+    const interval = setInterval(async () => {
+      try {
+        const held = await queueModel.renewJobLock(row.id, this.workerId);
+
+        if (!held) {
+          logger.warn(`Lost the lock on job [${this.name}]: ${row.name}`, { jobId: row.id });
+        }
+      } catch (error) {
+        logger.error(`Failed to renew job lock [${this.name}]:`, error.message);
+      }
+    }, Math.max((this.stallTimeout * 1000) / 3, 1000));
+
+    interval.unref();
+    return interval;
+  }
+
+  /**
+   * Retry a failed job with backoff or move it to the dead-letter state
+   * @param {object} row - Job record
+   * @param {Error} error - Processor error
+   */
+  async handleFailure(row, error) {
+    const message = error?.message || String(error);
+
+    try {
+      if (row.attempts >= row.max_attempts) {
+        await queueModel.deadLetterJob(row.id, message);
+        logger.error(`Job moved to dead letter [${this.name}]: ${row.name}`, { jobId: row.id, error: message });
+        return;
+      }
+
+      const delay = computeBackoffDelay(row.backoff, row.attempts);
+      await queueModel.retryJobLater(row.id, message, new Date(Date.now() + delay));
+      logger.warn(`Job failed [${this.name}]: ${row.name}, retrying in ${delay}ms`, { jobId: row.id, error: message });
+    } catch (updateError) {
+      // The stalled-job check will pick the job up again once its lock expires
+      logger.error(`Failed to record job failure [${this.name}]:`, updateError.message);
+    }
+  }
+
+  /**
+   * Emit an event without letting listener errors affect job bookkeeping
+   * @param {string} event - Event name
+   * @param {...any} args - Event arguments
+   */
+  safeEmit(event, ...args) {
+    try {
+      this.emit(event, ...args);
+    } catch (listenerError) {
+      logger.error(`Queue listener failed [${this.name}]:`, listenerError.message);
+    }
+  }
+
+  /**
+   * Get job status
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Job record
+   */
+  async getJob(jobId) {
+    const job = await queueModel.getJobById(jobId);
+    return job && job.queue === this.name ? job : null;
+  }
+
+  /**
+   * Get jobs in this queue
+   * @param {object} filters - Filter options (status, name, limit)
+   * @returns {Promise<array>} Job records
+   */
+  async getJobs(filters = {}) {
+    return queueModel.getJobs(this.name, filters);
+  }
+
+  /**
+   * Count jobs per status
+   * @returns {Promise<object>} Counts keyed by status
+   */
+  async getJobCounts() {
+    return queueModel.getJobCounts(this.name);
+  }
+
+  /**
+   * Requeue a dead-lettered job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object>} Updated job record
+   */
+  async retry(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      throw new Error('Queue job not found');
+    }
+
+    if (job.status !== 'dead_letter') {
+      throw new Error(`Only dead-lettered jobs can be retried (job is ${job.status})`);
+    }
+
+    const requeued = await queueModel.requeueDeadLetterJob(jobId);
+    this.scheduleTick(0);
+    return requeued;
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to finish
+   * @param {number} timeoutMs - Maximum time to wait
+   */
+  async close(timeoutMs = 5000) {
+    this.closing = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    const activeCount = () => [...this.handlers.values()].reduce((sum, h) => sum + h.active, 0);
+
+    while (activeCount() > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    logger.info(`Queue closed: ${this.name}`);
+  }
+}
+
+// Create default queue instances
+const emailQueue = new Queue('email');
+const parsingQueue = new Queue('parsing');
+const scoringQueue = new Queue('scoring');
+// Outbound webhooks get their own queue so slow customer endpoints never hold up emails
+const webhookQueue = new Queue('webhooks');
+
+const QUEUES = [emailQueue, parsingQueue, scoringQueue, webhookQueue];
+
+/**
+ * Get a default queue by name
+ * @param {string} name - Queue name
+ * @returns {Queue|null} Queue or null
+ */
+const getQueue = (name) => QUEUES.find((queue) => queue.name === name) || null;
+
+/**
+ * Close all default queues (used during graceful shutdown)
+ */
+const closeAllQueues = async () => {
+  await Promise.all(QUEUES.map((queue) => queue.close()));
+};
+
+module.exports = {
+  Queue,
+  emailQueue,
+  parsingQueue,
+  scoringQueue,
+  webhookQueue,
+  QUEUES,
+  getQueue,
+  closeAllQueues,
+  computeBackoffDelay,
+};
@@ -0,0 +1,235 @@
+/**
+ * Resume redaction for blind review
+ *
+ * Strips what identifies a candidate or hints at their demographics from a parsed resume:
+ * contact details, links, photos, locations, graduation dates (a proxy for age) and
+ * self-reported details such as date of birth, gender or nationality. Skills, job titles,
+ * employers, degrees and experience are kept so the resume can still be scored.
+ */
+
+// Shown in place of a redacted value
+const PLACEHOLDERS = {
+  name: '[name]',
+  email: '[email]',
+  phone: '[phone]',
+  link: '[link]',
+  location: '[location]',
+  demographic: '[redacted]',
+};
+
+// The candidate name as the LLM sees it on a redacted resume
+const REDACTED_NAME = '[redacted]';
+
+// Raw parser fields that may hold a photo
+const PHOTO_FIELDS = ['photo', 'image', 'picture', 'avatar', 'photo_url'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b(?:linkedin\.com|github\.com)\/\S*/gi;
+// Phone numbers such as +1 (555) 123-4567 or 020 7946 0958; only 9-15 digits count, so year ranges are left alone
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})(?:[\s.-]?\d{2,4}){2,4}/g;
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+
+// Self-reported personal details, e.g. "Date of birth: 01/02/1990", "Gender: female", "34 years old"
+const DEMOGRAPHIC_PATTERNS = [
+  /\b(?:date of birth|d\.o\.b\.?|dob|birth ?date|born(?: on| in)?)\b\s*[:-]?\s*[^\n,;]*/gi,
+  /\b(?:gender|sex|marital status|nationality|citizenship|religion|ethnicity|race|pronouns)\s*[:-]\s*[^\n,;]*/gi,
+  /\bage\s*[:-]\s*\d{1,2}\b/gi,
+  /\b\d{2}\s*(?:years|yrs)\s*old\b/gi,
+  /\b(?:he\/him|she\/her|they\/them)(?:\/\w+)?\b/gi,
+];
+
+/**
+ * Escape a value for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a whole-word, case-insensitive pattern for a literal value
+ * @param {string} value - Literal text
+ * @returns {RegExp} Pattern
+ */
+const wordPattern = (value) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'giu');
+
+/**
+ * Count the digits in a string
+ * @param {string} value - Text
+ * @returns {number} Digit count
+ */
+const countDigits = (value) => (value.match(/\d/g) || []).length;
+
+/**
+ * Collect the values that identify the candidate of a parsed resume
+ * @param {object} parsedResume - Parsed resume data
+ * @returns {object} { names, emails, phones, links, locations }
+ */
+const collectIdentifiers = (parsedResume) => {
+  const info = parsedResume?.personalInfo || {};
+  const raw = parsedResume?.rawData || {};
+  const values = (...candidates) => [...new Set(candidates
+    .filter((value) => typeof value === 'string')
+    .map((value) => value.trim())
+    .filter(Boolean))];
+
+  const fullNames = values(info.name, raw.name, raw.full_name);
+  // The full name first, then its parts, so "Jane Doe" is replaced once rather than twice
+  const nameParts = fullNames.flatMap((name) => name.split(/\s+/)).filter((part) => part.replace(/\W/g, '').length >= 2);
+
+  return {
+    names: values(...fullNames, ...nameParts).sort((a, b) => b.length - a.length),
+    emails: values(info.email, raw.email),
+    phones: values(info.phone, raw.phone, raw.phone_number).filter((phone) => countDigits(phone) >= 7),
+    links: values(info.linkedin, info.portfolio, raw.linkedin, raw.github, raw.portfolio, raw.website),
+    locations: values(info.location, raw.location, raw.address).filter((location) => location.length >= 3),
+  };
+};
+
+/**
+ * Redact identifying details from free text
+ * @param {string} text - Text to redact
+ * @param {object} identifiers - From collectIdentifiers
+ * @param {object} removed - Counts per category, updated in place
+ * @returns {string} Redacted text
+ */
+const redactText = (text, identifiers, removed = {}) => {
+  if (typeof text !== 'string' || !text) {
+    return text;
+  }
+
+  const count = (category) => {
+    removed[category] = (removed[category] || 0) + 1;
+  };
+  let result = text;
+
+  const replacePattern = (pattern, category) => {
+    result = result.replace(pattern, () => {
+      count(category);
+      return PLACEHOLDERS[category];
+    });
+  };
+
+  replacePattern(EMAIL_PATTERN, 'email');
+  replacePattern(URL_PATTERN, 'link');
+  identifiers.links.forEach((link) => replacePattern(wordPattern(link), 'link'));
+
+  result = result.replace(PHONE_PATTERN, (match) => {
+    const digits = countDigits(match);
+    if (digits < MIN_PHONE_DIGITS || digits > MAX_PHONE_DIGITS) {
+      return match;
+    }
+    count('phone');
+    return PLACEHOLDERS.phone;
+  });
+
+  DEMOGRAPHIC_PATTERNS.forEach((pattern) => replacePattern(pattern, 'demographic'));
+  identifiers.locations.forEach((location) => replacePattern(wordPattern(location), 'location'));
+  identifiers.names.forEach((name) => replacePattern(wordPattern(name), 'name'));
+
+  return result;
+};
+
+/**
+ * Redact a parsed resume
+ * @param {object} parsedResume - Parsed resume data
+ * @param {object} options - { name } - what to show as the candidate name (default "[redacted]")
+ * @returns {object} { resume, removed } - the redacted resume and the number of values removed per category
+ */
+const redactResume = (parsedResume, options = {}) => {
+  const identifiers = collectIdentifiers(parsedResume);
+  const removed = {};
+  const info = parsedResume?.personalInfo || {};
+  const raw = parsedResume?.rawData || {};
+  const text = (value) => redactText(value, identifiers, removed);
+  const drop = (category, present) => {
+    if (present) {
+      removed[category] = (removed[category] || 0) + 1;
+    }
+  };
+
+  ['name', 'email', 'phone', 'location'].forEach((field) => drop(field, info[field]));
+  drop('link', info.linkedin);
+  drop('link', info.portfolio);
+  drop('photo', PHOTO_FIELDS.some((field) => raw[field] || info[field]));
+
+  const resume = {
+    personalInfo: { name: options.name || REDACTED_NAME },
+    summary: text(parsedResume?.summary || ''),
+    experience: (parsedResume?.experience || []).map((exp) => {
+      drop('location', exp.location);
+      return {
+        title: text(exp.title || ''),
+        company: text(exp.company || ''),
+        startDate: exp.startDate || '',
+        endDate: exp.endDate || '',
+        description: text(exp.description || ''),
+        duration: exp.duration || '',
+      };
+    }),
+    education: (parsedResume?.education || []).map((edu) => {
+      drop('location', edu.location);
+      drop('graduation_date', edu.graduationDate || edu.year);
+      return {
+        degree: text(edu.degree || ''),
+        institution: text(edu.institution || ''),
+        gpa: edu.gpa || '',
+      };
+    }),
+    skills: parsedResume?.skills || { technical: [], soft: [], all: [] },
+    certifications: (parsedResume?.certifications || []).map((item) => (typeof item === 'string' ? text(item) : item)),
+    languages: parsedResume?.languages || [],
+    totalExperience: parsedResume?.totalExperience || '',
+  };
+
+  return { resume, removed };
+};
+
+/**
+ * Find identifying details left in text
+ * Checks the candidate's own values and anything shaped like an email, phone number or link.
+ * @param {string} text - Text to check
+ * @param {object} identifiers - From collectIdentifiers
+ * @returns {string[]} Categories found (empty when the text is clean)
+ */
+const findLeaks = (text, identifiers) => {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  const leaks = new Set();
+  const textDigits = text.replace(/\D/g, '');
+  const matches = (pattern) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  };
+
+  if (identifiers.names.some((name) => matches(wordPattern(name)))) leaks.add('name');
+  if (identifiers.emails.some((email) => text.toLowerCase().includes(email.toLowerCase())) || matches(EMAIL_PATTERN)) leaks.add('email');
+  if (identifiers.phones.some((phone) => textDigits.includes(phone.replace(/\D/g, '')))) leaks.add('phone');
+  if (identifiers.links.some((link) => matches(wordPattern(link))) || matches(URL_PATTERN)) leaks.add('link');
+  if (identifiers.locations.some((location) => matches(wordPattern(location)))) leaks.add('location');
+  if ((text.match(PHONE_PATTERN) || []).some((match) => {
+    const digits = countDigits(match);
+    return digits >= MIN_PHONE_DIGITS && digits <= MAX_PHONE_DIGITS;
+  })) leaks.add('phone');
+  if (DEMOGRAPHIC_PATTERNS.some((pattern) => matches(pattern))) leaks.add('demographic');
+
+  return [...leaks];
+};
+
+/**
+ * The label HR sees instead of a name while an application is blind
+ * @param {number} applicationId - Application (resume) ID
+ * @returns {string} Label
+ */
+const anonymousLabel = (applicationId) => `Candidate #${applicationId}`;
+
+module.exports = {
+  REDACTED_NAME,
+  collectIdentifiers,
+  redactText,
+  redactResume,
+  findLeaks,
+  anonymousLabel,
+};
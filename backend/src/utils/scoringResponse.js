@@ -0,0 +1,195 @@
+/**
+ * LLM scoring response schema
+ *
+ * Every LLM scoring response must be a JSON object of this shape. Providers that
+ * support structured output are given SCORING_RESPONSE_SCHEMA; ranges are not part
+ * of it (providers differ in which keywords they accept) and are checked here.
+ */
+
+const LIST_FIELDS = ['missing_skills', 'strong_skills', 'key_highlights', 'areas_of_concern'];
+
+const SCORING_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    match_score: { type: 'integer' },
+    shortlist_probability: { type: 'number' },
+    salary_range: {
+      type: 'object',
+      properties: {
+        min: { type: 'integer' },
+        max: { type: 'integer' },
+      },
+      required: ['min', 'max'],
+      additionalProperties: false,
+    },
+    missing_skills: { type: 'array', items: { type: 'string' } },
+    strong_skills: { type: 'array', items: { type: 'string' } },
+    recommendation: { type: 'string' },
+    key_highlights: { type: 'array', items: { type: 'string' } },
+    areas_of_concern: { type: 'array', items: { type: 'string' } },
+  },
+  required: [
+    'match_score',
+    'shortlist_probability',
+    'salary_range',
+    'missing_skills',
+    'strong_skills',
+    'recommendation',
+    'key_highlights',
+    'areas_of_concern',
+  ],
+  additionalProperties: false,
+};
+
+// Stored with validation failures so a bad response can be inspected
+const MAX_EXCERPT_LENGTH = 1000;
+
+/**
+ * Read the JSON object out of a response
+ * A single surrounding markdown code fence is tolerated; anything else around the object is not.
+ * @param {string} text - Response text
+ * @returns {object} { value, error } - parsed object, or an error message
+ */
+const extractJSON = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { value: null, error: 'Response is empty' };
+  }
+
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+
+  try {
+    const value = JSON.parse(fenced ? fenced[1] : text.trim());
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { value: null, error: 'Response is not a JSON object' };
+    }
+
+    return { value, error: null };
+  } catch (error) {
+    // Kept free of parser detail so failures group together in the metrics
+    return { value: null, error: 'Response is not valid JSON' };
+  }
+};
+
+/**
+ * Check that a value is an integer within a range
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the message
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {string|null} Error message or null
+ */
+const checkInteger = (value, field, min, max = Infinity) => {
+  if (!Number.isInteger(value)) {
+    return `${field} must be an integer`;
+  }
+  if (value < min || value > max) {
+    return max === Infinity ? `${field} must be at least ${min}` : `${field} must be between ${min} and ${max}`;
+  }
+  return null;
+};
+
+/**
+ * Validate a parsed scoring response against the schema and its ranges
+ * Extra fields are ignored; only the schema fields are kept.
+ * @param {object} response - Parsed response
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+const validateScoringResponse = (response) => {
+  const errors = [];
+
+  SCORING_RESPONSE_SCHEMA.required
+    .filter((field) => response[field] === undefined || response[field] === null)
+    .forEach((field) => errors.push(`${field} is missing`));
+
+  if (response.match_score != null) {
+    errors.push(checkInteger(response.match_score, 'match_score', 0, 100));
+  }
+
+  if (response.shortlist_probability != null) {
+    const probability = response.shortlist_probability;
+    if (typeof probability !== 'number' || Number.isNaN(probability)) {
+      errors.push('shortlist_probability must be a number');
+    } else if (probability < 0 || probability > 1) {
+      errors.push('shortlist_probability must be between 0 and 1');
+    }
+  }
+
+  const salary = response.salary_range;
+  if (salary != null) {
+    if (typeof salary !== 'object' || Array.isArray(salary)) {
+      errors.push('salary_range must be an object with min and max');
+    } else {
+      const minError = checkInteger(salary.min, 'salary_range.min', 0);
+      const maxError = checkInteger(salary.max, 'salary_range.max', 0);
+      errors.push(minError, maxError);
+
+      if (!minError && !maxError && salary.min > salary.max) {
+        errors.push('salary_range.min must not be greater than salary_range.max');
+      }
+    }
+  }
+
+  LIST_FIELDS
+    .filter((field) => response[field] != null)
+    .forEach((field) => {
+      const list = response[field];
+      if (!Array.isArray(list) || list.some((item) => typeof item !== 'string')) {
+        errors.push(`${field} must be an array of strings`);
+      }
+    });
+
+  if (response.recommendation != null && (typeof response.recommendation !== 'string' || !response.recommendation.trim())) {
+    errors.push('recommendation must be a non-empty string');
+  }
+
+  return errors.filter(Boolean);
+};
+
+/**
+ * Parse and validate a scoring response
+ * @param {string} text - Response text
+ * @returns {object} { value, errors } - the scoring fields, or the validation errors
+ */
+const parseScoringResponse = (text) => {
+  const { value, error } = extractJSON(text);
+
+  if (error) {
+    return { value: null, errors: [error] };
+  }
+
+  const errors = validateScoringResponse(value);
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: {
+      match_score: value.match_score,
+      shortlist_probability: value.shortlist_probability,
+      salary_range: { min: value.salary_range.min, max: value.salary_range.max },
+      missing_skills: value.missing_skills,
+      strong_skills: value.strong_skills,
+      recommendation: value.recommendation.trim(),
+      key_highlights: value.key_highlights,
+      areas_of_concern: value.areas_of_concern,
+    },
+    errors: [],
+  };
+};
+
+/**
+ * Shorten a response for storage
+ * @param {string} text - Response text
+ * @returns {string|null} Excerpt
+ */
+const excerptResponse = (text) => (typeof text === 'string' ? text.slice(0, MAX_EXCERPT_LENGTH) : null);
+
+module.exports = {
+  SCORING_RESPONSE_SCHEMA,
+  extractJSON,
+  validateScoringResponse,
+  parseScoringResponse,
+  excerptResponse,
+};
@@ -0,0 +1,175 @@
+/**
+ * Skills taxonomy - canonical skill names with their synonyms
+ *
+ * Keys are canonical identifiers, `label` is the display name and `aliases` are the
+ * spellings matched in resumes and job postings (case-insensitive, whole words).
+ * Ambiguous short forms and common words (e.g. "go", "r", "rest", "express") are
+ * deliberately left out.
+ */
+
+const SKILLS_TAXONOMY = {
+  // Languages
+  javascript: { label: 'JavaScript', category: 'language', aliases: ['javascript', 'js', 'ecmascript', 'es6', 'es2015'] },
+  typescript: { label: 'TypeScript', category: 'language', aliases: ['typescript'] },
+  python: { label: 'Python', category: 'language', aliases: ['python', 'python3'] },
+  java: { label: 'Java', category: 'language', aliases: ['java', 'j2ee', 'java ee'] },
+  csharp: { label: 'C#', category: 'language', aliases: ['c#', 'csharp', 'c sharp'] },
+  cpp: { label: 'C++', category: 'language', aliases: ['c++', 'cpp'] },
+  golang: { label: 'Go', category: 'language', aliases: ['golang', 'go lang', 'go language'] },
+  rust: { label: 'Rust', category: 'language', aliases: ['rust', 'rustlang'] },
+  ruby: { label: 'Ruby', category: 'language', aliases: ['ruby'] },
+  php: { label: 'PHP', category: 'language', aliases: ['php'] },
+  kotlin: { label: 'Kotlin', category: 'language', aliases: ['kotlin'] },
+  swift: { label: 'Swift', category: 'language', aliases: ['swift'] },
+  scala: { label: 'Scala', category: 'language', aliases: ['scala'] },
+  sql: { label: 'SQL', category: 'language', aliases: ['sql', 't-sql', 'pl/sql', 'plsql'] },
+  bash: { label: 'Bash', category: 'language', aliases: ['bash', 'shell scripting', 'shell script'] },
+  html: { label: 'HTML', category: 'language', aliases: ['html', 'html5'] },
+  css: { label: 'CSS', category: 'language', aliases: ['css', 'css3', 'scss', 'sass'] },
+
+  // Frontend
+  react: { label: 'React', category: 'frontend', aliases: ['react', 'reactjs', 'react.js'] },
+  reactNative: { label: 'React Native', category: 'mobile', aliases: ['react native'] },
+  angular: { label: 'Angular', category: 'frontend', aliases: ['angular', 'angularjs', 'angular.js'] },
+  vue: { label: 'Vue.js', category: 'frontend', aliases: ['vue', 'vuejs', 'vue.js'] },
+  nextjs: { label: 'Next.js', category: 'frontend', aliases: ['next.js', 'nextjs'] },
+  redux: { label: 'Redux', category: 'frontend', aliases: ['redux'] },
+  tailwind: { label: 'Tailwind CSS', category: 'frontend', aliases: ['tailwind', 'tailwindcss', 'tailwind css'] },
+
+  // Backend
+  nodejs: { label: 'Node.js', category: 'backend', aliases: ['node.js', 'nodejs', 'node js', 'node'] },
+  express: { label: 'Express.js', category: 'backend', aliases: ['express.js', 'expressjs'] },
+  nestjs: { label: 'NestJS', category: 'backend', aliases: ['nestjs', 'nest.js'] },
+  django: { label: 'Django', category: 'backend', aliases: ['django'] },
+  flask: { label: 'Flask', category: 'backend', aliases: ['flask'] },
+  fastapi: { label: 'FastAPI', category: 'backend', aliases: ['fastapi'] },
+  spring: { label: 'Spring', category: 'backend', aliases: ['spring boot', 'springboot', 'spring framework', 'spring mvc'] },
+  dotnet: { label: '.NET', category: 'backend', aliases: ['.net', 'dotnet', 'asp.net', '.net core'] },
+  rails: { label: 'Ruby on Rails', category: 'backend', aliases: ['rails', 'ruby on rails', 'ror'] },
+  laravel: { label: 'Laravel', category: 'backend', aliases: ['laravel'] },
+  graphql: { label: 'GraphQL', category: 'backend', aliases: ['graphql'] },
+  restApi: { label: 'REST APIs', category: 'backend', aliases: ['rest api', 'rest apis', 'restful', 'restful api', 'restful apis'] },
+  grpc: { label: 'gRPC', category: 'backend', aliases: ['grpc'] },
+  microservices: { label: 'Microservices', category: 'backend', aliases: ['microservices', 'microservice', 'micro-services'] },
+
+  // Data stores
+  postgresql: { label: 'PostgreSQL', category: 'database', aliases: ['postgresql', 'postgres', 'psql'] },
+  mysql: { label: 'MySQL', category: 'database', aliases: ['mysql', 'mariadb'] },
+  mongodb: { label: 'MongoDB', category: 'database', aliases: ['mongodb', 'mongo'] },
+  redis: { label: 'Redis', category: 'database', aliases: ['redis'] },
+  elasticsearch: { label: 'Elasticsearch', category: 'database', aliases: ['elasticsearch', 'elastic search', 'opensearch'] },
+  dynamodb: { label: 'DynamoDB', category: 'database', aliases: ['dynamodb', 'dynamo db'] },
+  sqlServer: { label: 'SQL Server', category: 'database', aliases: ['sql server', 'mssql', 'ms sql'] },
+  oracle: { label: 'Oracle Database', category: 'database', aliases: ['oracle', 'oracle db'] },
+  supabase: { label: 'Supabase', category: 'database', aliases: ['supabase'] },
+  kafka: { label: 'Kafka', category: 'database', aliases: ['kafka', 'apache kafka'] },
+  rabbitmq: { label: 'RabbitMQ', category: 'database', aliases: ['rabbitmq', 'rabbit mq'] },
+
+  // Cloud & DevOps
+  aws: { label: 'AWS', category: 'cloud', aliases: ['aws', 'amazon web services'] },
+  azure: { label: 'Azure', category: 'cloud', aliases: ['azure', 'microsoft azure'] },
+  gcp: { label: 'Google Cloud', category: 'cloud', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+  docker: { label: 'Docker', category: 'devops', aliases: ['docker', 'containers', 'containerization'] },
+  kubernetes: { label: 'Kubernetes', category: 'devops', aliases: ['kubernetes', 'k8s', 'eks', 'gke', 'aks'] },
+  terraform: { label: 'Terraform', category: 'devops', aliases: ['terraform', 'infrastructure as code', 'iac'] },
+  ansible: { label: 'Ansible', category: 'devops', aliases: ['ansible'] },
+  cicd: { label: 'CI/CD', category: 'devops', aliases: ['ci/cd', 'ci cd', 'cicd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  jenkins: { label: 'Jenkins', category: 'devops', aliases: ['jenkins'] },
+  githubActions: { label: 'GitHub Actions', category: 'devops', aliases: ['github actions'] },
+  linux: { label: 'Linux', category: 'devops', aliases: ['linux', 'unix', 'ubuntu'] },
+  git: { label: 'Git', category: 'tools', aliases: ['git', 'github', 'gitlab', 'bitbucket'] },
+
+  // Data & ML
+  machineLearning: { label: 'Machine Learning', category: 'data', aliases: ['machine learning', 'ml'] },
+  deepLearning: { label: 'Deep Learning', category: 'data', aliases: ['deep learning'] },
+  tensorflow: { label: 'TensorFlow', category: 'data', aliases: ['tensorflow'] },
+  pytorch: { label: 'PyTorch', category: 'data', aliases: ['pytorch'] },
+  pandas: { label: 'Pandas', category: 'data', aliases: ['pandas'] },
+  numpy: { label: 'NumPy', category: 'data', aliases: ['numpy'] },
+  scikitLearn: { label: 'scikit-learn', category: 'data', aliases: ['scikit-learn', 'scikit learn', 'sklearn'] },
+  nlp: { label: 'NLP', category: 'data', aliases: ['nlp', 'natural language processing'] },
+  llm: { label: 'LLMs', category: 'data', aliases: ['llm', 'llms', 'large language models', 'generative ai', 'genai'] },
+  spark: { label: 'Apache Spark', category: 'data', aliases: ['spark', 'apache spark', 'pyspark'] },
+  dataAnalysis: { label: 'Data Analysis', category: 'data', aliases: ['data analysis', 'data analytics'] },
+  powerBi: { label: 'Power BI', category: 'data', aliases: ['power bi', 'powerbi'] },
+  tableau: { label: 'Tableau', category: 'data', aliases: ['tableau'] },
+  excel: { label: 'Excel', category: 'tools', aliases: ['excel', 'ms excel', 'microsoft excel'] },
+
+  // Mobile
+  android: { label: 'Android', category: 'mobile', aliases: ['android'] },
+  ios: { label: 'iOS', category: 'mobile', aliases: ['ios'] },
+  flutter: { label: 'Flutter', category: 'mobile', aliases: ['flutter', 'dart'] },
+
+  // Testing
+  testing: { label: 'Automated Testing', category: 'testing', aliases: ['unit testing', 'automated testing', 'test automation', 'tdd', 'test-driven development'] },
+  jest: { label: 'Jest', category: 'testing', aliases: ['jest'] },
+  cypress: { label: 'Cypress', category: 'testing', aliases: ['cypress'] },
+  selenium: { label: 'Selenium', category: 'testing', aliases: ['selenium'] },
+
+  // Practices & design
+  agile: { label: 'Agile', category: 'practice', aliases: ['agile', 'scrum', 'kanban'] },
+  systemDesign: { label: 'System Design', category: 'practice', aliases: ['system design', 'distributed systems', 'scalable systems'] },
+  security: { label: 'Application Security', category: 'practice', aliases: ['application security', 'owasp', 'appsec'] },
+  figma: { label: 'Figma', category: 'design', aliases: ['figma'] },
+  uiUx: { label: 'UI/UX Design', category: 'design', aliases: ['ui/ux', 'ux design', 'ui design', 'user experience'] },
+
+  // Soft skills
+  communication: { label: 'Communication', category: 'soft', aliases: ['communication', 'communication skills'] },
+  leadership: { label: 'Leadership', category: 'soft', aliases: ['leadership', 'team lead', 'mentoring', 'mentorship'] },
+  problemSolving: { label: 'Problem Solving', category: 'soft', aliases: ['problem solving', 'problem-solving'] },
+  projectManagement: { label: 'Project Management', category: 'soft', aliases: ['project management', 'pmp'] },
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pre-compiled whole-word matchers; "+", "#" and "." count as word characters so
+// "c++" does not match "c" and "java" does not match "javascript"
+const SKILL_MATCHERS = Object.entries(SKILLS_TAXONOMY).map(([key, skill]) => ({
+  key,
+  pattern: new RegExp(
+    `(?<![a-z0-9+#.])(?:${skill.aliases.map(escapeRegExp).join('|')})(?![a-z0-9+#]|\\.[a-z0-9])`,
+    'i'
+  ),
+}));
+
+/**
+ * Find all taxonomy skills mentioned in a text
+ * @param {string} text - Free text
+ * @returns {string[]} Canonical skill keys in taxonomy order
+ */
+const findSkills = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  return SKILL_MATCHERS.filter(({ pattern }) => pattern.test(text)).map(({ key }) => key);
+};
+
+/**
+ * Map a skill name to its canonical key
+ * @param {string} name - Skill name or synonym (e.g. "k8s")
+ * @returns {string|null} Canonical key or null if not in the taxonomy
+ */
+const normalizeSkill = (name) => {
+  const matches = findSkills(String(name || '').trim());
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Get the display label of a canonical skill
+ * @param {string} key - Canonical key
+ * @returns {string} Display label
+ */
+const getSkillLabel = (key) => SKILLS_TAXONOMY[key]?.label || key;
+
+module.exports = {
+  SKILLS_TAXONOMY,
+  findSkills,
+  normalizeSkill,
+  getSkillLabel,
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { parseOutboundUrl } = require('./outboundUrl');
+
+/**
+ * Outbound webhooks - company endpoints that receive application and job events
+ *
+ * Stored in `webhook_endpoints`:
+ * {
+ *   url: string,                      // public http(s) URL the events are POSTed to
+ *   description: string | null,
+ *   events: [string],                 // subset of WEBHOOK_EVENTS
+ *   is_active: boolean
+ * }
+ *
+ * Each request body is a JSON event { id, type, created_at, data } signed with the
+ * endpoint's secret: X-Webhook-Signature is `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ */
+
+const WEBHOOK_EVENTS = [
+  'application.created',
+  'application.scored',
+  'application.stage_changed',
+  'job.published',
+  'job.closed',
+];
+
+// Sent by the "send test event" button, whatever the endpoint subscribes to
+const TEST_EVENT = 'webhook.test';
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Check whether an optional value was left empty
+ * @param {any} value - Raw value
+ * @returns {boolean} True for undefined, null or ''
+ */
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate and normalize an endpoint URL
+ * Its host is resolved and checked separately (checkOutboundHost), which needs DNS.
+ * @param {any} value - Raw URL
+ * @returns {string} URL
+ */
+const parseEndpointUrl = (value) => {
+  if (isBlank(value)) {
+    throw new Error('url is required');
+  }
+
+  return parseOutboundUrl(value, 'url');
+};
+
+/**
+ * Validate and normalize a webhook endpoint from a request body
+ * For updates, pass the stored endpoint: omitted fields keep their stored value.
+ * @param {object} input - Raw endpoint
+ * @param {object|null} existing - Stored endpoint being updated
+ * @returns {object} { value, error } - normalized endpoint columns or a validation message
+ */
+const validateWebhookEndpoint = (input, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: 'Request body must be an object' };
+  }
+
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : (existing ? existing[field] : fallback));
+
+  try {
+    const url = parseEndpointUrl(pick('url', null));
+    const description = isBlank(pick('description', null)) ? null : String(pick('description', null)).trim();
+
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const events = pick('events', []);
+
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('events must list at least one event');
+    }
+
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    return {
+      value: {
+        url,
+        description: description || null,
+        events: WEBHOOK_EVENTS.filter((event) => events.includes(event)),
+        is_active: pick('is_active', true) !== false,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+};
+
+/**
+ * Generate a signing secret for an endpoint
+ * @returns {string} Secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Build the X-Webhook-Signature header for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Header value
+ */
+const signPayload = (secret, body, timestamp) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  validateWebhookEndpoint,
+  generateSecret,
+  signPayload,
+};
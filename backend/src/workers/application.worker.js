@@ -0,0 +1,352 @@
+const { parsingQueue, scoringQueue, emailQueue } = require('../utils/queue');
+const { parseResume } = require('../services/resumeParser.service');
+const { calculateATSScore } = require('../services/atsScoring.service');
+const { getScoringPromptOptions } = require('../services/promptTemplate.service');
+const { prepareResumeForScoring } = require('../services/blindReview.service');
+const { sendCandidateConfirmation } = require('../services/email.service');
+const { dispatchApplicationAlerts } = require('../services/notificationRule.service');
+const { emitApplicationEvent } = require('../services/webhook.service');
+const atsModel = require('../models/ats.model');
+const jobsModel = require('../models/jobs.model');
+const candidateModel = require('../models/candidate.model');
+const { getLibraryResumeParse } = require('../services/candidate.service');
+const logger = require('../utils/logger');
+
+/**
+ * Application Worker - Runs the application pipeline off the request path
+ *
+ * received --parse-resume--> parsed --score-application--> scored --notify-application--> notified
+ *
+ * Each stage is a separate queue job carrying { resumeId, candidateEmail, candidateName }.
+ * Stages are idempotent so a retried job does not redo work that already completed.
+ * When a stage exhausts its retries the application is marked `failed` with a reason.
+ *
+ * Library resumes (candidate_resumes) are parsed once by `parse-library-resume` when uploaded;
+ * applications made with them reuse that parse instead of parsing the file again.
+ *
+ * `rescore-application` adds a new score version to an already scored application as part of a
+ * re-score run (see services/rescore.service.js). It does not change the application status.
+ */
+
+const STAGE_LABELS = {
+  'parse-resume': 'Resume parsing',
+  'score-application': 'Scoring',
+  'notify-application': 'Notification',
+};
+
+/**
+ * Load the application or fail the job permanently
+ * @param {string} resumeId - Resume (application) ID
+ * @returns {Promise<object>} Resume record
+ */
+const loadApplication = async (resumeId) => {
+  const resume = await atsModel.getResumeById(resumeId);
+
+  if (!resume) {
+    throw new Error(`Application ${resumeId} not found`);
+  }
+
+  return resume;
+};
+
+/**
+ * Stage 1: parse the stored resume (or reuse the cached parse of its library resume)
+ * @param {object} job - Queue job
+ * @returns {Promise<object>} Stage result
+ */
+const processParseResume = async (job) => {
+  const resume = await loadApplication(job.data.resumeId);
+
+  if (!resume.parsed_data) {
+    const libraryResume = resume.library_resume_id
+      ? await candidateModel.getLibraryResumeById(resume.library_resume_id)
+      : null;
+
+    const parsedData = libraryResume
+      ? await getLibraryResumeParse(libraryResume)
+      : await parseResume(resume.cloudinary_url, { fileName: resume.original_filename });
+
+    await atsModel.updateParsedData(resume.id, parsedData);
+    logger.info(`Resume parsed for application ${resume.id}${libraryResume ? ` (library resume ${libraryResume.id})` : ''}`);
+  }
+
+  await atsModel.updateApplicationStatus(resume.id, 'parsed');
+  await scoringQueue.add('score-application', job.data);
+
+  return { resumeId: resume.id };
+};
+
+/**
+ * Parse a resume uploaded to a candidate's library
+ * @param {object} job - Queue job carrying { libraryResumeId }
+ * @returns {Promise<object>} Job result
+ */
+const processParseLibraryResume = async (job) => {
+  const libraryResume = await candidateModel.getLibraryResumeById(job.data.libraryResumeId);
+
+  // Deleted before the job ran
+  if (!libraryResume) {
+    return { libraryResumeId: job.data.libraryResumeId, skipped: true };
+  }
+
+  await getLibraryResumeParse(libraryResume);
+
+  return { libraryResumeId: libraryResume.id };
+};
+
+/**
+ * Score a parsed resume against a job, keeping how the score was produced
+ * Blind jobs score the redacted resume.
+ * @param {object} resume - Application record with parsed_data
+ * @param {object} jobPosting - Job record
+ * @returns {Promise<object>} Score columns for atsModel.createATSScore
+ */
+const scoreResume = async (resume, jobPosting) => {
+  const promptOptions = await getScoringPromptOptions(jobPosting, resume.id);
+  const parsedResume = await prepareResumeForScoring(resume, jobPosting);
+  const scoringResult = await calculateATSScore(parsedResume, jobPosting, {
+    provider: jobPosting.llm_provider,
+    model: jobPosting.llm_model,
+  }, promptOptions, { resumeId: resume.id });
+  const { provenance } = scoringResult;
+
+  return {
+    resumeId: resume.id,
+    jobId: jobPosting.job_id,
+    matchScore: scoringResult.match_score,
+    shortlistProbability: scoringResult.shortlist_probability,
+    salaryRange: scoringResult.salary_range,
+    missingSkills: scoringResult.missing_skills,
+    strongSkills: scoringResult.strong_skills,
+    recommendation: scoringResult.recommendation,
+    keyHighlights: scoringResult.key_highlights,
+    areasOfConcern: scoringResult.areas_of_concern,
+    scoreBreakdown: scoringResult.score_breakdown,
+    jobTextHash: provenance.job_text_hash,
+    llmProvider: provenance.provider,
+    llmModel: provenance.model,
+    promptTemplateId: provenance.prompt_template_id,
+    promptVersion: provenance.prompt_version,
+    latencyMs: provenance.latency_ms,
+    promptTokens: provenance.prompt_tokens,
+    completionTokens: provenance.completion_tokens,
+    totalTokens: provenance.total_tokens,
+    llmAttempts: provenance.llm_attempts,
+    isFallback: provenance.is_fallback,
+    fallbackReason: provenance.fallback_reason,
+  };
+};
+
+/**
+ * Tell the company's webhooks about a new score (a retried stage emits the same event key)
+ * @param {object} resume - Application record
+ * @param {object} jobPosting - Job record
+ * @param {object} atsScore - Stored score
+ * @param {object|null} candidate - { name, email } when known
+ * @returns {Promise<number>} Deliveries queued
+ */
+const emitScored = (resume, jobPosting, atsScore, candidate = null) => emitApplicationEvent('application.scored', {
+  application: resume,
+  job: jobPosting,
+  key: atsScore.id,
+  candidate,
+  details: {
+    score: {
+      version: atsScore.version,
+      match_score: atsScore.match_score,
+      shortlist_probability: atsScore.shortlist_probability,
+      strong_skills: atsScore.strong_skills,
+      missing_skills: atsScore.missing_skills,
+    },
+  },
+});
+
+/**
+ * Stage 2: score the parsed resume against the job
+ * @param {object} job - Queue job
+ * @returns {Promise<object>} Stage result
+ */
+const processScoreApplication = async (job) => {
+  const resume = await loadApplication(job.data.resumeId);
+  const jobPosting = await jobsModel.getJobByJobId(resume.job_id);
+  let atsScore = await atsModel.getATSScoreByResumeId(resume.id);
+
+  if (!atsScore) {
+    if (!jobPosting) {
+      throw new Error(`Job ${resume.job_id} not found`);
+    }
+
+    atsScore = await atsModel.createATSScore(await scoreResume(resume, jobPosting));
+
+    logger.info(`ATS score stored for application ${resume.id}: ${atsScore.match_score}`);
+  }
+
+  await atsModel.updateApplicationStatus(resume.id, 'scored');
+
+  if (jobPosting) {
+    await emitScored({ ...resume, application_status: 'scored' }, jobPosting, atsScore, {
+      name: job.data.candidateName,
+      email: job.data.candidateEmail,
+    });
+  }
+  await emailQueue.add('notify-application', { ...job.data, scoreId: atsScore.id });
+
+  return { resumeId: resume.id, scoreId: atsScore.id, matchScore: atsScore.match_score };
+};
+
+/**
+ * Re-score one application as part of a re-score run
+ * The new version is stored as not current and then swapped in, so a failure leaves the old score current.
+ * @param {object} job - Queue job carrying { runId, resumeId }
+ * @returns {Promise<object>} Job result
+ */
+const processRescoreApplication = async (job) => {
+  const { runId, resumeId } = job.data;
+  const run = await atsModel.getRescoreRunById(runId);
+
+  // A newer run for the job took over
+  if (!run || run.status === 'superseded') {
+    return { resumeId, runId, skipped: true };
+  }
+
+  const resume = await atsModel.getResumeById(resumeId);
+  const currentScore = resume ? await atsModel.getATSScoreByResumeId(resume.id) : null;
+
+  // Withdrawn or deleted since the run started
+  if (!resume || !currentScore || !resume.parsed_data) {
+    await atsModel.recordRescoreProgress(runId, true);
+    return { resumeId, runId, skipped: true };
+  }
+
+  // A retry after the new version was already stored only needs to count it
+  if (currentScore.rescore_run_id !== runId) {
+    const jobPosting = await jobsModel.getJobByJobId(resume.job_id);
+
+    if (!jobPosting) {
+      throw new Error(`Job ${resume.job_id} not found`);
+    }
+
+    const newScore = await atsModel.createATSScore({
+      ...(await scoreResume(resume, jobPosting)),
+      version: currentScore.version + 1,
+      isCurrent: false,
+      rescoreRunId: runId,
+      // Re-scoring does not notify anyone again
+      emailSent: currentScore.email_sent,
+    });
+
+    await atsModel.setCurrentATSScore(newScore.id);
+    await emitScored(resume, jobPosting, newScore);
+
+    logger.info(`Application ${resume.id} re-scored: ${currentScore.match_score} -> ${newScore.match_score} (run ${runId})`);
+  }
+
+  await atsModel.recordRescoreProgress(runId, false);
+
+  return { resumeId, runId };
+};
+
+/**
+ * Stage 3: notify HR according to their notification rules, and the candidate
+ * Rule matches and outbox idempotency keys are per application, so a retried stage
+ * never alerts twice; email_sent records that the notifications were queued.
+ * @param {object} job - Queue job
+ * @returns {Promise<object>} Stage result
+ */
+const processNotifyApplication = async (job) => {
+  const { candidateEmail, candidateName } = job.data;
+  const resume = await loadApplication(job.data.resumeId);
+  const atsScore = await atsModel.getATSScoreByResumeId(resume.id);
+  const jobPosting = await jobsModel.getJobByJobId(resume.job_id);
+
+  if (!atsScore || !jobPosting) {
+    throw new Error(`Score or job missing for application ${resume.id}`);
+  }
+
+  if (!atsScore.email_sent) {
+    await dispatchApplicationAlerts({ resume, atsScore, jobPosting, candidateName, candidateEmail });
+
+    const confirmation = await sendCandidateConfirmation({
+      candidateEmail,
+      candidateName,
+      jobId: jobPosting.job_id,
+      jobTitle: jobPosting.title,
+      companyId: jobPosting.company_id,
+      companyName: jobPosting.company_name,
+      idempotencyKey: `application-received:${resume.id}`,
+    });
+
+    if (confirmation.error) {
+      throw new Error(confirmation.error);
+    }
+
+    await atsModel.updateEmailSentStatus(atsScore.id, true);
+  }
+
+  await atsModel.updateApplicationStatus(resume.id, 'notified');
+
+  return { resumeId: resume.id, emailSent: true };
+};
+
+/**
+ * Count a re-score that ran out of retries as failed; the application keeps its current score
+ * @param {object} job - Queue job
+ * @param {Error} error - Last processor error
+ */
+const handleRescoreDeadLetter = async (job, error) => {
+  logger.error(`Re-scoring application ${job.data?.resumeId} failed (run ${job.data?.runId}):`, error.message);
+
+  try {
+    await atsModel.recordRescoreProgress(job.data.runId, true);
+  } catch (progressError) {
+    logger.error(`Failed to record re-score progress for run ${job.data?.runId}:`, progressError.message);
+  }
+};
+
+/**
+ * Mark the application failed once a stage has no retries left
+ * @param {object} job - Queue job
+ * @param {Error} error - Last processor error
+ */
+const handleStageDeadLetter = async (job, error) => {
+  if (job.name === 'rescore-application') {
+    await handleRescoreDeadLetter(job, error);
+    return;
+  }
+
+  const stage = STAGE_LABELS[job.name];
+
+  if (!stage || !job.data?.resumeId) {
+    return;
+  }
+
+  try {
+    await atsModel.updateApplicationStatus(job.data.resumeId, 'failed', `${stage} failed: ${error.message}`);
+  } catch (statusError) {
+    logger.error(`Failed to mark application ${job.data.resumeId} as failed:`, statusError.message);
+  }
+};
+
+/**
+ * Register pipeline processors
+ */
+const register = () => {
+  parsingQueue.process('parse-resume', parseInt(process.env.PARSING_WORKER_CONCURRENCY, 10) || 2, processParseResume);
+  parsingQueue.process('parse-library-resume', parseInt(process.env.PARSING_WORKER_CONCURRENCY, 10) || 2, processParseLibraryResume);
+  scoringQueue.process('score-application', parseInt(process.env.SCORING_WORKER_CONCURRENCY, 10) || 2, processScoreApplication);
+  scoringQueue.process('rescore-application', parseInt(process.env.SCORING_WORKER_CONCURRENCY, 10) || 2, processRescoreApplication);
+  emailQueue.process('notify-application', parseInt(process.env.EMAIL_WORKER_CONCURRENCY, 10) || 2, processNotifyApplication);
+
+  [parsingQueue, scoringQueue, emailQueue].forEach((queue) => {
+    queue.on('dead_letter', handleStageDeadLetter);
+  });
+};
+
+module.exports = {
+  register,
+  processParseResume,
+  processParseLibraryResume,
+  processScoreApplication,
+  processRescoreApplication,
+  processNotifyApplication,
+};
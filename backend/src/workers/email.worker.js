@@ -0,0 +1,101 @@
+const { emailQueue } = require('../utils/queue');
+const {
+  sendApplicationStageEmail,
+  sendHRRequestDecision,
+  sendCompanyInvite,
+} = require('../services/email.service');
+const { deliverEmail } = require('../services/emailOutbox.service');
+const userModel = require('../models/user.model');
+const jobsModel = require('../models/jobs.model');
+const logger = require('../utils/logger');
+
+/**
+ * Email Worker - Builds notification emails off the request path and delivers the outbox
+ * The notification processors render an email into `email_outbox`; `send-email` delivers it.
+ */
+
+/**
+ * Deliver an outbox email; failures are retried with exponential backoff by the queue
+ * @param {object} job - Queue job ({ data: { outboxId } })
+ * @returns {Promise<object>} Delivery result
+ */
+const processOutboxEmail = async (job) => {
+  const result = await deliverEmail(job.data.outboxId, {
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.maxAttempts,
+  });
+
+  logger.info(`Outbox email ${job.data.outboxId}: ${result.status}`);
+  return result;
+};
+
+/**
+ * Send an invitation to join a company workspace
+ * @param {object} job - Queue job ({ data: invite payload })
+ * @returns {Promise<object>} Send result
+ */
+const processCompanyInvite = async (job) => {
+  const result = await sendCompanyInvite(job.data);
+  logger.info(`Company invite job ${job.id} processed`);
+  return result;
+};
+
+/**
+ * Tell the candidate their application moved to another pipeline stage
+ * @param {object} job - Queue job ({ data: { candidateUserId, jobId, stage, stageLabel, previousStageLabel, message } })
+ * @returns {Promise<object>} Send result
+ */
+const processApplicationStage = async (job) => {
+  const { candidateUserId, jobId } = job.data;
+  const candidate = await userModel.getUserProfileById(candidateUserId);
+  const jobPosting = await jobsModel.getJobByJobId(jobId);
+
+  if (!candidate || !jobPosting) {
+    logger.warn(`Stage change email job ${job.id} skipped: candidate or job no longer exists`);
+    return { sent: false, reason: 'Candidate or job not found' };
+  }
+
+  const result = await sendApplicationStageEmail({
+    ...job.data,
+    candidateEmail: candidate.email,
+    candidateName: candidate.full_name || candidate.email,
+    jobTitle: jobPosting.title,
+    companyId: jobPosting.company_id,
+    hrName: jobPosting.hr_name,
+    hrEmail: jobPosting.hr_email,
+  });
+
+  logger.info(`Stage change email job ${job.id} processed`);
+  return result;
+};
+
+/**
+ * Tell an HR applicant whether their account was approved
+ * @param {object} job - Queue job ({ data: { email, name, companyName, approved, reason } })
+ * @returns {Promise<object>} Send result
+ */
+const processHRRequestDecision = async (job) => {
+  const result = await sendHRRequestDecision(job.data);
+  logger.info(`HR request decision job ${job.id} processed`);
+  return result;
+};
+
+/**
+ * Register email processors
+ */
+const register = () => {
+  const concurrency = parseInt(process.env.EMAIL_WORKER_CONCURRENCY, 10) || 2;
+
+  emailQueue.process('send-email', concurrency, processOutboxEmail);
+  emailQueue.process('company-invite', concurrency, processCompanyInvite);
+  emailQueue.process('application-stage', concurrency, processApplicationStage);
+  emailQueue.process('hr-request-decision', concurrency, processHRRequestDecision);
+};
+
+module.exports = {
+  register,
+  processOutboxEmail,
+  processCompanyInvite,
+  processApplicationStage,
+  processHRRequestDecision,
+};
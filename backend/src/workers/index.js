@@ -0,0 +1,47 @@
+const emailWorker = require('./email.worker');
+const applicationWorker = require('./application.worker');
+const jobLifecycleWorker = require('./jobLifecycle.worker');
+const notificationWorker = require('./notification.worker');
+const webhookWorker = require('./webhook.worker');
+const { closeAllQueues } = require('../utils/queue');
+const logger = require('../utils/logger');
+
+/**
+ * Background Workers
+ * Registers queue processors so this process pulls and runs queued jobs
+ * (including outbound webhook deliveries), and starts the job lifecycle sweep (scheduled publishing, auto-close) and
+ * the candidate digest sweep.
+ * Set QUEUE_WORKERS_ENABLED=false to run an API-only instance.
+ */
+
+/**
+ * Register all queue processors
+ */
+const startWorkers = () => {
+  if (process.env.QUEUE_WORKERS_ENABLED === 'false') {
+    logger.info('Queue workers disabled (QUEUE_WORKERS_ENABLED=false)');
+    return;
+  }
+
+  emailWorker.register();
+  applicationWorker.register();
+  jobLifecycleWorker.register();
+  notificationWorker.register();
+  webhookWorker.register();
+
+  logger.info('Queue workers started');
+};
+
+/**
+ * Stop polling and let in-flight jobs finish
+ */
+const stopWorkers = async () => {
+  jobLifecycleWorker.stop();
+  notificationWorker.stop();
+  await closeAllQueues();
+};
+
+module.exports = {
+  startWorkers,
+  stopWorkers,
+};
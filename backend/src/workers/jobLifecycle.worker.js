@@ -0,0 +1,84 @@
+const jobsModel = require('../models/jobs.model');
+const { emitJobEvent } = require('../services/webhook.service');
+const { TRANSITION_REASONS } = require('../utils/jobLifecycle');
+const logger = require('../utils/logger');
+
+/**
+ * Job Lifecycle Worker - Publishes scheduled jobs and closes expired ones
+ *
+ * Runs on an interval in every worker process. Both steps are single UPDATE
+ * statements guarded by the current status (see migrations/013_job_lifecycle.sql),
+ * so several instances can sweep at the same time without double transitions.
+ * Each transition is sent to the company's job.published / job.closed webhooks.
+ */
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.JOB_LIFECYCLE_INTERVAL_MS, 10) || 60000;
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Publish due scheduled jobs and close jobs past their closing date
+ * @returns {Promise<object>} { published, closed } job IDs
+ */
+const sweep = async () => {
+  if (sweeping) {
+    return { published: [], closed: [] };
+  }
+
+  sweeping = true;
+
+  try {
+    const published = await jobsModel.publishScheduledJobs();
+    const closed = await jobsModel.closeExpiredJobs();
+
+    for (const job of published) {
+      logger.info(`Scheduled job published: ${job.job_id}`);
+      await emitJobEvent('job.published', job, TRANSITION_REASONS.SCHEDULED_PUBLISH);
+    }
+
+    for (const job of closed) {
+      logger.info(`Job closed after its closing date: ${job.job_id}`);
+      await emitJobEvent('job.closed', job, TRANSITION_REASONS.CLOSING_DATE);
+    }
+
+    return {
+      published: published.map((job) => job.job_id),
+      closed: closed.map((job) => job.job_id),
+    };
+  } catch (error) {
+    logger.error('Job lifecycle sweep failed:', error.message);
+    return { published: [], closed: [] };
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Start sweeping (runs once immediately, then every JOB_LIFECYCLE_INTERVAL_MS)
+ */
+const register = () => {
+  if (timer) {
+    return;
+  }
+
+  sweep();
+  timer = setInterval(sweep, DEFAULT_INTERVAL_MS);
+  timer.unref();
+
+  logger.info(`Job lifecycle worker started (every ${DEFAULT_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop sweeping
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  register,
+  stop,
+  sweep,
+};
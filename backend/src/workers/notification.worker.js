@@ -0,0 +1,77 @@
+const { emailQueue } = require('../utils/queue');
+const { sendDueDigests, deliverWebhook } = require('../services/notificationRule.service');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Worker - Sends candidate digests and notification webhooks
+ *
+ * The digest sweep runs on an interval in every worker process. Each digest is claimed
+ * by a guarded update of its rule's due time (see models/notificationRule.model.js), so
+ * several instances can sweep at the same time without sending a digest twice.
+ * Webhook calls are `notification-webhook` jobs on the email queue and retry with backoff.
+ */
+
+const DIGEST_INTERVAL_MS = parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MS, 10) || 300000;
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Send the digests that are due
+ * @returns {Promise<number>} Digests sent
+ */
+const sweep = async () => {
+  if (sweeping) {
+    return 0;
+  }
+
+  sweeping = true;
+
+  try {
+    return await sendDueDigests();
+  } catch (error) {
+    logger.error('Candidate digest sweep failed:', error.message);
+    return 0;
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Process a notification webhook call
+ * @param {object} job - Queue job carrying { ruleId, url, payload }
+ * @returns {Promise<object>} Job result
+ */
+const processNotificationWebhook = async (job) => deliverWebhook(job.data);
+
+/**
+ * Register the webhook processor and start sweeping (once immediately, then every NOTIFICATION_DIGEST_INTERVAL_MS)
+ */
+const register = () => {
+  emailQueue.process('notification-webhook', parseInt(process.env.EMAIL_WORKER_CONCURRENCY, 10) || 2, processNotificationWebhook);
+
+  if (timer) {
+    return;
+  }
+
+  sweep();
+  timer = setInterval(sweep, DIGEST_INTERVAL_MS);
+  timer.unref();
+
+  logger.info(`Notification worker started (digests every ${DIGEST_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop sweeping
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  register,
+  stop,
+  sweep,
+  processNotificationWebhook,
+};
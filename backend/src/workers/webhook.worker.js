@@ -0,0 +1,35 @@
+const { webhookQueue } = require('../utils/queue');
+const { deliverWebhook } = require('../services/webhook.service');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Worker - Delivers application and job events to company webhook endpoints
+ * Failed attempts are retried with exponential backoff by the webhooks queue.
+ */
+
+/**
+ * Deliver a webhook
+ * @param {object} job - Queue job ({ data: { deliveryId } })
+ * @returns {Promise<object>} Delivery result
+ */
+const processWebhookDelivery = async (job) => {
+  const result = await deliverWebhook(job.data.deliveryId, {
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.maxAttempts,
+  });
+
+  logger.info(`Webhook delivery ${job.data.deliveryId}: ${result.status}`);
+  return result;
+};
+
+/**
+ * Register the webhook delivery processor
+ */
+const register = () => {
+  webhookQueue.process('deliver-webhook', parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY, 10) || 2, processWebhookDelivery);
+};
+
+module.exports = {
+  register,
+  processWebhookDelivery,
+};
@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { getLLMProvider } = require('./src/services/llm');
+const { parseLLMResponse } = require('./src/services/atsScoring.service');
+const { SCORING_RESPONSE_SCHEMA } = require('./src/utils/scoringResponse');
+
+// Usage: node test-llm.js [provider] [model]
+async function testLLM() {
+  try {
+    const provider = getLLMProvider({ provider: process.argv[2], model: process.argv[3] });
+    console.log(`Testing LLM provider: ${provider.name} (${provider.model})`);
+
+    // Test with JSON response
+    console.log('\nTesting JSON response...');
+    const jsonPrompt = `Respond with ONLY this JSON structure, nothing else:
+{
+  "test": "success",
+  "score": 95
+}`;
+
+    const startedAt = Date.now();
+    const { text, usage } = await provider.generateJSON(jsonPrompt);
+
+    console.log(`✓ Response received in ${Date.now() - startedAt}ms:`);
+    console.log('---');
+    console.log(text);
+    console.log('---');
+    console.log('Token usage:', usage);
+
+    // Try to parse it
+    const cleanText = text.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '');
+    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      console.log('✓ Successfully parsed JSON:', parsed);
+    } else {
+      console.log('⚠ Could not extract JSON from response');
+    }
+
+    // Test a scoring response with the structured-output schema and strict validation
+    console.log('\nTesting scoring response...');
+    const scoring = await provider.generateJSON(
+      'Score a Node.js developer with 5 years of experience applying to a senior Node.js role. ' +
+      'Return a JSON object with match_score (integer 0-100), shortlist_probability (0-1), ' +
+      'salary_range ({ min, max } whole numbers), missing_skills, strong_skills, key_highlights and ' +
+      'areas_of_concern (arrays of strings) and recommendation (string).',
+      { schema: SCORING_RESPONSE_SCHEMA }
+    );
+    console.log('✓ Validated scoring result:', parseLLMResponse(scoring.text));
+
+    console.log(`\n✅ All tests passed! ${provider.name} is working correctly.`);
+  } catch (error) {
+    console.error('\n❌ Test failed:');
+    console.error('Error:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', error.response.data);
+    }
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+testLLM();
@@ -0,0 +1,114 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => ({
+  auth: { getUser: jest.fn() },
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+jest.mock('../src/config/mailer', () => ({ sendEmail: jest.fn() }));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/jobs.model');
+jest.mock('../src/models/ats.model');
+jest.mock('../src/models/company.model');
+
+const supabase = require('../src/config/supabase');
+const userModel = require('../src/models/user.model');
+const jobsModel = require('../src/models/jobs.model');
+const atsModel = require('../src/models/ats.model');
+const companyModel = require('../src/models/company.model');
+const app = require('../src/app');
+
+/**
+ * Job and application access: HR of another company get 403, unknown ids get 404,
+ * before any controller runs
+ */
+
+const USERS = {
+  'token-other-company': { id: 'user-other', email: 'hr@other.test', role: 'hr_approved', companyId: 2 },
+  'token-candidate': { id: 'user-candidate', email: 'candidate@test.test', role: 'candidate', companyId: null },
+};
+
+const JOB = { job_id: 'job-1', title: 'Backend Engineer', company_id: 1, created_by: 'user-owner' };
+const APPLICATION = { id: 10, job_id: 'job-1', candidate_user_id: 'user-applicant' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  supabase.auth.getUser.mockImplementation(async (token) => {
+    const user = USERS[token];
+    return user
+      ? { data: { user: { id: user.id, email: user.email, aud: 'authenticated' } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid token' } };
+  });
+  userModel.getUserProfileById.mockImplementation(async (id) => {
+    const user = Object.values(USERS).find((item) => item.id === id);
+    return user ? { id: user.id, email: user.email, role: user.role } : null;
+  });
+  companyModel.getMembershipByUserId.mockImplementation(async (id) => {
+    const user = Object.values(USERS).find((item) => item.id === id);
+    return user?.companyId ? { user_id: user.id, company_id: user.companyId, role: 'owner' } : null;
+  });
+  jobsModel.getJobByJobId.mockImplementation(async (jobId) => (jobId === JOB.job_id ? JOB : null));
+  atsModel.getResumeById.mockImplementation(async (id) => (String(id) === String(APPLICATION.id) ? APPLICATION : null));
+});
+
+const JOB_ROUTES = [
+  ['put', '/api/ats/jobs/job-1'],
+  ['delete', '/api/ats/jobs/job-1'],
+  ['get', '/api/ats/jobs/job-1/applications'],
+  ['get', '/api/ats/jobs/job-1/top-candidates'],
+];
+
+describe('job access', () => {
+  test.each(JOB_ROUTES)('%s %s answers 403 JOB_ACCESS_DENIED for HR of another company', async (method, path) => {
+    const res = await request(app)[method](path)
+      .set('Authorization', 'Bearer token-other-company')
+      .send({ title: 'Taken over' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, code: 'JOB_ACCESS_DENIED' });
+    expect(jobsModel.updateJob).not.toHaveBeenCalled();
+    expect(jobsModel.deleteJob).not.toHaveBeenCalled();
+  });
+
+  test.each(JOB_ROUTES.map(([method, path]) => [method, path.replace('job-1', 'job-unknown')]))(
+    '%s %s answers 404 JOB_NOT_FOUND for an unknown job',
+    async (method, path) => {
+      const res = await request(app)[method](path)
+        .set('Authorization', 'Bearer token-other-company')
+        .send({ title: 'Taken over' });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, code: 'JOB_NOT_FOUND' });
+    },
+  );
+});
+
+describe('application access', () => {
+  test('GET /api/ats/applications/:applicationId answers 403 APPLICATION_ACCESS_DENIED for HR of another company', async () => {
+    const res = await request(app)
+      .get('/api/ats/applications/10')
+      .set('Authorization', 'Bearer token-other-company');
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, code: 'APPLICATION_ACCESS_DENIED' });
+  });
+
+  test('GET /api/ats/applications/:applicationId answers 403 APPLICATION_ACCESS_DENIED for another candidate', async () => {
+    const res = await request(app)
+      .get('/api/ats/applications/10')
+      .set('Authorization', 'Bearer token-candidate');
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, code: 'APPLICATION_ACCESS_DENIED' });
+  });
+
+  test('GET /api/ats/applications/:applicationId answers 404 APPLICATION_NOT_FOUND for an unknown application', async () => {
+    const res = await request(app)
+      .get('/api/ats/applications/999')
+      .set('Authorization', 'Bearer token-other-company');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, code: 'APPLICATION_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => ({
+  auth: { getUser: jest.fn() },
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+jest.mock('../src/config/mailer', () => ({ sendEmail: jest.fn() }));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/jobs.model');
+jest.mock('../src/models/company.model');
+jest.mock('../src/models/auditLog.model');
+jest.mock('../src/services/rescore.service');
+
+const supabase = require('../src/config/supabase');
+const userModel = require('../src/models/user.model');
+const jobsModel = require('../src/models/jobs.model');
+const companyModel = require('../src/models/company.model');
+const app = require('../src/app');
+
+/**
+ * Job create/update validation: bad input answers 400 instead of reaching the database
+ */
+
+const HR = { id: 'user-hr', email: 'hr@company.test', role: 'hr_approved' };
+const JOB = { job_id: 'job-1', title: 'Backend Engineer', description: 'Build APIs', company_id: 1, created_by: HR.id };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  supabase.auth.getUser.mockResolvedValue({
+    data: { user: { id: HR.id, email: HR.email, aud: 'authenticated' } },
+    error: null,
+  });
+  userModel.getUserProfileById.mockResolvedValue({ id: HR.id, email: HR.email, role: HR.role });
+  companyModel.getMembershipByUserId.mockResolvedValue({ user_id: HR.id, company_id: 1, role: 'owner' });
+  jobsModel.getJobByJobId.mockImplementation(async (jobId) => (jobId === JOB.job_id ? JOB : null));
+  jobsModel.updateJob.mockImplementation(async (jobId, updates) => ({ ...JOB, ...updates }));
+});
+
+const updateJob = (body) => request(app)
+  .put('/api/ats/jobs/job-1')
+  .set('Authorization', 'Bearer token-hr')
+  .send(body);
+
+const createJob = (body) => request(app)
+  .post('/api/ats/jobs')
+  .set('Authorization', 'Bearer token-hr')
+  .send({ title: 'Backend Engineer', description: 'Build APIs', ...body });
+
+describe('PUT /api/ats/jobs/:jobId', () => {
+  test.each([
+    ['title', ''],
+    ['title', '   '],
+    ['description', ''],
+    ['description', null],
+  ])('answers 400 when %s is set to %j', async (field, value) => {
+    const res = await updateJob({ [field]: value });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, error: `${field} cannot be empty` });
+    expect(jobsModel.updateJob).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['llmProvider', 123],
+    ['llmProvider', true],
+    ['llmProvider', {}],
+    ['llmModel', ['gpt-4o']],
+  ])('answers 400 when %s is %j', async (field, value) => {
+    const res = await updateJob({ [field]: value });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, error: `${field} must be a string` });
+    expect(jobsModel.updateJob).not.toHaveBeenCalled();
+  });
+
+  test('clears optional fields sent empty and keeps the rest', async () => {
+    const res = await updateJob({ title: 'Senior Backend Engineer', location: '', llmProvider: '', llmModel: '' });
+
+    expect(res.status).toBe(200);
+    expect(jobsModel.updateJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      title: 'Senior Backend Engineer',
+      location: null,
+      llm_provider: null,
+      llm_model: null,
+    }));
+  });
+});
+
+describe('POST /api/ats/jobs', () => {
+  test('answers 400 for a whitespace-only title', async () => {
+    const res = await createJob({ title: '  ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, error: 'Title and description are required' });
+    expect(jobsModel.createOrUpdateJob).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['llmProvider', 123],
+    ['llmModel', false],
+  ])('answers 400 when %s is %j', async (field, value) => {
+    const res = await createJob({ [field]: value });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, error: `${field} must be a string` });
+    expect(jobsModel.createOrUpdateJob).not.toHaveBeenCalled();
+  });
+});
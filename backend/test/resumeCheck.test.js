@@ -0,0 +1,111 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => ({
+  auth: { getUser: jest.fn() },
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+jest.mock('../src/config/mailer', () => ({ sendEmail: jest.fn() }));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/jobs.model');
+jest.mock('../src/models/candidate.model');
+
+const supabase = require('../src/config/supabase');
+const userModel = require('../src/models/user.model');
+const jobsModel = require('../src/models/jobs.model');
+const candidateModel = require('../src/models/candidate.model');
+const { RESUME_CHECK_LIMIT } = require('../src/services/resumeFeedback.service');
+const app = require('../src/app');
+
+/**
+ * Resume checks are reserved against the candidate's limit before the resume is read
+ */
+
+const CANDIDATE = { id: 'user-candidate', email: 'candidate@test.test', role: 'candidate' };
+
+const JOB = {
+  job_id: 'job-1',
+  title: 'Backend Engineer',
+  status: 'active',
+  description: 'Build APIs in Node.js',
+  requirements: 'Node.js, PostgreSQL',
+};
+
+const LIBRARY_RESUME = {
+  id: 3,
+  user_id: CANDIDATE.id,
+  parsed_data: {
+    personalInfo: { name: 'Sam Lee' },
+    experience: [],
+    education: [],
+    skills: ['Node.js'],
+  },
+};
+
+const checksMade = (count) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  job_id: 'job-1',
+  created_at: new Date(Date.now() - (count - index) * 60 * 1000).toISOString(),
+}));
+
+const checkResume = (resumeId = LIBRARY_RESUME.id) => request(app)
+  .post('/api/candidate/jobs/job-1/resume-check')
+  .set('Authorization', 'Bearer token-candidate')
+  .field('resumeId', String(resumeId));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  supabase.auth.getUser.mockResolvedValue({
+    data: { user: { id: CANDIDATE.id, email: CANDIDATE.email, aud: 'authenticated' } },
+    error: null,
+  });
+  userModel.getUserProfileById.mockResolvedValue(CANDIDATE);
+  jobsModel.getJobByJobId.mockResolvedValue(JOB);
+  candidateModel.getLibraryResumeById.mockImplementation(async (id) => (
+    String(id) === String(LIBRARY_RESUME.id) ? LIBRARY_RESUME : null
+  ));
+});
+
+describe('POST /api/candidate/jobs/:jobId/resume-check', () => {
+  test('answers 429 without reading the resume once the limit is reached', async () => {
+    candidateModel.reserveFeedbackCheck.mockResolvedValue(null);
+    candidateModel.getFeedbackChecksSince.mockResolvedValue(checksMade(RESUME_CHECK_LIMIT));
+
+    const res = await checkResume();
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, code: 'RESUME_CHECK_LIMIT' });
+    expect(res.body.resetAt).toEqual(expect.any(String));
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(candidateModel.getLibraryResumeById).not.toHaveBeenCalled();
+  });
+
+  test('counts a check that fails after it was reserved', async () => {
+    candidateModel.reserveFeedbackCheck.mockResolvedValue({ id: 1 });
+    candidateModel.getFeedbackChecksSince.mockResolvedValue(checksMade(1));
+
+    const res = await checkResume(999);
+
+    expect(res.status).toBe(404);
+    expect(candidateModel.reserveFeedbackCheck).toHaveBeenCalledWith(expect.objectContaining({
+      userId: CANDIDATE.id,
+      jobId: 'job-1',
+      limit: RESUME_CHECK_LIMIT,
+    }));
+  });
+
+  test('reports the checks left after the reserved one', async () => {
+    candidateModel.reserveFeedbackCheck.mockResolvedValue({ id: 2 });
+    candidateModel.getFeedbackChecksSince.mockResolvedValue(checksMade(2));
+
+    const res = await checkResume();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      jobId: 'job-1',
+      checksRemaining: RESUME_CHECK_LIMIT - 2,
+      checksLimit: RESUME_CHECK_LIMIT,
+    });
+  });
+});
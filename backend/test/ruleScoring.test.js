@@ -0,0 +1,60 @@
+const { extractJobSkills } = require('../src/services/ruleScoring.service');
+
+/**
+ * Rule-based scorer: splitting free-text job postings into required and nice-to-have skills
+ */
+
+const keys = (skills) => skills.map((skill) => skill.key);
+
+describe('extractJobSkills', () => {
+  test('treats description skills as required when the posting has no requirements', () => {
+    const { required, preferred } = extractJobSkills({
+      description: 'We use React and Docker.',
+      requirements: '',
+    });
+
+    expect(keys(required)).toEqual(['docker', 'react']);
+    expect(preferred).toEqual([]);
+  });
+
+  test('treats plain description skills as nice-to-have next to the requirements', () => {
+    const { required, preferred } = extractJobSkills({
+      description: 'Our stack includes React and Docker.',
+      requirements: 'Node.js\nPostgreSQL',
+    });
+
+    expect(keys(required)).toEqual(['nodejs', 'postgresql']);
+    expect(keys(preferred)).toEqual(['docker', 'react']);
+  });
+
+  test('keeps a skill the description explicitly requires as required', () => {
+    const { required, preferred } = extractJobSkills({
+      description: 'You must know Kubernetes.\nOur stack includes React.',
+      requirements: 'Node.js',
+    });
+
+    expect(keys(required)).toEqual(['kubernetes', 'nodejs']);
+    expect(keys(preferred)).toEqual(['react']);
+  });
+
+  test('follows required and nice-to-have headings in the description', () => {
+    const { required, preferred } = extractJobSkills({
+      description: 'About us: we build with React.\nRequired skills:\nPython\nAWS\nNice to have:\nGraphQL',
+      requirements: 'Node.js',
+    });
+
+    expect(keys(required)).toEqual(['aws', 'nodejs', 'python']);
+    expect(keys(preferred)).toEqual(['graphql', 'react']);
+  });
+
+  test('prefers structured criteria over the free text', () => {
+    const { required, preferred } = extractJobSkills({
+      description: 'You must know Kubernetes.',
+      requirements: 'Node.js',
+      criteria: { required_skills: [{ name: 'Python', weight: 3 }], nice_to_have_skills: ['Docker'] },
+    });
+
+    expect(required).toEqual([{ key: 'python', label: expect.any(String), weight: 3 }]);
+    expect(keys(preferred)).toEqual(['docker']);
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => ({
+  auth: { getUser: jest.fn() },
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+jest.mock('../src/config/mailer', () => ({ sendEmail: jest.fn() }));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/jobs.model');
+jest.mock('../src/models/ats.model');
+jest.mock('../src/models/company.model');
+
+const supabase = require('../src/config/supabase');
+const userModel = require('../src/models/user.model');
+const jobsModel = require('../src/models/jobs.model');
+const atsModel = require('../src/models/ats.model');
+const companyModel = require('../src/models/company.model');
+const app = require('../src/app');
+
+/**
+ * Score versions of a blind job's application are redacted like the application itself
+ */
+
+const HR = { id: 'user-hr', email: 'hr@acme.test', role: 'hr_approved' };
+
+const BLIND_JOB = {
+  job_id: 'job-1',
+  company_id: 1,
+  blind_review: true,
+  blind_reveal_stage: 'interview',
+};
+
+const RESUME = {
+  id: 10,
+  job_id: 'job-1',
+  pipeline_stage: 'screening',
+  identity_revealed_at: null,
+  parsed_data: { personalInfo: { name: 'Jane Doe', email: 'jane.doe@mail.test' } },
+};
+
+const VERSIONS = [
+  {
+    id: 2,
+    resume_id: 10,
+    version: 2,
+    is_current: true,
+    match_score: 81,
+    recommendation: 'Jane Doe is a strong fit for the role',
+    key_highlights: ['Jane led the payments migration'],
+    areas_of_concern: ['Doe has no Kubernetes experience; contact jane.doe@mail.test'],
+  },
+  {
+    id: 1,
+    resume_id: 10,
+    version: 1,
+    is_current: false,
+    match_score: 64,
+    recommendation: 'Hire Jane Doe',
+    key_highlights: [],
+    areas_of_concern: [],
+  },
+];
+
+const getScores = () => request(app)
+  .get('/api/ats/applications/10/scores')
+  .set('Authorization', 'Bearer token-hr');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  supabase.auth.getUser.mockResolvedValue({
+    data: { user: { id: HR.id, email: HR.email, aud: 'authenticated' } },
+    error: null,
+  });
+  userModel.getUserProfileById.mockResolvedValue(HR);
+  companyModel.getMembershipByUserId.mockResolvedValue({ user_id: HR.id, company_id: 1, role: 'owner' });
+  jobsModel.getCompanyPipeline.mockResolvedValue(null);
+  jobsModel.getJobByJobId.mockResolvedValue(BLIND_JOB);
+  atsModel.getResumeById.mockResolvedValue(RESUME);
+  atsModel.getScoreVersions.mockResolvedValue(VERSIONS);
+});
+
+describe('GET /api/ats/applications/:applicationId/scores', () => {
+  test('redacts every version while a blind application is not revealed', async () => {
+    const res = await getScores();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.currentVersion).toBe(2);
+    expect(res.body.data.versions).toHaveLength(2);
+
+    res.body.data.versions.forEach((version) => {
+      expect(version.identity_hidden).toBe(true);
+      expect(version).not.toHaveProperty('resumes');
+
+      const text = JSON.stringify([version.recommendation, version.key_highlights, version.areas_of_concern]);
+      expect(text).not.toMatch(/Jane|Doe|jane\.doe@mail\.test/);
+    });
+    expect(res.body.data.versions[0].match_score).toBe(81);
+  });
+
+  test('returns versions unredacted once the candidate is revealed', async () => {
+    atsModel.getResumeById.mockResolvedValue({ ...RESUME, pipeline_stage: 'interview' });
+
+    const res = await getScores();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.versions[0]).toMatchObject({
+      identity_hidden: false,
+      recommendation: 'Jane Doe is a strong fit for the role',
+    });
+  });
+
+  test('returns versions unredacted for a job without blind review', async () => {
+    jobsModel.getJobByJobId.mockResolvedValue({ ...BLIND_JOB, blind_review: false });
+
+    const res = await getScores();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.versions[1].recommendation).toBe('Hire Jane Doe');
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Test environment
+ * Config modules refuse to load without these; tests mock the clients that would use them.
+ */
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+process.env.CLOUDINARY_CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME || 'test';
+process.env.CLOUDINARY_API_KEY = process.env.CLOUDINARY_API_KEY || 'test';
+process.env.CLOUDINARY_API_SECRET = process.env.CLOUDINARY_API_SECRET || 'test';
+process.env.SMTP_HOST = process.env.SMTP_HOST || '127.0.0.1';
+process.env.SMTP_PORT = process.env.SMTP_PORT || '2525';
+process.env.SMTP_USER = process.env.SMTP_USER || 'test';
+process.env.SMTP_PASS = process.env.SMTP_PASS || 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.QUEUE_WORKERS_ENABLED = 'false';
@@ -0,0 +1,12 @@
+const Sequencer = require('@jest/test-sequencer').default;
+
+/**
+ * Run test files in path order so runs are repeatable
+ */
+class PathSequencer extends Sequencer {
+  sort(tests) {
+    return [...tests].sort((a, b) => a.path.localeCompare(b.path));
+  }
+}
+
+module.exports = PathSequencer;
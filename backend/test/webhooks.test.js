@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+
+jest.mock('../src/config/supabase', () => ({
+  auth: { getUser: jest.fn() },
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+jest.mock('../src/config/mailer', () => ({ sendEmail: jest.fn() }));
+jest.mock('../src/models/webhook.model');
+
+const webhookModel = require('../src/models/webhook.model');
+const webhookService = require('../src/services/webhook.service');
+const { signPayload, generateSecret } = require('../src/utils/webhooks');
+
+/**
+ * Company webhooks: signed requests, deliveries that keep the status code only, and endpoint
+ * URLs that only reach public hosts
+ */
+
+/**
+ * Check an X-Webhook-Signature header the way receivers are told to (README)
+ * @param {string} header - Header value
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw request body
+ * @returns {boolean} True when the signature matches
+ */
+const verifySignature = (header, secret, body) => {
+  const [t, v1] = header.split(',').map((part) => part.split('=')[1]);
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return Boolean(v1) && v1.length === expected.length && crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+};
+
+const ENDPOINT = {
+  id: 7,
+  company_id: 1,
+  url: 'https://hooks.example.com/ats',
+  secret: 'whsec_test_secret',
+  events: ['application.created'],
+  is_active: true,
+};
+
+const DELIVERY = {
+  id: 70,
+  endpoint_id: 7,
+  event_type: 'application.created',
+  payload: { event: 'application.created' },
+  status: 'queued',
+  attempts: 0,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+
+  jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  webhookModel.getEndpointsByCompany.mockResolvedValue([]);
+  webhookModel.createEndpoint.mockImplementation(async (data) => ({ id: 8, ...data }));
+  webhookModel.getEndpointById.mockResolvedValue(ENDPOINT);
+  webhookModel.getDeliveryById.mockResolvedValue(DELIVERY);
+  webhookModel.updateDelivery.mockImplementation(async (id, updates) => ({ id, ...updates }));
+});
+
+describe('signPayload', () => {
+  test('signs the timestamp and the exact body with the endpoint secret', () => {
+    const header = signPayload('whsec_test_secret', '{"id":1}', 1700000000);
+
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(verifySignature(header, 'whsec_test_secret', '{"id":1}')).toBe(true);
+    expect(verifySignature(header, 'whsec_test_secret', '{"id":2}')).toBe(false);
+    expect(verifySignature(header, 'whsec_other_secret', '{"id":1}')).toBe(false);
+  });
+
+  test('generates distinct secrets', () => {
+    expect(generateSecret()).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(generateSecret()).not.toBe(generateSecret());
+  });
+});
+
+describe('createEndpoint', () => {
+  test.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:5432/',
+    'http://192.168.0.10/hook',
+  ])('rejects %s', async (url) => {
+    await expect(webhookService.createEndpoint(1, 'user-owner', { url, events: ['application.created'] }))
+      .rejects.toThrow('Invalid webhook endpoint: url must point to a public host');
+    expect(webhookModel.createEndpoint).not.toHaveBeenCalled();
+  });
+
+  test('rejects a hostname that resolves to a private address', async () => {
+    dns.promises.lookup.mockResolvedValue([{ address: '10.0.0.12', family: 4 }]);
+
+    await expect(webhookService.createEndpoint(1, 'user-owner', {
+      url: 'https://internal.example.com/hook',
+      events: ['application.created'],
+    })).rejects.toThrow('Invalid webhook endpoint: url must point to a public host');
+  });
+
+  test('accepts a public endpoint', async () => {
+    const { endpoint } = await webhookService.createEndpoint(1, 'user-owner', {
+      url: ENDPOINT.url,
+      events: ['application.created'],
+    });
+
+    expect(endpoint.url).toBe(ENDPOINT.url);
+  });
+});
+
+describe('deliverWebhook', () => {
+  test('POSTs the delivery signed with the endpoint secret', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 204, data: { destroy: jest.fn() } });
+
+    await webhookService.deliverWebhook(DELIVERY.id, { attemptsMade: 1, maxAttempts: 6 });
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe(ENDPOINT.url);
+    expect(JSON.parse(body)).toEqual({ id: DELIVERY.id, ...DELIVERY.payload });
+    expect(options.headers).toMatchObject({ 'X-Webhook-Id': '70', 'X-Webhook-Event': 'application.created' });
+    expect(verifySignature(options.headers['X-Webhook-Signature'], ENDPOINT.secret, body)).toBe(true);
+  });
+
+  test('keeps a failed delivery queued for a retry with backoff', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 503, data: { destroy: jest.fn() } });
+
+    await expect(webhookService.deliverWebhook(DELIVERY.id, { attemptsMade: 1, maxAttempts: 6 }))
+      .rejects.toThrow('Endpoint responded with HTTP 503');
+
+    const [, updates] = webhookModel.updateDelivery.mock.calls[0];
+    expect(updates).toMatchObject({ status: 'queued', attempts: 1, response_status: 503 });
+    expect(new Date(updates.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('records the status code but not the response body', async () => {
+    const destroy = jest.fn();
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: { destroy } });
+
+    await expect(webhookService.deliverWebhook(DELIVERY.id, { attemptsMade: 1, maxAttempts: 6 }))
+      .resolves.toEqual({ deliveryId: DELIVERY.id, status: 'delivered' });
+
+    const [, , options] = axios.post.mock.calls[0];
+    expect(options).toMatchObject({ maxRedirects: 0, responseType: 'stream' });
+    expect(destroy).toHaveBeenCalled();
+
+    const [, updates] = webhookModel.updateDelivery.mock.calls[0];
+    expect(updates).toMatchObject({ status: 'delivered', response_status: 200 });
+    expect(updates).not.toHaveProperty('response_body');
+  });
+
+  test('fails without a request when a stored endpoint points to a private address', async () => {
+    webhookModel.getEndpointById.mockResolvedValue({ ...ENDPOINT, url: 'http://127.0.0.1:8080/hook' });
+    jest.spyOn(axios, 'post');
+
+    await expect(webhookService.deliverWebhook(DELIVERY.id, { attemptsMade: 6, maxAttempts: 6 }))
+      .rejects.toThrow('url must point to a public host');
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(webhookModel.updateDelivery).toHaveBeenCalledWith(DELIVERY.id, expect.objectContaining({ status: 'failed' }));
+  });
+});
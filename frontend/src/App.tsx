@@ -9,22 +9,33 @@ import { LoginPage } from './pages/auth/LoginPage';
 import { RegisterPage } from './pages/auth/RegisterPage';
 import { PendingApprovalPage } from './pages/auth/PendingApprovalPage';
 import { UnauthorizedPage } from './pages/auth/UnauthorizedPage';
+import { AcceptInvitePage } from './pages/auth/AcceptInvitePage';
 
 // Candidate Pages
 import { JobsListPage } from './pages/candidate/JobsListPage';
 import { JobDetailsPage } from './pages/candidate/JobDetailsPage';
 import { MyApplicationsPage } from './pages/candidate/MyApplicationsPage';
+import { ProfilePage } from './pages/candidate/ProfilePage';
 
 // HR Pages
 import { HRDashboardPage } from './pages/hr/HRDashboardPage';
 import { ManageJobsPage } from './pages/hr/ManageJobsPage';
 import { CreateJobPage } from './pages/hr/CreateJobPage';
 import { JobApplicationsPage } from './pages/hr/JobApplicationsPage';
+import { TeamPage } from './pages/hr/TeamPage';
+import { EmailSettingsPage } from './pages/hr/EmailSettingsPage';
+import { WebhooksPage } from './pages/hr/WebhooksPage';
+import { ApiKeysPage } from './pages/hr/ApiKeysPage';
 
 // Admin Pages
 import { AdminDashboardPage } from './pages/admin/AdminDashboardPage';
 import { HRRequestsPage } from './pages/admin/HRRequestsPage';
 import { UsersManagementPage } from './pages/admin/UsersManagementPage';
+import { AuditLogsPage } from './pages/admin/AuditLogsPage';
+import { PromptTemplatesPage } from './pages/admin/PromptTemplatesPage';
+import { RedactionCheckPage } from './pages/admin/RedactionCheckPage';
+import { EmailTemplatesPage } from './pages/admin/EmailTemplatesPage';
+import { EmailOutboxPage } from './pages/admin/EmailOutboxPage';
 
 function App() {
   return (
@@ -87,6 +98,9 @@ function App() {
           {/* Unauthorized Page */}
           <Route path="/unauthorized" element={<UnauthorizedPage />} />
 
+          {/* Company invite links work signed in or out */}
+          <Route path="/invites/:token" element={<AcceptInvitePage />} />
+
           {/* Candidate Routes */}
           <Route
             path="/jobs"
@@ -112,6 +126,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/profile"
+            element={
+              <ProtectedRoute allowedRoles={['candidate']}>
+                <ProfilePage />
+              </ProtectedRoute>
+            }
+          />
 
           {/* HR Routes */}
           <Route
@@ -155,6 +177,39 @@ function App() {
             }
           />
 
+          <Route
+            path="/hr/team"
+            element={
+              <ProtectedRoute allowedRoles={['hr_approved']}>
+                <TeamPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/hr/email-settings"
+            element={
+              <ProtectedRoute allowedRoles={['hr_approved']}>
+                <EmailSettingsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/hr/webhooks"
+            element={
+              <ProtectedRoute allowedRoles={['hr_approved']}>
+                <WebhooksPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/hr/api-keys"
+            element={
+              <ProtectedRoute allowedRoles={['hr_approved']}>
+                <ApiKeysPage />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Admin Routes */}
           <Route
             path="/admin"
@@ -180,6 +235,46 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin/audit-logs"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <AuditLogsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/prompt-templates"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <PromptTemplatesPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/redaction-check"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <RedactionCheckPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/email-templates"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <EmailTemplatesPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/email-outbox"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <EmailOutboxPage />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Default redirect */}
           <Route path="/" element={<Navigate to="/login" replace />} />
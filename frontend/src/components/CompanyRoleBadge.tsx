@@ -0,0 +1,16 @@
+import React from 'react';
+import { CompanyRole } from '@/types';
+import { COMPANY_ROLE_LABELS } from '@/services/company.service';
+
+const ROLE_STYLES: Record<CompanyRole, string> = {
+  owner: 'bg-purple-100 text-purple-800',
+  recruiter: 'bg-green-100 text-green-800',
+  hiring_manager: 'bg-blue-100 text-blue-800',
+  viewer: 'bg-gray-100 text-gray-800',
+};
+
+export const CompanyRoleBadge: React.FC<{ role: CompanyRole }> = ({ role }) => (
+  <span className={`px-3 py-1 text-xs font-semibold rounded-full flex-shrink-0 ${ROLE_STYLES[role] || 'bg-gray-100 text-gray-800'}`}>
+    {COMPANY_ROLE_LABELS[role] || role}
+  </span>
+);
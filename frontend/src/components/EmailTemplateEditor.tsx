@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { EmailTemplate, EmailTemplatePreview, EmailTemplatePreviewInput, EmailTemplateSource } from '@/types';
+import { Eye, Save, RotateCcw, Send, Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Same method names on adminService (platform versions) and companyService (company overrides)
+export interface EmailTemplateApi {
+  saveEmailTemplate: (key: string, data: { subject: string; html: string }) => Promise<EmailTemplate>;
+  resetEmailTemplate: (key: string) => Promise<EmailTemplate>;
+  previewEmailTemplate: (key: string, input: EmailTemplatePreviewInput) => Promise<EmailTemplatePreview>;
+  sendTestEmail: (key: string, input: EmailTemplatePreviewInput) => Promise<{ to: string; subject: string }>;
+}
+
+interface EmailTemplateEditorProps {
+  templates: EmailTemplate[];
+  scope: 'platform' | 'company';
+  api: EmailTemplateApi;
+  onChange: () => void;
+}
+
+const SOURCE_LABELS: Record<EmailTemplateSource, string> = {
+  company: 'Company version',
+  platform: 'Platform version',
+  default: 'Built-in',
+};
+
+const SOURCE_STYLES: Record<EmailTemplateSource, string> = {
+  company: 'bg-primary-100 text-primary-800',
+  platform: 'bg-purple-100 text-purple-800',
+  default: 'bg-gray-100 text-gray-700',
+};
+
+export const EmailTemplateEditor: React.FC<EmailTemplateEditorProps> = ({ templates, scope, api, onChange }) => {
+  const [selectedKey, setSelectedKey] = useState<string | null>(null);
+  const [subject, setSubject] = useState('');
+  const [html, setHtml] = useState('');
+  const [preview, setPreview] = useState<EmailTemplatePreview | null>(null);
+  const [previewTab, setPreviewTab] = useState<'html' | 'text'>('html');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const selected = templates.find((template) => template.key === selectedKey) || null;
+
+  // Keep the selection when the list reloads, and start editing from the saved version
+  useEffect(() => {
+    const template = templates.find((item) => item.key === selectedKey) || templates[0];
+    if (template) {
+      setSelectedKey(template.key);
+      setSubject(template.subject);
+      setHtml(template.html);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [templates]);
+
+  const selectTemplate = (template: EmailTemplate) => {
+    setSelectedKey(template.key);
+    setSubject(template.subject);
+    setHtml(template.html);
+    setPreview(null);
+  };
+
+  if (!selected) {
+    return null;
+  }
+
+  const isEdited = subject !== selected.subject || html !== selected.html;
+  // Only the edit made at this level can be removed
+  const canReset = selected.source === (scope === 'company' ? 'company' : 'platform');
+  const draft: EmailTemplatePreviewInput = isEdited ? { subject, html } : {};
+
+  const handleSave = async () => {
+    if (!subject.trim() || !html.trim()) {
+      toast.error('Subject and body are required');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await api.saveEmailTemplate(selected.key, { subject, html });
+      toast.success(`${selected.name} saved`);
+      onChange();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save email template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    const target = scope === 'company' ? 'the platform version' : 'the built-in version';
+    if (!window.confirm(`Discard your changes to ${selected.name} and use ${target}?`)) {
+      return;
+    }
+
+    try {
+      await api.resetEmailTemplate(selected.key);
+      toast.success(`${selected.name} reset`);
+      setPreview(null);
+      onChange();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to reset email template');
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setIsPreviewing(true);
+      setPreview(await api.previewEmailTemplate(selected.key, draft));
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to preview email template');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleSendTest = async () => {
+    try {
+      setIsSending(true);
+      const result = await api.sendTestEmail(selected.key, draft);
+      toast.success(`Test email queued for ${result.to}`);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to send test email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Templates */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Templates</h2>
+          <ul className="space-y-2">
+            {templates.map((template) => (
+              <li
+                key={template.key}
+                className={`border rounded-lg p-3 cursor-pointer ${
+                  template.key === selectedKey ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+                onClick={() => selectTemplate(template)}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-semibold text-gray-900">{template.name}</span>
+                  <span className={`text-xs font-medium rounded-full px-2 py-0.5 ${SOURCE_STYLES[template.source]}`}>
+                    {SOURCE_LABELS[template.source]}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{template.description}</p>
+                {template.updatedAt && (
+                  <p className="text-xs text-gray-400 mt-1">Edited {new Date(template.updatedAt).toLocaleString()}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Editor */}
+        <div className="card lg:col-span-2 space-y-4">
+          <div>
+            <label className="label">Subject</label>
+            <input type="text" className="input" value={subject} onChange={(e) => setSubject(e.target.value)} />
+          </div>
+          <div>
+            <label className="label">Body (HTML)</label>
+            <textarea
+              className="input font-mono text-xs"
+              rows={16}
+              value={html}
+              onChange={(e) => setHtml(e.target.value)}
+            />
+            <div className="flex flex-wrap gap-2 mt-2">
+              {Object.entries(selected.variables).map(([name, description]) => (
+                <span
+                  key={name}
+                  className="px-2 py-0.5 text-xs font-mono rounded-full bg-gray-100 text-gray-700"
+                  title={description}
+                >
+                  {`{{${name}}}`}
+                </span>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Use {'{{#if name}}...{{else}}...{{/if}}'}, {'{{#unless name}}'} and {'{{#each list}}{{this}}{{/each}}'} for
+              optional parts and lists. The header, footer and plain-text version are added automatically.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !isEdited}
+              className="btn btn-primary flex items-center space-x-2"
+            >
+              <Save className="w-4 h-4" />
+              <span>Save</span>
+            </button>
+            <button
+              onClick={handlePreview}
+              disabled={isPreviewing}
+              className="btn btn-secondary flex items-center space-x-2"
+            >
+              <Eye className="w-4 h-4" />
+              <span>{isPreviewing ? 'Rendering...' : 'Preview'}</span>
+            </button>
+            <button
+              onClick={handleSendTest}
+              disabled={isSending}
+              className="btn btn-secondary flex items-center space-x-2"
+            >
+              <Send className="w-4 h-4" />
+              <span>{isSending ? 'Sending...' : 'Send me a test'}</span>
+            </button>
+            {canReset && (
+              <button onClick={handleReset} className="btn btn-secondary flex items-center space-x-2">
+                <RotateCcw className="w-4 h-4" />
+                <span>Reset</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Preview */}
+      {preview && (
+        <div className="card space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+              <Mail className="w-5 h-5 mr-2" />
+              Preview {preview.source === 'draft' && <span className="ml-2 text-xs text-gray-500">(unsaved)</span>}
+            </h2>
+            <div className="flex border border-gray-300 rounded-lg overflow-hidden">
+              {(['html', 'text'] as const).map((tab) => (
+                <button
+                  key={tab}
+                  onClick={() => setPreviewTab(tab)}
+                  className={`px-3 py-1 text-sm ${
+                    previewTab === tab ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {tab === 'html' ? 'HTML' : 'Plain text'}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="text-sm text-gray-700 space-y-1">
+            <p>
+              <span className="font-medium">From:</span> {preview.fromName}
+            </p>
+            <p>
+              <span className="font-medium">Subject:</span> {preview.subject}
+            </p>
+          </div>
+          {previewTab === 'html' ? (
+            <iframe
+              title="Email preview"
+              sandbox=""
+              srcDoc={preview.html}
+              className="w-full h-[36rem] border border-gray-200 rounded-lg bg-white"
+            />
+          ) : (
+            <pre className="bg-gray-50 text-gray-800 text-sm rounded-lg p-4 whitespace-pre-wrap">{preview.text}</pre>
+          )}
+          <p className="text-xs text-gray-500">Rendered with sample data.</p>
+        </div>
+      )}
+    </div>
+  );
+};
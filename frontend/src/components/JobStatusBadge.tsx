@@ -0,0 +1,19 @@
+import React from 'react';
+import { JobStatus } from '@/types';
+
+const STATUS_STYLES: Record<JobStatus, { label: string; className: string }> = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  scheduled: { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' },
+  active: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  closed: { label: 'Closed', className: 'bg-red-100 text-red-800' },
+};
+
+export const JobStatusBadge: React.FC<{ status: JobStatus }> = ({ status }) => {
+  const style = STATUS_STYLES[status] || { label: status, className: 'bg-yellow-100 text-yellow-800' };
+
+  return (
+    <span className={`px-3 py-1 text-xs font-semibold rounded-full flex-shrink-0 ${style.className}`}>
+      {style.label}
+    </span>
+  );
+};
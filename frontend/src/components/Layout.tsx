@@ -9,7 +9,15 @@ import {
   LogOut, 
   Menu, 
   X,
-  User
+  User,
+  ScrollText,
+  UserCircle,
+  Sparkles,
+  EyeOff,
+  Mail,
+  Inbox,
+  Webhook,
+  KeyRound
 } from 'lucide-react';
 
 interface LayoutProps {
@@ -36,16 +44,26 @@ export const Layout: React.FC<LayoutProps> = ({ children }) => {
           { path: '/admin', label: 'Dashboard', icon: LayoutDashboard },
           { path: '/admin/hr-requests', label: 'HR Requests', icon: FileText },
           { path: '/admin/users', label: 'User Management', icon: Users },
+          { path: '/admin/prompt-templates', label: 'Prompt Templates', icon: Sparkles },
+          { path: '/admin/redaction-check', label: 'Redaction Check', icon: EyeOff },
+          { path: '/admin/email-templates', label: 'Email Templates', icon: Mail },
+          { path: '/admin/email-outbox', label: 'Email Outbox', icon: Inbox },
+          { path: '/admin/audit-logs', label: 'Audit Log', icon: ScrollText },
         ];
       case 'hr_approved':
         return [
           { path: '/hr', label: 'Dashboard', icon: LayoutDashboard },
-          { path: '/hr/jobs', label: 'My Jobs', icon: Briefcase },
+          { path: '/hr/jobs', label: 'Company Jobs', icon: Briefcase },
+          { path: '/hr/team', label: 'Team', icon: Users },
+          { path: '/hr/email-settings', label: 'Email Settings', icon: Mail },
+          { path: '/hr/webhooks', label: 'Webhooks', icon: Webhook },
+          { path: '/hr/api-keys', label: 'API Keys', icon: KeyRound },
         ];
       case 'candidate':
         return [
           { path: '/jobs', label: 'Browse Jobs', icon: Briefcase },
           { path: '/my-applications', label: 'My Applications', icon: FileText },
+          { path: '/profile', label: 'My Profile', icon: UserCircle },
         ];
       default:
         return [];
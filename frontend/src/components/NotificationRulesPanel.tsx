@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import { jobService } from '@/services/job.service';
+import { Job, NotificationDelivery, NotificationRule, NotificationRuleInput } from '@/types';
+import { Bell, Plus, Mail, Webhook, Pencil, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+interface NotificationRulesPanelProps {
+  jobs: Job[];
+}
+
+const DELIVERY_LABELS: Record<NotificationDelivery, string> = {
+  instant: 'Instantly',
+  hourly: 'Hourly digest',
+  daily: 'Daily digest',
+};
+
+const EMPTY_RULE: NotificationRuleInput = {
+  name: '',
+  job_id: null,
+  min_score: 80,
+  required_skills: [],
+  delivery: 'instant',
+  daily_cap: null,
+  email_enabled: true,
+  webhook_url: null,
+  is_active: true,
+};
+
+export const NotificationRulesPanel: React.FC<NotificationRulesPanelProps> = ({ jobs }) => {
+  const [rules, setRules] = useState<NotificationRule[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingId, setEditingId] = useState<number | 'new' | null>(null);
+  const [form, setForm] = useState<NotificationRuleInput>(EMPTY_RULE);
+  const [skillsText, setSkillsText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadRules = async () => {
+    try {
+      setRules(await jobService.getNotificationRules());
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load notification rules');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const jobTitle = (jobId: string | null) => {
+    if (!jobId) return 'All company jobs';
+    return jobs.find((job) => job.job_id === jobId)?.title || jobId;
+  };
+
+  const startEditing = (rule: NotificationRule | null) => {
+    const values = rule
+      ? {
+          name: rule.name,
+          job_id: rule.job_id,
+          min_score: rule.min_score,
+          required_skills: rule.required_skills,
+          delivery: rule.delivery,
+          daily_cap: rule.daily_cap,
+          email_enabled: rule.email_enabled,
+          webhook_url: rule.webhook_url,
+          is_active: rule.is_active,
+        }
+      : EMPTY_RULE;
+
+    setForm(values);
+    setSkillsText(values.required_skills.join(', '));
+    setEditingId(rule ? rule.id : 'new');
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const data: NotificationRuleInput = {
+      ...form,
+      required_skills: skillsText.split(',').map((skill) => skill.trim()).filter(Boolean),
+      webhook_url: form.webhook_url?.trim() || null,
+    };
+
+    try {
+      setIsSaving(true);
+      if (editingId === 'new') {
+        await jobService.createNotificationRule(data);
+        toast.success('Notification rule created');
+      } else if (editingId !== null) {
+        await jobService.updateNotificationRule(editingId, data);
+        toast.success('Notification rule saved');
+      }
+      setEditingId(null);
+      loadRules();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save notification rule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule: NotificationRule) => {
+    try {
+      await jobService.updateNotificationRule(rule.id, { is_active: !rule.is_active });
+      toast.success(rule.is_active ? `${rule.name} paused` : `${rule.name} resumed`);
+      loadRules();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to update notification rule');
+    }
+  };
+
+  const handleDelete = async (rule: NotificationRule) => {
+    if (!window.confirm(`Delete the notification rule "${rule.name}"?`)) {
+      return;
+    }
+
+    try {
+      await jobService.deleteNotificationRule(rule.id);
+      toast.success('Notification rule deleted');
+      loadRules();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete notification rule');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Bell className="w-5 h-5 mr-2" />
+          Notification Rules
+        </h2>
+        {editingId === null && (
+          <button onClick={() => startEditing(null)} className="btn btn-secondary flex items-center space-x-2">
+            <Plus className="w-4 h-4" />
+            <span>New Rule</span>
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        Choose which candidates you hear about. Without rules, a job's HR contact is emailed when an application
+        scores 80 or more.
+      </p>
+
+      {/* Rule form */}
+      {editingId !== null && (
+        <form onSubmit={handleSave} className="border border-primary-200 bg-primary-50 rounded-lg p-4 mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Name</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="e.g. Senior backend, 85+"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Job</label>
+              <select
+                className="input"
+                value={form.job_id || ''}
+                onChange={(e) => setForm({ ...form, job_id: e.target.value || null })}
+              >
+                <option value="">All company jobs</option>
+                {jobs.map((job) => (
+                  <option key={job.id} value={job.job_id}>
+                    {job.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Minimum score</label>
+              <input
+                type="number"
+                className="input"
+                min={0}
+                max={100}
+                value={form.min_score}
+                onChange={(e) => setForm({ ...form, min_score: Number(e.target.value) })}
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Required skills</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="e.g. Node.js, PostgreSQL"
+                value={skillsText}
+                onChange={(e) => setSkillsText(e.target.value)}
+              />
+              <p className="text-xs text-gray-500 mt-1">Comma-separated; the resume must mention all of them.</p>
+            </div>
+            <div>
+              <label className="label">Delivery</label>
+              <select
+                className="input"
+                value={form.delivery}
+                onChange={(e) => setForm({ ...form, delivery: e.target.value as NotificationDelivery })}
+              >
+                {(Object.keys(DELIVERY_LABELS) as NotificationDelivery[]).map((delivery) => (
+                  <option key={delivery} value={delivery}>
+                    {DELIVERY_LABELS[delivery]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Daily cap</label>
+              <input
+                type="number"
+                className="input"
+                min={1}
+                placeholder="No cap"
+                value={form.daily_cap ?? ''}
+                onChange={(e) => setForm({ ...form, daily_cap: e.target.value ? Number(e.target.value) : null })}
+              />
+              <p className="text-xs text-gray-500 mt-1">Most candidates sent in any 24 hours.</p>
+            </div>
+            <div className="md:col-span-2">
+              <label className="label">Webhook URL</label>
+              <input
+                type="url"
+                className="input"
+                placeholder="https://hooks.example.com/ats (optional)"
+                value={form.webhook_url || ''}
+                onChange={(e) => setForm({ ...form, webhook_url: e.target.value })}
+              />
+            </div>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.email_enabled}
+              onChange={(e) => setForm({ ...form, email_enabled: e.target.checked })}
+            />
+            <span>Email me</span>
+          </label>
+          <div className="flex gap-3">
+            <button type="submit" disabled={isSaving} className="btn btn-primary">
+              {isSaving ? 'Saving...' : 'Save Rule'}
+            </button>
+            <button type="button" onClick={() => setEditingId(null)} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Rules */}
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading notification rules...</p>
+      ) : rules.length === 0 ? (
+        editingId === null && <p className="text-sm text-gray-500">You have no notification rules yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {rules.map((rule) => (
+            <div
+              key={rule.id}
+              className={`p-4 rounded-lg border border-gray-200 ${rule.is_active ? '' : 'opacity-60'}`}
+            >
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <h3 className="font-semibold text-gray-900">{rule.name}</h3>
+                    {!rule.is_active && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700">Paused</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {jobTitle(rule.job_id)} • Score {rule.min_score}+ • {DELIVERY_LABELS[rule.delivery]}
+                    {rule.daily_cap && ` • Up to ${rule.daily_cap}/day`}
+                  </p>
+                  {rule.required_skills.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {rule.required_skills.map((skill) => (
+                        <span key={skill} className="px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-800">
+                          {skill}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex items-center gap-4 mt-2 text-xs text-gray-500">
+                    {rule.email_enabled && (
+                      <span className="flex items-center">
+                        <Mail className="w-3 h-3 mr-1" />
+                        Email
+                      </span>
+                    )}
+                    {rule.webhook_url && (
+                      <span className="flex items-center truncate" title={rule.webhook_url}>
+                        <Webhook className="w-3 h-3 mr-1" />
+                        Webhook
+                      </span>
+                    )}
+                    {rule.last_24h && (
+                      <span>
+                        Last 24h: {rule.last_24h.sent} sent
+                        {rule.last_24h.pending > 0 && `, ${rule.last_24h.pending} waiting for the digest`}
+                        {rule.last_24h.capped > 0 && `, ${rule.last_24h.capped} over the cap`}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    {rule.is_active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => startEditing(rule)}
+                    className="text-gray-500 hover:text-gray-700"
+                    title="Edit rule"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="text-red-500 hover:text-red-700"
+                    title="Delete rule"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
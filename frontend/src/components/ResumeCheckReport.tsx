@@ -0,0 +1,116 @@
+import React from 'react';
+import { ResumeCheckReport as Report } from '@/types';
+import { ProgressBar } from './ProgressBar';
+import { AlertTriangle, CheckCircle, XCircle, PenLine } from 'lucide-react';
+
+interface ResumeCheckReportProps {
+  report: Report;
+}
+
+export const ResumeCheckReport: React.FC<ResumeCheckReportProps> = ({ report }) => {
+  const { keywordCoverage, missingKeywords } = report;
+  const hasMissingKeywords = missingKeywords.required.length > 0 || missingKeywords.niceToHave.length > 0;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {keywordCoverage.percent !== null ? (
+          <ProgressBar
+            label={`Keywords matched (${keywordCoverage.matched} of ${keywordCoverage.total})`}
+            value={keywordCoverage.percent}
+            color={keywordCoverage.percent >= 70 ? 'green' : keywordCoverage.percent >= 40 ? 'yellow' : 'red'}
+          />
+        ) : (
+          <p className="text-sm text-gray-600">This job does not list specific skills to match against.</p>
+        )}
+        <ProgressBar
+          label="Section completeness"
+          value={report.sectionCompleteness}
+          color={report.sectionCompleteness === 100 ? 'green' : 'yellow'}
+        />
+      </div>
+
+      {hasMissingKeywords && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Missing keywords</h4>
+          <p className="text-xs text-gray-500 mb-2">
+            If you have experience with these, mention them in your skills or experience.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {missingKeywords.required.map((keyword) => (
+              <span key={keyword} className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                {keyword}
+              </span>
+            ))}
+            {missingKeywords.niceToHave.map((keyword) => (
+              <span key={keyword} className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700">
+                {keyword} (nice to have)
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">Sections</h4>
+        <ul className="space-y-2">
+          {report.sections.map((section) => (
+            <li key={section.key} className="flex items-start text-sm">
+              {section.present ? (
+                <CheckCircle className="w-4 h-4 mr-2 mt-0.5 text-green-600 flex-shrink-0" />
+              ) : (
+                <XCircle className="w-4 h-4 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+              )}
+              <div>
+                <span className="text-gray-900">{section.label}</span>
+                {section.tip && <p className="text-xs text-gray-500">{section.tip}</p>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {report.formattingIssues.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Formatting problems</h4>
+          <ul className="space-y-1">
+            {report.formattingIssues.map((issue) => (
+              <li key={issue} className="flex items-start text-sm text-gray-700">
+                <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 text-yellow-600 flex-shrink-0" />
+                {issue}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {report.bulletSuggestions.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Suggested rewrites</h4>
+          <div className="space-y-3">
+            {report.bulletSuggestions.map((suggestion, index) => (
+              <div key={index} className="bg-gray-50 rounded-lg p-3 text-sm">
+                {suggestion.role && <p className="text-xs text-gray-500 mb-1">{suggestion.role}</p>}
+                <p className="text-gray-500 line-through">{suggestion.original}</p>
+                <p className="flex items-start text-gray-900 mt-1">
+                  <PenLine className="w-4 h-4 mr-2 mt-0.5 text-primary-600 flex-shrink-0" />
+                  {suggestion.rewrite}
+                </p>
+                <ul className="mt-2 list-disc list-inside text-xs text-gray-600">
+                  {suggestion.issues.map((issue) => (
+                    <li key={issue}>{issue}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        {report.checksRemaining} of {report.checksLimit} resume checks left. This check is a guide only and does not
+        submit an application.
+      </p>
+    </div>
+  );
+};
@@ -1,11 +1,14 @@
 import React from 'react';
+import { AlertTriangle } from 'lucide-react';
 
 interface ScoreBadgeProps {
   score: number;
   size?: 'sm' | 'md' | 'lg';
+  // Scored by the rule-based fallback because the LLM call failed
+  isFallback?: boolean;
 }
 
-export const ScoreBadge: React.FC<ScoreBadgeProps> = ({ score, size = 'md' }) => {
+export const ScoreBadge: React.FC<ScoreBadgeProps> = ({ score, size = 'md', isFallback = false }) => {
   const getScoreColor = (score: number) => {
     if (score >= 80) return 'bg-green-100 text-green-800 border-green-200';
     if (score >= 60) return 'bg-blue-100 text-blue-800 border-blue-200';
@@ -26,7 +29,7 @@ export const ScoreBadge: React.FC<ScoreBadgeProps> = ({ score, size = 'md' }) =>
     lg: 'text-base px-4 py-2',
   };
 
-  return (
+  const badge = (
     <span
       className={`inline-flex items-center font-semibold rounded-full border-2 ${getScoreColor(
         score
@@ -35,4 +38,21 @@ export const ScoreBadge: React.FC<ScoreBadgeProps> = ({ score, size = 'md' }) =>
       {score}% - {getScoreLabel(score)}
     </span>
   );
+
+  if (!isFallback) {
+    return badge;
+  }
+
+  return (
+    <span className="inline-flex flex-col items-end gap-1">
+      {badge}
+      <span
+        className="inline-flex items-center text-xs font-medium text-amber-800 bg-amber-50 border border-amber-200 rounded-full px-2 py-0.5"
+        title="The AI scorer was unavailable, so this score comes from keyword matching only"
+      >
+        <AlertTriangle className="w-3 h-3 mr-1" />
+        Scored by fallback — review manually
+      </span>
+    </span>
+  );
 };
@@ -4,12 +4,14 @@ import { Layout } from '@/components/Layout';
 import { StatsCard } from '@/components/StatsCard';
 import { LoadingSpinner } from '@/components/LoadingSpinner';
 import { adminService } from '@/services/admin.service';
-import { Users, UserCheck, UserX, Clock } from 'lucide-react';
+import { Users, UserCheck, UserX, Clock, AlertTriangle } from 'lucide-react';
+import { LLMMetrics } from '@/types';
 import toast from 'react-hot-toast';
 
 export const AdminDashboardPage: React.FC = () => {
   const [hrStats, setHrStats] = useState<any>(null);
   const [userStats, setUserStats] = useState<any>(null);
+  const [llmMetrics, setLlmMetrics] = useState<LLMMetrics | null>(null);
   const [isLoading, setIsLoading] = useState(true);
 
   const loadStats = async () => {
@@ -21,6 +23,9 @@ export const AdminDashboardPage: React.FC = () => {
       ]);
       setHrStats(hrData);
       setUserStats(userData);
+
+      // Optional: the dashboard still loads if the metrics are unavailable
+      adminService.getLLMMetrics(7).then(setLlmMetrics).catch(() => setLlmMetrics(null));
     } catch (error: any) {
       toast.error('Failed to load dashboard stats');
     } finally {
@@ -112,6 +117,61 @@ export const AdminDashboardPage: React.FC = () => {
           </div>
         </div>
 
+        {/* LLM Output Validation */}
+        {llmMetrics && (
+          <div className="card">
+            <div className="flex items-center gap-2 mb-4">
+              <AlertTriangle className="w-5 h-5 text-amber-600" />
+              <h2 className="text-xl font-semibold text-gray-900">LLM Scoring Responses</h2>
+              <span className="text-sm text-gray-500">last {llmMetrics.days} days</span>
+            </div>
+
+            {llmMetrics.models.length === 0 ? (
+              <p className="text-sm text-gray-600">No applications were scored by an LLM in this period.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4 font-medium">Provider / Model</th>
+                      <th className="py-2 pr-4 font-medium">Scored</th>
+                      <th className="py-2 pr-4 font-medium">Invalid First Response</th>
+                      <th className="py-2 pr-4 font-medium">Repaired by Retry</th>
+                      <th className="py-2 font-medium">Fell Back</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {llmMetrics.models.map((row) => (
+                      <tr key={`${row.provider}/${row.model}`} className="border-b last:border-0">
+                        <td className="py-2 pr-4 text-gray-900">
+                          {[row.provider, row.model].filter(Boolean).join(' / ') || 'Unknown'}
+                        </td>
+                        <td className="py-2 pr-4">{row.scored}</td>
+                        <td className="py-2 pr-4">{row.firstAttemptFailures}</td>
+                        <td className="py-2 pr-4 text-green-700">{row.repaired}</td>
+                        <td className={`py-2 ${row.fellBack > 0 ? 'text-red-600 font-medium' : ''}`}>{row.fellBack}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {llmMetrics.topErrors.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Most Frequent Errors</h3>
+                <ul className="space-y-1">
+                  {llmMetrics.topErrors.map((error) => (
+                    <li key={error.message} className="text-sm text-gray-600">
+                      <span className="font-medium text-gray-900">{error.occurrences}×</span> {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <Link to="/admin/hr-requests" className="card hover:shadow-lg transition-shadow">
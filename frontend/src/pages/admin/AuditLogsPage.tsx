@@ -0,0 +1,363 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { adminService } from '@/services/admin.service';
+import { AuditLogEntry, AuditLogFilters } from '@/types';
+import { ScrollText, ChevronLeft, ChevronRight, Globe } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ACTION_OPTIONS: { value: string; label: string }[] = [
+  { value: 'auth', label: 'All sign-ins' },
+  { value: 'auth.login', label: 'Login' },
+  { value: 'auth.login_failed', label: 'Failed login' },
+  { value: 'user', label: 'All user changes' },
+  { value: 'user.role_change', label: 'Role change' },
+  { value: 'user.suspend', label: 'Suspension' },
+  { value: 'user.reactivate', label: 'Reactivation' },
+  { value: 'hr_request', label: 'All HR request reviews' },
+  { value: 'hr_request.approve', label: 'HR request approved' },
+  { value: 'hr_request.reject', label: 'HR request rejected' },
+  { value: 'job', label: 'All job changes' },
+  { value: 'job.create', label: 'Job created' },
+  { value: 'job.update', label: 'Job updated' },
+  { value: 'job.delete', label: 'Job deleted' },
+  { value: 'job.status_change', label: 'Job status changed' },
+  { value: 'job.rescore', label: 'Job re-scored' },
+  { value: 'job.prompt_templates_update', label: 'Job prompt A/B split changed' },
+  { value: 'application.delete', label: 'Application deleted' },
+  { value: 'company', label: 'All company team changes' },
+  { value: 'company.invite_create', label: 'Teammate invited' },
+  { value: 'company.invite_revoke', label: 'Invite revoked' },
+  { value: 'company.invite_accept', label: 'Invite accepted' },
+  { value: 'company.member_role_change', label: 'Member role changed' },
+  { value: 'company.member_remove', label: 'Member removed' },
+  { value: 'prompt_template', label: 'All prompt template changes' },
+  { value: 'prompt_template.create', label: 'Prompt template saved' },
+  { value: 'prompt_template.activate', label: 'Prompt template activated' },
+  { value: 'email_template', label: 'All email template changes' },
+  { value: 'email_template.update', label: 'Email template saved' },
+  { value: 'email_template.reset', label: 'Email template reset' },
+  { value: 'company.branding_update', label: 'Email branding changed' },
+  { value: 'email.resend', label: 'Email resent' },
+  { value: 'queue_job.retry', label: 'Queue job requeued' },
+  { value: 'notification_rule', label: 'All notification rule changes' },
+  { value: 'notification_rule.create', label: 'Notification rule created' },
+  { value: 'notification_rule.update', label: 'Notification rule updated' },
+  { value: 'notification_rule.delete', label: 'Notification rule deleted' },
+  { value: 'webhook', label: 'All webhook changes' },
+  { value: 'webhook.create', label: 'Webhook endpoint created' },
+  { value: 'webhook.update', label: 'Webhook endpoint updated' },
+  { value: 'webhook.delete', label: 'Webhook endpoint deleted' },
+  { value: 'webhook.rotate_secret', label: 'Webhook secret rotated' },
+  { value: 'api_key', label: 'All API key changes' },
+  { value: 'api_key.create', label: 'API key created' },
+  { value: 'api_key.update', label: 'API key updated' },
+  { value: 'api_key.rotate', label: 'API key rotated' },
+  { value: 'api_key.revoke', label: 'API key revoked' },
+];
+
+const ACTION_LABELS: Record<string, string> = Object.fromEntries(
+  ACTION_OPTIONS.map((option) => [option.value, option.label])
+);
+
+const PAGE_SIZE = 25;
+
+export const AuditLogsPage: React.FC = () => {
+  const [logs, setLogs] = useState<AuditLogEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [actor, setActor] = useState('');
+  const [actionFilter, setActionFilter] = useState('');
+  const [resourceType, setResourceType] = useState('');
+  const [resourceId, setResourceId] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  const loadLogs = async () => {
+    try {
+      setIsLoading(true);
+      const filters: AuditLogFilters = { page, limit: PAGE_SIZE };
+      if (actor.trim()) filters.actor = actor.trim();
+      if (actionFilter) filters.action = actionFilter;
+      if (resourceType) filters.resourceType = resourceType;
+      if (resourceId.trim()) filters.resourceId = resourceId.trim();
+      if (fromDate) filters.from = new Date(`${fromDate}T00:00:00`).toISOString();
+      if (toDate) filters.to = new Date(`${toDate}T23:59:59.999`).toISOString();
+
+      const result = await adminService.getAuditLogs(filters);
+      setLogs(result.items);
+      setTotal(result.total);
+      setTotalPages(result.totalPages);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load audit log');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLogs();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, actionFilter, resourceType, fromDate, toDate]);
+
+  // Text filters apply on submit instead of on every keystroke
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (page === 1) {
+      loadLogs();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const resetPageAnd = (setter: (value: string) => void) => (value: string) => {
+    setter(value);
+    setPage(1);
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600 mt-2">Privileged actions recorded across the platform</p>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={handleSearch} className="card">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="label">Actor</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="Email or user ID"
+                value={actor}
+                onChange={(e) => setActor(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">Action</label>
+              <select
+                className="input"
+                value={actionFilter}
+                onChange={(e) => resetPageAnd(setActionFilter)(e.target.value)}
+              >
+                <option value="">All Actions</option>
+                {ACTION_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Resource</label>
+              <div className="flex gap-2">
+                <select
+                  className="input w-40"
+                  value={resourceType}
+                  onChange={(e) => resetPageAnd(setResourceType)(e.target.value)}
+                >
+                  <option value="">Any</option>
+                  <option value="user">User</option>
+                  <option value="hr_request">HR Request</option>
+                  <option value="job">Job</option>
+                  <option value="application">Application</option>
+                  <option value="prompt_template">Prompt Template</option>
+                  <option value="email_template">Email Template</option>
+                  <option value="email">Email</option>
+                  <option value="queue_job">Queue Job</option>
+                  <option value="notification_rule">Notification Rule</option>
+                  <option value="webhook">Webhook</option>
+                  <option value="api_key">API Key</option>
+                </select>
+                <input
+                  type="text"
+                  className="input flex-1"
+                  placeholder="ID"
+                  value={resourceId}
+                  onChange={(e) => setResourceId(e.target.value)}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label">From</label>
+              <input
+                type="date"
+                className="input"
+                value={fromDate}
+                onChange={(e) => resetPageAnd(setFromDate)(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">To</label>
+              <input
+                type="date"
+                className="input"
+                value={toDate}
+                onChange={(e) => resetPageAnd(setToDate)(e.target.value)}
+              />
+            </div>
+            <div className="flex items-end">
+              <button type="submit" className="btn btn-primary w-full">
+                Search
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {/* Entries */}
+        {isLoading ? (
+          <LoadingSpinner message="Loading audit log..." />
+        ) : logs.length === 0 ? (
+          <EmptyState
+            icon={<ScrollText className="w-8 h-8 text-gray-400" />}
+            title="No entries found"
+            description="No recorded actions match the selected filters."
+          />
+        ) : (
+          <>
+            <div className="space-y-3">
+              {logs.map((entry) => (
+                <AuditLogCard key={entry.id} entry={entry} />
+              ))}
+            </div>
+
+            {/* Pagination */}
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600">
+                Page {page} of {totalPages} ({total} entries)
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="w-4 h-4 mr-1" />
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= totalPages}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                  <ChevronRight className="w-4 h-4 ml-1" />
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditLogCard: React.FC<{ entry: AuditLogEntry }> = ({ entry }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const { changes, ...context } = entry.details || {};
+  const changedFields = changes
+    ? Array.from(new Set([...Object.keys(changes.before || {}), ...Object.keys(changes.after || {})]))
+    : [];
+  const isFailure = entry.action.endsWith('_failed');
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex-1">
+          <div className="flex items-center gap-3 mb-1">
+            <span
+              className={`px-3 py-1 text-xs font-semibold rounded-full ${
+                isFailure ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+              }`}
+            >
+              {ACTION_LABELS[entry.action] || entry.action}
+            </span>
+            {entry.resource_type && (
+              <span className="text-sm text-gray-600">
+                {entry.resource_type}
+                {entry.resource_id && <span className="font-mono"> #{entry.resource_id}</span>}
+              </span>
+            )}
+          </div>
+          <p className="text-sm text-gray-700">
+            {entry.actor ? (
+              <>
+                <span className="font-medium">{entry.actor.full_name || entry.actor.email}</span>
+                <span className="text-gray-500"> ({entry.actor.role})</span>
+              </>
+            ) : (
+              <span className="text-gray-500">{context.email ? String(context.email) : 'Unknown user'}</span>
+            )}
+          </p>
+          {entry.ip_address && (
+            <p className="text-xs text-gray-500 flex items-center mt-1" title={entry.user_agent || ''}>
+              <Globe className="w-3 h-3 mr-1" />
+              {entry.ip_address}
+            </p>
+          )}
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-600">{new Date(entry.created_at).toLocaleString()}</p>
+          {(changedFields.length > 0 || Object.keys(context).length > 0) && (
+            <button
+              onClick={() => setIsExpanded(!isExpanded)}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium mt-1"
+            >
+              {isExpanded ? 'Hide Details' : 'Show Details'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-4 space-y-3">
+          {changedFields.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-1 pr-4">Field</th>
+                    <th className="py-1 pr-4">Before</th>
+                    <th className="py-1">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changedFields.map((field) => (
+                    <tr key={field} className="border-t border-gray-100 align-top">
+                      <td className="py-1 pr-4 font-mono text-gray-700">{field}</td>
+                      <td className="py-1 pr-4 text-red-700 break-all">{formatValue(changes?.before?.[field])}</td>
+                      <td className="py-1 text-green-700 break-all">{formatValue(changes?.after?.[field])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {Object.keys(context).length > 0 && (
+            <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-700 space-y-1">
+              {Object.entries(context).map(([key, value]) => (
+                <p key={key}>
+                  <span className="font-semibold">{key}:</span> {formatValue(value)}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
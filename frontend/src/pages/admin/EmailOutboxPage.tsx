@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { adminService } from '@/services/admin.service';
+import { OutboxEmail, OutboxEmailFilters, OutboxEmailStatus } from '@/types';
+import { Inbox, ChevronLeft, ChevronRight, RefreshCw, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUSES: OutboxEmailStatus[] = ['queued', 'sent', 'failed', 'bounced'];
+
+const STATUS_STYLES: Record<OutboxEmailStatus, string> = {
+  queued: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  bounced: 'bg-orange-100 text-orange-800',
+};
+
+const TEMPLATE_OPTIONS: { value: string; label: string }[] = [
+  { value: 'application_received', label: 'Application received' },
+  { value: 'high_score_alert', label: 'High-score alert' },
+  { value: 'candidate_digest', label: 'Candidate digest' },
+  { value: 'stage_changed', label: 'Application stage changed' },
+  { value: 'rejection', label: 'Rejection' },
+  { value: 'interview_invite', label: 'Interview invitation' },
+  { value: 'company_invite', label: 'Team invitation' },
+  { value: 'hr_approved', label: 'HR account approved' },
+  { value: 'hr_rejected', label: 'HR account rejected' },
+];
+
+const TEMPLATE_LABELS: Record<string, string> = Object.fromEntries(
+  TEMPLATE_OPTIONS.map((option) => [option.value, option.label])
+);
+
+const PAGE_SIZE = 25;
+
+export const EmailOutboxPage: React.FC = () => {
+  const [emails, setEmails] = useState<OutboxEmail[]>([]);
+  const [counts, setCounts] = useState<Record<OutboxEmailStatus, number> | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [statusFilter, setStatusFilter] = useState<OutboxEmailStatus | ''>('');
+  const [templateFilter, setTemplateFilter] = useState('');
+  const [recipient, setRecipient] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  const loadEmails = async () => {
+    try {
+      setIsLoading(true);
+      const filters: OutboxEmailFilters = { page, limit: PAGE_SIZE };
+      if (statusFilter) filters.status = statusFilter;
+      if (templateFilter) filters.templateKey = templateFilter;
+      if (recipient.trim()) filters.recipient = recipient.trim();
+      if (fromDate) filters.from = new Date(`${fromDate}T00:00:00`).toISOString();
+      if (toDate) filters.to = new Date(`${toDate}T23:59:59.999`).toISOString();
+
+      const result = await adminService.getEmailOutbox(filters);
+      setEmails(result.items);
+      setCounts(result.counts);
+      setTotal(result.total);
+      setTotalPages(result.totalPages);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load email outbox');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEmails();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, statusFilter, templateFilter, fromDate, toDate]);
+
+  // The recipient filter applies on submit instead of on every keystroke
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (page === 1) {
+      loadEmails();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const resetPageAnd = <T,>(setter: (value: T) => void) => (value: T) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const handleResend = async (email: OutboxEmail) => {
+    try {
+      const updated = await adminService.resendEmail(email.id);
+      toast.success(`Email to ${updated.to_email} queued for resending`);
+      loadEmails();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to resend email');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Email Outbox</h1>
+            <p className="text-gray-600 mt-2">Every outgoing email and its delivery status</p>
+          </div>
+          <button onClick={loadEmails} className="btn btn-secondary flex items-center space-x-2">
+            <RefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {/* Counts per status (click to filter) */}
+        {counts && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {STATUSES.map((status) => (
+              <button
+                key={status}
+                onClick={() => resetPageAnd(setStatusFilter)(statusFilter === status ? '' : status)}
+                className={`card text-left ${statusFilter === status ? 'ring-2 ring-primary-500' : ''}`}
+              >
+                <p className="text-sm text-gray-600 capitalize">{status}</p>
+                <p className="text-2xl font-bold text-gray-900">{counts[status]}</p>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Filters */}
+        <form onSubmit={handleSearch} className="card">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            <div>
+              <label className="label">Recipient</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="Email address"
+                value={recipient}
+                onChange={(e) => setRecipient(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">Template</label>
+              <select
+                className="input"
+                value={templateFilter}
+                onChange={(e) => resetPageAnd(setTemplateFilter)(e.target.value)}
+              >
+                <option value="">All Templates</option>
+                {TEMPLATE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">From</label>
+              <input
+                type="date"
+                className="input"
+                value={fromDate}
+                onChange={(e) => resetPageAnd(setFromDate)(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">To</label>
+              <input
+                type="date"
+                className="input"
+                value={toDate}
+                onChange={(e) => resetPageAnd(setToDate)(e.target.value)}
+              />
+            </div>
+            <div className="flex items-end">
+              <button type="submit" className="btn btn-primary w-full">
+                Search
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {/* Emails */}
+        {isLoading ? (
+          <LoadingSpinner message="Loading emails..." />
+        ) : emails.length === 0 ? (
+          <EmptyState
+            icon={<Inbox className="w-8 h-8 text-gray-400" />}
+            title="No emails found"
+            description="No outgoing emails match the selected filters."
+          />
+        ) : (
+          <>
+            <div className="space-y-3">
+              {emails.map((email) => (
+                <OutboxEmailCard key={email.id} email={email} onResend={handleResend} />
+              ))}
+            </div>
+
+            {/* Pagination */}
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600">
+                Page {page} of {totalPages} ({total} emails)
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="w-4 h-4 mr-1" />
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= totalPages}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                  <ChevronRight className="w-4 h-4 ml-1" />
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+interface OutboxEmailCardProps {
+  email: OutboxEmail;
+  onResend: (email: OutboxEmail) => Promise<void>;
+}
+
+const OutboxEmailCard: React.FC<OutboxEmailCardProps> = ({ email, onResend }) => {
+  const [details, setDetails] = useState<OutboxEmail | null>(null);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+
+  const canResend = email.status === 'failed' || email.status === 'bounced';
+
+  const toggleDetails = async () => {
+    if (!isExpanded && !details) {
+      try {
+        setDetails(await adminService.getOutboxEmail(email.id));
+      } catch (error: any) {
+        toast.error(error.response?.data?.error || 'Failed to load email');
+        return;
+      }
+    }
+    setIsExpanded(!isExpanded);
+  };
+
+  const handleResend = async () => {
+    setIsResending(true);
+    await onResend(email);
+    setIsResending(false);
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-3 mb-1">
+            <span className={`px-3 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[email.status]}`}>
+              {email.status}
+            </span>
+            {email.template_key && (
+              <span className="text-sm text-gray-600">{TEMPLATE_LABELS[email.template_key] || email.template_key}</span>
+            )}
+          </div>
+          <p className="text-sm font-medium text-gray-900 truncate">{email.subject}</p>
+          <p className="text-sm text-gray-600">
+            To {email.to_email}
+            {email.from_name && <span className="text-gray-500"> · from {email.from_name}</span>}
+          </p>
+          {email.last_error && email.status !== 'sent' && (
+            <p className="text-xs text-red-700 flex items-start mt-1">
+              <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+              {email.last_error}
+            </p>
+          )}
+          <p className="text-xs text-gray-500 mt-1">
+            {email.attempts} attempt{email.attempts === 1 ? '' : 's'}
+            {email.status === 'queued' && email.next_attempt_at && ` · next ${new Date(email.next_attempt_at).toLocaleString()}`}
+            {email.sent_at && ` · sent ${new Date(email.sent_at).toLocaleString()}`}
+          </p>
+        </div>
+        <div className="text-right space-y-1">
+          <p className="text-sm text-gray-600">{new Date(email.created_at).toLocaleString()}</p>
+          <div className="flex items-center justify-end gap-3">
+            {canResend && (
+              <button
+                onClick={handleResend}
+                disabled={isResending}
+                className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+              >
+                {isResending ? 'Resending...' : 'Resend'}
+              </button>
+            )}
+            <button onClick={toggleDetails} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+              {isExpanded ? 'Hide Email' : 'Show Email'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {isExpanded && details && (
+        <div className="mt-4 space-y-3">
+          <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-700 space-y-1">
+            {details.idempotency_key && (
+              <p>
+                <span className="font-semibold">Idempotency key:</span> <span className="font-mono">{details.idempotency_key}</span>
+              </p>
+            )}
+            {details.provider_message_id && (
+              <p>
+                <span className="font-semibold">Message ID:</span> <span className="font-mono">{details.provider_message_id}</span>
+              </p>
+            )}
+          </div>
+          <iframe
+            title={`Email ${details.id}`}
+            sandbox=""
+            srcDoc={details.html_body}
+            className="w-full h-[32rem] border border-gray-200 rounded-lg bg-white"
+          />
+          {details.text_body && (
+            <pre className="bg-gray-50 text-gray-800 text-xs rounded-lg p-4 whitespace-pre-wrap">{details.text_body}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
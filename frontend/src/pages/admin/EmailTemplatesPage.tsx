@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmailTemplateEditor } from '@/components/EmailTemplateEditor';
+import { adminService } from '@/services/admin.service';
+import { EmailTemplate } from '@/types';
+import toast from 'react-hot-toast';
+
+export const EmailTemplatesPage: React.FC = () => {
+  const [templates, setTemplates] = useState<EmailTemplate[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await adminService.getEmailTemplates());
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load email templates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <LoadingSpinner />
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Email Templates</h1>
+          <p className="text-gray-600 mt-2">
+            Platform versions of the emails the ATS sends. Companies can override them under their email settings.
+          </p>
+        </div>
+
+        <EmailTemplateEditor templates={templates} scope="platform" api={adminService} onChange={loadTemplates} />
+      </div>
+    </Layout>
+  );
+};
@@ -0,0 +1,482 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { ScoreBadge } from '@/components/ScoreBadge';
+import { adminService } from '@/services/admin.service';
+import { JobPromptTemplateSplit, PromptTemplate, PromptTemplateList, PromptTemplatePreview } from '@/types';
+import { Sparkles, Eye, Save, CheckCircle, RotateCcw, Plus, Trash2, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+interface SplitRow {
+  templateId: number;
+  weight: number;
+}
+
+export const PromptTemplatesPage: React.FC = () => {
+  const [list, setList] = useState<PromptTemplateList | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [body, setBody] = useState('');
+
+  // Preview
+  const [previewJobId, setPreviewJobId] = useState('');
+  const [previewApplicationId, setPreviewApplicationId] = useState('');
+  const [previewScore, setPreviewScore] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [preview, setPreview] = useState<PromptTemplatePreview | null>(null);
+
+  // A/B split per job
+  const [splitJobId, setSplitJobId] = useState('');
+  const [split, setSplit] = useState<JobPromptTemplateSplit | null>(null);
+  const [splitRows, setSplitRows] = useState<SplitRow[]>([]);
+  const [isSavingSplit, setIsSavingSplit] = useState(false);
+
+  useEffect(() => {
+    loadTemplates();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadTemplates = async (selectId?: number) => {
+    try {
+      setIsLoading(true);
+      const data = await adminService.getPromptTemplates();
+      setList(data);
+
+      const selected = data.templates.find((template) => template.id === selectId)
+        || data.templates.find((template) => template.is_active)
+        || data.templates[0];
+      if (selected) {
+        selectTemplate(selected);
+      }
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load prompt templates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Editing starts from the selected version; saving always creates a new version
+  const selectTemplate = (template: PromptTemplate) => {
+    setSelectedId(template.id);
+    setName(template.name);
+    setNotes('');
+    setBody(template.body);
+    setPreview(null);
+  };
+
+  const selectedTemplate = list?.templates.find((template) => template.id === selectedId) || null;
+  const isEdited = !selectedTemplate || body !== selectedTemplate.body;
+
+  const handleSave = async (activate: boolean) => {
+    if (!name.trim() || !body.trim()) {
+      toast.error('Name and template text are required');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const template = await adminService.createPromptTemplate({
+        name: name.trim(),
+        body,
+        notes: notes.trim() || undefined,
+        activate,
+      });
+      toast.success(`Version ${template.version} saved${activate ? ' and activated' : ''}`);
+      await loadTemplates(template.id);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save prompt template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleActivate = async (template: PromptTemplate) => {
+    if (!window.confirm(`Score new applications with version ${template.version}?`)) {
+      return;
+    }
+
+    try {
+      await adminService.activatePromptTemplate(template.id);
+      toast.success(`Version ${template.version} is now active`);
+      await loadTemplates(template.id);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to activate prompt template');
+    }
+  };
+
+  const handleRollback = async () => {
+    if (!window.confirm('Re-activate the version that was active before the current one?')) {
+      return;
+    }
+
+    try {
+      const template = await adminService.rollbackPromptTemplate();
+      toast.success(`Rolled back to version ${template.version}`);
+      await loadTemplates(template.id);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to roll back');
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setIsPreviewing(true);
+      const result = await adminService.previewPromptTemplate({
+        ...(isEdited ? { body } : { templateId: selectedId as number }),
+        jobId: previewJobId.trim() || undefined,
+        applicationId: previewApplicationId ? parseInt(previewApplicationId, 10) : undefined,
+        score: previewScore,
+      });
+      setPreview(result);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to preview prompt template');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const applySplit = (data: JobPromptTemplateSplit) => {
+    setSplit(data);
+    setSplitRows(data.templates.map((template) => ({ templateId: template.templateId, weight: template.weight })));
+  };
+
+  const handleLoadSplit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!splitJobId.trim()) return;
+
+    try {
+      applySplit(await adminService.getJobPromptTemplates(splitJobId.trim()));
+    } catch (error: any) {
+      setSplit(null);
+      toast.error(error.response?.data?.error || 'Failed to load the job');
+    }
+  };
+
+  const updateSplitRow = (index: number, changes: Partial<SplitRow>) => {
+    setSplitRows((rows) => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSaveSplit = async () => {
+    if (!split) return;
+
+    try {
+      setIsSavingSplit(true);
+      applySplit(await adminService.setJobPromptTemplates(split.jobId, splitRows));
+      toast.success(splitRows.length > 0 ? 'A/B split saved' : 'Job now uses the active version');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save A/B split');
+    } finally {
+      setIsSavingSplit(false);
+    }
+  };
+
+  if (isLoading && !list) {
+    return (
+      <Layout>
+        <LoadingSpinner />
+      </Layout>
+    );
+  }
+
+  const templates = list?.templates || [];
+  const totalWeight = splitRows.reduce((sum, row) => sum + (row.weight || 0), 0);
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Prompt Templates</h1>
+            <p className="text-gray-600 mt-2">
+              Versions of the LLM scoring prompt. Saving a change creates a new version.
+            </p>
+          </div>
+          <button onClick={handleRollback} className="btn btn-secondary flex items-center space-x-2">
+            <RotateCcw className="w-4 h-4" />
+            <span>Roll back</span>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Versions */}
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Versions</h2>
+            <ul className="space-y-2">
+              {templates.map((template) => (
+                <li
+                  key={template.id}
+                  className={`border rounded-lg p-3 cursor-pointer ${
+                    template.id === selectedId ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                  onClick={() => selectTemplate(template)}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-semibold text-gray-900">v{template.version}</span>
+                    {template.is_active ? (
+                      <span className="inline-flex items-center text-xs font-medium text-green-800 bg-green-100 rounded-full px-2 py-0.5">
+                        <CheckCircle className="w-3 h-3 mr-1" />
+                        Active
+                      </span>
+                    ) : (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleActivate(template);
+                        }}
+                        className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        Activate
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-700 truncate">{template.name}</p>
+                  {template.notes && <p className="text-xs text-gray-500 truncate">{template.notes}</p>}
+                  <p className="text-xs text-gray-400 mt-1">{new Date(template.created_at).toLocaleString()}</p>
+                </li>
+              ))}
+            </ul>
+            {templates.length === 0 && (
+              <p className="text-sm text-gray-500">No versions yet. Run migration 019 to add the default prompt.</p>
+            )}
+          </div>
+
+          {/* Editor */}
+          <div className="card lg:col-span-2 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Name</label>
+                <input type="text" className="input" value={name} onChange={(e) => setName(e.target.value)} />
+              </div>
+              <div>
+                <label className="label">What changed (optional)</label>
+                <input type="text" className="input" value={notes} onChange={(e) => setNotes(e.target.value)} />
+              </div>
+            </div>
+            <div>
+              <label className="label">Template</label>
+              <textarea
+                className="input font-mono text-xs"
+                rows={20}
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+              />
+              <div className="flex flex-wrap gap-2 mt-2">
+                {list?.variables.map((variable) => (
+                  <span
+                    key={variable}
+                    className={`px-2 py-0.5 text-xs font-mono rounded-full ${
+                      list.requiredVariables.includes(variable) ? 'bg-primary-100 text-primary-800' : 'bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {`{{${variable}}}`}
+                  </span>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Highlighted variables are required. {'{{output_schema}}'} is the JSON structure every response is validated
+                against.
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() => handleSave(false)}
+                disabled={isSaving || !isEdited}
+                className="btn btn-secondary flex items-center space-x-2"
+              >
+                <Save className="w-4 h-4" />
+                <span>Save as new version</span>
+              </button>
+              <button
+                onClick={() => handleSave(true)}
+                disabled={isSaving || !isEdited}
+                className="btn btn-primary flex items-center space-x-2"
+              >
+                <CheckCircle className="w-4 h-4" />
+                <span>Save and activate</span>
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className="card space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Eye className="w-5 h-5 mr-2" />
+            Preview
+          </h2>
+          <p className="text-sm text-gray-600">
+            Renders the template above against a sample resume and job, or a real job or application.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="label">Job ID (optional)</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="Sample job"
+                value={previewJobId}
+                onChange={(e) => setPreviewJobId(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">Application ID (optional)</label>
+              <input
+                type="number"
+                className="input"
+                placeholder="Sample resume"
+                value={previewApplicationId}
+                onChange={(e) => setPreviewApplicationId(e.target.value)}
+              />
+            </div>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={previewScore}
+                onChange={(e) => setPreviewScore(e.target.checked)}
+              />
+              Also score with the LLM
+            </label>
+            <button
+              onClick={handlePreview}
+              disabled={isPreviewing || !body.trim()}
+              className="btn btn-primary flex items-center justify-center space-x-2"
+            >
+              <Sparkles className="w-4 h-4" />
+              <span>{isPreviewing ? 'Rendering...' : 'Preview'}</span>
+            </button>
+          </div>
+
+          {preview && (
+            <div className="space-y-4">
+              <p className="text-xs text-gray-500">
+                {preview.template.version ? `Version ${preview.template.version}` : 'Unsaved template'} against{' '}
+                {preview.job.title} ({preview.job.jobId})
+              </p>
+              {preview.result && (
+                <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+                  <ScoreBadge
+                    score={Math.round(preview.result.match_score)}
+                    isFallback={preview.result.provenance.is_fallback}
+                  />
+                  <p className="text-sm text-gray-700">{preview.result.recommendation}</p>
+                  <p className="text-xs text-gray-500">
+                    {preview.result.provenance.provider} / {preview.result.provenance.model} ·{' '}
+                    {(preview.result.provenance.latency_ms / 1000).toFixed(1)}s
+                    {preview.result.provenance.total_tokens != null && ` · ${preview.result.provenance.total_tokens} tokens`}
+                  </p>
+                  {preview.result.provenance.fallback_reason && (
+                    <p className="text-xs text-amber-700">LLM scoring failed: {preview.result.provenance.fallback_reason}</p>
+                  )}
+                </div>
+              )}
+              <pre className="bg-gray-900 text-gray-100 text-xs rounded-lg p-4 overflow-x-auto whitespace-pre-wrap max-h-[32rem]">
+                {preview.prompt}
+              </pre>
+            </div>
+          )}
+        </div>
+
+        {/* A/B split per job */}
+        <div className="card space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">A/B Test per Job</h2>
+          <p className="text-sm text-gray-600">
+            Split a job's applications between versions by weight. An application keeps its version when re-scored.
+          </p>
+          <form onSubmit={handleLoadSplit} className="flex gap-2 max-w-md">
+            <input
+              type="text"
+              className="input flex-1"
+              placeholder="Job ID"
+              value={splitJobId}
+              onChange={(e) => setSplitJobId(e.target.value)}
+            />
+            <button type="submit" className="btn btn-secondary flex items-center space-x-2">
+              <Search className="w-4 h-4" />
+              <span>Load</span>
+            </button>
+          </form>
+
+          {split && (
+            <div className="space-y-3">
+              {splitRows.length === 0 && (
+                <p className="text-sm text-gray-500">Job {split.jobId} uses the active version.</p>
+              )}
+              {splitRows.map((row, index) => {
+                const stats = split.templates.find((template) => template.templateId === row.templateId);
+                return (
+                  <div key={index} className="flex flex-wrap items-center gap-3">
+                    <select
+                      className="input w-64"
+                      value={row.templateId}
+                      onChange={(e) => updateSplitRow(index, { templateId: parseInt(e.target.value, 10) })}
+                    >
+                      {templates.map((template) => (
+                        <option key={template.id} value={template.id}>
+                          v{template.version} - {template.name}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min={1}
+                      max={100}
+                      className="input w-24"
+                      aria-label="Weight"
+                      value={row.weight}
+                      onChange={(e) => updateSplitRow(index, { weight: parseInt(e.target.value, 10) || 0 })}
+                    />
+                    <span className="text-xs text-gray-500 w-12">
+                      {totalWeight > 0 ? Math.round(((row.weight || 0) / totalWeight) * 100) : 0}%
+                    </span>
+                    {stats && (
+                      <span className="text-xs text-gray-600">
+                        {stats.scored} scored
+                        {stats.averageScore !== null && ` · avg ${stats.averageScore}%`}
+                        {stats.fallbackCount > 0 && ` · ${stats.fallbackCount} fallback`}
+                      </span>
+                    )}
+                    <button
+                      onClick={() => setSplitRows((rows) => rows.filter((_, i) => i !== index))}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label="Remove"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                );
+              })}
+              {split.otherScores > 0 && (
+                <p className="text-xs text-gray-500">
+                  {split.otherScores} current score(s) were made with a version outside this split.
+                </p>
+              )}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setSplitRows((rows) => [...rows, { templateId: templates[0]?.id, weight: 50 }])}
+                  disabled={templates.length === 0}
+                  className="btn btn-secondary flex items-center space-x-2"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>Add version</span>
+                </button>
+                <button
+                  onClick={handleSaveSplit}
+                  disabled={isSavingSplit}
+                  className="btn btn-primary flex items-center space-x-2"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save split</span>
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
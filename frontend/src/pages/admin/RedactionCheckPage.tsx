@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { adminService } from '@/services/admin.service';
+import { RedactionCategory, RedactionLogEntry, RedactionReport } from '@/types';
+import { AlertTriangle, CheckCircle, EyeOff, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const CATEGORY_LABELS: Record<RedactionCategory, string> = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  link: 'Links',
+  location: 'Location',
+  photo: 'Photo',
+  graduation_date: 'Graduation date',
+  demographic: 'Personal details',
+};
+
+const formatRemoved = (removed: Partial<Record<RedactionCategory, number>> | null) => {
+  const entries = Object.entries(removed || {}) as [RedactionCategory, number][];
+  return entries.length
+    ? entries.map(([category, count]) => `${CATEGORY_LABELS[category] || category} (${count})`).join(', ')
+    : 'Nothing';
+};
+
+const LeakList: React.FC<{ leaks: RedactionCategory[] }> = ({ leaks }) => (
+  leaks.length === 0 ? (
+    <span className="inline-flex items-center text-sm text-green-700">
+      <CheckCircle className="w-4 h-4 mr-1" />
+      Clean
+    </span>
+  ) : (
+    <span className="inline-flex items-center text-sm text-red-700">
+      <AlertTriangle className="w-4 h-4 mr-1" />
+      Still contains: {leaks.map((leak) => CATEGORY_LABELS[leak] || leak).join(', ')}
+    </span>
+  )
+);
+
+export const RedactionCheckPage: React.FC = () => {
+  const [applicationId, setApplicationId] = useState('');
+  const [report, setReport] = useState<RedactionReport | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [openLogId, setOpenLogId] = useState<number | null>(null);
+
+  const handleSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!applicationId.trim()) return;
+
+    try {
+      setIsLoading(true);
+      setReport(await adminService.getRedactionReport(applicationId.trim()));
+      setOpenLogId(null);
+    } catch (error: any) {
+      setReport(null);
+      toast.error(error.response?.data?.error || 'Failed to load redaction report');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderLog = (log: RedactionLogEntry) => (
+    <div key={log.id} className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="text-sm font-medium text-gray-900">
+            {log.event === 'scoring' ? 'Sent to the scorer' : `Revealed at stage "${log.stage}"`}
+          </p>
+          <p className="text-xs text-gray-500">{new Date(log.created_at).toLocaleString()}</p>
+          {log.event === 'scoring' && (
+            <p className="text-xs text-gray-600 mt-1">Removed: {formatRemoved(log.removed)}</p>
+          )}
+        </div>
+        {log.event === 'scoring' && (
+          <div className="text-right">
+            <LeakList leaks={[...new Set([...(log.leaks || []), ...log.recheckedLeaks])]} />
+            <button
+              onClick={() => setOpenLogId(openLogId === log.id ? null : log.id)}
+              className="block text-xs text-primary-600 hover:text-primary-700 font-medium mt-1 ml-auto"
+            >
+              {openLogId === log.id ? 'Hide text' : 'Show text sent'}
+            </button>
+          </div>
+        )}
+      </div>
+      {openLogId === log.id && (
+        <pre className="mt-3 bg-gray-50 rounded p-3 text-xs text-gray-700 whitespace-pre-wrap max-h-80 overflow-y-auto">
+          {log.redacted_text}
+        </pre>
+      )}
+    </div>
+  );
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Redaction Check</h1>
+          <p className="text-gray-600 mt-2">
+            Verify what blind review hid from reviewers and from the AI scorer for an application
+          </p>
+        </div>
+
+        <form onSubmit={handleSearch} className="card flex items-end gap-3">
+          <div className="flex-1 max-w-xs">
+            <label htmlFor="applicationId" className="label">
+              Application ID
+            </label>
+            <input
+              id="applicationId"
+              type="text"
+              className="input"
+              placeholder="e.g. 42"
+              value={applicationId}
+              onChange={(e) => setApplicationId(e.target.value)}
+            />
+          </div>
+          <button type="submit" className="btn btn-primary flex items-center" disabled={isLoading}>
+            <Search className="w-4 h-4 mr-2" />
+            Check
+          </button>
+        </form>
+
+        {isLoading ? (
+          <LoadingSpinner message="Checking redactions..." />
+        ) : report ? (
+          <>
+            <div className="card">
+              <div className="flex items-start justify-between">
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-900">Application #{report.applicationId}</h2>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Job {report.jobId} · stage {report.pipelineStage}
+                  </p>
+                </div>
+                {report.blindReview ? (
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                    <EyeOff className="w-3 h-3 mr-1" />
+                    Blind until {report.revealStage}
+                  </span>
+                ) : (
+                  <span className="text-xs text-gray-500">Blind review is off for this job</span>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 text-sm">
+                <div>
+                  <p className="text-gray-500">Identity</p>
+                  <p className="font-medium text-gray-900">
+                    {report.identityRevealed === null
+                      ? 'Not hidden'
+                      : report.identityRevealed
+                      ? `Revealed${report.identityRevealedAt ? ` ${new Date(report.identityRevealedAt).toLocaleString()}` : ''}`
+                      : 'Hidden'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Redacted now</p>
+                  <p className="font-medium text-gray-900">{formatRemoved(report.current.removed)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Current redaction</p>
+                  <LeakList leaks={report.current.leaks} />
+                </div>
+              </div>
+
+              <p className={`mt-4 text-sm font-medium ${report.verified ? 'text-green-700' : 'text-red-700'}`}>
+                {report.verified
+                  ? 'Every logged scorer input is free of the candidate\'s identifying details.'
+                  : 'At least one logged scorer input still contains identifying details.'}
+              </p>
+            </div>
+
+            <div className="card">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Redaction Log</h2>
+              {report.logs.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing was logged for this application.</p>
+              ) : (
+                <div className="space-y-3">{report.logs.map(renderLog)}</div>
+              )}
+            </div>
+          </>
+        ) : (
+          <EmptyState
+            icon={<EyeOff className="w-8 h-8 text-gray-400" />}
+            title="No application selected"
+            description="Enter an application ID to see what was redacted before scoring and when the candidate was revealed."
+          />
+        )}
+      </div>
+    </Layout>
+  );
+};
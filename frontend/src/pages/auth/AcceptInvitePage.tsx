@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '@/context/AuthContext';
+import { companyService, COMPANY_ROLE_DESCRIPTIONS, COMPANY_ROLE_LABELS } from '@/services/company.service';
+import { InvitePreview } from '@/types';
+import { Building2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+export const AcceptInvitePage: React.FC = () => {
+  const { token } = useParams<{ token: string }>();
+  const { user, isLoading: isAuthLoading, refreshUser } = useAuth();
+  const navigate = useNavigate();
+  const [invite, setInvite] = useState<InvitePreview | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  useEffect(() => {
+    if (isAuthLoading) return;
+
+    if (!user || !token) {
+      setIsLoading(false);
+      return;
+    }
+
+    const loadInvite = async () => {
+      try {
+        setInvite(await companyService.getInvite(token));
+      } catch (error: any) {
+        setLoadError(error.response?.data?.error || 'Failed to load invite');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadInvite();
+  }, [isAuthLoading, user, token]);
+
+  const handleAccept = async () => {
+    if (!token) return;
+
+    try {
+      setIsAccepting(true);
+      const result = await companyService.acceptInvite(token);
+      toast.success(`You joined ${result.companyName || 'the company'}`);
+      await refreshUser();
+      navigate(user?.role === 'hr_pending' ? '/pending-approval' : '/hr');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to accept invite');
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  const emailMatches = Boolean(invite && user && invite.email.toLowerCase() === user.email.toLowerCase());
+  const isHRAccount = user?.role === 'hr_pending' || user?.role === 'hr_approved';
+
+  const renderBody = () => {
+    if (isAuthLoading || isLoading) {
+      return <p className="text-gray-600">Loading invite...</p>;
+    }
+
+    if (!user) {
+      return (
+        <>
+          <p className="text-gray-700 mb-4">
+            Sign in with the email address the invite was sent to, then open this link again to join the company.
+            If you don't have an account yet, register as an HR user with that email.
+          </p>
+          <div className="flex gap-2">
+            <Link to="/login" className="btn btn-primary flex-1">Sign In</Link>
+            <Link to="/register" className="btn btn-secondary flex-1">Register</Link>
+          </div>
+        </>
+      );
+    }
+
+    if (loadError || !invite) {
+      return <p className="text-red-700">{loadError || 'Invite not found'}</p>;
+    }
+
+    if (invite.status === 'accepted') {
+      return <p className="text-gray-700">This invite has already been accepted.</p>;
+    }
+
+    if (invite.expired) {
+      return <p className="text-red-700">This invite has expired. Ask the company owner to send a new one.</p>;
+    }
+
+    return (
+      <>
+        <p className="text-gray-700 mb-4">
+          You've been invited to join <strong>{invite.company?.name || 'a company'}</strong> as
+          a <strong>{COMPANY_ROLE_LABELS[invite.role]}</strong>.
+        </p>
+        <p className="text-sm text-gray-600 mb-4">{COMPANY_ROLE_DESCRIPTIONS[invite.role]}</p>
+
+        {!emailMatches && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4 text-sm text-yellow-800">
+            This invite was sent to {invite.email}, but you are signed in as {user.email}.
+          </div>
+        )}
+        {emailMatches && !isHRAccount && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4 text-sm text-yellow-800">
+            Only HR accounts can join a company. Register an HR account with this email to accept.
+          </div>
+        )}
+
+        <button
+          onClick={handleAccept}
+          disabled={isAccepting || !emailMatches || !isHRAccount}
+          className="btn btn-primary w-full disabled:opacity-50"
+        >
+          {isAccepting ? 'Joining...' : 'Accept Invite'}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-primary-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full text-center">
+        <div className="inline-flex items-center justify-center w-20 h-20 bg-primary-600 rounded-full mb-6">
+          <Building2 className="w-10 h-10 text-white" />
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900 mb-4">
+          Company Invite
+        </h1>
+
+        <div className="card text-left">
+          {renderBody()}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { Layout } from '@/components/Layout';
+import { JobStatusBadge } from '@/components/JobStatusBadge';
 import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { ResumeCheckReport } from '@/components/ResumeCheckReport';
 import { jobService } from '@/services/job.service';
-import { Job } from '@/types';
+import { candidateService, getResumeFileError } from '@/services/candidate.service';
+import { Job, KnockoutQuestion, LibraryResume, ResumeCheckReport as Report, ScreeningAnswers } from '@/types';
 import {
   Briefcase,
   MapPin,
@@ -12,6 +15,8 @@ import {
   Building,
   Upload,
   FileText,
+  ClipboardCheck,
+  SearchCheck,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -22,6 +27,12 @@ export const JobDetailsPage: React.FC = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isApplying, setIsApplying] = useState(false);
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
+  const [libraryResumes, setLibraryResumes] = useState<LibraryResume[]>([]);
+  // Library resume to apply with; null means a one-off upload
+  const [selectedResumeId, setSelectedResumeId] = useState<number | null>(null);
+  const [screeningAnswers, setScreeningAnswers] = useState<ScreeningAnswers>({});
+  const [checkReport, setCheckReport] = useState<Report | null>(null);
+  const [isChecking, setIsChecking] = useState(false);
 
   useEffect(() => {
     const loadJob = async () => {
@@ -41,36 +52,78 @@ export const JobDetailsPage: React.FC = () => {
     loadJob();
   }, [jobId, navigate]);
 
+  useEffect(() => {
+    const loadLibrary = async () => {
+      try {
+        const { resumes } = await candidateService.getResumes();
+        setLibraryResumes(resumes);
+        setSelectedResumeId((resumes.find((resume) => resume.is_default) || resumes[0])?.id ?? null);
+      } catch (error) {
+        // Without the library the candidate can still upload a file
+        setLibraryResumes([]);
+      }
+    };
+
+    loadLibrary();
+  }, []);
+
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files[0]) {
       const file = e.target.files[0];
-      // Validate file type
-      const allowedTypes = [
-        'application/pdf',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'text/plain',
-      ];
-      if (!allowedTypes.includes(file.type)) {
-        toast.error('Please upload a PDF, DOC, DOCX, or TXT file');
-        return;
-      }
-      // Validate file size (5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        toast.error('File size must be less than 5MB');
+      const fileError = getResumeFileError(file);
+      if (fileError) {
+        toast.error(fileError);
         return;
       }
       setSelectedFile(file);
     }
   };
 
+  const screeningQuestions: KnockoutQuestion[] = job?.criteria?.knockout_questions || [];
+  const hasAnsweredScreening = screeningQuestions.every(
+    (question) => screeningAnswers[question.id] !== undefined && screeningAnswers[question.id] !== ''
+  );
+
+  const setScreeningAnswer = (questionId: string, answer: string | number) => {
+    setScreeningAnswers({ ...screeningAnswers, [questionId]: answer });
+  };
+
+  const resumeToSend = selectedResumeId ?? selectedFile;
+
+  // A report only describes the resume it was run on
+  useEffect(() => {
+    setCheckReport(null);
+  }, [resumeToSend]);
+
+  const handleCheckResume = async () => {
+    if (!resumeToSend || !jobId) return;
+
+    setIsChecking(true);
+    try {
+      const report = await candidateService.checkResume(jobId, resumeToSend);
+      setCheckReport(report);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to check resume');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
   const handleApply = async () => {
-    if (!selectedFile || !jobId) return;
+    if (!resumeToSend || !jobId || !hasAnsweredScreening) return;
 
     setIsApplying(true);
     try {
-      const result = await jobService.applyForJob(jobId, selectedFile);
-      toast.success('Application submitted successfully!');
+      const receipt = await jobService.applyForJob(
+        jobId,
+        resumeToSend,
+        screeningQuestions.length > 0 ? screeningAnswers : undefined
+      );
+      toast.success(
+        receipt.status === 'screened_out'
+          ? `Application for ${receipt.jobTitle} received.`
+          : `Application for ${receipt.jobTitle} received! We're analyzing your resume now.`
+      );
       navigate('/my-applications');
     } catch (error: any) {
       toast.error(error.response?.data?.error || 'Failed to submit application');
@@ -112,17 +165,7 @@ export const JobDetailsPage: React.FC = () => {
                 {job.companyName || job.company_name || 'Company'}
               </div>
             </div>
-            <span
-              className={`px-4 py-2 text-sm font-semibold rounded-full ${
-                job.status === 'active' || job.status === 'open'
-                  ? 'bg-green-100 text-green-800'
-                  : job.status === 'closed'
-                  ? 'bg-red-100 text-red-800'
-                  : 'bg-yellow-100 text-yellow-800'
-              }`}
-            >
-              {job.status}
-            </span>
+            <JobStatusBadge status={job.status} />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-gray-600">
@@ -166,60 +209,186 @@ export const JobDetailsPage: React.FC = () => {
         )}
 
         {/* Application Form */}
-        {(job.status === 'active' || job.status === 'open') && (
+        {job.status === 'active' && (
           <div className="card">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">Apply for this Position</h2>
-            
+
+            {screeningQuestions.length > 0 && (
+              <div className="mb-6">
+                <h3 className="flex items-center text-base font-semibold text-gray-900 mb-1">
+                  <ClipboardCheck className="w-5 h-5 mr-2 text-primary-600" />
+                  Screening Questions
+                </h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Please answer all questions before uploading your resume.
+                </p>
+                <div className="space-y-4">
+                  {screeningQuestions.map((question) => (
+                    <div key={question.id}>
+                      <label htmlFor={`screening-${question.id}`} className="label">
+                        {question.question} *
+                      </label>
+                      {question.type === 'numeric' ? (
+                        <input
+                          id={`screening-${question.id}`}
+                          type="number"
+                          className="input w-40"
+                          value={screeningAnswers[question.id] ?? ''}
+                          onChange={(e) => setScreeningAnswer(question.id, e.target.value)}
+                        />
+                      ) : question.type === 'single_choice' ? (
+                        <select
+                          id={`screening-${question.id}`}
+                          className="input"
+                          value={screeningAnswers[question.id] ?? ''}
+                          onChange={(e) => setScreeningAnswer(question.id, e.target.value)}
+                        >
+                          <option value="">Select an option</option>
+                          {(question.options || []).map((option) => (
+                            <option key={option} value={option}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="flex gap-6 mt-1">
+                          {['yes', 'no'].map((answer) => (
+                            <label key={answer} className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="radio"
+                                name={`screening-${question.id}`}
+                                className="mr-2"
+                                checked={screeningAnswers[question.id] === answer}
+                                onChange={() => setScreeningAnswer(question.id, answer)}
+                              />
+                              {answer === 'yes' ? 'Yes' : 'No'}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {libraryResumes.length > 0 && (
+              <div className="mb-4">
+                <span className="label">Choose a Resume *</span>
+                <div className="space-y-2 mt-2">
+                  {libraryResumes.map((resume) => (
+                    <label
+                      key={resume.id}
+                      className="flex items-center p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50"
+                    >
+                      <input
+                        type="radio"
+                        name="resume-source"
+                        className="mr-3"
+                        checked={selectedResumeId === resume.id}
+                        onChange={() => setSelectedResumeId(resume.id)}
+                      />
+                      <FileText className="w-5 h-5 mr-2 text-primary-600" />
+                      <span className="text-sm font-medium text-gray-900">{resume.name}</span>
+                      {resume.is_default && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-primary-100 text-primary-800">
+                          Default
+                        </span>
+                      )}
+                    </label>
+                  ))}
+                  <label className="flex items-center p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="radio"
+                      name="resume-source"
+                      className="mr-3"
+                      checked={selectedResumeId === null}
+                      onChange={() => setSelectedResumeId(null)}
+                    />
+                    <Upload className="w-5 h-5 mr-2 text-gray-500" />
+                    <span className="text-sm text-gray-700">Upload a different file</span>
+                  </label>
+                </div>
+              </div>
+            )}
+
+            {selectedResumeId === null && (
+              <div className="mb-6">
+                <label htmlFor="resume" className="label">
+                  Upload Your Resume *
+                </label>
+                <div className="mt-2">
+                  <label
+                    htmlFor="resume"
+                    className="flex flex-col items-center justify-center w-full h-32 border-2 border-gray-300 border-dashed rounded-lg cursor-pointer hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="flex flex-col items-center justify-center pt-5 pb-6">
+                      {selectedFile ? (
+                        <>
+                          <FileText className="w-10 h-10 text-primary-600 mb-2" />
+                          <p className="text-sm text-gray-700 font-medium">{selectedFile.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {(selectedFile.size / 1024).toFixed(2)} KB
+                          </p>
+                        </>
+                      ) : (
+                        <>
+                          <Upload className="w-10 h-10 text-gray-400 mb-2" />
+                          <p className="text-sm text-gray-600">
+                            <span className="font-semibold">Click to upload</span> or drag and drop
+                          </p>
+                          <p className="text-xs text-gray-500">PDF, DOC, DOCX, or TXT (max. 5MB)</p>
+                        </>
+                      )}
+                    </div>
+                    <input
+                      id="resume"
+                      type="file"
+                      className="hidden"
+                      accept=".pdf,.doc,.docx,.txt"
+                      onChange={handleFileChange}
+                    />
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Applying often? <Link to="/profile" className="text-primary-600 hover:underline">Save resumes to your library</Link> and
+                  pick one next time.
+                </p>
+              </div>
+            )}
+
             <div className="mb-6">
-              <label htmlFor="resume" className="label">
-                Upload Your Resume *
-              </label>
-              <div className="mt-2">
-                <label
-                  htmlFor="resume"
-                  className="flex flex-col items-center justify-center w-full h-32 border-2 border-gray-300 border-dashed rounded-lg cursor-pointer hover:bg-gray-50 transition-colors"
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600">
+                  See how your resume reads against this job before you apply.
+                </p>
+                <button
+                  onClick={handleCheckResume}
+                  disabled={!resumeToSend || isChecking}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  <div className="flex flex-col items-center justify-center pt-5 pb-6">
-                    {selectedFile ? (
-                      <>
-                        <FileText className="w-10 h-10 text-primary-600 mb-2" />
-                        <p className="text-sm text-gray-700 font-medium">{selectedFile.name}</p>
-                        <p className="text-xs text-gray-500">
-                          {(selectedFile.size / 1024).toFixed(2)} KB
-                        </p>
-                      </>
-                    ) : (
-                      <>
-                        <Upload className="w-10 h-10 text-gray-400 mb-2" />
-                        <p className="text-sm text-gray-600">
-                          <span className="font-semibold">Click to upload</span> or drag and drop
-                        </p>
-                        <p className="text-xs text-gray-500">PDF, DOC, DOCX, or TXT (max. 5MB)</p>
-                      </>
-                    )}
-                  </div>
-                  <input
-                    id="resume"
-                    type="file"
-                    className="hidden"
-                    accept=".pdf,.doc,.docx,.txt"
-                    onChange={handleFileChange}
-                  />
-                </label>
+                  <SearchCheck className="w-4 h-4 mr-2" />
+                  {isChecking ? 'Checking...' : 'Check my resume'}
+                </button>
               </div>
+              {checkReport && (
+                <div className="mt-4">
+                  <ResumeCheckReport report={checkReport} />
+                </div>
+              )}
             </div>
 
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
               <p className="text-sm text-blue-800">
                 <strong>Note:</strong> Your resume will be automatically analyzed by our ATS system
-                to match your skills and experience with the job requirements. You'll receive an
-                instant score upon submission.
+                to match your skills and experience with the job requirements. You can follow
+                each processing stage and see your score on the My Applications page.
               </p>
             </div>
 
             <button
               onClick={handleApply}
-              disabled={!selectedFile || isApplying}
+              disabled={!resumeToSend || !hasAnsweredScreening || isApplying}
               className="btn btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isApplying ? 'Submitting Application...' : 'Submit Application'}
@@ -3,23 +3,67 @@ import { Link } from 'react-router-dom';
 import { Layout } from '@/components/Layout';
 import { LoadingSpinner } from '@/components/LoadingSpinner';
 import { EmptyState } from '@/components/EmptyState';
+import { JobStatusBadge } from '@/components/JobStatusBadge';
 import { jobService } from '@/services/job.service';
-import { Job } from '@/types';
-import { Briefcase, MapPin, DollarSign, Calendar, Building } from 'lucide-react';
+import { Job, JobSearchParams, JobSort, WorkMode } from '@/types';
+import {
+  Briefcase,
+  MapPin,
+  DollarSign,
+  Calendar,
+  Building,
+  Search,
+  ChevronLeft,
+  ChevronRight,
+} from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const PAGE_SIZE = 12;
+
+const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Contract', 'Internship'];
+
+const POSTED_WITHIN_OPTIONS: { value: string; label: string }[] = [
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+];
+
 export const JobsListPage: React.FC = () => {
   const [jobs, setJobs] = useState<Job[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [filter, setFilter] = useState<string>('active');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [keywords, setKeywords] = useState('');
+  const [location, setLocation] = useState('');
+  const [company, setCompany] = useState('');
+  const [salaryMin, setSalaryMin] = useState('');
+  const [salaryMax, setSalaryMax] = useState('');
+  const [employmentType, setEmploymentType] = useState('');
+  const [workMode, setWorkMode] = useState('');
+  const [postedWithin, setPostedWithin] = useState('');
+  const [sort, setSort] = useState<JobSort>('relevance');
 
   const loadJobs = async () => {
     try {
       setIsLoading(true);
-      const data = await jobService.getAllJobs(filter);
-      setJobs(data);
+      const params: JobSearchParams = { status: filter || 'all', sort, page, limit: PAGE_SIZE };
+      if (keywords.trim()) params.q = keywords.trim();
+      if (location.trim()) params.location = location.trim();
+      if (company.trim()) params.company = company.trim();
+      if (salaryMin) params.salaryMin = Number(salaryMin);
+      if (salaryMax) params.salaryMax = Number(salaryMax);
+      if (employmentType) params.employmentType = employmentType;
+      if (workMode) params.workMode = workMode as WorkMode;
+      if (postedWithin) params.postedWithin = Number(postedWithin);
+
+      const result = await jobService.searchJobs(params);
+      setJobs(result.items);
+      setTotal(result.total);
+      setTotalPages(result.totalPages);
     } catch (error: any) {
-      toast.error('Failed to load jobs');
+      toast.error(error.response?.data?.error || 'Failed to load jobs');
     } finally {
       setIsLoading(false);
     }
@@ -28,7 +72,22 @@ export const JobsListPage: React.FC = () => {
   useEffect(() => {
     loadJobs();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filter]);
+  }, [filter, page, sort, employmentType, workMode, postedWithin]);
+
+  // Text and salary filters apply on submit instead of on every keystroke
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (page === 1) {
+      loadJobs();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const resetPageAnd = (setter: (value: string) => void) => (value: string) => {
+    setter(value);
+    setPage(1);
+  };
 
   return (
     <Layout>
@@ -39,28 +98,158 @@ export const JobsListPage: React.FC = () => {
           <p className="text-gray-600 mt-2">Find your next opportunity</p>
         </div>
 
+        {/* Search */}
+        <form onSubmit={handleSearch} className="card space-y-4">
+          <div className="flex gap-2">
+            <div className="relative flex-1">
+              <Search className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                className="input pl-10"
+                placeholder="Job title, skills or keywords"
+                value={keywords}
+                onChange={(e) => setKeywords(e.target.value)}
+              />
+            </div>
+            <button type="submit" className="btn btn-primary">
+              Search
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="label">Location</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="City or country"
+                value={location}
+                onChange={(e) => setLocation(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">Company</label>
+              <input
+                type="text"
+                className="input"
+                placeholder="Company name"
+                value={company}
+                onChange={(e) => setCompany(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">Salary</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min={0}
+                  step={1000}
+                  className="input"
+                  placeholder="Min"
+                  value={salaryMin}
+                  onChange={(e) => setSalaryMin(e.target.value)}
+                />
+                <input
+                  type="number"
+                  min={0}
+                  step={1000}
+                  className="input"
+                  placeholder="Max"
+                  value={salaryMax}
+                  onChange={(e) => setSalaryMax(e.target.value)}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label">Posted</label>
+              <select
+                className="input"
+                value={postedWithin}
+                onChange={(e) => resetPageAnd(setPostedWithin)(e.target.value)}
+              >
+                <option value="">Any time</option>
+                {POSTED_WITHIN_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Employment Type</label>
+              <select
+                className="input"
+                value={employmentType}
+                onChange={(e) => resetPageAnd(setEmploymentType)(e.target.value)}
+              >
+                <option value="">Any</option>
+                {EMPLOYMENT_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Work Mode</label>
+              <select
+                className="input"
+                value={workMode}
+                onChange={(e) => resetPageAnd(setWorkMode)(e.target.value)}
+              >
+                <option value="">Any</option>
+                <option value="remote">Remote</option>
+                <option value="hybrid">Hybrid</option>
+                <option value="onsite">Onsite</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Sort By</label>
+              <select
+                className="input"
+                value={sort}
+                onChange={(e) => {
+                  setSort(e.target.value as JobSort);
+                  setPage(1);
+                }}
+              >
+                <option value="relevance">Best match</option>
+                <option value="date">Newest</option>
+                <option value="closing_date">Closing soon</option>
+              </select>
+            </div>
+          </div>
+        </form>
+
         {/* Filters */}
-        <div className="flex gap-2">
-          <button
-            onClick={() => setFilter('active')}
-            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-              filter === 'active'
-                ? 'bg-primary-600 text-white'
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-            }`}
-          >
-            Active Jobs
-          </button>
-          <button
-            onClick={() => setFilter('')}
-            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-              filter === ''
-                ? 'bg-primary-600 text-white'
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-            }`}
-          >
-            All Jobs
-          </button>
+        <div className="flex items-center justify-between">
+          <div className="flex gap-2">
+            <button
+              onClick={() => resetPageAnd(setFilter)('active')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                filter === 'active'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              Active Jobs
+            </button>
+            <button
+              onClick={() => resetPageAnd(setFilter)('')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                filter === ''
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              All Jobs
+            </button>
+          </div>
+          {!isLoading && (
+            <p className="text-sm text-gray-600">
+              {total} {total === 1 ? 'job' : 'jobs'} found
+            </p>
+          )}
         </div>
 
         {/* Jobs List */}
@@ -70,14 +259,41 @@ export const JobsListPage: React.FC = () => {
           <EmptyState
             icon={<Briefcase className="w-8 h-8 text-gray-400" />}
             title="No jobs found"
-            description="There are no job openings available at the moment. Check back later!"
+            description="No job openings match your search. Try different keywords or fewer filters."
           />
         ) : (
-          <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-            {jobs.map((job) => (
-              <JobCard key={job.id} job={job} />
-            ))}
-          </div>
+          <>
+            <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+              {jobs.map((job) => (
+                <JobCard key={job.id} job={job} />
+              ))}
+            </div>
+
+            {/* Pagination */}
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600">
+                Page {page} of {totalPages}
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="w-4 h-4 mr-1" />
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= totalPages}
+                  className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                  <ChevronRight className="w-4 h-4 ml-1" />
+                </button>
+              </div>
+            </div>
+          </>
         )}
       </div>
     </Layout>
@@ -107,17 +323,7 @@ const JobCard: React.FC<{ job: Job }> = ({ job }) => {
               {job.companyName || job.company_name || 'Company'}
             </div>
           </div>
-          <span
-            className={`px-3 py-1 text-xs font-semibold rounded-full flex-shrink-0 ${
-              job.status === 'active' || job.status === 'open'
-                ? 'bg-green-100 text-green-800'
-                : job.status === 'closed'
-                ? 'bg-red-100 text-red-800'
-                : 'bg-yellow-100 text-yellow-800'
-            }`}
-          >
-            {job.status}
-          </span>
+          <JobStatusBadge status={job.status} />
         </div>
 
         <p className="text-gray-600 text-sm mb-4 line-clamp-3 flex-1">
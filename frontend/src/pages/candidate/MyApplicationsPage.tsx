@@ -5,17 +5,17 @@ import { EmptyState } from '@/components/EmptyState';
 import { ScoreBadge } from '@/components/ScoreBadge';
 import { ProgressBar } from '@/components/ProgressBar';
 import { jobService } from '@/services/job.service';
-import { ATSScore } from '@/types';
-import { FileText, Calendar, Briefcase, TrendingUp } from 'lucide-react';
+import { ATSScore, ApplicationStatus } from '@/types';
+import { FileText, Calendar, Briefcase, TrendingUp, CheckCircle, Loader, XCircle } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 export const MyApplicationsPage: React.FC = () => {
   const [applications, setApplications] = useState<ATSScore[]>([]);
   const [isLoading, setIsLoading] = useState(true);
 
-  const loadApplications = async () => {
+  const loadApplications = async (silent = false) => {
     try {
-      setIsLoading(true);
+      if (!silent) setIsLoading(true);
       const data = await jobService.getMyApplications();
       setApplications(data);
     } catch (error: any) {
@@ -30,14 +30,6 @@ export const MyApplicationsPage: React.FC = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const formatDate = (dateString: string) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-  };
-
   return (
     <Layout>
       <div className="space-y-6">
@@ -63,7 +55,11 @@ export const MyApplicationsPage: React.FC = () => {
         ) : (
           <div className="space-y-4">
             {applications.map((application) => (
-              <ApplicationCard key={application.id} application={application} />
+              <ApplicationCard
+                key={application.resume_id}
+                application={application}
+                onStageChange={() => loadApplications(true)}
+              />
             ))}
           </div>
         )}
@@ -72,8 +68,104 @@ export const MyApplicationsPage: React.FC = () => {
   );
 };
 
-const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) => {
+const PIPELINE_STAGES: { key: ApplicationStatus; label: string }[] = [
+  { key: 'received', label: 'Received' },
+  { key: 'parsed', label: 'Resume Parsed' },
+  { key: 'scored', label: 'Scored' },
+  { key: 'notified', label: 'Confirmed' },
+];
+
+const STATUS_POLL_INTERVAL_MS = 5000;
+
+const isFinalStatus = (status: ApplicationStatus) =>
+  status === 'notified' || status === 'failed' || status === 'screened_out';
+
+const ApplicationStageTracker: React.FC<{ status: ApplicationStatus; reason?: string | null }> = ({
+  status,
+  reason,
+}) => {
+  if (status === 'failed') {
+    return (
+      <div className="flex items-start gap-2 bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
+        <XCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+        <div>
+          <p className="text-sm font-semibold text-red-800">Processing failed</p>
+          <p className="text-xs text-red-700">
+            {reason || 'Something went wrong while processing your application.'} You can apply again.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'screened_out') {
+    return (
+      <div className="flex items-start gap-2 bg-gray-50 border border-gray-200 rounded-lg p-3 mb-4">
+        <XCircle className="w-5 h-5 text-gray-500 flex-shrink-0" />
+        <div>
+          <p className="text-sm font-semibold text-gray-800">Not moving forward</p>
+          <p className="text-xs text-gray-600">
+            {reason || 'Your answers to the screening questions did not meet this job\'s requirements.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const currentIndex = PIPELINE_STAGES.findIndex((stage) => stage.key === status);
+
+  return (
+    <div className="flex items-center gap-2 mb-4">
+      {PIPELINE_STAGES.map((stage, idx) => {
+        const isDone = idx <= currentIndex;
+        const isNext = idx === currentIndex + 1;
+        return (
+          <React.Fragment key={stage.key}>
+            {idx > 0 && <div className={`flex-1 h-0.5 ${isDone ? 'bg-green-500' : 'bg-gray-200'}`} />}
+            <div className="flex items-center gap-1 text-xs font-medium">
+              {isDone ? (
+                <CheckCircle className="w-4 h-4 text-green-600" />
+              ) : isNext ? (
+                <Loader className="w-4 h-4 text-primary-600 animate-spin" />
+              ) : (
+                <div className="w-4 h-4 rounded-full border-2 border-gray-300" />
+              )}
+              <span className={isDone ? 'text-green-700' : 'text-gray-500'}>{stage.label}</span>
+            </div>
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+};
+
+const ApplicationCard: React.FC<{ application: ATSScore; onStageChange: () => void }> = ({
+  application,
+  onStageChange,
+}) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [status, setStatus] = useState<ApplicationStatus>(application.application_status || 'notified');
+  const [statusReason, setStatusReason] = useState(application.status_reason || null);
+
+  // Poll until the background pipeline reaches a final stage
+  useEffect(() => {
+    if (isFinalStatus(status)) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const info = await jobService.getApplicationStatus(application.resume_id);
+        if (info.status !== status) {
+          setStatus(info.status);
+          setStatusReason(info.reason);
+          onStageChange();
+        }
+      } catch {
+        // Keep polling; transient errors are expected while the pipeline runs
+      }
+    }, STATUS_POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [status, application.resume_id, onStageChange]);
 
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -88,6 +180,7 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
   const jobTitle = application.job?.title || 'Job Application';
   const companyName = application.job?.company_name || application.job?.companyName || 'Company';
   const matchScore = application.match_score || 0;
+  const isScored = application.match_score !== undefined && application.match_score !== null;
   const resumeUrl = application.resumes?.cloudinary_url || '';
 
   return (
@@ -104,102 +197,107 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
             Applied on {formatDate(application.created_at)}
           </div>
         </div>
-        <ScoreBadge score={matchScore} size="lg" />
+        {isScored && <ScoreBadge score={matchScore} size="lg" />}
       </div>
 
+      {/* Processing Stage */}
+      <ApplicationStageTracker status={status} reason={statusReason} />
+
       {/* Score Details */}
-      <div className="bg-gray-50 rounded-lg p-4 mb-4">
-        <div className="flex items-center justify-between mb-3">
-          <h4 className="text-sm font-semibold text-gray-700 flex items-center">
-            <TrendingUp className="w-4 h-4 mr-2" />
-            ATS Analysis
-          </h4>
-          <button
-            onClick={() => setIsExpanded(!isExpanded)}
-            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
-          >
-            {isExpanded ? 'Show Less' : 'Show Details'}
-          </button>
-        </div>
+      {isScored && (
+        <div className="bg-gray-50 rounded-lg p-4 mb-4">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-semibold text-gray-700 flex items-center">
+              <TrendingUp className="w-4 h-4 mr-2" />
+              ATS Analysis
+            </h4>
+            <button
+              onClick={() => setIsExpanded(!isExpanded)}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+            >
+              {isExpanded ? 'Show Less' : 'Show Details'}
+            </button>
+          </div>
 
-        {isExpanded && (
-          <div className="space-y-4">
-            {/* Recommendation */}
-            {application.recommendation && (
-              <div>
-                <h5 className="text-xs font-semibold text-gray-700 mb-1">Recommendation</h5>
-                <p className="text-sm text-gray-600">{application.recommendation}</p>
-              </div>
-            )}
+          {isExpanded && (
+            <div className="space-y-4">
+              {/* Recommendation */}
+              {application.recommendation && (
+                <div>
+                  <h5 className="text-xs font-semibold text-gray-700 mb-1">Recommendation</h5>
+                  <p className="text-sm text-gray-600">{application.recommendation}</p>
+                </div>
+              )}
 
-            {/* Strong Skills */}
-            {application.strong_skills && application.strong_skills.length > 0 && (
-              <div>
-                <h5 className="text-xs font-semibold text-gray-700 mb-2">Strong Skills</h5>
-                <div className="flex flex-wrap gap-2">
-                  {application.strong_skills.map((skill, idx) => (
-                    <span
-                      key={idx}
-                      className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full"
-                    >
-                      {skill}
-                    </span>
-                  ))}
+              {/* Strong Skills */}
+              {application.strong_skills && application.strong_skills.length > 0 && (
+                <div>
+                  <h5 className="text-xs font-semibold text-gray-700 mb-2">Strong Skills</h5>
+                  <div className="flex flex-wrap gap-2">
+                    {application.strong_skills.map((skill, idx) => (
+                      <span
+                        key={idx}
+                        className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full"
+                      >
+                        {skill}
+                      </span>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            {/* Missing Skills */}
-            {application.missing_skills && application.missing_skills.length > 0 && (
-              <div>
-                <h5 className="text-xs font-semibold text-gray-700 mb-2">Areas to Improve</h5>
-                <div className="flex flex-wrap gap-2">
-                  {application.missing_skills.map((skill, idx) => (
-                    <span
-                      key={idx}
-                      className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded-full"
-                    >
-                      {skill}
-                    </span>
-                  ))}
+              {/* Missing Skills */}
+              {application.missing_skills && application.missing_skills.length > 0 && (
+                <div>
+                  <h5 className="text-xs font-semibold text-gray-700 mb-2">Areas to Improve</h5>
+                  <div className="flex flex-wrap gap-2">
+                    {application.missing_skills.map((skill, idx) => (
+                      <span
+                        key={idx}
+                        className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded-full"
+                      >
+                        {skill}
+                      </span>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            {/* Key Highlights */}
-            {application.key_highlights && application.key_highlights.length > 0 && (
-              <div>
-                <h5 className="text-xs font-semibold text-gray-700 mb-2">Key Highlights</h5>
-                <ul className="list-disc list-inside space-y-1">
-                  {application.key_highlights.map((highlight, idx) => (
-                    <li key={idx} className="text-sm text-gray-600">{highlight}</li>
-                  ))}
-                </ul>
-              </div>
-            )}
+              {/* Key Highlights */}
+              {application.key_highlights && application.key_highlights.length > 0 && (
+                <div>
+                  <h5 className="text-xs font-semibold text-gray-700 mb-2">Key Highlights</h5>
+                  <ul className="list-disc list-inside space-y-1">
+                    {application.key_highlights.map((highlight, idx) => (
+                      <li key={idx} className="text-sm text-gray-600">{highlight}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
 
-            {/* Estimated Salary Range */}
-            {application.salary_range && (application.salary_range.min > 0 || application.salary_range.max > 0) && (
+              {/* Estimated Salary Range */}
+              {application.salary_range && (application.salary_range.min > 0 || application.salary_range.max > 0) && (
+                <div>
+                  <h5 className="text-xs font-semibold text-gray-700 mb-1">Estimated Salary Range</h5>
+                  <p className="text-sm text-gray-600">
+                    ${application.salary_range.min.toLocaleString()} - ${application.salary_range.max.toLocaleString()}
+                  </p>
+                </div>
+              )}
+
+              {/* Shortlist Probability */}
               <div>
-                <h5 className="text-xs font-semibold text-gray-700 mb-1">Estimated Salary Range</h5>
-                <p className="text-sm text-gray-600">
-                  ${application.salary_range.min.toLocaleString()} - ${application.salary_range.max.toLocaleString()}
-                </p>
+                <h5 className="text-xs font-semibold text-gray-700 mb-1">Shortlist Probability</h5>
+                <ProgressBar
+                  label=""
+                  value={Math.round((application.shortlist_probability || 0) * 100)}
+                  color="blue"
+                />
               </div>
-            )}
-
-            {/* Shortlist Probability */}
-            <div>
-              <h5 className="text-xs font-semibold text-gray-700 mb-1">Shortlist Probability</h5>
-              <ProgressBar
-                label=""
-                value={Math.round((application.shortlist_probability || 0) * 100)}
-                color="blue"
-              />
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      )}
 
       {/* Resume Link */}
       {resumeUrl && (
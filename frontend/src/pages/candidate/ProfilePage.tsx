@@ -0,0 +1,485 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import {
+  candidateService,
+  getResumeFileError,
+  WORK_AUTHORIZATION_LABELS,
+} from '@/services/candidate.service';
+import { CandidateProfile, LibraryResume, ProfileLink, WorkAuthorization } from '@/types';
+import { FileText, Upload, Trash2, Star, Edit, Plus, X, Save, ExternalLink } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const WORK_AUTHORIZATIONS = Object.keys(WORK_AUTHORIZATION_LABELS) as WorkAuthorization[];
+
+interface ProfileForm {
+  headline: string;
+  location: string;
+  desiredSalaryMin: string;
+  desiredSalaryMax: string;
+  workAuthorization: WorkAuthorization | '';
+  links: ProfileLink[];
+  skills: string[];
+}
+
+const toForm = (profile: CandidateProfile): ProfileForm => ({
+  headline: profile.headline || '',
+  location: profile.location || '',
+  desiredSalaryMin: profile.desired_salary_min?.toString() || '',
+  desiredSalaryMax: profile.desired_salary_max?.toString() || '',
+  workAuthorization: profile.work_authorization || '',
+  links: profile.links || [],
+  skills: profile.skills || [],
+});
+
+const formatDate = (dateString: string) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+export const ProfilePage: React.FC = () => {
+  const [form, setForm] = useState<ProfileForm | null>(null);
+  const [resumes, setResumes] = useState<LibraryResume[]>([]);
+  const [resumeLimit, setResumeLimit] = useState(10);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [skillInput, setSkillInput] = useState('');
+  const [uploadFile, setUploadFile] = useState<File | null>(null);
+  const [uploadName, setUploadName] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [editingResumeId, setEditingResumeId] = useState<number | null>(null);
+  const [editingName, setEditingName] = useState('');
+
+  const loadResumes = async () => {
+    const data = await candidateService.getResumes();
+    setResumes(data.resumes);
+    setResumeLimit(data.limit);
+  };
+
+  const loadData = async () => {
+    try {
+      setIsLoading(true);
+      const [profile] = await Promise.all([candidateService.getProfile(), loadResumes()]);
+      setForm(toForm(profile));
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load profile');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const updateForm = (changes: Partial<ProfileForm>) => {
+    setForm((current) => (current ? { ...current, ...changes } : current));
+  };
+
+  const addSkill = () => {
+    if (!form) return;
+    const skill = skillInput.trim();
+    if (skill && !form.skills.some((existing) => existing.toLowerCase() === skill.toLowerCase())) {
+      updateForm({ skills: [...form.skills, skill] });
+    }
+    setSkillInput('');
+  };
+
+  const updateLink = (index: number, changes: Partial<ProfileLink>) => {
+    if (!form) return;
+    updateForm({ links: form.links.map((link, i) => (i === index ? { ...link, ...changes } : link)) });
+  };
+
+  const handleSaveProfile = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await candidateService.updateProfile({
+        headline: form.headline,
+        location: form.location,
+        desiredSalaryMin: form.desiredSalaryMin ? Number(form.desiredSalaryMin) : null,
+        desiredSalaryMax: form.desiredSalaryMax ? Number(form.desiredSalaryMax) : null,
+        workAuthorization: form.workAuthorization || null,
+        links: form.links,
+        skills: form.skills,
+      });
+      setForm(toForm(saved));
+      toast.success('Profile saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save profile');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    if (e.target.files && e.target.files[0]) {
+      const file = e.target.files[0];
+      const fileError = getResumeFileError(file);
+      if (fileError) {
+        toast.error(fileError);
+        return;
+      }
+      setUploadFile(file);
+    }
+  };
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!uploadFile) return;
+
+    try {
+      setIsUploading(true);
+      const resume = await candidateService.uploadResume(uploadFile, uploadName.trim() || undefined);
+      toast.success(`${resume.name} added to your library`);
+      setUploadFile(null);
+      setUploadName('');
+      await loadResumes();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to upload resume');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRename = async (resumeId: number) => {
+    try {
+      await candidateService.updateResume(resumeId, { name: editingName });
+      setEditingResumeId(null);
+      await loadResumes();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to rename resume');
+    }
+  };
+
+  const handleMakeDefault = async (resumeId: number) => {
+    try {
+      await candidateService.updateResume(resumeId, { isDefault: true });
+      toast.success('Default resume updated');
+      await loadResumes();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to update resume');
+    }
+  };
+
+  const handleDelete = async (resume: LibraryResume) => {
+    if (!confirm(`Delete ${resume.name}? Applications you made with it are kept.`)) {
+      return;
+    }
+
+    try {
+      await candidateService.deleteResume(resume.id);
+      toast.success('Resume deleted');
+      await loadResumes();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete resume');
+    }
+  };
+
+  if (isLoading || !form) {
+    return (
+      <Layout>
+        <LoadingSpinner message="Loading profile..." />
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">My Profile</h1>
+          <p className="text-gray-600 mt-2">Tell employers about yourself and keep your resumes ready to apply</p>
+        </div>
+
+        {/* Resume Library */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Resume Library</h2>
+            <span className="text-sm text-gray-500">{resumes.length} of {resumeLimit}</span>
+          </div>
+
+          {resumes.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">
+              Upload a resume once and pick it whenever you apply. Your first resume becomes the default.
+            </p>
+          ) : (
+            <div className="divide-y divide-gray-200 mb-4">
+              {resumes.map((resume) => (
+                <div key={resume.id} className="py-3 flex flex-wrap items-center justify-between gap-4">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <FileText className="w-5 h-5 text-primary-600 flex-shrink-0" />
+                    {editingResumeId === resume.id ? (
+                      <div className="flex items-center gap-2">
+                        <input
+                          className="input"
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          autoFocus
+                        />
+                        <button onClick={() => handleRename(resume.id)} className="btn btn-primary">
+                          Save
+                        </button>
+                        <button onClick={() => setEditingResumeId(null)} className="btn btn-secondary">
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium text-gray-900 truncate">{resume.name}</span>
+                          {resume.is_default && (
+                            <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-primary-100 text-primary-800">
+                              Default
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {resume.original_filename} · Uploaded {formatDate(resume.created_at)} ·{' '}
+                          {resume.parsed_at ? 'Ready' : 'Processing'}
+                        </p>
+                      </div>
+                    )}
+                  </div>
+
+                  {editingResumeId !== resume.id && (
+                    <div className="flex items-center gap-2">
+                      <a
+                        href={resume.cloudinary_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="btn btn-secondary flex items-center space-x-1"
+                      >
+                        <ExternalLink className="w-4 h-4" />
+                        <span>View</span>
+                      </a>
+                      {!resume.is_default && (
+                        <button
+                          onClick={() => handleMakeDefault(resume.id)}
+                          className="btn btn-secondary flex items-center space-x-1"
+                        >
+                          <Star className="w-4 h-4" />
+                          <span>Make Default</span>
+                        </button>
+                      )}
+                      <button
+                        onClick={() => {
+                          setEditingResumeId(resume.id);
+                          setEditingName(resume.name);
+                        }}
+                        className="btn btn-secondary flex items-center space-x-1"
+                      >
+                        <Edit className="w-4 h-4" />
+                        <span>Rename</span>
+                      </button>
+                      <button
+                        onClick={() => handleDelete(resume)}
+                        className="btn btn-secondary flex items-center space-x-1 text-red-600"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        <span>Delete</span>
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {resumes.length < resumeLimit && (
+            <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <div className="md:col-span-2">
+                <label htmlFor="library-resume" className="label">Resume File</label>
+                <input
+                  id="library-resume"
+                  type="file"
+                  className="input"
+                  accept=".pdf,.doc,.docx,.txt"
+                  onChange={handleFileChange}
+                />
+              </div>
+              <div>
+                <label className="label">Name (optional)</label>
+                <input
+                  className="input"
+                  placeholder="e.g. Frontend resume"
+                  value={uploadName}
+                  onChange={(e) => setUploadName(e.target.value)}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!uploadFile || isUploading}
+                className="btn btn-primary flex items-center justify-center space-x-2 disabled:opacity-50"
+              >
+                <Upload className="w-4 h-4" />
+                <span>{isUploading ? 'Uploading...' : 'Upload'}</span>
+              </button>
+            </form>
+          )}
+        </div>
+
+        {/* Profile */}
+        <form onSubmit={handleSaveProfile} className="card space-y-4">
+          <h2 className="text-xl font-semibold text-gray-900">Profile</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Headline</label>
+              <input
+                className="input"
+                placeholder="e.g. Senior frontend engineer"
+                value={form.headline}
+                onChange={(e) => updateForm({ headline: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="label">Location</label>
+              <input
+                className="input"
+                placeholder="e.g. Berlin, Germany"
+                value={form.location}
+                onChange={(e) => updateForm({ location: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="label">Desired Salary (yearly)</label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  className="input"
+                  placeholder="Min"
+                  value={form.desiredSalaryMin}
+                  onChange={(e) => updateForm({ desiredSalaryMin: e.target.value })}
+                />
+                <span className="text-gray-500">–</span>
+                <input
+                  type="number"
+                  min="0"
+                  className="input"
+                  placeholder="Max"
+                  value={form.desiredSalaryMax}
+                  onChange={(e) => updateForm({ desiredSalaryMax: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label">Work Authorization</label>
+              <select
+                className="input"
+                value={form.workAuthorization}
+                onChange={(e) => updateForm({ workAuthorization: e.target.value as WorkAuthorization | '' })}
+              >
+                <option value="">Not specified</option>
+                {WORK_AUTHORIZATIONS.map((value) => (
+                  <option key={value} value={value}>{WORK_AUTHORIZATION_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Skills */}
+          <div>
+            <label className="label">Skills</label>
+            <div className="flex gap-2">
+              <input
+                className="input"
+                placeholder="Add a skill and press Enter"
+                value={skillInput}
+                onChange={(e) => setSkillInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addSkill();
+                  }
+                }}
+              />
+              <button type="button" onClick={addSkill} className="btn btn-secondary flex items-center space-x-1">
+                <Plus className="w-4 h-4" />
+                <span>Add</span>
+              </button>
+            </div>
+            {form.skills.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {form.skills.map((skill) => (
+                  <span
+                    key={skill}
+                    className="flex items-center px-3 py-1 text-sm rounded-full bg-primary-100 text-primary-800"
+                  >
+                    {skill}
+                    <button
+                      type="button"
+                      onClick={() => updateForm({ skills: form.skills.filter((item) => item !== skill) })}
+                      className="ml-1"
+                      aria-label={`Remove ${skill}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Links */}
+          <div>
+            <label className="label">Links</label>
+            <div className="space-y-2">
+              {form.links.map((link, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    className="input md:w-48"
+                    placeholder="Label (e.g. GitHub)"
+                    value={link.label}
+                    onChange={(e) => updateLink(index, { label: e.target.value })}
+                  />
+                  <input
+                    className="input flex-1"
+                    placeholder="https://"
+                    value={link.url}
+                    onChange={(e) => updateLink(index, { url: e.target.value })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateForm({ links: form.links.filter((_, i) => i !== index) })}
+                    className="btn btn-secondary"
+                    aria-label="Remove link"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => updateForm({ links: [...form.links, { label: '', url: '' }] })}
+              className="btn btn-secondary flex items-center space-x-1 mt-2"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Link</span>
+            </button>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="btn btn-primary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>{isSaving ? 'Saving...' : 'Save Profile'}</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </Layout>
+  );
+};
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { companyService, API_KEY_SCOPE_LABELS } from '@/services/company.service';
+import { ApiKey, ApiKeyInput, ApiKeyScope } from '@/types';
+import { KeyRound, Plus, Copy, RefreshCw, Pencil, Ban, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_KEY: ApiKeyInput = {
+  name: '',
+  scopes: ['jobs:read'],
+};
+
+const ALL_SCOPES = Object.keys(API_KEY_SCOPE_LABELS) as ApiKeyScope[];
+
+export const ApiKeysPage: React.FC = () => {
+  const [canManage, setCanManage] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [editingId, setEditingId] = useState<number | 'new' | null>(null);
+  const [form, setForm] = useState<ApiKeyInput>(EMPTY_KEY);
+  const [isSaving, setIsSaving] = useState(false);
+  const [newKey, setNewKey] = useState<{ keyId: number; key: string } | null>(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const workspace = await companyService.getWorkspace();
+      const allowed = workspace.permissions.includes('manage_settings');
+      setCanManage(allowed);
+
+      if (allowed) {
+        setApiKeys(await companyService.getApiKeys());
+      }
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load API keys');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadKeys = async () => {
+    try {
+      setApiKeys(await companyService.getApiKeys());
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load API keys');
+    }
+  };
+
+  const startEditing = (apiKey: ApiKey | null) => {
+    setForm(apiKey ? { name: apiKey.name, scopes: apiKey.scopes } : EMPTY_KEY);
+    setEditingId(apiKey ? apiKey.id : 'new');
+  };
+
+  const toggleScope = (scope: ApiKeyScope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope) ? form.scopes.filter((item) => item !== scope) : [...form.scopes, scope],
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (form.scopes.length === 0) {
+      toast.error('Choose at least one scope');
+      return;
+    }
+
+    const data = { ...form, name: form.name.trim() };
+
+    try {
+      setIsSaving(true);
+      if (editingId === 'new') {
+        const { apiKey, key } = await companyService.createApiKey(data);
+        setNewKey({ keyId: apiKey.id, key });
+        toast.success('API key created');
+      } else if (editingId !== null) {
+        await companyService.updateApiKey(editingId, data);
+        toast.success('API key saved');
+      }
+      setEditingId(null);
+      loadKeys();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save API key');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey: ApiKey) => {
+    if (!confirm(`Replace "${apiKey.name}"? The current key stops working straight away.`)) {
+      return;
+    }
+
+    try {
+      const { key } = await companyService.rotateApiKey(apiKey.id);
+      setNewKey({ keyId: apiKey.id, key });
+      toast.success('API key rotated');
+      loadKeys();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to rotate API key');
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Requests made with it are rejected from now on.`)) {
+      return;
+    }
+
+    try {
+      await companyService.revokeApiKey(apiKey.id);
+      toast.success('API key revoked');
+      if (newKey?.keyId === apiKey.id) setNewKey(null);
+      loadKeys();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  const handleCopyKey = async () => {
+    if (!newKey) return;
+
+    try {
+      await navigator.clipboard.writeText(newKey.key);
+      toast.success('API key copied');
+    } catch (error) {
+      toast.error('Could not copy the key');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <LoadingSpinner />
+      </Layout>
+    );
+  }
+
+  if (!canManage) {
+    return (
+      <Layout>
+        <EmptyState
+          icon={<KeyRound className="w-8 h-8 text-gray-400" />}
+          title="API keys are managed by company owners"
+          description="Ask an owner of your company to create a key for your integration."
+        />
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">API Keys</h1>
+            <p className="text-gray-600 mt-2">
+              Let your career site or internal tools call the API without a login. Send the key in the X-API-Key
+              header; it acts for you, limited to its scopes.
+            </p>
+          </div>
+          {editingId === null && (
+            <button onClick={() => startEditing(null)} className="btn btn-primary flex items-center space-x-2">
+              <Plus className="w-4 h-4" />
+              <span>Create Key</span>
+            </button>
+          )}
+        </div>
+
+        {/* New key */}
+        {newKey && (
+          <div className="card border border-yellow-300 bg-yellow-50">
+            <p className="text-sm font-medium text-yellow-900 flex items-center">
+              <KeyRound className="w-4 h-4 mr-2" />
+              Copy the API key now. It is not shown again.
+            </p>
+            <div className="mt-3 p-3 bg-white rounded-lg flex items-center gap-3">
+              <span className="text-sm font-mono text-gray-800 truncate flex-1">{newKey.key}</span>
+              <button onClick={handleCopyKey} className="btn btn-secondary flex items-center space-x-2">
+                <Copy className="w-4 h-4" />
+                <span>Copy</span>
+              </button>
+              <button onClick={() => setNewKey(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Key form */}
+        {editingId !== null && (
+          <form onSubmit={handleSave} className="card space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {editingId === 'new' ? 'New API Key' : 'Edit API Key'}
+            </h2>
+            <div>
+              <label className="label">Name</label>
+              <input
+                type="text"
+                className="input"
+                maxLength={100}
+                placeholder="e.g. Career site"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Scopes</label>
+              <div className="space-y-2">
+                {ALL_SCOPES.map((scope) => (
+                  <label key={scope} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                    <span className="font-mono text-xs text-gray-900">{scope}</span>
+                    <span className="text-gray-500">{API_KEY_SCOPE_LABELS[scope]}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex gap-3">
+              <button type="submit" disabled={isSaving} className="btn btn-primary">
+                {isSaving ? 'Saving...' : editingId === 'new' ? 'Create Key' : 'Save Key'}
+              </button>
+              <button type="button" onClick={() => setEditingId(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Keys */}
+        {apiKeys.length === 0 ? (
+          editingId === null && (
+            <EmptyState
+              icon={<KeyRound className="w-8 h-8 text-gray-400" />}
+              title="No API keys yet"
+              description="Create a key to publish jobs from your own tools or read applications into them."
+            />
+          )
+        ) : (
+          <div className="space-y-4">
+            {apiKeys.map((apiKey) => (
+              <div key={apiKey.id} className={`card ${apiKey.revoked_at ? 'opacity-60' : ''}`}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold text-gray-900">{apiKey.name}</h3>
+                      <span className="text-xs font-mono text-gray-500">{apiKey.key_prefix}_…</span>
+                      {apiKey.revoked_at && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800">Revoked</span>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {apiKey.scopes.map((scope) => (
+                        <span key={scope} className="px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-800 font-mono">
+                          {scope}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      Acts for {apiKey.created_by_name || apiKey.created_by_email || 'a former member'}
+                      {' '}· Created {new Date(apiKey.created_at).toLocaleDateString()}
+                      {' '}· {apiKey.last_used_at
+                        ? `Last used ${new Date(apiKey.last_used_at).toLocaleString()}${apiKey.last_used_ip ? ` from ${apiKey.last_used_ip}` : ''}`
+                        : 'Never used'}
+                      {apiKey.revoked_at && ` · Revoked ${new Date(apiKey.revoked_at).toLocaleDateString()}`}
+                    </p>
+                    {!apiKey.revoked_at && apiKey.owner_active === false && (
+                      <p className="text-xs text-red-700 flex items-start mt-1">
+                        <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                        The member this key acts for has left the company or been suspended, so it no longer works.
+                        Create a new key and revoke this one.
+                      </p>
+                    )}
+                  </div>
+                  {!apiKey.revoked_at && (
+                    <div className="flex items-center gap-3">
+                      <button onClick={() => handleRotate(apiKey)} className="text-gray-500 hover:text-gray-700" title="Rotate key">
+                        <RefreshCw className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => startEditing(apiKey)} className="text-gray-500 hover:text-gray-700" title="Edit key">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleRevoke(apiKey)} className="text-red-500 hover:text-red-700" title="Revoke key">
+                        <Ban className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
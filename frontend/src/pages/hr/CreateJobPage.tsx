@@ -3,9 +3,56 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { Layout } from '@/components/Layout';
 import { LoadingSpinner } from '@/components/LoadingSpinner';
 import { jobService } from '@/services/job.service';
-import { Briefcase } from 'lucide-react';
+import {
+  EducationLevel,
+  JobCriteria,
+  KnockoutQuestion,
+  LLMProvider,
+  PipelineStage,
+  QuestionType,
+  WeightedSkill,
+  WorkMode,
+} from '@/types';
+import { Briefcase, EyeOff, Plus, Trash2 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const EDUCATION_OPTIONS: { value: EducationLevel; label: string }[] = [
+  { value: 'high_school', label: 'High School' },
+  { value: 'associate', label: 'Associate Degree' },
+  { value: 'bachelor', label: "Bachelor's Degree" },
+  { value: 'master', label: "Master's Degree" },
+  { value: 'doctorate', label: 'Doctorate' },
+];
+
+const QUESTION_TYPE_OPTIONS: { value: QuestionType; label: string }[] = [
+  { value: 'yes_no', label: 'Yes / No' },
+  { value: 'numeric', label: 'Number' },
+  { value: 'single_choice', label: 'Single choice' },
+];
+
+// Type-specific fields reset when HR switches a question's type
+const QUESTION_TYPE_DEFAULTS: Record<QuestionType, Partial<KnockoutQuestion>> = {
+  yes_no: { disqualifying_answer: 'no' },
+  numeric: { disqualify_below: null, disqualify_above: null },
+  single_choice: { options: [], disqualifying_options: [] },
+};
+
+const parseOptionalNumber = (value: string) => (value === '' ? null : Number(value));
+
+type PublishMode = 'now' | 'schedule' | 'draft';
+
+const PUBLISH_MODE_OPTIONS: { value: PublishMode; label: string; description: string }[] = [
+  { value: 'now', label: 'Publish now', description: 'Candidates can apply immediately' },
+  { value: 'schedule', label: 'Schedule', description: 'Published automatically at the chosen time' },
+  { value: 'draft', label: 'Save as draft', description: 'Only visible to you until you publish it' },
+];
+
+const SUBMIT_LABELS: Record<PublishMode, [string, string]> = {
+  now: ['Post Job', 'Posting...'],
+  schedule: ['Schedule Job', 'Scheduling...'],
+  draft: ['Save Draft', 'Saving...'],
+};
+
 export const CreateJobPage: React.FC = () => {
   const navigate = useNavigate();
   const { jobId } = useParams<{ jobId: string }>();
@@ -21,7 +68,23 @@ export const CreateJobPage: React.FC = () => {
     salaryRange: '',
     employmentType: 'Full-time',
     closingDate: '',
+    llmProvider: '' as LLMProvider | '',
+    llmModel: '',
+    workMode: '' as WorkMode | '',
+    maxApplications: '',
   });
+  const [publishMode, setPublishMode] = useState<PublishMode>('now');
+  const [publishAt, setPublishAt] = useState('');
+  const [requiredSkills, setRequiredSkills] = useState<WeightedSkill[]>([]);
+  const [niceToHaveSkills, setNiceToHaveSkills] = useState('');
+  const [minYears, setMinYears] = useState('');
+  const [maxYears, setMaxYears] = useState('');
+  const [educationLevel, setEducationLevel] = useState<EducationLevel | ''>('');
+  const [knockoutQuestions, setKnockoutQuestions] = useState<KnockoutQuestion[]>([]);
+  const [optionDrafts, setOptionDrafts] = useState<Record<string, string>>({});
+  const [blindReview, setBlindReview] = useState(false);
+  const [blindRevealStage, setBlindRevealStage] = useState('');
+  const [pipelineStages, setPipelineStages] = useState<PipelineStage[]>([]);
 
   const loadJobData = async () => {
     try {
@@ -32,10 +95,24 @@ export const CreateJobPage: React.FC = () => {
         description: job.description || '',
         requirements: job.requirements || '',
         location: job.location || '',
-        salaryRange: job.salaryRange || '',
-        employmentType: job.employmentType || 'Full-time',
-        closingDate: job.closingDate || '',
+        salaryRange: job.salaryRange || job.salary_range || '',
+        employmentType: job.employmentType || job.employment_type || 'Full-time',
+        closingDate: (job.closingDate || job.closing_date || '').slice(0, 10),
+        llmProvider: job.llm_provider || '',
+        llmModel: job.llm_model || '',
+        workMode: job.work_mode || '',
+        maxApplications: job.max_applications?.toString() ?? '',
       });
+
+      const criteria = job.criteria;
+      setRequiredSkills(criteria?.required_skills || []);
+      setNiceToHaveSkills((criteria?.nice_to_have_skills || []).join(', '));
+      setMinYears(criteria?.min_years_experience?.toString() ?? '');
+      setMaxYears(criteria?.max_years_experience?.toString() ?? '');
+      setEducationLevel(criteria?.education_level || '');
+      setKnockoutQuestions(criteria?.knockout_questions || []);
+      setBlindReview(Boolean(job.blind_review));
+      setBlindRevealStage(job.blind_reveal_stage || '');
     } catch (error: any) {
       toast.error('Failed to load job details');
       navigate('/hr/jobs');
@@ -51,6 +128,27 @@ export const CreateJobPage: React.FC = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isEditMode, jobId]);
 
+  // Stages the blind review reveal can be set to
+  const loadPipeline = async () => {
+    try {
+      const stages = isEditMode && jobId
+        ? await jobService.getJobPipeline(jobId)
+        : await jobService.getCompanyPipeline();
+      setPipelineStages(stages);
+    } catch (error: any) {
+      // Without a company pipeline the backend falls back to its default reveal stage
+      setPipelineStages([]);
+    }
+  };
+
+  useEffect(() => {
+    loadPipeline();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isEditMode, jobId]);
+
+  // The first stage and terminal stages cannot reveal a candidate
+  const revealStageOptions = pipelineStages.filter((stage, index) => index > 0 && !stage.terminal);
+
   const handleInputChange = (
     e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>
   ) => {
@@ -60,6 +158,51 @@ export const CreateJobPage: React.FC = () => {
     });
   };
 
+  const updateRequiredSkill = (index: number, changes: Partial<WeightedSkill>) => {
+    setRequiredSkills(requiredSkills.map((skill, i) => (i === index ? { ...skill, ...changes } : skill)));
+  };
+
+  const updateKnockoutQuestion = (index: number, changes: Partial<KnockoutQuestion>) => {
+    setKnockoutQuestions(knockoutQuestions.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  const changeQuestionType = (index: number, type: QuestionType) => {
+    const { id, question } = knockoutQuestions[index];
+    setKnockoutQuestions(knockoutQuestions.map((item, i) => (
+      i === index ? { id, question, type, ...QUESTION_TYPE_DEFAULTS[type] } : item
+    )));
+  };
+
+  // Options are typed as a comma list; keep the raw text so commas are not swallowed while typing
+  const updateQuestionOptions = (index: number, text: string) => {
+    const question = knockoutQuestions[index];
+    const options = text.split(',').map((option) => option.trim()).filter(Boolean);
+
+    setOptionDrafts({ ...optionDrafts, [question.id]: text });
+    updateKnockoutQuestion(index, {
+      options,
+      disqualifying_options: (question.disqualifying_options || []).filter((option) => options.includes(option)),
+    });
+  };
+
+  const toggleDisqualifyingOption = (index: number, option: string) => {
+    const current = knockoutQuestions[index].disqualifying_options || [];
+    updateKnockoutQuestion(index, {
+      disqualifying_options: current.includes(option)
+        ? current.filter((item) => item !== option)
+        : [...current, option],
+    });
+  };
+
+  const buildCriteria = (): JobCriteria => ({
+    required_skills: requiredSkills.filter((skill) => skill.name.trim()),
+    nice_to_have_skills: niceToHaveSkills.split(',').map((skill) => skill.trim()).filter(Boolean),
+    min_years_experience: minYears === '' ? null : Number(minYears),
+    max_years_experience: maxYears === '' ? null : Number(maxYears),
+    education_level: educationLevel || null,
+    knockout_questions: knockoutQuestions.filter((question) => question.question.trim()),
+  });
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsLoading(true);
@@ -70,14 +213,33 @@ export const CreateJobPage: React.FC = () => {
         location: formData.location || undefined,
         salaryRange: formData.salaryRange || undefined,
         closingDate: formData.closingDate || undefined,
+        llmModel: formData.llmProvider ? formData.llmModel : '',
+        maxApplications: formData.maxApplications === '' ? '' as const : Number(formData.maxApplications),
+        criteria: buildCriteria(),
+        blindReview,
+        blindRevealStage: blindReview && blindRevealStage ? blindRevealStage : undefined,
       };
 
       if (isEditMode && jobId) {
-        await jobService.updateJob(jobId, jobData);
-        toast.success('Job updated successfully!');
+        const { rescoreRun } = await jobService.updateJob(jobId, jobData);
+        toast.success(
+          rescoreRun
+            ? `Job updated. Re-scoring ${rescoreRun.total} applications against the new description.`
+            : 'Job updated successfully!'
+        );
       } else {
-        await jobService.createJob(jobData);
-        toast.success('Job posted successfully!');
+        await jobService.createJob({
+          ...jobData,
+          status: publishMode === 'draft' ? 'draft' : 'active',
+          publishAt: publishMode === 'schedule' ? new Date(publishAt).toISOString() : undefined,
+        });
+        toast.success(
+          publishMode === 'draft'
+            ? 'Draft saved'
+            : publishMode === 'schedule'
+            ? 'Job scheduled for publishing'
+            : 'Job posted successfully!'
+        );
       }
       
       navigate('/hr/jobs');
@@ -220,6 +382,24 @@ export const CreateJobPage: React.FC = () => {
                 />
               </div>
 
+              <div>
+                <label htmlFor="workMode" className="label">
+                  Work Mode
+                </label>
+                <select
+                  id="workMode"
+                  name="workMode"
+                  className="input"
+                  value={formData.workMode}
+                  onChange={handleInputChange}
+                >
+                  <option value="">Not specified</option>
+                  <option value="remote">Remote</option>
+                  <option value="hybrid">Hybrid</option>
+                  <option value="onsite">Onsite</option>
+                </select>
+              </div>
+
               <div>
                 <label htmlFor="closingDate" className="label">
                   Closing Date
@@ -232,17 +412,402 @@ export const CreateJobPage: React.FC = () => {
                   value={formData.closingDate}
                   onChange={handleInputChange}
                 />
+                <p className="text-xs text-gray-500 mt-1">The job closes automatically at the end of this day</p>
+              </div>
+
+              <div>
+                <label htmlFor="maxApplications" className="label">
+                  Application Limit
+                </label>
+                <input
+                  id="maxApplications"
+                  name="maxApplications"
+                  type="number"
+                  min={1}
+                  className="input"
+                  placeholder="No limit"
+                  value={formData.maxApplications}
+                  onChange={handleInputChange}
+                />
+                <p className="text-xs text-gray-500 mt-1">Close the job automatically after this many applications</p>
               </div>
             </div>
           </div>
 
+          <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-1">Matching Criteria</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Candidates are scored against these criteria. Leave them empty to score against the description only.
+            </p>
+
+            <div className="space-y-6">
+              <div>
+                <label className="label">Required Skills</label>
+                <div className="space-y-2">
+                  {requiredSkills.map((skill, index) => (
+                    <div key={index} className="flex gap-2">
+                      <input
+                        type="text"
+                        className="input flex-1"
+                        placeholder="e.g., Node.js"
+                        value={skill.name}
+                        onChange={(e) => updateRequiredSkill(index, { name: e.target.value })}
+                      />
+                      <select
+                        className="input w-40"
+                        aria-label="Importance"
+                        value={skill.weight}
+                        onChange={(e) => updateRequiredSkill(index, { weight: Number(e.target.value) })}
+                      >
+                        {[1, 2, 3, 4, 5].map((weight) => (
+                          <option key={weight} value={weight}>
+                            Importance {weight}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => setRequiredSkills(requiredSkills.filter((_, i) => i !== index))}
+                        className="btn btn-secondary"
+                        aria-label="Remove skill"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setRequiredSkills([...requiredSkills, { name: '', weight: 3 }])}
+                    className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add required skill
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="niceToHaveSkills" className="label">
+                  Nice-to-have Skills
+                </label>
+                <input
+                  id="niceToHaveSkills"
+                  type="text"
+                  className="input"
+                  placeholder="Comma-separated, e.g., GraphQL, Redis"
+                  value={niceToHaveSkills}
+                  onChange={(e) => setNiceToHaveSkills(e.target.value)}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="minYears" className="label">
+                    Min. Years of Experience
+                  </label>
+                  <input
+                    id="minYears"
+                    type="number"
+                    min={0}
+                    max={60}
+                    className="input"
+                    value={minYears}
+                    onChange={(e) => setMinYears(e.target.value)}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="maxYears" className="label">
+                    Max. Years of Experience
+                  </label>
+                  <input
+                    id="maxYears"
+                    type="number"
+                    min={0}
+                    max={60}
+                    className="input"
+                    value={maxYears}
+                    onChange={(e) => setMaxYears(e.target.value)}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="educationLevel" className="label">
+                    Minimum Education
+                  </label>
+                  <select
+                    id="educationLevel"
+                    className="input"
+                    value={educationLevel}
+                    onChange={(e) => setEducationLevel(e.target.value as EducationLevel | '')}
+                  >
+                    <option value="">Not required</option>
+                    {EDUCATION_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="label">Knock-out Questions</label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Candidates giving a disqualifying answer are screened out before their resume is scored.
+                </p>
+                <div className="space-y-2">
+                  {knockoutQuestions.map((question, index) => (
+                    <div key={question.id} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          className="input flex-1"
+                          placeholder="e.g., Are you authorized to work in the US?"
+                          value={question.question}
+                          onChange={(e) => updateKnockoutQuestion(index, { question: e.target.value })}
+                        />
+                        <select
+                          className="input w-40"
+                          aria-label="Question type"
+                          value={question.type || 'yes_no'}
+                          onChange={(e) => changeQuestionType(index, e.target.value as QuestionType)}
+                        >
+                          {QUESTION_TYPE_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => setKnockoutQuestions(knockoutQuestions.filter((_, i) => i !== index))}
+                          className="btn btn-secondary"
+                          aria-label="Remove question"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+
+                      {(question.type || 'yes_no') === 'yes_no' && (
+                        <select
+                          className="input w-48"
+                          aria-label="Disqualifying answer"
+                          value={question.disqualifying_answer || 'no'}
+                          onChange={(e) => updateKnockoutQuestion(index, { disqualifying_answer: e.target.value as 'yes' | 'no' })}
+                        >
+                          <option value="no">Disqualify on "No"</option>
+                          <option value="yes">Disqualify on "Yes"</option>
+                        </select>
+                      )}
+
+                      {question.type === 'numeric' && (
+                        <div className="flex gap-2">
+                          <input
+                            type="number"
+                            className="input w-48"
+                            placeholder="Disqualify below"
+                            aria-label="Disqualify below"
+                            value={question.disqualify_below ?? ''}
+                            onChange={(e) => updateKnockoutQuestion(index, { disqualify_below: parseOptionalNumber(e.target.value) })}
+                          />
+                          <input
+                            type="number"
+                            className="input w-48"
+                            placeholder="Disqualify above"
+                            aria-label="Disqualify above"
+                            value={question.disqualify_above ?? ''}
+                            onChange={(e) => updateKnockoutQuestion(index, { disqualify_above: parseOptionalNumber(e.target.value) })}
+                          />
+                        </div>
+                      )}
+
+                      {question.type === 'single_choice' && (
+                        <div className="space-y-2">
+                          <input
+                            type="text"
+                            className="input"
+                            placeholder="Options, comma-separated (e.g., Full-time, Part-time, Weekends only)"
+                            value={optionDrafts[question.id] ?? (question.options || []).join(', ')}
+                            onChange={(e) => updateQuestionOptions(index, e.target.value)}
+                          />
+                          {(question.options || []).length > 0 && (
+                            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                              <span className="text-xs text-gray-500">Disqualify on:</span>
+                              {(question.options || []).map((option) => (
+                                <label key={option} className="flex items-center">
+                                  <input
+                                    type="checkbox"
+                                    className="mr-1"
+                                    checked={(question.disqualifying_options || []).includes(option)}
+                                    onChange={() => toggleDisqualifyingOption(index, option)}
+                                  />
+                                  {option}
+                                </label>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setKnockoutQuestions([
+                      ...knockoutQuestions,
+                      { id: `q${Date.now()}`, question: '', type: 'yes_no', disqualifying_answer: 'no' },
+                    ])}
+                    className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add knock-out question
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-1">AI Scoring</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Leave the provider on the platform default unless this job needs a specific model.
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="llmProvider" className="label">
+                  Scoring Provider
+                </label>
+                <select
+                  id="llmProvider"
+                  name="llmProvider"
+                  className="input"
+                  value={formData.llmProvider}
+                  onChange={handleInputChange}
+                >
+                  <option value="">Platform default</option>
+                  <option value="gemini">Gemini</option>
+                  <option value="openai">OpenAI-compatible</option>
+                  <option value="mock">Mock (offline testing)</option>
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="llmModel" className="label">
+                  Model
+                </label>
+                <input
+                  id="llmModel"
+                  name="llmModel"
+                  type="text"
+                  className="input disabled:bg-gray-100"
+                  placeholder="Provider default"
+                  disabled={!formData.llmProvider}
+                  value={formData.llmModel}
+                  onChange={handleInputChange}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="flex items-center gap-2 mb-1">
+              <EyeOff className="w-5 h-5 text-gray-600" />
+              <h2 className="text-xl font-semibold text-gray-900">Blind Screening</h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Hide names, contact details, photos and personal details from reviewers and from the AI
+              scorer until an application reaches the reveal stage.
+            </p>
+
+            <label className="flex items-center text-sm font-medium text-gray-700 mb-4">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={blindReview}
+                onChange={(e) => setBlindReview(e.target.checked)}
+              />
+              Review candidates blind
+            </label>
+
+            {blindReview && (
+              <div className="max-w-sm">
+                <label htmlFor="blindRevealStage" className="label">
+                  Reveal candidates at
+                </label>
+                <select
+                  id="blindRevealStage"
+                  className="input"
+                  value={blindRevealStage}
+                  onChange={(e) => setBlindRevealStage(e.target.value)}
+                >
+                  <option value="">Default (Interview)</option>
+                  {revealStageOptions.map((stage) => (
+                    <option key={stage.key} value={stage.key}>
+                      {stage.label}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Once revealed, a candidate stays visible. Rejected candidates are never revealed.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {!isEditMode && (
+            <div className="card">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Publishing</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {PUBLISH_MODE_OPTIONS.map((option) => (
+                  <label
+                    key={option.value}
+                    className={`p-3 rounded-lg border cursor-pointer transition-colors ${
+                      publishMode === option.value
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="publishMode"
+                        value={option.value}
+                        checked={publishMode === option.value}
+                        onChange={() => setPublishMode(option.value)}
+                      />
+                      <span className="font-medium text-gray-900">{option.label}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{option.description}</p>
+                  </label>
+                ))}
+              </div>
+
+              {publishMode === 'schedule' && (
+                <div className="mt-4">
+                  <label htmlFor="publishAt" className="label">
+                    Publish At *
+                  </label>
+                  <input
+                    id="publishAt"
+                    type="datetime-local"
+                    required
+                    className="input"
+                    value={publishAt}
+                    onChange={(e) => setPublishAt(e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="flex gap-3">
             <button
               type="submit"
               disabled={isLoading}
               className="btn btn-primary flex-1 disabled:opacity-50"
             >
-              {isLoading ? (isEditMode ? 'Updating...' : 'Posting...') : (isEditMode ? 'Update Job' : 'Post Job')}
+              {isEditMode
+                ? (isLoading ? 'Updating...' : 'Update Job')
+                : SUBMIT_LABELS[publishMode][isLoading ? 1 : 0]}
             </button>
             <button
               type="button"
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { EmailTemplateEditor } from '@/components/EmailTemplateEditor';
+import { companyService } from '@/services/company.service';
+import { EmailBranding, EmailTemplate } from '@/types';
+import { Mail, Palette, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+interface BrandingForm {
+  senderName: string;
+  logoUrl: string;
+  primaryColor: string;
+  accentColor: string;
+}
+
+const toForm = (branding: EmailBranding): BrandingForm => ({
+  senderName: branding.senderName || '',
+  logoUrl: branding.logoUrl || '',
+  primaryColor: branding.primaryColor || '',
+  accentColor: branding.accentColor || '',
+});
+
+export const EmailSettingsPage: React.FC = () => {
+  const [canManage, setCanManage] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [branding, setBranding] = useState<EmailBranding | null>(null);
+  const [form, setForm] = useState<BrandingForm>({ senderName: '', logoUrl: '', primaryColor: '', accentColor: '' });
+  const [isSavingBranding, setIsSavingBranding] = useState(false);
+  const [templates, setTemplates] = useState<EmailTemplate[]>([]);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const workspace = await companyService.getWorkspace();
+      const allowed = workspace.permissions.includes('manage_settings');
+      setCanManage(allowed);
+
+      if (allowed) {
+        const [brandingData, templateData] = await Promise.all([
+          companyService.getBranding(),
+          companyService.getEmailTemplates(),
+        ]);
+        setBranding(brandingData);
+        setForm(toForm(brandingData));
+        setTemplates(templateData);
+      }
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load email settings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await companyService.getEmailTemplates());
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load email templates');
+    }
+  };
+
+  const handleSaveBranding = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setIsSavingBranding(true);
+      // Empty fields go back to the default
+      const saved = await companyService.updateBranding({
+        senderName: form.senderName.trim() || null,
+        logoUrl: form.logoUrl.trim() || null,
+        primaryColor: form.primaryColor.trim() || null,
+        accentColor: form.accentColor.trim() || null,
+      });
+      setBranding(saved);
+      setForm(toForm(saved));
+      toast.success('Email branding saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save branding');
+    } finally {
+      setIsSavingBranding(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <LoadingSpinner />
+      </Layout>
+    );
+  }
+
+  if (!canManage) {
+    return (
+      <Layout>
+        <EmptyState
+          icon={<Mail className="w-8 h-8 text-gray-400" />}
+          title="Email settings are managed by company owners"
+          description="Ask an owner of your company to change the branding or wording of the emails sent to candidates."
+        />
+      </Layout>
+    );
+  }
+
+  const effective = branding?.effective;
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Email Settings</h1>
+          <p className="text-gray-600 mt-2">
+            How the emails sent on behalf of {effective?.companyName || 'your company'} look and read.
+          </p>
+        </div>
+
+        {/* Branding */}
+        <form onSubmit={handleSaveBranding} className="card space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Palette className="w-5 h-5 mr-2" />
+            Branding
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Sender name</label>
+              <input
+                type="text"
+                className="input"
+                maxLength={100}
+                placeholder={effective?.companyName}
+                value={form.senderName}
+                onChange={(e) => setForm({ ...form, senderName: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="label">Logo URL (https)</label>
+              <input
+                type="url"
+                className="input"
+                placeholder="https://example.com/logo.png"
+                value={form.logoUrl}
+                onChange={(e) => setForm({ ...form, logoUrl: e.target.value })}
+              />
+            </div>
+            {(['primaryColor', 'accentColor'] as const).map((field) => (
+              <div key={field}>
+                <label className="label">{field === 'primaryColor' ? 'Primary color' : 'Accent color'}</label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    className="h-10 w-12 border border-gray-300 rounded"
+                    aria-label={field === 'primaryColor' ? 'Pick primary color' : 'Pick accent color'}
+                    value={form[field] || effective?.[field] || '#000000'}
+                    onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                  />
+                  <input
+                    type="text"
+                    className="input flex-1"
+                    placeholder={effective?.[field]}
+                    value={form[field]}
+                    onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+          {effective && (
+            <div
+              className="rounded-lg p-4 text-white flex items-center space-x-3"
+              style={{ background: `linear-gradient(135deg, ${effective.primaryColor} 0%, ${effective.accentColor} 100%)` }}
+            >
+              {effective.logoUrl ? (
+                <img src={effective.logoUrl} alt={effective.companyName} className="h-8" />
+              ) : (
+                <span className="font-semibold">{effective.companyName}</span>
+              )}
+              <span className="text-sm opacity-80">Sent as "{effective.senderName}"</span>
+            </div>
+          )}
+          <p className="text-xs text-gray-500">Leave a field empty to use the default. The header shows the saved branding.</p>
+          <button type="submit" disabled={isSavingBranding} className="btn btn-primary flex items-center space-x-2">
+            <Save className="w-4 h-4" />
+            <span>{isSavingBranding ? 'Saving...' : 'Save branding'}</span>
+          </button>
+        </form>
+
+        {/* Templates */}
+        <EmailTemplateEditor templates={templates} scope="company" api={companyService} onChange={loadTemplates} />
+      </div>
+    </Layout>
+  );
+};
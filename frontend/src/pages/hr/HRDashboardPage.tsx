@@ -1,21 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { Layout } from '@/components/Layout';
+import { JobStatusBadge } from '@/components/JobStatusBadge';
 import { StatsCard } from '@/components/StatsCard';
 import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { NotificationRulesPanel } from '@/components/NotificationRulesPanel';
+import { useAuth } from '@/context/AuthContext';
 import { jobService } from '@/services/job.service';
 import { Job } from '@/types';
 import { Briefcase, Users, TrendingUp, Plus } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 export const HRDashboardPage: React.FC = () => {
+  const { user } = useAuth();
   const [jobs, setJobs] = useState<Job[]>([]);
   const [isLoading, setIsLoading] = useState(true);
 
   const loadJobs = async () => {
     try {
       setIsLoading(true);
-      const data = await jobService.getAllJobs();
+      const data = await jobService.getAllJobs('', user?.companyId);
       setJobs(data);
     } catch (error: any) {
       toast.error('Failed to load dashboard data');
@@ -31,9 +35,9 @@ export const HRDashboardPage: React.FC = () => {
 
   const stats = {
     totalJobs: jobs.length,
-    openJobs: jobs.filter((j) => j.status === 'open').length,
+    activeJobs: jobs.filter((j) => j.status === 'active').length,
     closedJobs: jobs.filter((j) => j.status === 'closed').length,
-    pausedJobs: jobs.filter((j) => j.status === 'paused').length,
+    unpublishedJobs: jobs.filter((j) => j.status === 'draft' || j.status === 'scheduled').length,
   };
 
   if (isLoading) {
@@ -69,7 +73,7 @@ export const HRDashboardPage: React.FC = () => {
           />
           <StatsCard
             title="Open Positions"
-            value={stats.openJobs}
+            value={stats.activeJobs}
             icon={<TrendingUp className="w-6 h-6" />}
             color="green"
           />
@@ -80,8 +84,8 @@ export const HRDashboardPage: React.FC = () => {
             color="red"
           />
           <StatsCard
-            title="Paused"
-            value={stats.pausedJobs}
+            title="Drafts & Scheduled"
+            value={stats.unpublishedJobs}
             icon={<Briefcase className="w-6 h-6" />}
             color="yellow"
           />
@@ -119,23 +123,16 @@ export const HRDashboardPage: React.FC = () => {
                         {job.location || 'Remote'} • {job.employmentType || 'Full-time'}
                       </p>
                     </div>
-                    <span
-                      className={`px-3 py-1 text-xs font-semibold rounded-full ${
-                        job.status === 'open'
-                          ? 'bg-green-100 text-green-800'
-                          : job.status === 'closed'
-                          ? 'bg-red-100 text-red-800'
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}
-                    >
-                      {job.status}
-                    </span>
+                    <JobStatusBadge status={job.status} />
                   </div>
                 </Link>
               ))}
             </div>
           )}
         </div>
+
+        {/* Notification Rules */}
+        <NotificationRulesPanel jobs={jobs} />
       </div>
     </Layout>
   );
@@ -6,27 +6,56 @@ import { EmptyState } from '@/components/EmptyState';
 import { ScoreBadge } from '@/components/ScoreBadge';
 import { ProgressBar } from '@/components/ProgressBar';
 import { jobService } from '@/services/job.service';
-import { ATSScore, Job } from '@/types';
-import { Users, FileText, Calendar, TrendingUp, Mail } from 'lucide-react';
+import { ATSScore, Job, PipelineStage, RescoreRun, ScoreBreakdown, ScoreVersion } from '@/types';
+import {
+  Users,
+  FileText,
+  Calendar,
+  TrendingUp,
+  Mail,
+  LayoutGrid,
+  List,
+  RefreshCw,
+  ArrowRight,
+  EyeOff,
+} from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const COMPONENT_LABELS: [keyof ScoreBreakdown['components'], string][] = [
+  ['required_skills', 'Required Skills'],
+  ['preferred_skills', 'Nice-to-have Skills'],
+  ['experience', 'Experience'],
+  ['education', 'Education'],
+];
+
+const RESCORE_POLL_INTERVAL_MS = 3000;
+
 export const JobApplicationsPage: React.FC = () => {
   const { jobId } = useParams<{ jobId: string }>();
   const [job, setJob] = useState<Job | null>(null);
   const [applications, setApplications] = useState<ATSScore[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [sortBy, setSortBy] = useState<'score' | 'date'>('score');
+  const [view, setView] = useState<'list' | 'board'>('list');
+  const [pipeline, setPipeline] = useState<PipelineStage[]>([]);
+  const [rescoreRun, setRescoreRun] = useState<RescoreRun | null>(null);
+  const [isStartingRescore, setIsStartingRescore] = useState(false);
+  const [notifyCandidates, setNotifyCandidates] = useState(true);
 
   const loadData = async () => {
     if (!jobId) return;
     try {
       setIsLoading(true);
-      const [jobData, applicationsData] = await Promise.all([
+      const [jobData, applicationsData, pipelineData, rescoreData] = await Promise.all([
         jobService.getJobById(jobId),
         jobService.getJobApplications(jobId),
+        jobService.getJobPipeline(jobId),
+        jobService.getRescoreStatus(jobId),
       ]);
       setJob(jobData);
       setApplications(applicationsData);
+      setPipeline(pipelineData);
+      setRescoreRun(rescoreData);
     } catch (error: any) {
       toast.error('Failed to load applications');
     } finally {
@@ -39,6 +68,75 @@ export const JobApplicationsPage: React.FC = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [jobId]);
 
+  // Follow a running re-score and show the new scores once it finishes
+  useEffect(() => {
+    if (!jobId || rescoreRun?.status !== 'running') return;
+
+    const timer = setInterval(async () => {
+      try {
+        const run = await jobService.getRescoreStatus(jobId);
+        setRescoreRun(run);
+        if (run?.status !== 'running') {
+          setApplications(await jobService.getJobApplications(jobId));
+          if (run?.status === 'completed') {
+            toast.success(`Re-scored ${run.completed} of ${run.total} applications`);
+          }
+        }
+      } catch (error) {
+        // Keep polling; the next request may succeed
+      }
+    }, RESCORE_POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [jobId, rescoreRun?.status]);
+
+  const startRescore = async () => {
+    if (!jobId) return;
+    setIsStartingRescore(true);
+    try {
+      setRescoreRun(await jobService.rescoreJob(jobId));
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to start re-scoring');
+    } finally {
+      setIsStartingRescore(false);
+    }
+  };
+
+  // Applications in a stage the company has since removed are shown in the first stage
+  const getStageKey = (application: ATSScore) => {
+    const stage = application.resumes?.pipeline_stage;
+    return stage && pipeline.some((item) => item.key === stage) ? stage : pipeline[0]?.key;
+  };
+
+  const setApplicationStage = (applicationId: number, stage: string) => {
+    setApplications((current) => current.map((app) => (
+      app.id === applicationId && app.resumes
+        ? { ...app, resumes: { ...app.resumes, pipeline_stage: stage } }
+        : app
+    )));
+  };
+
+  const moveApplication = async (application: ATSScore, stage: string) => {
+    const previousStage = getStageKey(application);
+    if (!stage || stage === previousStage) return;
+
+    // Move the card right away and put it back if the server refuses
+    setApplicationStage(application.id, stage);
+    try {
+      const result = await jobService.updateApplicationStage(application.resume_id, stage, {
+        notifyCandidate: notifyCandidates,
+      });
+      if (result.identityRevealed && jobId) {
+        // Blind review: fetch the candidate's details now that HR may see them
+        toast.success('Candidate details are now visible');
+        setApplications(await jobService.getJobApplications(jobId));
+      }
+    } catch (error: any) {
+      setApplicationStage(application.id, previousStage);
+      toast.error(error.response?.data?.error || 'Failed to move application');
+    }
+  };
+
   const sortedApplications = [...applications].sort((a, b) => {
     if (sortBy === 'score') {
       return (b.match_score || 0) - (a.match_score || 0);
@@ -62,11 +160,38 @@ export const JobApplicationsPage: React.FC = () => {
     <Layout>
       <div className="space-y-6">
         {/* Header */}
-        <div>
-          <h1 className="text-3xl font-bold text-gray-900">{job?.title}</h1>
-          <p className="text-gray-600 mt-2">Review and manage applications</p>
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{job?.title}</h1>
+            <p className="text-gray-600 mt-2">Review and manage applications</p>
+          </div>
+          <button
+            onClick={startRescore}
+            disabled={isStartingRescore || rescoreRun?.status === 'running' || applications.length === 0}
+            className="btn btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Score every application again against the current job description"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${rescoreRun?.status === 'running' ? 'animate-spin' : ''}`} />
+            Re-score all
+          </button>
         </div>
 
+        {rescoreRun && <RescoreStatus run={rescoreRun} />}
+
+        {job?.blind_review && (
+          <div className="card bg-gray-50 flex items-start gap-3">
+            <EyeOff className="w-5 h-5 text-gray-600 mt-0.5" />
+            <p className="text-sm text-gray-700">
+              Blind review is on for this job. Names, contact details and resume files stay hidden until
+              an application reaches the{' '}
+              <span className="font-medium">
+                {pipeline.find((stage) => stage.key === job.blind_reveal_stage)?.label || job.blind_reveal_stage}
+              </span>{' '}
+              stage.
+            </p>
+          </div>
+        )}
+
         {/* Stats */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="card">
@@ -114,6 +239,36 @@ export const JobApplicationsPage: React.FC = () => {
         <div className="flex items-center justify-between">
           <h2 className="text-xl font-semibold text-gray-900">Applications</h2>
           <div className="flex gap-2">
+            <label
+              className="flex items-center text-sm text-gray-700 mr-2"
+              title="Send the candidate the stage change, interview or rejection email when you move an application"
+            >
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={notifyCandidates}
+                onChange={(e) => setNotifyCandidates(e.target.checked)}
+              />
+              Email candidates on moves
+            </label>
+            <div className="flex border border-gray-300 rounded-lg overflow-hidden mr-2">
+              <button
+                onClick={() => setView('list')}
+                className={`px-3 py-2 ${view === 'list' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                aria-label="List view"
+                title="List view"
+              >
+                <List className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setView('board')}
+                className={`px-3 py-2 ${view === 'board' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                aria-label="Board view"
+                title="Board view"
+              >
+                <LayoutGrid className="w-5 h-5" />
+              </button>
+            </div>
             <button
               onClick={() => setSortBy('score')}
               className={`px-4 py-2 rounded-lg font-medium transition-colors ${
@@ -144,10 +299,23 @@ export const JobApplicationsPage: React.FC = () => {
             title="No applications yet"
             description="No candidates have applied to this position yet. Share the job posting to attract more candidates!"
           />
+        ) : view === 'board' ? (
+          <PipelineBoard
+            stages={pipeline}
+            applications={sortedApplications}
+            getStageKey={getStageKey}
+            onMove={moveApplication}
+          />
         ) : (
           <div className="space-y-4">
             {sortedApplications.map((application) => (
-              <ApplicationCard key={application.id} application={application} />
+              <ApplicationCard
+                key={application.id}
+                application={application}
+                stages={pipeline}
+                stage={getStageKey(application)}
+                onStageChange={(stage) => moveApplication(application, stage)}
+              />
             ))}
           </div>
         )}
@@ -156,8 +324,181 @@ export const JobApplicationsPage: React.FC = () => {
   );
 };
 
-const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) => {
+const RescoreStatus: React.FC<{ run: RescoreRun }> = ({ run }) => {
+  const done = run.completed + run.failed;
+  const reason = run.reason === 'job_updated' ? 'after the job description changed' : 'on request';
+
+  if (run.status === 'running') {
+    return (
+      <div className="card">
+        <ProgressBar
+          label={`Re-scoring applications ${reason} (${done} of ${run.total})`}
+          value={run.percent ?? Math.round((done / Math.max(run.total, 1)) * 100)}
+          color="purple"
+        />
+      </div>
+    );
+  }
+
+  if (run.status !== 'completed') {
+    return null;
+  }
+
+  return (
+    <div className="bg-purple-50 border border-purple-200 rounded-lg p-4 text-sm text-purple-800">
+      Last re-scored {reason} on {new Date(run.finished_at || run.created_at).toLocaleString()}:{' '}
+      {run.completed} updated{run.failed > 0 ? `, ${run.failed} kept their previous score` : ''}.
+    </div>
+  );
+};
+
+const ScoreChange: React.FC<{ application: ATSScore }> = ({ application }) => {
+  const previous = application.previous_score;
+  if (!previous) return null;
+
+  const delta = Math.round(application.match_score) - Math.round(previous.match_score);
+  const deltaColor = delta > 0 ? 'text-green-700' : delta < 0 ? 'text-red-700' : 'text-gray-600';
+
+  return (
+    <div
+      className="flex items-center text-xs text-gray-600 mt-2"
+      title={`Version ${previous.version}${previous.llm_model ? ` (${previous.llm_model})` : ''} -> version ${application.version}`}
+    >
+      <span>Before: {Math.round(previous.match_score)}%</span>
+      <ArrowRight className="w-3 h-3 mx-1" />
+      <span>Now: {Math.round(application.match_score)}%</span>
+      <span className={`ml-2 font-semibold ${deltaColor}`}>
+        {delta > 0 ? `+${delta}` : delta}
+      </span>
+    </div>
+  );
+};
+
+interface PipelineBoardProps {
+  stages: PipelineStage[];
+  applications: ATSScore[];
+  getStageKey: (application: ATSScore) => string | undefined;
+  onMove: (application: ATSScore, stage: string) => void;
+}
+
+const PipelineBoard: React.FC<PipelineBoardProps> = ({ stages, applications, getStageKey, onMove }) => {
+  const [dragOverStage, setDragOverStage] = useState<string | null>(null);
+
+  const handleDrop = (e: React.DragEvent, stage: string) => {
+    e.preventDefault();
+    setDragOverStage(null);
+    const applicationId = Number(e.dataTransfer.getData('text/plain'));
+    const application = applications.find((app) => app.id === applicationId);
+    if (application) {
+      onMove(application, stage);
+    }
+  };
+
+  return (
+    <div className="flex gap-4 overflow-x-auto pb-4">
+      {stages.map((stage) => {
+        const stageApplications = applications.filter((app) => getStageKey(app) === stage.key);
+        return (
+          <div
+            key={stage.key}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOverStage(stage.key);
+            }}
+            onDragLeave={() => setDragOverStage(null)}
+            onDrop={(e) => handleDrop(e, stage.key)}
+            className={`w-64 flex-shrink-0 rounded-lg p-3 transition-colors ${
+              dragOverStage === stage.key ? 'bg-primary-50 ring-2 ring-primary-300' : 'bg-gray-100'
+            }`}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h3 className={`text-sm font-semibold ${stage.terminal ? 'text-gray-500' : 'text-gray-900'}`}>
+                {stage.label}
+              </h3>
+              <span className="text-xs font-medium text-gray-600 bg-white rounded-full px-2 py-0.5">
+                {stageApplications.length}
+              </span>
+            </div>
+            <div className="space-y-2 min-h-[4rem]">
+              {stageApplications.map((application) => (
+                <div
+                  key={application.id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', String(application.id));
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  className="bg-white rounded-lg border border-gray-200 p-3 shadow-sm cursor-move hover:shadow-md transition-shadow"
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <p className="text-sm font-medium text-gray-900 truncate flex items-center">
+                      {application.identity_hidden && <EyeOff className="w-3 h-3 mr-1 text-gray-500 shrink-0" />}
+                      {application.resumes?.parsed_data?.personalInfo?.name || 'Candidate'}
+                    </p>
+                    <ScoreBadge score={Math.round(application.match_score || 0)} size="sm" isFallback={application.is_fallback} />
+                  </div>
+                  <ScoreChange application={application} />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Applied {new Date(application.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                  </p>
+                  {application.resumes?.cloudinary_url && (
+                    <a
+                      href={application.resumes.cloudinary_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-primary-600 hover:text-primary-700 font-medium mt-2 inline-flex items-center"
+                    >
+                      <FileText className="w-3 h-3 mr-1" />
+                      Resume
+                    </a>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const describeProvenance = (score: ATSScore | ScoreVersion) => {
+  const parts = [score.is_fallback ? 'Rule-based fallback' : [score.llm_provider, score.llm_model].filter(Boolean).join(' / ') || 'Unknown'];
+
+  if (score.prompt_version) parts.push(`prompt ${score.prompt_version}`);
+  if (score.latency_ms != null) parts.push(`${(score.latency_ms / 1000).toFixed(1)}s`);
+  if (score.total_tokens != null) parts.push(`${score.total_tokens} tokens`);
+  if (!score.is_fallback && score.llm_attempts && score.llm_attempts > 1) parts.push('retried after an invalid response');
+
+  return parts.join(' · ');
+};
+
+interface ApplicationCardProps {
+  application: ATSScore;
+  stages: PipelineStage[];
+  stage?: string;
+  onStageChange: (stage: string) => void;
+}
+
+const ApplicationCard: React.FC<ApplicationCardProps> = ({ application, stages, stage, onStageChange }) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [scoreVersions, setScoreVersions] = useState<ScoreVersion[] | null>(null);
+
+  useEffect(() => {
+    if (isExpanded && scoreVersions === null) {
+      loadScoreVersions();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isExpanded]);
+
+  const loadScoreVersions = async () => {
+    try {
+      setScoreVersions(await jobService.getScoreVersions(application.resume_id));
+    } catch (error: any) {
+      // History is optional detail; the current score is already shown
+      setScoreVersions([]);
+    }
+  };
 
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -182,6 +523,12 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
             <h3 className="text-lg font-semibold text-gray-900">
               {candidateName}
             </h3>
+            {application.identity_hidden && (
+              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                <EyeOff className="w-3 h-3 mr-1" />
+                Blind
+              </span>
+            )}
             {candidateEmail && (
               <a
                 href={`mailto:${candidateEmail}`}
@@ -197,7 +544,10 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
             Applied on {formatDate(application.created_at)}
           </div>
         </div>
-        <ScoreBadge score={Math.round(matchScore)} size="lg" />
+        <div className="flex flex-col items-end">
+          <ScoreBadge score={Math.round(matchScore)} size="lg" isFallback={application.is_fallback} />
+          <ScoreChange application={application} />
+        </div>
       </div>
 
       <div className="bg-gray-50 rounded-lg p-4 mb-4">
@@ -216,6 +566,24 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
 
         {isExpanded && (
           <div className="space-y-4">
+            {/* Rule-based component scores */}
+            {application.score_breakdown && (
+              <div className="space-y-3">
+                {COMPONENT_LABELS.map(([key, label]) => {
+                  const component = application.score_breakdown!.components[key];
+                  if (!component) return null;
+                  return (
+                    <ProgressBar
+                      key={key}
+                      label={`${label} (weight ${component.weight}%)`}
+                      value={component.score}
+                      color={component.score >= 80 ? 'green' : component.score >= 50 ? 'yellow' : 'red'}
+                    />
+                  );
+                })}
+              </div>
+            )}
+
             {/* Strong Skills */}
             {application.strong_skills && application.strong_skills.length > 0 && (
               <div>
@@ -261,6 +629,33 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
                 color="blue"
               />
             </div>
+
+            {/* How the score was produced */}
+            <div>
+              <h5 className="text-xs font-semibold text-gray-700 mb-1">Scored By</h5>
+              <p className="text-xs text-gray-600">{describeProvenance(application)}</p>
+              {application.is_fallback && application.fallback_reason && (
+                <p className="text-xs text-amber-700 mt-1">LLM scoring failed: {application.fallback_reason}</p>
+              )}
+            </div>
+
+            {/* Earlier versions */}
+            {scoreVersions && scoreVersions.length > 1 && (
+              <div>
+                <h5 className="text-xs font-semibold text-gray-700 mb-1">Score History</h5>
+                <ul className="space-y-1">
+                  {scoreVersions.map((version) => (
+                    <li key={version.id} className="text-xs text-gray-600">
+                      <span className="font-medium text-gray-900">
+                        v{version.version}: {Math.round(version.match_score)}%
+                      </span>
+                      {version.is_current && ' (current)'} · {describeProvenance(version)} ·{' '}
+                      {formatDate(version.created_at)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -286,6 +681,20 @@ const ApplicationCard: React.FC<{ application: ATSScore }> = ({ application }) =
             <span>Contact Candidate</span>
           </a>
         )}
+        {stages.length > 0 && (
+          <select
+            className="input w-48 ml-auto"
+            aria-label="Pipeline stage"
+            value={stage}
+            onChange={(e) => onStageChange(e.target.value)}
+          >
+            {stages.map((item) => (
+              <option key={item.key} value={item.key}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
     </div>
   );
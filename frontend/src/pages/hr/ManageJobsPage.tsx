@@ -3,12 +3,69 @@ import { Link } from 'react-router-dom';
 import { Layout } from '@/components/Layout';
 import { LoadingSpinner } from '@/components/LoadingSpinner';
 import { EmptyState } from '@/components/EmptyState';
+import { useAuth } from '@/context/AuthContext';
 import { jobService } from '@/services/job.service';
-import { Job } from '@/types';
-import { Briefcase, Plus, Calendar, MapPin, Edit, Trash2 } from 'lucide-react';
+import { JobStatusBadge } from '@/components/JobStatusBadge';
+import { Job, JobCloseReason, JobStatusChange, JobStatusHistoryEntry, JobTransitionReason } from '@/types';
+import {
+  Briefcase,
+  Plus,
+  Calendar,
+  MapPin,
+  Edit,
+  Trash2,
+  Send,
+  Clock,
+  XCircle,
+  CalendarPlus,
+  RotateCcw,
+  History,
+  Users,
+} from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const STATUS_FILTERS: { value: string; label: string }[] = [
+  { value: '', label: 'All' },
+  { value: 'draft', label: 'Drafts' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'active', label: 'Active' },
+  { value: 'closed', label: 'Closed' },
+];
+
+const CLOSE_REASON_LABELS: Record<JobCloseReason, string> = {
+  manual: 'closed manually',
+  closing_date: 'closing date passed',
+  max_applications: 'application limit reached',
+};
+
+const TRANSITION_LABELS: Record<JobTransitionReason, string> = {
+  created: 'Created',
+  publish: 'Published',
+  schedule: 'Scheduled',
+  unschedule: 'Schedule cancelled',
+  close: 'Closed',
+  reopen: 'Reopened',
+  extend: 'Closing date extended',
+  scheduled_publish: 'Published on schedule',
+  closing_date: 'Closed: closing date passed',
+  max_applications: 'Closed: application limit reached',
+};
+
+// Lifecycle actions that need a date before they can be applied
+type PendingAction = 'schedule' | 'extend' | 'reopen';
+
+const formatDate = (dateString: string) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+const formatDateTime = (dateString: string) => new Date(dateString).toLocaleString();
+
 export const ManageJobsPage: React.FC = () => {
+  const { user } = useAuth();
   const [jobs, setJobs] = useState<Job[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [filter, setFilter] = useState<string>('');
@@ -17,7 +74,7 @@ export const ManageJobsPage: React.FC = () => {
   const loadJobs = async () => {
     try {
       setIsLoading(true);
-      const data = await jobService.getAllJobs(filter);
+      const data = await jobService.getAllJobs(filter, user?.companyId);
       setJobs(data);
     } catch (error: any) {
       toast.error('Failed to load jobs');
@@ -63,46 +120,19 @@ export const ManageJobsPage: React.FC = () => {
 
         {/* Filters */}
         <div className="flex gap-2">
-          <button
-            onClick={() => setFilter('')}
-            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-              filter === ''
-                ? 'bg-primary-600 text-white'
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-            }`}
-          >
-            All
-          </button>
-          <button
-            onClick={() => setFilter('open')}
-            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-              filter === 'open'
-                ? 'bg-primary-600 text-white'
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-            }`}
-          >
-            Open
-          </button>
-          <button
-            onClick={() => setFilter('closed')}
-            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-              filter === 'closed'
-                ? 'bg-primary-600 text-white'
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-            }`}
-          >
-            Closed
-          </button>
-          <button
-            onClick={() => setFilter('paused')}
-            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-              filter === 'paused'
-                ? 'bg-primary-600 text-white'
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-            }`}
-          >
-            Paused
-          </button>
+          {STATUS_FILTERS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                filter === option.value
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
         </div>
 
         {/* Jobs List */}
@@ -121,7 +151,7 @@ export const ManageJobsPage: React.FC = () => {
         ) : (
           <div className="space-y-4">
             {jobs.map((job) => (
-              <JobCard key={job.id} job={job} onDelete={handleDeleteJob} />
+              <JobCard key={job.id} job={job} onDelete={handleDeleteJob} onChange={loadJobs} />
             ))}
           </div>
         )}
@@ -130,16 +160,72 @@ export const ManageJobsPage: React.FC = () => {
   );
 };
 
-const JobCard: React.FC<{ job: Job; onDelete: (jobId: string) => void }> = ({ job, onDelete }) => {
-  const formatDate = (dateString: string) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-    });
-  };
+interface JobCardProps {
+  job: Job;
+  onDelete: (jobId: string) => void;
+  onChange: () => void;
+}
+
+const JobCard: React.FC<JobCardProps> = ({ job, onDelete, onChange }) => {
+  const [pendingAction, setPendingAction] = useState<PendingAction | null>(null);
+  const [dateValue, setDateValue] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [history, setHistory] = useState<JobStatusHistoryEntry[] | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
 
   const jobId = job.job_id || job.id; // Use job_id if available, fallback to id
+  const postedDate = job.published_at || job.postedDate || job.created_at;
+
+  const changeStatus = async (change: JobStatusChange, successMessage: string) => {
+    try {
+      setIsSaving(true);
+      await jobService.updateJobStatus(jobId, change);
+      toast.success(successMessage);
+      setPendingAction(null);
+      setDateValue('');
+      setHistory(null);
+      setShowHistory(false);
+      onChange();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to change job status');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openPendingAction = (action: PendingAction) => {
+    setPendingAction(action);
+    setDateValue('');
+  };
+
+  const confirmPendingAction = () => {
+    if (pendingAction === 'schedule') {
+      changeStatus({ status: 'scheduled', publishAt: new Date(dateValue).toISOString() }, 'Job scheduled');
+    } else if (pendingAction === 'extend') {
+      changeStatus({ status: 'active', closingDate: dateValue }, 'Closing date extended');
+    } else if (pendingAction === 'reopen') {
+      changeStatus({ status: 'active', ...(dateValue ? { closingDate: dateValue } : {}) }, 'Job reopened');
+    }
+  };
+
+  const toggleHistory = async () => {
+    if (!showHistory && history === null) {
+      try {
+        setHistory(await jobService.getJobStatusHistory(jobId));
+      } catch (error: any) {
+        toast.error(error.response?.data?.error || 'Failed to load status history');
+        return;
+      }
+    }
+    setShowHistory(!showHistory);
+  };
+
+  const closeJob = () => {
+    if (!confirm('Close this job? Candidates will no longer be able to apply.')) {
+      return;
+    }
+    changeStatus({ status: 'closed' }, 'Job closed');
+  };
 
   return (
     <div className="card">
@@ -147,21 +233,11 @@ const JobCard: React.FC<{ job: Job; onDelete: (jobId: string) => void }> = ({ jo
         <div className="flex-1">
           <div className="flex items-center gap-3 mb-2">
             <h3 className="text-xl font-semibold text-gray-900">{job.title}</h3>
-            <span
-              className={`px-3 py-1 text-xs font-semibold rounded-full ${
-                job.status === 'open'
-                  ? 'bg-green-100 text-green-800'
-                  : job.status === 'closed'
-                  ? 'bg-red-100 text-red-800'
-                  : 'bg-yellow-100 text-yellow-800'
-              }`}
-            >
-              {job.status}
-            </span>
+            <JobStatusBadge status={job.status} />
           </div>
-          
+
           <p className="text-gray-600 mb-4 line-clamp-2">{job.description}</p>
-          
+
           <div className="flex flex-wrap gap-4 text-sm text-gray-600">
             {job.location && (
               <div className="flex items-center">
@@ -169,20 +245,174 @@ const JobCard: React.FC<{ job: Job; onDelete: (jobId: string) => void }> = ({ jo
                 {job.location}
               </div>
             )}
-            {job.employmentType && (
+            {(job.employmentType || job.employment_type) && (
               <div className="flex items-center">
                 <Briefcase className="w-4 h-4 mr-1" />
-                {job.employmentType}
+                {job.employmentType || job.employment_type}
+              </div>
+            )}
+            {postedDate && job.status !== 'draft' && job.status !== 'scheduled' && (
+              <div className="flex items-center">
+                <Calendar className="w-4 h-4 mr-1" />
+                Posted {formatDate(postedDate)}
+              </div>
+            )}
+            {job.status === 'scheduled' && job.publish_at && (
+              <div className="flex items-center text-blue-700">
+                <Clock className="w-4 h-4 mr-1" />
+                Publishes {formatDateTime(job.publish_at)}
+              </div>
+            )}
+            {job.status !== 'closed' && job.closing_date && (
+              <div className="flex items-center">
+                <Clock className="w-4 h-4 mr-1" />
+                Closes {formatDate(job.closing_date)}
+              </div>
+            )}
+            {job.status === 'closed' && job.closed_at && (
+              <div className="flex items-center text-red-700">
+                <XCircle className="w-4 h-4 mr-1" />
+                Closed {formatDate(job.closed_at)}
+                {job.close_reason && ` (${CLOSE_REASON_LABELS[job.close_reason]})`}
+              </div>
+            )}
+            {job.max_applications && (
+              <div className="flex items-center">
+                <Users className="w-4 h-4 mr-1" />
+                Closes after {job.max_applications} applications
               </div>
             )}
-            <div className="flex items-center">
-              <Calendar className="w-4 h-4 mr-1" />
-              Posted {formatDate(job.postedDate)}
-            </div>
           </div>
         </div>
       </div>
 
+      {/* Lifecycle actions */}
+      <div className="flex flex-wrap gap-2 mt-4">
+        {(job.status === 'draft' || job.status === 'scheduled') && (
+          <button
+            onClick={() => changeStatus({ status: 'active' }, 'Job published')}
+            disabled={isSaving}
+            className="btn btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Send className="w-4 h-4" />
+            <span>{job.status === 'scheduled' ? 'Publish Now' : 'Publish'}</span>
+          </button>
+        )}
+        {(job.status === 'draft' || job.status === 'scheduled') && (
+          <button
+            onClick={() => openPendingAction('schedule')}
+            disabled={isSaving}
+            className="btn btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Clock className="w-4 h-4" />
+            <span>{job.status === 'scheduled' ? 'Reschedule' : 'Schedule'}</span>
+          </button>
+        )}
+        {job.status === 'scheduled' && (
+          <button
+            onClick={() => changeStatus({ status: 'draft' }, 'Schedule cancelled')}
+            disabled={isSaving}
+            className="btn btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <XCircle className="w-4 h-4" />
+            <span>Unschedule</span>
+          </button>
+        )}
+        {job.status === 'active' && (
+          <>
+            <button
+              onClick={() => openPendingAction('extend')}
+              disabled={isSaving}
+              className="btn btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <CalendarPlus className="w-4 h-4" />
+              <span>Extend</span>
+            </button>
+            <button
+              onClick={closeJob}
+              disabled={isSaving}
+              className="btn btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <XCircle className="w-4 h-4" />
+              <span>Close</span>
+            </button>
+          </>
+        )}
+        {job.status === 'closed' && (
+          <button
+            onClick={() => openPendingAction('reopen')}
+            disabled={isSaving}
+            className="btn btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <RotateCcw className="w-4 h-4" />
+            <span>Reopen</span>
+          </button>
+        )}
+        <button
+          onClick={toggleHistory}
+          className="btn btn-secondary flex items-center space-x-2"
+        >
+          <History className="w-4 h-4" />
+          <span>{showHistory ? 'Hide History' : 'History'}</span>
+        </button>
+      </div>
+
+      {pendingAction && (
+        <div className="mt-3 p-3 bg-gray-50 rounded-lg flex flex-wrap items-end gap-3">
+          <div>
+            <label className="label">
+              {pendingAction === 'schedule'
+                ? 'Publish at'
+                : pendingAction === 'extend'
+                ? 'New closing date'
+                : 'New closing date (required if the old one has passed)'}
+            </label>
+            <input
+              type={pendingAction === 'schedule' ? 'datetime-local' : 'date'}
+              className="input"
+              value={dateValue}
+              onChange={(e) => setDateValue(e.target.value)}
+            />
+          </div>
+          <button
+            onClick={confirmPendingAction}
+            disabled={isSaving || (pendingAction !== 'reopen' && !dateValue)}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Confirm'}
+          </button>
+          <button onClick={() => setPendingAction(null)} className="btn btn-secondary">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {showHistory && history && (
+        <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500">No status changes recorded yet.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {history.map((entry) => (
+                <li key={entry.id} className="flex flex-wrap gap-x-2">
+                  <span className="text-gray-500">{formatDateTime(entry.created_at)}</span>
+                  <span className="font-medium text-gray-900">{TRANSITION_LABELS[entry.reason] || entry.reason}</span>
+                  {entry.from_status && (
+                    <span className="text-gray-600">
+                      ({entry.from_status} → {entry.to_status})
+                    </span>
+                  )}
+                  <span className="text-gray-500">
+                    by {entry.users_profiles?.full_name || entry.users_profiles?.email || 'system'}
+                  </span>
+                  {entry.details?.note && <span className="text-gray-600 italic">“{entry.details.note}”</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="flex gap-2 mt-4 pt-4 border-t border-gray-200">
         <Link
           to={`/hr/jobs/${jobId}/applications`}
@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { CompanyRoleBadge } from '@/components/CompanyRoleBadge';
+import { useAuth } from '@/context/AuthContext';
+import { companyService, COMPANY_ROLE_DESCRIPTIONS, COMPANY_ROLE_LABELS } from '@/services/company.service';
+import { CompanyRole, CompanyWorkspace } from '@/types';
+import { Users, Mail, Calendar, Send, Trash2, LogOut, Copy, Building2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ROLES: CompanyRole[] = ['owner', 'recruiter', 'hiring_manager', 'viewer'];
+
+const formatDate = (dateString: string) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+export const TeamPage: React.FC = () => {
+  const { user, refreshUser } = useAuth();
+  const navigate = useNavigate();
+  const [workspace, setWorkspace] = useState<CompanyWorkspace | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState<CompanyRole>('recruiter');
+  const [isInviting, setIsInviting] = useState(false);
+  const [lastInviteUrl, setLastInviteUrl] = useState<string | null>(null);
+
+  const loadWorkspace = async () => {
+    try {
+      setIsLoading(true);
+      setWorkspace(await companyService.getWorkspace());
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load team');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadWorkspace();
+  }, []);
+
+  const canManageMembers = Boolean(workspace?.permissions.includes('manage_members'));
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setIsInviting(true);
+      const result = await companyService.inviteMember(inviteEmail, inviteRole);
+      toast.success(`Invite sent to ${result.invite.email}`);
+      setLastInviteUrl(result.inviteUrl);
+      setInviteEmail('');
+      loadWorkspace();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to send invite');
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  const handleCopyInviteUrl = async () => {
+    if (!lastInviteUrl) return;
+
+    try {
+      await navigator.clipboard.writeText(lastInviteUrl);
+      toast.success('Invite link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleRevokeInvite = async (inviteId: number) => {
+    if (!confirm('Revoke this invite?')) {
+      return;
+    }
+
+    try {
+      await companyService.revokeInvite(inviteId);
+      toast.success('Invite revoked');
+      loadWorkspace();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to revoke invite');
+    }
+  };
+
+  const handleChangeRole = async (userId: string, role: CompanyRole) => {
+    try {
+      await companyService.updateMemberRole(userId, role);
+      toast.success(`Role changed to ${COMPANY_ROLE_LABELS[role]}`);
+      if (userId === user?.id) {
+        await refreshUser();
+      }
+      loadWorkspace();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to change role');
+    }
+  };
+
+  const handleRemoveMember = async (userId: string) => {
+    const isSelf = userId === user?.id;
+
+    if (!confirm(isSelf
+      ? 'Leave this company? You will lose access to its jobs and applications.'
+      : 'Remove this member? Their jobs stay with the company.')) {
+      return;
+    }
+
+    try {
+      await companyService.removeMember(userId);
+      toast.success(isSelf ? 'You left the company' : 'Member removed');
+      if (isSelf) {
+        await refreshUser();
+        navigate('/hr');
+        return;
+      }
+      loadWorkspace();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to remove member');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <LoadingSpinner message="Loading team..." />
+      </Layout>
+    );
+  }
+
+  if (!workspace) {
+    return (
+      <Layout>
+        <EmptyState
+          icon={<Building2 className="w-8 h-8 text-gray-400" />}
+          title="No company workspace"
+          description="Your account is not linked to a company. Ask a company owner to invite you."
+        />
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{workspace.company.name}</h1>
+            <p className="text-gray-600 mt-2">Team members share access to the company's jobs and applications</p>
+          </div>
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <span>Your role:</span>
+            <CompanyRoleBadge role={workspace.role} />
+          </div>
+        </div>
+
+        {/* Invite */}
+        {canManageMembers && (
+          <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Invite a Teammate</h2>
+            <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <div className="md:col-span-2">
+                <label className="label">Email</label>
+                <input
+                  type="email"
+                  className="input"
+                  placeholder="teammate@company.com"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  required
+                />
+              </div>
+              <div>
+                <label className="label">Role</label>
+                <select
+                  className="input"
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value as CompanyRole)}
+                >
+                  {ROLES.map((role) => (
+                    <option key={role} value={role}>{COMPANY_ROLE_LABELS[role]}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                type="submit"
+                disabled={isInviting}
+                className="btn btn-primary flex items-center justify-center space-x-2 disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" />
+                <span>{isInviting ? 'Sending...' : 'Send Invite'}</span>
+              </button>
+            </form>
+            <p className="text-sm text-gray-500 mt-3">{COMPANY_ROLE_DESCRIPTIONS[inviteRole]}</p>
+
+            {lastInviteUrl && (
+              <div className="mt-4 p-3 bg-gray-50 rounded-lg flex items-center gap-3">
+                <span className="text-sm text-gray-600 truncate flex-1">{lastInviteUrl}</span>
+                <button onClick={handleCopyInviteUrl} className="btn btn-secondary flex items-center space-x-2">
+                  <Copy className="w-4 h-4" />
+                  <span>Copy Link</span>
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Members */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+            Members ({workspace.members.length})
+          </h2>
+          <div className="divide-y divide-gray-200">
+            {workspace.members.map((member) => {
+              const isSelf = member.user_id === user?.id;
+
+              return (
+                <div key={member.id} className="py-4 flex flex-wrap items-center justify-between gap-4">
+                  <div>
+                    <div className="flex items-center gap-3">
+                      <span className="font-medium text-gray-900">
+                        {member.users_profiles?.full_name || member.users_profiles?.email || member.user_id}
+                        {isSelf && ' (you)'}
+                      </span>
+                      {!canManageMembers && <CompanyRoleBadge role={member.role} />}
+                    </div>
+                    <div className="flex flex-wrap gap-4 text-sm text-gray-600 mt-1">
+                      {member.users_profiles?.email && (
+                        <span className="flex items-center">
+                          <Mail className="w-4 h-4 mr-1" />
+                          {member.users_profiles.email}
+                        </span>
+                      )}
+                      <span className="flex items-center">
+                        <Calendar className="w-4 h-4 mr-1" />
+                        Joined {formatDate(member.created_at)}
+                      </span>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    {canManageMembers && (
+                      <select
+                        className="input"
+                        value={member.role}
+                        onChange={(e) => handleChangeRole(member.user_id, e.target.value as CompanyRole)}
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>{COMPANY_ROLE_LABELS[role]}</option>
+                        ))}
+                      </select>
+                    )}
+                    {(canManageMembers || isSelf) && (
+                      <button
+                        onClick={() => handleRemoveMember(member.user_id)}
+                        className="btn btn-secondary flex items-center space-x-2"
+                      >
+                        {isSelf ? <LogOut className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                        <span>{isSelf ? 'Leave' : 'Remove'}</span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Pending invites */}
+        {canManageMembers && (
+          <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Pending Invites</h2>
+            {workspace.invites.length === 0 ? (
+              <p className="text-sm text-gray-500">No pending invites.</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {workspace.invites.map((invite) => {
+                  const isExpired = new Date(invite.expires_at) <= new Date();
+
+                  return (
+                    <div key={invite.id} className="py-3 flex flex-wrap items-center justify-between gap-4">
+                      <div className="flex items-center gap-3">
+                        <Mail className="w-4 h-4 text-gray-500" />
+                        <span className="text-gray-900">{invite.email}</span>
+                        <CompanyRoleBadge role={invite.role} />
+                        <span className={`text-sm ${isExpired ? 'text-red-600' : 'text-gray-500'}`}>
+                          {isExpired ? 'Expired' : 'Expires'} {formatDate(invite.expires_at)}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => handleRevokeInvite(invite.id)}
+                        className="btn btn-secondary flex items-center space-x-2"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        <span>Revoke</span>
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Roles */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+            <Users className="w-5 h-5 mr-2" />
+            Company Roles
+          </h2>
+          <ul className="space-y-2 text-sm">
+            {ROLES.map((role) => (
+              <li key={role} className="flex items-center gap-3">
+                <CompanyRoleBadge role={role} />
+                <span className="text-gray-600">{COMPANY_ROLE_DESCRIPTIONS[role]}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </Layout>
+  );
+};
@@ -0,0 +1,476 @@
+import React, { useState, useEffect } from 'react';
+import { Layout } from '@/components/Layout';
+import { LoadingSpinner } from '@/components/LoadingSpinner';
+import { EmptyState } from '@/components/EmptyState';
+import { companyService, WEBHOOK_EVENT_LABELS } from '@/services/company.service';
+import {
+  WebhookDelivery,
+  WebhookDeliveryStatus,
+  WebhookEndpoint,
+  WebhookEndpointInput,
+  WebhookEvent,
+} from '@/types';
+import { Webhook, Plus, Copy, KeyRound, Send, Pencil, Trash2, RefreshCw, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES: Record<WebhookDeliveryStatus, string> = {
+  queued: 'bg-yellow-100 text-yellow-800',
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const EMPTY_ENDPOINT: WebhookEndpointInput = {
+  url: '',
+  description: null,
+  events: [],
+  is_active: true,
+};
+
+const ALL_EVENTS = Object.keys(WEBHOOK_EVENT_LABELS) as WebhookEvent[];
+
+export const WebhooksPage: React.FC = () => {
+  const [canManage, setCanManage] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [endpoints, setEndpoints] = useState<WebhookEndpoint[]>([]);
+  const [editingId, setEditingId] = useState<number | 'new' | null>(null);
+  const [form, setForm] = useState<WebhookEndpointInput>(EMPTY_ENDPOINT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [newSecret, setNewSecret] = useState<{ endpointId: number; secret: string } | null>(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const workspace = await companyService.getWorkspace();
+      const allowed = workspace.permissions.includes('manage_settings');
+      setCanManage(allowed);
+
+      if (allowed) {
+        setEndpoints(await companyService.getWebhooks());
+      }
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load webhooks');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadEndpoints = async () => {
+    try {
+      setEndpoints(await companyService.getWebhooks());
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load webhooks');
+    }
+  };
+
+  const startEditing = (endpoint: WebhookEndpoint | null) => {
+    setForm(endpoint
+      ? { url: endpoint.url, description: endpoint.description, events: endpoint.events, is_active: endpoint.is_active }
+      : EMPTY_ENDPOINT);
+    setEditingId(endpoint ? endpoint.id : 'new');
+  };
+
+  const toggleEvent = (event: WebhookEvent) => {
+    setForm({
+      ...form,
+      events: form.events.includes(event) ? form.events.filter((item) => item !== event) : [...form.events, event],
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (form.events.length === 0) {
+      toast.error('Choose at least one event');
+      return;
+    }
+
+    const data = { ...form, url: form.url.trim(), description: form.description?.trim() || null };
+
+    try {
+      setIsSaving(true);
+      if (editingId === 'new') {
+        const { endpoint, secret } = await companyService.createWebhook(data);
+        setNewSecret({ endpointId: endpoint.id, secret });
+        toast.success('Webhook endpoint added');
+      } else if (editingId !== null) {
+        await companyService.updateWebhook(editingId, data);
+        toast.success('Webhook endpoint saved');
+      }
+      setEditingId(null);
+      loadEndpoints();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save webhook endpoint');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (endpoint: WebhookEndpoint) => {
+    try {
+      await companyService.updateWebhook(endpoint.id, { is_active: !endpoint.is_active });
+      toast.success(endpoint.is_active ? 'Webhook endpoint paused' : 'Webhook endpoint resumed');
+      loadEndpoints();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to update webhook endpoint');
+    }
+  };
+
+  const handleDelete = async (endpoint: WebhookEndpoint) => {
+    if (!confirm(`Delete the webhook endpoint ${endpoint.url} and its delivery log?`)) {
+      return;
+    }
+
+    try {
+      await companyService.deleteWebhook(endpoint.id);
+      toast.success('Webhook endpoint deleted');
+      if (newSecret?.endpointId === endpoint.id) setNewSecret(null);
+      loadEndpoints();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete webhook endpoint');
+    }
+  };
+
+  const handleRotateSecret = async (endpoint: WebhookEndpoint) => {
+    if (!confirm('Replace the signing secret? Requests are signed with the new secret straight away.')) {
+      return;
+    }
+
+    try {
+      const { secret } = await companyService.rotateWebhookSecret(endpoint.id);
+      setNewSecret({ endpointId: endpoint.id, secret });
+      toast.success('Signing secret rotated');
+      loadEndpoints();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to rotate signing secret');
+    }
+  };
+
+  const handleCopySecret = async () => {
+    if (!newSecret) return;
+
+    try {
+      await navigator.clipboard.writeText(newSecret.secret);
+      toast.success('Signing secret copied');
+    } catch (error) {
+      toast.error('Could not copy the secret');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <LoadingSpinner />
+      </Layout>
+    );
+  }
+
+  if (!canManage) {
+    return (
+      <Layout>
+        <EmptyState
+          icon={<Webhook className="w-8 h-8 text-gray-400" />}
+          title="Webhooks are managed by company owners"
+          description="Ask an owner of your company to connect your HRIS or chat tools."
+        />
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Webhooks</h1>
+            <p className="text-gray-600 mt-2">
+              Push application and job events to your own systems. Requests are signed with HMAC-SHA256 in the
+              X-Webhook-Signature header.
+            </p>
+          </div>
+          {editingId === null && (
+            <button onClick={() => startEditing(null)} className="btn btn-primary flex items-center space-x-2">
+              <Plus className="w-4 h-4" />
+              <span>Add Endpoint</span>
+            </button>
+          )}
+        </div>
+
+        {/* New secret */}
+        {newSecret && (
+          <div className="card border border-yellow-300 bg-yellow-50">
+            <p className="text-sm font-medium text-yellow-900 flex items-center">
+              <KeyRound className="w-4 h-4 mr-2" />
+              Copy the signing secret now. It is not shown again.
+            </p>
+            <div className="mt-3 p-3 bg-white rounded-lg flex items-center gap-3">
+              <span className="text-sm font-mono text-gray-800 truncate flex-1">{newSecret.secret}</span>
+              <button onClick={handleCopySecret} className="btn btn-secondary flex items-center space-x-2">
+                <Copy className="w-4 h-4" />
+                <span>Copy</span>
+              </button>
+              <button onClick={() => setNewSecret(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Endpoint form */}
+        {editingId !== null && (
+          <form onSubmit={handleSave} className="card space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {editingId === 'new' ? 'New Endpoint' : 'Edit Endpoint'}
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">URL</label>
+                <input
+                  type="url"
+                  className="input"
+                  placeholder="https://hris.example.com/hooks/ats"
+                  value={form.url}
+                  onChange={(e) => setForm({ ...form, url: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <label className="label">Description</label>
+                <input
+                  type="text"
+                  className="input"
+                  maxLength={200}
+                  placeholder="e.g. HRIS sync (optional)"
+                  value={form.description || ''}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label">Events</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {ALL_EVENTS.map((event) => (
+                  <label key={event} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                    <span>{WEBHOOK_EVENT_LABELS[event]}</span>
+                    <span className="text-xs text-gray-500 font-mono">{event}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex gap-3">
+              <button type="submit" disabled={isSaving} className="btn btn-primary">
+                {isSaving ? 'Saving...' : 'Save Endpoint'}
+              </button>
+              <button type="button" onClick={() => setEditingId(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Endpoints */}
+        {endpoints.length === 0 ? (
+          editingId === null && (
+            <EmptyState
+              icon={<Webhook className="w-8 h-8 text-gray-400" />}
+              title="No webhook endpoints yet"
+              description="Add an endpoint to receive new applications, scores, stage changes and job updates."
+            />
+          )
+        ) : (
+          <div className="space-y-4">
+            {endpoints.map((endpoint) => (
+              <WebhookEndpointCard
+                key={endpoint.id}
+                endpoint={endpoint}
+                onEdit={() => startEditing(endpoint)}
+                onToggle={() => handleToggle(endpoint)}
+                onDelete={() => handleDelete(endpoint)}
+                onRotateSecret={() => handleRotateSecret(endpoint)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+interface WebhookEndpointCardProps {
+  endpoint: WebhookEndpoint;
+  onEdit: () => void;
+  onToggle: () => void;
+  onDelete: () => void;
+  onRotateSecret: () => void;
+}
+
+const WebhookEndpointCard: React.FC<WebhookEndpointCardProps> = ({ endpoint, onEdit, onToggle, onDelete, onRotateSecret }) => {
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isLoadingLog, setIsLoadingLog] = useState(false);
+  const [isSendingTest, setIsSendingTest] = useState(false);
+
+  const loadDeliveries = async () => {
+    try {
+      setIsLoadingLog(true);
+      const result = await companyService.getWebhookDeliveries(endpoint.id, { limit: 20 });
+      setDeliveries(result.items);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load the delivery log');
+    } finally {
+      setIsLoadingLog(false);
+    }
+  };
+
+  const toggleLog = () => {
+    if (!isExpanded) {
+      loadDeliveries();
+    }
+    setIsExpanded(!isExpanded);
+  };
+
+  const handleSendTest = async () => {
+    try {
+      setIsSendingTest(true);
+      await companyService.sendWebhookTest(endpoint.id);
+      toast.success('Test event sent. Refresh the delivery log to see the result.');
+      setIsExpanded(true);
+      loadDeliveries();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to send test event');
+    } finally {
+      setIsSendingTest(false);
+    }
+  };
+
+  return (
+    <div className={`card ${endpoint.is_active ? '' : 'opacity-75'}`}>
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <h3 className="font-semibold text-gray-900 font-mono text-sm truncate">{endpoint.url}</h3>
+            {!endpoint.is_active && (
+              <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700">Paused</span>
+            )}
+          </div>
+          {endpoint.description && <p className="text-sm text-gray-600 mt-1">{endpoint.description}</p>}
+          <div className="flex flex-wrap gap-1 mt-2">
+            {endpoint.events.map((event) => (
+              <span key={event} className="px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-800 font-mono">
+                {event}
+              </span>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Secret {endpoint.secret_hint}
+            {endpoint.last_24h && (
+              <>
+                {' '}· Last 24h: {endpoint.last_24h.delivered} delivered
+                {endpoint.last_24h.queued > 0 && `, ${endpoint.last_24h.queued} retrying or waiting`}
+                {endpoint.last_24h.failed > 0 && `, ${endpoint.last_24h.failed} failed`}
+              </>
+            )}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleSendTest}
+            disabled={isSendingTest}
+            className="btn btn-secondary flex items-center space-x-2"
+          >
+            <Send className="w-4 h-4" />
+            <span>{isSendingTest ? 'Sending...' : 'Send Test Event'}</span>
+          </button>
+          <button onClick={onToggle} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+            {endpoint.is_active ? 'Pause' : 'Resume'}
+          </button>
+          <button onClick={onRotateSecret} className="text-gray-500 hover:text-gray-700" title="Rotate signing secret">
+            <KeyRound className="w-4 h-4" />
+          </button>
+          <button onClick={onEdit} className="text-gray-500 hover:text-gray-700" title="Edit endpoint">
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button onClick={onDelete} className="text-red-500 hover:text-red-700" title="Delete endpoint">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center gap-4">
+        <button onClick={toggleLog} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+          {isExpanded ? 'Hide Delivery Log' : 'Show Delivery Log'}
+        </button>
+        {isExpanded && (
+          <button
+            onClick={loadDeliveries}
+            disabled={isLoadingLog}
+            className="text-sm text-gray-600 hover:text-gray-800 flex items-center"
+          >
+            <RefreshCw className={`w-3 h-3 mr-1 ${isLoadingLog ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        )}
+      </div>
+
+      {isExpanded && (
+        <div className="mt-3 divide-y divide-gray-200 border-t border-gray-200">
+          {deliveries.length === 0 ? (
+            <p className="text-sm text-gray-500 py-3">{isLoadingLog ? 'Loading deliveries...' : 'Nothing sent yet.'}</p>
+          ) : (
+            deliveries.map((delivery) => <WebhookDeliveryRow key={delivery.id} delivery={delivery} />)
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WebhookDeliveryRow: React.FC<{ delivery: WebhookDelivery }> = ({ delivery }) => {
+  const [showPayload, setShowPayload] = useState(false);
+
+  return (
+    <div className="py-3">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-3">
+            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[delivery.status]}`}>
+              {delivery.status}
+            </span>
+            <span className="text-sm font-mono text-gray-900">{delivery.event_type}</span>
+            <span className="text-xs text-gray-500">#{delivery.id}</span>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+            {delivery.response_status && ` · HTTP ${delivery.response_status}`}
+            {delivery.duration_ms !== null && ` · ${delivery.duration_ms}ms`}
+            {delivery.status === 'queued' && delivery.next_attempt_at && ` · next ${new Date(delivery.next_attempt_at).toLocaleString()}`}
+          </p>
+          {delivery.last_error && delivery.status !== 'delivered' && (
+            <p className="text-xs text-red-700 flex items-start mt-1">
+              <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+              {delivery.last_error}
+            </p>
+          )}
+        </div>
+        <div className="text-right">
+          <p className="text-xs text-gray-600">{new Date(delivery.created_at).toLocaleString()}</p>
+          <button
+            onClick={() => setShowPayload(!showPayload)}
+            className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {showPayload ? 'Hide Payload' : 'Show Payload'}
+          </button>
+        </div>
+      </div>
+      {showPayload && (
+        <pre className="mt-2 bg-gray-50 rounded-lg p-3 text-xs text-gray-800 overflow-x-auto">
+          {JSON.stringify({ id: delivery.id, ...delivery.payload }, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+};
@@ -1,5 +1,26 @@
 import api from './api';
-import { HRRequest, HRRequestStats, User, UserStats } from '@/types';
+import {
+  AuditLogEntry,
+  AuditLogFilters,
+  EmailTemplate,
+  EmailTemplatePreview,
+  EmailTemplatePreviewInput,
+  HRRequest,
+  HRRequestStats,
+  JobPromptTemplateSplit,
+  LLMMetrics,
+  OutboxEmail,
+  OutboxEmailFilters,
+  OutboxEmailPage,
+  PaginatedResponse,
+  PromptTemplate,
+  PromptTemplateList,
+  PromptTemplatePreview,
+  PromptTemplatePreviewInput,
+  RedactionReport,
+  User,
+  UserStats,
+} from '@/types';
 
 export const adminService = {
   // HR Request Management
@@ -56,4 +77,105 @@ export const adminService = {
   async deleteUser(userId: string, reason: string): Promise<void> {
     await api.delete(`/api/admin/users/${userId}`, { data: { reason } });
   },
+
+  // Audit Log
+  async getAuditLogs(filters: AuditLogFilters = {}): Promise<PaginatedResponse<AuditLogEntry>> {
+    const response = await api.get('/api/admin/audit-logs', { params: filters });
+    const { logs, pagination } = response.data.data; // Backend: { success, data: { logs, pagination } }
+    return { items: logs, ...pagination };
+  },
+
+  // LLM Metrics
+  async getLLMMetrics(days = 7): Promise<LLMMetrics> {
+    const response = await api.get('/api/admin/llm-metrics', { params: { days } });
+    return response.data.data; // Backend: { success, data: { days, since, models, topErrors, recentFailures } }
+  },
+
+  // Blind review: check what was redacted for an application
+  async getRedactionReport(applicationId: number | string): Promise<RedactionReport> {
+    const response = await api.get(`/api/admin/applications/${applicationId}/redaction`);
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Scoring Prompt Templates
+  async getPromptTemplates(): Promise<PromptTemplateList> {
+    const response = await api.get('/api/admin/prompt-templates');
+    return response.data.data; // Backend: { success, data: { templates, activeVersion, variables, requiredVariables } }
+  },
+
+  async createPromptTemplate(data: { name: string; body: string; notes?: string; activate?: boolean }): Promise<PromptTemplate> {
+    const response = await api.post('/api/admin/prompt-templates', data);
+    return response.data.data; // Backend: { success, message, data: {...} }
+  },
+
+  async activatePromptTemplate(templateId: number): Promise<PromptTemplate> {
+    const response = await api.post(`/api/admin/prompt-templates/${templateId}/activate`);
+    return response.data.data;
+  },
+
+  async rollbackPromptTemplate(): Promise<PromptTemplate> {
+    const response = await api.post('/api/admin/prompt-templates/rollback');
+    return response.data.data;
+  },
+
+  async previewPromptTemplate(input: PromptTemplatePreviewInput): Promise<PromptTemplatePreview> {
+    const response = await api.post('/api/admin/prompt-templates/preview', input);
+    return response.data.data;
+  },
+
+  async getJobPromptTemplates(jobId: string): Promise<JobPromptTemplateSplit> {
+    const response = await api.get(`/api/admin/jobs/${jobId}/prompt-templates`);
+    return response.data.data;
+  },
+
+  async setJobPromptTemplates(
+    jobId: string,
+    templates: { templateId: number; weight: number }[]
+  ): Promise<JobPromptTemplateSplit> {
+    const response = await api.put(`/api/admin/jobs/${jobId}/prompt-templates`, { templates });
+    return response.data.data;
+  },
+
+  // Email Templates (platform versions)
+  async getEmailTemplates(): Promise<EmailTemplate[]> {
+    const response = await api.get('/api/admin/email-templates');
+    return response.data.data; // Backend: { success, data: [...] }
+  },
+
+  async saveEmailTemplate(key: string, data: { subject: string; html: string }): Promise<EmailTemplate> {
+    const response = await api.put(`/api/admin/email-templates/${key}`, data);
+    return response.data.data; // Backend: { success, message, data: { key, subject, html, source, updatedAt } }
+  },
+
+  async resetEmailTemplate(key: string): Promise<EmailTemplate> {
+    const response = await api.delete(`/api/admin/email-templates/${key}`);
+    return response.data.data;
+  },
+
+  async previewEmailTemplate(key: string, input: EmailTemplatePreviewInput): Promise<EmailTemplatePreview> {
+    const response = await api.post(`/api/admin/email-templates/${key}/preview`, input);
+    return response.data.data; // Backend: { success, data: { subject, html, text, fromName, source } }
+  },
+
+  async sendTestEmail(key: string, input: EmailTemplatePreviewInput): Promise<{ to: string; subject: string }> {
+    const response = await api.post(`/api/admin/email-templates/${key}/test`, input);
+    return response.data.data; // Backend: { success, message, data: { to, subject, outboxId } }
+  },
+
+  // Email Outbox
+  async getEmailOutbox(filters: OutboxEmailFilters = {}): Promise<OutboxEmailPage> {
+    const response = await api.get('/api/admin/email-outbox', { params: filters });
+    const { emails, counts, pagination } = response.data.data; // Backend: { success, data: { emails, counts, pagination } }
+    return { items: emails, counts, ...pagination };
+  },
+
+  async getOutboxEmail(id: number): Promise<OutboxEmail> {
+    const response = await api.get(`/api/admin/email-outbox/${id}`);
+    return response.data.data;
+  },
+
+  async resendEmail(id: number): Promise<OutboxEmail> {
+    const response = await api.post(`/api/admin/email-outbox/${id}/resend`);
+    return response.data.data;
+  },
 };
@@ -0,0 +1,100 @@
+import api from './api';
+import {
+  CandidateProfile,
+  LibraryResume,
+  ResumeCheckReport,
+  UpdateCandidateProfileDto,
+  WorkAuthorization,
+} from '@/types';
+
+export const WORK_AUTHORIZATION_LABELS: Record<WorkAuthorization, string> = {
+  citizen: 'Citizen',
+  permanent_resident: 'Permanent resident',
+  work_visa: 'Work visa',
+  needs_sponsorship: 'Needs sponsorship',
+};
+
+const RESUME_FILE_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+];
+
+// Why a resume file would be rejected by the upload endpoints (null when it is fine)
+export const getResumeFileError = (file: File): string | null => {
+  if (!RESUME_FILE_TYPES.includes(file.type)) {
+    return 'Please upload a PDF, DOC, DOCX, or TXT file';
+  }
+  if (file.size > 5 * 1024 * 1024) {
+    return 'File size must be less than 5MB';
+  }
+  return null;
+};
+
+export const candidateService = {
+  // Get your profile (empty fields until saved)
+  async getProfile(): Promise<CandidateProfile> {
+    const response = await api.get('/api/candidate/profile');
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Save your profile
+  async updateProfile(data: UpdateCandidateProfileDto): Promise<CandidateProfile> {
+    const response = await api.put('/api/candidate/profile', data);
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Get your library resumes (default first) and how many you may keep
+  async getResumes(): Promise<{ resumes: LibraryResume[]; limit: number }> {
+    const response = await api.get('/api/candidate/resumes');
+    return response.data.data; // Backend: { success, data: { resumes, limit } }
+  },
+
+  // Upload a resume into your library
+  async uploadResume(file: File, name?: string, isDefault = false): Promise<LibraryResume> {
+    const formData = new FormData();
+    formData.append('resume', file);
+    if (name) {
+      formData.append('name', name);
+    }
+    if (isDefault) {
+      formData.append('isDefault', 'true');
+    }
+
+    const response = await api.post('/api/candidate/resumes', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Rename a resume or make it your default
+  async updateResume(resumeId: number, updates: { name?: string; isDefault?: boolean }): Promise<LibraryResume> {
+    const response = await api.patch(`/api/candidate/resumes/${resumeId}`, updates);
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Delete a library resume (applications made with it are kept)
+  async deleteResume(resumeId: number): Promise<void> {
+    await api.delete(`/api/candidate/resumes/${resumeId}`);
+  },
+
+  // Check a resume (file or library resume ID) against a job without applying
+  async checkResume(jobId: string, resume: File | number): Promise<ResumeCheckReport> {
+    const formData = new FormData();
+    if (typeof resume === 'number') {
+      formData.append('resumeId', String(resume));
+    } else {
+      formData.append('resume', resume);
+    }
+
+    const response = await api.post(`/api/candidate/jobs/${jobId}/resume-check`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+};
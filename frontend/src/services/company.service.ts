@@ -0,0 +1,200 @@
+import api from './api';
+import {
+  ApiKey,
+  ApiKeyInput,
+  ApiKeyScope,
+  ApiKeyWithSecret,
+  CompanyInvite,
+  CompanyMember,
+  CompanyRole,
+  CompanyWorkspace,
+  EmailBranding,
+  EmailBrandingInput,
+  EmailTemplate,
+  EmailTemplatePreview,
+  EmailTemplatePreviewInput,
+  InvitePreview,
+  PaginatedResponse,
+  WebhookDelivery,
+  WebhookDeliveryStatus,
+  WebhookEndpoint,
+  WebhookEndpointInput,
+  WebhookEndpointWithSecret,
+  WebhookEvent,
+} from '@/types';
+
+export const COMPANY_ROLE_LABELS: Record<CompanyRole, string> = {
+  owner: 'Owner',
+  recruiter: 'Recruiter',
+  hiring_manager: 'Hiring Manager',
+  viewer: 'Viewer',
+};
+
+export const COMPANY_ROLE_DESCRIPTIONS: Record<CompanyRole, string> = {
+  owner: 'Everything, including team members and the hiring pipeline',
+  recruiter: 'Create and manage jobs and applications',
+  hiring_manager: 'View jobs and move applications through the pipeline',
+  viewer: 'Read-only access to jobs and applications',
+};
+
+export const WEBHOOK_EVENT_LABELS: Record<WebhookEvent, string> = {
+  'application.created': 'New application',
+  'application.scored': 'Application scored',
+  'application.stage_changed': 'Application moved to another stage',
+  'job.published': 'Job published',
+  'job.closed': 'Job closed',
+};
+
+export const API_KEY_SCOPE_LABELS: Record<ApiKeyScope, string> = {
+  'jobs:read': 'Read jobs, including drafts and scheduled jobs',
+  'jobs:write': 'Create, edit, publish, close and delete jobs',
+  'applications:read': 'Read applications, scores and stage history',
+};
+
+export const companyService = {
+  // Get your company, its members, your role and permissions
+  async getWorkspace(): Promise<CompanyWorkspace> {
+    const response = await api.get('/api/company');
+    return response.data.data; // Backend: { success, data: { company, members, invites, role, permissions } }
+  },
+
+  // Invite a teammate by email (owners only)
+  async inviteMember(email: string, role: CompanyRole): Promise<{ invite: CompanyInvite; inviteUrl: string }> {
+    const response = await api.post('/api/company/invites', { email, role });
+    return response.data.data; // Backend: { success, data: { invite, inviteUrl } }
+  },
+
+  // Revoke a pending invite (owners only)
+  async revokeInvite(inviteId: number): Promise<void> {
+    await api.delete(`/api/company/invites/${inviteId}`);
+  },
+
+  // Look up an invite from its emailed token
+  async getInvite(token: string): Promise<InvitePreview> {
+    const response = await api.get(`/api/company/invites/${token}`);
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Join the company as the signed-in user
+  async acceptInvite(token: string): Promise<{ companyId: number; companyName: string | null; companyRole: CompanyRole }> {
+    const response = await api.post(`/api/company/invites/${token}/accept`);
+    return response.data.data; // Backend: { success, data: { companyId, companyName, companyRole } }
+  },
+
+  // Change a member's company role (owners only)
+  async updateMemberRole(userId: string, role: CompanyRole): Promise<CompanyMember> {
+    const response = await api.patch(`/api/company/members/${userId}`, { role });
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Remove a member, or leave the company with your own user ID
+  async removeMember(userId: string): Promise<void> {
+    await api.delete(`/api/company/members/${userId}`);
+  },
+
+  // Email branding of the company's emails (owners only)
+  async getBranding(): Promise<EmailBranding> {
+    const response = await api.get('/api/company/branding');
+    return response.data.data; // Backend: { success, data: { senderName, logoUrl, primaryColor, accentColor, effective } }
+  },
+
+  async updateBranding(data: EmailBrandingInput): Promise<EmailBranding> {
+    const response = await api.put('/api/company/branding', data);
+    return response.data.data;
+  },
+
+  // Email templates the company can override (owners only)
+  async getEmailTemplates(): Promise<EmailTemplate[]> {
+    const response = await api.get('/api/company/email-templates');
+    return response.data.data; // Backend: { success, data: [...] }
+  },
+
+  async saveEmailTemplate(key: string, data: { subject: string; html: string }): Promise<EmailTemplate> {
+    const response = await api.put(`/api/company/email-templates/${key}`, data);
+    return response.data.data;
+  },
+
+  // Remove the company's override
+  async resetEmailTemplate(key: string): Promise<EmailTemplate> {
+    const response = await api.delete(`/api/company/email-templates/${key}`);
+    return response.data.data;
+  },
+
+  async previewEmailTemplate(key: string, input: EmailTemplatePreviewInput): Promise<EmailTemplatePreview> {
+    const response = await api.post(`/api/company/email-templates/${key}/preview`, input);
+    return response.data.data; // Backend: { success, data: { subject, html, text, fromName, source } }
+  },
+
+  // Send the preview to your own email address
+  async sendTestEmail(key: string, input: EmailTemplatePreviewInput): Promise<{ to: string; subject: string }> {
+    const response = await api.post(`/api/company/email-templates/${key}/test`, input);
+    return response.data.data;
+  },
+
+  // Webhook endpoints (owners only)
+  async getWebhooks(): Promise<WebhookEndpoint[]> {
+    const response = await api.get('/api/company/webhooks');
+    return response.data.data; // Backend: { success, data: [...] }
+  },
+
+  async createWebhook(data: WebhookEndpointInput): Promise<WebhookEndpointWithSecret> {
+    const response = await api.post('/api/company/webhooks', data);
+    return response.data.data; // Backend: { success, data: { endpoint, secret } }
+  },
+
+  async updateWebhook(endpointId: number, data: Partial<WebhookEndpointInput>): Promise<WebhookEndpoint> {
+    const response = await api.put(`/api/company/webhooks/${endpointId}`, data);
+    return response.data.data;
+  },
+
+  async deleteWebhook(endpointId: number): Promise<void> {
+    await api.delete(`/api/company/webhooks/${endpointId}`);
+  },
+
+  async rotateWebhookSecret(endpointId: number): Promise<WebhookEndpointWithSecret> {
+    const response = await api.post(`/api/company/webhooks/${endpointId}/rotate-secret`);
+    return response.data.data; // Backend: { success, data: { endpoint, secret } }
+  },
+
+  // Queue a webhook.test event; its result shows up in the delivery log
+  async sendWebhookTest(endpointId: number): Promise<WebhookDelivery> {
+    const response = await api.post(`/api/company/webhooks/${endpointId}/test`);
+    return response.data.data;
+  },
+
+  async getWebhookDeliveries(
+    endpointId: number,
+    filters: { status?: WebhookDeliveryStatus; page?: number; limit?: number } = {}
+  ): Promise<PaginatedResponse<WebhookDelivery>> {
+    const response = await api.get(`/api/company/webhooks/${endpointId}/deliveries`, { params: filters });
+    const { deliveries, pagination } = response.data.data; // Backend: { success, data: { deliveries, pagination } }
+    return { items: deliveries, ...pagination };
+  },
+
+  // API keys (owners only)
+  async getApiKeys(): Promise<ApiKey[]> {
+    const response = await api.get('/api/company/api-keys');
+    return response.data.data; // Backend: { success, data: [...] }
+  },
+
+  async createApiKey(data: ApiKeyInput): Promise<ApiKeyWithSecret> {
+    const response = await api.post('/api/company/api-keys', data);
+    return response.data.data; // Backend: { success, data: { apiKey, key } }
+  },
+
+  async updateApiKey(keyId: number, data: Partial<ApiKeyInput>): Promise<ApiKey> {
+    const response = await api.put(`/api/company/api-keys/${keyId}`, data);
+    return response.data.data;
+  },
+
+  // The old key stops working straight away
+  async rotateApiKey(keyId: number): Promise<ApiKeyWithSecret> {
+    const response = await api.post(`/api/company/api-keys/${keyId}/rotate`);
+    return response.data.data; // Backend: { success, data: { apiKey, key } }
+  },
+
+  async revokeApiKey(keyId: number): Promise<ApiKey> {
+    const response = await api.delete(`/api/company/api-keys/${keyId}`);
+    return response.data.data;
+  },
+};
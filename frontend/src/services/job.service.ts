@@ -1,12 +1,42 @@
 import api from './api';
-import { Job, CreateJobDto, ATSScore } from '@/types';
+import {
+  Job,
+  JobSearchParams,
+  JobStatusChange,
+  JobStatusHistoryEntry,
+  NotificationRule,
+  NotificationRuleInput,
+  PaginatedResponse,
+  CreateJobDto,
+  ATSScore,
+  ApplicationReceipt,
+  ApplicationStatusInfo,
+  PipelineStage,
+  RescoreRun,
+  ScoreVersion,
+  ScreeningAnswers,
+  StageChangeResult,
+  StageHistoryEntry,
+} from '@/types';
 
 export const jobService = {
-  // Get all jobs
-  async getAllJobs(status?: string): Promise<Job[]> {
-    const params = status ? { status } : {};
+  // Search jobs (full-text query, filters, sorting, pagination)
+  async searchJobs(params: JobSearchParams = {}): Promise<PaginatedResponse<Job>> {
     const response = await api.get('/api/ats/jobs', { params });
-    return response.data.data; // Backend: { success, data: [...] }
+    const { jobs, pagination } = response.data.data; // Backend: { success, data: { jobs, pagination } }
+    return { items: jobs, ...pagination };
+  },
+
+  // Get the newest jobs (up to 100) with an optional status ('' for any status),
+  // scoped to a company to include its drafts and scheduled jobs
+  async getAllJobs(status?: string, companyId?: number | null): Promise<Job[]> {
+    const result = await jobService.searchJobs({
+      status: status || 'all',
+      companyId: companyId ?? undefined,
+      sort: 'date',
+      limit: 100,
+    });
+    return result.items;
   },
 
   // Get job by ID
@@ -22,20 +52,40 @@ export const jobService = {
   },
 
   // Update job (HR/Admin only)
-  async updateJob(jobId: string, data: Partial<CreateJobDto>): Promise<Job> {
+  // Scored applications are re-scored when the job text changes (rescoreRun is then set)
+  async updateJob(jobId: string, data: Partial<CreateJobDto>): Promise<{ job: Job; rescoreRun: RescoreRun | null }> {
     const response = await api.put(`/api/ats/jobs/${jobId}`, data);
+    return { job: response.data.data, rescoreRun: response.data.rescoreRun || null }; // Backend: { success, data: {...}, rescoreRun }
+  },
+
+  // Publish, schedule, close, reopen or extend a job (HR/Admin only)
+  async updateJobStatus(jobId: string, change: JobStatusChange): Promise<Job> {
+    const response = await api.patch(`/api/ats/jobs/${jobId}/status`, change);
     return response.data.data; // Backend: { success, data: {...} }
   },
 
+  // Get a job's status transitions (HR/Admin only)
+  async getJobStatusHistory(jobId: string): Promise<JobStatusHistoryEntry[]> {
+    const response = await api.get(`/api/ats/jobs/${jobId}/status-history`);
+    return response.data.data; // Backend: { success, data: [...] }
+  },
+
   // Delete job (Admin only)
   async deleteJob(jobId: string): Promise<void> {
     await api.delete(`/api/ats/jobs/${jobId}`);
   },
 
-  // Apply for job
-  async applyForJob(jobId: string, resume: File): Promise<ATSScore> {
+  // Apply for job with an uploaded file or a library resume ID (processed in the background, returns 202)
+  async applyForJob(jobId: string, resume: File | number, screeningAnswers?: ScreeningAnswers): Promise<ApplicationReceipt> {
     const formData = new FormData();
-    formData.append('resume', resume);
+    if (typeof resume === 'number') {
+      formData.append('resumeId', String(resume));
+    } else {
+      formData.append('resume', resume);
+    }
+    if (screeningAnswers) {
+      formData.append('screeningAnswers', JSON.stringify(screeningAnswers));
+    }
     
     const response = await api.post(
       `/api/ats/jobs/${jobId}/apply`,
@@ -55,12 +105,87 @@ export const jobService = {
     return response.data.data.applications; // Backend: { success, data: { jobId, count, applications } }
   },
 
+  // Re-score every scored application of a job in the background (HR/Admin only)
+  async rescoreJob(jobId: string): Promise<RescoreRun> {
+    const response = await api.post(`/api/ats/jobs/${jobId}/rescore`);
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Get the job's latest re-score run, or null if it was never re-scored (HR/Admin only)
+  async getRescoreStatus(jobId: string): Promise<RescoreRun | null> {
+    const response = await api.get(`/api/ats/jobs/${jobId}/rescore`);
+    return response.data.data; // Backend: { success, data: {...} | null }
+  },
+
+  // Get every score version of an application, newest first (HR/Admin only)
+  async getScoreVersions(applicationId: number | string): Promise<ScoreVersion[]> {
+    const response = await api.get(`/api/ats/applications/${applicationId}/scores`);
+    return response.data.data.versions; // Backend: { success, data: { applicationId, currentVersion, versions } }
+  },
+
+  // Get the hiring pipeline stages of your company (HR/Admin only)
+  async getCompanyPipeline(): Promise<PipelineStage[]> {
+    const response = await api.get('/api/ats/pipeline');
+    return response.data.data.stages; // Backend: { success, data: { companyId, isDefault, stages } }
+  },
+
+  // Get the hiring pipeline stages used by a job (HR/Admin only)
+  async getJobPipeline(jobId: string): Promise<PipelineStage[]> {
+    const response = await api.get(`/api/ats/jobs/${jobId}/pipeline`);
+    return response.data.data.stages; // Backend: { success, data: { jobId, stages } }
+  },
+
+  // Move an application (resume ID) to another pipeline stage
+  async updateApplicationStage(
+    applicationId: number | string,
+    stage: string,
+    options: { note?: string; notifyCandidate?: boolean; candidateMessage?: string } = {}
+  ): Promise<StageChangeResult> {
+    const response = await api.patch(`/api/ats/applications/${applicationId}/stage`, { stage, ...options });
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
+  // Get the pipeline stage history of an application
+  async getStageHistory(applicationId: number | string): Promise<StageHistoryEntry[]> {
+    const response = await api.get(`/api/ats/applications/${applicationId}/stage-history`);
+    return response.data.data.history; // Backend: { success, data: { applicationId, stage, history } }
+  },
+
+  // Get your notification rules with their matches in the last 24 hours (HR/Admin only)
+  async getNotificationRules(): Promise<NotificationRule[]> {
+    const response = await api.get('/api/ats/notification-rules');
+    return response.data.data; // Backend: { success, data: [...] }
+  },
+
+  // Create a notification rule
+  async createNotificationRule(data: NotificationRuleInput): Promise<NotificationRule> {
+    const response = await api.post('/api/ats/notification-rules', data);
+    return response.data.data; // Backend: { success, message, data: {...} }
+  },
+
+  // Update a notification rule (omitted fields are kept)
+  async updateNotificationRule(ruleId: number, data: Partial<NotificationRuleInput>): Promise<NotificationRule> {
+    const response = await api.put(`/api/ats/notification-rules/${ruleId}`, data);
+    return response.data.data; // Backend: { success, message, data: {...} }
+  },
+
+  // Delete a notification rule
+  async deleteNotificationRule(ruleId: number): Promise<void> {
+    await api.delete(`/api/ats/notification-rules/${ruleId}`);
+  },
+
   // Get candidate's own applications
   async getMyApplications(): Promise<ATSScore[]> {
     const response = await api.get('/api/ats/my-applications');
     return response.data.data; // Backend: { success, data: [...] }
   },
 
+  // Get processing stage of an application
+  async getApplicationStatus(applicationId: number | string): Promise<ApplicationStatusInfo> {
+    const response = await api.get(`/api/ats/applications/${applicationId}/status`);
+    return response.data.data; // Backend: { success, data: {...} }
+  },
+
   // Get specific score details
   async getScoreById(scoreId: string): Promise<ATSScore> {
     const response = await api.get(`/api/ats/scores/${scoreId}`);
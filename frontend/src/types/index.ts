@@ -10,6 +10,8 @@ export interface User {
   fullName?: string;
   phone?: string;
   companyName?: string;
+  companyId?: number | null;
+  companyRole?: CompanyRole | null;
   createdAt?: string;
   updatedAt?: string;
 }
@@ -35,7 +37,9 @@ export interface AuthResponse {
 }
 
 // Job types
-export type JobStatus = 'open' | 'closed' | 'paused' | 'active';
+export type JobStatus = 'draft' | 'scheduled' | 'active' | 'closed';
+
+export type JobCloseReason = 'manual' | 'closing_date' | 'max_applications';
 
 export interface Job {
   id: string; // database internal ID
@@ -59,6 +63,81 @@ export interface Job {
   created_at?: string; // snake_case from backend
   updatedAt?: string;
   created_by?: string; // user ID who created the job
+  llm_provider?: LLMProvider | null; // scoring provider override
+  llm_model?: string | null; // scoring model override
+  criteria?: JobCriteria | null;
+  work_mode?: WorkMode | null;
+  publish_at?: string | null; // scheduled publish time
+  published_at?: string | null;
+  closed_at?: string | null;
+  close_reason?: JobCloseReason | null;
+  max_applications?: number | null; // auto-close after this many applications
+  blind_review?: boolean; // hide candidate identities until the reveal stage
+  blind_reveal_stage?: string | null; // pipeline stage key that reveals the candidate
+  salary_min?: number | null; // parsed from salary_range
+  salary_max?: number | null;
+  search_rank?: number; // full-text relevance (search results only)
+}
+
+export type JobSort = 'relevance' | 'date' | 'closing_date';
+
+export interface JobSearchParams {
+  q?: string;
+  status?: string; // default active, "all" for any status
+  location?: string;
+  employmentType?: string;
+  workMode?: WorkMode;
+  salaryMin?: number;
+  salaryMax?: number;
+  postedWithin?: number; // days
+  company?: string;
+  companyId?: number;
+  sort?: JobSort;
+  page?: number;
+  limit?: number;
+}
+
+export type LLMProvider = 'gemini' | 'openai' | 'mock';
+
+export type WorkMode = 'remote' | 'hybrid' | 'onsite';
+
+export type EducationLevel = 'high_school' | 'associate' | 'bachelor' | 'master' | 'doctorate';
+
+export interface WeightedSkill {
+  name: string;
+  weight: number; // 1-5
+}
+
+export type QuestionType = 'yes_no' | 'numeric' | 'single_choice';
+
+// Candidates only receive id, question, type and options; the disqualifying fields are HR-only
+export interface KnockoutQuestion {
+  id: string;
+  question: string;
+  type?: QuestionType; // defaults to yes_no
+  disqualifying_answer?: 'yes' | 'no';
+  disqualify_below?: number | null;
+  disqualify_above?: number | null;
+  options?: string[];
+  disqualifying_options?: string[];
+}
+
+export type ScreeningAnswers = Record<string, string | number>;
+
+export interface ScreeningAnswer {
+  id: string;
+  question: string;
+  answer: string | number;
+  disqualified: boolean;
+}
+
+export interface JobCriteria {
+  required_skills: WeightedSkill[];
+  nice_to_have_skills: string[];
+  min_years_experience: number | null;
+  max_years_experience: number | null;
+  education_level: EducationLevel | null;
+  knockout_questions: KnockoutQuestion[];
 }
 
 export interface CreateJobDto {
@@ -69,9 +148,130 @@ export interface CreateJobDto {
   salaryRange?: string;
   employmentType?: string;
   closingDate?: string;
+  llmProvider?: LLMProvider | '';
+  llmModel?: string;
+  workMode?: WorkMode | '';
+  criteria?: JobCriteria;
+  status?: 'draft' | 'active'; // create only; lifecycle changes use updateJobStatus
+  publishAt?: string; // create only; schedules an active job
+  maxApplications?: number | '';
+  blindReview?: boolean;
+  blindRevealStage?: string;
+}
+
+export interface JobStatusChange {
+  status: JobStatus;
+  publishAt?: string;
+  closingDate?: string;
+  note?: string;
+}
+
+export type JobTransitionReason =
+  | 'created'
+  | 'publish'
+  | 'schedule'
+  | 'unschedule'
+  | 'close'
+  | 'reopen'
+  | 'extend'
+  | 'scheduled_publish'
+  | 'closing_date'
+  | 'max_applications';
+
+export interface JobStatusHistoryEntry {
+  id: number;
+  job_id: string;
+  from_status: JobStatus | null;
+  to_status: JobStatus;
+  reason: JobTransitionReason;
+  changed_by: string | null;
+  details: { note?: string; [key: string]: unknown } | null;
+  created_at: string;
+  users_profiles?: {
+    full_name: string | null;
+    email: string;
+  } | null;
 }
 
 // Application/Score types
+export type ApplicationStatus = 'received' | 'parsed' | 'scored' | 'notified' | 'failed' | 'screened_out';
+
+export interface ApplicationReceipt {
+  applicationId: number;
+  resumeId: number;
+  jobId: string;
+  jobTitle: string;
+  status: ApplicationStatus;
+  statusUrl: string;
+  resumeUrl: string;
+  libraryResumeId: number | null;
+  appliedAt: string;
+}
+
+export interface ApplicationStatusInfo {
+  applicationId: number;
+  jobId: string;
+  status: ApplicationStatus;
+  reason: string | null;
+  updatedAt: string;
+  receivedAt: string;
+  matchScore: number | null;
+  emailSent: boolean;
+}
+
+// Hiring pipeline (set by HR, separate from the processing status above)
+export interface PipelineStage {
+  key: string;
+  label: string;
+  terminal: boolean;
+}
+
+export interface StageChangeResult {
+  applicationId: number;
+  stage: string;
+  previousStage: string;
+  updatedAt: string;
+  identityRevealed?: boolean; // a blind application reached the reveal stage
+  candidateNotified?: boolean; // a stage email was queued for the candidate
+}
+
+export interface StageHistoryEntry {
+  id: number;
+  resume_id: number;
+  job_id: string;
+  from_stage: string | null;
+  to_stage: string;
+  changed_by: string | null;
+  note: string | null;
+  created_at: string;
+  users_profiles?: {
+    full_name: string | null;
+    email: string;
+  } | null;
+}
+
+export interface ScoreComponent {
+  score: number; // 0-100
+  weight: number; // share of the overall score, in percent
+  matched?: string[];
+  missing?: string[];
+  required_years?: number;
+  candidate_years?: number;
+  required_level?: string;
+  candidate_level?: string | null;
+}
+
+export interface ScoreBreakdown {
+  method: 'rule_based';
+  version: number;
+  components: {
+    required_skills: ScoreComponent | null;
+    preferred_skills: ScoreComponent | null;
+    experience: ScoreComponent | null;
+    education: ScoreComponent | null;
+  };
+}
+
 export interface ATSScore {
   id: number;
   resume_id: number;
@@ -87,8 +287,29 @@ export interface ATSScore {
   recommendation: string;
   key_highlights: string[];
   areas_of_concern: string[];
+  score_breakdown?: ScoreBreakdown | null;
   email_sent: boolean;
   created_at: string;
+  version?: number;
+  job_text_hash?: string | null;
+  llm_provider?: string | null;
+  llm_model?: string | null;
+  prompt_version?: string | null;
+  latency_ms?: number | null;
+  prompt_tokens?: number | null;
+  completion_tokens?: number | null;
+  total_tokens?: number | null;
+  // LLM calls made: 2 when the first response failed validation and was retried
+  llm_attempts?: number | null;
+  // Set when the LLM call failed and the rule-based scorer was used instead
+  is_fallback?: boolean;
+  fallback_reason?: string | null;
+  // The version this score replaced (HR job applications list only)
+  previous_score?: PreviousScore | null;
+  application_status?: ApplicationStatus;
+  status_reason?: string | null;
+  status_updated_at?: string;
+  pipeline_stage?: string;
   resumes?: {
     id: number;
     job_id: string;
@@ -96,10 +317,194 @@ export interface ATSScore {
     parsed_data: any;
     uploaded_at: string;
     candidate_user_id: string;
+    application_status?: ApplicationStatus;
+    pipeline_stage?: string;
+    pipeline_stage_updated_at?: string;
+    identity_revealed_at?: string | null;
   };
+  // Blind review: the resume is redacted and the candidate shown as "Candidate #<id>"
+  identity_hidden?: boolean;
   job?: Job;
 }
 
+export interface PreviousScore {
+  id: number;
+  resume_id: number;
+  version: number;
+  match_score: number;
+  job_text_hash: string | null;
+  llm_provider: string | null;
+  llm_model: string | null;
+  is_fallback: boolean;
+  created_at: string;
+}
+
+// One score version of an application, with how it was produced
+export type ScoreVersion = Omit<ATSScore, 'previous_score' | 'resumes' | 'job'> & {
+  version: number;
+  is_current: boolean;
+};
+
+// Background re-scoring of a job's applications
+export type RescoreRunStatus = 'running' | 'completed' | 'superseded';
+
+export interface RescoreRun {
+  id: number;
+  job_id: string;
+  reason: 'manual' | 'job_updated';
+  triggered_by: string | null;
+  job_text_hash: string;
+  status: RescoreRunStatus;
+  total: number;
+  completed: number;
+  failed: number;
+  percent?: number;
+  created_at: string;
+  finished_at: string | null;
+}
+
+// Candidate profile and resume library types
+export type WorkAuthorization = 'citizen' | 'permanent_resident' | 'work_visa' | 'needs_sponsorship';
+
+export interface ProfileLink {
+  label: string;
+  url: string;
+}
+
+export interface CandidateProfile {
+  user_id: string;
+  headline: string | null;
+  location: string | null;
+  desired_salary_min: number | null;
+  desired_salary_max: number | null;
+  work_authorization: WorkAuthorization | null;
+  links: ProfileLink[];
+  skills: string[];
+  updated_at?: string;
+}
+
+export interface UpdateCandidateProfileDto {
+  headline?: string;
+  location?: string;
+  desiredSalaryMin?: number | null;
+  desiredSalaryMax?: number | null;
+  workAuthorization?: WorkAuthorization | null;
+  links?: ProfileLink[];
+  skills?: string[];
+}
+
+export interface LibraryResume {
+  id: number;
+  user_id: string;
+  name: string;
+  cloudinary_url: string;
+  original_filename: string | null;
+  is_default: boolean;
+  parsed_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Resume check against a job (candidate-safe fields only)
+export interface ResumeSectionCheck {
+  key: 'contact' | 'summary' | 'experience' | 'education' | 'skills';
+  label: string;
+  present: boolean;
+  tip: string | null;
+}
+
+export interface BulletSuggestion {
+  role: string | null;
+  original: string;
+  rewrite: string;
+  issues: string[];
+}
+
+export interface ResumeCheckReport {
+  jobId: string;
+  jobTitle: string;
+  keywordCoverage: {
+    matched: number;
+    total: number;
+    percent: number | null;
+  };
+  matchedKeywords: string[];
+  missingKeywords: {
+    required: string[];
+    niceToHave: string[];
+  };
+  formattingIssues: string[];
+  sections: ResumeSectionCheck[];
+  sectionCompleteness: number;
+  bulletSuggestions: BulletSuggestion[];
+  checkedAt: string;
+  checksRemaining: number;
+  checksLimit: number;
+}
+
+// Company workspace types
+export type CompanyRole = 'owner' | 'recruiter' | 'hiring_manager' | 'viewer';
+
+export type CompanyPermission =
+  | 'view'
+  | 'manage_jobs'
+  | 'manage_applications'
+  | 'manage_settings'
+  | 'manage_members';
+
+export interface Company {
+  id: number;
+  name: string;
+  email?: string | null;
+  status?: string;
+  created_by?: string | null;
+  created_at?: string;
+}
+
+export interface CompanyMember {
+  id: number;
+  company_id: number;
+  user_id: string;
+  role: CompanyRole;
+  invited_by: string | null;
+  created_at: string;
+  users_profiles: {
+    id: string;
+    email: string;
+    full_name: string | null;
+    role: UserRole;
+    status: UserStatus;
+  } | null;
+}
+
+export interface CompanyInvite {
+  id: number;
+  company_id: number;
+  email: string;
+  role: CompanyRole;
+  status: 'pending' | 'accepted' | 'revoked';
+  invited_by: string | null;
+  expires_at: string;
+  created_at: string;
+}
+
+export interface CompanyWorkspace {
+  company: Company;
+  members: CompanyMember[];
+  invites: CompanyInvite[];
+  role: CompanyRole;
+  permissions: CompanyPermission[];
+}
+
+export interface InvitePreview {
+  email: string;
+  role: CompanyRole;
+  status: CompanyInvite['status'];
+  expiresAt: string;
+  expired: boolean;
+  company: { id: number; name: string } | null;
+}
+
 // HR Request types
 export type HRRequestStatus = 'pending' | 'approved' | 'rejected';
 
@@ -134,6 +539,371 @@ export interface UserStats {
   suspended: number;
 }
 
+// Audit log types
+export interface AuditChanges {
+  before: Record<string, unknown>;
+  after: Record<string, unknown>;
+}
+
+export interface AuditLogEntry {
+  id: number;
+  user_id: string | null;
+  action: string; // <resource>.<verb>, e.g. user.role_change
+  resource_type: string | null;
+  resource_id: string | null;
+  details: ({ changes?: AuditChanges } & Record<string, unknown>) | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+  actor?: {
+    email: string;
+    full_name: string | null;
+    role: UserRole;
+  } | null;
+}
+
+export interface AuditLogFilters {
+  actor?: string; // user ID or email
+  action?: string;
+  resourceType?: string;
+  resourceId?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+// Scoring prompt templates (admin)
+export interface PromptTemplate {
+  id: number;
+  version: number;
+  name: string;
+  body: string;
+  notes: string | null;
+  is_active: boolean;
+  created_by: string | null;
+  created_at: string;
+  activated_at: string | null;
+}
+
+export interface PromptTemplateList {
+  templates: PromptTemplate[];
+  activeVersion: number | null;
+  variables: string[];
+  requiredVariables: string[];
+}
+
+export interface PromptTemplatePreviewInput {
+  templateId?: number;
+  body?: string; // unsaved text, takes precedence over templateId
+  jobId?: string;
+  applicationId?: number;
+  score?: boolean;
+}
+
+export interface PromptTemplatePreview {
+  template: { id: number | null; version: number | null; name: string };
+  job: { jobId: string; title: string };
+  variables: Record<string, string>;
+  prompt: string;
+  // Only when the preview was scored
+  result: (Omit<ATSScore, 'id' | 'resume_id' | 'job_id' | 'email_sent' | 'created_at'> & {
+    provenance: {
+      provider: string | null;
+      model: string | null;
+      prompt_version: string | null;
+      latency_ms: number;
+      total_tokens: number | null;
+      is_fallback: boolean;
+      fallback_reason: string | null;
+    };
+  }) | null;
+}
+
+export interface JobPromptTemplateStats {
+  templateId: number;
+  version: number | null;
+  name: string | null;
+  weight: number;
+  share: number; // percent of applications
+  scored: number;
+  averageScore: number | null;
+  fallbackCount: number;
+}
+
+export interface JobPromptTemplateSplit {
+  jobId: string;
+  templates: JobPromptTemplateStats[];
+  // Current scores made with a template outside the split
+  otherScores: number;
+}
+
+// LLM scoring response validation (admin)
+export interface LLMModelMetrics {
+  provider: string | null;
+  model: string | null;
+  scored: number; // applications scored from an LLM response
+  firstAttemptFailures: number;
+  repaired: number; // fixed by the corrective retry
+  fellBack: number; // both responses failed, rule-based score used
+}
+
+export interface LLMValidationFailure {
+  id: number;
+  job_id: string | null;
+  resume_id: number | null;
+  provider: string;
+  model: string;
+  prompt_template_id: number | null;
+  attempt: number;
+  errors: string[];
+  response_excerpt: string | null;
+  created_at: string;
+}
+
+export interface LLMMetrics {
+  days: number;
+  since: string;
+  models: LLMModelMetrics[];
+  topErrors: { message: string; occurrences: number }[];
+  recentFailures: LLMValidationFailure[];
+}
+
+export type RedactionCategory =
+  | 'name'
+  | 'email'
+  | 'phone'
+  | 'link'
+  | 'location'
+  | 'photo'
+  | 'graduation_date'
+  | 'demographic';
+
+export interface RedactionLogEntry {
+  id: number;
+  resume_id: number;
+  job_id: string;
+  event: 'scoring' | 'identity_revealed';
+  removed: Partial<Record<RedactionCategory, number>> | null;
+  redacted_text: string | null; // resume summary as sent to the LLM
+  leaks: RedactionCategory[];
+  stage: string | null;
+  performed_by: string | null;
+  created_at: string;
+  recheckedLeaks: RedactionCategory[]; // leaks found when re-checked against the current resume
+}
+
+export interface RedactionReport {
+  applicationId: number;
+  jobId: string;
+  blindReview: boolean;
+  revealStage: string | null;
+  pipelineStage: string;
+  identityRevealed: boolean | null; // null when the job is not blind
+  identityRevealedAt: string | null;
+  identifiersFound: Record<'names' | 'emails' | 'phones' | 'links' | 'locations', number>;
+  current: {
+    removed: Partial<Record<RedactionCategory, number>>;
+    redactedText: string;
+    leaks: RedactionCategory[];
+  };
+  logs: RedactionLogEntry[];
+  verified: boolean;
+}
+
+// Email template types
+export type EmailTemplateSource = 'company' | 'platform' | 'default';
+
+export interface EmailTemplate {
+  key: string;
+  name: string;
+  description: string;
+  variables: Record<string, string>; // variable name -> description
+  companyOverride: boolean;
+  subject: string;
+  html: string;
+  source: EmailTemplateSource;
+  updatedAt: string | null;
+}
+
+export interface EmailTemplatePreviewInput {
+  subject?: string;
+  html?: string;
+  variables?: Record<string, unknown>;
+}
+
+export interface EmailTemplatePreview {
+  subject: string;
+  html: string;
+  text: string;
+  fromName: string;
+  source: EmailTemplateSource | 'draft';
+}
+
+export interface EmailBrandingInput {
+  senderName?: string | null;
+  logoUrl?: string | null;
+  primaryColor?: string | null;
+  accentColor?: string | null;
+}
+
+export interface EmailBranding {
+  senderName: string | null;
+  logoUrl: string | null;
+  primaryColor: string | null;
+  accentColor: string | null;
+  effective: {
+    companyName: string;
+    senderName: string;
+    logoUrl: string | null;
+    primaryColor: string;
+    accentColor: string;
+  };
+}
+
+// Email outbox types (admin)
+export type OutboxEmailStatus = 'queued' | 'sent' | 'failed' | 'bounced';
+
+export interface OutboxEmail {
+  id: number;
+  idempotency_key: string | null;
+  template_key: string | null;
+  company_id: number | null;
+  to_email: string;
+  from_name: string | null;
+  subject: string;
+  status: OutboxEmailStatus;
+  attempts: number;
+  last_error: string | null;
+  provider_message_id: string | null;
+  next_attempt_at: string | null;
+  sent_at: string | null;
+  created_at: string;
+  updated_at: string;
+  html_body?: string; // only when fetched by ID
+  text_body?: string | null;
+}
+
+export interface OutboxEmailFilters {
+  status?: OutboxEmailStatus;
+  recipient?: string;
+  templateKey?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface OutboxEmailPage extends PaginatedResponse<OutboxEmail> {
+  counts: Record<OutboxEmailStatus, number>;
+}
+
+// HR notification rule types
+export type NotificationDelivery = 'instant' | 'hourly' | 'daily';
+
+export interface NotificationRuleInput {
+  name: string;
+  job_id: string | null; // null = every job of your company
+  min_score: number;
+  required_skills: string[];
+  delivery: NotificationDelivery;
+  daily_cap: number | null;
+  email_enabled: boolean;
+  webhook_url: string | null;
+  is_active: boolean;
+}
+
+export interface NotificationRule extends NotificationRuleInput {
+  id: number;
+  user_id: string;
+  company_id: number | null;
+  next_digest_at: string | null;
+  last_digest_at: string | null;
+  created_at: string;
+  updated_at: string;
+  last_24h?: { sent: number; pending: number; capped: number }; // only in the list
+}
+
+// Company webhook types
+export type WebhookEvent =
+  | 'application.created'
+  | 'application.scored'
+  | 'application.stage_changed'
+  | 'job.published'
+  | 'job.closed';
+
+export type WebhookDeliveryStatus = 'queued' | 'delivered' | 'failed';
+
+export interface WebhookEndpointInput {
+  url: string;
+  description: string | null;
+  events: WebhookEvent[];
+  is_active: boolean;
+}
+
+export interface WebhookEndpoint extends WebhookEndpointInput {
+  id: number;
+  company_id: number;
+  secret_hint: string; // last characters of the signing secret
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+  last_24h?: Record<WebhookDeliveryStatus, number>; // only in the list
+}
+
+// Returned when an endpoint is created or its secret rotated; the secret is not shown again
+export interface WebhookEndpointWithSecret {
+  endpoint: WebhookEndpoint;
+  secret: string;
+}
+
+export interface WebhookDelivery {
+  id: number;
+  endpoint_id: number;
+  event_type: WebhookEvent | 'webhook.test';
+  event_key: string;
+  payload: { type: string; created_at: string; data: Record<string, any> };
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  response_status: number | null;
+  last_error: string | null;
+  duration_ms: number | null;
+  next_attempt_at: string | null;
+  delivered_at: string | null;
+  created_at: string;
+}
+
+// Company API key types
+export type ApiKeyScope = 'jobs:read' | 'jobs:write' | 'applications:read';
+
+export interface ApiKeyInput {
+  name: string;
+  scopes: ApiKeyScope[];
+}
+
+export interface ApiKey extends ApiKeyInput {
+  id: number;
+  company_id: number;
+  key_prefix: string; // start of the key, to tell keys apart
+  created_by: string | null; // the member the key acts for
+  last_used_at: string | null;
+  last_used_ip: string | null;
+  revoked_at: string | null;
+  revoked_by: string | null;
+  created_at: string;
+  updated_at: string;
+  // Only in the list
+  created_by_email?: string | null;
+  created_by_name?: string | null;
+  owner_active?: boolean; // false once the member can no longer act for the company
+}
+
+// Returned when a key is created or rotated; the key is not shown again
+export interface ApiKeyWithSecret {
+  apiKey: ApiKey;
+  key: string;
+}
+
 // API Response types
 export interface ApiResponse<T = any> {
   success: boolean;